@@ -25,9 +25,14 @@ const routes = require('./routes');
 const setupSocketIO = require('./websocket/socket.handler');
 const monitoringService = require('./services/monitoring.service');
 const backupSchedulerService = require('./services/backup-scheduler.service');
+const volumeBackupService = require('./services/volume-backup.service');
 const pollingService = require('./services/polling.service');
+const metricsService = require('./services/metrics.service');
 const updateCheckService = require('./services/update-check.service');
+const updatePolicyService = require('./services/update-policy.service');
+const diskCleanupService = require('./services/disk-cleanup.service');
 const certificateExpiryService = require('./services/certificate-expiry.service');
+const stackDriftService = require('./services/stack-drift.service');
 const certificateCacheService = require('./services/certificate-cache.service');
 const db = require('./models');
 const socketConfig = require('./config/socket');
@@ -150,10 +155,16 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
+// Webhook signatures (X-Hub-Signature-256) are computed over the exact request bytes, JSON or
+// form-encoded (GitHub's application/x-www-form-urlencoded content type)
+const keepHookRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith(`/api/${config.apiVersion}/hooks/`)) req.rawBody = buf;
+};
+
 // strict: false so a JSON body of null/true/"..." (e.g. axios post with null data)
 // is tolerated instead of failing with "Unexpected token ... in JSON"
-app.use(express.json({ limit: '10mb', strict: false }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '10mb', strict: false, verify: keepHookRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepHookRawBody }));
 
 // Rate limiting - Completely disabled for development/localhost
 const isDevelopment = config.env === 'development' || config.env !== 'production';
@@ -334,6 +345,10 @@ const gracefulShutdown = () => {
   
   monitoringService.stop();
   updateCheckService.stop();
+  updatePolicyService.stop();
+  diskCleanupService.stop();
+  metricsService.stop();
+  stackDriftService.stop();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -366,16 +381,18 @@ function listen() {
     setTimeout(async () => {
       // Re-apply DB app settings so EMAIL_ENABLED (and SMTP) from UI save apply after restart
       await loadAppSettings(db, true);
-      if (config.email && config.email.enabled) {
-        await monitoringService.start();
-      }
+      // Starts only when SMTP or a notification channel is configured
+      await monitoringService.start();
+      await volumeBackupService.markInterrupted().catch((err) => logger.warn(`Volume backups: ${err.message}`));
       backupSchedulerService.start();
       pollingService.start();
+      metricsService.start();
       updateCheckService.start();
+      updatePolicyService.start();
+      diskCleanupService.start();
       certificateCacheService.start();
-      if (config.email && config.email.enabled) {
-        certificateExpiryService.start();
-      }
+      certificateExpiryService.start();
+      stackDriftService.start();
     }, 5000);
   });
 }
@@ -107,4 +107,30 @@ module.exports = {
     const enabled = process.env.CERT_EXPIRY_ALERTS_ENABLED !== 'false';
     return { intervalMs: ms, alertCooldownMs, enabled };
   },
+
+  get stackDriftCheck() {
+    const minutes = parseFloat(process.env.STACK_DRIFT_CHECK_INTERVAL_MINUTES) || 30;
+    return {
+      intervalMs: Math.max(5, minutes) * 60 * 1000,
+      enabled: process.env.STACK_DRIFT_CHECK_ENABLED !== 'false',
+    };
+  },
+
+  get gitStacks() {
+    const path = require('path');
+    return {
+      // Local clones of Git-backed stacks; a cache that is rebuilt on the next sync when removed
+      cacheDir: process.env.GIT_STACKS_CACHE_DIR || path.resolve(__dirname, '../..', 'git-cache'),
+      // file:// and absolute-path repositories on the DockerFleet host (for testing and mirrors)
+      allowLocalRepos: process.env.GIT_STACKS_ALLOW_LOCAL_REPOS === 'true',
+    };
+  },
+
+  get volumeBackups() {
+    const path = require('path');
+    return {
+      // Local backup targets are directories under this root (mount it from the host in Docker)
+      localRoot: process.env.VOLUME_BACKUP_LOCAL_ROOT || path.resolve(__dirname, '../..', 'backups'),
+    };
+  },
 };
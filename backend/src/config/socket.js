@@ -1,6 +1,9 @@
 // Singleton to store Socket.IO instance
 let ioInstance = null;
 
+// Every socket joins the room of its user (websocket/socket.handler.js)
+const userRoom = (userId) => `user:${userId}`;
+
 module.exports = {
   setIO: (io) => {
     ioInstance = io;
@@ -8,4 +11,9 @@ module.exports = {
   getIO: () => {
     return ioInstance;
   },
+  userRoom,
+  /** Emit to every socket of one user; a no-op before Socket.IO is set up (scripts, tests). */
+  emitToUser: (userId, event, payload) => {
+    if (ioInstance && userId) ioInstance.to(userRoom(userId)).emit(event, payload);
+  },
 };
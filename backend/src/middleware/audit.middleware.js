@@ -0,0 +1,63 @@
+const auditService = require('../services/audit.service');
+
+/**
+ * Record the request in the audit log once the response is finished.
+ * Place first on a mutating route so requests rejected by authorize/validate are recorded too.
+ * Controllers can add fields they only know after loading the target (see annotateAudit).
+ *
+ * @param {string} action e.g. 'container.restart'; the part before the dot is the target type
+ * @param {{ serverParam?: string, targetParam?: string }} [options] req.params names for the server id and target id
+ */
+const audit = (action, { serverParam = 'serverId', targetParam } = {}) => {
+  const targetType = action.split('.')[0];
+
+  return function auditMiddleware(req, res, next) {
+    const startedAt = Date.now();
+    let responseBody;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.once('close', () => {
+      const annotations = res.locals.audit || {};
+      let outcome = 'success';
+      if (!res.writableFinished) outcome = 'unknown';
+      else if (res.statusCode >= 400 || (responseBody && responseBody.success === false)) outcome = 'failure';
+
+      const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+
+      auditService.record({
+        userId: req.user?.id,
+        userEmail: req.user?.email,
+        serverId: annotations.serverId ?? req.params[serverParam],
+        action,
+        targetType,
+        targetId: annotations.targetId ?? (targetParam ? req.params[targetParam] : undefined),
+        targetName: annotations.targetName,
+        params: auditService.sanitizeParams(params),
+        outcome,
+        statusCode: res.statusCode,
+        error: outcome === 'failure' ? (responseBody?.error || responseBody?.message) : undefined,
+        ip: req.ip,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+
+    next();
+  };
+};
+
+/**
+ * Attach details to the pending audit entry of this request (e.g. the stack's serverId and name).
+ */
+const annotateAudit = (res, fields) => {
+  res.locals.audit = { ...(res.locals.audit || {}), ...fields };
+};
+
+module.exports = {
+  audit,
+  annotateAudit,
+};
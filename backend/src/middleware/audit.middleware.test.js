@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const auditService = require('../services/audit.service');
+const { audit, annotateAudit } = require('./audit.middleware');
+
+const ROUTERS = [
+  'app-config/app-config.routes',
+  'backup/backup.routes',
+  'backup-schedules/backup-schedules.routes',
+  'backup-targets/backup-targets.routes',
+  'containers/containers.routes',
+  'disk-cleanup/disk-cleanup.routes',
+  'fleet-stacks/fleet-stacks.routes',
+  'grouping/grouping.routes',
+  'hooks/hooks.routes',
+  'images/images.routes',
+  'monitoring/monitoring.routes',
+  'notifications/notifications.routes',
+  'registry-credentials/registry-credentials.routes',
+  'update-policies/update-policies.routes',
+  'servers/servers.routes',
+  'stack-templates/stack-templates.routes',
+  'stacks/stacks.routes',
+  'update-overview/update-overview.routes',
+  'users/users.routes',
+  'volumes/volumes.routes',
+];
+
+// Mutating routes without audit() on the route, by router: 'METHOD path'
+const UNAUDITED = {
+  // Public webhook: the controller audits only requests whose signature verifies
+  'hooks/hooks.routes': ['POST /stacks/:id'],
+  // Read-only lint of a compose file, called as the editor changes
+  'stacks/stacks.routes': ['POST /validate'],
+};
+
+function fakeReqRes({ params = {}, body = {} } = {}) {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.writableFinished = true;
+  res.json = () => res;
+  const req = { params, query: {}, body, ip: '10.0.0.1', user: { id: 'u1', email: 'admin@example.com' } };
+  return { req, res };
+}
+
+test('every mutating API route is audited', () => {
+  for (const name of ROUTERS) {
+    const router = require(`../modules/${name}`);
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const methods = Object.keys(layer.route.methods);
+      if (methods.every((m) => m === 'get')) continue;
+      if ((UNAUDITED[name] || []).includes(`${methods.join(',').toUpperCase()} ${layer.route.path}`)) continue;
+      const audited = layer.route.stack.some((l) => l.name === 'auditMiddleware');
+      assert.ok(audited, `${methods.join(',').toUpperCase()} ${layer.route.path} in ${name} has no audit()`);
+    }
+  }
+});
+
+test('audit records outcome, target, annotations and redacted params when the response closes', async (t) => {
+  const entries = [];
+  t.mock.method(auditService, 'record', async (entry) => { entries.push(entry); });
+  const { req, res } = fakeReqRes({ params: { serverId: 's1', containerId: 'c1' }, body: { newName: 'web2', password: 'x' } });
+
+  audit('container.rename', { targetParam: 'containerId' })(req, res, () => {});
+  annotateAudit(res, { targetName: 'web' });
+  res.statusCode = 500;
+  res.json({ error: 'boom' });
+  res.emit('close');
+
+  assert.strictEqual(entries.length, 1);
+  const e = entries[0];
+  assert.strictEqual(e.action, 'container.rename');
+  assert.strictEqual(e.targetType, 'container');
+  assert.strictEqual(e.serverId, 's1');
+  assert.strictEqual(e.targetId, 'c1');
+  assert.strictEqual(e.targetName, 'web');
+  assert.strictEqual(e.outcome, 'failure');
+  assert.strictEqual(e.error, 'boom');
+  assert.strictEqual(e.userEmail, 'admin@example.com');
+  assert.deepStrictEqual(e.params, { newName: 'web2', password: auditService.REDACTED });
+});
+
+test('audit treats success:false bodies as failures and aborted responses as unknown', async (t) => {
+  const entries = [];
+  t.mock.method(auditService, 'record', async (entry) => { entries.push(entry); });
+
+  const a = fakeReqRes();
+  audit('stack.deploy')(a.req, a.res, () => {});
+  a.res.json({ success: false, output: '' });
+  a.res.emit('close');
+
+  const b = fakeReqRes();
+  audit('stack.deploy')(b.req, b.res, () => {});
+  b.res.writableFinished = false;
+  b.res.emit('close');
+
+  assert.deepStrictEqual(entries.map((e) => e.outcome), ['failure', 'unknown']);
+});
@@ -0,0 +1,22 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('terminal_sessions', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      server_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      kind: { type: Sequelize.STRING(16), allowNull: false, comment: 'host | container' },
+      container_id: { type: Sequelize.STRING(64), allowNull: true },
+      client_ip: { type: Sequelize.STRING(64), allowNull: true },
+      started_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      ended_at: { type: Sequelize.DATE, allowNull: true },
+      exit_code: { type: Sequelize.INTEGER, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('terminal_sessions', ['server_id', 'started_at'], { name: 'terminal_sessions_server_id_started_at' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('terminal_sessions');
+  },
+};
@@ -0,0 +1,32 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // No foreign keys: the audit trail must outlive the users and servers it refers to,
+    // so user email and server name are snapshotted at write time.
+    await queryInterface.createTable('audit_logs', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: true },
+      user_email: { type: Sequelize.STRING, allowNull: true },
+      server_id: { type: Sequelize.UUID, allowNull: true },
+      server_name: { type: Sequelize.STRING, allowNull: true },
+      action: { type: Sequelize.STRING(64), allowNull: false, comment: 'e.g. container.start, stack.deploy' },
+      target_type: { type: Sequelize.STRING(32), allowNull: true },
+      target_id: { type: Sequelize.STRING(255), allowNull: true },
+      target_name: { type: Sequelize.STRING(255), allowNull: true },
+      params: { type: Sequelize.JSONB, allowNull: true, comment: 'Sanitized request parameters (secrets redacted)' },
+      outcome: { type: Sequelize.STRING(16), allowNull: false, comment: 'success | failure | unknown' },
+      status_code: { type: Sequelize.INTEGER, allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      ip: { type: Sequelize.STRING(64), allowNull: true },
+      duration_ms: { type: Sequelize.INTEGER, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('audit_logs', ['created_at'], { name: 'audit_logs_created_at' });
+    await queryInterface.addIndex('audit_logs', ['user_id', 'created_at'], { name: 'audit_logs_user_id_created_at' });
+    await queryInterface.addIndex('audit_logs', ['server_id', 'created_at'], { name: 'audit_logs_server_id_created_at' });
+    await queryInterface.addIndex('audit_logs', ['action'], { name: 'audit_logs_action' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('audit_logs');
+  },
+};
@@ -0,0 +1,65 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One row per series per time bucket; resolution is the bucket size in seconds (raw samples
+    // land in the finest tier and are rolled up into coarser ones by metrics.service).
+    await queryInterface.createTable('container_metrics', {
+      id: { type: Sequelize.BIGINT, autoIncrement: true, primaryKey: true },
+      server_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'servers', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      container_name: { type: Sequelize.STRING(255), allowNull: false, comment: 'Series key: survives container recreation' },
+      container_id: { type: Sequelize.STRING(64), allowNull: true, comment: 'Last container ID seen in the bucket' },
+      resolution: { type: Sequelize.INTEGER, allowNull: false },
+      bucket_start: { type: Sequelize.DATE, allowNull: false },
+      samples: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      cpu_percent: { type: Sequelize.FLOAT, allowNull: true },
+      mem_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      mem_limit_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      net_rx_bytes: { type: Sequelize.BIGINT, allowNull: true, comment: 'Cumulative counter at end of bucket' },
+      net_tx_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      block_read_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      block_write_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      pids: { type: Sequelize.INTEGER, allowNull: true },
+    });
+    await queryInterface.addIndex('container_metrics', ['server_id', 'container_name', 'resolution', 'bucket_start'], {
+      unique: true,
+      name: 'container_metrics_series_bucket',
+    });
+    await queryInterface.addIndex('container_metrics', ['resolution', 'bucket_start'], { name: 'container_metrics_resolution_bucket' });
+
+    await queryInterface.createTable('host_metrics', {
+      id: { type: Sequelize.BIGINT, autoIncrement: true, primaryKey: true },
+      server_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'servers', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      resolution: { type: Sequelize.INTEGER, allowNull: false },
+      bucket_start: { type: Sequelize.DATE, allowNull: false },
+      samples: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 1 },
+      cpu_percent: { type: Sequelize.FLOAT, allowNull: true },
+      load1: { type: Sequelize.FLOAT, allowNull: true },
+      load5: { type: Sequelize.FLOAT, allowNull: true },
+      load15: { type: Sequelize.FLOAT, allowNull: true },
+      disk_used_percent: { type: Sequelize.FLOAT, allowNull: true },
+      disk_used_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      disk_total_bytes: { type: Sequelize.BIGINT, allowNull: true },
+    });
+    await queryInterface.addIndex('host_metrics', ['server_id', 'resolution', 'bucket_start'], {
+      unique: true,
+      name: 'host_metrics_series_bucket',
+    });
+    await queryInterface.addIndex('host_metrics', ['resolution', 'bucket_start'], { name: 'host_metrics_resolution_bucket' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('host_metrics');
+    await queryInterface.dropTable('container_metrics');
+  },
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Thresholds in percent; NULL turns the rule off
+    await queryInterface.addColumn('monitoring_settings', 'container_cpu_alert_percent', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('monitoring_settings', 'container_memory_alert_percent', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: 90,
+    });
+    await queryInterface.addColumn('monitoring_settings', 'host_cpu_alert_percent', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('monitoring_settings', 'host_disk_alert_percent', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      defaultValue: 85,
+    });
+    await queryInterface.addColumn('monitoring_settings', 'resource_alert_duration_ms', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 300000, // 5 minutes
+    });
+    await queryInterface.addColumn('monitoring_settings', 'resource_alert_cooldown_ms', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 3600000, // 1 hour
+    });
+    await queryInterface.addColumn('monitoring_settings', 'alert_on_resource_recovery', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    });
+    await queryInterface.addColumn('monitoring_settings', 'resource_alert_overrides', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('monitoring_settings', 'container_cpu_alert_percent');
+    await queryInterface.removeColumn('monitoring_settings', 'container_memory_alert_percent');
+    await queryInterface.removeColumn('monitoring_settings', 'host_cpu_alert_percent');
+    await queryInterface.removeColumn('monitoring_settings', 'host_disk_alert_percent');
+    await queryInterface.removeColumn('monitoring_settings', 'resource_alert_duration_ms');
+    await queryInterface.removeColumn('monitoring_settings', 'resource_alert_cooldown_ms');
+    await queryInterface.removeColumn('monitoring_settings', 'alert_on_resource_recovery');
+    await queryInterface.removeColumn('monitoring_settings', 'resource_alert_overrides');
+  },
+};
@@ -0,0 +1,35 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('notification_channels', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING(100), allowNull: false },
+      type: { type: Sequelize.STRING(20), allowNull: false, comment: 'webhook | slack | discord | ntfy | gotify' },
+      enabled: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      config_encrypted: { type: Sequelize.JSON, allowNull: false, comment: 'Encrypted JSON driver config (URLs and tokens)' },
+      alert_types: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      last_sent_at: { type: Sequelize.DATE, allowNull: true },
+      last_error: { type: Sequelize.TEXT, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('notification_channels', ['user_id']);
+
+    // Alert types delivered by email; NULL = all (behaviour before channels existed)
+    await queryInterface.addColumn('monitoring_settings', 'email_alert_types', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeColumn('monitoring_settings', 'email_alert_types');
+    await queryInterface.dropTable('notification_channels');
+  },
+};
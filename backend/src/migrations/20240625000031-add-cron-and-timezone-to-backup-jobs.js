@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_backup_jobs_schedule_type" ADD VALUE IF NOT EXISTS 'cron'`);
+    // IANA zone for daily, weekly and cron schedules; existing jobs keep running in UTC
+    await queryInterface.addColumn('backup_jobs', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('backup_jobs', 'timezone');
+    // Enum values cannot be dropped; turn cron jobs into daily 02:00 jobs so the type stays valid for older code
+    await queryInterface.sequelize.query(
+      `UPDATE backup_jobs SET schedule_type = 'daily', schedule_config = '{"hour":2,"minute":0}' WHERE schedule_type = 'cron'`
+    );
+  },
+};
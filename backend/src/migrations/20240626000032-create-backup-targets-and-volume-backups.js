@@ -0,0 +1,85 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('backup_targets', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING(100), allowNull: false },
+      type: { type: Sequelize.STRING(20), allowNull: false, comment: 'local | s3' },
+      config_encrypted: { type: Sequelize.JSON, allowNull: false, comment: 'Encrypted JSON target config (path, or endpoint/bucket/keys)' },
+      last_error: { type: Sequelize.TEXT, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('backup_targets', ['user_id']);
+
+    await queryInterface.createTable('volume_backups', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      backup_target_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'backup_targets', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      backup_job_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'backup_jobs', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      server_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'servers', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      server_name: { type: Sequelize.STRING, allowNull: true },
+      container_name: { type: Sequelize.STRING, allowNull: false },
+      object_key: { type: Sequelize.STRING(1024), allowNull: false },
+      status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'running', comment: 'running | completed | failed' },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      size_bytes: { type: Sequelize.BIGINT, allowNull: true },
+      sha256: { type: Sequelize.STRING(64), allowNull: true },
+      manifest: { type: Sequelize.JSONB, allowNull: true, comment: 'Per-mount archive manifest from the bundle' },
+      completed_at: { type: Sequelize.DATE, allowNull: true },
+      restore_status: { type: Sequelize.STRING(20), allowNull: true, comment: 'running | completed | failed' },
+      restore_result: { type: Sequelize.JSONB, allowNull: true },
+      restore_error: { type: Sequelize.TEXT, allowNull: true },
+      restored_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('volume_backups', ['user_id', 'created_at']);
+    await queryInterface.addIndex('volume_backups', ['backup_target_id', 'server_id', 'container_name']);
+
+    // Scheduled jobs can also export each run's volumes to a target
+    await queryInterface.addColumn('backup_jobs', 'backup_target_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'backup_targets', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeColumn('backup_jobs', 'backup_target_id');
+    await queryInterface.dropTable('volume_backups');
+    await queryInterface.dropTable('backup_targets');
+  },
+};
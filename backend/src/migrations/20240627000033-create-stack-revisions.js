@@ -0,0 +1,23 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stack_revisions', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      stack_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      revision: { type: Sequelize.INTEGER, allowNull: false, comment: 'Per-stack sequence number starting at 1' },
+      kind: { type: Sequelize.STRING(20), allowNull: false, comment: 'create | save | deploy | rollback | import' },
+      compose_yaml: { type: Sequelize.TEXT, allowNull: false },
+      env: { type: Sequelize.JSONB, allowNull: false, defaultValue: [], comment: 'Env rows as stored (secrets still encrypted)' },
+      user_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      author_email: { type: Sequelize.STRING, allowNull: true },
+      deploy_status: { type: Sequelize.STRING(20), allowNull: true, comment: 'deployed | error for deploy and rollback revisions' },
+      deploy_output: { type: Sequelize.TEXT, allowNull: true },
+      rolled_back_from: { type: Sequelize.INTEGER, allowNull: true, comment: 'Revision number restored by a rollback' },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('stack_revisions', ['stack_id', 'revision'], { unique: true, name: 'stack_revisions_stack_id_revision_unique' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('stack_revisions');
+  },
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('stacks', 'drift_status', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      comment: 'in-sync | drifted | unknown; null until checked',
+    });
+    await queryInterface.addColumn('stacks', 'drift_checked_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('stacks', 'drift', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Summary of the last check (changed files, env keys, services); never holds values',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('stacks', 'drift');
+    await queryInterface.removeColumn('stacks', 'drift_checked_at');
+    await queryInterface.removeColumn('stacks', 'drift_status');
+  },
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Stacks with source = 'git' take their compose file from a repository branch
+    await queryInterface.addColumn('stacks', 'git_repo_url', { type: Sequelize.STRING(1024), allowNull: true });
+    await queryInterface.addColumn('stacks', 'git_branch', { type: Sequelize.STRING(255), allowNull: true });
+    await queryInterface.addColumn('stacks', 'git_compose_path', { type: Sequelize.STRING(512), allowNull: true });
+    await queryInterface.addColumn('stacks', 'git_credentials_encrypted', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Encrypted { username, token } for HTTPS repositories',
+    });
+    await queryInterface.addColumn('stacks', 'webhook_secret_encrypted', { type: Sequelize.JSON, allowNull: true });
+    await queryInterface.addColumn('stacks', 'git_commit', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'Commit the stored compose YAML was taken from',
+    });
+    await queryInterface.addColumn('stacks', 'git_synced_at', { type: Sequelize.DATE, allowNull: true });
+    await queryInterface.addColumn('stacks', 'git_sync_error', { type: Sequelize.TEXT, allowNull: true });
+    await queryInterface.addColumn('stacks', 'last_deployed_commit', { type: Sequelize.STRING(64), allowNull: true });
+    await queryInterface.addColumn('stack_revisions', 'commit_sha', { type: Sequelize.STRING(64), allowNull: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('stack_revisions', 'commit_sha');
+    for (const column of [
+      'last_deployed_commit', 'git_sync_error', 'git_synced_at', 'git_commit', 'webhook_secret_encrypted',
+      'git_credentials_encrypted', 'git_compose_path', 'git_branch', 'git_repo_url',
+    ]) {
+      await queryInterface.removeColumn('stacks', column);
+    }
+  },
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Final per-service state of a deploy; deploy_output now holds the full streamed transcript
+    await queryInterface.addColumn('stack_revisions', 'deploy_services', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: '[{ service, state }] at the end of the deploy',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('stack_revisions', 'deploy_services');
+  },
+};
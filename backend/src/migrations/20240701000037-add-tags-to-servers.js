@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Free-form labels (e.g. "edge", "monitoring") used to target groups of servers
+    await queryInterface.addColumn('servers', 'tags', { type: Sequelize.JSONB, allowNull: false, defaultValue: [] });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('servers', 'tags');
+  },
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('fleet_stacks', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      name: { type: Sequelize.STRING, allowNull: false },
+      compose_yaml: { type: Sequelize.TEXT, allowNull: false },
+      server_ids: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      server_tag: { type: Sequelize.STRING(64), allowNull: true, comment: 'Also target every server carrying this tag' },
+      last_deployed_at: { type: Sequelize.DATE, allowNull: true },
+      last_deploy_status: { type: Sequelize.STRING, allowNull: true },
+      last_deploy: { type: Sequelize.JSONB, allowNull: true, comment: 'Per-server outcome of the last rolling deploy' },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('fleet_stacks', ['user_id', 'name'], { unique: true, name: 'fleet_stacks_user_id_name_unique' });
+
+    // server_id null = base value for every server, else an override for that server
+    await queryInterface.createTable('fleet_stack_env_vars', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      fleet_stack_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'fleet_stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      server_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      key: { type: Sequelize.STRING, allowNull: false },
+      value: { type: Sequelize.TEXT, allowNull: true },
+      is_secret: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('fleet_stack_env_vars', ['fleet_stack_id', 'server_id']);
+
+    await queryInterface.addColumn('stacks', 'fleet_stack_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'fleet_stacks', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Fleet stack this stack is the per-server copy of',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('stacks', 'fleet_stack_id');
+    await queryInterface.dropTable('fleet_stack_env_vars');
+    await queryInterface.dropTable('fleet_stacks');
+  },
+};
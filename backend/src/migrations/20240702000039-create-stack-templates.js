@@ -0,0 +1,26 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stack_templates', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      name: { type: Sequelize.STRING(100), allowNull: false },
+      description: { type: Sequelize.TEXT, allowNull: true },
+      compose_yaml: { type: Sequelize.TEXT, allowNull: false },
+      variables: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: '[{ name, description, default, secret, required, generate }]',
+      },
+      web_service: { type: Sequelize.STRING, allowNull: true },
+      web_port_variable: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('stack_templates', ['user_id', 'name'], { unique: true, name: 'stack_templates_user_id_name_unique' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('stack_templates');
+  },
+};
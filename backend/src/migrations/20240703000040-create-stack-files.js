@@ -0,0 +1,24 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('stack_files', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      stack_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      path: { type: Sequelize.STRING(255), allowNull: false, comment: 'Relative to the stack deploy path' },
+      content: { type: Sequelize.TEXT, allowNull: false, defaultValue: '' },
+      is_secret: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('stack_files', ['stack_id', 'path'], { unique: true, name: 'stack_files_stack_id_path_unique' });
+    await queryInterface.addColumn('stack_revisions', 'files', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: '[{ path, content, isSecret, digest? }]; null on revisions recorded before stack files existed',
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeColumn('stack_revisions', 'files');
+    await queryInterface.dropTable('stack_files');
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('registry_credentials', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      host: { type: Sequelize.STRING(255), allowNull: false, comment: 'Registry host[:port]; docker.io for Docker Hub' },
+      username: { type: Sequelize.STRING(255), allowNull: false },
+      token_encrypted: { type: Sequelize.JSON, allowNull: false },
+      insecure: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false, comment: 'Plain HTTP registry' },
+      last_tested_at: { type: Sequelize.DATE, allowNull: true },
+      last_error: { type: Sequelize.TEXT, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('registry_credentials', ['user_id', 'host'], { unique: true, name: 'registry_credentials_user_id_host_unique' });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('registry_credentials');
+  },
+};
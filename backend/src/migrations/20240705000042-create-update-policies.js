@@ -0,0 +1,50 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('update_policies', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      scope_type: { type: Sequelize.STRING(20), allowNull: false, comment: 'container | group | stack' },
+      // Container name, grouping rule group name or stack id
+      target: { type: Sequelize.STRING(255), allowNull: false },
+      // Container policies apply on one server; group policies on all servers when null
+      server_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      mode: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'notify', comment: 'off | notify | auto' },
+      version_constraint: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'minor', comment: 'patch | minor | any' },
+      maintenance_window: { type: Sequelize.JSONB, allowNull: true, comment: '{ days: [0-6], start: "HH:MM", end: "HH:MM" }; null = any time' },
+      timezone: { type: Sequelize.STRING(64), allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('update_policies', ['user_id', 'scope_type', 'target', 'server_id'], { unique: true, name: 'update_policies_scope_unique' });
+
+    await queryInterface.createTable('update_history', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      server_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      policy_id: { type: Sequelize.UUID, allowNull: true, references: { model: 'update_policies', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL' },
+      trigger: { type: Sequelize.STRING(20), allowNull: false, comment: 'manual | policy' },
+      container_name: { type: Sequelize.STRING(255), allowNull: false },
+      success: { type: Sequelize.BOOLEAN, allowNull: false },
+      previous_image_ref: { type: Sequelize.STRING(512), allowNull: true },
+      new_image_ref: { type: Sequelize.STRING(512), allowNull: true },
+      previous_version: { type: Sequelize.STRING(255), allowNull: true },
+      new_version: { type: Sequelize.STRING(255), allowNull: true },
+      available_digest: { type: Sequelize.STRING(100), allowNull: true },
+      error: { type: Sequelize.TEXT, allowNull: true },
+      steps: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+    await queryInterface.addIndex('update_history', ['user_id', 'created_at'], { name: 'update_history_user_id_created_at' });
+    await queryInterface.addIndex('update_history', ['server_id', 'container_name'], { name: 'update_history_server_id_container_name' });
+
+    await queryInterface.addColumn('servers', 'auto_update_concurrency', {
+      type: Sequelize.INTEGER, allowNull: false, defaultValue: 1, comment: 'Containers updated at once by auto-update policies',
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeColumn('servers', 'auto_update_concurrency');
+    await queryInterface.dropTable('update_history');
+    await queryInterface.dropTable('update_policies');
+  },
+};
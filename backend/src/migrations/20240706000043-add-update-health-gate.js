@@ -0,0 +1,17 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('update_policies', 'health_gate', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: '{ timeoutSeconds, probe: { type: "http"|"tcp", port, path? } | null }; null = update without a health check',
+    });
+    await queryInterface.addColumn('update_history', 'rolled_back', {
+      type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false,
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeColumn('update_history', 'rolled_back');
+    await queryInterface.removeColumn('update_policies', 'health_gate');
+  },
+};
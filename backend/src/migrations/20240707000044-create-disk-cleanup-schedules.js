@@ -0,0 +1,23 @@
+'use strict';
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('disk_cleanup_schedules', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true },
+      user_id: { type: Sequelize.UUID, allowNull: false, references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      server_id: { type: Sequelize.UUID, allowNull: false, unique: true, references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE' },
+      enabled: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      cron_expression: { type: Sequelize.STRING(200), allowNull: false },
+      timezone: { type: Sequelize.STRING(64), allowNull: true },
+      categories: { type: Sequelize.JSONB, allowNull: false, comment: 'Subset of containers | images | volumes | networks | buildCache' },
+      options: { type: Sequelize.JSONB, allowNull: false, defaultValue: {}, comment: '{ allImages, namedVolumes }' },
+      last_run_at: { type: Sequelize.DATE, allowNull: true },
+      next_run_at: { type: Sequelize.DATE, allowNull: true },
+      last_result: { type: Sequelize.JSONB, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.dropTable('disk_cleanup_schedules');
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+module.exports = {
+  async up(queryInterface) {
+    // update_policies_scope_unique cannot catch group policies for all servers: NULL server_ids never collide.
+    // Keep the most recently updated of any such duplicates so the index can be built.
+    await queryInterface.sequelize.query(`
+      DELETE FROM update_policies p USING update_policies q
+      WHERE p.server_id IS NULL AND q.server_id IS NULL
+        AND p.user_id = q.user_id AND p.scope_type = q.scope_type AND p.target = q.target
+        AND (p.updated_at, p.id) < (q.updated_at, q.id)
+    `);
+    await queryInterface.addIndex('update_policies', ['user_id', 'scope_type', 'target'], {
+      unique: true,
+      where: { server_id: null },
+      name: 'update_policies_scope_unique_all_servers',
+    });
+  },
+  async down(queryInterface) {
+    await queryInterface.removeIndex('update_policies', 'update_policies_scope_unique_all_servers');
+  },
+};
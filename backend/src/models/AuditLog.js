@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AuditLog = sequelize.define(
+    'AuditLog',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: { type: DataTypes.UUID, allowNull: true, field: 'user_id' },
+      userEmail: { type: DataTypes.STRING, allowNull: true, field: 'user_email' },
+      serverId: { type: DataTypes.UUID, allowNull: true, field: 'server_id' },
+      serverName: { type: DataTypes.STRING, allowNull: true, field: 'server_name' },
+      action: { type: DataTypes.STRING(64), allowNull: false },
+      targetType: { type: DataTypes.STRING(32), allowNull: true, field: 'target_type' },
+      targetId: { type: DataTypes.STRING(255), allowNull: true, field: 'target_id' },
+      targetName: { type: DataTypes.STRING(255), allowNull: true, field: 'target_name' },
+      params: { type: DataTypes.JSONB, allowNull: true },
+      outcome: { type: DataTypes.STRING(16), allowNull: false },
+      statusCode: { type: DataTypes.INTEGER, allowNull: true, field: 'status_code' },
+      error: { type: DataTypes.TEXT, allowNull: true },
+      ip: { type: DataTypes.STRING(64), allowNull: true },
+      durationMs: { type: DataTypes.INTEGER, allowNull: true, field: 'duration_ms' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+    },
+    { tableName: 'audit_logs', timestamps: true, updatedAt: false }
+  );
+  return AuditLog;
+};
@@ -23,7 +23,7 @@ module.exports = (sequelize) => {
         comment: 'Optional label for the job',
       },
       scheduleType: {
-        type: DataTypes.ENUM('interval', 'daily', 'weekly'),
+        type: DataTypes.ENUM('interval', 'daily', 'weekly', 'cron'),
         allowNull: false,
         field: 'schedule_type',
       },
@@ -31,6 +31,22 @@ module.exports = (sequelize) => {
         type: DataTypes.JSONB,
         allowNull: false,
         field: 'schedule_config',
+        comment: 'interval: { intervalHours }, daily: { hour, minute }, weekly: { dayOfWeek, hour, minute }, cron: { expression }',
+      },
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC',
+        comment: 'IANA zone for daily, weekly and cron schedules',
+      },
+      backupTargetId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'backup_target_id',
+        references: { model: 'backup_targets', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+        comment: 'Export each run\'s volumes to this target',
       },
       retention: {
         type: DataTypes.INTEGER,
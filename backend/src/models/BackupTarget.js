@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+module.exports = (sequelize) => {
+  const BackupTarget = sequelize.define(
+    'BackupTarget',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      // Target config (directory, or S3 endpoint and keys); assign a plain object, stored encrypted
+      configEncrypted: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'config_encrypted',
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'last_error',
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at',
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'updated_at',
+      },
+    },
+    {
+      tableName: 'backup_targets',
+      timestamps: true,
+      hooks: {
+        beforeSave: async (target) => {
+          const value = target.configEncrypted;
+          if (target.changed('configEncrypted') && value && !value.encryptedData) {
+            target.configEncrypted = encrypt(JSON.stringify(value));
+          }
+        },
+      },
+    }
+  );
+
+  BackupTarget.prototype.getConfig = function () {
+    return JSON.parse(decrypt(this.configEncrypted));
+  };
+
+  return BackupTarget;
+};
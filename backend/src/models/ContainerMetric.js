@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ContainerMetric = sequelize.define(
+    'ContainerMetric',
+    {
+      id: { type: DataTypes.BIGINT, autoIncrement: true, primaryKey: true },
+      serverId: { type: DataTypes.UUID, allowNull: false, field: 'server_id' },
+      containerName: { type: DataTypes.STRING(255), allowNull: false, field: 'container_name' },
+      containerId: { type: DataTypes.STRING(64), allowNull: true, field: 'container_id' },
+      resolution: { type: DataTypes.INTEGER, allowNull: false },
+      bucketStart: { type: DataTypes.DATE, allowNull: false, field: 'bucket_start' },
+      samples: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      cpuPercent: { type: DataTypes.FLOAT, allowNull: true, field: 'cpu_percent' },
+      memBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'mem_bytes' },
+      memLimitBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'mem_limit_bytes' },
+      netRxBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'net_rx_bytes' },
+      netTxBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'net_tx_bytes' },
+      blockReadBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'block_read_bytes' },
+      blockWriteBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'block_write_bytes' },
+      pids: { type: DataTypes.INTEGER, allowNull: true },
+    },
+    { tableName: 'container_metrics', timestamps: false, indexes: [{ unique: true, fields: ['server_id', 'container_name', 'resolution', 'bucket_start'] }] }
+  );
+  return ContainerMetric;
+};
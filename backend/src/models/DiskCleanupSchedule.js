@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DiskCleanupSchedule = sequelize.define(
+    'DiskCleanupSchedule',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // One schedule per server
+      serverId: {
+        type: DataTypes.UUID, allowNull: false, unique: true, field: 'server_id',
+        references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      cronExpression: { type: DataTypes.STRING(200), allowNull: false, field: 'cron_expression' },
+      timezone: { type: DataTypes.STRING(64), allowNull: true },
+      // Subset of diskCleanupService.CATEGORIES
+      categories: { type: DataTypes.JSONB, allowNull: false },
+      // { allImages, namedVolumes } as for a manual cleanup
+      options: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+      lastRunAt: { type: DataTypes.DATE, allowNull: true, field: 'last_run_at' },
+      nextRunAt: { type: DataTypes.DATE, allowNull: true, field: 'next_run_at' },
+      // Outcome of the last run: { at, removed, failed, reclaimedBytes, freedBytes, error? }
+      lastResult: { type: DataTypes.JSONB, allowNull: true, field: 'last_result' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    {
+      tableName: 'disk_cleanup_schedules',
+      timestamps: true,
+    }
+  );
+  return DiskCleanupSchedule;
+};
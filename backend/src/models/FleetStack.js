@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FleetStack = sequelize.define(
+    'FleetStack',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      composeYaml: { type: DataTypes.TEXT, allowNull: false, field: 'compose_yaml' },
+      serverIds: { type: DataTypes.JSONB, allowNull: false, defaultValue: [], field: 'server_ids' },
+      // Every server carrying this tag is a target too, including servers tagged later
+      serverTag: { type: DataTypes.STRING(64), allowNull: true, field: 'server_tag' },
+      lastDeployedAt: { type: DataTypes.DATE, allowNull: true, field: 'last_deployed_at' },
+      lastDeployStatus: { type: DataTypes.STRING, allowNull: true, field: 'last_deploy_status' },
+      // [{ serverId, serverName, stackId, status, error?, revision? }] of the last rolling deploy
+      lastDeploy: { type: DataTypes.JSONB, allowNull: true, field: 'last_deploy' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    { tableName: 'fleet_stacks', timestamps: true, indexes: [{ unique: true, fields: ['user_id', 'name'] }] }
+  );
+  return FleetStack;
+};
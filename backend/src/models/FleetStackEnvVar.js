@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FleetStackEnvVar = sequelize.define(
+    'FleetStackEnvVar',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      fleetStackId: {
+        type: DataTypes.UUID, allowNull: false, field: 'fleet_stack_id',
+        references: { model: 'fleet_stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // null = base value for every server; otherwise an override for that server
+      serverId: {
+        type: DataTypes.UUID, allowNull: true, field: 'server_id',
+        references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      key: { type: DataTypes.STRING, allowNull: false },
+      value: { type: DataTypes.TEXT, allowNull: true },
+      isSecret: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false, field: 'is_secret' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    { tableName: 'fleet_stack_env_vars', timestamps: true, indexes: [{ fields: ['fleet_stack_id', 'server_id'] }] }
+  );
+  return FleetStackEnvVar;
+};
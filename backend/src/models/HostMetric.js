@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HostMetric = sequelize.define(
+    'HostMetric',
+    {
+      id: { type: DataTypes.BIGINT, autoIncrement: true, primaryKey: true },
+      serverId: { type: DataTypes.UUID, allowNull: false, field: 'server_id' },
+      resolution: { type: DataTypes.INTEGER, allowNull: false },
+      bucketStart: { type: DataTypes.DATE, allowNull: false, field: 'bucket_start' },
+      samples: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      cpuPercent: { type: DataTypes.FLOAT, allowNull: true, field: 'cpu_percent' },
+      load1: { type: DataTypes.FLOAT, allowNull: true },
+      load5: { type: DataTypes.FLOAT, allowNull: true },
+      load15: { type: DataTypes.FLOAT, allowNull: true },
+      diskUsedPercent: { type: DataTypes.FLOAT, allowNull: true, field: 'disk_used_percent' },
+      diskUsedBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'disk_used_bytes' },
+      diskTotalBytes: { type: DataTypes.BIGINT, allowNull: true, field: 'disk_total_bytes' },
+    },
+    { tableName: 'host_metrics', timestamps: false, indexes: [{ unique: true, fields: ['server_id', 'resolution', 'bucket_start'] }] }
+  );
+  return HostMetric;
+};
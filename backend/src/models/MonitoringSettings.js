@@ -93,6 +93,66 @@ module.exports = (sequelize) => {
         allowNull: true,
         field: 'last_update_alert_sent_at',
       },
+      // Resource threshold alerts (percent; null = rule off)
+      containerCpuAlertPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'container_cpu_alert_percent',
+        validate: { min: 1, max: 100 },
+      },
+      containerMemoryAlertPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 90,
+        field: 'container_memory_alert_percent',
+        validate: { min: 1, max: 100 },
+      },
+      hostCpuAlertPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'host_cpu_alert_percent',
+        validate: { min: 1, max: 100 },
+      },
+      hostDiskAlertPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 85,
+        field: 'host_disk_alert_percent',
+        validate: { min: 1, max: 100 },
+      },
+      resourceAlertDurationMs: {
+        type: DataTypes.INTEGER,
+        defaultValue: 300000, // 5 minutes above the threshold before alerting
+        allowNull: false,
+        field: 'resource_alert_duration_ms',
+        validate: { min: 0 },
+      },
+      resourceAlertCooldownMs: {
+        type: DataTypes.INTEGER,
+        defaultValue: 3600000, // 1 hour
+        allowNull: false,
+        field: 'resource_alert_cooldown_ms',
+        validate: { min: 0 },
+      },
+      alertOnResourceRecovery: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false,
+        field: 'alert_on_resource_recovery',
+      },
+      // [{ serverId, containerName|null, disabled, <threshold>|null }] - see utils/resourceAlerts.js
+      resourceAlertOverrides: {
+        type: DataTypes.JSONB,
+        defaultValue: [],
+        allowNull: false,
+        field: 'resource_alert_overrides',
+      },
+      // Alert types delivered by email (null = all); other destinations are NotificationChannel rows
+      emailAlertTypes: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        field: 'email_alert_types',
+      },
       createdAt: {
         type: DataTypes.DATE,
         allowNull: false,
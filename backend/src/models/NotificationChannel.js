@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+module.exports = (sequelize) => {
+  const NotificationChannel = sequelize.define(
+    'NotificationChannel',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      type: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      // Driver config (webhook URLs, tokens); assign a plain object, stored encrypted
+      configEncrypted: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        field: 'config_encrypted',
+      },
+      alertTypes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        field: 'alert_types',
+      },
+      lastSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_sent_at',
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'last_error',
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at',
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'updated_at',
+      },
+    },
+    {
+      tableName: 'notification_channels',
+      timestamps: true,
+      hooks: {
+        beforeSave: async (channel) => {
+          const value = channel.configEncrypted;
+          if (channel.changed('configEncrypted') && value && !value.encryptedData) {
+            channel.configEncrypted = encrypt(JSON.stringify(value));
+          }
+        },
+      },
+    }
+  );
+
+  NotificationChannel.prototype.getConfig = function () {
+    return JSON.parse(decrypt(this.configEncrypted));
+  };
+
+  return NotificationChannel;
+};
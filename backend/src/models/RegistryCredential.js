@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+module.exports = (sequelize) => {
+  const RegistryCredential = sequelize.define(
+    'RegistryCredential',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // Registry host[:port] as images name it; Docker Hub is stored as docker.io
+      host: { type: DataTypes.STRING(255), allowNull: false },
+      username: { type: DataTypes.STRING(255), allowNull: false },
+      // Password or access token; assign the plain value, stored encrypted
+      tokenEncrypted: { type: DataTypes.JSON, allowNull: false, field: 'token_encrypted' },
+      // Plain HTTP registry (hosts need it in the daemon's insecure-registries to pull)
+      insecure: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      lastTestedAt: { type: DataTypes.DATE, allowNull: true, field: 'last_tested_at' },
+      lastError: { type: DataTypes.TEXT, allowNull: true, field: 'last_error' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    {
+      tableName: 'registry_credentials',
+      timestamps: true,
+      indexes: [{ unique: true, fields: ['user_id', 'host'] }],
+      hooks: {
+        beforeSave: async (credential) => {
+          const token = credential.tokenEncrypted;
+          if (credential.changed('tokenEncrypted') && typeof token === 'string') {
+            credential.tokenEncrypted = encrypt(token);
+          }
+        },
+      },
+    }
+  );
+
+  RegistryCredential.prototype.getToken = function () {
+    return decrypt(this.tokenEncrypted);
+  };
+
+  return RegistryCredential;
+};
@@ -118,6 +118,19 @@ module.exports = (sequelize) => {
         defaultValue: false,
         field: 'tailscale_accept_routes',
       },
+      // Containers auto-update policies update at once on this server
+      autoUpdateConcurrency: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'auto_update_concurrency',
+      },
+      // Labels used to target groups of servers (fleet stacks)
+      tags: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
       privateKeyEncrypted: {
         type: DataTypes.JSON,
         allowNull: false,
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { encrypt, decrypt } = require('../utils/encryption');
 
 module.exports = (sequelize) => {
   const Stack = sequelize.define(
@@ -15,10 +16,54 @@ module.exports = (sequelize) => {
       source: { type: DataTypes.STRING, allowNull: false, defaultValue: 'created' },
       lastDeployedAt: { type: DataTypes.DATE, allowNull: true, field: 'last_deployed_at' },
       lastDeployStatus: { type: DataTypes.STRING, allowNull: true, field: 'last_deploy_status' },
+      driftStatus: { type: DataTypes.STRING(20), allowNull: true, field: 'drift_status' },
+      driftCheckedAt: { type: DataTypes.DATE, allowNull: true, field: 'drift_checked_at' },
+      drift: { type: DataTypes.JSONB, allowNull: true },
+      gitRepoUrl: { type: DataTypes.STRING(1024), allowNull: true, field: 'git_repo_url' },
+      gitBranch: { type: DataTypes.STRING(255), allowNull: true, field: 'git_branch' },
+      gitComposePath: { type: DataTypes.STRING(512), allowNull: true, field: 'git_compose_path' },
+      // { username, token }; assign a plain object (or null), stored encrypted
+      gitCredentialsEncrypted: { type: DataTypes.JSON, allowNull: true, field: 'git_credentials_encrypted' },
+      // Assign the plain secret, stored encrypted (HMAC verification needs the plain value back)
+      webhookSecretEncrypted: { type: DataTypes.JSON, allowNull: true, field: 'webhook_secret_encrypted' },
+      gitCommit: { type: DataTypes.STRING(64), allowNull: true, field: 'git_commit' },
+      gitSyncedAt: { type: DataTypes.DATE, allowNull: true, field: 'git_synced_at' },
+      gitSyncError: { type: DataTypes.TEXT, allowNull: true, field: 'git_sync_error' },
+      lastDeployedCommit: { type: DataTypes.STRING(64), allowNull: true, field: 'last_deployed_commit' },
+      // Set on the per-server copies of a fleet stack; their compose file and env are written by the fleet
+      fleetStackId: {
+        type: DataTypes.UUID, allowNull: true, field: 'fleet_stack_id',
+        references: { model: 'fleet_stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL',
+      },
       createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
       updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
     },
-    { tableName: 'stacks', timestamps: true, indexes: [{ unique: true, fields: ['server_id', 'name'] }] }
+    {
+      tableName: 'stacks',
+      timestamps: true,
+      indexes: [{ unique: true, fields: ['server_id', 'name'] }],
+      hooks: {
+        beforeSave: async (stack) => {
+          const credentials = stack.gitCredentialsEncrypted;
+          if (stack.changed('gitCredentialsEncrypted') && credentials && !credentials.encryptedData) {
+            stack.gitCredentialsEncrypted = encrypt(JSON.stringify(credentials));
+          }
+          const secret = stack.webhookSecretEncrypted;
+          if (stack.changed('webhookSecretEncrypted') && typeof secret === 'string') {
+            stack.webhookSecretEncrypted = encrypt(secret);
+          }
+        },
+      },
+    }
   );
+
+  Stack.prototype.getGitCredentials = function () {
+    return this.gitCredentialsEncrypted ? JSON.parse(decrypt(this.gitCredentialsEncrypted)) : null;
+  };
+
+  Stack.prototype.getWebhookSecret = function () {
+    return this.webhookSecretEncrypted ? decrypt(this.webhookSecretEncrypted) : null;
+  };
+
   return Stack;
 };
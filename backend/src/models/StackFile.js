@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StackFile = sequelize.define(
+    'StackFile',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      stackId: {
+        type: DataTypes.UUID, allowNull: false, field: 'stack_id',
+        references: { model: 'stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // Relative to the stack's deployPath, e.g. "nginx/default.conf"
+      path: { type: DataTypes.STRING(255), allowNull: false },
+      // Encrypted (stackEnv storeValue) when isSecret
+      content: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+      isSecret: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false, field: 'is_secret' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    { tableName: 'stack_files', timestamps: true, indexes: [{ unique: true, fields: ['stack_id', 'path'] }] }
+  );
+  return StackFile;
+};
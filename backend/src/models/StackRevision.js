@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StackRevision = sequelize.define(
+    'StackRevision',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      stackId: {
+        type: DataTypes.UUID, allowNull: false, field: 'stack_id',
+        references: { model: 'stacks', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      revision: { type: DataTypes.INTEGER, allowNull: false },
+      kind: { type: DataTypes.STRING(20), allowNull: false },
+      composeYaml: { type: DataTypes.TEXT, allowNull: false, field: 'compose_yaml' },
+      // [{ key, value, isSecret, digest }] exactly as stored in stack_env_vars (secrets encrypted)
+      env: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      // [{ path, content, isSecret, digest }] like env; null on revisions from before stack files
+      files: { type: DataTypes.JSONB, allowNull: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: true, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL',
+      },
+      // Kept so the author stays visible after the user is removed
+      authorEmail: { type: DataTypes.STRING, allowNull: true, field: 'author_email' },
+      deployStatus: { type: DataTypes.STRING(20), allowNull: true, field: 'deploy_status' },
+      // Full compose transcript of deploys (older revisions: tail of the output)
+      deployOutput: { type: DataTypes.TEXT, allowNull: true, field: 'deploy_output' },
+      // [{ service, state }] at the end of the deploy
+      deployServices: { type: DataTypes.JSONB, allowNull: true, field: 'deploy_services' },
+      rolledBackFrom: { type: DataTypes.INTEGER, allowNull: true, field: 'rolled_back_from' },
+      // Repository commit of Git-backed stacks
+      commitSha: { type: DataTypes.STRING(64), allowNull: true, field: 'commit_sha' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+    },
+    {
+      tableName: 'stack_revisions',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [{ unique: true, fields: ['stack_id', 'revision'] }],
+      hooks: {
+        // Revisions are an audit trail: never rewritten once recorded
+        beforeUpdate() {
+          throw new Error('Stack revisions are immutable');
+        },
+      },
+    }
+  );
+  return StackRevision;
+};
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StackTemplate = sequelize.define(
+    'StackTemplate',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      name: { type: DataTypes.STRING(100), allowNull: false },
+      description: { type: DataTypes.TEXT, allowNull: true },
+      composeYaml: { type: DataTypes.TEXT, allowNull: false, field: 'compose_yaml' },
+      // [{ name, description, default, secret, required, generate }]; values become the stack's env
+      variables: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      // Service and the variable holding its published host port, for an optional Public WWW route
+      webService: { type: DataTypes.STRING, allowNull: true, field: 'web_service' },
+      webPortVariable: { type: DataTypes.STRING, allowNull: true, field: 'web_port_variable' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    { tableName: 'stack_templates', timestamps: true, indexes: [{ unique: true, fields: ['user_id', 'name'] }] }
+  );
+  return StackTemplate;
+};
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TerminalSession = sequelize.define(
+    'TerminalSession',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: true, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL',
+      },
+      serverId: {
+        type: DataTypes.UUID, allowNull: false, field: 'server_id',
+        references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      kind: { type: DataTypes.STRING(16), allowNull: false },
+      containerId: { type: DataTypes.STRING(64), allowNull: true, field: 'container_id' },
+      clientIp: { type: DataTypes.STRING(64), allowNull: true, field: 'client_ip' },
+      startedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'started_at' },
+      endedAt: { type: DataTypes.DATE, allowNull: true, field: 'ended_at' },
+      exitCode: { type: DataTypes.INTEGER, allowNull: true, field: 'exit_code' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    { tableName: 'terminal_sessions', timestamps: true }
+  );
+  return TerminalSession;
+};
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UpdateHistory = sequelize.define(
+    'UpdateHistory',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      serverId: {
+        type: DataTypes.UUID, allowNull: true, field: 'server_id',
+        references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL',
+      },
+      policyId: {
+        type: DataTypes.UUID, allowNull: true, field: 'policy_id',
+        references: { model: 'update_policies', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'SET NULL',
+      },
+      // manual (pull & update) | policy (auto-apply)
+      trigger: { type: DataTypes.STRING(20), allowNull: false },
+      containerName: { type: DataTypes.STRING(255), allowNull: false, field: 'container_name' },
+      success: { type: DataTypes.BOOLEAN, allowNull: false },
+      previousImageRef: { type: DataTypes.STRING(512), allowNull: true, field: 'previous_image_ref' },
+      newImageRef: { type: DataTypes.STRING(512), allowNull: true, field: 'new_image_ref' },
+      previousVersion: { type: DataTypes.STRING(255), allowNull: true, field: 'previous_version' },
+      newVersion: { type: DataTypes.STRING(255), allowNull: true, field: 'new_version' },
+      // Registry digest the update was started for; a failed auto-apply is not retried for the same digest
+      availableDigest: { type: DataTypes.STRING(100), allowNull: true, field: 'available_digest' },
+      error: { type: DataTypes.TEXT, allowNull: true },
+      // A failed safe update that restored the previous container
+      rolledBack: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false, field: 'rolled_back' },
+      // [{ step, success, detail }] as reported by pullAndRecreateContainer
+      steps: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+    },
+    {
+      tableName: 'update_history',
+      timestamps: true,
+      updatedAt: false,
+    }
+  );
+  return UpdateHistory;
+};
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UpdatePolicy = sequelize.define(
+    'UpdatePolicy',
+    {
+      id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+      userId: {
+        type: DataTypes.UUID, allowNull: false, field: 'user_id',
+        references: { model: 'users', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // container | group | stack
+      scopeType: { type: DataTypes.STRING(20), allowNull: false, field: 'scope_type' },
+      // Container name, grouping rule group name or stack id
+      target: { type: DataTypes.STRING(255), allowNull: false },
+      // Server of a container policy; limits a group policy to one server (all servers when null)
+      serverId: {
+        type: DataTypes.UUID, allowNull: true, field: 'server_id',
+        references: { model: 'servers', key: 'id' }, onUpdate: 'CASCADE', onDelete: 'CASCADE',
+      },
+      // off | notify | auto
+      mode: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'notify' },
+      // Largest version step auto-apply may take: patch | minor | any
+      versionConstraint: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'minor', field: 'version_constraint' },
+      // { days: [0-6], start: 'HH:MM', end: 'HH:MM' } in timezone; null = any time
+      maintenanceWindow: { type: DataTypes.JSONB, allowNull: true, field: 'maintenance_window' },
+      timezone: { type: DataTypes.STRING(64), allowNull: true },
+      // Safe update settings for auto-apply (dockerService.normalizeHealthGate); null = no health check
+      healthGate: { type: DataTypes.JSONB, allowNull: true, field: 'health_gate' },
+      createdAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'created_at' },
+      updatedAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW, field: 'updated_at' },
+    },
+    {
+      tableName: 'update_policies',
+      timestamps: true,
+    }
+  );
+  return UpdatePolicy;
+};
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VolumeBackup = sequelize.define(
+    'VolumeBackup',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'user_id',
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      backupTargetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        field: 'backup_target_id',
+        references: { model: 'backup_targets', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      backupJobId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'backup_job_id',
+        references: { model: 'backup_jobs', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      serverId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        field: 'server_id',
+        references: { model: 'servers', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      // Kept so archives stay identifiable after the server is removed
+      serverName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        field: 'server_name',
+      },
+      containerName: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        field: 'container_name',
+      },
+      objectKey: {
+        type: DataTypes.STRING(1024),
+        allowNull: false,
+        field: 'object_key',
+        comment: 'Path under the local target directory, or S3 object key',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'running',
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      sizeBytes: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        field: 'size_bytes',
+      },
+      sha256: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      manifest: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'completed_at',
+      },
+      restoreStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        field: 'restore_status',
+      },
+      restoreResult: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        field: 'restore_result',
+      },
+      restoreError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'restore_error',
+      },
+      restoredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'restored_at',
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'created_at',
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        field: 'updated_at',
+      },
+    },
+    { tableName: 'volume_backups', timestamps: true }
+  );
+
+  return VolumeBackup;
+};
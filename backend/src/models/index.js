@@ -52,6 +52,22 @@ db.UpdateOverviewCache = require('./UpdateOverviewCache')(sequelize, Sequelize);
 db.ServerCertificateCache = require('./ServerCertificateCache')(sequelize, Sequelize);
 db.Stack = require('./Stack')(sequelize, Sequelize);
 db.StackEnvVar = require('./StackEnvVar')(sequelize, Sequelize);
+db.StackFile = require('./StackFile')(sequelize, Sequelize);
+db.StackRevision = require('./StackRevision')(sequelize, Sequelize);
+db.FleetStack = require('./FleetStack')(sequelize, Sequelize);
+db.FleetStackEnvVar = require('./FleetStackEnvVar')(sequelize, Sequelize);
+db.StackTemplate = require('./StackTemplate')(sequelize, Sequelize);
+db.TerminalSession = require('./TerminalSession')(sequelize, Sequelize);
+db.AuditLog = require('./AuditLog')(sequelize, Sequelize);
+db.ContainerMetric = require('./ContainerMetric')(sequelize, Sequelize);
+db.HostMetric = require('./HostMetric')(sequelize, Sequelize);
+db.NotificationChannel = require('./NotificationChannel')(sequelize, Sequelize);
+db.BackupTarget = require('./BackupTarget')(sequelize, Sequelize);
+db.VolumeBackup = require('./VolumeBackup')(sequelize, Sequelize);
+db.RegistryCredential = require('./RegistryCredential')(sequelize, Sequelize);
+db.UpdatePolicy = require('./UpdatePolicy')(sequelize, Sequelize);
+db.UpdateHistory = require('./UpdateHistory')(sequelize, Sequelize);
+db.DiskCleanupSchedule = require('./DiskCleanupSchedule')(sequelize, Sequelize);
 
 // Associations
 db.Server.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
@@ -82,6 +98,38 @@ db.Server.hasMany(db.Stack, { foreignKey: 'serverId', as: 'stacks' });
 db.Stack.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
 db.Stack.hasMany(db.StackEnvVar, { foreignKey: 'stackId', as: 'envVars' });
 db.StackEnvVar.belongsTo(db.Stack, { foreignKey: 'stackId', as: 'stack' });
+db.Stack.hasMany(db.StackFile, { foreignKey: 'stackId', as: 'files' });
+db.StackFile.belongsTo(db.Stack, { foreignKey: 'stackId', as: 'stack' });
+db.Stack.hasMany(db.StackRevision, { foreignKey: 'stackId', as: 'revisions' });
+db.StackRevision.belongsTo(db.Stack, { foreignKey: 'stackId', as: 'stack' });
+db.FleetStack.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.User.hasMany(db.FleetStack, { foreignKey: 'userId', as: 'fleetStacks' });
+db.FleetStack.hasMany(db.FleetStackEnvVar, { foreignKey: 'fleetStackId', as: 'envVars' });
+db.FleetStackEnvVar.belongsTo(db.FleetStack, { foreignKey: 'fleetStackId', as: 'fleetStack' });
+db.FleetStack.hasMany(db.Stack, { foreignKey: 'fleetStackId', as: 'members' });
+db.Stack.belongsTo(db.FleetStack, { foreignKey: 'fleetStackId', as: 'fleetStack' });
+db.StackTemplate.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.User.hasMany(db.StackTemplate, { foreignKey: 'userId', as: 'stackTemplates' });
+db.TerminalSession.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.TerminalSession.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.Server.hasMany(db.TerminalSession, { foreignKey: 'serverId', as: 'terminalSessions' });
+db.ContainerMetric.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.HostMetric.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.NotificationChannel.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.User.hasMany(db.NotificationChannel, { foreignKey: 'userId', as: 'notificationChannels' });
+db.BackupTarget.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.User.hasMany(db.BackupTarget, { foreignKey: 'userId', as: 'backupTargets' });
+db.RegistryCredential.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
+db.User.hasMany(db.RegistryCredential, { foreignKey: 'userId', as: 'registryCredentials' });
+db.UpdatePolicy.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.UpdateHistory.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.UpdateHistory.belongsTo(db.UpdatePolicy, { foreignKey: 'policyId', as: 'policy' });
+db.DiskCleanupSchedule.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.BackupJob.belongsTo(db.BackupTarget, { foreignKey: 'backupTargetId', as: 'backupTarget' });
+db.VolumeBackup.belongsTo(db.BackupTarget, { foreignKey: 'backupTargetId', as: 'target' });
+db.BackupTarget.hasMany(db.VolumeBackup, { foreignKey: 'backupTargetId', as: 'archives' });
+db.VolumeBackup.belongsTo(db.Server, { foreignKey: 'serverId', as: 'server' });
+db.VolumeBackup.belongsTo(db.BackupJob, { foreignKey: 'backupJobId', as: 'job' });
 db.UpdateOverviewCache.belongsTo(db.User, { foreignKey: 'userId', as: 'user' });
 db.User.hasOne(db.UpdateOverviewCache, { foreignKey: 'userId', as: 'updateOverviewCache' });
 
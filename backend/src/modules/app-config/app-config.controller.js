@@ -1,5 +1,4 @@
 const db = require('../../models');
-const config = require('../../config/config');
 const logger = require('../../config/logger');
 const { loadAppSettingsIntoEnv } = require('../../config/loadAppSettings');
 const sshService = require('../../services/ssh.service');
@@ -99,9 +98,7 @@ const putAppConfig = async (req, res, next) => {
     if (hadEmailSettings) {
       emailService.initialized = false;
       monitoringService.stop();
-      if (config.email.enabled) {
-        await monitoringService.start();
-      }
+      await monitoringService.start();
     }
     logger.info('App config updated via GUI');
     res.json({ saved, message: 'Settings saved and applied.' });
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const {
   getAppConfig,
   putAppConfig,
@@ -15,11 +16,11 @@ router.use(authenticate);
 router.use(authorize('admin'));
 
 router.get('/', getAppConfig);
-router.put('/', putAppConfig);
+router.put('/', audit('app-config.update'), putAppConfig);
 router.get('/env-file', getEnvFile);
 router.get('/stack-update', getStackUpdateConfig);
-router.put('/stack-update', putStackUpdateConfig);
-router.post('/stack-update/run', postStackUpdateRun);
-router.post('/test-email', postTestEmail);
+router.put('/stack-update', audit('app-config.stack-update'), putStackUpdateConfig);
+router.post('/stack-update/run', audit('app-config.stack-update-run'), postStackUpdateRun);
+router.post('/test-email', audit('app-config.test-email'), postTestEmail);
 
 module.exports = router;
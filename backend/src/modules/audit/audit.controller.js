@@ -0,0 +1,98 @@
+const { Op } = require('sequelize');
+const { AuditLog } = require('../../models');
+const { toCsv } = require('../../services/audit.service');
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const OUTCOMES = ['success', 'failure', 'unknown'];
+
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Build the where clause shared by list and export from query filters:
+ * userId, serverId, action (prefix, e.g. "container." or "stack.deploy"), outcome, q (target/server/user text), from, to.
+ */
+function buildWhere(query) {
+  const where = {};
+  if (UUID_REGEX.test(query.userId || '')) where.userId = query.userId;
+  if (UUID_REGEX.test(query.serverId || '')) where.serverId = query.serverId;
+  if (typeof query.action === 'string' && query.action.trim()) {
+    where.action = { [Op.startsWith]: query.action.trim().slice(0, 64) };
+  }
+  if (OUTCOMES.includes(query.outcome)) where.outcome = query.outcome;
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = from;
+    if (to) where.createdAt[Op.lte] = to;
+  }
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const like = `%${query.q.trim().slice(0, 100).replace(/[\\%_]/g, '\\$&')}%`;
+    where[Op.or] = [
+      { targetName: { [Op.iLike]: like } },
+      { targetId: { [Op.iLike]: like } },
+      { serverName: { [Op.iLike]: like } },
+      { userEmail: { [Op.iLike]: like } },
+    ];
+  }
+  return where;
+}
+
+/**
+ * GET /api/v1/audit
+ * Paginated audit entries, newest first.
+ */
+const listAuditLogs = async (req, res, next) => {
+  try {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const { rows, count } = await AuditLog.findAndCountAll({
+      where: buildWhere(req.query),
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+    });
+    res.json({ entries: rows, total: count, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/audit/export?format=csv|json
+ * Same filters as the list; at most MAX_EXPORT_ROWS newest entries.
+ */
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const rows = await AuditLog.findAll({
+      where: buildWhere(req.query),
+      order: [['createdAt', 'DESC']],
+      limit: MAX_EXPORT_ROWS,
+      raw: true,
+    });
+    const filename = `dockerfleet-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.send(JSON.stringify(rows, null, 2));
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.send(toCsv(rows));
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  buildWhere,
+  listAuditLogs,
+  exportAuditLogs,
+};
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../../middleware/auth.middleware');
+const { listAuditLogs, exportAuditLogs } = require('./audit.controller');
+
+router.use(authenticate);
+router.use(authorize('admin'));
+
+router.get('/', listAuditLogs);
+router.get('/export', exportAuditLogs);
+
+module.exports = router;
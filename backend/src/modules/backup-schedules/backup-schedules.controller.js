@@ -1,11 +1,25 @@
-const { BackupJob, BackupJobEntry, Server } = require('../../models');
+const { BackupJob, BackupJobEntry, BackupTarget, Server } = require('../../models');
 const backupSchedulerService = require('../../services/backup-scheduler.service');
 
-const validScheduleTypes = ['interval', 'daily', 'weekly'];
+const validScheduleTypes = backupSchedulerService.SCHEDULE_TYPES;
 const MAX_BULK_TARGETS = 200;
+const MAX_PREVIEW_RUNS = 20;
 const MAX_SCHEDULE_CONFIG_KEYS = 20;
 const MAX_SCHEDULE_CONFIG_STRING_LENGTH = 2000;
 
+// Optional backup target for off-host volume export; null/empty clears it
+async function resolveBackupTargetId(value, userId) {
+  if (value === undefined) return undefined;
+  if (!value) return null;
+  const target = await BackupTarget.findOne({ where: { id: value, userId }, attributes: ['id'] });
+  if (!target) {
+    const err = new Error('Backup target not found');
+    err.code = 'INVALID_INPUT';
+    throw err;
+  }
+  return target.id;
+}
+
 /**
  * List all backup jobs for the current user (each job has many entries).
  * GET /api/v1/backup-schedules?serverId=...
@@ -44,11 +58,13 @@ const listJobs = async (req, res, next) => {
 /**
  * Create one backup job with many entries. Same schedule for all.
  * POST /api/v1/backup-schedules/bulk
- * Body: { targets: [{ serverId, containerName }, ...], scheduleType, scheduleConfig?, retention?, enabled?, name? }
+ * Body: { targets: [{ serverId, containerName }, ...], scheduleType, scheduleConfig?, timezone?, retention?, enabled?, name?, backupTargetId? }
+ * scheduleType cron takes scheduleConfig { expression } (5-field cron); timezone is an IANA name (default UTC).
+ * backupTargetId also exports each run's volumes to that target, keeping `retention` archives per container.
  */
 const createJob = async (req, res, next) => {
   try {
-    const { targets, scheduleType, scheduleConfig, retention, enabled, name } = req.body;
+    const { targets, scheduleType, scheduleConfig, timezone, retention, enabled, name } = req.body;
 
     if (!Array.isArray(targets) || targets.length === 0) {
       return res.status(400).json({ error: 'targets must be a non-empty array of { serverId, containerName }' });
@@ -67,11 +83,13 @@ const createJob = async (req, res, next) => {
     }
     if (!scheduleType || !validScheduleTypes.includes(scheduleType)) {
       return res.status(400).json({
-        error: 'scheduleType is required and must be one of: interval, daily, weekly',
+        error: `scheduleType is required and must be one of: ${validScheduleTypes.join(', ')}`,
       });
     }
+    backupSchedulerService.validateSchedule(scheduleType, scheduleConfig || {}, timezone ?? null);
 
     const userId = req.user.id;
+    const backupTargetId = await resolveBackupTargetId(req.body.backupTargetId, userId);
     const retentionVal = retention != null ? Math.max(1, parseInt(retention, 10) || 5) : 5;
     const enabledVal = enabled !== false;
 
@@ -100,6 +118,8 @@ const createJob = async (req, res, next) => {
       name: name ? String(name).trim() : null,
       scheduleType,
       scheduleConfig: scheduleConfig || {},
+      timezone: timezone || 'UTC',
+      backupTargetId: backupTargetId ?? null,
       retention: retentionVal,
       enabled: enabledVal,
     });
@@ -135,7 +155,7 @@ const createJob = async (req, res, next) => {
 const updateJob = async (req, res, next) => {
   try {
     const { jobId } = req.params;
-    const { scheduleType, scheduleConfig, retention, enabled, name } = req.body;
+    const { scheduleType, scheduleConfig, timezone, retention, enabled, name } = req.body;
     const job = await BackupJob.findOne({
       where: { id: jobId, userId: req.user.id },
     });
@@ -145,7 +165,7 @@ const updateJob = async (req, res, next) => {
     const updates = {};
     if (scheduleType !== undefined) {
       if (!validScheduleTypes.includes(scheduleType)) {
-        return res.status(400).json({ error: 'scheduleType must be one of: interval, daily, weekly' });
+        return res.status(400).json({ error: `scheduleType must be one of: ${validScheduleTypes.join(', ')}` });
       }
       updates.scheduleType = scheduleType;
     }
@@ -162,7 +182,17 @@ const updateJob = async (req, res, next) => {
       }
       updates.scheduleConfig = scheduleConfig;
     }
+    if (timezone !== undefined) updates.timezone = timezone || 'UTC';
+    if (updates.scheduleType || updates.scheduleConfig || updates.timezone) {
+      backupSchedulerService.validateSchedule(
+        updates.scheduleType ?? job.scheduleType,
+        updates.scheduleConfig ?? job.scheduleConfig,
+        updates.timezone ?? job.timezone
+      );
+    }
     if (retention !== undefined) updates.retention = Math.max(1, parseInt(retention, 10) || 5);
+    const backupTargetId = await resolveBackupTargetId(req.body.backupTargetId, req.user.id);
+    if (backupTargetId !== undefined) updates.backupTargetId = backupTargetId;
     if (enabled !== undefined) updates.enabled = enabled;
     if (name !== undefined) updates.name = name ? String(name).trim() : null;
     await job.update(updates);
@@ -182,6 +212,24 @@ const updateJob = async (req, res, next) => {
   }
 };
 
+/**
+ * Preview the next run times of a schedule (before saving it).
+ * GET /api/v1/backup-schedules/preview?scheduleType=cron&expression=30 2 * * 1-5&timezone=Europe/London&count=5
+ * Other types take intervalHours, hour, minute, dayOfWeek as query parameters.
+ */
+const previewSchedule = async (req, res, next) => {
+  try {
+    const { scheduleType, timezone, expression, intervalHours, hour, minute, dayOfWeek } = req.query;
+    const scheduleConfig = { expression, intervalHours, hour, minute, dayOfWeek };
+    backupSchedulerService.validateSchedule(scheduleType, scheduleConfig, timezone || null);
+    const count = Math.min(MAX_PREVIEW_RUNS, Math.max(1, parseInt(req.query.count, 10) || 5));
+    const runs = backupSchedulerService.previewRuns({ scheduleType, scheduleConfig, timezone: timezone || 'UTC' }, count);
+    res.json({ timezone: timezone || 'UTC', runs });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update a backup job's container entries (replace all).
  * PUT /api/v1/backup-schedules/:jobId/entries
@@ -247,6 +295,7 @@ const deleteJob = async (req, res, next) => {
 
 module.exports = {
   listJobs,
+  previewSchedule,
   createJob,
   updateJob,
   updateJobEntries,
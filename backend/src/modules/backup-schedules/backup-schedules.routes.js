@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { listJobs, createJob, updateJob, updateJobEntries, deleteJob } = require('./backup-schedules.controller');
+const { listJobs, previewSchedule, createJob, updateJob, updateJobEntries, deleteJob } = require('./backup-schedules.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 
 router.use(authenticate);
 
 router.get('/', listJobs);
-router.post('/bulk', createJob);
-router.put('/:jobId', updateJob);
-router.put('/:jobId/entries', updateJobEntries);
-router.delete('/:jobId', deleteJob);
+router.get('/preview', previewSchedule);
+router.post('/bulk', audit('backup-job.create'), createJob);
+router.put('/:jobId', audit('backup-job.update', { targetParam: 'jobId' }), updateJob);
+router.put('/:jobId/entries', audit('backup-job.entries', { targetParam: 'jobId' }), updateJobEntries);
+router.delete('/:jobId', audit('backup-job.delete', { targetParam: 'jobId' }), deleteJob);
 
 module.exports = router;
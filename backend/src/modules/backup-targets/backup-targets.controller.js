@@ -0,0 +1,293 @@
+const { body } = require('express-validator');
+const { BackupTarget, VolumeBackup, Server } = require('../../models');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+const volumeBackupService = require('../../services/volume-backup.service');
+
+const MAX_TARGETS_PER_USER = 20;
+
+function serializeTarget(target) {
+  let masked;
+  try {
+    masked = volumeBackupService.maskTargetConfig(target.type, target.getConfig());
+  } catch (e) {
+    masked = { config: {}, secretsSet: [] };
+  }
+  return {
+    id: target.id,
+    name: target.name,
+    type: target.type,
+    config: masked.config,
+    secretsSet: masked.secretsSet,
+    lastError: target.lastError,
+    createdAt: target.createdAt,
+  };
+}
+
+function serializeArchive(archive) {
+  return {
+    id: archive.id,
+    backupTargetId: archive.backupTargetId,
+    backupJobId: archive.backupJobId,
+    serverId: archive.serverId,
+    serverName: archive.serverName,
+    containerName: archive.containerName,
+    objectKey: archive.objectKey,
+    status: archive.status,
+    error: archive.error,
+    sizeBytes: archive.sizeBytes != null ? Number(archive.sizeBytes) : null,
+    sha256: archive.sha256,
+    manifest: archive.manifest,
+    createdAt: archive.createdAt,
+    completedAt: archive.completedAt,
+    restoreStatus: archive.restoreStatus,
+    restoreResult: archive.restoreResult,
+    restoreError: archive.restoreError,
+    restoredAt: archive.restoredAt,
+  };
+}
+
+async function findOwnTarget(req, res, id = req.params.id) {
+  const target = await BackupTarget.findOne({ where: { id, userId: req.user.id } });
+  if (!target) {
+    res.status(404).json({ error: 'Backup target not found' });
+    return null;
+  }
+  return target;
+}
+
+async function findOwnArchive(req, res) {
+  const archive = await VolumeBackup.findOne({ where: { id: req.params.archiveId, userId: req.user.id } });
+  if (!archive) {
+    res.status(404).json({ error: 'Archive not found' });
+    return null;
+  }
+  annotateAudit(res, { targetName: `${archive.containerName} (${archive.objectKey})`, serverId: archive.serverId });
+  return archive;
+}
+
+async function findOwnServer(req, res, serverId) {
+  const server = await Server.findOne({ where: { id: serverId, userId: req.user.id } });
+  if (!server) {
+    res.status(404).json({ error: 'Server not found' });
+    return null;
+  }
+  return server;
+}
+
+/**
+ * GET /api/v1/backup-targets
+ * The user's targets (secrets masked) and the available target types.
+ */
+const listTargets = async (req, res, next) => {
+  try {
+    const targets = await BackupTarget.findAll({ where: { userId: req.user.id }, order: [['createdAt', 'ASC']] });
+    res.json({
+      targets: targets.map(serializeTarget),
+      types: Object.entries(volumeBackupService.TARGET_TYPES).map(([type, t]) => ({ type, label: t.label, secretFields: t.secretFields })),
+      restoreModes: volumeBackupService.RESTORE_MODES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/backup-targets
+ * Body: { name, type: 'local' | 's3', config }
+ * local: { directory } (relative to VOLUME_BACKUP_LOCAL_ROOT);
+ * s3: { endpoint, region?, bucket, prefix?, accessKeyId, secretAccessKey, forcePathStyle? }
+ */
+const createTarget = async (req, res, next) => {
+  try {
+    const count = await BackupTarget.count({ where: { userId: req.user.id } });
+    if (count >= MAX_TARGETS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_TARGETS_PER_USER} backup targets are allowed` });
+    }
+    const { name, type } = req.body;
+    const config = volumeBackupService.normalizeTargetConfig(type, req.body.config);
+    const target = await BackupTarget.create({ userId: req.user.id, name: name.trim(), type, configEncrypted: config });
+    annotateAudit(res, { targetId: target.id, targetName: target.name });
+    res.status(201).json({ target: serializeTarget(target) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/backup-targets/:id
+ * Body: any of { name, config }. Empty secret fields in config keep the stored value.
+ */
+const updateTarget = async (req, res, next) => {
+  try {
+    const target = await findOwnTarget(req, res);
+    if (!target) return;
+    annotateAudit(res, { targetName: target.name });
+    const { name, config } = req.body;
+    if (name !== undefined) target.name = name.trim();
+    if (config !== undefined) {
+      target.configEncrypted = volumeBackupService.normalizeTargetConfig(target.type, config, target.getConfig());
+      target.lastError = null;
+    }
+    await target.save();
+    res.json({ target: serializeTarget(target) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/backup-targets/:id
+ * Removes the target and its archive records; files already stored on the target are kept.
+ */
+const deleteTarget = async (req, res, next) => {
+  try {
+    const target = await findOwnTarget(req, res);
+    if (!target) return;
+    annotateAudit(res, { targetName: target.name });
+    const running = await VolumeBackup.count({ where: { backupTargetId: target.id, status: 'running' } });
+    if (running) return res.status(409).json({ error: 'A backup to this target is still running' });
+    await target.destroy();
+    res.json({ message: 'Backup target deleted (stored archives were left in place)' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/backup-targets/:id/test
+ * Writes and deletes a small file on the target and reports the outcome.
+ */
+const testTarget = async (req, res, next) => {
+  try {
+    const target = await findOwnTarget(req, res);
+    if (!target) return;
+    annotateAudit(res, { targetName: target.name });
+    const result = await volumeBackupService.testTarget(target);
+    res.json({
+      success: result.success,
+      error: result.error,
+      message: result.success ? `${target.name} is writable (${result.location})` : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/v1/backup-targets/archives?targetId=&serverId=&containerName=
+ */
+const listArchives = async (req, res, next) => {
+  try {
+    const { targetId, serverId, containerName } = req.query;
+    const archives = await volumeBackupService.listArchives(req.user.id, { targetId, serverId, containerName });
+    res.json({ archives: archives.map(serializeArchive) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/backup-targets/archives
+ * Body: { targetId, serverId, containerName, retention? } — back up the container's volumes now.
+ * Responds 202 with the archive (status "running"); poll the archive list for the outcome.
+ */
+const createArchive = async (req, res, next) => {
+  try {
+    const { targetId, serverId, containerName, retention } = req.body;
+    const target = await findOwnTarget(req, res, targetId);
+    if (!target) return;
+    const server = await findOwnServer(req, res, serverId);
+    if (!server) return;
+    const archive = await volumeBackupService.backupContainer({
+      target,
+      server,
+      containerName,
+      retention: retention != null ? Math.max(1, parseInt(retention, 10) || 5) : undefined,
+    });
+    annotateAudit(res, { targetId: archive.id, targetName: `${containerName} -> ${target.name}`, serverId: server.id });
+    res.status(202).json({ archive: serializeArchive(archive) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/backup-targets/archives/:archiveId/restore
+ * Body: { serverId, containerName, mode: 'in-place' | 'new-volumes' }
+ * in-place replaces the data of the container's matching mounts (it is stopped meanwhile);
+ * new-volumes extracts into new named volumes. Responds 202; poll the archive for restoreStatus.
+ */
+const restoreArchive = async (req, res, next) => {
+  try {
+    const archive = await findOwnArchive(req, res);
+    if (!archive) return;
+    const server = await findOwnServer(req, res, req.body.serverId);
+    if (!server) return;
+    const { containerName, mode } = req.body;
+    await volumeBackupService.restoreArchive(archive, { server, containerName, mode });
+    res.status(202).json({ archive: serializeArchive(archive) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/backup-targets/archives/:archiveId
+ * Deletes the archive from its target and removes the record.
+ */
+const deleteArchive = async (req, res, next) => {
+  try {
+    const archive = await findOwnArchive(req, res);
+    if (!archive) return;
+    if (archive.status === 'running' || archive.restoreStatus === 'running') {
+      return res.status(409).json({ error: 'The archive is being written or restored' });
+    }
+    await volumeBackupService.deleteArchive(archive);
+    res.json({ message: 'Archive deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const targetValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('config').optional().isObject().withMessage('config must be an object'),
+];
+
+const createTargetValidation = [
+  body('name').exists().withMessage('Name is required'),
+  body('type')
+    .isIn(Object.keys(volumeBackupService.TARGET_TYPES))
+    .withMessage(`type must be one of ${Object.keys(volumeBackupService.TARGET_TYPES).join(', ')}`),
+  body('config').isObject().withMessage('config is required'),
+  ...targetValidation,
+];
+
+const createArchiveValidation = [
+  body('targetId').isUUID().withMessage('targetId is required'),
+  body('serverId').isUUID().withMessage('serverId is required'),
+  body('containerName').isString().trim().isLength({ min: 1, max: 255 }).withMessage('containerName is required'),
+  body('retention').optional().isInt({ min: 1, max: 1000 }).withMessage('retention must be between 1 and 1000'),
+];
+
+const restoreArchiveValidation = [
+  body('serverId').isUUID().withMessage('serverId is required'),
+  body('containerName').isString().trim().isLength({ min: 1, max: 255 }).withMessage('containerName is required'),
+  body('mode').isIn(volumeBackupService.RESTORE_MODES).withMessage(`mode must be one of ${volumeBackupService.RESTORE_MODES.join(', ')}`),
+];
+
+module.exports = {
+  listTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  testTarget,
+  listArchives,
+  createArchive,
+  restoreArchive,
+  deleteArchive,
+  createTargetValidation,
+  updateTargetValidation: targetValidation,
+  createArchiveValidation,
+  restoreArchiveValidation,
+};
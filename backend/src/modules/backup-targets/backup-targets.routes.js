@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validation.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const {
+  listTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  testTarget,
+  listArchives,
+  createArchive,
+  restoreArchive,
+  deleteArchive,
+  createTargetValidation,
+  updateTargetValidation,
+  createArchiveValidation,
+  restoreArchiveValidation,
+} = require('./backup-targets.controller');
+
+router.use(authenticate);
+
+router.get('/', listTargets);
+router.post('/', audit('backup-target.create'), createTargetValidation, validate, createTarget);
+
+router.get('/archives', listArchives);
+router.post('/archives', audit('volume-backup.create'), createArchiveValidation, validate, createArchive);
+router.post('/archives/:archiveId/restore', audit('volume-backup.restore', { targetParam: 'archiveId' }), restoreArchiveValidation, validate, restoreArchive);
+router.delete('/archives/:archiveId', audit('volume-backup.delete', { targetParam: 'archiveId' }), deleteArchive);
+
+router.put('/:id', audit('backup-target.update', { targetParam: 'id' }), updateTargetValidation, validate, updateTarget);
+router.delete('/:id', audit('backup-target.delete', { targetParam: 'id' }), deleteTarget);
+router.post('/:id/test', audit('backup-target.test', { targetParam: 'id' }), testTarget);
+
+module.exports = router;
@@ -15,6 +15,9 @@ const {
   BackupJobEntry,
 } = require('../../models');
 const backupSchedulerService = require('../../services/backup-scheduler.service');
+const { RESOURCE_METRICS, DEFAULT_RESOURCE_SETTINGS, normalizeOverrides } = require('../../utils/resourceAlerts');
+const { normalizeAlertTypes } = require('../../services/notification.service');
+const { isValidTimeZone } = require('../../utils/cron');
 const logger = require('../../config/logger');
 
 const BACKUP_VERSION = 1;
@@ -63,6 +66,12 @@ const exportData = async (req, res, next) => {
         'alertOnUpdateAvailable',
         'updateAlertCooldownMs',
         'minContainersWithUpdatesBeforeAlert',
+        ...RESOURCE_METRICS,
+        'resourceAlertDurationMs',
+        'resourceAlertCooldownMs',
+        'alertOnResourceRecovery',
+        'resourceAlertOverrides',
+        'emailAlertTypes',
       ],
     });
 
@@ -126,6 +135,12 @@ const exportData = async (req, res, next) => {
             alertOnUpdateAvailable: monitoringSettings.alertOnUpdateAvailable,
             updateAlertCooldownMs: monitoringSettings.updateAlertCooldownMs,
             minContainersWithUpdatesBeforeAlert: monitoringSettings.minContainersWithUpdatesBeforeAlert,
+            ...Object.fromEntries(RESOURCE_METRICS.map((m) => [m, monitoringSettings[m]])),
+            resourceAlertDurationMs: monitoringSettings.resourceAlertDurationMs,
+            resourceAlertCooldownMs: monitoringSettings.resourceAlertCooldownMs,
+            alertOnResourceRecovery: monitoringSettings.alertOnResourceRecovery,
+            resourceAlertOverrides: monitoringSettings.resourceAlertOverrides || [],
+            emailAlertTypes: monitoringSettings.emailAlertTypes ?? null,
           }
         : null,
       containerGroupingRules: groupingRules.map((r) => ({
@@ -149,6 +164,7 @@ const exportData = async (req, res, next) => {
         name: j.name,
         scheduleType: j.scheduleType,
         scheduleConfig: j.scheduleConfig,
+        timezone: j.timezone,
         retention: j.retention,
         enabled: j.enabled,
         entries: (j.entries || []).map((e) => ({
@@ -323,6 +339,38 @@ const importData = async (req, res, next) => {
         updateAlertCooldownMs: Math.max(0, parseInt(ms.updateAlertCooldownMs, 10) || 43200000),
         minContainersWithUpdatesBeforeAlert: Math.max(0, parseInt(ms.minContainersWithUpdatesBeforeAlert, 10) || 1),
       });
+      // Resource alerts (absent in older backups): thresholds keep null = off; overrides follow the matched servers
+      if (RESOURCE_METRICS.some((m) => m in ms) || Array.isArray(ms.resourceAlertOverrides)) {
+        const percent = (v) => {
+          const n = parseInt(v, 10);
+          return n >= 1 && n <= 100 ? n : null;
+        };
+        let overrides = [];
+        try {
+          overrides = normalizeOverrides(
+            (Array.isArray(ms.resourceAlertOverrides) ? ms.resourceAlertOverrides : [])
+              .filter((o) => o && oldIdToNewId.has(String(o.serverId)))
+              .map((o) => ({ ...o, serverId: oldIdToNewId.get(String(o.serverId)) }))
+          );
+        } catch (e) {
+          logger.warn('Restore: skipping invalid resource alert overrides:', e.message);
+        }
+        await existing.update({
+          ...Object.fromEntries(RESOURCE_METRICS.map((m) => [m, percent(ms[m])])),
+          resourceAlertDurationMs: Math.max(0, parseInt(ms.resourceAlertDurationMs, 10) || DEFAULT_RESOURCE_SETTINGS.resourceAlertDurationMs),
+          resourceAlertCooldownMs: Math.max(0, parseInt(ms.resourceAlertCooldownMs, 10) || DEFAULT_RESOURCE_SETTINGS.resourceAlertCooldownMs),
+          alertOnResourceRecovery: ms.alertOnResourceRecovery !== false,
+          resourceAlertOverrides: overrides,
+        });
+      }
+      // Email routing (absent in older backups = every alert type); notification channels hold secrets and are not exported
+      if ('emailAlertTypes' in ms) {
+        try {
+          await existing.update({ emailAlertTypes: normalizeAlertTypes(ms.emailAlertTypes) });
+        } catch (e) {
+          logger.warn('Restore: skipping invalid email alert routing:', e.message);
+        }
+      }
       restored.monitoringSettings = true;
     }
 
@@ -380,6 +428,7 @@ const importData = async (req, res, next) => {
         name: j.name ? String(j.name).trim() : null,
         scheduleType: j.scheduleType || 'daily',
         scheduleConfig: j.scheduleConfig || {},
+        timezone: isValidTimeZone(j.timezone) ? j.timezone : 'UTC',
         retention: Math.max(1, parseInt(j.retention, 10) || 5),
         enabled: j.enabled !== false,
       });
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { exportData, importData } = require('./backup.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 
 router.use(authenticate);
 
 router.get('/export', exportData);
-router.post('/import', importData);
+router.post('/import', audit('backup.import'), importData);
 
 module.exports = router;
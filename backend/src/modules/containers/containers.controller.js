@@ -3,6 +3,8 @@ const path = require('path');
 const { Server, ServerContainerCache } = require('../../models');
 const dockerService = require('../../services/docker.service');
 const pollingService = require('../../services/polling.service');
+const metricsService = require('../../services/metrics.service');
+const updatePolicyService = require('../../services/update-policy.service');
 const { groupContainers } = require('../grouping/grouping.controller');
 const sshService = require('../../services/ssh.service');
 const logger = require('../../config/logger');
@@ -101,6 +103,8 @@ const pullAndRecreateContainer = async (req, res, next) => {
     const { serverId, containerId } = req.params;
     const socketIO = require('../../config/socket').getIO();
     const shmSize = req.body?.shmSize;
+    // Keep the old container until the new one is healthy, roll back otherwise
+    const healthGate = dockerService.normalizeHealthGate(req.body?.safeUpdate);
 
     const server = await Server.findOne({
       where: { id: serverId, userId: req.user.id },
@@ -113,7 +117,7 @@ const pullAndRecreateContainer = async (req, res, next) => {
     const onStep = (step, success, detail) => {
       if (socketIO) socketIO.emit('container:update:progress', { serverId, containerId, step, success, detail });
     };
-    const result = await dockerService.pullAndRecreateContainer(server, containerId, { onStep, shmSize });
+    const result = await dockerService.pullAndRecreateContainer(server, containerId, { onStep, shmSize, healthGate });
 
     if (result.success && result.containerName) {
       appendContainerUpdateLog({
@@ -128,6 +132,7 @@ const pullAndRecreateContainer = async (req, res, next) => {
         newVersion: result.newVersion,
       });
     }
+    await updatePolicyService.recordUpdate({ userId: req.user.id, serverId, trigger: 'manual', containerName: result.containerName || containerId }, result);
 
     if (socketIO && result.success) {
       socketIO.emit('container:status:changed', {
@@ -229,6 +234,61 @@ const getContainerLogs = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /:serverId/containers/:containerId/logs/search
+ * Query: since, until (timestamp or duration), q, regex=true, caseSensitive=true, maxLines
+ */
+const searchContainerLogs = async (req, res, next) => {
+  try {
+    const { serverId, containerId } = req.params;
+    const { since, until, q, regex, caseSensitive, maxLines } = req.query;
+
+    const server = await Server.findOne({
+      where: { id: serverId, userId: req.user.id },
+    });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const result = await dockerService.searchContainerLogs(server, containerId, {
+      since: since || undefined,
+      until: until || undefined,
+      query: q || '',
+      regex: regex === 'true',
+      caseSensitive: caseSensitive === 'true',
+      maxLines,
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getContainerMetrics = async (req, res, next) => {
+  try {
+    const { serverId, containerId } = req.params;
+
+    const server = await Server.findOne({
+      where: { id: serverId, userId: req.user.id },
+    });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const containerName = await metricsService.resolveContainerName(serverId, containerId);
+    if (!containerName) {
+      return res.status(404).json({ error: 'Container not found' });
+    }
+
+    const history = await metricsService.getContainerHistory(serverId, containerName, req.query.range);
+    res.json({ containerName, ...history });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const startContainer = async (req, res, next) => {
   try {
     const { serverId, containerId } = req.params;
@@ -709,6 +769,8 @@ module.exports = {
   recreateContainer,
   deployContainer,
   getContainerLogs,
+  searchContainerLogs,
+  getContainerMetrics,
   startContainer,
   stopContainer,
   restartContainer,
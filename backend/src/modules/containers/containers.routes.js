@@ -8,12 +8,14 @@ const {
   recreateContainer,
   deployContainer,
   getContainerLogs,
+  searchContainerLogs,
   startContainer,
   stopContainer,
   restartContainer,
   renameContainer,
   removeContainer,
   getContainerStats,
+  getContainerMetrics,
   updateRestartPolicy,
   executeCommand,
   createSnapshot,
@@ -22,6 +24,7 @@ const {
 } = require('./containers.controller');
 const { listBackupSchedules } = require('./backup-schedules.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 
 router.use(authenticate);
 
@@ -29,21 +32,23 @@ router.get('/:serverId/backup-schedules', listBackupSchedules);
 
 router.get('/:serverId/containers', getContainers);
 router.get('/:serverId/containers/:containerId/update-status', getContainerUpdateStatus);
-router.post('/:serverId/containers/:containerId/pull-and-update', pullAndRecreateContainer);
-router.post('/:serverId/containers/:containerId/recreate', recreateContainer);
+router.post('/:serverId/containers/:containerId/pull-and-update', audit('container.update', { targetParam: 'containerId' }), pullAndRecreateContainer);
+router.post('/:serverId/containers/:containerId/recreate', audit('container.recreate', { targetParam: 'containerId' }), recreateContainer);
 router.get('/:serverId/containers/:containerId/logs', getContainerLogs);
+router.get('/:serverId/containers/:containerId/logs/search', searchContainerLogs);
 router.get('/:serverId/containers/:containerId/stats', getContainerStats);
+router.get('/:serverId/containers/:containerId/metrics', getContainerMetrics);
 router.get('/:serverId/containers/:containerId/snapshots', getSnapshots);
 router.get('/:serverId/containers/:containerId', getContainerDetails);
-router.put('/:serverId/containers/:containerId/restart-policy', updateRestartPolicy);
-router.post('/:serverId/containers/:containerId/execute', executeCommand);
-router.post('/:serverId/containers/:containerId/snapshot', createSnapshot);
-router.post('/:serverId/containers/restore', restoreSnapshot);
-router.post('/:serverId/containers/deploy', deployContainer);
-router.post('/:serverId/containers/:containerId/start', startContainer);
-router.post('/:serverId/containers/:containerId/stop', stopContainer);
-router.post('/:serverId/containers/:containerId/restart', restartContainer);
-router.put('/:serverId/containers/:containerId/rename', renameContainer);
-router.delete('/:serverId/containers/:containerId', removeContainer);
+router.put('/:serverId/containers/:containerId/restart-policy', audit('container.restart-policy', { targetParam: 'containerId' }), updateRestartPolicy);
+router.post('/:serverId/containers/:containerId/execute', audit('container.execute', { targetParam: 'containerId' }), executeCommand);
+router.post('/:serverId/containers/:containerId/snapshot', audit('container.snapshot', { targetParam: 'containerId' }), createSnapshot);
+router.post('/:serverId/containers/restore', audit('container.restore'), restoreSnapshot);
+router.post('/:serverId/containers/deploy', audit('container.deploy'), deployContainer);
+router.post('/:serverId/containers/:containerId/start', audit('container.start', { targetParam: 'containerId' }), startContainer);
+router.post('/:serverId/containers/:containerId/stop', audit('container.stop', { targetParam: 'containerId' }), stopContainer);
+router.post('/:serverId/containers/:containerId/restart', audit('container.restart', { targetParam: 'containerId' }), restartContainer);
+router.put('/:serverId/containers/:containerId/rename', audit('container.rename', { targetParam: 'containerId' }), renameContainer);
+router.delete('/:serverId/containers/:containerId', audit('container.remove', { targetParam: 'containerId' }), removeContainer);
 
 module.exports = router;
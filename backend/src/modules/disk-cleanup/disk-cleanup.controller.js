@@ -0,0 +1,91 @@
+const { DiskCleanupSchedule, Server } = require('../../models');
+const diskCleanupService = require('../../services/disk-cleanup.service');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+async function findOwnServer(req, res) {
+  const server = await Server.findOne({ where: { id: req.params.serverId, userId: req.user.id } });
+  if (!server) {
+    res.status(404).json({ error: 'Server not found' });
+    return null;
+  }
+  annotateAudit(res, { targetName: server.name });
+  return server;
+}
+
+const serializeSchedule = (schedule) => schedule && ({
+  ...schedule.toJSON(),
+  nextRuns: schedule.enabled ? diskCleanupService.previewRuns(schedule) : [],
+});
+
+// Query: categories (comma-separated), allImages, namedVolumes
+const getPreview = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const options = diskCleanupService.normalizeOptions({
+      categories: req.query.categories ? String(req.query.categories).split(',') : undefined,
+      allImages: req.query.allImages === 'true',
+      namedVolumes: req.query.namedVolumes === 'true',
+    });
+    res.json({ options, ...(await diskCleanupService.preview(server, options)) });
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+// { categories, allImages, namedVolumes, itemIds? }; itemIds limits the run to previewed items
+const runCleanup = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const options = diskCleanupService.normalizeOptions(req.body || {});
+    const itemIds = Array.isArray(req.body?.itemIds) ? req.body.itemIds.map(String) : null;
+    const result = await diskCleanupService.runCleanup(server, options, itemIds);
+    res.json(result);
+  } catch (e) {
+    if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message });
+    if (e.code === 'CLEANUP_RUNNING') return res.status(409).json({ error: e.message });
+    next(e);
+  }
+};
+
+const getSchedule = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const schedule = await DiskCleanupSchedule.findOne({ where: { serverId: server.id } });
+    res.json({ schedule: serializeSchedule(schedule) });
+  } catch (e) { next(e); }
+};
+
+// { enabled, cronExpression, timezone, categories, allImages, namedVolumes }
+const saveSchedule = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const fields = diskCleanupService.normalizeSchedule(req.body || {});
+    const nextRunAt = fields.enabled ? diskCleanupService.nextRunOf(fields) : null;
+    let schedule = await DiskCleanupSchedule.findOne({ where: { serverId: server.id } });
+    if (schedule) {
+      await schedule.update({ ...fields, nextRunAt });
+    } else {
+      schedule = await DiskCleanupSchedule.create({ ...fields, nextRunAt, serverId: server.id, userId: req.user.id });
+    }
+    res.json({ schedule: serializeSchedule(schedule) });
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+const deleteSchedule = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    await DiskCleanupSchedule.destroy({ where: { serverId: server.id } });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+};
+
+module.exports = {
+  getPreview,
+  runCleanup,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const c = require('./disk-cleanup.controller');
+
+router.use(authenticate);
+
+router.get('/:serverId/disk-cleanup', c.getPreview);
+router.post('/:serverId/disk-cleanup', audit('server.disk-cleanup', { targetParam: 'serverId' }), c.runCleanup);
+router.get('/:serverId/disk-cleanup/schedule', c.getSchedule);
+router.put('/:serverId/disk-cleanup/schedule', audit('server.disk-cleanup-schedule', { targetParam: 'serverId' }), c.saveSchedule);
+router.delete('/:serverId/disk-cleanup/schedule', audit('server.disk-cleanup-schedule-delete', { targetParam: 'serverId' }), c.deleteSchedule);
+
+module.exports = router;
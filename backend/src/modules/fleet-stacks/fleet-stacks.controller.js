@@ -0,0 +1,235 @@
+const { Op } = require('sequelize');
+const db = require('../../models');
+const { sequelize } = db;
+const logger = require('../../config/logger');
+const fleetStackService = require('../../services/fleet-stack.service');
+const stackService = require('../../services/stack.service');
+const stackValidationService = require('../../services/stack-validation.service');
+const { storeValue, readValue, maskRows } = require('../../utils/stackEnv');
+const { normalizeTag } = require('../../utils/serverTags');
+const { validateComposeProjectName } = require('../../utils/shellSafe');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+const { FleetStack, FleetStackEnvVar, Server, Stack } = db;
+
+function serializeFleetStack(fleetModel) {
+  const f = typeof fleetModel.toJSON === 'function' ? fleetModel.toJSON() : fleetModel;
+  const rows = f.envVars || [];
+  const overrides = {};
+  for (const r of rows.filter((e) => e.serverId)) {
+    (overrides[r.serverId] = overrides[r.serverId] || []).push(r);
+  }
+  return {
+    id: f.id, name: f.name, composeYaml: f.composeYaml,
+    serverIds: f.serverIds || [], serverTag: f.serverTag ?? null,
+    lastDeployedAt: f.lastDeployedAt, lastDeployStatus: f.lastDeployStatus, lastDeploy: f.lastDeploy ?? null,
+    env: maskRows(rows.filter((e) => !e.serverId)),
+    overrides: Object.fromEntries(Object.entries(overrides).map(([serverId, list]) => [serverId, maskRows(list)])),
+  };
+}
+
+async function findUserFleetStack(req, id) {
+  return FleetStack.findOne({
+    where: { id, userId: req.user.id },
+    include: [{ model: FleetStackEnvVar, as: 'envVars' }],
+  });
+}
+
+function invalid(res, error) {
+  res.status(400).json({ error });
+  return null;
+}
+
+/**
+ * Targets from the request: listed servers must be the user's; a tag is normalised like server
+ * tags. At least one of the two is required.
+ * @returns {Promise<{ serverIds: string[], serverTag: string|null }|null>} null when a 400 was sent
+ */
+async function targetsFrom(req, res, { serverIds, serverTag }) {
+  const ids = [...new Set(Array.isArray(serverIds) ? serverIds.map(String) : [])];
+  const tag = serverTag ? normalizeTag(serverTag) : null;
+  if (!ids.length && !tag) return invalid(res, 'Select at least one server or a server tag');
+  const owned = await Server.count({ where: { id: { [Op.in]: ids }, userId: req.user.id } });
+  if (owned !== ids.length) return invalid(res, 'Unknown server in serverIds');
+  return { serverIds: ids, serverTag: tag };
+}
+
+/**
+ * Env rows to store from `env` (base) and `overrides` ({ serverId: rows }). A blank secret keeps
+ * the stored value of the same key and server.
+ * @returns {Promise<Array|null>} null when a 400 was sent
+ */
+async function envRowsFrom(req, res, { env, overrides }, existing = []) {
+  const scopes = [[null, env], ...Object.entries(overrides && typeof overrides === 'object' ? overrides : {})];
+  const overrideIds = scopes.slice(1).map(([serverId]) => serverId);
+  const owned = await Server.count({ where: { id: { [Op.in]: overrideIds }, userId: req.user.id } });
+  if (owned !== overrideIds.length) return invalid(res, 'Unknown server in overrides');
+
+  const prior = new Map(existing.map((e) => [`${e.serverId || ''}/${e.key}`, e]));
+  const rows = [];
+  for (const [serverId, list] of scopes) {
+    const seen = new Set();
+    for (const e of Array.isArray(list) ? list : []) {
+      const key = String(e.key || '').trim();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      const isSecret = !!e.isSecret;
+      const kept = prior.get(`${serverId || ''}/${key}`);
+      if (isSecret && (e.value === null || e.value === undefined || e.value === '') && kept) {
+        rows.push({ serverId, key, isSecret, value: kept.isSecret ? kept.value : storeValue(kept.value, true) });
+      } else {
+        rows.push({ serverId, key, isSecret, value: storeValue(e.value ?? '', isSecret) });
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Errors in the compose file block a save, checked with each target's env (base plus
+ * overrides); the 400 carries the findings like a stack save.
+ */
+async function rejectInvalidCompose(res, composeYaml, targets, rows) {
+  const envs = targets.length ? targets.map((s) => fleetStackService.envForServer(rows, s.id)) : [fleetStackService.envForServer(rows, null)];
+  for (const envRows of envs) {
+    const env = Object.fromEntries(envRows.map((r) => [r.key, readValue(r.value, r.isSecret)]));
+    const { findings } = stackValidationService.validateCompose(composeYaml, { env });
+    const errors = findings.filter((f) => f.level === 'error');
+    if (errors.length) {
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      res.status(400).json({ error: `The compose file is invalid: ${errors[0].message}${more}`, findings: errors });
+      return true;
+    }
+  }
+  return false;
+}
+
+async function replaceEnv(fleetStackId, rows, transaction) {
+  await FleetStackEnvVar.destroy({ where: { fleetStackId }, transaction });
+  if (rows.length) await FleetStackEnvVar.bulkCreate(rows.map((r) => ({ ...r, fleetStackId })), { transaction });
+}
+
+const listFleetStacks = async (req, res, next) => {
+  try {
+    const fleets = await FleetStack.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: FleetStackEnvVar, as: 'envVars' }],
+      order: [['name', 'ASC']],
+    });
+    const servers = await Server.findAll({ where: { userId: req.user.id } });
+    res.json(fleets.map((f) => ({
+      ...serializeFleetStack(f),
+      targets: fleetStackService.resolveTargets(f, servers).map((s) => ({ id: s.id, name: s.name })),
+    })));
+  } catch (e) { next(e); }
+};
+
+const getFleetStack = async (req, res, next) => {
+  try {
+    const fleet = await findUserFleetStack(req, req.params.id);
+    if (!fleet) return res.status(404).json({ error: 'Fleet stack not found' });
+    res.json(serializeFleetStack(fleet));
+  } catch (e) { next(e); }
+};
+
+const createFleetStack = async (req, res, next) => {
+  try {
+    const { composeYaml } = req.body;
+    const name = validateComposeProjectName(req.body.name);
+    if (typeof composeYaml !== 'string' || !composeYaml.trim()) return res.status(400).json({ error: 'composeYaml is required' });
+    annotateAudit(res, { targetName: name });
+    const targets = await targetsFrom(req, res, req.body);
+    if (!targets) return undefined;
+    const rows = await envRowsFrom(req, res, req.body);
+    if (!rows) return undefined;
+    const servers = await Server.findAll({ where: { userId: req.user.id } });
+    if (await rejectInvalidCompose(res, composeYaml, fleetStackService.resolveTargets(targets, servers), rows)) return undefined;
+    if (await FleetStack.findOne({ where: { userId: req.user.id, name } })) {
+      return res.status(409).json({ error: `A fleet stack named ${name} already exists` });
+    }
+    const fleet = await sequelize.transaction(async (t) => {
+      const created = await FleetStack.create({ userId: req.user.id, name, composeYaml, ...targets }, { transaction: t });
+      await replaceEnv(created.id, rows, t);
+      return created;
+    });
+    annotateAudit(res, { targetId: fleet.id, targetName: name });
+    res.status(201).json(serializeFleetStack(await findUserFleetStack(req, fleet.id)));
+  } catch (e) { next(e); }
+};
+
+// Compose file, targets and env; the name is fixed because it names the stack on every server
+const updateFleetStack = async (req, res, next) => {
+  try {
+    const fleet = await findUserFleetStack(req, req.params.id);
+    if (!fleet) return res.status(404).json({ error: 'Fleet stack not found' });
+    annotateAudit(res, { targetName: fleet.name });
+    const { composeYaml } = req.body;
+    const hasCompose = typeof composeYaml === 'string' && composeYaml.trim();
+    const targets = req.body.serverIds !== undefined || req.body.serverTag !== undefined
+      ? await targetsFrom(req, res, { serverIds: req.body.serverIds ?? fleet.serverIds, serverTag: req.body.serverTag !== undefined ? req.body.serverTag : fleet.serverTag })
+      : { serverIds: fleet.serverIds, serverTag: fleet.serverTag };
+    if (!targets) return undefined;
+    const envChanged = Array.isArray(req.body.env) || req.body.overrides !== undefined;
+    let rows = fleet.envVars.map((e) => ({ serverId: e.serverId, key: e.key, isSecret: e.isSecret, value: e.value }));
+    if (envChanged) {
+      const current = serializeFleetStack(fleet);
+      rows = await envRowsFrom(req, res, {
+        env: Array.isArray(req.body.env) ? req.body.env : current.env,
+        overrides: req.body.overrides !== undefined ? req.body.overrides : current.overrides,
+      }, fleet.envVars);
+      if (!rows) return undefined;
+    }
+    const servers = await Server.findAll({ where: { userId: req.user.id } });
+    const nextTargets = fleetStackService.resolveTargets(targets, servers);
+    if (await rejectInvalidCompose(res, hasCompose ? composeYaml : fleet.composeYaml, nextTargets, rows)) return undefined;
+    await sequelize.transaction(async (t) => {
+      if (hasCompose) fleet.composeYaml = composeYaml;
+      Object.assign(fleet, targets);
+      await fleet.save({ transaction: t });
+      if (envChanged) await replaceEnv(fleet.id, rows, t);
+    });
+    await fleetStackService.detachStaleMembers(fleet, nextTargets.map((s) => s.id));
+    res.json(serializeFleetStack(await findUserFleetStack(req, fleet.id)));
+  } catch (e) { next(e); }
+};
+
+// With ?down=true the member stacks are taken down and removed; otherwise they stay as standalone stacks
+const deleteFleetStack = async (req, res, next) => {
+  try {
+    const fleet = await findUserFleetStack(req, req.params.id);
+    if (!fleet) return res.status(404).json({ error: 'Fleet stack not found' });
+    annotateAudit(res, { targetName: fleet.name });
+    if (req.query.down === 'true') {
+      const members = await Stack.findAll({ where: { fleetStackId: fleet.id }, include: [{ model: Server, as: 'server' }] });
+      for (const member of members) {
+        try { await stackService.lifecycle(member.server, member, 'down'); } catch (e) { logger.warn(`down of ${member.name} on ${member.server.name} failed:`, e.message); }
+        await member.destroy();
+      }
+    }
+    await fleet.destroy();
+    res.json({ success: true });
+  } catch (e) { next(e); }
+};
+
+const deployFleetStack = async (req, res, next) => {
+  try {
+    const fleet = await findUserFleetStack(req, req.params.id);
+    if (!fleet) return res.status(404).json({ error: 'Fleet stack not found' });
+    annotateAudit(res, { targetName: fleet.name });
+    res.json(await fleetStackService.deployFleet(fleet, { user: req.user, pull: req.query.pull === 'true' }));
+  } catch (e) { if (e.code === 'CONFLICT') return res.status(409).json({ error: e.message }); next(e); }
+};
+
+const getFleetStatus = async (req, res, next) => {
+  try {
+    const fleet = await findUserFleetStack(req, req.params.id);
+    if (!fleet) return res.status(404).json({ error: 'Fleet stack not found' });
+    res.json(await fleetStackService.fleetStatus(fleet));
+  } catch (e) { next(e); }
+};
+
+module.exports = {
+  serializeFleetStack,
+  listFleetStacks, getFleetStack, createFleetStack, updateFleetStack, deleteFleetStack,
+  deployFleetStack, getFleetStatus,
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const c = require('./fleet-stacks.controller');
+
+router.get('/', c.listFleetStacks);
+router.post('/', audit('fleet-stack.create'), authorize('admin'), c.createFleetStack);
+router.get('/:id', c.getFleetStack);
+router.put('/:id', audit('fleet-stack.update', { targetParam: 'id' }), authorize('admin'), c.updateFleetStack);
+router.delete('/:id', audit('fleet-stack.delete', { targetParam: 'id' }), authorize('admin'), c.deleteFleetStack);
+router.post('/:id/deploy', audit('fleet-stack.deploy', { targetParam: 'id' }), authorize('admin'), c.deployFleetStack);
+router.get('/:id/status', c.getFleetStatus);
+
+module.exports = router;
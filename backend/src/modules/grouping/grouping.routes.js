@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../../middleware/auth.middleware');
 const { validate } = require('../../middleware/validation.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const { body } = require('express-validator');
 const {
   getAllRules,
@@ -33,8 +34,8 @@ router.use(authenticate);
 
 router.get('/', getAllRules);
 router.get('/:id', getRuleById);
-router.post('/', createRuleValidation, validate, createRule);
-router.put('/:id', updateRuleValidation, validate, updateRule);
-router.delete('/:id', deleteRule);
+router.post('/', audit('grouping-rule.create'), createRuleValidation, validate, createRule);
+router.put('/:id', audit('grouping-rule.update', { targetParam: 'id' }), updateRuleValidation, validate, updateRule);
+router.delete('/:id', audit('grouping-rule.delete', { targetParam: 'id' }), deleteRule);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const db = require('../../models');
+const stackGitService = require('../../services/stack-git.service');
+const { audit, annotateAudit } = require('../../middleware/audit.middleware');
+
+const { Stack, Server } = db;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Unsigned or unknown-stack requests are not audited, so anonymous junk cannot fill the audit log
+const auditWebhook = audit('stack.webhook', { targetParam: 'id' });
+
+// Push webhook of a Git-backed stack: authenticated by the stack's webhook secret, not a user token
+const stackPush = async (req, res, next) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) return res.status(404).json({ error: 'Stack not found' });
+    const stack = await Stack.findByPk(req.params.id, { include: [{ model: Server, as: 'server' }] });
+    if (!stack || stack.source !== 'git') return res.status(404).json({ error: 'Stack not found' });
+    if (!stackGitService.verifyWebhook(req, stack.getWebhookSecret())) return res.status(401).json({ error: 'Invalid webhook signature' });
+    auditWebhook(req, res, () => {});
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    if (req.get('x-github-event') === 'ping') return res.json({ success: true, ping: true });
+    const branch = stackGitService.pushedBranch(req.body);
+    if (branch && branch !== stack.gitBranch) {
+      return res.status(202).json({ success: true, ignored: true, reason: `Push to ${branch}, stack follows ${stack.gitBranch}` });
+    }
+    // Git providers time out after ~10s: answer now, sync and deploy in the background
+    stackGitService.syncInBackground(stack);
+    res.status(202).json({ success: true, accepted: true });
+  } catch (e) { next(e); }
+};
+
+module.exports = { stackPush };
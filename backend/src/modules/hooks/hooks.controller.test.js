@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { EventEmitter } = require('node:events');
+const db = require('../../models');
+const stackGitService = require('../../services/stack-git.service');
+const auditService = require('../../services/audit.service');
+const { stackPush } = require('./hooks.controller');
+
+const STACK_ID = '6f1c1a52-8a8e-4c53-9d7e-0c0c6b1f5a11';
+const SECRET = 'hook-secret';
+
+function fakeStack() {
+  return {
+    id: STACK_ID, name: 'web', serverId: 's1', source: 'git', gitBranch: 'main',
+    getWebhookSecret: () => SECRET,
+  };
+}
+
+function call(body, headers = {}, raw = JSON.stringify(body)) {
+  const rawBody = Buffer.from(raw);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { params: { id: STACK_ID }, body, rawBody, headers: lower, get: (name) => lower[name.toLowerCase()] };
+  const res = Object.assign(new EventEmitter(), {
+    locals: {},
+    statusCode: 200,
+    writableFinished: true,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  });
+  return new Promise((resolve, reject) => {
+    stackPush(req, res, reject).then(() => resolve(res), reject);
+  });
+}
+
+function sign(body, raw = JSON.stringify(body)) {
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(raw).digest('hex')}`;
+}
+
+test('stack push webhook checks the signature and the branch before syncing', async (t) => {
+  t.mock.method(db.Stack, 'findByPk', async () => fakeStack());
+  t.mock.method(auditService, 'record', async () => {});
+  const synced = [];
+  t.mock.method(stackGitService, 'syncInBackground', (stack) => { synced.push(stack.id); });
+
+  const bad = await call({ ref: 'refs/heads/main' }, { 'X-Hub-Signature-256': 'sha256=00' });
+  assert.strictEqual(bad.statusCode, 401);
+
+  const other = { ref: 'refs/heads/feature' };
+  const ignored = await call(other, { 'X-Hub-Signature-256': sign(other) });
+  assert.strictEqual(ignored.statusCode, 202);
+  assert.strictEqual(ignored.body.ignored, true);
+
+  const push = { ref: 'refs/heads/main' };
+  const accepted = await call(push, { 'X-Hub-Signature-256': sign(push) });
+  assert.strictEqual(accepted.statusCode, 202);
+  assert.strictEqual(accepted.body.accepted, true);
+  assert.deepStrictEqual(synced, [STACK_ID]);
+});
+
+test('stack push webhook audits only requests with a valid signature', async (t) => {
+  t.mock.method(db.Stack, 'findByPk', async () => fakeStack());
+  t.mock.method(stackGitService, 'syncInBackground', () => {});
+  const entries = [];
+  t.mock.method(auditService, 'record', async (entry) => { entries.push(entry); });
+
+  const bad = await call({ ref: 'refs/heads/main' }, { 'X-Hub-Signature-256': 'sha256=00' });
+  bad.emit('close');
+  const push = { ref: 'refs/heads/main' };
+  const accepted = await call(push, { 'X-Hub-Signature-256': sign(push) });
+  accepted.emit('close');
+
+  assert.deepStrictEqual(entries.map((e) => [e.action, e.targetId, e.targetName, e.outcome]), [
+    ['stack.webhook', STACK_ID, 'web', 'success'],
+  ]);
+});
+
+test('stack push webhook accepts GitHub form-encoded deliveries', async (t) => {
+  t.mock.method(db.Stack, 'findByPk', async () => fakeStack());
+  t.mock.method(auditService, 'record', async () => {});
+  const synced = [];
+  t.mock.method(stackGitService, 'syncInBackground', (stack) => { synced.push(stack.id); });
+
+  const payload = JSON.stringify({ ref: 'refs/heads/main' });
+  const raw = `payload=${encodeURIComponent(payload)}`;
+  const accepted = await call({ payload }, { 'X-Hub-Signature-256': sign(null, raw) }, raw);
+  assert.strictEqual(accepted.statusCode, 202);
+  assert.deepStrictEqual(synced, [STACK_ID]);
+});
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const c = require('./hooks.controller');
+
+// Public route: the controller starts the audit entry only once the signature checks out
+router.post('/stacks/:id', c.stackPush);
+
+module.exports = router;
@@ -6,11 +6,12 @@ const {
   removeImage,
 } = require('./images.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 
 router.use(authenticate);
 
 router.get('/:serverId/images', getImages);
-router.post('/:serverId/images/pull', pullImage);
-router.delete('/:serverId/images/:imageId', removeImage);
+router.post('/:serverId/images/pull', audit('image.pull'), pullImage);
+router.delete('/:serverId/images/:imageId', audit('image.remove', { targetParam: 'imageId' }), removeImage);
 
 module.exports = router;
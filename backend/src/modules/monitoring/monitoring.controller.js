@@ -1,5 +1,6 @@
 const { body } = require('express-validator');
-const { MonitoringSettings, User } = require('../../models');
+const { MonitoringSettings, User, Server } = require('../../models');
+const { normalizeOverrides, RESOURCE_METRICS } = require('../../utils/resourceAlerts');
 const logger = require('../../config/logger');
 const config = require('../../config/config');
 const monitoringService = require('../../services/monitoring.service');
@@ -50,6 +51,21 @@ const updateMonitoringSettings = async (req, res, next) => {
       minContainersWithUpdatesBeforeAlert,
     } = req.body;
 
+    // Resource alert fields: thresholds accept null (rule off), so only skip when absent
+    const resourceFields = {};
+    for (const field of [...RESOURCE_METRICS, 'resourceAlertDurationMs', 'resourceAlertCooldownMs', 'alertOnResourceRecovery']) {
+      if (req.body[field] !== undefined) resourceFields[field] = req.body[field] === '' ? null : req.body[field];
+    }
+    if (req.body.resourceAlertOverrides !== undefined) {
+      const overrides = normalizeOverrides(req.body.resourceAlertOverrides);
+      const serverIds = [...new Set(overrides.map((o) => o.serverId))];
+      const owned = serverIds.length ? await Server.count({ where: { id: serverIds, userId: req.user.id } }) : 0;
+      if (owned !== serverIds.length) {
+        return res.status(400).json({ error: 'Overrides may only reference your own servers' });
+      }
+      resourceFields.resourceAlertOverrides = overrides;
+    }
+
     let settings = await MonitoringSettings.findOne({
       where: { userId: req.user.id },
     });
@@ -67,6 +83,7 @@ const updateMonitoringSettings = async (req, res, next) => {
         alertOnUpdateAvailable: alertOnUpdateAvailable !== undefined ? alertOnUpdateAvailable : config.monitoring.alertOnUpdateAvailable,
         updateAlertCooldownMs: updateAlertCooldownMs !== undefined ? updateAlertCooldownMs : config.monitoring.updateAlertCooldownMs,
         minContainersWithUpdatesBeforeAlert: minContainersWithUpdatesBeforeAlert !== undefined ? minContainersWithUpdatesBeforeAlert : config.monitoring.minContainersWithUpdatesBeforeAlert,
+        ...resourceFields,
       });
     } else {
       // Update existing settings
@@ -79,6 +96,7 @@ const updateMonitoringSettings = async (req, res, next) => {
       if (alertOnUpdateAvailable !== undefined) settings.alertOnUpdateAvailable = alertOnUpdateAvailable;
       if (updateAlertCooldownMs !== undefined) settings.updateAlertCooldownMs = updateAlertCooldownMs;
       if (minContainersWithUpdatesBeforeAlert !== undefined) settings.minContainersWithUpdatesBeforeAlert = minContainersWithUpdatesBeforeAlert;
+      settings.set(resourceFields);
 
       await settings.save();
     }
@@ -104,6 +122,13 @@ const monitoringSettingsValidation = [
   body('alertOnUpdateAvailable').optional().isBoolean().withMessage('alertOnUpdateAvailable must be a boolean'),
   body('updateAlertCooldownMs').optional().isInt({ min: 0 }).withMessage('updateAlertCooldownMs must be a non-negative integer'),
   body('minContainersWithUpdatesBeforeAlert').optional().isInt({ min: 0 }).withMessage('minContainersWithUpdatesBeforeAlert must be a non-negative integer'),
+  ...RESOURCE_METRICS.map((field) =>
+    body(field).optional({ values: 'null' }).isInt({ min: 1, max: 100 }).withMessage(`${field} must be a percentage between 1 and 100, or null to disable`)
+  ),
+  body('resourceAlertDurationMs').optional().isInt({ min: 0 }).withMessage('resourceAlertDurationMs must be a non-negative integer'),
+  body('resourceAlertCooldownMs').optional().isInt({ min: 0 }).withMessage('resourceAlertCooldownMs must be a non-negative integer'),
+  body('alertOnResourceRecovery').optional().isBoolean().withMessage('alertOnResourceRecovery must be a boolean'),
+  body('resourceAlertOverrides').optional().isArray().withMessage('resourceAlertOverrides must be an array'),
 ];
 
 module.exports = {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../../middleware/auth.middleware');
 const { validate } = require('../../middleware/validation.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const {
   getMonitoringSettings,
   updateMonitoringSettings,
@@ -11,6 +12,6 @@ const {
 router.use(authenticate);
 
 router.get('/', getMonitoringSettings);
-router.put('/', monitoringSettingsValidation, validate, updateMonitoringSettings);
+router.put('/', audit('monitoring.update'), monitoringSettingsValidation, validate, updateMonitoringSettings);
 
 module.exports = router;
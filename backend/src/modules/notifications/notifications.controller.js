@@ -0,0 +1,206 @@
+const { body } = require('express-validator');
+const { NotificationChannel, MonitoringSettings } = require('../../models');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+const notificationService = require('../../services/notification.service');
+const monitoringService = require('../../services/monitoring.service');
+const logger = require('../../config/logger');
+
+const MAX_CHANNELS_PER_USER = 50;
+
+function serializeChannel(channel) {
+  let masked;
+  try {
+    masked = notificationService.maskChannelConfig(channel.type, channel.getConfig());
+  } catch (e) {
+    masked = { config: {}, secretsSet: [] };
+  }
+  return {
+    id: channel.id,
+    name: channel.name,
+    type: channel.type,
+    enabled: channel.enabled,
+    alertTypes: channel.alertTypes || [],
+    config: masked.config,
+    secretsSet: masked.secretsSet,
+    lastSentAt: channel.lastSentAt,
+    lastError: channel.lastError,
+    createdAt: channel.createdAt,
+  };
+}
+
+async function findOwnChannel(req, res) {
+  const channel = await NotificationChannel.findOne({ where: { id: req.params.id, userId: req.user.id } });
+  if (!channel) {
+    res.status(404).json({ error: 'Notification channel not found' });
+    return null;
+  }
+  annotateAudit(res, { targetName: channel.name });
+  return channel;
+}
+
+// Alerts only run while the monitoring service is up; it stays off when nothing can deliver them
+async function ensureMonitoringRunning() {
+  if (!monitoringService.isRunning) await monitoringService.start();
+}
+
+/**
+ * GET /api/v1/notifications/channels
+ * The user's channels (secrets masked), the available drivers and alert types, and the email routing.
+ */
+const listChannels = async (req, res, next) => {
+  try {
+    const channels = await NotificationChannel.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC']],
+    });
+    const settings = await MonitoringSettings.findOne({ where: { userId: req.user.id }, attributes: ['emailAlertTypes'] });
+    res.json({
+      channels: channels.map(serializeChannel),
+      drivers: Object.entries(notificationService.DRIVERS).map(([type, d]) => ({ type, label: d.label, secretFields: d.secretFields })),
+      alertTypes: notificationService.ALERT_TYPES,
+      emailAlertTypes: settings?.emailAlertTypes ?? null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/notifications/channels
+ * Body: { name, type, config, enabled?, alertTypes? } (alertTypes defaults to every alert type)
+ */
+const createChannel = async (req, res, next) => {
+  try {
+    const count = await NotificationChannel.count({ where: { userId: req.user.id } });
+    if (count >= MAX_CHANNELS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_CHANNELS_PER_USER} channels are allowed` });
+    }
+    const { name, type, enabled } = req.body;
+    const config = notificationService.normalizeChannelConfig(type, req.body.config);
+    const alertTypes = notificationService.normalizeAlertTypes(req.body.alertTypes) ?? notificationService.ALERT_TYPES.map((t) => t.type);
+
+    const channel = await NotificationChannel.create({
+      userId: req.user.id,
+      name: name.trim(),
+      type,
+      enabled: enabled !== false,
+      configEncrypted: config,
+      alertTypes,
+    });
+    annotateAudit(res, { targetId: channel.id, targetName: channel.name });
+    if (channel.enabled) await ensureMonitoringRunning();
+    res.status(201).json({ channel: serializeChannel(channel) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/notifications/channels/:id
+ * Body: any of { name, enabled, config, alertTypes }. Empty secret fields in config keep the stored value;
+ * with config, clearSecrets lists secret fields to remove instead (e.g. ['authHeader']).
+ */
+const updateChannel = async (req, res, next) => {
+  try {
+    const channel = await findOwnChannel(req, res);
+    if (!channel) return;
+
+    const { name, enabled, config, alertTypes, clearSecrets } = req.body;
+    if (name !== undefined) channel.name = name.trim();
+    if (enabled !== undefined) channel.enabled = enabled;
+    if (config !== undefined) {
+      channel.configEncrypted = notificationService.normalizeChannelConfig(channel.type, config, channel.getConfig(), clearSecrets);
+    }
+    if (alertTypes !== undefined) channel.alertTypes = notificationService.normalizeAlertTypes(alertTypes) ?? [];
+    if (channel.changed('enabled') && channel.enabled) channel.lastError = null;
+    await channel.save();
+
+    if (channel.enabled) await ensureMonitoringRunning();
+    res.json({ channel: serializeChannel(channel) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/v1/notifications/channels/:id
+ */
+const deleteChannel = async (req, res, next) => {
+  try {
+    const channel = await findOwnChannel(req, res);
+    if (!channel) return;
+    await channel.destroy();
+    res.json({ message: 'Notification channel deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/v1/notifications/channels/:id/test
+ * Sends a test message right away (also when the channel is disabled) and reports the outcome.
+ */
+const testChannel = async (req, res, next) => {
+  try {
+    const channel = await findOwnChannel(req, res);
+    if (!channel) return;
+    const result = await notificationService.sendToChannel(channel, 'test', notificationService.formatMessage('test'));
+    if (!result.success) logger.info(`Test notification to channel ${channel.name} failed: ${result.error}`);
+    res.json({
+      success: result.success,
+      error: result.error,
+      message: result.success ? `Test notification sent to ${channel.name}` : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/v1/notifications/email-routing
+ * Body: { alertTypes: string[] | null } — alert types sent by email; null sends every type.
+ */
+const updateEmailRouting = async (req, res, next) => {
+  try {
+    const emailAlertTypes = notificationService.normalizeAlertTypes(req.body.alertTypes);
+    const [settings] = await MonitoringSettings.findOrCreate({
+      where: { userId: req.user.id },
+      defaults: { userId: req.user.id },
+    });
+    await settings.update({ emailAlertTypes });
+    res.json({ emailAlertTypes: settings.emailAlertTypes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const channelValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('config').optional().isObject().withMessage('config must be an object'),
+  body('alertTypes').optional().isArray().withMessage('alertTypes must be an array'),
+  body('clearSecrets').optional().isArray().withMessage('clearSecrets must be an array'),
+];
+
+const createChannelValidation = [
+  body('name').exists().withMessage('Name is required'),
+  body('type').isIn(Object.keys(notificationService.DRIVERS)).withMessage(`type must be one of ${Object.keys(notificationService.DRIVERS).join(', ')}`),
+  body('config').isObject().withMessage('config is required'),
+  ...channelValidation,
+];
+
+const emailRoutingValidation = [
+  body('alertTypes').optional({ values: 'null' }).isArray().withMessage('alertTypes must be an array or null'),
+];
+
+module.exports = {
+  listChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  updateEmailRouting,
+  createChannelValidation,
+  updateChannelValidation: channelValidation,
+  emailRoutingValidation,
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validation.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const {
+  listChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  updateEmailRouting,
+  createChannelValidation,
+  updateChannelValidation,
+  emailRoutingValidation,
+} = require('./notifications.controller');
+
+router.use(authenticate);
+
+router.get('/channels', listChannels);
+router.post('/channels', audit('notification-channel.create'), createChannelValidation, validate, createChannel);
+router.put('/channels/:id', audit('notification-channel.update', { targetParam: 'id' }), updateChannelValidation, validate, updateChannel);
+router.delete('/channels/:id', audit('notification-channel.delete', { targetParam: 'id' }), deleteChannel);
+router.post('/channels/:id/test', audit('notification-channel.test', { targetParam: 'id' }), testChannel);
+router.put('/email-routing', audit('notification-channel.email-routing'), emailRoutingValidation, validate, updateEmailRouting);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const { Op } = require('sequelize');
+const { RegistryCredential, Server } = require('../../models');
+const registryCredentialService = require('../../services/registry-credential.service');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+const { serializeCredential } = registryCredentialService;
+
+async function findOwnCredential(req, res) {
+  const credential = await RegistryCredential.findOne({ where: { id: req.params.id, userId: req.user.id } });
+  if (!credential) {
+    res.status(404).json({ error: 'Registry credential not found' });
+    return null;
+  }
+  annotateAudit(res, { targetName: `${credential.username}@${credential.host}` });
+  return credential;
+}
+
+const listCredentials = async (req, res, next) => {
+  try {
+    const credentials = await RegistryCredential.findAll({ where: { userId: req.user.id }, order: [['host', 'ASC']] });
+    res.json(credentials.map(serializeCredential));
+  } catch (e) { next(e); }
+};
+
+// { host, username, token, insecure }; one credential per registry host
+const createCredential = async (req, res, next) => {
+  try {
+    const count = await RegistryCredential.count({ where: { userId: req.user.id } });
+    if (count >= registryCredentialService.MAX_CREDENTIALS_PER_USER) {
+      return res.status(400).json({ error: `At most ${registryCredentialService.MAX_CREDENTIALS_PER_USER} registry credentials are allowed` });
+    }
+    const { token, ...fields } = registryCredentialService.normalizeCredential(req.body);
+    annotateAudit(res, { targetName: `${fields.username}@${fields.host}` });
+    if (await RegistryCredential.findOne({ where: { userId: req.user.id, host: fields.host } })) {
+      return res.status(409).json({ error: `A credential for ${fields.host} already exists` });
+    }
+    const credential = await RegistryCredential.create({ ...fields, tokenEncrypted: token, userId: req.user.id });
+    annotateAudit(res, { targetId: credential.id });
+    res.status(201).json(serializeCredential(credential));
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+// A blank token keeps the stored one
+const updateCredential = async (req, res, next) => {
+  try {
+    const credential = await findOwnCredential(req, res);
+    if (!credential) return undefined;
+    const { token, ...fields } = registryCredentialService.normalizeCredential(req.body, credential);
+    if (fields.host !== credential.host && await RegistryCredential.findOne({ where: { userId: req.user.id, host: fields.host } })) {
+      return res.status(409).json({ error: `A credential for ${fields.host} already exists` });
+    }
+    Object.assign(credential, fields);
+    if (token) credential.tokenEncrypted = token;
+    if (token || credential.changed('host') || credential.changed('username') || credential.changed('insecure')) {
+      credential.lastTestedAt = null;
+      credential.lastError = null;
+    }
+    await credential.save();
+    res.json(serializeCredential(credential));
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+// Logins already pushed to hosts stay there
+const deleteCredential = async (req, res, next) => {
+  try {
+    const credential = await findOwnCredential(req, res);
+    if (!credential) return undefined;
+    await credential.destroy();
+    res.json({ success: true });
+  } catch (e) { next(e); }
+};
+
+const testCredential = async (req, res, next) => {
+  try {
+    const credential = await findOwnCredential(req, res);
+    if (!credential) return undefined;
+    const result = await registryCredentialService.testCredential(credential);
+    res.json({ ...result, credential: serializeCredential(credential) });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Run `docker login` with the credential on { serverIds } (all of the user's servers when
+ * omitted). Returns the outcome per server.
+ */
+const pushCredential = async (req, res, next) => {
+  try {
+    const credential = await findOwnCredential(req, res);
+    if (!credential) return undefined;
+    const where = { userId: req.user.id };
+    if (Array.isArray(req.body.serverIds)) where.id = { [Op.in]: req.body.serverIds.map(String) };
+    const servers = await Server.findAll({ where, order: [['name', 'ASC']] });
+    if (!servers.length) return res.status(400).json({ error: 'No servers selected' });
+    const results = await registryCredentialService.pushToServers(credential, servers);
+    res.json({ results });
+  } catch (e) { next(e); }
+};
+
+module.exports = {
+  listCredentials, createCredential, updateCredential, deleteCredential, testCredential, pushCredential,
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const c = require('./registry-credentials.controller');
+
+router.get('/', c.listCredentials);
+router.post('/', audit('registry-credential.create'), authorize('admin'), c.createCredential);
+router.put('/:id', audit('registry-credential.update', { targetParam: 'id' }), authorize('admin'), c.updateCredential);
+router.delete('/:id', audit('registry-credential.delete', { targetParam: 'id' }), authorize('admin'), c.deleteCredential);
+router.post('/:id/test', audit('registry-credential.test', { targetParam: 'id' }), authorize('admin'), c.testCredential);
+router.post('/:id/push', audit('registry-credential.push', { targetParam: 'id' }), authorize('admin'), c.pushCredential);
+
+module.exports = router;
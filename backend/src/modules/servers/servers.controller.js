@@ -6,6 +6,7 @@ const { configureFirewall } = require('../../services/public-www.service');
 const tailscaleService = require('../../services/tailscale.service');
 const dockerfleetProvision = require('../../services/dockerfleet-provision.service');
 const { encrypt } = require('../../utils/encryption');
+const { normalizeTags } = require('../../utils/serverTags');
 const logger = require('../../config/logger');
 
 const TAILSCALE_KEY_STORAGE_DAYS = 90;
@@ -70,6 +71,7 @@ const createServer = async (req, res, next) => {
         details: 'Name, host, username, and private key are required',
       });
     }
+    const tags = normalizeTags(req.body.tags);
 
     // Validate that this is a private key, not a public key
     const keyTrimmed = privateKey.trim();
@@ -141,6 +143,7 @@ const createServer = async (req, res, next) => {
       username: effectiveUsername,
       privateKeyEncrypted: privateKey,
       publicHost: publicHost && String(publicHost).trim() ? String(publicHost).trim() : null,
+      tags,
     });
 
     logger.info(`Server ${server.id} created by user ${req.user.id}`);
@@ -167,7 +170,7 @@ const createServer = async (req, res, next) => {
 const updateServer = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, host, port, username, privateKey, sshAllowedIps, publicWwwEnabled, publicHost, tailscaleAcceptRoutes } = req.body;
+    const { name, host, port, username, privateKey, sshAllowedIps, publicWwwEnabled, publicHost, tailscaleAcceptRoutes, tags, autoUpdateConcurrency } = req.body;
 
     const server = await Server.findOne({
       where: { id, userId: req.user.id },
@@ -224,6 +227,12 @@ const updateServer = async (req, res, next) => {
     if (tailscaleAcceptRoutes !== undefined) {
       server.tailscaleAcceptRoutes = !!tailscaleAcceptRoutes;
     }
+    if (tags !== undefined) {
+      server.tags = normalizeTags(tags);
+    }
+    if (autoUpdateConcurrency !== undefined) {
+      server.autoUpdateConcurrency = parseInt(autoUpdateConcurrency, 10);
+    }
 
     await server.save();
 
@@ -529,6 +538,7 @@ const updateServerValidation = [
   body('publicWwwEnabled').optional().isBoolean().withMessage('publicWwwEnabled must be a boolean'),
   body('publicHost').optional().isString().withMessage('publicHost must be a string'),
   body('tailscaleAcceptRoutes').optional().isBoolean().withMessage('tailscaleAcceptRoutes must be a boolean'),
+  body('autoUpdateConcurrency').optional().isInt({ min: 1, max: 10 }).withMessage('autoUpdateConcurrency must be between 1 and 10'),
 ];
 
 
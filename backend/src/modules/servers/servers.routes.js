@@ -15,8 +15,9 @@ const {
   createServerValidation,
   updateServerValidation,
 } = require('./servers.controller');
-const { getHostInfo } = require('./system.controller');
+const { getHostInfo, getHostMetrics } = require('./system.controller');
 const { getCertificateOverview } = require('./certificates.controller');
+const { listTerminalSessions } = require('./terminal.controller');
 const {
   listProxyRoutes,
   addProxyRoute,
@@ -35,6 +36,7 @@ const {
 } = require('./public-www.controller');
 const { authenticate, authorize } = require('../../middleware/auth.middleware');
 const { validate } = require('../../middleware/validation.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const stacksController = require('../stacks/stacks.controller');
 
 router.use(authenticate);
@@ -43,31 +45,33 @@ router.get('/', getAllServers);
 // Cached certificate overview for dashboard (must be before '/:id')
 router.get('/certificates/overview', getCertificateOverview);
 router.get('/:id/host-info', getHostInfo);
+router.get('/:id/metrics', getHostMetrics);
 router.get('/:id/proxy-routes', listProxyRoutes);
-router.post('/:id/proxy-routes', addProxyRoute);
-router.patch('/:id/proxy-routes/:routeId', updateProxyRoute);
-router.delete('/:id/proxy-routes/:routeId', deleteProxyRoute);
-router.post('/:id/public-www/enable', enablePublicWww);
-router.post('/:id/public-www/disable', disablePublicWww);
-router.post('/:id/public-www/sync', syncPublicWww);
+router.post('/:id/proxy-routes', audit('proxy-route.create', { serverParam: 'id' }), addProxyRoute);
+router.patch('/:id/proxy-routes/:routeId', audit('proxy-route.update', { serverParam: 'id', targetParam: 'routeId' }), updateProxyRoute);
+router.delete('/:id/proxy-routes/:routeId', audit('proxy-route.delete', { serverParam: 'id', targetParam: 'routeId' }), deleteProxyRoute);
+router.post('/:id/public-www/enable', audit('public-www.enable', { serverParam: 'id' }), enablePublicWww);
+router.post('/:id/public-www/disable', audit('public-www.disable', { serverParam: 'id' }), disablePublicWww);
+router.post('/:id/public-www/sync', audit('public-www.sync', { serverParam: 'id' }), syncPublicWww);
 router.get('/:id/public-www/certificates', listCertificates);
-router.post('/:id/public-www/renew-certificates', renewCertificates);
+router.post('/:id/public-www/renew-certificates', audit('public-www.renew-certificates', { serverParam: 'id' }), renewCertificates);
 router.get('/:id/public-www/nginx-config', getNginxConfig);
 router.get('/:id/public-www/nginx-import', getImportNginxBlock);
-router.put('/:id/public-www/custom-nginx-config', updateCustomNginxConfig);
-router.post('/:id/public-www/request-dns-cert', requestDnsCert);
-router.post('/:id/public-www/continue-dns-cert', continueDnsCert);
-router.post('/:id/tailscale/enable', tailscaleEnable);
-router.post('/:id/tailscale/disable', tailscaleDisable);
-router.delete('/:id/tailscale/stored-key', clearTailscaleStoredKey);
+router.put('/:id/public-www/custom-nginx-config', audit('public-www.custom-nginx-config', { serverParam: 'id' }), updateCustomNginxConfig);
+router.post('/:id/public-www/request-dns-cert', audit('public-www.request-dns-cert', { serverParam: 'id' }), requestDnsCert);
+router.post('/:id/public-www/continue-dns-cert', audit('public-www.continue-dns-cert', { serverParam: 'id' }), continueDnsCert);
+router.post('/:id/tailscale/enable', audit('server.tailscale-enable', { serverParam: 'id' }), tailscaleEnable);
+router.post('/:id/tailscale/disable', audit('server.tailscale-disable', { serverParam: 'id' }), tailscaleDisable);
+router.delete('/:id/tailscale/stored-key', audit('server.tailscale-clear-key', { serverParam: 'id' }), clearTailscaleStoredKey);
 router.get('/:id/tailscale/status', tailscaleStatus);
+router.get('/:id/terminal-sessions', authorize('admin'), listTerminalSessions);
 router.get('/:id', getServerById);
-router.post('/', createServerValidation, validate, createServer);
-router.put('/:id', updateServerValidation, validate, updateServer);
-router.delete('/:id', deleteServer);
-router.post('/:id/test', testConnection);
-router.post('/:id/provision-dockerfleet', provisionDockerfleet);
+router.post('/', audit('server.create'), createServerValidation, validate, createServer);
+router.put('/:id', audit('server.update', { serverParam: 'id' }), updateServerValidation, validate, updateServer);
+router.delete('/:id', audit('server.delete', { serverParam: 'id' }), deleteServer);
+router.post('/:id/test', audit('server.test', { serverParam: 'id' }), testConnection);
+router.post('/:id/provision-dockerfleet', audit('server.provision', { serverParam: 'id' }), provisionDockerfleet);
 router.get('/:id/stacks/discover', authorize('admin'), stacksController.discover);
-router.post('/:id/stacks/import', authorize('admin'), stacksController.importStacks);
+router.post('/:id/stacks/import', audit('stack.import', { serverParam: 'id' }), authorize('admin'), stacksController.importStacks);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const { Server, ServerHostInfoCache } = require('../../models');
+const metricsService = require('../../services/metrics.service');
 
 const getHostInfo = async (req, res, next) => {
   const logger = require('../../config/logger');
@@ -35,6 +36,23 @@ const getHostInfo = async (req, res, next) => {
   }
 };
 
+const getHostMetrics = async (req, res, next) => {
+  try {
+    const server = await Server.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    res.json(await metricsService.getHostHistory(server.id, req.query.range));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getHostInfo,
+  getHostMetrics,
 };
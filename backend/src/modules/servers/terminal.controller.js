@@ -0,0 +1,42 @@
+const { Server, TerminalSession, User } = require('../../models');
+
+const MAX_SESSIONS = 200;
+
+/**
+ * Audit trail of interactive terminal sessions (host shells and container consoles) for one server.
+ */
+async function listTerminalSessions(req, res, next) {
+  try {
+    const server = await Server.findOne({ where: { id: req.params.id, userId: req.user.id }, attributes: ['id'] });
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+
+    const limit = Math.min(MAX_SESSIONS, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const where = { serverId: server.id };
+    if (req.query.kind === 'host' || req.query.kind === 'container') where.kind = req.query.kind;
+
+    const sessions = await TerminalSession.findAll({
+      where,
+      include: [{ model: User, as: 'user', attributes: ['id', 'email'] }],
+      order: [['startedAt', 'DESC']],
+      limit,
+    });
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s.id,
+        kind: s.kind,
+        containerId: s.containerId,
+        user: s.user ? { id: s.user.id, email: s.user.email } : null,
+        clientIp: s.clientIp,
+        startedAt: s.startedAt,
+        endedAt: s.endedAt,
+        exitCode: s.exitCode,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listTerminalSessions,
+};
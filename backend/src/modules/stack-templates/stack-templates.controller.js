@@ -0,0 +1,154 @@
+const db = require('../../models');
+const logger = require('../../config/logger');
+const stackTemplateService = require('../../services/stack-template.service');
+const stackRevisionService = require('../../services/stack-revision.service');
+const publicWwwService = require('../../services/public-www.service');
+const { readValue } = require('../../utils/stackEnv');
+const { serializeStack, createStackRecord } = require('../stacks/stacks.controller');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+const { StackTemplate, Stack, StackEnvVar, Server, ServerProxyRoute } = db;
+const { BUILTIN_TEMPLATES, isBuiltinId, serializeTemplate } = stackTemplateService;
+
+// A built-in template or one of the user's; null when not found
+async function findTemplate(req, id) {
+  if (isBuiltinId(id)) return BUILTIN_TEMPLATES.find((t) => t.id === id) || null;
+  return StackTemplate.findOne({ where: { id, userId: req.user.id } });
+}
+
+async function findUserOwnTemplate(req, id) {
+  if (isBuiltinId(id)) return null;
+  return StackTemplate.findOne({ where: { id, userId: req.user.id } });
+}
+
+// Compose file and variables of one of the user's stacks, for "save as template"
+async function stackSource(req, stackId) {
+  const stack = await Stack.findByPk(stackId, { include: [{ model: StackEnvVar, as: 'envVars' }, { model: Server, as: 'server' }] });
+  if (!stack || stack.server.userId !== req.user.id) return null;
+  return stackTemplateService.templateFromStack({
+    composeYaml: stack.composeYaml,
+    envVars: stack.envVars.map((e) => ({ key: e.key, isSecret: e.isSecret, value: readValue(e.value, e.isSecret) })),
+  });
+}
+
+const listTemplates = async (req, res, next) => {
+  try {
+    const own = await StackTemplate.findAll({ where: { userId: req.user.id }, order: [['name', 'ASC']] });
+    res.json([...BUILTIN_TEMPLATES, ...own].map((t) => serializeTemplate(t)));
+  } catch (e) { next(e); }
+};
+
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json(serializeTemplate(template));
+  } catch (e) { next(e); }
+};
+
+// From the body, or from an existing stack with { fromStackId, name, description }
+const createTemplate = async (req, res, next) => {
+  try {
+    let input = req.body;
+    if (req.body.fromStackId) {
+      const source = await stackSource(req, req.body.fromStackId);
+      if (!source) return res.status(404).json({ error: 'Stack not found' });
+      input = { ...source, name: req.body.name, description: req.body.description };
+    }
+    const fields = stackTemplateService.normalizeTemplate(input);
+    annotateAudit(res, { targetName: fields.name });
+    if (await StackTemplate.findOne({ where: { userId: req.user.id, name: fields.name } })) {
+      return res.status(409).json({ error: `A template named ${fields.name} already exists` });
+    }
+    const template = await StackTemplate.create({ ...fields, userId: req.user.id });
+    annotateAudit(res, { targetId: template.id, targetName: template.name });
+    res.status(201).json(serializeTemplate(template));
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await findUserOwnTemplate(req, req.params.id);
+    if (!template) return res.status(404).json({ error: isBuiltinId(req.params.id) ? 'Built-in templates cannot be changed' : 'Template not found' });
+    annotateAudit(res, { targetName: template.name });
+    const fields = stackTemplateService.normalizeTemplate({ ...serializeTemplate(template), ...req.body });
+    if (fields.name !== template.name && await StackTemplate.findOne({ where: { userId: req.user.id, name: fields.name } })) {
+      return res.status(409).json({ error: `A template named ${fields.name} already exists` });
+    }
+    await template.update(fields);
+    res.json(serializeTemplate(template));
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await findUserOwnTemplate(req, req.params.id);
+    if (!template) return res.status(404).json({ error: isBuiltinId(req.params.id) ? 'Built-in templates cannot be deleted' : 'Template not found' });
+    annotateAudit(res, { targetName: template.name });
+    await template.destroy();
+    res.json({ success: true });
+  } catch (e) { next(e); }
+};
+
+/**
+ * Install a template as a new stack: { serverId, name, env, deploy, publicRoute: { domain } }, where
+ * env holds the entered values as stack env rows ({ key, value, isSecret }, so the audit log redacts
+ * secrets). The variables become the stack's env (entered values, else defaults, else generated
+ * secrets). With a domain, a Public WWW route to the template's web service is added and, when
+ * Public WWW is on for the server, the proxy config is synced; a failed sync is returned as a
+ * warning since the stack itself was created.
+ */
+const installTemplate = async (req, res, next) => {
+  try {
+    const found = await findTemplate(req, req.params.id);
+    if (!found) return res.status(404).json({ error: 'Template not found' });
+    const template = serializeTemplate(found);
+    annotateAudit(res, { targetName: template.name });
+    const { serverId, name, deploy, publicRoute } = req.body;
+    const values = Object.fromEntries((Array.isArray(req.body.env) ? req.body.env : []).map((e) => [String(e.key), e.value]));
+    const { env, missing } = stackTemplateService.resolveValues(template, values);
+    if (missing.length) return res.status(400).json({ error: `Values are required for ${missing.join(', ')}` });
+
+    const domain = String(publicRoute?.domain || '').trim();
+    let target = null;
+    if (domain) {
+      target = stackTemplateService.proxyTargetOf(template, String(name || '').trim(), env);
+      if (!target) return res.status(400).json({ error: 'This template declares no web port for a Public WWW route' });
+    }
+
+    const stack = await createStackRecord(req, res, { serverId, name, composeYaml: template.composeYaml, env });
+    if (!stack) return undefined;
+    // The audited target is the template; the stack is in the response
+    annotateAudit(res, { targetId: template.id, targetName: template.name });
+
+    const warnings = [];
+    let deployResult = null;
+    if (deploy) {
+      const { result, revision } = await stackRevisionService.deployAndRecord(stack, { user: req.user });
+      deployResult = { success: result.success, code: result.code, revision: revision.revision };
+      if (!result.success) warnings.push('The deploy failed; see the stack history for the output');
+    }
+
+    let route = null;
+    if (target) {
+      route = await ServerProxyRoute.create({ serverId: stack.serverId, domain, ...target });
+      if (stack.server.publicWwwEnabled) {
+        try {
+          await publicWwwService.syncProxy(stack.serverId, req.user.id);
+        } catch (err) {
+          logger.warn(`Public WWW sync after installing ${stack.name} failed:`, err.message);
+          warnings.push(`The route was added but the proxy sync failed: ${err.message}`);
+        }
+      } else {
+        warnings.push('Public WWW is not enabled on this server; the route applies once it is');
+      }
+    }
+
+    const full = await Stack.findByPk(stack.id, { include: [{ model: StackEnvVar, as: 'envVars' }] });
+    res.status(201).json({ stack: serializeStack(full), deploy: deployResult, route, warnings });
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
+module.exports = {
+  listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, installTemplate,
+};
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const c = require('./stack-templates.controller');
+
+router.get('/', c.listTemplates);
+router.post('/', audit('stack-template.create'), authorize('admin'), c.createTemplate);
+router.get('/:id', c.getTemplate);
+router.put('/:id', audit('stack-template.update', { targetParam: 'id' }), authorize('admin'), c.updateTemplate);
+router.delete('/:id', audit('stack-template.delete', { targetParam: 'id' }), authorize('admin'), c.deleteTemplate);
+router.post('/:id/install', audit('stack-template.install', { targetParam: 'id' }), authorize('admin'), c.installTemplate);
+
+module.exports = router;
@@ -1,13 +1,24 @@
+const crypto = require('crypto');
+const path = require('path');
 const { Op } = require('sequelize');
 const db = require('../../models');
 const { sequelize } = db;
 const logger = require('../../config/logger');
 const stackService = require('../../services/stack.service');
+const stackRevisionService = require('../../services/stack-revision.service');
+const stackDriftService = require('../../services/stack-drift.service');
+const stackGitService = require('../../services/stack-git.service');
+const stackValidationService = require('../../services/stack-validation.service');
+const stackMigrationService = require('../../services/stack-migration.service');
 const { storeValue, maskRows, flagSecret } = require('../../utils/stackEnv');
-const { parseEnvFile, rewriteRelativeBindMounts } = require('../../services/stack.builders');
-const { validateComposeProjectName, validateStackDeployPath, STACK_DEPLOY_BASE } = require('../../utils/shellSafe');
+const { parseEnvFile, parseComposeServices, rewriteRelativeBindMounts, composeFileRefs } = require('../../services/stack.builders');
+const { validateComposeProjectName, validateStackDeployPath, validateStackFilePath, throwInvalid, STACK_DEPLOY_BASE } = require('../../utils/shellSafe');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+const { emitToUser } = require('../../config/socket');
 
-const { Stack, StackEnvVar, Server } = db;
+const { Stack, StackEnvVar, StackFile, StackRevision, Server } = db;
+
+const MAX_STACK_FILES = 50;
 
 function serializeStack(stackModel) {
   const s = typeof stackModel.toJSON === 'function' ? stackModel.toJSON() : stackModel;
@@ -15,21 +26,99 @@ function serializeStack(stackModel) {
   return {
     id: s.id, serverId: s.serverId, name: s.name, composeYaml: s.composeYaml,
     deployPath: s.deployPath, source: s.source,
-    lastDeployedAt: s.lastDeployedAt, lastDeployStatus: s.lastDeployStatus, env,
+    lastDeployedAt: s.lastDeployedAt, lastDeployStatus: s.lastDeployStatus,
+    driftStatus: s.driftStatus ?? null, driftCheckedAt: s.driftCheckedAt ?? null, drift: s.drift ?? null,
+    lastDeployedCommit: s.lastDeployedCommit ?? null,
+    fleetStackId: s.fleetStackId ?? null,
+    git: s.source === 'git' ? {
+      repoUrl: s.gitRepoUrl, branch: s.gitBranch, composePath: s.gitComposePath,
+      hasCredentials: !!s.gitCredentialsEncrypted, commit: s.gitCommit, syncedAt: s.gitSyncedAt, syncError: s.gitSyncError,
+    } : null,
+    env,
+    // Only loaded for a single stack; secret contents are never returned
+    files: s.files
+      ? [...s.files].sort((a, b) => a.path.localeCompare(b.path)).map((f) => ({ path: f.path, content: f.isSecret ? null : f.content, isSecret: !!f.isSecret }))
+      : undefined,
   };
 }
 
+// { username, token } from the request; undefined = leave as is, null = remove
+function gitCredentialsFrom(git) {
+  if (git.clearCredentials) return null;
+  if (!git.token) return undefined;
+  return { username: String(git.username || '').trim() || 'git', token: String(git.token) };
+}
+
+/**
+ * Errors in a compose file block a save (400 with the findings); warnings are left to the
+ * validate endpoint, which the editor calls before saving.
+ */
+function rejectInvalidCompose(res, composeYaml, envRows, deployPath) {
+  const env = Object.fromEntries((Array.isArray(envRows) ? envRows : []).filter((r) => r.key).map((r) => [r.key, r.value ?? '']));
+  const { findings } = stackValidationService.validateCompose(composeYaml, { env, deployPath });
+  const errors = findings.filter((f) => f.level === 'error');
+  if (!errors.length) return false;
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+  res.status(400).json({ error: `The compose file is invalid: ${errors[0].message}${more}`, findings: errors });
+  return true;
+}
+
+// A down changes the host state, so the last drift check no longer applies
+function resetDrift(stack) {
+  stack.driftStatus = null;
+  stack.driftCheckedAt = null;
+  stack.drift = null;
+}
+
+function runDeploy(req, stack, options = {}) {
+  return stackRevisionService.deployAndRecord(stack, { ...options, user: req.user, pull: req.query.pull === 'true' });
+}
+
 async function findUserServer(req, serverId) {
   return Server.findOne({ where: { id: serverId, userId: req.user.id } });
 }
 
 async function findUserStack(req, stackId) {
-  const stack = await Stack.findByPk(stackId, { include: [{ model: StackEnvVar, as: 'envVars' }, { model: Server, as: 'server' }] });
+  const stack = await Stack.findByPk(stackId, {
+    include: [{ model: StackEnvVar, as: 'envVars' }, { model: StackFile, as: 'files' }, { model: Server, as: 'server' }],
+  });
   if (!stack) return null;
   if (stack.server.userId !== req.user.id) return null;
   return stack;
 }
 
+/**
+ * Stored rows for the extra files in the request ([{ path, content, isSecret }]). A secret file
+ * sent without content keeps its stored content.
+ * @throws {Error} INVALID_INPUT for a bad path, a duplicate or a file over the size limit
+ */
+function fileRowsFrom(input, existing = []) {
+  if (!Array.isArray(input)) throwInvalid('files must be an array');
+  if (input.length > MAX_STACK_FILES) throwInvalid(`A stack can have at most ${MAX_STACK_FILES} files`);
+  const prior = new Map(existing.map((f) => [f.path, f]));
+  const seen = new Set();
+  return input.map((f) => {
+    const filePath = validateStackFilePath(f?.path);
+    if (seen.has(filePath)) throwInvalid(`File ${filePath} is listed twice`);
+    seen.add(filePath);
+    const isSecret = !!f.isSecret;
+    const kept = prior.get(filePath);
+    if (isSecret && (f.content === null || f.content === undefined || f.content === '') && kept) {
+      return { path: filePath, isSecret, content: kept.isSecret ? kept.content : storeValue(kept.content, true) };
+    }
+    const content = String(f.content ?? '');
+    if (Buffer.byteLength(content, 'utf8') > stackService.MAX_STACK_FILE_BYTES) {
+      throwInvalid(`File ${filePath} is larger than ${stackService.MAX_STACK_FILE_BYTES / 1024} KB`);
+    }
+    return { path: filePath, isSecret, content: storeValue(content, isSecret) };
+  });
+}
+
+async function replaceFiles(stackId, rows, transaction) {
+  await StackFile.destroy({ where: { stackId }, transaction });
+  if (rows.length) await StackFile.bulkCreate(rows.map((r) => ({ ...r, stackId })), { transaction });
+}
+
 async function replaceEnv(stackId, envInput) {
   await StackEnvVar.destroy({ where: { stackId } });
   const rows = (envInput || []).map((e) => ({
@@ -64,28 +153,97 @@ const getStack = async (req, res, next) => {
   } catch (e) { next(e); }
 };
 
+/**
+ * Validate and store a new stack for req.user, with its env and a 'create' revision. Shared by
+ * POST /stacks and template installs.
+ * @param {{ serverId, name, composeYaml?, env?, files?, source?, git? }} input - as the POST /stacks body
+ * @returns {Promise<object|null>} the stack with envVars and server, or null when a 4xx was sent
+ * @throws {Error} INVALID_INPUT or GIT_FAILED for a bad name or Git source
+ */
+async function createStackRecord(req, res, input) {
+  const { serverId, name, env, git } = input;
+  let { composeYaml } = input;
+  const safeName = validateComposeProjectName(name);
+  const fromGit = input.source === 'git';
+  if (!fromGit && (typeof composeYaml !== 'string' || !composeYaml.trim())) {
+    res.status(400).json({ error: 'composeYaml is required' });
+    return null;
+  }
+  const server = await findUserServer(req, serverId);
+  if (!server) {
+    res.status(404).json({ error: 'Server not found' });
+    return null;
+  }
+  if (await Stack.findOne({ where: { serverId, name: safeName } })) {
+    res.status(409).json({ error: `A stack named ${safeName} already exists on ${server.name}` });
+    return null;
+  }
+  const deployPath = validateStackDeployPath(`${STACK_DEPLOY_BASE}/${safeName}`);
+  const fileRows = input.files !== undefined ? fileRowsFrom(input.files) : [];
+  if (!fromGit && rejectInvalidCompose(res, composeYaml, env, deployPath)) return null;
+  const fields = { id: crypto.randomUUID(), serverId, name: safeName, deployPath, source: 'created' };
+  if (fromGit) {
+    // Clone before creating so a wrong URL, branch or path is reported instead of stored
+    const source = stackGitService.normalizeGitSource(git || {});
+    const credentials = gitCredentialsFrom(git || {}) || null;
+    let fetched;
+    try {
+      fetched = await stackGitService.fetchComposeFile(fields.id, source, credentials);
+    } catch (err) {
+      await stackGitService.removeClone(fields.id);
+      throw err;
+    }
+    composeYaml = fetched.composeYaml;
+    Object.assign(fields, {
+      source: 'git', gitRepoUrl: source.repoUrl, gitBranch: source.branch, gitComposePath: source.composePath,
+      gitCredentialsEncrypted: credentials, webhookSecretEncrypted: stackGitService.generateWebhookSecret(),
+      gitCommit: fetched.commit, gitSyncedAt: new Date(),
+    });
+  }
+  const stack = await Stack.create({ ...fields, composeYaml });
+  annotateAudit(res, { serverId, targetId: stack.id, targetName: safeName });
+  await replaceEnv(stack.id, env);
+  await replaceFiles(stack.id, fileRows);
+  await stackRevisionService.recordRevision(stack, { kind: 'create', user: req.user });
+  return findUserStack(req, stack.id);
+}
+
 const createStack = async (req, res, next) => {
   try {
-    const { serverId, name, composeYaml, env } = req.body;
-    const safeName = validateComposeProjectName(name);
-    if (typeof composeYaml !== 'string' || !composeYaml.trim()) return res.status(400).json({ error: 'composeYaml is required' });
-    const server = await findUserServer(req, serverId);
-    if (!server) return res.status(404).json({ error: 'Server not found' });
-    const deployPath = validateStackDeployPath(`${STACK_DEPLOY_BASE}/${safeName}`);
-    const stack = await Stack.create({ serverId, name: safeName, composeYaml, deployPath, source: 'created' });
-    await replaceEnv(stack.id, env);
-    const full = await findUserStack(req, stack.id);
-    res.status(201).json(serializeStack(full));
-  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+    const stack = await createStackRecord(req, res, req.body);
+    if (!stack) return undefined;
+    res.status(201).json(serializeStack(stack));
+  } catch (e) { if (e.code === 'INVALID_INPUT' || e.code === 'GIT_FAILED') return res.status(400).json({ error: e.message }); next(e); }
 };
 
 const updateStack = async (req, res, next) => {
   try {
     const stack = await findUserStack(req, req.params.id);
     if (!stack) return res.status(404).json({ error: 'Stack not found' });
-    const { composeYaml, env } = req.body;
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const { composeYaml, env, git, files } = req.body;
+    if (stack.fleetStackId && (composeYaml !== undefined || env !== undefined || files !== undefined)) {
+      return res.status(400).json({ error: 'The compose file and env of this stack come from its fleet stack; edit the fleet stack instead' });
+    }
+    const fileRows = files !== undefined ? fileRowsFrom(files, stack.files) : null;
+    if (stack.source !== 'git' && typeof composeYaml === 'string' && composeYaml.trim()) {
+      const envRows = Array.isArray(env) ? env : stack.envVars.map((e) => ({ key: e.key, value: e.isSecret ? '' : e.value }));
+      if (rejectInvalidCompose(res, composeYaml, envRows, stack.deployPath)) return undefined;
+    }
     await sequelize.transaction(async (t) => {
-      if (typeof composeYaml === 'string' && composeYaml.trim()) stack.composeYaml = composeYaml;
+      if (stack.source === 'git') {
+        // The compose file of a Git-backed stack comes from the repository; only the source can change here
+        if (git) {
+          const source = stackGitService.normalizeGitSource({
+            repoUrl: git.repoUrl ?? stack.gitRepoUrl, branch: git.branch ?? stack.gitBranch, composePath: git.composePath ?? stack.gitComposePath,
+          });
+          Object.assign(stack, { gitRepoUrl: source.repoUrl, gitBranch: source.branch, gitComposePath: source.composePath });
+          const credentials = gitCredentialsFrom(git);
+          if (credentials !== undefined) stack.gitCredentialsEncrypted = credentials;
+        }
+      } else if (typeof composeYaml === 'string' && composeYaml.trim()) {
+        stack.composeYaml = composeYaml;
+      }
       await stack.save({ transaction: t });
       if (Array.isArray(env)) {
         // Blank secret value = keep existing
@@ -107,20 +265,58 @@ const updateStack = async (req, res, next) => {
         const rows = merged.map((m) => ({ stackId: stack.id, key: m.key, isSecret: m.isSecret, value: m._stored ? m.value : storeValue(m.value, m.isSecret) }));
         if (rows.length) await StackEnvVar.bulkCreate(rows, { transaction: t });
       }
+      if (fileRows) await replaceFiles(stack.id, fileRows, t);
+      await stackRevisionService.recordRevision(stack, { kind: 'save', user: req.user, transaction: t });
     });
     const full = await findUserStack(req, stack.id);
     res.json(serializeStack(full));
   } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
 };
 
+/**
+ * Check a stack definition before it is saved: the compose checks plus, unless remote is false,
+ * ports in use on the server and a `docker compose config` dry run there. For an existing stack
+ * (stackId) the stored compose file and env fill in what the body leaves out; blank secrets keep
+ * their stored values.
+ */
+const validateStack = async (req, res, next) => {
+  try {
+    const { stackId, serverId, env } = req.body;
+    let { name, composeYaml } = req.body;
+    let server;
+    let deployPath;
+    let envRows = Array.isArray(env) ? env.map((e) => ({ key: e.key, value: e.value ?? '', isSecret: !!e.isSecret })) : [];
+    if (stackId) {
+      const stack = await findUserStack(req, stackId);
+      if (!stack) return res.status(404).json({ error: 'Stack not found' });
+      ({ server, name, deployPath } = stack);
+      if (typeof composeYaml !== 'string') composeYaml = stack.composeYaml;
+      const stored = Object.fromEntries(stackService.decryptRows(stack.envVars).map((r) => [r.key, r.value]));
+      envRows = Array.isArray(env)
+        ? envRows.map((r) => (r.isSecret && !r.value && r.key in stored ? { ...r, value: stored[r.key] } : r))
+        : Object.entries(stored).map(([key, value]) => ({ key, value }));
+    } else {
+      server = await findUserServer(req, serverId);
+      if (!server) return res.status(404).json({ error: 'Server not found' });
+    }
+    if (typeof composeYaml !== 'string' || !composeYaml.trim()) return res.status(400).json({ error: 'composeYaml is required' });
+    const result = await stackValidationService.validateStack({
+      server, name, deployPath, composeYaml, envRows, remote: req.body.remote !== false,
+    });
+    res.json(result);
+  } catch (e) { if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message }); next(e); }
+};
+
 const deleteStack = async (req, res, next) => {
   try {
     const stack = await findUserStack(req, req.params.id);
     if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
     if (req.query.down === 'true') {
       try { await stackService.lifecycle(stack.server, stack, 'down'); } catch (e) { logger.warn('down on delete failed:', e.message); }
     }
     await stack.destroy();
+    if (stack.source === 'git') await stackGitService.removeClone(stack.id);
     res.json({ success: true });
   } catch (e) { next(e); }
 };
@@ -129,25 +325,223 @@ const deployStack = async (req, res, next) => {
   try {
     const stack = await findUserStack(req, req.params.id);
     if (!stack) return res.status(404).json({ error: 'Stack not found' });
-    const plain = stackService.decryptRows(stack.envVars);
-    const result = await stackService.deployStack(stack.server, stack, plain, { pull: req.query.pull === 'true' });
-    stack.lastDeployedAt = new Date();
-    stack.lastDeployStatus = result.success ? 'deployed' : 'error';
-    await stack.save();
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const { result } = await runDeploy(req, stack);
     res.json(result);
   } catch (e) { next(e); }
 };
 
+const listRevisions = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    const revisions = await StackRevision.findAll({ where: { stackId: stack.id }, order: [['revision', 'DESC']] });
+    res.json(revisions.map((r) => stackRevisionService.serializeRevision(r)));
+  } catch (e) { next(e); }
+};
+
+const getRevision = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    const revision = await StackRevision.findOne({ where: { id: req.params.revisionId, stackId: stack.id } });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json(stackRevisionService.serializeRevision(revision, { withContent: true }));
+  } catch (e) { next(e); }
+};
+
+// Restore a revision's compose and env (secrets still encrypted) and deploy it
+const rollbackStack = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    const revision = await StackRevision.findOne({ where: { id: req.params.revisionId, stackId: stack.id } });
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: `${stack.name} (revision ${revision.revision})` });
+    await sequelize.transaction((t) => stackRevisionService.restoreRevision(stack, revision, { transaction: t }));
+    const { result, revision: recorded } = await runDeploy(req, stack, { kind: 'rollback', rolledBackFrom: revision.revision });
+    res.json({ ...result, revision: stackRevisionService.serializeRevision(recorded) });
+  } catch (e) { next(e); }
+};
+
+// Fetch the branch, store a changed compose file and (unless deploy is false) redeploy
+const syncStack = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const result = await stackGitService.syncStack(stack, { user: req.user, deploy: req.body?.deploy !== false, pull: req.query.pull === 'true' });
+    res.json({ ...result, success: result.deploy ? result.deploy.success : true });
+  } catch (e) {
+    if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message });
+    if (e.code === 'GIT_FAILED') return res.status(502).json({ error: e.message });
+    next(e);
+  }
+};
+
+const getWebhook = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    if (stack.source !== 'git') return res.status(400).json({ error: 'Stack is not backed by a Git repository' });
+    res.json({ path: `/api/v1/hooks/stacks/${stack.id}`, secret: stack.getWebhookSecret() });
+  } catch (e) { next(e); }
+};
+
+const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    if (stack.source !== 'git') return res.status(400).json({ error: 'Stack is not backed by a Git repository' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const secret = stackGitService.generateWebhookSecret();
+    stack.webhookSecretEncrypted = secret;
+    await stack.save();
+    res.json({ path: `/api/v1/hooks/stacks/${stack.id}`, secret });
+  } catch (e) { next(e); }
+};
+
+// Live comparison with the host, with both sides of the compose file and env for a diff
+const getDrift = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    const { summary, hostComposeYaml, hostEnvRows } = await stackDriftService.checkStack(stack);
+    await stackDriftService.saveCheck(stack, summary);
+    const secretKeys = new Set(stack.envVars.filter((e) => e.isSecret).map((e) => e.key));
+    res.json({
+      ...summary,
+      checkedAt: stack.driftCheckedAt,
+      stored: { composeYaml: stack.composeYaml, env: stackDriftService.envForDiff(stackService.decryptRows(stack.envVars), secretKeys) },
+      host: { composeYaml: hostComposeYaml, env: hostEnvRows && stackDriftService.envForDiff(hostEnvRows, secretKeys) },
+    });
+  } catch (e) { next(e); }
+};
+
+// Take the host's compose.yaml and .env as the stack's new definition
+const adoptHostVersion = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    if (stack.source === 'git') {
+      return res.status(400).json({ error: 'The compose file of a Git-backed stack comes from the repository; commit the host changes there or re-apply' });
+    }
+    if (stack.fleetStackId) {
+      return res.status(400).json({ error: 'The compose file of this stack comes from its fleet stack; change the fleet stack or re-apply' });
+    }
+    const { hostComposeYaml, hostEnvRows } = await stackDriftService.checkStack(stack);
+    if (hostComposeYaml === null) return res.status(400).json({ error: `No compose.yaml found in ${stack.deployPath} on the host` });
+    // Keys keep their secret flag; new keys are flagged by name
+    const secretKeys = new Set(stack.envVars.filter((e) => e.isSecret).map((e) => e.key));
+    await sequelize.transaction(async (t) => {
+      stack.composeYaml = hostComposeYaml;
+      await stack.save({ transaction: t });
+      if (hostEnvRows) {
+        await StackEnvVar.destroy({ where: { stackId: stack.id }, transaction: t });
+        const rows = hostEnvRows.map((e) => {
+          const isSecret = secretKeys.has(e.key) || flagSecret(e.key);
+          return { stackId: stack.id, key: e.key, isSecret, value: storeValue(e.value, isSecret) };
+        });
+        if (rows.length) await StackEnvVar.bulkCreate(rows, { transaction: t });
+      }
+      await stackRevisionService.recordRevision(stack, { kind: 'adopt', user: req.user, transaction: t });
+    });
+    const full = await findUserStack(req, stack.id);
+    const { summary } = await stackDriftService.checkStack(full);
+    await stackDriftService.saveCheck(full, summary);
+    res.json(serializeStack(full));
+  } catch (e) { next(e); }
+};
+
+// Overwrite the host files with the stored definition and bring the services back in line
+const reapplyStoredVersion = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const { result } = await runDeploy(req, stack);
+    const { summary } = await stackDriftService.checkStack(stack);
+    await stackDriftService.saveCheck(stack, summary);
+    res.json({ ...result, driftStatus: summary.status });
+  } catch (e) { next(e); }
+};
+
 const lifecycleHandler = (action) => async (req, res, next) => {
   try {
     const stack = await findUserStack(req, req.params.id);
     if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
     const result = await stackService.lifecycle(stack.server, stack, action);
-    if (action === 'down') { stack.lastDeployStatus = result.success ? 'stopped' : 'error'; await stack.save(); }
+    if (action === 'down') { stack.lastDeployStatus = result.success ? 'stopped' : 'error'; resetDrift(stack); await stack.save(); }
     res.json(result);
   } catch (e) { next(e); }
 };
 
+const listServices = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    res.json(await stackService.listServices(stack.server, stack));
+  } catch (e) { next(e); }
+};
+
+// Restart, scale or pull-and-recreate one service of the stack's compose file
+const serviceHandler = (action) => async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    const { service } = req.params;
+    if (!(parseComposeServices(stack.composeYaml) || []).some((s) => s.name === service)) {
+      return res.status(404).json({ error: 'Service not found in the stack compose file' });
+    }
+    annotateAudit(res, { serverId: stack.serverId, targetName: `${stack.name}/${service}` });
+    let replicas;
+    if (action === 'scale') {
+      replicas = Number(req.body?.replicas);
+    } else if (action === 'recreate') {
+      // Recreating resets the service to the compose file's scale; keep a manual scale-up
+      const count = (await stackService.listComposeContainers(stack.server, stack)).filter((c) => c.service === service).length;
+      if (count > 1) replicas = count;
+    }
+    res.json(await stackService.serviceAction(stack.server, stack, service, action, { replicas }));
+  } catch (e) { next(e); }
+};
+
+/**
+ * Move or clone the stack to another server: { targetServerId, mode: 'move' | 'clone' }. Each step
+ * is pushed to the owner's sockets as stack:migrate:progress { stackId, step, success, detail } and
+ * the full list is in the response, with the stack as it now is on the target.
+ */
+const migrateStack = async (req, res, next) => {
+  try {
+    const stack = await findUserStack(req, req.params.id);
+    if (!stack) return res.status(404).json({ error: 'Stack not found' });
+    annotateAudit(res, { serverId: stack.serverId, targetName: stack.name });
+    const { targetServerId } = req.body;
+    const mode = req.body.mode || 'move';
+    if (!stackMigrationService.MIGRATE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${stackMigrationService.MIGRATE_MODES.join(', ')}` });
+    }
+    if (stack.fleetStackId) {
+      return res.status(400).json({ error: 'This stack belongs to a fleet stack; change the fleet stack\'s servers instead' });
+    }
+    const target = await findUserServer(req, targetServerId);
+    if (!target) return res.status(404).json({ error: 'Target server not found' });
+    if (target.id === stack.serverId) return res.status(400).json({ error: 'The stack is already on this server' });
+    if (await Stack.findOne({ where: { serverId: target.id, name: stack.name } })) {
+      return res.status(409).json({ error: `A stack named ${stack.name} already exists on ${target.name}` });
+    }
+
+    const onStep = (step, success, detail) => {
+      emitToUser(req.user.id, 'stack:migrate:progress', { stackId: stack.id, step, success, detail });
+    };
+    const result = await stackMigrationService.migrateStack(stack, target, { mode, user: req.user, onStep });
+    const moved = result.stackId ? await findUserStack(req, result.stackId) : null;
+    res.json({ ...result, stack: moved ? serializeStack(moved) : undefined });
+  } catch (e) { next(e); }
+};
+
 const discover = async (req, res, next) => {
   try {
     const server = await findUserServer(req, req.params.id);
@@ -183,18 +577,31 @@ const importStacks = async (req, res, next) => {
         // Use server-discovered configFiles, not client-supplied ones
         const allowedConfigFiles = discoveredEntry.configFiles || [];
         const files = await stackService.readRemoteFiles(server, allowedConfigFiles);
-        // Rewrite relative bind mounts to absolute paths (resolved against the
-        // original project dir) so deploying from the managed stack directory
+        // Text files the compose file mounts from its project directory become stack files and
+        // keep their relative paths. Other relative bind mounts (data directories) are rewritten to
+        // absolute paths in the original project dir so deploying from the managed stack directory
         // doesn't detach the project's data.
-        const composeYaml = allowedConfigFiles
-          .map((f) => {
-            const content = files[f];
-            if (!content) return null;
-            const projectDir = f.replace(/\/[^/]+$/, '');
-            return rewriteRelativeBindMounts(content, projectDir);
-          })
-          .filter(Boolean)
-          .join('\n---\n');
+        const stackFiles = new Map();
+        const parts = [];
+        for (const f of allowedConfigFiles) {
+          const content = files[f];
+          if (!content) continue;
+          const projectDir = f.replace(/\/[^/]+$/, '');
+          const refs = composeFileRefs(content)
+            .map((r) => ({ ...r, abs: path.posix.resolve(projectDir, r.path) }))
+            .filter((r) => r.abs.startsWith(`${projectDir}/`));
+          const found = await stackService.readProjectFiles(server, [...new Set(refs.map((r) => r.abs))]);
+          const keep = [];
+          for (const r of refs) {
+            if (found[r.abs] === undefined) continue;
+            let rel;
+            try { rel = validateStackFilePath(path.posix.relative(projectDir, r.abs)); } catch { continue; }
+            keep.push(r.path);
+            if (!stackFiles.has(rel)) stackFiles.set(rel, { path: rel, content: found[r.abs], isSecret: r.secret });
+          }
+          parts.push(rewriteRelativeBindMounts(content, projectDir, { keep }));
+        }
+        const composeYaml = parts.join('\n---\n');
         if (!composeYaml) throw new Error('No readable compose file');
         const deployPath = validateStackDeployPath(`${STACK_DEPLOY_BASE}/${safeName}`);
         let stack = await Stack.findOne({ where: { serverId: server.id, name: safeName } });
@@ -217,6 +624,8 @@ const importStacks = async (req, res, next) => {
             await StackEnvVar.bulkCreate(parsed.map((e) => ({ stackId: stack.id, key: e.key, isSecret: e.isSecret, value: storeValue(e.value, e.isSecret) })));
           }
         }
+        await replaceFiles(stack.id, [...stackFiles.values()].map((f) => ({ ...f, content: storeValue(f.content, f.isSecret) })));
+        await stackRevisionService.recordRevision(stack, { kind: 'import', user: req.user });
         results.push({ name: safeName, imported: true, reimported });
       } catch (err) {
         results.push({ name: p.name, imported: false, error: err.message });
@@ -227,8 +636,10 @@ const importStacks = async (req, res, next) => {
 };
 
 module.exports = {
-  serializeStack,
-  listStacks, getStack, createStack, updateStack, deleteStack,
-  deployStack, downStack: lifecycleHandler('down'), restartStack: lifecycleHandler('restart'),
-  discover, importStacks,
+  serializeStack, createStackRecord,
+  listStacks, getStack, createStack, updateStack, validateStack, deleteStack,
+  deployStack, listRevisions, getRevision, rollbackStack,
+  getDrift, adoptHostVersion, reapplyStoredVersion, syncStack, getWebhook, rotateWebhookSecret, downStack: lifecycleHandler('down'), restartStack: lifecycleHandler('restart'),
+  listServices, restartService: serviceHandler('restart'), scaleService: serviceHandler('scale'), recreateService: serviceHandler('recreate'),
+  migrateStack, discover, importStacks,
 };
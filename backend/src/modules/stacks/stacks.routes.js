@@ -1,15 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const c = require('./stacks.controller');
 
 router.get('/', c.listStacks);
-router.post('/', authorize('admin'), c.createStack);
+router.post('/', audit('stack.create'), authorize('admin'), c.createStack);
+router.post('/validate', authorize('admin'), c.validateStack);
 router.get('/:id', c.getStack);
-router.put('/:id', authorize('admin'), c.updateStack);
-router.delete('/:id', authorize('admin'), c.deleteStack);
-router.post('/:id/deploy', authorize('admin'), c.deployStack);
-router.post('/:id/down', authorize('admin'), c.downStack);
-router.post('/:id/restart', authorize('admin'), c.restartStack);
+router.put('/:id', audit('stack.update', { targetParam: 'id' }), authorize('admin'), c.updateStack);
+router.delete('/:id', audit('stack.delete', { targetParam: 'id' }), authorize('admin'), c.deleteStack);
+router.post('/:id/deploy', audit('stack.deploy', { targetParam: 'id' }), authorize('admin'), c.deployStack);
+router.get('/:id/revisions', c.listRevisions);
+router.get('/:id/revisions/:revisionId', c.getRevision);
+router.post('/:id/revisions/:revisionId/rollback', audit('stack.rollback', { targetParam: 'id' }), authorize('admin'), c.rollbackStack);
+router.get('/:id/drift', c.getDrift);
+router.post('/:id/drift/adopt', audit('stack.adopt', { targetParam: 'id' }), authorize('admin'), c.adoptHostVersion);
+router.post('/:id/drift/reapply', audit('stack.reapply', { targetParam: 'id' }), authorize('admin'), c.reapplyStoredVersion);
+router.post('/:id/sync', audit('stack.sync', { targetParam: 'id' }), authorize('admin'), c.syncStack);
+router.get('/:id/webhook', authorize('admin'), c.getWebhook);
+router.post('/:id/webhook/rotate', audit('stack.webhook-rotate', { targetParam: 'id' }), authorize('admin'), c.rotateWebhookSecret);
+router.post('/:id/down', audit('stack.down', { targetParam: 'id' }), authorize('admin'), c.downStack);
+router.post('/:id/restart', audit('stack.restart', { targetParam: 'id' }), authorize('admin'), c.restartStack);
+router.post('/:id/migrate', audit('stack.migrate', { targetParam: 'id' }), authorize('admin'), c.migrateStack);
+router.get('/:id/services', c.listServices);
+router.post('/:id/services/:service/restart', audit('stack.service-restart', { targetParam: 'id' }), authorize('admin'), c.restartService);
+router.post('/:id/services/:service/scale', audit('stack.service-scale', { targetParam: 'id' }), authorize('admin'), c.scaleService);
+router.post('/:id/services/:service/recreate', audit('stack.service-recreate', { targetParam: 'id' }), authorize('admin'), c.recreateService);
 
 module.exports = router;
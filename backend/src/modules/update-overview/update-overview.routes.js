@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const { getUpdateOverview, runUpdateCheck, removeContainerFromOverview } = require('./update-overview.controller');
 
 router.use(authenticate);
 
 router.get('/', getUpdateOverview);
-router.post('/check', runUpdateCheck);
-router.patch('/remove-container', removeContainerFromOverview);
+router.post('/check', audit('update-overview.check'), runUpdateCheck);
+router.patch('/remove-container', audit('update-overview.remove-container'), removeContainerFromOverview);
 
 module.exports = router;
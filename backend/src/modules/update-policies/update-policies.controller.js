@@ -0,0 +1,114 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { UpdatePolicy, UpdateHistory, Server, Stack } = require('../../models');
+const updatePolicyService = require('../../services/update-policy.service');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+const HISTORY_PAGE_SIZE = 100;
+
+function policyLabel(policy) {
+  return `${policy.scopeType}:${policy.target}`;
+}
+
+/**
+ * Check that the policy's server and stack belong to the user and that no other policy covers the
+ * same scope. Sends the error response and returns false when not.
+ */
+async function checkScope(req, res, fields, excludeId = null) {
+  if (fields.serverId && !(await Server.findOne({ where: { id: fields.serverId, userId: req.user.id } }))) {
+    res.status(404).json({ error: 'Server not found' });
+    return false;
+  }
+  if (fields.scopeType === 'stack') {
+    const stack = await Stack.findOne({ where: { id: fields.target }, include: [{ model: Server, as: 'server', where: { userId: req.user.id } }] });
+    if (!stack) {
+      res.status(404).json({ error: 'Stack not found' });
+      return false;
+    }
+  }
+  const existing = await UpdatePolicy.findOne({
+    where: { userId: req.user.id, scopeType: fields.scopeType, target: fields.target, serverId: fields.serverId },
+  });
+  if (existing && existing.id !== excludeId) {
+    res.status(409).json({ error: 'A policy for this scope already exists' });
+    return false;
+  }
+  return true;
+}
+
+// A concurrent request can still create the same scope between checkScope and the write
+function sendPolicyError(res, next, e) {
+  if (e.code === 'INVALID_INPUT') return res.status(400).json({ error: e.message });
+  if (e instanceof UniqueConstraintError) return res.status(409).json({ error: 'A policy for this scope already exists' });
+  return next(e);
+}
+
+const listPolicies = async (req, res, next) => {
+  try {
+    const policies = await UpdatePolicy.findAll({ where: { userId: req.user.id }, order: [['scopeType', 'ASC'], ['target', 'ASC']] });
+    res.json({
+      policies,
+      scopeTypes: updatePolicyService.SCOPE_TYPES,
+      modes: updatePolicyService.MODES,
+      versionConstraints: updatePolicyService.VERSION_CONSTRAINTS,
+    });
+  } catch (e) { next(e); }
+};
+
+// { scopeType, target, serverId?, mode, versionConstraint, maintenanceWindow?, timezone? }
+const createPolicy = async (req, res, next) => {
+  try {
+    const fields = updatePolicyService.normalizePolicy(req.body);
+    annotateAudit(res, { targetName: policyLabel(fields) });
+    if (!(await checkScope(req, res, fields))) return undefined;
+    const policy = await UpdatePolicy.create({ ...fields, userId: req.user.id });
+    annotateAudit(res, { targetId: policy.id });
+    res.status(201).json({ policy });
+  } catch (e) { sendPolicyError(res, next, e); }
+};
+
+const updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await UpdatePolicy.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!policy) return res.status(404).json({ error: 'Update policy not found' });
+    const fields = updatePolicyService.normalizePolicy(req.body, policy);
+    annotateAudit(res, { targetName: policyLabel(fields) });
+    if (!(await checkScope(req, res, fields, policy.id))) return undefined;
+    await policy.update(fields);
+    res.json({ policy });
+  } catch (e) { sendPolicyError(res, next, e); }
+};
+
+const deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await UpdatePolicy.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!policy) return res.status(404).json({ error: 'Update policy not found' });
+    annotateAudit(res, { targetName: policyLabel(policy) });
+    await policy.destroy();
+    res.json({ success: true });
+  } catch (e) { next(e); }
+};
+
+/** Applied updates, newest first (optional serverId, containerName, trigger; before = createdAt cursor). */
+const listHistory = async (req, res, next) => {
+  try {
+    const where = { userId: req.user.id };
+    if (req.query.serverId) where.serverId = String(req.query.serverId);
+    if (req.query.containerName) where.containerName = String(req.query.containerName);
+    if (req.query.trigger) where.trigger = String(req.query.trigger);
+    if (req.query.before) {
+      const before = new Date(String(req.query.before));
+      if (!Number.isNaN(before.getTime())) where.createdAt = { [Op.lt]: before };
+    }
+    const entries = await UpdateHistory.findAll({
+      where,
+      include: [{ model: Server, as: 'server', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      limit: HISTORY_PAGE_SIZE,
+    });
+    res.json({ entries, hasMore: entries.length === HISTORY_PAGE_SIZE });
+  } catch (e) { next(e); }
+};
+
+module.exports = {
+  listPolicies, createPolicy, updatePolicy, deletePolicy, listHistory,
+};
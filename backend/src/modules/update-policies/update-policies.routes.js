@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+const c = require('./update-policies.controller');
+
+router.get('/', c.listPolicies);
+router.get('/history', c.listHistory);
+router.post('/', audit('update-policy.create'), authorize('admin'), c.createPolicy);
+router.put('/:id', audit('update-policy.update', { targetParam: 'id' }), authorize('admin'), c.updatePolicy);
+router.delete('/:id', audit('update-policy.delete', { targetParam: 'id' }), authorize('admin'), c.deletePolicy);
+
+module.exports = router;
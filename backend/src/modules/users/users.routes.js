@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
 const {
   getAllUsers,
   getUserById,
@@ -19,18 +20,18 @@ router.use(authenticate);
 router.get('/', authorize('admin'), getAllUsers);
 
 // Current user: clear stored Tailscale auth key (used for further nodes)
-router.delete('/me/tailscale-stored-key', clearMyTailscaleStoredKey);
+router.delete('/me/tailscale-stored-key', audit('user.clear-tailscale-key'), clearMyTailscaleStoredKey);
 
 // Get user by ID (admin or own profile)
 router.get('/:id', getUserById);
 
 // Update user (admin can update anyone, users can only update themselves)
-router.put('/:id', userValidation, updateUser);
+router.put('/:id', audit('user.update', { targetParam: 'id' }), userValidation, updateUser);
 
 // Update user password (admin can update anyone, users can only update themselves)
-router.put('/:id/password', passwordValidation, updatePassword);
+router.put('/:id/password', audit('user.password', { targetParam: 'id' }), passwordValidation, updatePassword);
 
 // Delete user (admin only)
-router.delete('/:id', authorize('admin'), deleteUser);
+router.delete('/:id', audit('user.delete', { targetParam: 'id' }), authorize('admin'), deleteUser);
 
 module.exports = router;
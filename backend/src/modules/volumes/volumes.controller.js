@@ -0,0 +1,73 @@
+const { Server } = require('../../models');
+const volumeService = require('../../services/volume.service');
+const { annotateAudit } = require('../../middleware/audit.middleware');
+
+const ERROR_STATUS = { INVALID_INPUT: 400, VOLUME_NOT_FOUND: 404, VOLUME_EXISTS: 409, VOLUME_IN_USE: 409 };
+
+const sendKnownError = (res, e) => {
+  const status = ERROR_STATUS[e.code];
+  return status ? res.status(status).json({ error: e.message }) : null;
+};
+
+async function findOwnServer(req, res, serverId = req.params.serverId) {
+  const server = await Server.findOne({ where: { id: serverId, userId: req.user.id } });
+  if (!server) res.status(404).json({ error: 'Server not found' });
+  return server;
+}
+
+const getVolumes = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    res.json({ volumes: await volumeService.listVolumes(server) });
+  } catch (e) { next(e); }
+};
+
+const getVolume = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const found = await volumeService.inspectVolume(server, req.params.volumeName);
+    if (!found) return res.status(404).json({ error: 'Volume not found' });
+    res.json(found);
+  } catch (e) { if (!sendKnownError(res, e)) next(e); }
+};
+
+// { name, driver?, driverOpts?, labels? }
+const createVolume = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    annotateAudit(res, { targetName: req.body?.name });
+    res.status(201).json(await volumeService.createVolume(server, req.body || {}));
+  } catch (e) { if (!sendKnownError(res, e)) next(e); }
+};
+
+const removeVolume = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    res.json(await volumeService.removeVolume(server, req.params.volumeName));
+  } catch (e) { if (!sendKnownError(res, e)) next(e); }
+};
+
+// { targetName?, targetServerId? }: a copy under a new name, on this server or another
+const cloneVolume = async (req, res, next) => {
+  try {
+    const server = await findOwnServer(req, res);
+    if (!server) return undefined;
+    const { targetName, targetServerId } = req.body || {};
+    const target = targetServerId && targetServerId !== server.id ? await findOwnServer(req, res, targetServerId) : server;
+    if (!target) return undefined;
+    annotateAudit(res, { targetName: `${req.params.volumeName} → ${targetName || req.params.volumeName} on ${target.name}` });
+    res.json(await volumeService.cloneVolume(server, req.params.volumeName, target, targetName));
+  } catch (e) { if (!sendKnownError(res, e)) next(e); }
+};
+
+module.exports = {
+  getVolumes,
+  getVolume,
+  createVolume,
+  removeVolume,
+  cloneVolume,
+};
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVolumes,
+  getVolume,
+  createVolume,
+  removeVolume,
+  cloneVolume,
+} = require('./volumes.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { audit } = require('../../middleware/audit.middleware');
+
+router.use(authenticate);
+
+router.get('/:serverId/volumes', getVolumes);
+router.post('/:serverId/volumes', audit('volume.create'), createVolume);
+router.get('/:serverId/volumes/:volumeName', getVolume);
+router.delete('/:serverId/volumes/:volumeName', audit('volume.remove', { targetParam: 'volumeName' }), removeVolume);
+router.post('/:serverId/volumes/:volumeName/clone', audit('volume.clone', { targetParam: 'volumeName' }), cloneVolume);
+
+module.exports = router;
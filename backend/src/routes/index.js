@@ -5,6 +5,8 @@ const authRoutes = require('../modules/auth/auth.routes');
 const serversRoutes = require('../modules/servers/servers.routes');
 const containersRoutes = require('../modules/containers/containers.routes');
 const imagesRoutes = require('../modules/images/images.routes');
+const diskCleanupRoutes = require('../modules/disk-cleanup/disk-cleanup.routes');
+const volumesRoutes = require('../modules/volumes/volumes.routes');
 const usersRoutes = require('../modules/users/users.routes');
 const monitoringRoutes = require('../modules/monitoring/monitoring.routes');
 const groupingRoutes = require('../modules/grouping/grouping.routes');
@@ -13,9 +15,19 @@ const backupRoutes = require('../modules/backup/backup.routes');
 const appConfigRoutes = require('../modules/app-config/app-config.routes');
 const updateOverviewRoutes = require('../modules/update-overview/update-overview.routes');
 const stacksRoutes = require('../modules/stacks/stacks.routes');
+const fleetStacksRoutes = require('../modules/fleet-stacks/fleet-stacks.routes');
+const stackTemplatesRoutes = require('../modules/stack-templates/stack-templates.routes');
+const auditRoutes = require('../modules/audit/audit.routes');
+const notificationsRoutes = require('../modules/notifications/notifications.routes');
+const backupTargetsRoutes = require('../modules/backup-targets/backup-targets.routes');
+const registryCredentialsRoutes = require('../modules/registry-credentials/registry-credentials.routes');
+const updatePoliciesRoutes = require('../modules/update-policies/update-policies.routes');
+const hooksRoutes = require('../modules/hooks/hooks.routes');
 
-// Public: only auth routes (setup, login, register, refresh); /auth/me uses authenticate in its own route
+// Public: auth routes (setup, login, register, refresh); /auth/me uses authenticate in its own route
 router.use('/auth', authRoutes);
+// Public: Git push webhooks, authenticated by each stack's webhook secret
+router.use('/hooks', hooksRoutes);
 
 // All other API routes require a valid Bearer token
 router.use(authenticate);
@@ -26,9 +38,18 @@ router.use('/backup-schedules', backupSchedulesRoutes);
 router.use('/servers', serversRoutes);
 router.use('/servers', containersRoutes);
 router.use('/servers', imagesRoutes);
+router.use('/servers', diskCleanupRoutes);
+router.use('/servers', volumesRoutes);
 router.use('/stacks', stacksRoutes);
+router.use('/fleet-stacks', fleetStacksRoutes);
+router.use('/stack-templates', stackTemplatesRoutes);
 router.use('/users', usersRoutes);
 router.use('/monitoring', monitoringRoutes);
+router.use('/notifications', notificationsRoutes);
+router.use('/backup-targets', backupTargetsRoutes);
+router.use('/registry-credentials', registryCredentialsRoutes);
+router.use('/update-policies', updatePoliciesRoutes);
 router.use('/grouping', groupingRoutes);
+router.use('/audit', auditRoutes);
 
 module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Audit trail: persistent record of who did what to which server/target, with the outcome.
+ * Writes never throw into the caller; a failed audit write is logged and dropped.
+ */
+const { AuditLog, Server } = require('../models');
+const { flagSecret } = require('../utils/stackEnv');
+const logger = require('../config/logger');
+
+const REDACTED = '[REDACTED]';
+// Request property names whose values are never stored
+const SENSITIVE_PARAM_REGEX = /(password|passwd|secret|token|private_?key|auth_?key|api_?key|credential|webhook_?url|auth_?header)/i;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_STRING_LENGTH = 2000;
+const MAX_ARRAY_ITEMS = 50;
+const MAX_DEPTH = 5;
+const MAX_PARAMS_JSON_LENGTH = 16384;
+
+function sanitizeValue(value, depth) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}… (${value.length} chars)` : value;
+  }
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => {
+      // "KEY=value" env entries (container recreate)
+      if (typeof item === 'string') {
+        const eq = item.indexOf('=');
+        if (eq > 0 && flagSecret(item.slice(0, eq))) return `${item.slice(0, eq)}=${REDACTED}`;
+      }
+      return sanitizeValue(item, depth + 1);
+    });
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+    return items;
+  }
+  if (typeof value === 'object') {
+    // { key, value, isSecret } env rows (stacks)
+    const isEnvRow = typeof value.key === 'string' && 'value' in value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (SENSITIVE_PARAM_REGEX.test(k)) out[k] = v == null || v === '' ? v : REDACTED;
+      else if (isEnvRow && k === 'value' && (value.isSecret || flagSecret(value.key))) out[k] = v == null || v === '' ? v : REDACTED;
+      else out[k] = sanitizeValue(v, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+/**
+ * Copy request parameters for storage: secrets redacted, long strings and arrays truncated.
+ * Oversized payloads (e.g. a full backup import) are reduced to their top-level keys.
+ */
+function sanitizeParams(params) {
+  if (params == null || typeof params !== 'object') return null;
+  const clean = sanitizeValue(params, 0);
+  if (!clean || Object.keys(clean).length === 0) return null;
+  if (JSON.stringify(clean).length > MAX_PARAMS_JSON_LENGTH) {
+    return { truncated: true, keys: Object.keys(clean) };
+  }
+  return clean;
+}
+
+async function resolveServerName(serverId) {
+  if (!serverId || !UUID_REGEX.test(String(serverId))) return null;
+  const server = await Server.findByPk(serverId, { attributes: ['name'] });
+  return server ? server.name : null;
+}
+
+/**
+ * Record one audited action.
+ * @param {{ userId?, userEmail?, serverId?, action: string, targetType?, targetId?, targetName?, params?, outcome: 'success'|'failure'|'unknown', statusCode?, error?, ip?, durationMs? }} entry
+ */
+async function record(entry) {
+  try {
+    const serverId = entry.serverId && UUID_REGEX.test(String(entry.serverId)) ? entry.serverId : null;
+    const serverName = entry.serverName || (await resolveServerName(serverId));
+    await AuditLog.create({
+      userId: entry.userId || null,
+      userEmail: entry.userEmail || null,
+      serverId,
+      serverName,
+      action: entry.action,
+      targetType: entry.targetType || null,
+      targetId: entry.targetId != null ? String(entry.targetId).slice(0, 255) : null,
+      targetName: entry.targetName != null ? String(entry.targetName).slice(0, 255) : null,
+      params: entry.params || null,
+      outcome: entry.outcome,
+      statusCode: entry.statusCode ?? null,
+      error: entry.error ? String(entry.error).slice(0, MAX_STRING_LENGTH) : null,
+      ip: entry.ip || null,
+      durationMs: entry.durationMs ?? null,
+    });
+  } catch (err) {
+    logger.error(`Failed to write audit log for ${entry.action}:`, err);
+  }
+}
+
+const CSV_COLUMNS = [
+  'createdAt', 'userEmail', 'userId', 'serverName', 'serverId', 'action', 'targetType', 'targetId', 'targetName',
+  'outcome', 'statusCode', 'error', 'ip', 'durationMs', 'params',
+];
+
+function csvCell(value) {
+  if (value == null) return '';
+  let s = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  // Neutralise spreadsheet formula injection
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { record, sanitizeParams, toCsv, REDACTED };
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeParams, toCsv, REDACTED } = require('./audit.service');
+
+test('sanitizeParams redacts sensitive keys, secret env rows and KEY=VALUE secrets', () => {
+  const clean = sanitizeParams({
+    name: 'web',
+    password: 'hunter2',
+    sshPrivateKey: '-----BEGIN KEY-----',
+    tailscaleAuthKey: 'tskey-abc',
+    env: [
+      { key: 'PORT', value: '8080', isSecret: false },
+      { key: 'DB_PASSWORD', value: 'x', isSecret: false },
+      { key: 'CUSTOM', value: 'y', isSecret: true },
+    ],
+    config: { env: ['NODE_ENV=production', 'API_TOKEN=abc'] },
+  });
+  assert.strictEqual(clean.name, 'web');
+  assert.strictEqual(clean.password, REDACTED);
+  assert.strictEqual(clean.sshPrivateKey, REDACTED);
+  assert.strictEqual(clean.tailscaleAuthKey, REDACTED);
+  assert.deepStrictEqual(clean.env.map((e) => e.value), ['8080', REDACTED, REDACTED]);
+  assert.deepStrictEqual(clean.config.env, ['NODE_ENV=production', `API_TOKEN=${REDACTED}`]);
+});
+
+test('sanitizeParams truncates long values and collapses oversized payloads', () => {
+  assert.strictEqual(sanitizeParams({}), null);
+  assert.strictEqual(sanitizeParams(null), null);
+  const long = sanitizeParams({ composeYaml: 'a'.repeat(5000) });
+  assert.ok(long.composeYaml.length < 2100);
+  const huge = sanitizeParams({ servers: Array.from({ length: 40 }, () => ({ notes: 'b'.repeat(1500) })), version: 1 });
+  assert.deepStrictEqual(huge, { truncated: true, keys: ['servers', 'version'] });
+});
+
+test('toCsv quotes cells, serialises params and neutralises formulas', () => {
+  const csv = toCsv([{
+    createdAt: new Date('2024-06-21T10:00:00Z'),
+    userEmail: 'a@b.c',
+    action: 'container.rename',
+    targetName: 'web, "prod"',
+    outcome: 'success',
+    error: '=HYPERLINK("x")',
+    params: { newName: 'web2' },
+  }]);
+  const [header, line] = csv.trim().split('\n');
+  assert.ok(header.startsWith('createdAt,userEmail,'));
+  assert.ok(line.startsWith('2024-06-21T10:00:00.000Z,a@b.c,'));
+  assert.ok(line.includes('"web, ""prod"""'));
+  assert.ok(line.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(line.endsWith('"{""newName"":""web2""}"'));
+});
@@ -1,17 +1,42 @@
 /**
  * Scheduled backups: run due BackupJobs (one job = many entries; commit each container, prune by retention).
+ * Jobs with a backup target also export each run's volume bundle off-host (see volume-backup.service).
  */
 const { Op } = require('sequelize');
 const { BackupJob, BackupJobEntry, Server } = require('../models');
 const dockerService = require('./docker.service');
+const volumeBackupService = require('./volume-backup.service');
 const logger = require('../config/logger');
+const { parseCron, nextCronRun, isValidTimeZone } = require('../utils/cron');
 
 const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
 
-function computeNextRunAt(schedule) {
-  const now = new Date();
+const SCHEDULE_TYPES = ['interval', 'daily', 'weekly', 'cron'];
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Cron expression equivalent to a daily, weekly or cron schedule (interval schedules have none).
+ */
+function scheduleToCron(type, cfg) {
+  if (type === 'cron') return String(cfg.expression || '').trim();
+  const hour = clampInt(cfg.hour, 0, 23, 2);
+  const minute = clampInt(cfg.minute, 0, 59, 0);
+  if (type === 'daily') return `${minute} ${hour} * * *`;
+  if (type === 'weekly') return `${minute} ${hour} * * ${clampInt(cfg.dayOfWeek, 0, 6, 0)}`; // 0 = Sunday
+  return null;
+}
+
+/**
+ * Next run strictly after `from` (default: lastRunAt, or now). Daily, weekly and cron schedules are
+ * evaluated in the job's timezone (UTC when unset).
+ */
+function computeNextRunAt(schedule, from = null) {
   const last = schedule.lastRunAt ? new Date(schedule.lastRunAt) : null;
-  const ref = last || now;
+  const ref = from || last || new Date();
   const type = schedule.scheduleType;
   const cfg = schedule.scheduleConfig || {};
 
@@ -21,29 +46,50 @@ function computeNextRunAt(schedule) {
     return next;
   }
 
-  if (type === 'daily') {
-    const hour = Math.min(23, Math.max(0, parseInt(cfg.hour, 10) || 2));
-    const minute = Math.min(59, Math.max(0, parseInt(cfg.minute, 10) || 0));
-    const next = new Date(ref);
-    next.setUTCHours(hour, minute, 0, 0);
-    if (next <= ref) next.setUTCDate(next.getUTCDate() + 1);
-    return next;
+  const expression = scheduleToCron(type, cfg);
+  if (expression) {
+    const timezone = isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC';
+    try {
+      const next = nextCronRun(expression, ref, timezone);
+      if (next) return next;
+    } catch (err) {
+      logger.warn(`Invalid cron expression "${expression}": ${err.message}`);
+    }
   }
 
-  if (type === 'weekly') {
-    const dayOfWeek = Math.min(6, Math.max(0, parseInt(cfg.dayOfWeek, 10) || 0)); // 0 = Sunday
-    const hour = Math.min(23, Math.max(0, parseInt(cfg.hour, 10) || 2));
-    const minute = Math.min(59, Math.max(0, parseInt(cfg.minute, 10) || 0));
-    const next = new Date(ref);
-    next.setUTCHours(hour, minute, 0, 0);
-    let days = dayOfWeek - next.getUTCDay();
-    if (days < 0) days += 7;
-    if (days === 0 && next <= ref) days = 7;
-    next.setUTCDate(next.getUTCDate() + days);
-    return next;
+  return new Date(ref.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Validate schedule input from the API. Throws INVALID_INPUT (e.g. bad cron, unknown timezone,
+ * or an expression that never fires).
+ */
+function validateSchedule(type, cfg, timezone) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_INPUT';
+    return err;
+  };
+  if (!SCHEDULE_TYPES.includes(type)) throw invalid(`scheduleType must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  if (timezone != null && !isValidTimeZone(timezone)) throw invalid(`Unknown timezone "${timezone}" (use an IANA name such as Europe/London)`);
+  const expression = scheduleToCron(type, cfg || {});
+  if (type === 'cron') {
+    parseCron(expression);
+    if (!nextCronRun(expression, new Date(), timezone || 'UTC')) throw invalid('Cron expression never fires');
   }
+}
 
-  return new Date(ref.getTime() + 24 * 60 * 60 * 1000);
+/**
+ * The next `count` run times of a schedule, for previews.
+ */
+function previewRuns(schedule, count = 5, from = new Date()) {
+  const runs = [];
+  let ref = from;
+  for (let i = 0; i < count; i += 1) {
+    ref = computeNextRunAt(schedule, ref);
+    runs.push(ref);
+  }
+  return runs;
 }
 
 /**
@@ -75,12 +121,13 @@ function scheduledSnapshotImageName(containerName) {
  * @param {object} server - Server model instance
  * @param {string} containerName - Container name
  * @param {number} retention - How many snapshots to keep
+ * @returns {Promise<object|null>} The volume bundle written on the host ({ bundlePath, mountCount, manifest }), if any
  */
 async function runBackupForEntry(server, containerName, retention) {
   const containerId = await findContainerIdByName(server, containerName);
   if (!containerId) {
     logger.warn(`Backup: container "${containerName}" not found on server`);
-    return;
+    return null;
   }
 
   const imageName = scheduledSnapshotImageName(containerName);
@@ -91,11 +138,12 @@ async function runBackupForEntry(server, containerName, retention) {
     logger.info(`Scheduled backup: ${containerName} -> ${imageName}:${tag}`);
   } catch (err) {
     logger.error(`Scheduled backup failed for ${containerName}:`, err.message);
-    return;
+    return null;
   }
 
+  let bundle = null;
   try {
-    await dockerService.archiveContainerVolumesForSnapshot(server, containerId, `${imageName}:${tag}`);
+    bundle = await dockerService.archiveContainerVolumesForSnapshot(server, containerId, `${imageName}:${tag}`);
   } catch (volErr) {
     logger.warn(`Scheduled backup volume archive failed for ${containerName}:`, volErr.message);
   }
@@ -123,6 +171,7 @@ async function runBackupForEntry(server, containerName, retention) {
   } catch (e) {
     logger.warn(`Could not list/prune snapshots for ${containerName}:`, e.message);
   }
+  return bundle;
 }
 
 class BackupSchedulerService {
@@ -179,7 +228,10 @@ class BackupSchedulerService {
             const server = entry.server;
             if (!server || server.userId !== job.userId) continue;
             try {
-              await runBackupForEntry(server, entry.containerName, retention);
+              const bundle = await runBackupForEntry(server, entry.containerName, retention);
+              if (job.backupTargetId && bundle && bundle.mountCount > 0) {
+                await volumeBackupService.exportScheduledBundle(job, server, entry.containerName, bundle);
+              }
             } catch (err) {
               logger.error(`Backup job ${job.id} entry ${entry.containerName}:`, err.message);
             }
@@ -204,5 +256,8 @@ class BackupSchedulerService {
 
 const backupSchedulerService = new BackupSchedulerService();
 backupSchedulerService.computeNextRunAt = computeNextRunAt;
+backupSchedulerService.validateSchedule = validateSchedule;
+backupSchedulerService.previewRuns = previewRuns;
+backupSchedulerService.SCHEDULE_TYPES = SCHEDULE_TYPES;
 
 module.exports = backupSchedulerService;
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const backupSchedulerService = require('./backup-scheduler.service');
+
+const { computeNextRunAt, validateSchedule, previewRuns } = backupSchedulerService;
+
+test('computeNextRunAt keeps UTC daily/weekly behaviour and honours the job timezone', () => {
+  const lastRunAt = new Date('2024-01-03T02:00:00Z'); // Wednesday
+  assert.strictEqual(computeNextRunAt({ scheduleType: 'daily', scheduleConfig: { hour: 2, minute: 0 }, lastRunAt }).toISOString(), '2024-01-04T02:00:00.000Z');
+  assert.strictEqual(
+    computeNextRunAt({ scheduleType: 'weekly', scheduleConfig: { dayOfWeek: 0, hour: 2, minute: 0 }, lastRunAt }).toISOString(),
+    '2024-01-07T02:00:00.000Z'
+  );
+  assert.strictEqual(
+    computeNextRunAt({ scheduleType: 'daily', scheduleConfig: { hour: 0, minute: 15 }, timezone: 'Asia/Tokyo', lastRunAt }).toISOString(),
+    '2024-01-03T15:15:00.000Z'
+  );
+  assert.strictEqual(computeNextRunAt({ scheduleType: 'interval', scheduleConfig: { intervalHours: 6 }, lastRunAt }).toISOString(), '2024-01-03T08:00:00.000Z');
+
+  const cronJob = { scheduleType: 'cron', scheduleConfig: { expression: '30 2 * * 1-5' }, timezone: 'Europe/London' };
+  assert.deepStrictEqual(
+    previewRuns(cronJob, 2, new Date('2024-07-05T12:00:00Z')).map((d) => d.toISOString()),
+    ['2024-07-08T01:30:00.000Z', '2024-07-09T01:30:00.000Z']
+  );
+});
+
+test('validateSchedule rejects bad cron expressions, unknown timezones and schedules that never fire', () => {
+  assert.doesNotThrow(() => validateSchedule('cron', { expression: '*/10 * * * *' }, 'UTC'));
+  assert.doesNotThrow(() => validateSchedule('daily', { hour: 2 }, null));
+  assert.throws(() => validateSchedule('hourly', {}, null), { code: 'INVALID_INPUT' });
+  assert.throws(() => validateSchedule('cron', { expression: '* * *' }, null), { code: 'INVALID_INPUT' });
+  assert.throws(() => validateSchedule('cron', { expression: '0 0 30 2 *' }, null), /never fires/);
+  assert.throws(() => validateSchedule('daily', {}, 'Not/AZone'), /Unknown timezone/);
+});
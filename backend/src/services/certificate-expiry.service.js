@@ -1,11 +1,11 @@
 /**
  * Certificate expiry check: runs periodically for servers with publicWwwEnabled.
- * When any cert has validDays < 30: sends email alert and runs certbot renew.
+ * When any cert has validDays < 30: runs certbot renew and sends an alert (email and notification channels).
  * Cooldown prevents alert spam (default 7 days per server).
  */
 const { Server, User } = require('../models');
 const publicWwwService = require('./public-www.service');
-const emailService = require('./email.service');
+const notificationService = require('./notification.service');
 const config = require('../config/config');
 const logger = require('../config/logger');
 
@@ -27,7 +27,7 @@ function canSendAlert(serverId) {
 }
 
 async function runCheckForServer(server, user) {
-  if (!user || !user.email) return;
+  if (!user) return;
 
   let certs;
   try {
@@ -60,26 +60,21 @@ async function runCheckForServer(server, user) {
     return;
   }
 
-  const result = await emailService.sendCertificateExpiryAlert(user.email, server, expiring, {
+  const result = await notificationService.notify(user, 'certificate.expiry', {
+    server,
+    certs: expiring,
     renewed: renewSuccess,
     renewError,
   });
   if (result.success) {
     lastAlertByServer.set(server.id, Date.now());
-    logger.info(`Certificate expiry alert sent to ${user.email} for server ${server.name || server.id}`);
+    logger.info(`Certificate expiry alert sent for user ${user.email || user.id} for server ${server.name || server.id}`);
   }
 }
 
 async function runScheduledCheck() {
-  if (!config.email?.enabled) {
-    logger.debug('Certificate expiry check skip: email disabled');
-    return;
-  }
-  if (!emailService.initialized) {
-    await emailService.initialize();
-  }
-  if (!emailService.initialized) {
-    logger.debug('Certificate expiry check skip: email not configured');
+  if (!(await notificationService.hasDeliveryRoute())) {
+    logger.debug('Certificate expiry check skip: no email or notification channel configured');
     return;
   }
 
@@ -97,7 +92,7 @@ async function runScheduledCheck() {
 
     for (const server of servers) {
       const user = server.user;
-      if (!user?.email) continue;
+      if (!user) continue;
       try {
         await runCheckForServer(server, user);
       } catch (e) {
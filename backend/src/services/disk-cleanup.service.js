@@ -0,0 +1,394 @@
+/**
+ * Disk reclamation per server: what Docker uses on the host (`docker system df -v`), an exact
+ * preview of what a cleanup deletes, the cleanup itself and per-server schedules for it.
+ *
+ * Cleanups remove the previewed items one by one (docker rm / rmi / volume rm / network rm)
+ * instead of running `docker … prune`, so snapshot images made by the backup scheduler and
+ * containers in the middle of an update are never touched. Only build cache is pruned as a whole.
+ */
+const { Op } = require('sequelize');
+const { DiskCleanupSchedule, Server } = require('../models');
+const sshService = require('./ssh.service');
+const { escapeSingleQuoted, throwInvalid } = require('../utils/shellSafe');
+const { parseCron, nextCronRun, nextCronRuns, isValidTimeZone } = require('../utils/cron');
+const logger = require('../config/logger');
+
+const CATEGORIES = ['containers', 'images', 'volumes', 'networks', 'buildCache'];
+const DEFAULT_CATEGORIES = ['containers', 'images', 'networks', 'buildCache'];
+const CHECK_INTERVAL_MS = 60 * 1000;
+// Items per docker rm / rmi / … command
+const REMOVE_CHUNK = 50;
+
+// Snapshot images: <container>-snapshot-YYYYMMDD-HHMMSS:snapshot (manual snapshots use the same pattern)
+const SNAPSHOT_REPOSITORY = /-snapshot(-\d{8}-\d{6})?$/i;
+// Temporary containers of a running recreate or safe update (name-new-<ms>, name-previous-<ms>)
+const IN_FLIGHT_CONTAINER = /-(new|previous)-\d{13}$/;
+const ANONYMOUS_VOLUME = /^[0-9a-f]{64}$/;
+const PREDEFINED_NETWORKS = ['bridge', 'host', 'none'];
+const STOPPED_STATES = ['exited', 'created', 'dead'];
+
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12 };
+
+/** "1.23GB" / "512kB" / "0B (virtual 120MB)" from docker system df to bytes; null for "N/A". */
+function parseSize(value) {
+  const m = /^([\d.]+)\s*([a-z]+)/i.exec(String(value || '').trim());
+  if (!m) return null;
+  const factor = SIZE_UNITS[m[2].toLowerCase()];
+  const num = parseFloat(m[1]);
+  return factor && Number.isFinite(num) ? Math.round(num * factor) : null;
+}
+
+function isSnapshotImage(repository, tag) {
+  return tag === 'snapshot' || SNAPSHOT_REPOSITORY.test(repository || '');
+}
+
+/**
+ * Cleanup options from a request body or schedule.
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeOptions(input = {}) {
+  const categories = input.categories == null ? DEFAULT_CATEGORIES : input.categories;
+  if (!Array.isArray(categories) || !categories.length) throwInvalid('Pick at least one category to clean up');
+  const unknown = categories.filter((c) => !CATEGORIES.includes(c));
+  if (unknown.length) throwInvalid(`Unknown categories: ${unknown.join(', ')} (use ${CATEGORIES.join(', ')})`);
+  return {
+    categories: CATEGORIES.filter((c) => categories.includes(c)),
+    // Unused tagged images too, not only dangling ones
+    allImages: !!input.allImages,
+    // Unused named volumes too, not only anonymous ones
+    namedVolumes: !!input.namedVolumes,
+  };
+}
+
+const SECTIONS = ['@@VERBOSE', '@@NETWORKS', '@@DISK'];
+
+/** Host command whose output parseDiskUsage reads. */
+function buildDiskUsageCommand() {
+  return [
+    "docker system df --format '{{json .}}'",
+    `echo ${SECTIONS[0]}`,
+    "docker system df -v --format '{{json .}}'",
+    `echo ${SECTIONS[1]}`,
+    "docker network ls --filter dangling=true --format '{{json .}}'",
+    `echo ${SECTIONS[2]}`,
+    "df -P -B1 \"$(docker info -f '{{.DockerRootDir}}' 2>/dev/null || echo /var/lib/docker)\" | tail -n 1",
+  ].join('; ');
+}
+
+const parseJsonLines = (text) => text.split('\n').map((l) => l.trim()).filter(Boolean).map((l) => {
+  try {
+    return JSON.parse(l);
+  } catch (e) {
+    return null;
+  }
+}).filter(Boolean);
+
+/**
+ * Output of buildDiskUsageCommand to { summary, disk, raw }: summary rows per category with
+ * Docker's reclaimable estimate, the filesystem holding Docker's data, and the verbose listings.
+ */
+function parseDiskUsage(stdout) {
+  const parts = {};
+  let current = 'summary';
+  for (const line of String(stdout || '').split('\n')) {
+    const marker = SECTIONS.indexOf(line.trim());
+    if (marker !== -1) {
+      current = SECTIONS[marker];
+      continue;
+    }
+    parts[current] = `${parts[current] || ''}${line}\n`;
+  }
+  const typeToCategory = { Images: 'images', Containers: 'containers', 'Local Volumes': 'volumes', 'Build Cache': 'buildCache' };
+  const summary = parseJsonLines(parts.summary || '').filter((r) => typeToCategory[r.Type]).map((r) => ({
+    category: typeToCategory[r.Type],
+    total: parseInt(r.TotalCount, 10) || 0,
+    active: parseInt(r.Active, 10) || 0,
+    sizeBytes: parseSize(r.Size),
+    reclaimableBytes: parseSize(r.Reclaimable),
+  }));
+  const verbose = parseJsonLines(parts[SECTIONS[0]] || '')[0] || {};
+  const networks = parseJsonLines(parts[SECTIONS[1]] || '');
+  let disk = null;
+  const dfFields = (parts[SECTIONS[2]] || '').trim().split(/\s+/);
+  if (dfFields.length >= 6 && /^\d+$/.test(dfFields[1])) {
+    disk = {
+      mountpoint: dfFields[5],
+      sizeBytes: Number(dfFields[1]),
+      usedBytes: Number(dfFields[2]),
+      availableBytes: Number(dfFields[3]),
+    };
+  }
+  return {
+    summary,
+    disk,
+    raw: {
+      images: verbose.Images || [],
+      containers: verbose.Containers || [],
+      volumes: verbose.Volumes || [],
+      buildCache: verbose.BuildCache || [],
+      networks,
+    },
+  };
+}
+
+const composeProjectOf = (labels) => /(?:^|,)com\.docker\.compose\.project=([^,]+)/.exec(labels || '')?.[1] || null;
+
+/**
+ * What a cleanup with `options` deletes: { items, protected }. Each item is
+ * { id: 'category:key', category, key, name, sizeBytes, detail }; `protected` lists what a plain
+ * prune would also remove but this one keeps, with the reason.
+ */
+function buildPlan(raw, options) {
+  const items = [];
+  const kept = [];
+  const add = (category, key, name, sizeBytes, detail) => items.push({ id: `${category}:${key}`, category, key, name, sizeBytes, detail });
+  const want = new Set(options.categories);
+
+  if (want.has('containers')) {
+    for (const c of raw.containers || []) {
+      if (!STOPPED_STATES.includes(c.State)) continue;
+      const name = String(c.Names || '').split(',')[0];
+      if (IN_FLIGHT_CONTAINER.test(name)) {
+        kept.push({ category: 'containers', key: c.ID, name, reason: 'Part of an update in progress' });
+        continue;
+      }
+      add('containers', c.ID, name, parseSize(c.Size), `${c.Image} · ${c.Status}`);
+    }
+  }
+
+  if (want.has('images')) {
+    const unused = (raw.images || []).filter((i) => String(i.Containers) === '0');
+    const protectedIds = new Set(unused.filter((i) => isSnapshotImage(i.Repository, i.Tag)).map((i) => i.ID));
+    const counted = new Set();
+    for (const i of unused) {
+      const dangling = i.Repository === '<none>' && i.Tag === '<none>';
+      if (!dangling && !options.allImages) continue;
+      const ref = `${i.Repository}:${i.Tag}`;
+      if (isSnapshotImage(i.Repository, i.Tag)) {
+        kept.push({ category: 'images', key: ref, name: ref, reason: 'Backup snapshot' });
+        continue;
+      }
+      // Shared IDs (several tags) are counted once; nothing is freed while a snapshot tag remains
+      const sizeBytes = protectedIds.has(i.ID) || counted.has(i.ID) ? 0 : parseSize(i.UniqueSize || i.Size);
+      counted.add(i.ID);
+      add('images', dangling ? i.ID : ref, dangling ? `<none> (${i.ID})` : ref, sizeBytes, dangling ? 'Dangling image' : `Unused image, created ${i.CreatedSince || i.CreatedAt}`);
+    }
+  }
+
+  if (want.has('volumes')) {
+    for (const v of raw.volumes || []) {
+      if (String(v.Links) !== '0') continue;
+      const anonymous = ANONYMOUS_VOLUME.test(v.Name);
+      if (!anonymous && !options.namedVolumes) continue;
+      const project = composeProjectOf(v.Labels);
+      add('volumes', v.Name, v.Name, parseSize(v.Size), `${anonymous ? 'Anonymous' : 'Named'} volume${project ? ` of compose project ${project}` : ''}`);
+    }
+  }
+
+  if (want.has('networks')) {
+    for (const n of raw.networks || []) {
+      if (PREDEFINED_NETWORKS.includes(n.Name)) continue;
+      add('networks', n.ID, n.Name, 0, `${n.Driver || 'network'} network`);
+    }
+  }
+
+  if (want.has('buildCache')) {
+    const unusedCache = (raw.buildCache || []).filter((b) => String(b.InUse) !== 'true');
+    if (unusedCache.length) {
+      const sizeBytes = unusedCache.reduce((sum, b) => sum + (parseSize(b.Size) || 0), 0);
+      add('buildCache', 'all', `${unusedCache.length} unused build cache record(s)`, sizeBytes, 'docker builder prune --all');
+    }
+  }
+
+  return { items, protected: kept };
+}
+
+const REMOVE_COMMANDS = {
+  containers: 'docker rm',
+  images: 'docker rmi',
+  volumes: 'docker volume rm',
+  networks: 'docker network rm',
+};
+
+async function getDiskUsage(server) {
+  const result = await sshService.executeCommand(server, buildDiskUsageCommand(), { allowFailure: true, timeout: 120000 });
+  if (result.code !== 0 && !result.stdout.trim()) {
+    throw new Error(`docker system df failed: ${(result.stderr || '').trim() || 'unknown error'}`);
+  }
+  return parseDiskUsage(result.stdout);
+}
+
+/** Disk usage plus the plan for `options` (see normalizeOptions). */
+async function preview(server, options) {
+  const usage = await getDiskUsage(server);
+  const plan = buildPlan(usage.raw, options);
+  return {
+    summary: usage.summary,
+    disk: usage.disk,
+    items: plan.items,
+    protected: plan.protected,
+    reclaimableBytes: plan.items.reduce((sum, i) => sum + (i.sizeBytes || 0), 0),
+  };
+}
+
+const runningServers = new Set();
+
+/**
+ * Delete what the plan for `options` holds right now; with `onlyIds` (item ids from a preview)
+ * only those of them that are still unused. Items that Docker refuses to remove are reported
+ * in `failed` and do not stop the rest.
+ * @returns {Promise<{ removed: object, failed: object[], reclaimedBytes: number, freedBytes: number|null }>}
+ */
+async function runCleanup(server, options, onlyIds = null) {
+  if (runningServers.has(server.id)) {
+    const err = new Error('A cleanup is already running on this server');
+    err.code = 'CLEANUP_RUNNING';
+    throw err;
+  }
+  runningServers.add(server.id);
+  try {
+    const before = await getDiskUsage(server);
+    let { items } = buildPlan(before.raw, options);
+    if (onlyIds) {
+      const only = new Set(onlyIds);
+      items = items.filter((i) => only.has(i.id));
+    }
+    const removed = Object.fromEntries(CATEGORIES.map((c) => [c, 0]));
+    const failed = [];
+    let reclaimedBytes = 0;
+
+    for (const category of CATEGORIES) {
+      const ofCategory = items.filter((i) => i.category === category);
+      if (!ofCategory.length) continue;
+      if (category === 'buildCache') {
+        const r = await sshService.executeCommand(server, 'docker builder prune --all --force', { allowFailure: true, timeout: 600000 });
+        if (r.code === 0) {
+          removed.buildCache = 1;
+          reclaimedBytes += parseSize(/Total(?:\s+reclaimed space)?:\s*(\S+)/i.exec(r.stdout || '')?.[1]) || 0;
+        } else {
+          failed.push({ id: ofCategory[0].id, name: ofCategory[0].name, error: (r.stderr || r.stdout || '').trim() || 'builder prune failed' });
+        }
+        continue;
+      }
+      for (let i = 0; i < ofCategory.length; i += REMOVE_CHUNK) {
+        const chunk = ofCategory.slice(i, i + REMOVE_CHUNK);
+        const cmd = `${REMOVE_COMMANDS[category]} ${chunk.map((item) => escapeSingleQuoted(item.key)).join(' ')}`;
+        const r = await sshService.executeCommand(server, cmd, { allowFailure: true, timeout: 300000 });
+        const errorLines = (r.stderr || '').split('\n').filter((l) => l.trim());
+        // An error that names none of the items is taken to apply to all of them
+        const unattributed = r.code !== 0 && !chunk.some((item) => errorLines.some((l) => l.includes(item.key)));
+        for (const item of chunk) {
+          const error = errorLines.find((l) => l.includes(item.key));
+          if (error || unattributed) {
+            failed.push({ id: item.id, name: item.name, error: error || errorLines.join('; ') || 'Removal failed' });
+          } else {
+            removed[category] += 1;
+            reclaimedBytes += item.sizeBytes || 0;
+          }
+        }
+      }
+    }
+
+    let freedBytes = null;
+    try {
+      const after = await getDiskUsage(server);
+      if (before.disk && after.disk) freedBytes = after.disk.availableBytes - before.disk.availableBytes;
+    } catch (e) { /* reporting only */ }
+    logger.info(`Disk cleanup on ${server.name}: ${Object.entries(removed).map(([c, n]) => `${n} ${c}`).join(', ')}; ${failed.length} failed`);
+    return { removed, failed, reclaimedBytes, freedBytes };
+  } finally {
+    runningServers.delete(server.id);
+  }
+}
+
+/**
+ * Fields to store from a schedule body.
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeSchedule(input) {
+  const cronExpression = String(input.cronExpression || '').trim();
+  if (!cronExpression) throwInvalid('cronExpression is required');
+  const timezone = input.timezone || null;
+  if (timezone && !isValidTimeZone(timezone)) throwInvalid(`Unknown timezone "${timezone}" (use an IANA name such as Europe/London)`);
+  parseCron(cronExpression);
+  if (!nextCronRun(cronExpression, new Date(), timezone || 'UTC')) throwInvalid('Cron expression never fires');
+  const { categories, ...options } = normalizeOptions(input);
+  return { enabled: input.enabled !== false, cronExpression, timezone, categories, options };
+}
+
+function nextRunOf(schedule, from = new Date()) {
+  return nextCronRun(schedule.cronExpression, from, isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC');
+}
+
+/** The next `count` runs of a schedule, for previews. */
+function previewRuns(schedule, count = 5) {
+  return nextCronRuns(schedule.cronExpression, new Date(), isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC', count);
+}
+
+let intervalId = null;
+let ticking = false;
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    const due = await DiskCleanupSchedule.findAll({
+      where: { enabled: true, [Op.or]: [{ nextRunAt: null }, { nextRunAt: { [Op.lte]: now } }] },
+      include: [{ model: Server, as: 'server' }],
+    });
+    for (const schedule of due) {
+      // Mark as run first so a slow cleanup is not picked up again on the next tick
+      await schedule.update({ lastRunAt: now, nextRunAt: nextRunOf(schedule, now) });
+      const server = schedule.server;
+      if (!server || server.userId !== schedule.userId) continue;
+      let lastResult;
+      try {
+        const options = normalizeOptions({ ...schedule.options, categories: schedule.categories });
+        const result = await runCleanup(server, options);
+        lastResult = { at: now, ...result, failed: result.failed.length };
+      } catch (err) {
+        logger.error(`Scheduled disk cleanup on ${server.name}:`, err.message);
+        lastResult = { at: now, error: err.message };
+      }
+      await schedule.update({ lastResult });
+    }
+  } catch (err) {
+    logger.error('Disk cleanup scheduler tick error:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+function start() {
+  if (intervalId) return;
+  logger.info('Disk cleanup scheduler started (check every 1 min)');
+  intervalId = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+}
+
+function stop() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    logger.info('Disk cleanup scheduler stopped');
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_CATEGORIES,
+  parseSize,
+  isSnapshotImage,
+  normalizeOptions,
+  normalizeSchedule,
+  buildDiskUsageCommand,
+  parseDiskUsage,
+  buildPlan,
+  preview,
+  runCleanup,
+  nextRunOf,
+  previewRuns,
+  start,
+  stop,
+};
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const {
+  parseSize,
+  normalizeOptions,
+  normalizeSchedule,
+  parseDiskUsage,
+  buildPlan,
+  runCleanup,
+} = require('./disk-cleanup.service');
+
+const invalid = (err) => err.code === 'INVALID_INPUT';
+const anonymousVolume = 'f'.repeat(64);
+
+const verbose = {
+  Images: [
+    { Repository: 'nginx', Tag: '1.27', ID: 'aaa111', Containers: '1', Size: '190MB', UniqueSize: '0B' },
+    { Repository: '<none>', Tag: '<none>', ID: 'bbb222', Containers: '0', Size: '120MB', UniqueSize: '80MB' },
+    { Repository: 'redis', Tag: '6', ID: 'ccc333', Containers: '0', Size: '110MB', UniqueSize: '110MB', CreatedSince: '3 months ago' },
+    { Repository: 'redis', Tag: 'old', ID: 'ccc333', Containers: '0', Size: '110MB', UniqueSize: '110MB', CreatedSince: '3 months ago' },
+    { Repository: 'web-snapshot-20240601-020000', Tag: 'snapshot', ID: 'ddd444', Containers: '0', Size: '300MB', UniqueSize: '40MB' },
+  ],
+  Containers: [
+    { ID: 'c1', Names: 'web', Image: 'nginx:1.27', State: 'running', Status: 'Up 2 days', Size: '2kB' },
+    { ID: 'c2', Names: 'migrate', Image: 'app:2', State: 'exited', Status: 'Exited (0) 3 days ago', Size: '1.5MB (virtual 200MB)' },
+    { ID: 'c3', Names: 'db-previous-1720000000000', Image: 'postgres:16', State: 'exited', Status: 'Exited (0) 1 minute ago', Size: '0B' },
+  ],
+  Volumes: [
+    { Name: anonymousVolume, Links: '0', Size: '12MB', Labels: '' },
+    { Name: 'shop_data', Links: '0', Size: '2GB', Labels: 'com.docker.compose.project=shop,com.docker.compose.volume=data' },
+    { Name: 'pg_data', Links: '1', Size: '5GB', Labels: '' },
+  ],
+  BuildCache: [
+    { ID: 'b1', InUse: 'false', Size: '50MB' },
+    { ID: 'b2', InUse: 'true', Size: '10MB' },
+    { ID: 'b3', InUse: 'false', Size: '25MB' },
+  ],
+};
+
+const dfOutput = (availableBytes) => [
+  '{"Active":"1","Reclaimable":"300MB (60%)","Size":"720MB","TotalCount":"5","Type":"Images"}',
+  '{"Active":"1","Reclaimable":"1.5MB (99%)","Size":"1.502MB","TotalCount":"3","Type":"Containers"}',
+  '{"Active":"1","Reclaimable":"2.012GB (28%)","Size":"7.012GB","TotalCount":"3","Type":"Local Volumes"}',
+  '{"Active":"0","Reclaimable":"75MB","Size":"85MB","TotalCount":"3","Type":"Build Cache"}',
+  '@@VERBOSE',
+  JSON.stringify(verbose),
+  '@@NETWORKS',
+  '{"Driver":"bridge","ID":"n1","Name":"old_default","Scope":"local"}',
+  '{"Driver":"bridge","ID":"n0","Name":"bridge","Scope":"local"}',
+  '@@DISK',
+  `/dev/sda1 100000000000 90000000000 ${availableBytes} 90% /`,
+].join('\n');
+
+test('parseSize reads docker system df sizes', () => {
+  assert.strictEqual(parseSize('1.5GB'), 1.5e9);
+  assert.strictEqual(parseSize('512kB'), 512000);
+  assert.strictEqual(parseSize('1.5MB (virtual 200MB)'), 1.5e6);
+  assert.strictEqual(parseSize('N/A'), null);
+});
+
+test('normalizeOptions defaults and rejects unknown categories', () => {
+  assert.deepStrictEqual(normalizeOptions({}), {
+    categories: ['containers', 'images', 'networks', 'buildCache'], allImages: false, namedVolumes: false,
+  });
+  assert.deepStrictEqual(normalizeOptions({ categories: ['volumes', 'images'], namedVolumes: true }).categories, ['images', 'volumes']);
+  assert.throws(() => normalizeOptions({ categories: [] }), invalid);
+  assert.throws(() => normalizeOptions({ categories: ['logs'] }), invalid);
+});
+
+test('normalizeSchedule validates the cron expression and timezone', () => {
+  const schedule = normalizeSchedule({ cronExpression: '0 4 * * 0', timezone: 'Europe/Berlin', categories: ['images'], allImages: true });
+  assert.deepStrictEqual(schedule, {
+    enabled: true, cronExpression: '0 4 * * 0', timezone: 'Europe/Berlin', categories: ['images'], options: { allImages: true, namedVolumes: false },
+  });
+  assert.throws(() => normalizeSchedule({ cronExpression: '61 * * * *' }), invalid);
+  assert.throws(() => normalizeSchedule({ cronExpression: '0 4 * * *', timezone: 'Mars/Base' }), invalid);
+});
+
+test('parseDiskUsage splits the summary, listings and filesystem', () => {
+  const usage = parseDiskUsage(dfOutput(10000000000));
+  assert.deepStrictEqual(usage.summary.map((s) => [s.category, s.total, s.reclaimableBytes]), [
+    ['images', 5, 300e6], ['containers', 3, 1.5e6], ['volumes', 3, 2.012e9], ['buildCache', 3, 75e6],
+  ]);
+  assert.strictEqual(usage.raw.images.length, 5);
+  assert.strictEqual(usage.raw.networks.length, 2);
+  assert.deepStrictEqual(usage.disk, { mountpoint: '/', sizeBytes: 100000000000, usedBytes: 90000000000, availableBytes: 10000000000 });
+});
+
+test('buildPlan keeps snapshots, in-flight containers, named volumes and used items', () => {
+  const { raw } = parseDiskUsage(dfOutput(1));
+  const plan = buildPlan(raw, normalizeOptions({ categories: ['containers', 'images', 'volumes', 'networks', 'buildCache'] }));
+  assert.deepStrictEqual(plan.items.map((i) => i.id), [
+    'containers:c2', 'images:bbb222', `volumes:${anonymousVolume}`, 'networks:n1', 'buildCache:all',
+  ]);
+  assert.strictEqual(plan.items.find((i) => i.category === 'buildCache').sizeBytes, 75e6);
+  assert.deepStrictEqual(plan.protected.map((p) => [p.key, p.reason]), [['c3', 'Part of an update in progress']]);
+
+  const all = buildPlan(raw, normalizeOptions({ categories: ['images', 'volumes'], allImages: true, namedVolumes: true }));
+  assert.deepStrictEqual(all.items.map((i) => [i.key, i.sizeBytes]), [
+    ['bbb222', 80e6], ['redis:6', 110e6], ['redis:old', 0], [anonymousVolume, 12e6], ['shop_data', 2e9],
+  ]);
+  assert.match(all.items.find((i) => i.key === 'shop_data').detail, /compose project shop/);
+  assert.deepStrictEqual(all.protected.map((p) => [p.key, p.reason]), [['web-snapshot-20240601-020000:snapshot', 'Backup snapshot']]);
+});
+
+test('runCleanup removes only previewed items and reports failures per item', async (t) => {
+  const commands = [];
+  let dfCalls = 0;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd.startsWith('docker system df')) {
+      dfCalls += 1;
+      return { code: 0, stdout: dfOutput(dfCalls === 1 ? 10000000000 : 10090000000), stderr: '' };
+    }
+    if (cmd.startsWith('docker rmi')) {
+      return { code: 1, stdout: 'Untagged: redis:6\n', stderr: 'Error response from daemon: conflict: unable to remove repository reference "redis:old"\n' };
+    }
+    return { code: 0, stdout: '', stderr: '' };
+  });
+  const server = { id: 's1', name: 'edge' };
+  const options = normalizeOptions({ categories: ['containers', 'images'], allImages: true });
+  const result = await runCleanup(server, options, ['images:redis:6', 'images:redis:old', 'images:unknown']);
+  assert.deepStrictEqual(commands.filter((c) => !c.startsWith('docker system df')), ["docker rmi 'redis:6' 'redis:old'"]);
+  assert.strictEqual(result.removed.images, 1);
+  assert.strictEqual(result.removed.containers, 0);
+  assert.deepStrictEqual(result.failed.map((f) => f.id), ['images:redis:old']);
+  assert.strictEqual(result.reclaimedBytes, 110e6);
+  assert.strictEqual(result.freedBytes, 90000000);
+});
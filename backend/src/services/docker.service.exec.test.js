@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const dockerService = require('./docker.service');
+
+const server = { id: 's1', host: 'h' };
+const containerId = 'abcdef123456';
+
+test('openExecSession runs docker exec -it under a PTY with the requested size', async (t) => {
+  const calls = [];
+  t.mock.method(sshService, 'openPty', async (srv, command, options) => {
+    calls.push({ command, options });
+    return { fake: true };
+  });
+  const stream = await dockerService.openExecSession(server, containerId, { shell: '/bin/bash', cols: 120, rows: 40 });
+  assert.deepStrictEqual(stream, { fake: true });
+  assert.strictEqual(calls.length, 1);
+  assert.match(calls[0].command, /^docker exec -it -e TERM=xterm-256color abcdef123456 \/bin\/bash$/);
+  assert.deepStrictEqual(calls[0].options, { cols: 120, rows: 40 });
+});
+
+test('openExecSession defaults to /bin/sh', async (t) => {
+  let command;
+  t.mock.method(sshService, 'openPty', async (srv, cmd) => { command = cmd; return {}; });
+  await dockerService.openExecSession(server, containerId);
+  assert.match(command, / \/bin\/sh$/);
+});
+
+test('openExecSession rejects unsafe container ids and shells', async (t) => {
+  t.mock.method(sshService, 'openPty', async () => ({}));
+  await assert.rejects(() => dockerService.openExecSession(server, 'abc; rm -rf /'), (err) => err.code === 'INVALID_INPUT');
+  await assert.rejects(() => dockerService.openExecSession(server, containerId, { shell: '/bin/sh; id' }), (err) => err.code === 'INVALID_INPUT');
+});
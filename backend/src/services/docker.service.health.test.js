@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const dockerService = require('./docker.service');
+
+const { normalizeHealthGate, buildProbeCommand } = dockerService;
+const server = { id: 's1', host: 'h' };
+const invalid = (err) => err.code === 'INVALID_INPUT';
+
+test('normalizeHealthGate fills defaults and validates the probe', () => {
+  assert.strictEqual(normalizeHealthGate(null), null);
+  assert.strictEqual(normalizeHealthGate(false), null);
+  assert.deepStrictEqual(normalizeHealthGate(true), { timeoutSeconds: 60, probe: null });
+  assert.deepStrictEqual(normalizeHealthGate({ timeoutSeconds: '120', probe: { type: 'http', port: '8080' } }), {
+    timeoutSeconds: 120, probe: { type: 'http', port: 8080, path: '/' },
+  });
+  assert.deepStrictEqual(normalizeHealthGate({ probe: { type: 'tcp', port: 5432, path: '/ignored' } }), {
+    timeoutSeconds: 60, probe: { type: 'tcp', port: 5432 },
+  });
+  assert.throws(() => normalizeHealthGate({ timeoutSeconds: 5 }), invalid);
+  assert.throws(() => normalizeHealthGate({ probe: { type: 'udp', port: 53 } }), invalid);
+  assert.throws(() => normalizeHealthGate({ probe: { type: 'http', port: 70000 } }), invalid);
+  assert.throws(() => normalizeHealthGate({ probe: { type: 'http', port: 80, path: 'health check' } }), invalid);
+});
+
+test('buildProbeCommand quotes the target and checks the HTTP status', () => {
+  assert.strictEqual(
+    buildProbeCommand({ type: 'http', port: 8080, path: "/health?x='1'" }, '172.18.0.4'),
+    "curl -s -o /dev/null --max-time 5 -w '%{http_code}' 'http://172.18.0.4:8080/health?x='\\''1'\\''' | grep -q '^[23]'",
+  );
+  assert.strictEqual(buildProbeCommand({ type: 'tcp', port: 5432 }, '127.0.0.1'), "timeout 5 bash -c 'exec 3<>/dev/tcp/127.0.0.1/5432'");
+  assert.throws(() => buildProbeCommand({ type: 'tcp', port: 1 }, '$(id)'), invalid);
+});
+
+test('waitForHealthy follows HEALTHCHECK and probe results', async (t) => {
+  const gate = { timeoutSeconds: 10, probe: { type: 'http', port: 80, path: '/' } };
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd.startsWith('docker inspect')) return { code: 0, stdout: 'running|healthy|0|bridge|172.17.0.5 \n' };
+    return { code: 0, stdout: '' };
+  });
+  const result = await dockerService.waitForHealthy(server, 'abc123', gate);
+  assert.strictEqual(result.healthy, true);
+  assert.match(result.detail, /^HEALTHCHECK healthy, HTTP probe on :80\/ answered after \d+s$/);
+  assert.match(commands[1], /http:\/\/172\.17\.0\.5:80\//);
+});
+
+test('waitForHealthy fails at once when the container exits or turns unhealthy', async (t) => {
+  const replies = ['exited||0|bridge|', 'running|unhealthy|0|bridge|172.17.0.5 '];
+  t.mock.method(sshService, 'executeCommand', async () => ({ code: 0, stdout: replies.shift() }));
+  assert.deepStrictEqual(await dockerService.waitForHealthy(server, 'abc123', { timeoutSeconds: 60, probe: null }), { healthy: false, detail: 'Container is exited' });
+  assert.deepStrictEqual(await dockerService.waitForHealthy(server, 'abc123', { timeoutSeconds: 60, probe: null }), { healthy: false, detail: 'HEALTHCHECK reported unhealthy' });
+});
+
+test('pullAndRecreateContainer with a health gate restores the old container and image', async (t) => {
+  const oldId = 'a'.repeat(64);
+  const newId = 'b'.repeat(64);
+  const oldImage = `sha256:${'c'.repeat(64)}`;
+  t.mock.method(dockerService, 'getContainerDetails', async () => ({
+    Id: oldId, Name: '/web', Image: oldImage, Config: { Image: 'nginx:1.27', Labels: {} }, HostConfig: { NetworkMode: 'bridge' }, NetworkSettings: { Networks: {} },
+  }));
+  t.mock.method(dockerService, 'getImageVersionFromLabels', async () => null);
+  t.mock.method(dockerService, 'pullImage', async () => ({ success: true }));
+  t.mock.method(dockerService, 'stopContainer', async () => ({ success: true }));
+  const started = [];
+  t.mock.method(dockerService, 'startContainer', async (srv, id) => { started.push(id); return { success: true }; });
+  t.mock.method(dockerService, 'waitForHealthy', async () => ({ healthy: false, detail: 'HEALTHCHECK reported unhealthy' }));
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd.includes('containers/create')) return { code: 0, stdout: JSON.stringify({ Id: newId }) };
+    if (cmd.startsWith('docker inspect')) return { code: 0, stdout: newId };
+    return { code: 0, stdout: '' };
+  });
+
+  const result = await dockerService.pullAndRecreateContainer(server, oldId, { healthGate: { timeoutSeconds: 30, probe: null } });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.rolledBack, true);
+  assert.match(result.error, /failed its health check \(HEALTHCHECK reported unhealthy\); the previous container was restored/);
+  assert.deepStrictEqual(result.steps.map((s) => s.step), [
+    'Validate container', 'Pull image', 'Create new container', 'Verify new container', 'Stop old container', 'Keep old container',
+    'Rename new container', 'Start new container', 'Health check', 'Remove new container', 'Restore previous container',
+    'Start previous container', 'Restore previous image',
+  ]);
+  assert.ok(commands.some((c) => new RegExp(`^docker rename '${oldId}' 'web-previous-\\d+'$`).test(c)));
+  assert.ok(commands.includes(`docker rm -f '${newId}'`));
+  assert.ok(commands.includes(`docker rename '${oldId}' 'web'`));
+  assert.ok(commands.includes(`docker tag ${oldImage} 'nginx:1.27'`));
+  assert.ok(!commands.some((c) => c === `docker rm ${oldId}` || c === `docker rm '${oldId}'`));
+  assert.deepStrictEqual(started, [newId, oldId]);
+});
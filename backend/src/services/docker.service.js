@@ -1,6 +1,7 @@
 const path = require('path');
 const sshService = require('./ssh.service');
 const registryService = require('./registry.service');
+const registryCredentialService = require('./registry-credential.service');
 const logger = require('../config/logger');
 const {
   validateContainerId,
@@ -11,8 +12,10 @@ const {
   validatePortMapping,
   validateExportPath,
   escapeSingleQuoted,
+  validateLogTime,
   DOCKER_ID_REGEX,
   validateContainerName,
+  throwInvalid,
 } = require('../utils/shellSafe');
 
 function filterValidContainerIds(ids) {
@@ -226,6 +229,169 @@ function formatBytesBase2(n) {
   return `${v.toFixed(d)} ${sizes[i]}`;
 }
 
+const MAX_FOLLOWED_CONTAINERS = 20;
+const MAX_LOG_SEARCH_LINES = 5000;
+
+/**
+ * Why a pattern that JS accepts would mean something else (or nothing) to `grep -E`, or null.
+ * The search runs on the host with grep while the log view highlights with JS, so only the
+ * syntax both read the same way is allowed: no \d-style or numeric escapes, no (?…) groups or
+ * lookarounds, no lazy quantifiers, no \< \> word anchors, no backslashes inside [...].
+ */
+function grepIncompatibility(pattern) {
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const next = pattern[i + 1];
+    if (ch === '\\') {
+      if (next !== undefined && !/[wWsSbB1-9]/.test(next) && (/[A-Za-z0-9]/.test(next) || '<>`\''.includes(next))) {
+        return `\\${next} is not supported by grep -E`;
+      }
+      i++;
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + (next === '^' ? 3 : 2));
+      const body = close === -1 ? pattern.slice(i + 1) : pattern.slice(i + 1, close);
+      if (body.includes('\\')) return 'backslashes inside [...] are literal to grep -E';
+      if (/\[[:=.]/.test(body)) return 'POSIX classes such as [[:digit:]] are not read the same way in the log view';
+      if (close === -1) break;
+      i = close;
+    } else if (ch === '(' && next === '?') {
+      return '(?…) groups and lookarounds are not supported by grep -E';
+    } else if ('*+?}'.includes(ch) && next === '?') {
+      return 'lazy quantifiers are not supported by grep -E';
+    }
+  }
+  return null;
+}
+
+/**
+ * Split the output of a merged multi-container follow (see openLogFollow) back into
+ * per-container lines. Each remote line is "<index>|<text>"; partial lines are held
+ * until the rest arrives. onLines(index, text) receives complete lines, newline-terminated.
+ */
+function createLogLineDemuxer(onLines) {
+  let pending = '';
+  const flush = (lines) => {
+    let index = null;
+    let batch = '';
+    for (const line of lines) {
+      const sep = line.indexOf('|');
+      const lineIndex = sep > 0 ? parseInt(line.slice(0, sep), 10) : NaN;
+      if (Number.isNaN(lineIndex)) continue;
+      if (index !== null && lineIndex !== index) {
+        onLines(index, batch);
+        batch = '';
+      }
+      index = lineIndex;
+      batch += `${line.slice(sep + 1)}\n`;
+    }
+    if (index !== null) onLines(index, batch);
+  };
+  return {
+    write(chunk) {
+      const parts = (pending + chunk).split(/\r?\n/);
+      pending = parts.pop();
+      flush(parts);
+    },
+    end() {
+      if (pending) flush([pending]);
+      pending = '';
+    },
+  };
+}
+
+const STATS_SIZE_UNITS = {
+  b: 1,
+  kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+  kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4,
+};
+
+/** "10.5MiB" / "1.2kB" / "0B" from docker stats to bytes (docker uses SI for I/O, base-2 for memory). */
+function parseStatsSize(value) {
+  const m = String(value || '').trim().match(/^([\d.]+)\s*([a-zA-Z]+)$/);
+  if (!m) return null;
+  const factor = STATS_SIZE_UNITS[m[2].toLowerCase()];
+  const num = parseFloat(m[1]);
+  return factor && Number.isFinite(num) ? Math.round(num * factor) : null;
+}
+
+/**
+ * One line of `docker stats --no-stream --format '{{json .}}'` to numbers.
+ * Network and block I/O are cumulative since container start. Returns null for unparseable lines.
+ */
+function parseDockerStatsLine(line) {
+  let raw;
+  try {
+    raw = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  if (!raw || !raw.ID || !raw.Name) return null;
+  const pair = (v) => String(v || '').split('/').map(parseStatsSize);
+  const [memBytes, memLimitBytes] = pair(raw.MemUsage);
+  const [netRxBytes, netTxBytes] = pair(raw.NetIO);
+  const [blockReadBytes, blockWriteBytes] = pair(raw.BlockIO);
+  const cpu = parseFloat(String(raw.CPUPerc || '').replace('%', ''));
+  const pids = parseInt(raw.PIDs, 10);
+  return {
+    containerId: raw.ID,
+    name: String(raw.Name).replace(/^\//, ''),
+    cpuPercent: Number.isFinite(cpu) ? cpu : null,
+    memBytes: memBytes ?? null,
+    memLimitBytes: memLimitBytes ?? null,
+    netRxBytes: netRxBytes ?? null,
+    netTxBytes: netTxBytes ?? null,
+    blockReadBytes: blockReadBytes ?? null,
+    blockWriteBytes: blockWriteBytes ?? null,
+    pids: Number.isFinite(pids) ? pids : null,
+  };
+}
+
+const HEALTH_GATE_DEFAULT_TIMEOUT_S = 60;
+const HEALTH_GATE_MAX_TIMEOUT_S = 600;
+const HEALTH_GATE_POLL_MS = 3000;
+// Without a HEALTHCHECK or probe, the new container must stay running this long
+const HEALTH_GATE_STABLE_S = 10;
+const PROBE_TYPES = ['http', 'tcp'];
+
+/**
+ * Safe-update settings from a request body or update policy: `true` for the defaults, or
+ * { timeoutSeconds?, probe?: { type: 'http'|'tcp', port, path? } }. Returns null when off.
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeHealthGate(input) {
+  if (!input) return null;
+  const gate = input === true ? {} : input;
+  if (typeof gate !== 'object' || Array.isArray(gate)) throwInvalid('safeUpdate must be true or an object');
+  const timeoutSeconds = gate.timeoutSeconds == null || gate.timeoutSeconds === '' ? HEALTH_GATE_DEFAULT_TIMEOUT_S : Number(gate.timeoutSeconds);
+  if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 10 || timeoutSeconds > HEALTH_GATE_MAX_TIMEOUT_S) {
+    throwInvalid(`timeoutSeconds must be a whole number from 10 to ${HEALTH_GATE_MAX_TIMEOUT_S}`);
+  }
+  let probe = null;
+  if (gate.probe && gate.probe.type) {
+    const type = String(gate.probe.type);
+    if (!PROBE_TYPES.includes(type)) throwInvalid(`probe type must be one of: ${PROBE_TYPES.join(', ')}`);
+    const port = Number(gate.probe.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throwInvalid('probe port must be 1-65535');
+    probe = { type, port };
+    if (type === 'http') {
+      const probePath = String(gate.probe.path || '/').trim();
+      if (!probePath.startsWith('/') || probePath.length > 255 || /[\s\x00-\x1f]/.test(probePath)) throwInvalid('probe path must start with / and contain no spaces');
+      probe.path = probePath;
+    }
+  }
+  return { timeoutSeconds, probe };
+}
+
+/**
+ * Host command that exits 0 when the probe reaches the container at `ip` (its address on a
+ * Docker network, or 127.0.0.1 for host networking). HTTP needs a 2xx/3xx answer.
+ */
+function buildProbeCommand(probe, ip) {
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) throwInvalid('Invalid probe address');
+  if (probe.type === 'tcp') return `timeout 5 bash -c ${escapeSingleQuoted(`exec 3<>/dev/tcp/${ip}/${probe.port}`)}`;
+  return `curl -s -o /dev/null --max-time 5 -w '%{http_code}' ${escapeSingleQuoted(`http://${ip}:${probe.port}${probe.path}`)} | grep -q '^[23]'`;
+}
+
 class DockerService {
   getContainerShmLabelBytes(details) {
     const raw = details?.Config?.Labels?.['dockerfleet.shmSize'] ?? details?.Config?.Labels?.['dockerfleet.shm_size'];
@@ -335,7 +501,9 @@ class DockerService {
             const skipByLabel = !!(labels['com.dockerfleet.skip-update'] || labels['com.dockerfleet.dev']);
             const skipByName = matchesSkipUpdateNamePattern(name);
             const skipUpdate = skipByLabel || skipByName;
-            detailsMap[shortId] = { RestartPolicy: policy, Mounts: mounts, Networks: networks, SkipUpdate: skipUpdate };
+            detailsMap[shortId] = {
+              RestartPolicy: policy, Mounts: mounts, Networks: networks, SkipUpdate: skipUpdate, ComposeProject: labels['com.docker.compose.project'] || undefined,
+            };
           }
 
           containers.forEach(container => {
@@ -346,6 +514,7 @@ class DockerService {
               container.Mounts = details.Mounts;
               container.Networks = details.Networks;
               container.SkipUpdate = details.SkipUpdate;
+              container.ComposeProject = details.ComposeProject;
             }
           });
         } else {
@@ -454,15 +623,19 @@ class DockerService {
           }
         } catch (e) { /* ignore */ }
       }
+      // Private registries: the owner's stored login for the image's registry, if any
+      const credential = parsed.digestPinned ? null : await registryCredentialService.findForRegistry(server.userId, parsed.registry);
       const [result, tagsResult] = await Promise.all([
-        registryService.checkUpdateAvailable({ localDigests, imageRef }),
+        registryService.checkUpdateAvailable({ localDigests, imageRef, credential }),
         !parsed.digestPinned && parsed.registry && parsed.path
-          ? registryService.listTags(parsed.registry, parsed.path)
+          ? registryService.listTags(parsed.registry, parsed.path, null, { credential })
           : Promise.resolve(null),
       ]);
       const short = (d) => (d && d.replace(/^sha256:/i, '').substring(0, 12)) || '';
       const out = {
         updateAvailable: result.updateAvailable,
+        // The registry has a different image for the current tag (a pull would change something)
+        updateAvailableByDigest: !!result.updateAvailable,
         imageRef,
         currentTag: parsed.tag || undefined,
         track: (parsed.tag && /^dev($|[-_])/.test(parsed.tag)) ? 'dev' : 'release',
@@ -551,6 +724,93 @@ class DockerService {
     }
   }
 
+  /**
+   * Wait for a freshly started container to prove itself during a safe update: its Docker
+   * HEALTHCHECK reports healthy and the optional probe answers, within gate.timeoutSeconds.
+   * With neither it must keep running for HEALTH_GATE_STABLE_S seconds without restarting.
+   * Exiting, restarting or turning unhealthy fails at once.
+   * @returns {Promise<{ healthy: boolean, detail: string }>}
+   */
+  async waitForHealthy(server, containerId, gate) {
+    const started = Date.now();
+    const deadline = started + gate.timeoutSeconds * 1000;
+    const inspectCmd = `docker inspect -f '{{.State.Status}}|{{if .State.Health}}{{.State.Health.Status}}{{end}}|{{.RestartCount}}|{{.HostConfig.NetworkMode}}|{{range .NetworkSettings.Networks}}{{.IPAddress}} {{end}}' ${escapeSingleQuoted(containerId)}`;
+    let initialRestarts = null;
+    let reason = 'not checked yet';
+    for (;;) {
+      const r = await sshService.executeCommand(server, inspectCmd, { allowFailure: true, timeout: 10000 });
+      const [status, health, restarts, networkMode, ips] = (r.stdout || '').trim().split('|');
+      if (r.code !== 0 || !status) return { healthy: false, detail: 'Container not found' };
+      if (status !== 'running') return { healthy: false, detail: `Container is ${status}` };
+      if (initialRestarts == null) initialRestarts = restarts;
+      if (restarts !== initialRestarts) return { healthy: false, detail: 'Container restarted' };
+      if (health === 'unhealthy') return { healthy: false, detail: 'HEALTHCHECK reported unhealthy' };
+
+      const elapsed = Math.round((Date.now() - started) / 1000);
+      const checks = [];
+      let ok = true;
+      if (health) {
+        checks.push('HEALTHCHECK healthy');
+        if (health !== 'healthy') {
+          ok = false;
+          reason = `HEALTHCHECK ${health}`;
+        }
+      }
+      if (ok && gate.probe) {
+        const probeLabel = `${gate.probe.type.toUpperCase()} probe on :${gate.probe.port}${gate.probe.path || ''}`;
+        checks.push(`${probeLabel} answered`);
+        const ip = networkMode === 'host' ? '127.0.0.1' : (ips || '').trim().split(/\s+/).find(Boolean);
+        if (!ip) {
+          ok = false;
+          reason = 'Container has no address to probe';
+        } else {
+          const probeResult = await sshService.executeCommand(server, buildProbeCommand(gate.probe, ip), { allowFailure: true, timeout: 15000 });
+          if (probeResult.code !== 0) {
+            ok = false;
+            reason = `${probeLabel} got no answer`;
+          }
+        }
+      }
+      if (ok && !checks.length) {
+        checks.push(`running for ${HEALTH_GATE_STABLE_S}s`);
+        if (elapsed < HEALTH_GATE_STABLE_S) {
+          ok = false;
+          reason = `running for ${elapsed}s`;
+        }
+      }
+      if (ok) return { healthy: true, detail: `${checks.join(', ')} after ${elapsed}s` };
+      if (Date.now() >= deadline) return { healthy: false, detail: `Timed out after ${gate.timeoutSeconds}s: ${reason}` };
+      await new Promise((resolve) => setTimeout(resolve, HEALTH_GATE_POLL_MS));
+    }
+  }
+
+  /** Point the image tag back at the image the container ran before the update. */
+  async restorePreviousImageTag(server, previousImageId, imageRef, addStep) {
+    if (!/^sha256:[a-f0-9]{64}$/.test(previousImageId || '')) {
+      addStep('Restore previous image', false, 'Previous image ID unknown');
+      return false;
+    }
+    const r = await sshService.executeCommand(server, `docker tag ${previousImageId} ${escapeSingleQuoted(imageRef)}`, { allowFailure: true, timeout: 15000 });
+    addStep('Restore previous image', r.code === 0, r.code === 0 ? `${imageRef} → ${previousImageId.slice(7, 19)}` : ((r.stderr || r.stdout || '').trim() || 'docker tag failed'));
+    return r.code === 0;
+  }
+
+  /**
+   * Undo a safe API recreate: remove the new container, give the kept previous container its
+   * name back, start it and retag the previous image.
+   * @returns {Promise<boolean>} whether the previous container is running again
+   */
+  async rollbackRecreate(server, { newContainerId, previousContainerId, name, imageRef, previousImageId }, addStep) {
+    const rmResult = await sshService.executeCommand(server, `docker rm -f ${escapeSingleQuoted(newContainerId)}`, { allowFailure: true, timeout: 30000 });
+    addStep('Remove new container', rmResult.code === 0, rmResult.code === 0 ? newContainerId.substring(0, 12) : ((rmResult.stderr || rmResult.stdout || '').trim() || 'Failed'));
+    const renameResult = await sshService.executeCommand(server, `docker rename ${escapeSingleQuoted(previousContainerId)} ${escapeSingleQuoted(name)}`, { allowFailure: true });
+    addStep('Restore previous container', renameResult.code === 0, renameResult.code === 0 ? `"${name}"` : ((renameResult.stderr || renameResult.stdout || '').trim() || 'Rename failed'));
+    const startResult = await this.startContainer(server, previousContainerId);
+    addStep('Start previous container', startResult.success, startResult.success ? 'Running' : (startResult.message || 'Start failed'));
+    await this.restorePreviousImageTag(server, previousImageId, imageRef, addStep);
+    return startResult.success;
+  }
+
   /**
    * Update a compose-managed service the way a manual redeploy would:
    * `docker compose pull <service> && docker compose up -d <service>`.
@@ -558,6 +818,9 @@ class DockerService {
    * raw API recreate cannot (losing the service alias breaks apps that connect
    * to e.g. "db"). Returns null when the compose project files are not present
    * on the host, so the caller can fall back to the API recreate path.
+   * With meta.healthGate the recreated container must pass waitForHealthy; compose does not
+   * keep the old container, so a rollback retags the previous image (meta.previousImageId)
+   * and runs `up -d` again, which recreates the service from it.
    */
   async updateViaCompose(server, ctx, addStep, meta = {}) {
     const checkCmd = [`test -d ${escapeSingleQuoted(ctx.workingDir)}`]
@@ -574,6 +837,7 @@ class DockerService {
     const prefix = `cd ${escapeSingleQuoted(ctx.workingDir)} && export DOCKER_API_VERSION=1.41 && `;
     const svc = escapeSingleQuoted(ctx.service);
 
+    if (meta.imageRef) await registryCredentialService.loginForImage(server, meta.imageRef);
     const pullResult = await sshService.executeCommand(server, `${prefix}${base} pull ${svc}`, { allowFailure: true, timeout: 600000 });
     addStep('Pull image (compose)', pullResult.code === 0, pullResult.code === 0 ? (meta.imageRef || ctx.service) : ((pullResult.stderr || pullResult.stdout || '').trim() || 'Pull failed'));
     if (pullResult.code !== 0) {
@@ -603,6 +867,29 @@ class DockerService {
       }
     } catch (e) { /* reporting only */ }
 
+    if (meta.healthGate) {
+      const health = newContainerId
+        ? await this.waitForHealthy(server, newContainerId, meta.healthGate)
+        : { healthy: false, detail: 'Recreated container not found' };
+      addStep('Health check', health.healthy, health.detail);
+      if (!health.healthy) {
+        let restored = false;
+        if (await this.restorePreviousImageTag(server, meta.previousImageId, meta.imageRef, addStep)) {
+          const againResult = await sshService.executeCommand(server, `${prefix}${base} up -d ${svc}`, { allowFailure: true, timeout: 600000 });
+          restored = againResult.code === 0;
+          addStep('Recreate previous version (compose)', restored, restored ? 'Running' : ((againResult.stderr || againResult.stdout || '').trim() || 'up failed'));
+        }
+        return {
+          success: false,
+          rolledBack: restored,
+          error: restored
+            ? `New container failed its health check (${health.detail}); the service was rolled back to the previous image`
+            : `New container failed its health check (${health.detail}) and the rollback did not complete; check the service on the host`,
+          containerName: meta.name,
+        };
+      }
+    }
+
     return {
       success: true,
       message: `Updated via docker compose. Service "${ctx.service}" in project "${ctx.project}" is now running the latest image.`,
@@ -619,9 +906,13 @@ class DockerService {
    * Pull the container's image and recreate the container so it uses the new image (same name and settings).
    * Compose-managed containers are updated through docker compose when the project files
    * are available on the host; otherwise falls back to an API recreate.
-   * @returns {Promise<{ success: boolean, message?: string, error?: string, containerName?, previousImageRef?, newImageRef?, previousVersion?, newVersion? }>}
+   * options.healthGate (see normalizeHealthGate) turns on a safe update: the old container is
+   * stopped and renamed instead of removed, and is only removed once the new one passes
+   * waitForHealthy; otherwise the old container and image are restored (rolledBack: true).
+   * @returns {Promise<{ success: boolean, message?: string, error?: string, rolledBack?: boolean, containerName?, previousImageRef?, newImageRef?, previousVersion?, newVersion? }>}
    */
   async pullAndRecreateContainer(server, containerId, options = {}) {
+    const gate = options.healthGate || null;
     const steps = [];
     const addStep = (name, success, detail = null) => {
       steps.push({ step: name, success: !!success, detail: detail || undefined });
@@ -648,7 +939,9 @@ class DockerService {
       // overrides runtime settings (shmSize), which needs the API recreate path.
       const composeCtx = options.shmSize == null ? getComposeContextFromInspect(details) : null;
       if (composeCtx) {
-        const composeResult = await this.updateViaCompose(server, composeCtx, addStep, { name, imageRef, previousVersion });
+        const composeResult = await this.updateViaCompose(server, composeCtx, addStep, {
+          name, imageRef, previousVersion, previousImageId: details.Image, healthGate: gate,
+        });
         if (composeResult) return { ...composeResult, steps };
         addStep('Compose config check', true, 'Compose file not found on host, using direct recreate');
       }
@@ -748,17 +1041,44 @@ class DockerService {
         await sshService.executeCommand(server, `docker rm -f '${newContainerId}'`, { allowFailure: true });
         return { success: false, error: 'Failed to stop existing container; new container was removed', steps };
       }
-      const rmResult = await sshService.executeCommand(server, `docker rm ${containerId}`, { allowFailure: true });
-      addStep('Remove old container', rmResult.code === 0, rmResult.code === 0 ? 'Removed' : (rmResult.stderr || rmResult.stdout || 'Failed'));
-      if (rmResult.code !== 0) {
-        await sshService.executeCommand(server, `docker rm -f '${newContainerId}'`, { allowFailure: true });
-        return { success: false, error: 'Failed to remove existing container; new container was removed', steps };
+      // Safe update: keep the old container, stopped and renamed, until the new one is healthy
+      const previousName = `${name}-previous-${Date.now()}`;
+      const rollback = async (reason) => {
+        const restored = await this.rollbackRecreate(server, {
+          newContainerId, previousContainerId: containerId, name, imageRef, previousImageId: details.Image,
+        }, addStep);
+        return {
+          success: false,
+          rolledBack: restored,
+          error: restored
+            ? `${reason}; the previous container was restored`
+            : `${reason}, and restoring the previous container failed; it is kept as "${previousName}"`,
+          containerName: name,
+          steps,
+        };
+      };
+      if (gate) {
+        const keepResult = await sshService.executeCommand(server, `docker rename ${escapeSingleQuoted(containerId)} ${escapeSingleQuoted(previousName)}`, { allowFailure: true });
+        addStep('Keep old container', keepResult.code === 0, keepResult.code === 0 ? `Stopped as "${previousName}"` : ((keepResult.stderr || keepResult.stdout || '').trim() || 'Rename failed'));
+        if (keepResult.code !== 0) {
+          await sshService.executeCommand(server, `docker rm -f '${newContainerId}'`, { allowFailure: true });
+          await this.startContainer(server, containerId);
+          return { success: false, error: 'Failed to rename existing container; new container was removed', steps };
+        }
+      } else {
+        const rmResult = await sshService.executeCommand(server, `docker rm ${containerId}`, { allowFailure: true });
+        addStep('Remove old container', rmResult.code === 0, rmResult.code === 0 ? 'Removed' : (rmResult.stderr || rmResult.stdout || 'Failed'));
+        if (rmResult.code !== 0) {
+          await sshService.executeCommand(server, `docker rm -f '${newContainerId}'`, { allowFailure: true });
+          return { success: false, error: 'Failed to remove existing container; new container was removed', steps };
+        }
       }
 
       const renameTarget = (name || '').replace(/'/g, "'\\''");
       const renameResult = await sshService.executeCommand(server, `docker rename '${newContainerId}' '${renameTarget}'`, { allowFailure: true });
       addStep('Rename new container', renameResult.code === 0, renameResult.code === 0 ? `"${name}"` : ((renameResult.stderr || renameResult.stdout || '').trim() || 'Failed'));
       if (renameResult.code !== 0) {
+        if (gate) return rollback('Failed to rename new container');
         const errDetail = (renameResult.stderr || renameResult.stdout || '').trim();
         return { success: false, error: errDetail ? `Failed to rename new container: ${errDetail}. You may have a container with ID ${newContainerId.substring(0, 12)} that you can rename or remove manually.` : 'Failed to rename new container', steps };
       }
@@ -781,8 +1101,16 @@ class DockerService {
       }
       addStep('Start new container', startResult.success, startResult.success ? 'Running' : (startResult.message || 'Start failed'));
       if (!startResult.success) {
+        if (gate) return rollback(`New container failed to start (${startResult.message || 'unknown error'})`);
         return { success: false, error: 'Container recreated but start failed: ' + (startResult.message || ''), newContainerId, steps };
       }
+      if (gate) {
+        const health = await this.waitForHealthy(server, newContainerId, gate);
+        addStep('Health check', health.healthy, health.detail);
+        if (!health.healthy) return rollback(`New container failed its health check (${health.detail})`);
+        const rmPrevious = await sshService.executeCommand(server, `docker rm ${escapeSingleQuoted(containerId)}`, { allowFailure: true });
+        addStep('Remove old container', rmPrevious.code === 0, rmPrevious.code === 0 ? 'Removed' : `${(rmPrevious.stderr || rmPrevious.stdout || '').trim() || 'Failed'}; remove "${previousName}" manually`);
+      }
       let newVersion = null;
       try {
         const newDetails = await this.getContainerDetails(server, newContainerId);
@@ -1018,7 +1346,7 @@ class DockerService {
     let command = `docker logs ${safeId}`;
     
     if (tail) command += ` --tail ${tail}`;
-    if (since) command += ` --since ${since}`;
+    if (since) command += ` --since ${validateLogTime(since)}`;
     if (follow) command += ' --follow';
 
     if (follow) {
@@ -1038,6 +1366,58 @@ class DockerService {
     }
   }
 
+  /**
+   * Search a container's logs on the host: `docker logs --timestamps` over an optional time range,
+   * filtered with grep (fixed string, or extended regex when options.regex), newest maxLines kept.
+   * @returns {Promise<{ matches: Array<{ timestamp: string|null, line: string }>, truncated: boolean }>}
+   */
+  async searchContainerLogs(server, containerId, options = {}) {
+    const safeId = validateContainerId(containerId);
+    const { since, until, query = '', regex = false, caseSensitive = false } = options;
+    const maxLines = Math.min(MAX_LOG_SEARCH_LINES, Math.max(1, parseInt(options.maxLines, 10) || 500));
+    if (typeof query !== 'string' || query.length > 500) {
+      const err = new Error('Search query must be at most 500 characters');
+      err.code = 'INVALID_INPUT';
+      throw err;
+    }
+    if (regex && query) {
+      try {
+        new RegExp(query);
+      } catch (e) {
+        const err = new Error(`Invalid regular expression: ${e.message}`);
+        err.code = 'INVALID_INPUT';
+        throw err;
+      }
+      const problem = grepIncompatibility(query);
+      if (problem) throwInvalid(`Invalid regular expression: ${problem}`);
+    }
+
+    // pipefail so a failing docker logs or grep is not hidden behind tail's exit status
+    let command = `set -o pipefail; docker logs --timestamps`;
+    if (since) command += ` --since ${validateLogTime(since)}`;
+    if (until) command += ` --until ${validateLogTime(until)}`;
+    command += ` ${safeId} 2>&1`;
+    if (query) {
+      // grep exits 1 when nothing matches; only 2 (a bad pattern, say) is a failure
+      command += ` | { grep -a ${regex ? '-E' : '-F'}${caseSensitive ? '' : ' -i'} -e ${escapeSingleQuoted(query)} || [ $? -eq 1 ]; }`;
+    }
+    // One extra line tells us whether older matches were cut off
+    command += ` | tail -n ${maxLines + 1}`;
+
+    const result = await sshService.executeCommand(server, command, { timeout: 120000, allowFailure: true, pty: false });
+    if (result.code !== 0) {
+      // docker's own errors arrive on stdout, merged with the container's output
+      throw new Error((result.stderr || result.stdout || '').trim() || `Log search failed with exit code ${result.code}`);
+    }
+    const lines = (result.stdout || '').split('\n').filter((l) => l !== '');
+    const truncated = lines.length > maxLines;
+    const matches = (truncated ? lines.slice(lines.length - maxLines) : lines).map((raw) => {
+      const m = raw.match(/^(\d{4}-\d{2}-\d{2}T\S+)\s(.*)$/);
+      return m ? { timestamp: m[1], line: m[2] } : { timestamp: null, line: raw };
+    });
+    return { matches, truncated };
+  }
+
   async startContainer(server, containerId) {
     const safeId = validateContainerId(containerId);
     const command = `docker start ${safeId}`;
@@ -1120,7 +1500,7 @@ class DockerService {
       const isInteractive = interactiveCommands.some(cmd => commandLower.includes(cmd));
 
       if (isInteractive) {
-        finalCommand = `timeout 5s sh -c '${command.replace(/'/g, "'\\''")}' 2>&1 || echo "Interactive commands like '${command.split(' ')[0]}' are not supported. Use 'cat' to view files."`;
+        finalCommand = `timeout 5s sh -c '${command.replace(/'/g, "'\\''")}' 2>&1 || echo "Interactive commands like '${command.split(' ')[0]}' are not supported by one-shot execute. Use the interactive console (terminal:open) instead."`;
       }
     }
 
@@ -1141,6 +1521,54 @@ class DockerService {
     };
   }
 
+  /**
+   * Open an interactive `docker exec -it` session in the container over an SSH PTY channel.
+   * Unlike executeCommand this has no timeout, so editors, REPLs and top work.
+   * @returns {Promise<import('ssh2').ClientChannel>}
+   */
+  async openExecSession(server, containerId, options = {}) {
+    const safeContainerId = validateContainerId(containerId);
+    const shell = validateShell(options.shell || '/bin/sh');
+    const command = `docker exec -it -e TERM=xterm-256color ${safeContainerId} ${shell}`;
+    return sshService.openPty(server, command, { cols: options.cols, rows: options.rows });
+  }
+
+  /**
+   * Follow the logs of one or more containers over a single SSH PTY channel; closing the
+   * returned stream hangs up the PTY, which ends the remote `docker logs --follow` processes.
+   * With several containers each output line is prefixed "<index>|" (index into containerIds),
+   * to be split with createLogLineDemuxer.
+   * @returns {Promise<import('ssh2').ClientChannel>}
+   */
+  async openLogFollow(server, containerIds, options = {}) {
+    const ids = (Array.isArray(containerIds) ? containerIds : [containerIds]).map(validateContainerId);
+    if (ids.length === 0 || ids.length > MAX_FOLLOWED_CONTAINERS) {
+      const err = new Error(`Between 1 and ${MAX_FOLLOWED_CONTAINERS} containers can be followed at once`);
+      err.code = 'INVALID_INPUT';
+      throw err;
+    }
+    const requestedTail = parseInt(options.tail, 10);
+    const tail = Number.isNaN(requestedTail) ? 100 : Math.min(5000, Math.max(0, requestedTail));
+    const follow = (id) => `docker logs --tail ${tail} --follow ${id} 2>&1`;
+    const command = ids.length === 1
+      ? follow(ids[0])
+      : `${ids.map((id, i) => `${follow(id)} | sed 's/^/${i}|/' &`).join(' ')} wait`;
+    return sshService.openPty(server, command, { cols: 500, rows: 50 });
+  }
+
+  /**
+   * One stats sample for every running container on the server (single SSH command).
+   * @returns {Promise<Array<ReturnType<typeof parseDockerStatsLine>>>}
+   */
+  async getAllContainerStats(server) {
+    const result = await sshService.executeCommand(server, "docker stats --no-stream --format '{{json .}}'", { timeout: 60000 });
+    return result.stdout
+      .split('\n')
+      .filter((line) => line.trim())
+      .map(parseDockerStatsLine)
+      .filter(Boolean);
+  }
+
   async getContainerStats(server, containerId) {
     const safeContainerId = validateContainerId(containerId);
     try {
@@ -1535,6 +1963,7 @@ class DockerService {
 
   async pullImage(server, imageName) {
     const safeName = validateImageName(imageName);
+    await registryCredentialService.loginForImage(server, safeName);
     const command = `docker pull ${escapeSingleQuoted(safeName)}`;
     // Pull can take several minutes for large images; use 5 min timeout
     const result = await sshService.executeCommand(server, command, { allowFailure: true, timeout: 300000 });
@@ -1743,6 +2172,26 @@ class DockerService {
     }
     const bundlePath = `${bundleDir}/${this.snapshotVolumeBundleBaseName(fullImageName)}.tar.gz`;
 
+    return this.archiveContainerVolumes(server, safeId, bundlePath, { mounts: backupMounts, label: fullImageName });
+  }
+
+  /**
+   * Archive a container's bind and named volume mounts into a single bundle at bundlePath on the
+   * host: manifest.json plus data/<index>.tar.gz per mount (the layout restore expects).
+   * @param {object} [options]
+   * @param {object[]} [options.mounts] - Mounts to archive (default: every non-tmpfs mount)
+   * @param {string} [options.label] - Name used in log messages
+   * @returns {Promise<{ bundlePath: string, mountCount: number, archivedCount: number, manifest: object[] }>}
+   */
+  async archiveContainerVolumes(server, containerId, bundlePath, { mounts = null, label = containerId } = {}) {
+    let backupMounts = mounts;
+    if (!backupMounts) {
+      const details = await this.getContainerDetails(server, validateContainerId(containerId));
+      backupMounts = (Array.isArray(details.Mounts) ? details.Mounts : []).filter(
+        (m) => m && m.Source && m.Destination && m.Type !== 'tmpfs',
+      );
+    }
+
     const workDir = `/tmp/dockerfleet-volwk-${Date.now()}_${Math.random().toString(36).slice(2)}`;
     const workQ = escapeSingleQuoted(workDir);
     await sshService.executeCommand(server, `mkdir -p ${workQ}/data`, { pty: false, timeout: 30000 });
@@ -1806,7 +2255,7 @@ class DockerService {
         } else {
           entry.archived = false;
           entry.error = (tarResult.stderr || tarResult.stdout || '').trim().slice(0, 300) || 'archive failed';
-          logger.warn(`Volume archive failed for mount ${m.Destination} of ${fullImageName}: ${entry.error}`);
+          logger.warn(`Volume archive failed for mount ${m.Destination} of ${label}: ${entry.error}`);
         }
         manifest.push(entry);
       }
@@ -1821,7 +2270,7 @@ class DockerService {
       await sshService.executeCommand(server, `rm -rf ${workQ}`, { pty: false, allowFailure: true, timeout: 60000 });
     }
 
-    return { bundlePath, mountCount: backupMounts.length, archivedCount };
+    return { bundlePath, mountCount: backupMounts.length, archivedCount, manifest };
   }
 
   /**
@@ -1926,6 +2375,88 @@ class DockerService {
     return binds;
   }
 
+  /**
+   * Restore a volume bundle over a container's current mounts, matched by destination path. The
+   * container is stopped while its data is replaced and started again if it was running. Mounts
+   * that were not archived, single-file mounts and destinations the container no longer has are
+   * skipped and reported.
+   * @returns {Promise<{ restored: string[], skipped: { destination: string, reason: string }[] }>}
+   */
+  async restoreVolumesIntoContainer(server, containerId, bundleRemotePath) {
+    const safeId = validateContainerId(containerId);
+    const qBundle = escapeSingleQuoted(bundleRemotePath.trim());
+    const manRes = await sshService.executeCommand(server, `tar xzOf ${qBundle} manifest.json`, {
+      pty: false,
+      timeout: 120000,
+      allowFailure: true,
+    });
+    let manifest;
+    try {
+      manifest = JSON.parse((manRes.stdout || '').trim());
+    } catch (e) {
+      manifest = null;
+    }
+    if (manRes.code !== 0 || !Array.isArray(manifest)) {
+      throw new Error('Archive has no readable volume manifest');
+    }
+
+    const details = await this.getContainerDetails(server, safeId);
+    const mountsByDest = new Map(
+      (Array.isArray(details.Mounts) ? details.Mounts : [])
+        .filter((m) => m && m.Source && m.Destination && m.Type !== 'tmpfs')
+        .map((m) => [m.Destination, m]),
+    );
+    const wasRunning = !!details.State?.Running;
+
+    const restored = [];
+    const skipped = [];
+    const work = `/tmp/dockerfleet-rst-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const qw = escapeSingleQuoted(work);
+    await sshService.executeCommand(server, `mkdir -p ${qw} && tar xzf ${qBundle} -C ${qw}`, { pty: false, timeout: 600000 });
+    try {
+      await sshService.executeCommand(server, 'docker pull -q alpine:3.19 2>/dev/null || true', {
+        pty: false,
+        timeout: 120000,
+        allowFailure: true,
+      });
+      if (wasRunning) await sshService.executeCommand(server, `docker stop ${safeId}`, { pty: false, timeout: 120000 });
+
+      for (const m of manifest) {
+        if (!m || !m.destination) continue;
+        const target = mountsByDest.get(m.destination);
+        let reason = null;
+        if (m.archived === false) reason = `not archived (${m.error || 'unknown reason'})`;
+        else if (m.isFile) reason = 'single-file mount; restore it manually from the archive';
+        else if (!target) reason = 'container no longer mounts this path';
+        if (reason) {
+          skipped.push({ destination: m.destination, reason });
+          continue;
+        }
+        let src;
+        try {
+          src = validateMountSourcePath(target.Source);
+        } catch (e) {
+          skipped.push({ destination: m.destination, reason: 'invalid source path' });
+          continue;
+        }
+        const qa = escapeSingleQuoted(`${work}/data/${m.index}.tar.gz`);
+        const extractCmd = `docker run --rm -v ${escapeSingleQuoted(src)}:/to -v ${qa}:/in.tgz:ro alpine:3.19 sh -c 'find /to -mindepth 1 -delete && tar xzf /in.tgz -C /to'`;
+        const res = await sshService.executeCommand(server, extractCmd, { pty: false, timeout: 600000, allowFailure: true });
+        if (res.code === 0) {
+          restored.push(m.destination);
+        } else {
+          skipped.push({ destination: m.destination, reason: (res.stderr || res.stdout || '').trim().slice(0, 300) || 'extract failed' });
+        }
+      }
+    } finally {
+      await sshService.executeCommand(server, `rm -rf ${qw}`, { pty: false, allowFailure: true });
+      if (wasRunning) {
+        await sshService.executeCommand(server, `docker start ${safeId}`, { pty: false, timeout: 120000, allowFailure: true });
+      }
+    }
+    return { restored, skipped };
+  }
+
   /**
    * Load an image from a tar buffer on a server (e.g. after copying from another host).
    * @param {object} server - Server model
@@ -2377,3 +2908,8 @@ module.exports = new DockerService();
 // Exposed for unit tests
 module.exports.getComposeContextFromInspect = getComposeContextFromInspect;
 module.exports.buildNetworkingForRecreate = buildNetworkingForRecreate;
+module.exports.createLogLineDemuxer = createLogLineDemuxer;
+module.exports.MAX_FOLLOWED_CONTAINERS = MAX_FOLLOWED_CONTAINERS;
+module.exports.parseDockerStatsLine = parseDockerStatsLine;
+module.exports.normalizeHealthGate = normalizeHealthGate;
+module.exports.buildProbeCommand = buildProbeCommand;
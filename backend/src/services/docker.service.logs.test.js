@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const dockerService = require('./docker.service');
+
+const server = { id: 's1', host: 'h' };
+
+test('openLogFollow follows a single container without tagging', async (t) => {
+  let command;
+  t.mock.method(sshService, 'openPty', async (srv, cmd) => { command = cmd; return {}; });
+  await dockerService.openLogFollow(server, ['abc123'], { tail: 50 });
+  assert.strictEqual(command, 'docker logs --tail 50 --follow abc123 2>&1');
+});
+
+test('openLogFollow merges several containers into one tagged channel', async (t) => {
+  let command;
+  t.mock.method(sshService, 'openPty', async (srv, cmd) => { command = cmd; return {}; });
+  await dockerService.openLogFollow(server, ['aaa', 'bbb']);
+  assert.strictEqual(
+    command,
+    "docker logs --tail 100 --follow aaa 2>&1 | sed 's/^/0|/' & docker logs --tail 100 --follow bbb 2>&1 | sed 's/^/1|/' & wait"
+  );
+});
+
+test('openLogFollow rejects unsafe ids and too many containers', async (t) => {
+  t.mock.method(sshService, 'openPty', async () => ({}));
+  await assert.rejects(() => dockerService.openLogFollow(server, ['abc; id']), (err) => err.code === 'INVALID_INPUT');
+  await assert.rejects(() => dockerService.openLogFollow(server, []), (err) => err.code === 'INVALID_INPUT');
+  const many = Array.from({ length: dockerService.MAX_FOLLOWED_CONTAINERS + 1 }, (_, i) => `a${i}`);
+  await assert.rejects(() => dockerService.openLogFollow(server, many), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('createLogLineDemuxer splits tagged output per container across chunk boundaries', () => {
+  const out = [];
+  const demuxer = dockerService.createLogLineDemuxer((index, data) => out.push([index, data]));
+  demuxer.write('0|one\r\n0|two\r\n1|thr');
+  demuxer.write('ee\r\n0|a|b\r\n');
+  demuxer.write('1|tail');
+  demuxer.end();
+  assert.deepStrictEqual(out, [
+    [0, 'one\ntwo\n'],
+    [1, 'three\n'],
+    [0, 'a|b\n'],
+    [1, 'tail\n'],
+  ]);
+});
+
+test('searchContainerLogs builds a time-ranged, filtered docker logs command', async (t) => {
+  let command;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    command = cmd;
+    return { stdout: '2024-06-21T10:00:00.000000001Z GET /health 500\n', stderr: '', code: 0 };
+  });
+  const result = await dockerService.searchContainerLogs(server, 'abc123', {
+    since: '2024-06-21T09:00:00Z', until: '30m', query: "it's 5[0-9]\\w", regex: true, maxLines: 10,
+  });
+  assert.strictEqual(
+    command,
+    "set -o pipefail; docker logs --timestamps --since 2024-06-21T09:00:00Z --until 30m abc123 2>&1 | { grep -a -E -i -e 'it'\\''s 5[0-9]\\w' || [ $? -eq 1 ]; } | tail -n 11"
+  );
+  assert.deepStrictEqual(result, {
+    matches: [{ timestamp: '2024-06-21T10:00:00.000000001Z', line: 'GET /health 500' }],
+    truncated: false,
+  });
+});
+
+test('searchContainerLogs reports truncation and keeps the newest lines', async (t) => {
+  let command;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    command = cmd;
+    return { stdout: '2024-01-01T00:00:01Z a\n2024-01-01T00:00:02Z b\n2024-01-01T00:00:03Z c\n', stderr: '', code: 0 };
+  });
+  const result = await dockerService.searchContainerLogs(server, 'abc123', { query: 'x', caseSensitive: true, maxLines: 2 });
+  assert.match(command, /grep -a -F -e 'x' \|\| \[ \$\? -eq 1 \]; \} \| tail -n 3$/);
+  assert.strictEqual(result.truncated, true);
+  assert.deepStrictEqual(result.matches.map((m) => m.line), ['b', 'c']);
+});
+
+test('searchContainerLogs rejects unsafe times and invalid regexes', async (t) => {
+  t.mock.method(sshService, 'executeCommand', async () => ({ stdout: '', stderr: '', code: 0 }));
+  await assert.rejects(() => dockerService.searchContainerLogs(server, 'abc123', { since: '1h; id' }), (err) => err.code === 'INVALID_INPUT');
+  await assert.rejects(() => dockerService.searchContainerLogs(server, 'abc123', { query: '(', regex: true }), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('searchContainerLogs rejects regex syntax grep -E reads differently from JS', async (t) => {
+  t.mock.method(sshService, 'executeCommand', async () => ({ stdout: '', stderr: '', code: 0 }));
+  for (const query of ['error \\d+', '(?=err)', '(?:a|b)', 'a+?', '\\<word\\>', '[\\d]', '[[:digit:]]']) {
+    await assert.rejects(() => dockerService.searchContainerLogs(server, 'abc123', { query, regex: true }), (err) => err.code === 'INVALID_INPUT', query);
+  }
+  for (const query of ['error [0-9]+', '\\bGET\\b \\S+', '(a|b)\\1', '[^]x]', 'a\\.b\\?']) {
+    await dockerService.searchContainerLogs(server, 'abc123', { query, regex: true });
+  }
+  // Literal searches are passed through untouched
+  await dockerService.searchContainerLogs(server, 'abc123', { query: '\\d(?=' });
+});
+
+test('searchContainerLogs reports docker and grep failures instead of returning them as lines', async (t) => {
+  let options;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd, opts) => {
+    options = opts;
+    return { stdout: 'Error response from daemon: No such container: abc123\n', stderr: '', code: 1 };
+  });
+  await assert.rejects(() => dockerService.searchContainerLogs(server, 'abc123', {}), /No such container: abc123/);
+  assert.strictEqual(options.pty, false);
+  t.mock.method(sshService, 'executeCommand', async () => ({ stdout: '', stderr: 'grep: Unmatched [\n', code: 2 }));
+  await assert.rejects(() => dockerService.searchContainerLogs(server, 'abc123', { query: 'x' }), /grep: Unmatched \[/);
+});
@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const config = require('../config/config');
 const logger = require('../config/logger');
+const { METRIC_LABELS } = require('../utils/resourceAlerts');
 
 class EmailService {
   constructor() {
@@ -377,6 +378,144 @@ Time: ${new Date().toLocaleString()}
     return await this.sendAlert(recipient, subject, html, text);
   }
 
+  /**
+   * Outcome of the updates auto-update policies applied in one run.
+   * @param {Array<{ containerName, serverName, imageRef, success, error?, previousVersion?, newVersion? }>} updates
+   */
+  async sendAutoUpdatesAlert(recipient, updates) {
+    if (!updates || updates.length === 0) return { success: false, error: 'No updates' };
+    const failed = updates.filter((u) => !u.success).length;
+    const subject = failed
+      ? `⚠️ DockerFleet: ${failed} of ${updates.length} automatic container update${updates.length !== 1 ? 's' : ''} failed`
+      : `✅ DockerFleet: ${updates.length} container${updates.length !== 1 ? 's' : ''} updated automatically`;
+    const outcome = (u) => (u.success
+      ? `updated${u.previousVersion || u.newVersion ? ` (${u.previousVersion || '?'} → ${u.newVersion || '?'})` : ''}`
+      : `failed: ${u.error || 'unknown error'}`);
+    const list = updates
+      .slice(0, 50)
+      .map((u) => `  • ${u.containerName} on ${u.serverName} (${u.imageRef || 'image'}): ${outcome(u)}`)
+      .join('\n');
+    const more = updates.length > 50 ? `\n... and ${updates.length - 50} more.` : '';
+    const text = `
+Automatic image updates
+
+Update policies applied ${updates.length} update${updates.length !== 1 ? 's' : ''}${failed ? `, ${failed} of which failed` : ''}.
+
+${list}${more}
+
+The Update policies page has the step log of each update.
+
+Time: ${new Date().toLocaleString()}
+    `.trim();
+
+    const rows = updates
+      .slice(0, 30)
+      .map((u) => `<tr><td>${escapeHtml(u.containerName)}</td><td>${escapeHtml(u.serverName)}</td><td>${escapeHtml(u.imageRef || '')}</td><td>${escapeHtml(outcome(u))}</td></tr>`)
+      .join('');
+    const moreRow = updates.length > 30 ? `<tr><td colspan="4"><em>... and ${updates.length - 30} more</em></td></tr>` : '';
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .alert { background-color: ${failed ? '#fff3e0' : '#efe'}; border-left: 4px solid ${failed ? '#ff9800' : '#0a0'}; padding: 15px; margin: 20px 0; }
+    table { border-collapse: collapse; width: 100%; margin: 10px 0; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+    th { background: #f5f5f5; }
+    .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2 style="color: ${failed ? '#e65100' : '#0a0'};">Automatic image updates</h2>
+    <div class="alert">
+      Update policies applied <strong>${updates.length} update${updates.length !== 1 ? 's' : ''}</strong>${failed ? `, ${failed} of which failed` : ''}.
+    </div>
+    <table>
+      <thead><tr><th>Container</th><th>Server</th><th>Image</th><th>Result</th></tr></thead>
+      <tbody>${rows}${moreRow}</tbody>
+    </table>
+    <div class="footer">
+      <p>Time: ${new Date().toLocaleString()}</p>
+      <p>DockerFleet Manager</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    return await this.sendAlert(recipient, subject, html, text);
+  }
+
+  /**
+   * Threshold alert or recovery notice for a host or container resource rule.
+   * @param {{ type: 'host'|'container', name: string, containerId?: string, metric: string, value: number, threshold: number, durationMs: number, recovered: boolean }} alert
+   */
+  async sendResourceAlert(recipient, server, alert) {
+    const serverName = server.name || server.host || 'Unknown Server';
+    const label = METRIC_LABELS[alert.metric] || alert.metric;
+    const what = alert.type === 'host' ? `host ${serverName}` : `container ${alert.name} on ${serverName}`;
+    const value = `${alert.value.toFixed(1)}%`;
+    const minutes = Math.round(alert.durationMs / 60000);
+
+    const subject = alert.recovered
+      ? `✅ Resolved: ${label} back to ${value} on ${alert.type === 'host' ? serverName : `${alert.name} (${serverName})`}`
+      : `⚠️ Resource Alert: ${label} at ${value} on ${alert.type === 'host' ? serverName : `${alert.name} (${serverName})`}`;
+    const summary = alert.recovered
+      ? `${label} of ${what} is back below the ${alert.threshold}% threshold (now ${value}).`
+      : `${label} of ${what} has been above the ${alert.threshold}% threshold${minutes > 0 ? ` for at least ${minutes} minute(s)` : ''} (now ${value}).`;
+
+    const text = `
+${alert.recovered ? 'Resource Recovery' : 'Resource Alert'}
+
+${summary}
+
+Server: ${serverName} (${server.host})
+${alert.type === 'container' ? `Container: ${alert.name}${alert.containerId ? ` (${alert.containerId.substring(0, 12)})` : ''}\n` : ''}Metric: ${label}
+Current value: ${value}
+Threshold: ${alert.threshold}%
+
+Time: ${new Date().toLocaleString()}
+    `.trim();
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .alert { background-color: ${alert.recovered ? '#efe' : '#fff3e0'}; border-left: 4px solid ${alert.recovered ? '#0a0' : '#ff9800'}; padding: 15px; margin: 20px 0; }
+    .info { background-color: #f0f0f0; padding: 15px; margin: 10px 0; border-radius: 5px; }
+    .label { font-weight: bold; color: #666; }
+    .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2 style="color: ${alert.recovered ? '#0a0' : '#e65100'};">${alert.recovered ? '✅ Resource Recovery' : '⚠️ Resource Alert'}</h2>
+    <div class="alert">${escapeHtml(summary)}</div>
+    <div class="info">
+      <div><span class="label">Server:</span> ${escapeHtml(serverName)} (${escapeHtml(server.host || '')})</div>
+      ${alert.type === 'container' ? `<div><span class="label">Container:</span> ${escapeHtml(alert.name)}</div>` : ''}
+      <div><span class="label">Metric:</span> ${escapeHtml(label)}</div>
+      <div><span class="label">Current value:</span> ${value}</div>
+      <div><span class="label">Threshold:</span> ${alert.threshold}%</div>
+    </div>
+    <div class="footer">
+      <p>Time: ${new Date().toLocaleString()}</p>
+      <p>DockerFleet Manager - Automated Alert System</p>
+    </div>
+  </div>
+</body>
+</html>
+    `.trim();
+
+    return await this.sendAlert(recipient, subject, html, text);
+  }
+
   async sendCertificateExpiryAlert(recipient, server, expiringCerts, { renewed, renewError }) {
     if (!expiringCerts || expiringCerts.length === 0) return { success: false, error: 'No expiring certs' };
     const serverName = server.name || server.host || 'Unknown Server';
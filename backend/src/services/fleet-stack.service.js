@@ -0,0 +1,259 @@
+/**
+ * Fleet stacks: one compose file and environment deployed to many servers. The targets are the
+ * listed servers plus every server carrying the fleet's tag. On each target the fleet is an
+ * ordinary stack (the "member", Stack.fleetStackId set) whose compose file and env are written by
+ * the fleet, so revisions, drift, services and logs work per server as for any other stack.
+ *
+ * Env rows with serverId null are the base values; rows with a serverId override (or add) keys
+ * on that server. A deploy goes through the targets one at a time, in server name order, and
+ * stops at the first server that fails: the remaining servers keep what they run and are
+ * reported as skipped. Each step is pushed to the owner's sockets:
+ *
+ *   fleet-stack:deploy:step { fleetStackId, serverId, serverName, stackId, status, error?, revision? }
+ */
+const { Op } = require('sequelize');
+const { FleetStackEnvVar, Server, Stack, StackEnvVar } = require('../models');
+const stackService = require('./stack.service');
+const stackRevisionService = require('./stack-revision.service');
+const { parseComposeServices } = require('./stack.builders');
+const { readValue } = require('../utils/stackEnv');
+const { validateStackDeployPath, STACK_DEPLOY_BASE } = require('../utils/shellSafe');
+const { emitToUser } = require('../config/socket');
+
+// fleetStackId of the rolling deploys in progress; a second deploy of the same fleet is refused
+const running = new Set();
+
+function conflict(message) {
+  const err = new Error(message);
+  err.code = 'CONFLICT';
+  return err;
+}
+
+// Last lines of a failed compose run, where the error is
+function failureSummary(result) {
+  const text = (result.stderr || result.stdout || '').trim();
+  return text ? text.split('\n').slice(-5).join('\n') : `docker compose exited with code ${result.code}`;
+}
+
+/**
+ * Servers the fleet deploys to, out of `servers` (the owner's), sorted by name.
+ * @param {{ serverIds?: string[], serverTag?: string|null }} fleet
+ */
+function resolveTargets(fleet, servers) {
+  const ids = new Set(fleet.serverIds || []);
+  const tag = fleet.serverTag || null;
+  return servers
+    .filter((s) => ids.has(s.id) || (tag && (s.tags || []).includes(tag)))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Env rows of one server: the base rows with that server's overrides applied. Values stay as
+ * stored (secrets encrypted), so they can be copied to the member stack as they are.
+ * @param {Array<{ serverId: string|null, key: string, value: string, isSecret: boolean }>} rows
+ */
+function envForServer(rows, serverId) {
+  const byKey = new Map();
+  for (const r of rows || []) {
+    if (r.serverId == null) byKey.set(r.key, r);
+  }
+  for (const r of rows || []) {
+    if (r.serverId === serverId) byKey.set(r.key, r);
+  }
+  return [...byKey.values()]
+    .map((r) => ({ key: r.key, value: r.value ?? '', isSecret: !!r.isSecret }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Secrets are compared decrypted: every encryption of the same value differs
+function sameEnv(storedRows, wantedRows) {
+  const plain = (rows) => JSON.stringify(
+    [...rows]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map((r) => [r.key, !!r.isSecret, readValue(r.value, r.isSecret)])
+  );
+  return plain(storedRows || []) === plain(wantedRows || []);
+}
+
+/** Whether a member stack already has the fleet's compose file and this server's env. */
+function isUpToDate(member, fleet, envRows) {
+  return !!member && member.composeYaml === fleet.composeYaml && sameEnv(member.envVars, envRows);
+}
+
+/**
+ * Run `step` for each target in order, stopping at the first failure. A step resolves to
+ * { status: 'deployed' | 'failed', ... } or throws (recorded as failed with the message).
+ * @returns {Promise<{ success: boolean, servers: Array<object> }>}
+ */
+async function runRolling(targets, step, onStep = () => {}) {
+  const servers = [];
+  let failed = false;
+  for (const server of targets) {
+    let outcome;
+    if (failed) {
+      outcome = { serverId: server.id, serverName: server.name, status: 'skipped' };
+    } else {
+      try {
+        outcome = { serverId: server.id, serverName: server.name, ...(await step(server)) };
+      } catch (err) {
+        outcome = { serverId: server.id, serverName: server.name, status: 'failed', error: err.message };
+      }
+      if (outcome.status !== 'deployed') failed = true;
+    }
+    servers.push(outcome);
+    onStep(outcome);
+  }
+  return { success: !failed, servers };
+}
+
+/**
+ * Create or update the member stack on `server` so it carries the fleet's compose file and the
+ * server's env, recording a revision when anything changed.
+ * @throws {Error} CONFLICT when the server has a stack of the same name that is not part of the fleet
+ */
+async function syncMember(fleet, server, envRows, { user } = {}) {
+  let member = await Stack.findOne({
+    where: { serverId: server.id, name: fleet.name },
+    include: [{ model: StackEnvVar, as: 'envVars' }],
+  });
+  if (member && member.fleetStackId !== fleet.id) {
+    throw conflict(`Server ${server.name} already has a stack named ${fleet.name} that is not part of this fleet stack`);
+  }
+  if (isUpToDate(member, fleet, envRows)) return member;
+
+  const kind = member ? 'save' : 'create';
+  if (member) {
+    member.composeYaml = fleet.composeYaml;
+    await member.save();
+  } else {
+    member = await Stack.create({
+      serverId: server.id,
+      name: fleet.name,
+      composeYaml: fleet.composeYaml,
+      deployPath: validateStackDeployPath(`${STACK_DEPLOY_BASE}/${fleet.name}`),
+      source: 'fleet',
+      fleetStackId: fleet.id,
+    });
+  }
+  await StackEnvVar.destroy({ where: { stackId: member.id } });
+  if (envRows.length) {
+    await StackEnvVar.bulkCreate(envRows.map((r) => ({ stackId: member.id, key: r.key, isSecret: r.isSecret, value: r.value })));
+  }
+  await stackRevisionService.recordRevision(member, { kind, user });
+  return member;
+}
+
+/**
+ * Member stacks on servers that are no longer targets become standalone stacks; they keep
+ * running as they are.
+ */
+async function detachStaleMembers(fleet, targetIds) {
+  const where = { fleetStackId: fleet.id };
+  if (targetIds.length) where.serverId = { [Op.notIn]: targetIds };
+  await Stack.update({ fleetStackId: null }, { where });
+}
+
+async function loadTargets(fleet) {
+  const servers = await Server.findAll({ where: { userId: fleet.userId } });
+  return resolveTargets(fleet, servers);
+}
+
+/**
+ * Rolling deploy of the fleet: for each target, bring the member stack in line with the fleet and
+ * deploy it (stack-revision deployAndRecord, which streams compose output per stack); stop at the
+ * first failure. The outcome is stored on the fleet.
+ * @param {object} fleet - FleetStack model
+ * @param {object} [options]
+ * @param {object} [options.user]
+ * @param {boolean} [options.pull]
+ * @returns {Promise<{ success: boolean, servers: Array<{ serverId, serverName, stackId?, status, error?, revision? }> }>}
+ * @throws {Error} CONFLICT when a deploy of this fleet is already running
+ */
+async function deployFleet(fleet, { user, pull } = {}) {
+  if (running.has(fleet.id)) throw conflict(`A deploy of ${fleet.name} is already running`);
+  running.add(fleet.id);
+  try {
+    const targets = await loadTargets(fleet);
+    await detachStaleMembers(fleet, targets.map((s) => s.id));
+    const envRows = await FleetStackEnvVar.findAll({ where: { fleetStackId: fleet.id } });
+
+    const outcome = await runRolling(targets, async (server) => {
+      const member = await syncMember(fleet, server, envForServer(envRows, server.id), { user });
+      member.server = server;
+      const { result, revision } = await stackRevisionService.deployAndRecord(member, { user, pull });
+      return {
+        stackId: member.id,
+        status: result.success ? 'deployed' : 'failed',
+        error: result.success ? undefined : failureSummary(result),
+        revision: revision.revision,
+      };
+    }, (step) => emitToUser(fleet.userId, 'fleet-stack:deploy:step', { fleetStackId: fleet.id, ...step }));
+
+    fleet.lastDeployedAt = new Date();
+    fleet.lastDeployStatus = outcome.success ? 'deployed' : 'error';
+    fleet.lastDeploy = outcome.servers;
+    await fleet.save();
+    return outcome;
+  } finally {
+    running.delete(fleet.id);
+  }
+}
+
+/**
+ * Per-server status of the fleet: whether the member stack is in line with the fleet, its last
+ * deploy, and the containers of every service, read live from each server (in parallel; an
+ * unreachable server gets an error instead of services).
+ * @returns {Promise<{ services: string[], servers: Array<object> }>} services = the fleet compose file's services
+ */
+async function fleetStatus(fleet) {
+  const targets = await loadTargets(fleet);
+  const envRows = await FleetStackEnvVar.findAll({ where: { fleetStackId: fleet.id } });
+  const members = await Stack.findAll({
+    where: { fleetStackId: fleet.id },
+    include: [{ model: StackEnvVar, as: 'envVars' }],
+  });
+  const memberOf = new Map(members.map((m) => [m.serverId, m]));
+
+  const servers = await Promise.all(targets.map(async (server) => {
+    const member = memberOf.get(server.id) || null;
+    const row = {
+      serverId: server.id,
+      serverName: server.name,
+      stackId: member?.id ?? null,
+      upToDate: isUpToDate(member, fleet, envForServer(envRows, server.id)),
+      lastDeployStatus: member?.lastDeployStatus ?? null,
+      lastDeployedAt: member?.lastDeployedAt ?? null,
+      driftStatus: member?.driftStatus ?? null,
+      services: null,
+      error: null,
+    };
+    if (!member) return row;
+    try {
+      const services = await stackService.listServices(server, member);
+      row.services = services.map((s) => ({
+        service: s.service,
+        declared: s.declared,
+        running: s.containers.filter((c) => c.state === 'running').length,
+        total: s.containers.length,
+        unhealthy: s.containers.filter((c) => c.health === 'unhealthy').length,
+      }));
+    } catch (err) {
+      row.error = err.message;
+    }
+    return row;
+  }));
+  const services = (parseComposeServices(fleet.composeYaml) || []).filter((s) => !s.inactive).map((s) => s.name);
+  return { services, servers };
+}
+
+module.exports = {
+  resolveTargets,
+  envForServer,
+  sameEnv,
+  isUpToDate,
+  runRolling,
+  syncMember,
+  detachStaleMembers,
+  deployFleet,
+  fleetStatus,
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTargets, envForServer, sameEnv, runRolling } = require('./fleet-stack.service');
+const { storeValue } = require('../utils/stackEnv');
+
+const servers = [
+  { id: 's3', name: 'gamma', tags: ['edge'] },
+  { id: 's1', name: 'alpha', tags: [] },
+  { id: 's2', name: 'beta', tags: ['edge', 'eu'] },
+  { id: 's4', name: 'delta', tags: ['eu'] },
+];
+
+test('resolveTargets combines listed servers and the tag, in name order', () => {
+  const names = (fleet) => resolveTargets(fleet, servers).map((s) => s.name);
+  assert.deepStrictEqual(names({ serverIds: ['s1'], serverTag: 'edge' }), ['alpha', 'beta', 'gamma']);
+  assert.deepStrictEqual(names({ serverIds: ['s4', 's2'], serverTag: null }), ['beta', 'delta']);
+  assert.deepStrictEqual(names({ serverIds: [], serverTag: 'missing' }), []);
+});
+
+test('envForServer applies the overrides of that server only', () => {
+  const rows = [
+    { serverId: null, key: 'LOG_LEVEL', value: 'info', isSecret: false },
+    { serverId: null, key: 'REGION', value: 'default', isSecret: false },
+    { serverId: 's1', key: 'REGION', value: 'eu-west', isSecret: false },
+    { serverId: 's1', key: 'EXTRA', value: '1', isSecret: false },
+    { serverId: 's2', key: 'LOG_LEVEL', value: 'debug', isSecret: false },
+  ];
+  assert.deepStrictEqual(envForServer(rows, 's1'), [
+    { key: 'EXTRA', value: '1', isSecret: false },
+    { key: 'LOG_LEVEL', value: 'info', isSecret: false },
+    { key: 'REGION', value: 'eu-west', isSecret: false },
+  ]);
+  assert.deepStrictEqual(envForServer(rows, 's9').map((r) => r.value), ['info', 'default']);
+});
+
+test('sameEnv compares secrets by their decrypted value', () => {
+  const stored = [{ key: 'TOKEN', value: storeValue('abc', true), isSecret: true }, { key: 'A', value: '1', isSecret: false }];
+  assert.strictEqual(sameEnv(stored, [{ key: 'A', value: '1', isSecret: false }, { key: 'TOKEN', value: storeValue('abc', true), isSecret: true }]), true);
+  assert.strictEqual(sameEnv(stored, [{ key: 'A', value: '1', isSecret: false }, { key: 'TOKEN', value: storeValue('xyz', true), isSecret: true }]), false);
+  assert.strictEqual(sameEnv(stored, [{ key: 'A', value: '1', isSecret: false }]), false);
+});
+
+test('runRolling deploys in order and skips the rest after the first failure', async () => {
+  const order = [];
+  const steps = [];
+  const outcome = await runRolling(servers.slice(0, 3), async (server) => {
+    order.push(server.name);
+    if (server.id === 's1') return { status: 'failed', error: 'pull access denied' };
+    return { status: 'deployed', stackId: `stack-${server.id}` };
+  }, (step) => steps.push(step.status));
+  assert.deepStrictEqual(order, ['gamma', 'alpha']);
+  assert.strictEqual(outcome.success, false);
+  assert.deepStrictEqual(outcome.servers.map((s) => [s.serverName, s.status]), [['gamma', 'deployed'], ['alpha', 'failed'], ['beta', 'skipped']]);
+  assert.deepStrictEqual(steps, ['deployed', 'failed', 'skipped']);
+
+  const thrown = await runRolling(servers.slice(0, 1), async () => { throw new Error('connect ETIMEDOUT'); });
+  assert.deepStrictEqual(thrown, { success: false, servers: [{ serverId: 's3', serverName: 'gamma', status: 'failed', error: 'connect ETIMEDOUT' }] });
+});
@@ -0,0 +1,325 @@
+/**
+ * Time-series metrics: samples container stats (docker stats) and host load/CPU/disk (from the
+ * host info cache written by polling.service) into per-minute buckets, rolls them up into coarser
+ * tiers and prunes each tier after its retention. Read by the metrics history API.
+ */
+const { Op } = require('sequelize');
+const { Server, ServerContainerCache, ServerHostInfoCache, ContainerMetric, HostMetric } = require('../models');
+const dockerService = require('./docker.service');
+const logger = require('../config/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PRUNE_EVERY_MS = HOUR_MS;
+// Host info older than this is not sampled (polling stalled or host unreachable)
+const HOST_INFO_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Bucket sizes in seconds. Raw samples land in the first tier; each later tier is rolled up from the one before.
+const TIERS = [
+  { resolution: 60, retentionMs: () => 26 * HOUR_MS },
+  { resolution: 600, retentionMs: () => 8 * DAY_MS },
+  { resolution: 3600, retentionMs: () => getRetentionDays() * DAY_MS },
+];
+
+// History API ranges: window length and the tier that serves it
+const RANGES = {
+  '1h': { ms: HOUR_MS, resolution: 60 },
+  '24h': { ms: DAY_MS, resolution: 600 },
+  '7d': { ms: 7 * DAY_MS, resolution: 3600 },
+  '30d': { ms: 30 * DAY_MS, resolution: 3600 },
+};
+
+const CONTAINER_SERIES = {
+  keyFields: ['serverId', 'containerName'],
+  gaugeFields: ['cpuPercent', 'memBytes', 'pids'],
+  // Cumulative counters and slowly changing values: the bucket keeps the latest sample
+  lastFields: ['containerId', 'memLimitBytes', 'netRxBytes', 'netTxBytes', 'blockReadBytes', 'blockWriteBytes'],
+};
+const HOST_SERIES = {
+  keyFields: ['serverId'],
+  gaugeFields: ['cpuPercent', 'load1', 'load5', 'load15'],
+  lastFields: ['diskUsedPercent', 'diskUsedBytes', 'diskTotalBytes'],
+};
+const COUNTER_RATES = [
+  ['netRxBytes', 'netRxRate'],
+  ['netTxBytes', 'netTxRate'],
+  ['blockReadBytes', 'blockReadRate'],
+  ['blockWriteBytes', 'blockWriteRate'],
+];
+
+function getIntervalMs() {
+  const n = parseInt(process.env.METRICS_INTERVAL_MS, 10);
+  return n >= DEFAULT_INTERVAL_MS ? n : DEFAULT_INTERVAL_MS;
+}
+
+function getRetentionDays() {
+  const n = parseInt(process.env.METRICS_RETENTION_DAYS, 10);
+  return n >= 8 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+function bucketStart(time, resolution) {
+  const ms = resolution * 1000;
+  return new Date(Math.floor(new Date(time).getTime() / ms) * ms);
+}
+
+const toNumber = (v) => (v == null || v === '' ? null : Number(v));
+
+/**
+ * Aggregate finer rows into buckets of `resolution` seconds per series.
+ * Gauges are averaged (weighted by sample count); lastFields take the value of the newest row.
+ */
+function downsample(rows, resolution, { keyFields, gaugeFields, lastFields }) {
+  const groups = new Map();
+  const sorted = [...rows].sort((a, b) => new Date(a.bucketStart) - new Date(b.bucketStart));
+  for (const row of sorted) {
+    const start = bucketStart(row.bucketStart, resolution);
+    const key = [...keyFields.map((f) => row[f]), start.getTime()].join('|');
+    let g = groups.get(key);
+    if (!g) {
+      g = { row: { resolution, bucketStart: start, samples: 0 }, sums: {}, weights: {} };
+      keyFields.forEach((f) => { g.row[f] = row[f]; });
+      groups.set(key, g);
+    }
+    const samples = row.samples || 1;
+    g.row.samples += samples;
+    for (const f of gaugeFields) {
+      const v = toNumber(row[f]);
+      if (v == null || Number.isNaN(v)) continue;
+      g.sums[f] = (g.sums[f] || 0) + v * samples;
+      g.weights[f] = (g.weights[f] || 0) + samples;
+    }
+    for (const f of lastFields) {
+      if (row[f] != null) g.row[f] = row[f];
+    }
+  }
+  return [...groups.values()].map(({ row, sums, weights }) => {
+    for (const f of gaugeFields) row[f] = weights[f] ? sums[f] / weights[f] : null;
+    for (const f of lastFields) if (row[f] === undefined) row[f] = null;
+    return row;
+  });
+}
+
+/**
+ * Turn stored rows (oldest first) into chart points: cumulative counters become per-second rates.
+ * Counter resets (container restart) and gaps longer than three buckets yield null rather than a spike.
+ */
+function toChartPoints(rows, resolution) {
+  let prev = null;
+  return rows.map((row) => {
+    const t = new Date(row.bucketStart).getTime();
+    const point = { t: new Date(t).toISOString() };
+    for (const [k, v] of Object.entries(row)) {
+      if (k === 'bucketStart' || k === 'resolution' || k === 'serverId' || k === 'id') continue;
+      point[k] = typeof v === 'string' && k !== 'containerId' && k !== 'containerName' ? toNumber(v) : v;
+    }
+    const elapsed = prev ? (t - prev.t) / 1000 : 0;
+    const usable = prev && elapsed > 0 && elapsed <= resolution * 3;
+    for (const [counter, rate] of COUNTER_RATES) {
+      if (!(counter in point)) continue;
+      const cur = toNumber(row[counter]);
+      const before = usable ? toNumber(prev.row[counter]) : null;
+      point[rate] = cur != null && before != null && cur >= before ? (cur - before) / elapsed : null;
+    }
+    prev = { t, row };
+    return point;
+  });
+}
+
+/** Host sample from the cached getHostInfo() result (strings like "12.3%" and "0.10 0.20 0.30"). */
+function parseHostSample(hostInfo) {
+  if (!hostInfo) return null;
+  const cpu = parseFloat(String(hostInfo.cpuUsage || '').replace('%', ''));
+  const load = String(hostInfo.loadAverage || '').trim().split(/\s+/).map((v) => parseFloat(v));
+  const sample = {
+    cpuPercent: Number.isFinite(cpu) ? cpu : null,
+    load1: Number.isFinite(load[0]) ? load[0] : null,
+    load5: Number.isFinite(load[1]) ? load[1] : null,
+    load15: Number.isFinite(load[2]) ? load[2] : null,
+    diskUsedPercent: Number.isFinite(hostInfo.rootDiskUsePercent) ? hostInfo.rootDiskUsePercent : null,
+    diskUsedBytes: Number.isFinite(hostInfo.rootDiskUsedBytes) ? hostInfo.rootDiskUsedBytes : null,
+    diskTotalBytes: Number.isFinite(hostInfo.rootDiskTotalBytes) ? hostInfo.rootDiskTotalBytes : null,
+  };
+  return Object.values(sample).some((v) => v != null) ? sample : null;
+}
+
+function getRange(range) {
+  const r = RANGES[range || '1h'];
+  if (!r) {
+    const err = new Error(`Invalid range (use one of ${Object.keys(RANGES).join(', ')})`);
+    err.code = 'INVALID_INPUT';
+    throw err;
+  }
+  return r;
+}
+
+const containerUpsert = {
+  conflictAttributes: ['serverId', 'containerName', 'resolution', 'bucketStart'],
+  updateOnDuplicate: ['samples', ...CONTAINER_SERIES.gaugeFields, ...CONTAINER_SERIES.lastFields],
+};
+const hostUpsert = {
+  conflictAttributes: ['serverId', 'resolution', 'bucketStart'],
+  updateOnDuplicate: ['samples', ...HOST_SERIES.gaugeFields, ...HOST_SERIES.lastFields],
+};
+
+class MetricsService {
+  constructor() {
+    this.intervalId = null;
+    this.intervalMs = getIntervalMs();
+    this.isRunning = false;
+    this.lastPruneAt = 0;
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalMs = getIntervalMs();
+    logger.info(`Metrics collector started (interval: ${this.intervalMs / 1000}s, retention: ${getRetentionDays()}d)`);
+    this.tick();
+    this.intervalId = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      logger.info('Metrics collector stopped');
+    }
+  }
+
+  async tick() {
+    if (this.isRunning) {
+      logger.debug('Metrics: tick skipped (previous still running)');
+      return;
+    }
+    this.isRunning = true;
+    try {
+      const now = new Date();
+      const servers = await Server.findAll();
+      for (const server of servers) {
+        await this.sampleServer(server, now);
+      }
+      await this.rollup(now);
+      if (now.getTime() - this.lastPruneAt >= PRUNE_EVERY_MS) {
+        await this.prune(now);
+        this.lastPruneAt = now.getTime();
+      }
+    } catch (err) {
+      logger.error('Metrics tick error:', err.message);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async sampleServer(server, now) {
+    const serverId = server.id;
+    const start = bucketStart(now, TIERS[0].resolution);
+    try {
+      const stats = await dockerService.getAllContainerStats(server);
+      if (stats.length > 0) {
+        await ContainerMetric.bulkCreate(
+          stats.map(({ name, ...s }) => ({ ...s, serverId, containerName: name, resolution: TIERS[0].resolution, bucketStart: start, samples: 1 })),
+          containerUpsert
+        );
+      }
+    } catch (err) {
+      logger.warn(`Metrics: container stats failed for server ${serverId}:`, err.message);
+    }
+
+    try {
+      const cache = await ServerHostInfoCache.findByPk(serverId);
+      const fresh = cache && now.getTime() - new Date(cache.updatedAt).getTime() <= HOST_INFO_MAX_AGE_MS;
+      const sample = fresh ? parseHostSample(cache.hostInfo) : null;
+      if (sample) {
+        await HostMetric.bulkCreate([{ ...sample, serverId, resolution: TIERS[0].resolution, bucketStart: start, samples: 1 }], hostUpsert);
+      }
+    } catch (err) {
+      logger.warn(`Metrics: host sample failed for server ${serverId}:`, err.message);
+    }
+  }
+
+  /**
+   * Re-aggregate the current and previous bucket of every coarser tier from the tier below.
+   * Idempotent (upsert), so a restart or a skipped tick only delays a bucket, never corrupts it.
+   */
+  async rollup(now) {
+    for (let i = 1; i < TIERS.length; i += 1) {
+      const { resolution } = TIERS[i];
+      const since = new Date(bucketStart(now, resolution).getTime() - resolution * 1000);
+      const where = { resolution: TIERS[i - 1].resolution, bucketStart: { [Op.gte]: since } };
+
+      const containerRows = await ContainerMetric.findAll({ where, raw: true });
+      const containerBuckets = downsample(containerRows, resolution, CONTAINER_SERIES);
+      if (containerBuckets.length > 0) await ContainerMetric.bulkCreate(containerBuckets, containerUpsert);
+
+      const hostRows = await HostMetric.findAll({ where, raw: true });
+      const hostBuckets = downsample(hostRows, resolution, HOST_SERIES);
+      if (hostBuckets.length > 0) await HostMetric.bulkCreate(hostBuckets, hostUpsert);
+    }
+  }
+
+  async prune(now) {
+    for (const tier of TIERS) {
+      const where = { resolution: tier.resolution, bucketStart: { [Op.lt]: new Date(now.getTime() - tier.retentionMs()) } };
+      const removed = (await ContainerMetric.destroy({ where })) + (await HostMetric.destroy({ where }));
+      if (removed > 0) logger.debug(`Metrics: pruned ${removed} rows at ${tier.resolution}s resolution`);
+    }
+  }
+
+  /**
+   * Series name for a container ID (full or short): the cached container list first, then the
+   * newest stored sample (for containers that are gone or not yet polled). Null if unknown.
+   */
+  async resolveContainerName(serverId, containerId) {
+    const prefix = String(containerId || '').substring(0, 12);
+    if (!prefix) return null;
+    const cached = await ServerContainerCache.findOne({
+      where: { serverId, containerId: { [Op.startsWith]: prefix } },
+      raw: true,
+    });
+    const name = cached?.payload?.Names;
+    if (name) return String(name).split(',')[0].replace(/^\//, '');
+    const sample = await ContainerMetric.findOne({
+      where: { serverId, containerId: { [Op.startsWith]: prefix } },
+      order: [['bucketStart', 'DESC']],
+      attributes: ['containerName'],
+      raw: true,
+    });
+    return sample ? sample.containerName : null;
+  }
+
+  /**
+   * Container history for a range ('1h' | '24h' | '7d' | '30d'). The series follows the container
+   * name, so history survives recreation (new container ID).
+   */
+  async getContainerHistory(serverId, containerName, range) {
+    const { ms, resolution } = getRange(range);
+    const rows = await ContainerMetric.findAll({
+      where: { serverId, containerName, resolution, bucketStart: { [Op.gte]: new Date(Date.now() - ms) } },
+      order: [['bucketStart', 'ASC']],
+      attributes: ['bucketStart', 'samples', ...CONTAINER_SERIES.gaugeFields, ...CONTAINER_SERIES.lastFields],
+      raw: true,
+    });
+    return { range: range || '1h', resolution, points: toChartPoints(rows, resolution) };
+  }
+
+  async getHostHistory(serverId, range) {
+    const { ms, resolution } = getRange(range);
+    const rows = await HostMetric.findAll({
+      where: { serverId, resolution, bucketStart: { [Op.gte]: new Date(Date.now() - ms) } },
+      order: [['bucketStart', 'ASC']],
+      attributes: ['bucketStart', 'samples', ...HOST_SERIES.gaugeFields, ...HOST_SERIES.lastFields],
+      raw: true,
+    });
+    return { range: range || '1h', resolution, points: toChartPoints(rows, resolution) };
+  }
+}
+
+const metricsService = new MetricsService();
+module.exports = metricsService;
+// Exposed for unit tests
+module.exports.downsample = downsample;
+module.exports.toChartPoints = toChartPoints;
+module.exports.parseHostSample = parseHostSample;
+module.exports.CONTAINER_SERIES = CONTAINER_SERIES;
+module.exports.HOST_SERIES = HOST_SERIES;
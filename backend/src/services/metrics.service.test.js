@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { downsample, toChartPoints, parseHostSample, CONTAINER_SERIES } = require('./metrics.service');
+const { parseDockerStatsLine } = require('./docker.service');
+
+test('parseDockerStatsLine converts docker stats sizes (base-2 memory, SI I/O)', () => {
+  const line = JSON.stringify({
+    ID: 'abc123def456',
+    Name: 'web',
+    CPUPerc: '12.50%',
+    MemUsage: '512MiB / 2GiB',
+    NetIO: '1.5kB / 2MB',
+    BlockIO: '0B / 3.2GB',
+    PIDs: '7',
+  });
+  assert.deepStrictEqual(parseDockerStatsLine(line), {
+    containerId: 'abc123def456',
+    name: 'web',
+    cpuPercent: 12.5,
+    memBytes: 512 * 1024 * 1024,
+    memLimitBytes: 2 * 1024 ** 3,
+    netRxBytes: 1500,
+    netTxBytes: 2000000,
+    blockReadBytes: 0,
+    blockWriteBytes: 3200000000,
+    pids: 7,
+  });
+  assert.strictEqual(parseDockerStatsLine('not json'), null);
+  assert.strictEqual(parseDockerStatsLine(JSON.stringify({ ID: 'x', Name: 'y', CPUPerc: '--', MemUsage: '-- / --' })).cpuPercent, null);
+});
+
+test('downsample averages gauges by sample count and keeps the newest counter value', () => {
+  const row = (minute, cpu, rx, samples = 1) => ({
+    serverId: 's1', containerName: 'web', containerId: 'abc', bucketStart: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+    samples, cpuPercent: cpu, memBytes: '100', pids: 2, memLimitBytes: '1000', netRxBytes: String(rx),
+    netTxBytes: null, blockReadBytes: null, blockWriteBytes: null,
+  });
+  const out = downsample([row(9, 30, 200), row(0, 10, 100, 3), row(12, 50, 300)], 600, CONTAINER_SERIES);
+  assert.strictEqual(out.length, 2);
+  const [first, second] = out;
+  assert.strictEqual(first.bucketStart.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.strictEqual(first.samples, 4);
+  assert.strictEqual(first.cpuPercent, 15);
+  assert.strictEqual(first.netRxBytes, '200');
+  assert.strictEqual(first.resolution, 600);
+  assert.strictEqual(second.bucketStart.toISOString(), '2024-01-01T00:10:00.000Z');
+  assert.strictEqual(second.cpuPercent, 50);
+});
+
+test('toChartPoints turns counters into rates and skips resets and gaps', () => {
+  const at = (minute, rx) => ({ bucketStart: new Date(Date.UTC(2024, 0, 1, 0, minute)), cpuPercent: 1, netRxBytes: String(rx) });
+  const points = toChartPoints([at(0, 1000), at(1, 7000), at(2, 500), at(10, 900)], 60);
+  assert.deepStrictEqual(points.map((p) => p.netRxRate), [null, 100, null, null]);
+  assert.strictEqual(points[1].netRxBytes, 7000);
+  assert.strictEqual(points[1].t, '2024-01-01T00:01:00.000Z');
+});
+
+test('parseHostSample reads the cached host info strings', () => {
+  assert.deepStrictEqual(
+    parseHostSample({ cpuUsage: '3.5%', loadAverage: '0.10 0.20 0.30', rootDiskUsePercent: 42, rootDiskUsedBytes: 42, rootDiskTotalBytes: 100 }),
+    { cpuPercent: 3.5, load1: 0.1, load5: 0.2, load15: 0.3, diskUsedPercent: 42, diskUsedBytes: 42, diskTotalBytes: 100 }
+  );
+  assert.strictEqual(parseHostSample({ cpuUsage: 'Unknown', loadAverage: 'Unknown' }), null);
+});
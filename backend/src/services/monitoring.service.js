@@ -1,13 +1,25 @@
-const { Server, MonitoringSettings } = require('../models');
+const { Op } = require('sequelize');
+const { Server, MonitoringSettings, ContainerMetric, HostMetric } = require('../models');
 const dockerService = require('./docker.service');
-const emailService = require('./email.service');
+const notificationService = require('./notification.service');
 const logger = require('../config/logger');
 const config = require('../config/config');
+const {
+  CONTAINER_METRICS,
+  HOST_METRICS,
+  DEFAULT_RESOURCE_SETTINGS,
+  resolveThresholds,
+  evaluateRule,
+} = require('../utils/resourceAlerts');
+
+// Resource rules only look at samples this recent (the metrics collector writes one per minute)
+const RESOURCE_SAMPLE_MAX_AGE_MS = 3 * 60 * 1000;
 
 class MonitoringService {
   constructor() {
     this.containerStates = new Map(); // Track container states: Map<userId-serverId-containerId, { wasDown: boolean, lastAlert: Date, firstDownTime: Date }>
     this.noAutoRestartStates = new Map(); // Track containers without auto-restart: Map<userId-serverId-containerId, { lastAlert: Date }>
+    this.resourceStates = new Map(); // Threshold rule state: Map<serverId|target|metric, { breachSince: number, alertedAt: number|null }>
     this.isRunning = false;
     this.checkInterval = null;
     this.checkIntervalMs = config.monitoring.checkIntervalMs;
@@ -25,21 +37,16 @@ class MonitoringService {
       return;
     }
 
-    if (!config.email.enabled) {
-      logger.info('Email alerts are disabled (EMAIL_ENABLED=false). Set EMAIL_ENABLED=true to enable email alerts.');
-      return;
-    }
-
-    // Initialize email service if not already initialized
-    if (!emailService.initialized) {
-      await emailService.initialize();
-    }
-
-    if (!emailService.initialized) {
-      logger.error('Email service failed to initialize, monitoring service will not start');
-      logger.error('To enable email alerts:');
-      logger.error('  1. Set EMAIL_ENABLED=true in your .env file');
-      logger.error('  2. Configure SMTP_HOST, SMTP_PORT, SMTP_USER, and SMTP_PASSWORD');
+    // Alerts go out by email and/or notification channels; without either there is nothing to do
+    if (!(await notificationService.hasDeliveryRoute())) {
+      if (!config.email.enabled) {
+        logger.info('Alerts are disabled: EMAIL_ENABLED=false and no notification channel is enabled. Set EMAIL_ENABLED=true or add a channel under Notifications.');
+      } else {
+        logger.error('Email service failed to initialize and no notification channel is enabled, monitoring service will not start');
+        logger.error('To enable email alerts:');
+        logger.error('  1. Set EMAIL_ENABLED=true in your .env file');
+        logger.error('  2. Configure SMTP_HOST, SMTP_PORT, SMTP_USER, and SMTP_PASSWORD');
+      }
       return;
     }
 
@@ -83,6 +90,11 @@ class MonitoringService {
         } catch (error) {
           logger.error(`Failed to check containers for server ${server.id}:`, error);
         }
+        try {
+          await this.checkServerResources(server);
+        } catch (error) {
+          logger.error(`Failed to check resource thresholds for server ${server.id}:`, error);
+        }
       }
     } catch (error) {
       logger.error('Error in container monitoring check:', error);
@@ -104,8 +116,8 @@ class MonitoringService {
       // Get user email from server using the association
       const { User } = require('../models');
       const user = await User.findByPk(server.userId);
-      if (!user || !user.email) {
-        logger.warn(`No email found for user of server ${server.id}, skipping alerts`);
+      if (!user) {
+        logger.warn(`No owner found for server ${server.id}, skipping alerts`);
         return;
       }
       
@@ -163,7 +175,7 @@ class MonitoringService {
               // Check if we should alert immediately or wait for threshold
               if (alertOnContainerDown && minDownTimeBeforeAlertMs === 0) {
                 logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} is down (should be running)`);
-                await this.sendDownAlert(server, container, user.email, stateKey);
+                await this.sendDownAlert(server, container, user, stateKey);
               } else if (alertOnContainerDown) {
                 logger.info(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} is down, waiting ${minDownTimeBeforeAlertMs / 1000}s before alerting`);
               }
@@ -178,7 +190,7 @@ class MonitoringService {
               // Check threshold before alerting
               if (alertOnContainerDown && minDownTimeBeforeAlertMs === 0) {
                 logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} just went down (should be running)`);
-                await this.sendDownAlert(server, container, user.email, stateKey);
+                await this.sendDownAlert(server, container, user, stateKey);
               } else if (alertOnContainerDown) {
                 logger.info(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} just went down, waiting ${minDownTimeBeforeAlertMs / 1000}s before alerting`);
               }
@@ -192,11 +204,11 @@ class MonitoringService {
                 if (!previousState.lastAlert && timeSinceFirstDown >= minDownTimeBeforeAlertMs) {
                   // First alert after threshold
                   logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} has been down for ${Math.round(timeSinceFirstDown / 1000)}s, sending alert`);
-                  await this.sendDownAlert(server, container, user.email, stateKey);
+                  await this.sendDownAlert(server, container, user, stateKey);
                 } else if (previousState.lastAlert && timeSinceLastAlert >= alertCooldownMs) {
                   // Resend alert after cooldown
                   logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} still down, resending alert (cooldown: ${Math.round(alertCooldownMs / 3600000)}h)`);
-                  await this.sendDownAlert(server, container, user.email, stateKey);
+                  await this.sendDownAlert(server, container, user, stateKey);
                 }
               }
             }
@@ -213,7 +225,7 @@ class MonitoringService {
               // Container recovered - send recovery alert if enabled
               if (alertOnContainerRecovery) {
                 logger.info(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} recovered`);
-                await this.sendUpAlert(server, container, user.email, stateKey);
+                await this.sendUpAlert(server, container, user, stateKey);
               }
             } else {
               // Container is still running - update state to ensure wasDown is false
@@ -234,13 +246,13 @@ class MonitoringService {
             if (!previousState) {
               // First time we see this container - send alert
               logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} is running without auto-restart enabled - sending alert`);
-              await this.sendNoAutoRestartAlert(server, container, user.email, stateKey);
+              await this.sendNoAutoRestartAlert(server, container, user, stateKey);
             } else {
               // Check if we need to resend alert (cooldown)
               const timeSinceLastAlert = now.getTime() - previousState.lastAlert.getTime();
               if (timeSinceLastAlert >= noAutoRestartCooldownMs) {
                 logger.warn(`Container ${containerId.substring(0, 12)} (${container.Names?.replace(/^\//, '') || 'unknown'}) on server ${server.name} still running without auto-restart, resending alert (cooldown: ${Math.round(noAutoRestartCooldownMs / 3600000)}h)`);
-                await this.sendNoAutoRestartAlert(server, container, user.email, stateKey);
+                await this.sendNoAutoRestartAlert(server, container, user, stateKey);
               } else {
                 logger.debug(`Skipping alert for ${containerId.substring(0, 12)} - still in cooldown (${Math.round(timeSinceLastAlert / 3600000)}h / ${Math.round(noAutoRestartCooldownMs / 3600000)}h)`);
               }
@@ -256,9 +268,108 @@ class MonitoringService {
     }
   }
 
-  async sendDownAlert(server, container, recipient, stateKey) {
+  /**
+   * Evaluate CPU/memory/disk threshold rules for a server and its containers against the latest
+   * samples stored by metrics.service. Alerts after the breach lasted resourceAlertDurationMs,
+   * repeats after resourceAlertCooldownMs, and sends a recovery notice when the value drops back.
+   */
+  async checkServerResources(server) {
+    const { User } = require('../models');
+    const user = await User.findByPk(server.userId);
+    if (!user) return;
+
+    const userSettings = await MonitoringSettings.findOne({ where: { userId: user.id } });
+    const settings = userSettings ? userSettings.get({ plain: true }) : DEFAULT_RESOURCE_SETTINGS;
+    const now = Date.now();
+    const since = new Date(now - RESOURCE_SAMPLE_MAX_AGE_MS);
+    const seen = new Set();
+
+    const evaluate = async (target, metric, value, threshold) => {
+      const key = `${server.id}|${target.type}:${target.name}|${metric}`;
+      seen.add(key);
+      const { state, event } = evaluateRule(this.resourceStates.get(key), {
+        value,
+        threshold,
+        now,
+        durationMs: settings.resourceAlertDurationMs,
+        cooldownMs: settings.resourceAlertCooldownMs,
+      });
+      if (state) this.resourceStates.set(key, state);
+      else this.resourceStates.delete(key);
+      if (event === 'alert' || (event === 'recovered' && settings.alertOnResourceRecovery)) {
+        logger.warn(`Resource ${event === 'alert' ? 'alert' : 'recovery'}: ${metric} of ${target.type} ${target.name} on ${server.name} is ${value.toFixed(1)}% (threshold ${threshold}%)`);
+        await this.sendResourceAlert(server, user, {
+          ...target,
+          metric,
+          value,
+          threshold,
+          durationMs: settings.resourceAlertDurationMs,
+          recovered: event === 'recovered',
+        });
+      }
+    };
+
+    const hostThresholds = resolveThresholds(settings, server.id);
+    if (hostThresholds && HOST_METRICS.some((m) => hostThresholds[m] != null)) {
+      const host = await HostMetric.findOne({
+        where: { serverId: server.id, resolution: 60, bucketStart: { [Op.gte]: since } },
+        order: [['bucketStart', 'DESC']],
+        raw: true,
+      });
+      const values = {
+        hostCpuAlertPercent: host?.cpuPercent ?? null,
+        hostDiskAlertPercent: host?.diskUsedPercent ?? null,
+      };
+      const target = { type: 'host', name: server.name };
+      for (const metric of HOST_METRICS) {
+        await evaluate(target, metric, values[metric], hostThresholds[metric]);
+      }
+    }
+
+    const rows = await ContainerMetric.findAll({
+      where: { serverId: server.id, resolution: 60, bucketStart: { [Op.gte]: since } },
+      order: [['bucketStart', 'DESC']],
+      raw: true,
+    });
+    const latestByName = new Map();
+    for (const row of rows) {
+      if (!latestByName.has(row.containerName)) latestByName.set(row.containerName, row);
+    }
+    for (const [name, row] of latestByName) {
+      const thresholds = resolveThresholds(settings, server.id, name);
+      if (!thresholds) continue;
+      const memBytes = Number(row.memBytes);
+      const memLimitBytes = Number(row.memLimitBytes);
+      const values = {
+        containerCpuAlertPercent: row.cpuPercent,
+        containerMemoryAlertPercent: memLimitBytes > 0 && row.memBytes != null ? (memBytes / memLimitBytes) * 100 : null,
+      };
+      const target = { type: 'container', name, containerId: row.containerId };
+      for (const metric of CONTAINER_METRICS) {
+        await evaluate(target, metric, values[metric], thresholds[metric]);
+      }
+    }
+
+    // Forget rules for containers that are gone or muted (a breach must start over)
+    for (const key of this.resourceStates.keys()) {
+      if (key.startsWith(`${server.id}|`) && !seen.has(key)) this.resourceStates.delete(key);
+    }
+  }
+
+  async sendResourceAlert(server, user, alert) {
+    try {
+      const result = await notificationService.notify(user, alert.recovered ? 'resource.recovered' : 'resource.alert', { server, alert });
+      if (!result.success) {
+        logger.error(`Failed to send resource alert: ${notificationService.failureSummary(result)}`);
+      }
+    } catch (error) {
+      logger.error('Error sending resource alert:', error);
+    }
+  }
+
+  async sendDownAlert(server, container, user, stateKey) {
     try {
-      const result = await emailService.sendContainerDownAlert(recipient, server, container);
+      const result = await notificationService.notify(user, 'container.down', { server, container });
       if (result.success) {
         const currentState = this.containerStates.get(stateKey) || {};
         this.containerStates.set(stateKey, {
@@ -268,16 +379,16 @@ class MonitoringService {
         });
         logger.info(`Down alert sent for container ${container.ID?.substring(0, 12)} on server ${server.name}`);
       } else {
-        logger.error(`Failed to send down alert: ${result.error}`);
+        logger.error(`Failed to send down alert: ${notificationService.failureSummary(result)}`);
       }
     } catch (error) {
       logger.error('Error sending down alert:', error);
     }
   }
 
-  async sendUpAlert(server, container, recipient, stateKey) {
+  async sendUpAlert(server, container, user, stateKey) {
     try {
-      const result = await emailService.sendContainerUpAlert(recipient, server, container);
+      const result = await notificationService.notify(user, 'container.recovered', { server, container });
       if (result.success) {
         this.containerStates.set(stateKey, {
           wasDown: false,
@@ -285,23 +396,23 @@ class MonitoringService {
         });
         logger.info(`Recovery alert sent for container ${container.ID?.substring(0, 12)} on server ${server.name}`);
       } else {
-        logger.error(`Failed to send recovery alert: ${result.error}`);
+        logger.error(`Failed to send recovery alert: ${notificationService.failureSummary(result)}`);
       }
     } catch (error) {
       logger.error('Error sending recovery alert:', error);
     }
   }
 
-  async sendNoAutoRestartAlert(server, container, recipient, stateKey) {
+  async sendNoAutoRestartAlert(server, container, user, stateKey) {
     try {
-      const result = await emailService.sendNoAutoRestartAlert(recipient, server, container);
+      const result = await notificationService.notify(user, 'container.no-auto-restart', { server, container });
       if (result.success) {
         this.noAutoRestartStates.set(stateKey, {
           lastAlert: new Date(),
         });
-        logger.info(`No auto-restart alert sent to ${recipient} for container ${container.ID?.substring(0, 12)} on server ${server.name}`);
+        logger.info(`No auto-restart alert sent to ${user.email || user.id} for container ${container.ID?.substring(0, 12)} on server ${server.name}`);
       } else {
-        logger.error(`Failed to send no auto-restart alert to ${recipient}: ${result.error}`);
+        logger.error(`Failed to send no auto-restart alert to ${user.email || user.id}: ${notificationService.failureSummary(result)}`);
       }
     } catch (error) {
       logger.error('Error sending no auto-restart alert:', error);
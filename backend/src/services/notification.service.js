@@ -0,0 +1,375 @@
+/**
+ * Alert delivery: every alert goes through notify(), which sends it by email (when routed and SMTP
+ * is configured) and to each of the user's enabled notification channels that the alert type is
+ * routed to. Channel drivers: generic JSON webhook, Slack, Discord, ntfy and Gotify.
+ */
+const { NotificationChannel, MonitoringSettings } = require('../models');
+const emailService = require('./email.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { METRIC_LABELS } = require('../utils/resourceAlerts');
+
+const SEND_TIMEOUT_MS = 10000;
+const MAX_TEXT_LENGTH = 1900; // Discord content limit is 2000
+const MAX_LISTED_ITEMS = 20;
+
+const ALERT_TYPES = [
+  { type: 'container.down', label: 'Container down' },
+  { type: 'container.recovered', label: 'Container recovered' },
+  { type: 'container.no-auto-restart', label: 'Container without auto-restart' },
+  { type: 'resource.alert', label: 'Resource threshold exceeded' },
+  { type: 'resource.recovered', label: 'Resource back to normal' },
+  { type: 'image.updates', label: 'Image updates available' },
+  { type: 'image.auto-updated', label: 'Image updates applied by policy' },
+  { type: 'certificate.expiry', label: 'Certificate expiry / renewal' },
+];
+const ALERT_TYPE_SET = new Set(ALERT_TYPES.map((t) => t.type));
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+function requireHttpUrl(value, label) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (e) {
+    throwInvalid(`${label} must be a valid URL`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throwInvalid(`${label} must be an http(s) URL`);
+  return url.toString().replace(/\/$/, '');
+}
+
+function optionalPriority(value, min, max) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throwInvalid(`Priority must be between ${min} and ${max}`);
+  return n;
+}
+
+const severityColor = { critical: 0xdc2626, warning: 0xf59e0b, info: 0x3b82f6, success: 0x16a34a };
+const ntfyPriority = { critical: 5, warning: 4, info: 3, success: 3 };
+const ntfyTags = { critical: ['rotating_light'], warning: ['warning'], info: ['information_source'], success: ['white_check_mark'] };
+const gotifyPriority = { critical: 8, warning: 6, info: 4, success: 4 };
+
+/**
+ * Channel drivers. normalize(config) validates the form input; secretFields are never returned to
+ * the UI (an empty value on update keeps the stored one); request(config, message) builds the POST.
+ */
+const DRIVERS = {
+  webhook: {
+    label: 'Webhook (JSON)',
+    secretFields: ['authHeader'],
+    normalize: (c) => ({
+      url: requireHttpUrl(c.url, 'URL'),
+      authHeader: c.authHeader ? String(c.authHeader).slice(0, 1000) : '',
+    }),
+    request: (c, m) => ({
+      url: c.url,
+      headers: c.authHeader ? { Authorization: c.authHeader } : {},
+      body: { type: m.type, severity: m.severity, title: m.title, text: m.text, data: m.data || {}, timestamp: new Date().toISOString() },
+    }),
+  },
+  slack: {
+    label: 'Slack',
+    secretFields: ['webhookUrl'],
+    normalize: (c) => ({ webhookUrl: requireHttpUrl(c.webhookUrl, 'Webhook URL') }),
+    request: (c, m) => ({ url: c.webhookUrl, body: { text: `*${m.title}*\n${m.text}` } }),
+  },
+  discord: {
+    label: 'Discord',
+    secretFields: ['webhookUrl'],
+    normalize: (c) => ({ webhookUrl: requireHttpUrl(c.webhookUrl, 'Webhook URL') }),
+    request: (c, m) => ({
+      url: c.webhookUrl,
+      body: { embeds: [{ title: m.title.slice(0, 256), description: m.text, color: severityColor[m.severity] }] },
+    }),
+  },
+  ntfy: {
+    label: 'ntfy',
+    secretFields: ['token'],
+    normalize: (c) => {
+      const topic = String(c.topic || '').trim();
+      if (!/^[-_A-Za-z0-9]{1,64}$/.test(topic)) throwInvalid('Topic may only contain letters, digits, - and _');
+      return {
+        serverUrl: requireHttpUrl(c.serverUrl || 'https://ntfy.sh', 'Server URL'),
+        topic,
+        token: c.token ? String(c.token).slice(0, 500) : '',
+        priority: optionalPriority(c.priority, 1, 5),
+      };
+    },
+    // JSON publishing to the server root (header publishing cannot carry non-ASCII titles)
+    request: (c, m) => ({
+      url: c.serverUrl,
+      headers: c.token ? { Authorization: `Bearer ${c.token}` } : {},
+      body: { topic: c.topic, title: m.title, message: m.text, priority: c.priority || ntfyPriority[m.severity], tags: ntfyTags[m.severity] },
+    }),
+  },
+  gotify: {
+    label: 'Gotify',
+    secretFields: ['appToken'],
+    normalize: (c) => {
+      const appToken = String(c.appToken || '').trim();
+      if (!appToken) throwInvalid('Application token is required');
+      return {
+        serverUrl: requireHttpUrl(c.serverUrl, 'Server URL'),
+        appToken,
+        priority: optionalPriority(c.priority, 0, 10),
+      };
+    },
+    request: (c, m) => ({
+      url: `${c.serverUrl}/message`,
+      headers: { 'X-Gotify-Key': c.appToken },
+      body: { title: m.title, message: m.text, priority: c.priority ?? gotifyPriority[m.severity] },
+    }),
+  },
+};
+
+function getDriver(type) {
+  const driver = DRIVERS[type];
+  if (!driver) throwInvalid(`Unknown channel type (use one of ${Object.keys(DRIVERS).join(', ')})`);
+  return driver;
+}
+
+/**
+ * Validate channel config from the UI. Empty secret fields keep the value from `previous` (edit form)
+ * unless listed in `clearSecrets`, which removes them.
+ */
+function normalizeChannelConfig(type, input, previous = null, clearSecrets = []) {
+  const driver = getDriver(type);
+  if (!Array.isArray(clearSecrets)) throwInvalid('clearSecrets must be an array');
+  const unknown = clearSecrets.filter((field) => !driver.secretFields.includes(field));
+  if (unknown.length) throwInvalid(`Not a secret field of ${driver.label}: ${unknown[0]}`);
+  const merged = { ...(input || {}) };
+  for (const field of driver.secretFields) {
+    if (clearSecrets.includes(field)) merged[field] = '';
+    else if ((merged[field] === undefined || merged[field] === '') && previous && previous[field]) merged[field] = previous[field];
+  }
+  return driver.normalize(merged);
+}
+
+/** Config safe to send to the browser: secret fields blanked, with a list of which are set. */
+function maskChannelConfig(type, cfg) {
+  const driver = DRIVERS[type];
+  if (!driver) return { config: {}, secretsSet: [] };
+  const masked = { ...cfg };
+  const secretsSet = [];
+  for (const field of driver.secretFields) {
+    if (masked[field]) secretsSet.push(field);
+    masked[field] = '';
+  }
+  return { config: masked, secretsSet };
+}
+
+function normalizeAlertTypes(list) {
+  if (list == null) return null;
+  if (!Array.isArray(list)) throwInvalid('alertTypes must be an array');
+  const unknown = list.filter((t) => !ALERT_TYPE_SET.has(t));
+  if (unknown.length) throwInvalid(`Unknown alert type: ${unknown[0]}`);
+  return [...new Set(list)];
+}
+
+const containerName = (container) => container.Names?.replace(/^\//, '') || container.ID?.substring(0, 12) || 'Unknown';
+const serverLabel = (server) => server.name || server.host || 'Unknown Server';
+
+function truncate(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+/** Plain-text message for chat/push channels; email keeps its own HTML templates. */
+function formatMessage(type, data) {
+  switch (type) {
+    case 'container.down': {
+      const { server, container } = data;
+      return {
+        severity: 'critical',
+        title: `Container down: ${containerName(container)} on ${serverLabel(server)}`,
+        text: `Container ${containerName(container)} (${container.ID?.substring(0, 12) || '?'}) has auto-restart enabled but is stopped.\nImage: ${container.Image || 'Unknown'}\nStatus: ${container.Status || 'Stopped'}`,
+      };
+    }
+    case 'container.recovered': {
+      const { server, container } = data;
+      return {
+        severity: 'success',
+        title: `Container recovered: ${containerName(container)} on ${serverLabel(server)}`,
+        text: `Container ${containerName(container)} (${container.ID?.substring(0, 12) || '?'}) is running again.`,
+      };
+    }
+    case 'container.no-auto-restart': {
+      const { server, container } = data;
+      return {
+        severity: 'warning',
+        title: `No auto-restart: ${containerName(container)} on ${serverLabel(server)}`,
+        text: `Container ${containerName(container)} is running with restart policy "${container.RestartPolicy || 'no'}" and will not come back after a crash or reboot.`,
+      };
+    }
+    case 'resource.alert':
+    case 'resource.recovered': {
+      const { server, alert } = data;
+      const label = METRIC_LABELS[alert.metric] || alert.metric;
+      const target = alert.type === 'host' ? serverLabel(server) : `${alert.name} on ${serverLabel(server)}`;
+      const value = `${alert.value.toFixed(1)}%`;
+      return type === 'resource.alert'
+        ? {
+            severity: 'warning',
+            title: `${label} at ${value}: ${target}`,
+            text: `${label} has been above ${alert.threshold}% for at least ${Math.round(alert.durationMs / 60000)} minute(s).`,
+          }
+        : { severity: 'success', title: `${label} back to ${value}: ${target}`, text: `${label} is back below ${alert.threshold}%.` };
+    }
+    case 'image.updates': {
+      const { containers } = data;
+      const lines = containers.slice(0, MAX_LISTED_ITEMS).map((c) => `• ${c.containerName} on ${c.serverName} (${c.imageRef || 'image'})`);
+      if (containers.length > MAX_LISTED_ITEMS) lines.push(`… and ${containers.length - MAX_LISTED_ITEMS} more`);
+      return { severity: 'info', title: `Image updates available for ${containers.length} container(s)`, text: lines.join('\n') };
+    }
+    case 'image.auto-updated': {
+      const { updates } = data;
+      const failed = updates.filter((u) => !u.success).length;
+      const lines = updates.slice(0, MAX_LISTED_ITEMS).map((u) => (u.success
+        ? `• ${u.containerName} on ${u.serverName}: updated${u.newVersion ? ` to ${u.newVersion}` : ''}`
+        : `• ${u.containerName} on ${u.serverName}: failed (${u.error || 'unknown error'})`));
+      if (updates.length > MAX_LISTED_ITEMS) lines.push(`… and ${updates.length - MAX_LISTED_ITEMS} more`);
+      return {
+        severity: failed ? 'warning' : 'success',
+        title: failed
+          ? `Auto-update: ${failed} of ${updates.length} container update(s) failed`
+          : `Auto-update: ${updates.length} container(s) updated`,
+        text: lines.join('\n'),
+      };
+    }
+    case 'certificate.expiry': {
+      const { server, certs, renewed, renewError } = data;
+      const lines = certs.slice(0, MAX_LISTED_ITEMS).map((c) => `• ${c.name} (${(c.domains || []).join(', ')}): ${c.validDays ?? '?'} days left`);
+      const status = renewed ? 'Renewed automatically and nginx reloaded.' : `Auto-renewal failed${renewError ? `: ${renewError}` : ''}. Renew manually via the Domains tab.`;
+      return {
+        severity: renewed ? 'success' : 'warning',
+        title: renewed ? `Certificate(s) renewed on ${serverLabel(server)}` : `Certificate(s) expiring soon on ${serverLabel(server)}`,
+        text: `${lines.join('\n')}\n${status}`,
+      };
+    }
+    case 'test':
+      return { severity: 'info', title: 'DockerFleet Manager test notification', text: 'This channel is set up correctly.' };
+    default:
+      return { severity: 'info', title: type, text: '' };
+  }
+}
+
+/** Structured fields for the generic webhook payload. */
+function contextOf(data) {
+  const context = {};
+  if (data.server) Object.assign(context, { serverId: data.server.id, serverName: serverLabel(data.server) });
+  if (data.container) Object.assign(context, { containerId: data.container.ID || null, containerName: containerName(data.container) });
+  if (data.alert) {
+    const { type, name, metric, value, threshold } = data.alert;
+    Object.assign(context, { target: type, metric, value, threshold }, type === 'container' ? { containerName: name } : {});
+  }
+  if (data.containers) context.containers = data.containers.slice(0, MAX_LISTED_ITEMS);
+  if (data.updates) context.updates = data.updates.slice(0, MAX_LISTED_ITEMS);
+  if (data.certs) Object.assign(context, { certificates: data.certs.map((c) => ({ name: c.name, validDays: c.validDays })), renewed: !!data.renewed });
+  return context;
+}
+
+const EMAIL_SENDERS = {
+  'container.down': (to, d) => emailService.sendContainerDownAlert(to, d.server, d.container),
+  'container.recovered': (to, d) => emailService.sendContainerUpAlert(to, d.server, d.container),
+  'container.no-auto-restart': (to, d) => emailService.sendNoAutoRestartAlert(to, d.server, d.container),
+  'resource.alert': (to, d) => emailService.sendResourceAlert(to, d.server, d.alert),
+  'resource.recovered': (to, d) => emailService.sendResourceAlert(to, d.server, d.alert),
+  'image.updates': (to, d) => emailService.sendImageUpdatesAlert(to, d.containers),
+  'image.auto-updated': (to, d) => emailService.sendAutoUpdatesAlert(to, d.updates),
+  'certificate.expiry': (to, d) => emailService.sendCertificateExpiryAlert(to, d.server, d.certs, { renewed: d.renewed, renewError: d.renewError }),
+};
+
+async function postJson({ url, headers = {}, body }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': 'DockerFleet-Manager', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    redirect: 'error',
+  });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+/**
+ * Send one message to a channel and record the outcome on the row. Never throws.
+ * @returns {Promise<{ channelId: string, success: boolean, error?: string }>}
+ */
+async function sendToChannel(channel, type, message) {
+  try {
+    const driver = getDriver(channel.type);
+    await postJson(driver.request(channel.getConfig(), { ...message, type, text: truncate(message.text) }));
+    await channel.update({ lastSentAt: new Date(), lastError: null });
+    return { channelId: channel.id, success: true };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? 'Timed out' : (err.message || String(err));
+    logger.warn(`Notification channel ${channel.name} (${channel.type}) failed for ${type}: ${error}`);
+    await channel.update({ lastError: error.slice(0, 1000) }).catch(() => {});
+    return { channelId: channel.id, success: false, error };
+  }
+}
+
+async function ensureEmail() {
+  if (!config.email.enabled) return false;
+  if (!emailService.initialized) await emailService.initialize();
+  return emailService.initialized;
+}
+
+/**
+ * Deliver an alert to a user by email and every channel routed for the alert type.
+ * @param {{ id: string, email?: string }} user
+ * @param {string} type one of ALERT_TYPES
+ * @param {object} data alert payload (see formatMessage / EMAIL_SENDERS)
+ * @returns {Promise<{ success: boolean, results: Array<{ channelId: string, success: boolean, error?: string }> }>}
+ *   success when at least one destination accepted the alert
+ */
+async function notify(user, type, data) {
+  const results = [];
+  const settings = await MonitoringSettings.findOne({ where: { userId: user.id }, attributes: ['emailAlertTypes'] });
+  const emailRouted = !settings || settings.emailAlertTypes == null || settings.emailAlertTypes.includes(type);
+  if (user.email && emailRouted && EMAIL_SENDERS[type] && (await ensureEmail())) {
+    const result = await EMAIL_SENDERS[type](user.email, data);
+    results.push({ channelId: 'email', success: result.success, error: result.error });
+  }
+
+  const channels = await NotificationChannel.findAll({ where: { userId: user.id, enabled: true } });
+  const routed = channels.filter((c) => (c.alertTypes || []).includes(type));
+  if (routed.length > 0) {
+    const message = { ...formatMessage(type, data), data: contextOf(data) };
+    for (const channel of routed) {
+      results.push(await sendToChannel(channel, type, message));
+    }
+  }
+  return { success: results.some((r) => r.success), results };
+}
+
+/** One-line reason for a notify() result that reached nobody (for logs). */
+function failureSummary(result) {
+  const errors = result.results.filter((r) => !r.success).map((r) => `${r.channelId}: ${r.error || 'failed'}`);
+  return errors.length ? errors.join('; ') : 'no destination is routed for this alert type';
+}
+
+/** Whether alerts can be delivered at all: SMTP is configured or some user has an enabled channel. */
+async function hasDeliveryRoute() {
+  if (await ensureEmail()) return true;
+  return (await NotificationChannel.count({ where: { enabled: true } })) > 0;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DRIVERS,
+  notify,
+  sendToChannel,
+  formatMessage,
+  failureSummary,
+  hasDeliveryRoute,
+  normalizeChannelConfig,
+  maskChannelConfig,
+  normalizeAlertTypes,
+};
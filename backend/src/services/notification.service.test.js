@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DRIVERS,
+  formatMessage,
+  sendToChannel,
+  normalizeChannelConfig,
+  maskChannelConfig,
+  normalizeAlertTypes,
+} = require('./notification.service');
+
+test('normalizeChannelConfig validates per driver and keeps stored secrets when left empty', () => {
+  assert.deepStrictEqual(normalizeChannelConfig('ntfy', { topic: 'alerts_1', priority: '4' }), {
+    serverUrl: 'https://ntfy.sh',
+    topic: 'alerts_1',
+    token: '',
+    priority: 4,
+  });
+  assert.throws(() => normalizeChannelConfig('ntfy', { topic: 'bad topic' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeChannelConfig('slack', { webhookUrl: 'file:///etc/passwd' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeChannelConfig('sms', {}), { code: 'INVALID_INPUT' });
+
+  const previous = { serverUrl: 'https://gotify.example.com', appToken: 'stored', priority: null };
+  assert.strictEqual(normalizeChannelConfig('gotify', { serverUrl: 'https://gotify.example.com/', appToken: '' }, previous).appToken, 'stored');
+  assert.strictEqual(normalizeChannelConfig('gotify', { serverUrl: 'https://gotify.example.com', appToken: 'new' }, previous).appToken, 'new');
+  assert.throws(() => normalizeChannelConfig('gotify', { serverUrl: 'https://gotify.example.com' }), /token is required/);
+});
+
+test('normalizeChannelConfig removes optional secrets listed in clearSecrets', () => {
+  const previous = { url: 'https://hooks.example.com/x', authHeader: 'Bearer abc' };
+  assert.strictEqual(normalizeChannelConfig('webhook', { url: 'https://hooks.example.com/x' }, previous).authHeader, 'Bearer abc');
+  assert.strictEqual(normalizeChannelConfig('webhook', { url: 'https://hooks.example.com/x' }, previous, ['authHeader']).authHeader, '');
+  assert.strictEqual(normalizeChannelConfig('ntfy', { topic: 'alerts' }, { topic: 'alerts', token: 'tk_1' }, ['token']).token, '');
+  assert.throws(() => normalizeChannelConfig('webhook', { url: 'https://hooks.example.com/x' }, previous, ['url']), { code: 'INVALID_INPUT' });
+  // Clearing a required secret leaves the channel invalid
+  assert.throws(() => normalizeChannelConfig('gotify', { serverUrl: 'https://gotify.example.com' }, { appToken: 'stored' }, ['appToken']), /token is required/);
+});
+
+test('maskChannelConfig blanks secret fields and reports which are set', () => {
+  assert.deepStrictEqual(maskChannelConfig('webhook', { url: 'https://hooks.example.com/x', authHeader: 'Bearer abc' }), {
+    config: { url: 'https://hooks.example.com/x', authHeader: '' },
+    secretsSet: ['authHeader'],
+  });
+  assert.deepStrictEqual(maskChannelConfig('discord', { webhookUrl: '' }).secretsSet, []);
+  assert.deepStrictEqual(normalizeAlertTypes(['container.down', 'container.down']), ['container.down']);
+  assert.strictEqual(normalizeAlertTypes(null), null);
+  assert.throws(() => normalizeAlertTypes(['nope']), { code: 'INVALID_INPUT' });
+});
+
+test('formatMessage and driver requests carry title, text and severity', () => {
+  const server = { id: 's1', name: 'prod' };
+  const down = formatMessage('container.down', { server, container: { ID: 'abcdef1234567890', Names: '/web', Image: 'nginx' } });
+  assert.strictEqual(down.severity, 'critical');
+  assert.strictEqual(down.title, 'Container down: web on prod');
+
+  const resource = formatMessage('resource.alert', {
+    server,
+    alert: { type: 'host', metric: 'hostDiskAlertPercent', value: 91.25, threshold: 85, durationMs: 300000 },
+  });
+  assert.strictEqual(resource.title, 'Root filesystem usage at 91.3%: prod');
+
+  const auto = formatMessage('image.auto-updated', {
+    updates: [
+      { containerName: 'web', serverName: 'prod', success: true, newVersion: '1.4.3' },
+      { containerName: 'db', serverName: 'prod', success: false, error: 'Pull failed' },
+    ],
+  });
+  assert.strictEqual(auto.severity, 'warning');
+  assert.strictEqual(auto.title, 'Auto-update: 1 of 2 container update(s) failed');
+  assert.strictEqual(auto.text, '• web on prod: updated to 1.4.3\n• db on prod: failed (Pull failed)');
+
+  const slack = DRIVERS.slack.request({ webhookUrl: 'https://hooks.slack.com/services/x' }, down);
+  assert.strictEqual(slack.url, 'https://hooks.slack.com/services/x');
+  assert.match(slack.body.text, /^\*Container down: web on prod\*\n/);
+  const ntfy = DRIVERS.ntfy.request({ serverUrl: 'https://ntfy.sh', topic: 't', token: 'tk', priority: null }, down);
+  assert.deepStrictEqual([ntfy.url, ntfy.headers.Authorization, ntfy.body.priority], ['https://ntfy.sh', 'Bearer tk', 5]);
+  const gotify = DRIVERS.gotify.request({ serverUrl: 'https://g.example.com', appToken: 'a', priority: 2 }, down);
+  assert.deepStrictEqual([gotify.url, gotify.headers['X-Gotify-Key'], gotify.body.priority], ['https://g.example.com/message', 'a', 2]);
+});
+
+test('sendToChannel posts JSON, records the outcome and never throws', async (t) => {
+  const calls = [];
+  const fetchMock = t.mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push({ url, init });
+    return { ok: true, status: 204, text: async () => '' };
+  });
+  const updates = [];
+  const channel = {
+    id: 'c1',
+    name: 'ops',
+    type: 'webhook',
+    getConfig: () => ({ url: 'https://hooks.example.com/in', authHeader: 'Bearer s3cret' }),
+    update: async (fields) => updates.push(fields),
+  };
+
+  const ok = await sendToChannel(channel, 'test', formatMessage('test'));
+  assert.deepStrictEqual(ok, { channelId: 'c1', success: true });
+  assert.strictEqual(calls[0].url, 'https://hooks.example.com/in');
+  assert.strictEqual(calls[0].init.headers.Authorization, 'Bearer s3cret');
+  assert.strictEqual(calls[0].init.redirect, 'error');
+  assert.strictEqual(JSON.parse(calls[0].init.body).type, 'test');
+  assert.strictEqual(updates[0].lastError, null);
+
+  fetchMock.mock.mockImplementation(async () => ({ ok: false, status: 401, text: async () => 'unauthorized' }));
+  const failed = await sendToChannel(channel, 'test', formatMessage('test'));
+  assert.deepStrictEqual(failed, { channelId: 'c1', success: false, error: 'HTTP 401: unauthorized' });
+  assert.strictEqual(updates[1].lastError, 'HTTP 401: unauthorized');
+});
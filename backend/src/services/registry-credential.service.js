@@ -0,0 +1,160 @@
+/**
+ * Registry credentials: a user's logins for private registries (host, username, password or access
+ * token), stored encrypted. Update checks and tag lists use them through registry.service, and
+ * they are pushed to hosts with `docker login` so pulls there are authenticated: on demand, and
+ * before every pull DockerFleet runs for an image of that registry.
+ */
+const { RegistryCredential } = require('../models');
+const registryService = require('./registry.service');
+const sshService = require('./ssh.service');
+const { escapeSingleQuoted, throwInvalid } = require('../utils/shellSafe');
+const logger = require('../config/logger');
+
+const DOCKER_HUB = 'docker.io';
+const DOCKER_HUB_ALIASES = new Set([DOCKER_HUB, 'index.docker.io', 'registry-1.docker.io', 'registry.hub.docker.com']);
+// host or host:port, as it appears in image names
+const REGISTRY_HOST_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/;
+const MAX_CREDENTIALS_PER_USER = 50;
+
+/**
+ * Registry host as stored: lowercased, without scheme or path; Docker Hub's names become docker.io.
+ * @throws {Error} INVALID_INPUT for anything that is not host or host:port
+ */
+function normalizeRegistryHost(value) {
+  const host = String(value || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '');
+  if (DOCKER_HUB_ALIASES.has(host)) return DOCKER_HUB;
+  if (!host || host.length > 255 || !REGISTRY_HOST_REGEX.test(host)) {
+    throwInvalid('Invalid registry host: use host or host:port, e.g. ghcr.io or registry.example.com:5000');
+  }
+  return host;
+}
+
+// Host to send registry API requests to
+function apiHost(host) {
+  return host === DOCKER_HUB ? 'registry-1.docker.io' : host;
+}
+
+/**
+ * Fields to store from a create or update body ({ host, username, token, insecure }). On update a
+ * blank token keeps the stored one (token is then left out).
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeCredential(input, previous = null) {
+  const host = previous && input.host === undefined ? previous.host : normalizeRegistryHost(input.host);
+  const username = String(input.username ?? previous?.username ?? '').trim();
+  if (!username) throwInvalid('username is required');
+  if (username.length > 255) throwInvalid('username is too long');
+  const insecure = input.insecure !== undefined ? !!input.insecure : !!previous?.insecure;
+  if (insecure && host === DOCKER_HUB) throwInvalid('Docker Hub is only reachable over HTTPS');
+  const fields = { host, username, insecure };
+  const token = input.token == null ? '' : String(input.token);
+  if (token) fields.token = token;
+  else if (!previous) throwInvalid('token is required');
+  return fields;
+}
+
+/** API shape; the token is never returned. */
+function serializeCredential(credential) {
+  return {
+    id: credential.id,
+    host: credential.host,
+    username: credential.username,
+    insecure: !!credential.insecure,
+    lastTestedAt: credential.lastTestedAt,
+    lastError: credential.lastError,
+    createdAt: credential.createdAt,
+    updatedAt: credential.updatedAt,
+  };
+}
+
+function plainCredential(credential) {
+  return { host: credential.host, username: credential.username, token: credential.getToken(), insecure: !!credential.insecure };
+}
+
+/**
+ * The user's credential for a registry as parseImageRef names it (registry-1.docker.io for Hub),
+ * decrypted; null when there is none.
+ */
+async function findForRegistry(userId, registry) {
+  if (!userId || !registry) return null;
+  let host;
+  try {
+    host = normalizeRegistryHost(registry);
+  } catch (e) {
+    return null;
+  }
+  const credential = await RegistryCredential.findOne({ where: { userId, host } });
+  return credential ? plainCredential(credential) : null;
+}
+
+/**
+ * Log in to the registry with the credential and keep the outcome on the record.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function testCredential(credential) {
+  const result = await registryService.testCredential(apiHost(credential.host), plainCredential(credential));
+  await credential.update({ lastTestedAt: new Date(), lastError: result.success ? null : result.error });
+  return result;
+}
+
+/** `docker login` reading the password from stdin; Docker Hub is the CLI's default registry. */
+function buildDockerLoginCommand(host, username) {
+  const target = host === DOCKER_HUB ? '' : ` ${escapeSingleQuoted(normalizeRegistryHost(host))}`;
+  return `docker login${target} -u ${escapeSingleQuoted(username)} --password-stdin`;
+}
+
+/**
+ * Run `docker login` on a host with a plain credential ({ host, username, token }).
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function loginOnServer(server, credential) {
+  const result = await sshService.executeCommandWithStdin(server, buildDockerLoginCommand(credential.host, credential.username), Buffer.from(credential.token), {
+    timeout: 60000, allowFailure: true,
+  });
+  if (result.code === 0) return { success: true };
+  return { success: false, error: (result.stderr || result.stdout || '').trim() || `exit code ${result.code}` };
+}
+
+/**
+ * Push a stored credential to hosts.
+ * @returns {Promise<Array<{ serverId, serverName, success, error? }>>}
+ */
+async function pushToServers(credential, servers) {
+  const plain = plainCredential(credential);
+  const results = [];
+  for (const server of servers) {
+    try {
+      results.push({ serverId: server.id, serverName: server.name, ...(await loginOnServer(server, plain)) });
+    } catch (err) {
+      results.push({ serverId: server.id, serverName: server.name, success: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Before a pull: log the host in to the image's registry when the server's owner has a
+ * credential for it. A failed login is logged and the pull goes ahead with whatever login the
+ * host has.
+ */
+async function loginForImage(server, imageRef) {
+  const parsed = registryService.parseImageRef(imageRef);
+  const credential = await findForRegistry(server.userId, parsed.registry);
+  if (!credential) return null;
+  const result = await loginOnServer(server, credential).catch((err) => ({ success: false, error: err.message }));
+  if (!result.success) logger.warn(`docker login to ${credential.host} on ${server.name} failed: ${result.error}`);
+  return result;
+}
+
+module.exports = {
+  DOCKER_HUB,
+  MAX_CREDENTIALS_PER_USER,
+  normalizeRegistryHost,
+  normalizeCredential,
+  serializeCredential,
+  findForRegistry,
+  testCredential,
+  buildDockerLoginCommand,
+  pushToServers,
+  loginForImage,
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeRegistryHost,
+  normalizeCredential,
+  buildDockerLoginCommand,
+} = require('./registry-credential.service');
+
+test('normalizeRegistryHost strips scheme and path and folds Docker Hub names', () => {
+  assert.strictEqual(normalizeRegistryHost('https://GHCR.io/'), 'ghcr.io');
+  assert.strictEqual(normalizeRegistryHost('registry.example.com:5000/v2/'), 'registry.example.com:5000');
+  assert.strictEqual(normalizeRegistryHost('index.docker.io'), 'docker.io');
+  assert.strictEqual(normalizeRegistryHost('registry-1.docker.io'), 'docker.io');
+  assert.throws(() => normalizeRegistryHost(''), (err) => err.code === 'INVALID_INPUT');
+  assert.throws(() => normalizeRegistryHost('bad host;rm'), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('normalizeCredential requires a token on create and keeps the stored one on update', () => {
+  assert.deepStrictEqual(normalizeCredential({ host: 'ghcr.io', username: ' ci ', token: 'ghp_x' }), {
+    host: 'ghcr.io', username: 'ci', insecure: false, token: 'ghp_x',
+  });
+  assert.throws(() => normalizeCredential({ host: 'ghcr.io', username: 'ci' }), /token is required/);
+  assert.throws(() => normalizeCredential({ host: 'docker.io', username: 'ci', token: 'x', insecure: true }), /HTTPS/);
+  const previous = { host: 'localhost:5000', username: 'ci', insecure: true };
+  assert.deepStrictEqual(normalizeCredential({ username: 'deploy', token: '' }, previous), {
+    host: 'localhost:5000', username: 'deploy', insecure: true,
+  });
+});
+
+test('buildDockerLoginCommand reads the password from stdin', () => {
+  assert.strictEqual(buildDockerLoginCommand('ghcr.io', 'ci'), "docker login 'ghcr.io' -u 'ci' --password-stdin");
+  assert.strictEqual(buildDockerLoginCommand('docker.io', "o'neil"), "docker login -u 'o'\\''neil' --password-stdin");
+});
@@ -1,7 +1,12 @@
 /**
  * Check container image update availability by comparing local digest with registry.
  * Supports Docker Hub and GHCR (and other OCI registries with same API).
+ *
+ * Functions that talk to a registry take an optional `credential` ({ username, token, insecure })
+ * from the user's registry credentials; with one, requests are authorized through the registry's
+ * own challenge (token auth or Basic auth) instead of anonymously, and `insecure` uses plain HTTP.
  */
+const http = require('http');
 const https = require('https');
 const logger = require('../config/logger');
 
@@ -75,6 +80,112 @@ function getRegistryHost(registry) {
   return registry;
 }
 
+/**
+ * http(s).request options for a registry host ("host" or "host:port").
+ */
+function endpointFor(host, credential = null) {
+  const m = /^(.*):(\d{1,5})$/.exec(host);
+  return {
+    client: credential?.insecure ? http : https,
+    hostname: m ? m[1] : host,
+    port: m ? Number(m[2]) : undefined,
+  };
+}
+
+/**
+ * Parse a WWW-Authenticate header, e.g. `Bearer realm="https://ghcr.io/token",service="ghcr.io"`.
+ * @returns {{ scheme: string, params: Object<string, string> }|null} scheme lowercased
+ */
+function parseAuthChallenge(header) {
+  const m = /^\s*(\w+)\s*(.*)$/.exec(String(header || ''));
+  if (!m) return null;
+  const params = {};
+  const re = /(\w+)="([^"]*)"/g;
+  let p;
+  while ((p = re.exec(m[2])) !== null) params[p[1].toLowerCase()] = p[2];
+  return { scheme: m[1].toLowerCase(), params };
+}
+
+function basicAuth(credential) {
+  return `Basic ${Buffer.from(`${credential.username}:${credential.token}`).toString('base64')}`;
+}
+
+/**
+ * GET a URL and return { statusCode, headers, body }. Never rejects on HTTP status.
+ */
+function simpleGet(client, options) {
+  return new Promise((resolve, reject) => {
+    const req = client.request({ method: 'GET', ...options }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.setTimeout(15000, () => { req.destroy(); reject(new Error('Registry request timeout')); });
+    req.end();
+  });
+}
+
+/**
+ * Authorization header for pulling `path` (or for the registry itself when path is null) with a
+ * credential. Follows the challenge the registry returns for /v2/: a Bearer challenge (Docker
+ * Hub, GHCR, Harbor) is answered by fetching a token from its realm with Basic auth, a Basic
+ * challenge (registry:2 with htpasswd) by Basic auth directly.
+ * @returns {Promise<string|null>} null when the registry needs no auth
+ * @throws {Error} when the registry or its token service rejects the credential
+ */
+async function authorizationFor(host, path, credential) {
+  const endpoint = endpointFor(host, credential);
+  const ping = await simpleGet(endpoint.client, { hostname: endpoint.hostname, port: endpoint.port, path: '/v2/' });
+  if (ping.statusCode !== 401) return null;
+  const challenge = parseAuthChallenge(ping.headers['www-authenticate']);
+  if (!challenge || challenge.scheme === 'basic') return basicAuth(credential);
+  if (challenge.scheme !== 'bearer' || !challenge.params.realm) throw new Error(`Unsupported registry auth: ${challenge.scheme}`);
+
+  const realm = new URL(challenge.params.realm);
+  if (challenge.params.service) realm.searchParams.set('service', challenge.params.service);
+  if (path) realm.searchParams.set('scope', `repository:${path}:pull`);
+  const res = await simpleGet(realm.protocol === 'http:' ? http : https, {
+    hostname: realm.hostname,
+    port: realm.port || undefined,
+    path: `${realm.pathname}${realm.search}`,
+    headers: { Authorization: basicAuth(credential) },
+  });
+  if (res.statusCode === 401 || res.statusCode === 403) throw new Error('The registry rejected the credentials');
+  if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`Token service returned ${res.statusCode}`);
+  let json;
+  try {
+    json = JSON.parse(res.body);
+  } catch (e) {
+    throw new Error('Could not parse the token service response');
+  }
+  const token = json.token || json.access_token;
+  if (!token) throw new Error('The token service returned no token');
+  return `Bearer ${token}`;
+}
+
+/**
+ * Check a credential: authorize with it and request /v2/, which needs a valid login.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function testCredential(host, credential) {
+  try {
+    const authorization = await authorizationFor(host, null, credential);
+    const endpoint = endpointFor(host, credential);
+    const res = await simpleGet(endpoint.client, {
+      hostname: endpoint.hostname,
+      port: endpoint.port,
+      path: '/v2/',
+      headers: authorization ? { Authorization: authorization } : {},
+    });
+    if (res.statusCode === 401 || res.statusCode === 403) return { success: false, error: 'The registry rejected the credentials' };
+    if (res.statusCode < 200 || res.statusCode >= 300) return { success: false, error: `Registry returned ${res.statusCode}` };
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 const MANIFEST_ACCEPT = [
   'application/vnd.docker.distribution.manifest.list.v2+json',
   'application/vnd.docker.distribution.manifest.v2+json',
@@ -104,21 +215,23 @@ function collectDigestsFromManifest(manifest, headerDigest) {
 /**
  * Make HEAD or GET manifest request and return digest and/or body.
  */
-function doManifestRequest(host, urlPath, token, isDockerHub, method) {
+function doManifestRequest(host, urlPath, authorization, isDockerHub, method, credential = null) {
+  const { client, hostname, port } = endpointFor(host, credential);
   const options = {
-    hostname: host,
+    hostname,
+    port,
     path: urlPath,
     method,
     headers: {
       Accept: MANIFEST_ACCEPT,
     },
   };
-  if (token) {
-    options.headers.Authorization = `Bearer ${token}`;
+  if (authorization) {
+    options.headers.Authorization = authorization;
   }
 
   return new Promise((resolve) => {
-    const req = https.request(options, (res) => {
+    const req = client.request(options, (res) => {
       if (res.statusCode === 401 && isDockerHub && res.headers['www-authenticate']) {
         req.destroy();
         resolve(null);
@@ -161,25 +274,34 @@ function doManifestRequest(host, urlPath, token, isDockerHub, method) {
  * Fetch registry digests for a tag (manifest list index + per-platform manifests).
  * Some registries (e.g. ghcr.io) only return the digest on GET.
  */
-async function getRemoteDigestsForComparison(registry, path, tag, token = null) {
+async function getRemoteDigestsForComparison(registry, path, tag, token = null, { credential = null } = {}) {
   const host = getRegistryHost(registry);
   const isDockerHub = host === 'registry-1.docker.io';
   const pathEncoded = path.split('/').map(encodeURIComponent).join('/');
   const tagEncoded = encodeURIComponent(tag);
   const urlPath = `/v2/${pathEncoded}/manifests/${tagEncoded}`;
 
-  const run = async (authToken) => {
+  let authorization = token ? `Bearer ${token}` : null;
+  if (credential) {
+    try {
+      authorization = await authorizationFor(host, path, credential);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  const run = async (auth) => {
     const digests = new Set();
     let displayDigest = null;
 
-    const head = await doManifestRequest(host, urlPath, authToken, isDockerHub, 'HEAD');
+    const head = await doManifestRequest(host, urlPath, auth, isDockerHub, 'HEAD', credential);
     if (head && head.error) return head;
     if (head && head.digest) {
       displayDigest = head.digest;
       digests.add(normalizeDigest(head.digest));
     }
 
-    const get = await doManifestRequest(host, urlPath, authToken, isDockerHub, 'GET');
+    const get = await doManifestRequest(host, urlPath, auth, isDockerHub, 'GET', credential);
     if (get && get.error) return get;
     if (get && get.body) {
       try {
@@ -205,11 +327,11 @@ async function getRemoteDigestsForComparison(registry, path, tag, token = null)
     };
   };
 
-  let result = await run(token);
-  if (result === null && isDockerHub) {
+  let result = await run(authorization);
+  if (result === null && isDockerHub && !credential) {
     try {
       const t = await getDockerHubToken(path);
-      result = await run(t);
+      result = await run(`Bearer ${t}`);
     } catch (e) {
       return { error: e.message };
     }
@@ -227,11 +349,11 @@ function getRemoteDigest(registry, path, tag, token = null) {
 
 /**
  * Check if a container's image has an update available by comparing local digest(s) to registry.
- * @param {object} opts - { localDigest|localDigests, imageRef }
+ * @param {object} opts - { localDigest|localDigests, imageRef, credential? }
  * @returns {Promise<{ updateAvailable: boolean, remoteDigest?: string, error?: string }>}
  */
 async function checkUpdateAvailable(opts) {
-  const { localDigest, localDigests, imageRef } = opts;
+  const { localDigest, localDigests, imageRef, credential = null } = opts;
   const localList = [];
   if (Array.isArray(localDigests)) {
     for (const d of localDigests) {
@@ -255,7 +377,7 @@ async function checkUpdateAvailable(opts) {
   }
 
   let token = null;
-  if (getRegistryHost(parsed.registry) === 'registry-1.docker.io') {
+  if (!credential && getRegistryHost(parsed.registry) === 'registry-1.docker.io') {
     try {
       token = await getDockerHubToken(parsed.path);
     } catch (e) {
@@ -263,7 +385,7 @@ async function checkUpdateAvailable(opts) {
     }
   }
 
-  const result = await getRemoteDigestsForComparison(parsed.registry, parsed.path, parsed.tag, token);
+  const result = await getRemoteDigestsForComparison(parsed.registry, parsed.path, parsed.tag, token, { credential });
   if (result.error) {
     return { updateAvailable: false, error: result.error };
   }
@@ -489,20 +611,22 @@ const TAGS_MAX_TOTAL = 5000;
 /**
  * Fetch one page of tags (Docker Registry V2 tags/list). Use last= for next page.
  */
-function listTagsPage(host, pathEncoded, token, last = null) {
+function listTagsPage(host, pathEncoded, authorization, last = null, credential = null) {
   let urlPath = `/v2/${pathEncoded}/tags/list?n=${TAGS_PAGE_SIZE}`;
   if (last) urlPath += `&last=${encodeURIComponent(last)}`;
+  const { client, hostname, port } = endpointFor(host, credential);
   const options = {
-    hostname: host,
+    hostname,
+    port,
     path: urlPath,
     method: 'GET',
     headers: { Accept: 'application/json' },
   };
-  if (token) {
-    options.headers.Authorization = `Bearer ${token}`;
+  if (authorization) {
+    options.headers.Authorization = authorization;
   }
   return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
+    const req = client.request(options, (res) => {
       let data = '';
       res.on('data', (chunk) => { data += chunk; });
       res.on('end', () => {
@@ -525,16 +649,16 @@ function listTagsPage(host, pathEncoded, token, last = null) {
  * List tags for a repository (Docker Hub and GHCR), with pagination so we get all tags.
  * @returns {Promise<{ tags: string[] } | { error: string }>}
  */
-function listTags(registry, path, token = null) {
+function listTags(registry, path, token = null, { credential = null } = {}) {
   const host = getRegistryHost(registry);
   const isDockerHub = host === 'registry-1.docker.io';
   const pathEncoded = path.split('/').map(encodeURIComponent).join('/');
 
   /** Paginate: collect all tags by following last= until we get a short page or hit limit. */
-  function fetchAllPages(t) {
+  function fetchAllPages(authorization) {
     const allTags = [];
     function nextPage(last = null) {
-      return listTagsPage(host, pathEncoded, t, last).then(({ tags }) => {
+      return listTagsPage(host, pathEncoded, authorization, last, credential).then(({ tags }) => {
         allTags.push(...tags);
         if (tags.length >= TAGS_PAGE_SIZE && allTags.length < TAGS_MAX_TOTAL && tags.length > 0) {
           return nextPage(tags[tags.length - 1]);
@@ -545,6 +669,12 @@ function listTags(registry, path, token = null) {
     return nextPage();
   }
 
+  if (credential) {
+    return authorizationFor(host, path, credential)
+      .then((authorization) => fetchAllPages(authorization))
+      .catch((e) => ({ error: e.message }));
+  }
+
   return new Promise((resolve) => {
     const req = https.request({
       hostname: host,
@@ -554,7 +684,7 @@ function listTags(registry, path, token = null) {
     }, (res) => {
       if (res.statusCode === 401 && res.headers['www-authenticate']) {
         res.resume();
-        const onToken = (t) => fetchAllPages(t).then(resolve).catch((e) => resolve({ error: e.message }));
+        const onToken = (t) => fetchAllPages(t ? `Bearer ${t}` : null).then(resolve).catch((e) => resolve({ error: e.message }));
         if (isDockerHub) {
           getDockerHubToken(path).then(onToken).catch((e) => resolve({ error: e.message }));
         } else {
@@ -570,7 +700,7 @@ function listTags(registry, path, token = null) {
           const first = Array.isArray(json.tags) ? json.tags : [];
           const allTags = [...first];
           function nextPage(last) {
-            return listTagsPage(host, pathEncoded, token, last).then(({ tags }) => {
+            return listTagsPage(host, pathEncoded, token ? `Bearer ${token}` : null, last).then(({ tags }) => {
               allTags.push(...tags);
               if (tags.length >= TAGS_PAGE_SIZE && allTags.length < TAGS_MAX_TOTAL && tags.length > 0) {
                 return nextPage(tags[tags.length - 1]);
@@ -596,6 +726,9 @@ function listTags(registry, path, token = null) {
 
 module.exports = {
   parseImageRef,
+  parseAuthChallenge,
+  authorizationFor,
+  testCredential,
   normalizeDigest,
   getRemoteDigest,
   getRemoteDigestsForComparison,
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  parseAuthChallenge,
+  authorizationFor,
+  testCredential,
+  checkUpdateAvailable,
+  listTags,
+} = require('./registry.service');
+
+const DIGEST = 'sha256:aaaa';
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+
+/**
+ * A plain-HTTP registry in the shape of registry:2: Basic auth (htpasswd) or token auth, where
+ * /token hands out a bearer token for a valid Basic login. One private repository, team/app.
+ */
+async function startRegistry(mode) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const auth = req.headers.authorization;
+    const ok = mode === 'basic' ? auth === basic('ci', 's3cret') : auth === 'Bearer issued-token';
+    if (url.pathname === '/token') {
+      if (req.headers.authorization !== basic('ci', 's3cret')) { res.writeHead(401); res.end(); return; }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token: 'issued-token', scope: url.searchParams.get('scope') }));
+      return;
+    }
+    if (!ok) {
+      const challenge = mode === 'basic'
+        ? 'Basic realm="Registry Realm"'
+        : `Bearer realm="http://127.0.0.1:${server.address().port}/token",service="fake-registry"`;
+      res.writeHead(401, { 'WWW-Authenticate': challenge });
+      res.end();
+      return;
+    }
+    if (url.pathname === '/v2/') { res.writeHead(200); res.end('{}'); return; }
+    if (url.pathname === '/v2/team/app/manifests/1.0') {
+      res.writeHead(200, { 'Docker-Content-Digest': DIGEST, 'Content-Type': 'application/vnd.oci.image.manifest.v1+json' });
+      res.end(req.method === 'HEAD' ? undefined : JSON.stringify({ schemaVersion: 2 }));
+      return;
+    }
+    if (url.pathname === '/v2/team/app/tags/list') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ name: 'team/app', tags: ['1.0', '1.1'] }));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, host: `127.0.0.1:${server.address().port}` };
+}
+
+const credential = { username: 'ci', token: 's3cret', insecure: true };
+
+test('parseAuthChallenge reads scheme and parameters', () => {
+  assert.deepStrictEqual(parseAuthChallenge('Bearer realm="https://ghcr.io/token",service="ghcr.io",scope="repository:a/b:pull"'), {
+    scheme: 'bearer',
+    params: { realm: 'https://ghcr.io/token', service: 'ghcr.io', scope: 'repository:a/b:pull' },
+  });
+  assert.deepStrictEqual(parseAuthChallenge('Basic realm="Registry Realm"'), { scheme: 'basic', params: { realm: 'Registry Realm' } });
+  assert.strictEqual(parseAuthChallenge(''), null);
+});
+
+for (const mode of ['basic', 'bearer']) {
+  test(`${mode} auth: credentials are tested and used for manifests and tags`, async (t) => {
+    const { server, host } = await startRegistry(mode);
+    t.after(() => server.close());
+
+    const authorization = await authorizationFor(host, 'team/app', credential);
+    assert.strictEqual(authorization, mode === 'basic' ? basic('ci', 's3cret') : 'Bearer issued-token');
+
+    assert.deepStrictEqual(await testCredential(host, credential), { success: true });
+    const rejected = await testCredential(host, { ...credential, token: 'wrong' });
+    assert.strictEqual(rejected.success, false);
+    assert.match(rejected.error, /rejected/);
+
+    const current = await checkUpdateAvailable({ localDigests: [DIGEST], imageRef: `${host}/team/app:1.0`, credential });
+    assert.deepStrictEqual(current, { updateAvailable: false, remoteDigest: DIGEST });
+    const outdated = await checkUpdateAvailable({ localDigests: ['sha256:bbbb'], imageRef: `${host}/team/app:1.0`, credential });
+    assert.strictEqual(outdated.updateAvailable, true);
+
+    assert.deepStrictEqual(await listTags(host, 'team/app', null, { credential }), { tags: ['1.0', '1.1'] });
+  });
+}
@@ -143,12 +143,15 @@ class SSHService {
           });
         });
 
+        // options.onData sees output as it arrives (stdout and stderr interleaved)
         stream.on('data', (data) => {
           stdout += data.toString();
+          if (options.onData) options.onData(data, 'stdout');
         });
 
         stream.stderr.on('data', (data) => {
           stderr += data.toString();
+          if (options.onData) options.onData(data, 'stderr');
         });
       });
     });
@@ -212,6 +215,74 @@ class SSHService {
     });
   }
 
+  /**
+   * Run a command with binary stdio piped to Node streams, for transfers too large to buffer
+   * (e.g. volume archives): stdout is written to options.stdout (backpressure respected, not
+   * ended), options.stdin is piped into the command. Resolves when the command exits.
+   * @param {object} options - { stdout?: Writable, stdin?: Readable, timeout?: number, allowFailure?: boolean }
+   * @returns {Promise<{ stderr: string, code: number }>}
+   */
+  async executePiped(server, command, options = {}) {
+    const ssh = await this.connect(server);
+    const timeout = options.timeout || 3600000;
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      let streamClosed = false;
+
+      ssh.exec(command, { cwd: '/', pty: false }, (err, stream) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const fail = (error) => {
+          if (timeoutId) clearTimeout(timeoutId);
+          if (streamClosed) return;
+          streamClosed = true;
+          stream.close();
+          reject(error);
+        };
+        timeoutId = setTimeout(() => fail(new Error(`Command timed out after ${timeout}ms`)), timeout);
+
+        let stderr = '';
+        stream.stderr.on('data', (data) => {
+          if (stderr.length < 10000) stderr += data.toString();
+        });
+
+        const { stdout, stdin } = options;
+        if (stdout) {
+          stream.on('data', (chunk) => {
+            if (!stdout.write(chunk)) {
+              stream.pause();
+              stdout.once('drain', () => stream.resume());
+            }
+          });
+          stdout.on('error', fail);
+        } else {
+          stream.resume();
+        }
+        if (stdin) {
+          stdin.on('error', fail);
+          stdin.pipe(stream);
+        } else {
+          stream.end();
+        }
+
+        stream.on('close', (code) => {
+          if (timeoutId) clearTimeout(timeoutId);
+          if (streamClosed) return;
+          streamClosed = true;
+          if (code !== 0 && !options.allowFailure) {
+            reject(new Error(`Command failed: ${stderr.trim() || `exit code ${code}`}`));
+            return;
+          }
+          resolve({ stderr, code });
+        });
+      });
+    });
+  }
+
   async executeStream(server, command, onData, onError) {
     const ssh = await this.connect(server);
     
@@ -239,6 +310,41 @@ class SSHService {
     });
   }
 
+  /**
+   * Open an interactive PTY channel for terminal sessions. With a command the channel runs
+   * that command under a PTY (e.g. `docker exec -it ...`); without one it opens a login shell.
+   * The caller owns the returned stream: write input to it, call setWindow() on resize and
+   * close() when the session ends.
+   * @param {object} server - Server model
+   * @param {string|null} command - Command to run, or null for the user's shell
+   * @param {{ cols?: number, rows?: number, term?: string }} options
+   */
+  async openPty(server, command, options = {}) {
+    const ssh = await this.connect(server);
+    const pty = {
+      term: options.term || 'xterm-256color',
+      cols: options.cols || 80,
+      rows: options.rows || 24,
+    };
+
+    return new Promise((resolve, reject) => {
+      const onChannel = (err, stream) => {
+        if (err) {
+          const host = typeof server.getEffectiveHost === 'function' ? server.getEffectiveHost() : server.host;
+          logger.error(`Failed to open PTY on ${host}:`, err);
+          reject(err);
+          return;
+        }
+        resolve(stream);
+      };
+      if (command) {
+        ssh.exec(command, { pty }, onChannel);
+      } else {
+        ssh.shell(pty, onChannel);
+      }
+    });
+  }
+
   /**
    * Returns true if the current connection for this server was established via fallback
    * (Tailscale IP was unreachable, so we connected to server.host). Used to report "Tailscale not working" in the UI.
@@ -0,0 +1,187 @@
+/**
+ * Live progress of a stack deploy: the compose pull/up output is split into lines, each line is
+ * matched to a service to track its state (pending, pulling, pulled, creating, created, starting,
+ * started, failed), and lines plus state changes are pushed to the stack owner's sockets:
+ *
+ *   stack:deploy:started  { stackId, deployId, services }
+ *   stack:deploy:output   { stackId, deployId, lines, services }
+ *   stack:deploy:finished { stackId, deployId, success, services, revision }
+ *
+ * The full transcript is kept for the deploy's revision record.
+ */
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { parseComposeServices } = require('./stack.builders');
+const { emitToUser } = require('../config/socket');
+
+const MAX_TRANSCRIPT_CHARS = 2 * 1024 * 1024;
+const TRUNCATED_MARKER = '[earlier output truncated]\n';
+const TRANSITIONAL_STATES = new Set(['pulling', 'creating', 'starting']);
+
+// Compose event word -> service state
+const PULL_EVENTS = { Pulling: 'pulling', Pulled: 'pulled', Skipped: 'pulled', Error: 'failed' };
+const CONTAINER_EVENTS = {
+  Creating: 'creating',
+  Recreate: 'creating',
+  Created: 'created',
+  Recreated: 'created',
+  Starting: 'starting',
+  Waiting: 'starting',
+  Started: 'started',
+  Running: 'started',
+  Healthy: 'started',
+  Error: 'failed',
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+// Status glyphs newer compose versions put in front of events (✔ ✘ and spinner frames)
+const GLYPH_PATTERN = /^[\s✔✘⠀-⣿[\]+]*/;
+
+/**
+ * Parses compose output for one deploy. Pure: no sockets, so it can be fed text in tests.
+ * @param {{ project: string, composeYaml: string }} options
+ */
+function createDeployTracker({ project, composeYaml }) {
+  const states = new Map();
+  const byContainerName = new Map();
+  for (const s of parseComposeServices(composeYaml) || []) {
+    if (!s.inactive) states.set(s.name, 'pending');
+    if (s.containerName) byContainerName.set(s.containerName, s.name);
+  }
+
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  let transcript = '';
+  let truncated = false;
+
+  // <project>-<service>-<n> (or underscores with Compose v1 naming), or an explicit container_name
+  const serviceOfContainer = (name) => {
+    if (byContainerName.has(name)) return byContainerName.get(name);
+    for (const sep of ['-', '_']) {
+      if (!name.startsWith(`${project}${sep}`)) continue;
+      const rest = name.slice(project.length + 1).replace(/[-_]\d+$/, '');
+      if (rest) return rest;
+    }
+    return null;
+  };
+
+  const setState = (service, state) => {
+    if (states.get(service) === state) return false;
+    states.set(service, state);
+    return true;
+  };
+
+  const applyLine = (line) => {
+    const text = line.replace(GLYPH_PATTERN, '');
+    let m = /^Container\s+(\S+)\s+([A-Z][a-z]+)\b/.exec(text);
+    if (m) {
+      const service = serviceOfContainer(m[1]);
+      const state = CONTAINER_EVENTS[m[2]];
+      if (service && state) return setState(service, state);
+      return false;
+    }
+    m = /^(\S+)\s+([A-Z][a-z]+)\b/.exec(text);
+    if (m && states.has(m[1]) && PULL_EVENTS[m[2]]) return setState(m[1], PULL_EVENTS[m[2]]);
+    return false;
+  };
+
+  const appendTranscript = (text) => {
+    transcript += text;
+    // Trim in steps so a long deploy does not copy the whole transcript on every chunk
+    if (transcript.length > MAX_TRANSCRIPT_CHARS * 1.25) {
+      transcript = transcript.slice(transcript.length - MAX_TRANSCRIPT_CHARS);
+      truncated = true;
+    }
+  };
+
+  const services = () => [...states].map(([service, state]) => ({ service, state }));
+
+  const consume = (lines) => {
+    const out = [];
+    let changed = false;
+    for (const raw of lines) {
+      const line = raw.replace(ANSI_PATTERN, '').replace(/\s+$/, '');
+      if (!line) continue;
+      out.push(line);
+      if (applyLine(line)) changed = true;
+    }
+    return { lines: out, changed };
+  };
+
+  return {
+    services,
+
+    /**
+     * Feed an output chunk.
+     * @returns {{ lines: string[], changed: boolean }} complete lines in this chunk, and whether a service state changed
+     */
+    write(chunk) {
+      const text = Buffer.isBuffer(chunk) ? decoder.write(chunk) : String(chunk);
+      appendTranscript(text);
+      const parts = (partial + text).split(/\r\n|\r|\n/);
+      partial = parts.pop();
+      return consume(parts);
+    },
+
+    /**
+     * End of output. On failure, services caught mid-step are marked failed.
+     * @returns {{ lines: string[], changed: boolean }}
+     */
+    end(success) {
+      const rest = decoder.end();
+      if (rest) appendTranscript(rest);
+      const result = consume([partial + rest]);
+      partial = '';
+      if (!success) {
+        for (const [service, state] of states) {
+          if (TRANSITIONAL_STATES.has(state)) {
+            states.set(service, 'failed');
+            result.changed = true;
+          }
+        }
+      }
+      return result;
+    },
+
+    transcript() {
+      return truncated ? TRUNCATED_MARKER + transcript : transcript;
+    },
+  };
+}
+
+/**
+ * Track one deploy of `stack` and stream it to the stack owner's sockets.
+ * @param {object} stack - Stack with `server` loaded
+ */
+function startDeployProgress(stack) {
+  const deployId = crypto.randomUUID();
+  const userId = stack.server?.userId;
+  const tracker = createDeployTracker({ project: stack.name, composeYaml: stack.composeYaml });
+  const base = () => ({ stackId: stack.id, deployId, services: tracker.services() });
+  const publish = ({ lines, changed }) => {
+    if (lines.length || changed) emitToUser(userId, 'stack:deploy:output', { ...base(), lines });
+  };
+
+  emitToUser(userId, 'stack:deploy:started', base());
+
+  return {
+    deployId,
+    onOutput: (chunk) => publish(tracker.write(chunk)),
+
+    /**
+     * Stop reading output; returns what the revision record keeps.
+     * @returns {{ transcript: string, services: Array<{ service: string, state: string }> }}
+     */
+    complete(success) {
+      publish(tracker.end(success));
+      return { transcript: tracker.transcript(), services: tracker.services() };
+    },
+
+    /** Tell the sockets the deploy is over (after the outcome is stored). */
+    finished(success, revision) {
+      emitToUser(userId, 'stack:deploy:finished', { ...base(), success, revision: revision ?? null });
+    },
+  };
+}
+
+module.exports = { createDeployTracker, startDeployProgress };
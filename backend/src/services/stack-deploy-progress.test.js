@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDeployTracker } = require('./stack-deploy-progress');
+
+const composeYaml = [
+  'services:',
+  '  web:',
+  '    image: nginx',
+  '  db:',
+  '    image: postgres',
+  '    container_name: shared-db',
+  '  debug:',
+  '    image: busybox',
+  '    profiles: [tools]',
+].join('\n');
+
+const stateOf = (tracker) => Object.fromEntries(tracker.services().map((s) => [s.service, s.state]));
+
+test('tracks pull and container events per service across chunk boundaries', () => {
+  const tracker = createDeployTracker({ project: 'demo', composeYaml });
+  assert.deepStrictEqual(stateOf(tracker), { db: 'pending', web: 'pending' });
+
+  let out = tracker.write(' web Pulling \n 7d2a1c Pulling fs layer\n web Pul');
+  assert.deepStrictEqual(out.lines, [' web Pulling', ' 7d2a1c Pulling fs layer']);
+  assert.strictEqual(out.changed, true);
+  assert.strictEqual(stateOf(tracker).web, 'pulling');
+
+  out = tracker.write(Buffer.from('led \n Network demo_default  Created\n Container shared-db  Started\n'));
+  assert.strictEqual(out.lines[0], ' web Pulled');
+  // Newer compose prefixes status glyphs
+  tracker.write(' ✔ Container demo-web-1  Created\n');
+  assert.deepStrictEqual(stateOf(tracker), { db: 'started', web: 'created' });
+
+  tracker.write(' Container demo-web-1  Starting');
+  assert.strictEqual(stateOf(tracker).web, 'created');
+  out = tracker.end(false);
+  assert.deepStrictEqual(out.lines, [' Container demo-web-1  Starting']);
+  assert.deepStrictEqual(stateOf(tracker), { db: 'started', web: 'failed' });
+  assert.match(tracker.transcript(), /web Pulled \n Network demo_default {2}Created/);
+});
+
+test('ignores ANSI colour codes and unknown containers', () => {
+  const tracker = createDeployTracker({ project: 'demo', composeYaml });
+  const out = tracker.write('\x1b[32m Container demo-web-1  Running\x1b[0m\n Container other-app-1  Started\n');
+  assert.deepStrictEqual(out.lines, [' Container demo-web-1  Running', ' Container other-app-1  Started']);
+  assert.deepStrictEqual(stateOf(tracker), { db: 'pending', web: 'started' });
+  assert.strictEqual(tracker.end(true).changed, false);
+});
@@ -0,0 +1,204 @@
+/**
+ * Compose drift detection: compares what is on the host (compose.yaml and .env in the stack's
+ * deployPath, and the services `docker compose ps` reports) with the stack stored in DockerFleet.
+ * Runs periodically for deployed stacks; the API can also check one stack on demand and resolve
+ * drift by adopting the host files or re-applying the stored version.
+ */
+const { Stack, StackEnvVar, Server } = require('../models');
+const stackService = require('./stack.service');
+const { parseEnvFile, parseComposeServices, parseComposeContainers } = require('./stack.builders');
+const { flagSecret } = require('../utils/stackEnv');
+const { secretDigest } = require('./stack-revision.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+let intervalId = null;
+let running = false;
+
+function normalizeText(text) {
+  return String(text ?? '').replace(/\r\n/g, '\n').replace(/\s+$/, '');
+}
+
+/**
+ * Services compose is expected to run: every service in every YAML document, except services
+ * behind a profile and services scaled to zero.
+ * @returns {string[]|null} null when the YAML cannot be parsed
+ */
+function expectedServices(composeYaml) {
+  const services = parseComposeServices(composeYaml);
+  return services ? services.filter((s) => !s.inactive).map((s) => s.name) : null;
+}
+
+/**
+ * The parts of `docker compose ps --format json` the comparison uses.
+ * @returns {Array<{ service: string, name: string, state: string, exitCode: number|null }>}
+ */
+function parseComposePs(text) {
+  return parseComposeContainers(text).map(({ service, name, state, exitCode }) => ({ service, name, state, exitCode }));
+}
+
+/**
+ * @param {string[]} expected - from expectedServices
+ * @param {Array} containers - from parseComposePs
+ * @returns {{ missing: string[], unexpected: string[], notRunning: Array<{ service: string, name: string, state: string }> }}
+ */
+function compareServices(expected, containers) {
+  const present = new Set(containers.map((c) => c.service));
+  const expectedSet = new Set(expected);
+  return {
+    missing: expected.filter((s) => !present.has(s)),
+    unexpected: [...present].filter((s) => !expectedSet.has(s)).sort(),
+    // One-shot services that exited cleanly are finished, not drifted
+    notRunning: containers
+      .filter((c) => expectedSet.has(c.service) && c.state !== 'running' && !(c.state === 'exited' && c.exitCode === 0))
+      .map((c) => ({ service: c.service, name: c.name, state: c.state })),
+  };
+}
+
+/**
+ * Keys added on the host, removed on the host, or with a different value. Values are never
+ * included so the summary can be stored and returned as is.
+ * @param {Array<{ key: string, value: string }>} storedRows - plain values
+ * @param {Array<{ key: string, value: string }>|null} hostRows - null when the host has no .env
+ */
+function compareEnv(storedRows, hostRows) {
+  const stored = new Map(storedRows.map((r) => [r.key, String(r.value ?? '').trim()]));
+  const host = new Map((hostRows || []).map((r) => [r.key, String(r.value ?? '').trim()]));
+  const changes = [];
+  for (const [key, value] of stored) {
+    if (!host.has(key)) changes.push({ key, change: 'removed' });
+    else if (host.get(key) !== value) changes.push({ key, change: 'changed' });
+  }
+  for (const key of host.keys()) {
+    if (!stored.has(key)) changes.push({ key, change: 'added' });
+  }
+  return changes.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/** Env rows in the shape the revision diff uses: secrets carry only a fingerprint. */
+function envForDiff(rows, secretKeys) {
+  return rows.map((r) => {
+    const isSecret = secretKeys.has(r.key) || flagSecret(r.key);
+    return isSecret
+      ? { key: r.key, value: null, isSecret: true, digest: secretDigest(r.value) }
+      : { key: r.key, value: r.value, isSecret: false, digest: null };
+  });
+}
+
+/**
+ * Compare one stack with its host.
+ * @param {object} stack - Stack with `server` and `envVars` loaded
+ * @returns {Promise<{ summary: object, hostComposeYaml: string|null, hostEnvRows: Array|null }>}
+ */
+async function checkStack(stack) {
+  const { server } = stack;
+  const composePath = `${stack.deployPath}/compose.yaml`;
+  const envPath = `${stack.deployPath}/.env`;
+  const files = await stackService.readRemoteFiles(server, [composePath, envPath]);
+  const hostComposeYaml = files[composePath];
+  const hostEnvRows = files[envPath] === null ? null : parseEnvFile(files[envPath]);
+  const storedRows = stackService.decryptRows(stack.envVars);
+
+  const summary = {
+    composeMissing: hostComposeYaml === null,
+    composeChanged: hostComposeYaml !== null && normalizeText(hostComposeYaml) !== normalizeText(stack.composeYaml),
+    envMissing: hostEnvRows === null && storedRows.length > 0,
+    envChanges: compareEnv(storedRows, hostEnvRows),
+    services: null,
+    servicesError: null,
+  };
+
+  const expected = expectedServices(stack.composeYaml);
+  if (!expected) {
+    summary.servicesError = 'Stored compose YAML could not be parsed';
+  } else {
+    try {
+      summary.services = compareServices(expected, await stackService.listComposeContainers(server, stack));
+    } catch (e) {
+      summary.servicesError = e.message;
+    }
+  }
+
+  const s = summary.services;
+  const drifted = summary.composeMissing || summary.composeChanged || summary.envMissing || summary.envChanges.length > 0
+    || (s && (s.missing.length || s.unexpected.length || s.notRunning.length));
+  summary.status = drifted ? 'drifted' : (summary.servicesError ? 'unknown' : 'in-sync');
+  return { summary, hostComposeYaml, hostEnvRows };
+}
+
+/** Store a check result on the stack (the summary holds no env values). */
+async function saveCheck(stack, summary) {
+  stack.driftStatus = summary.status;
+  stack.driftCheckedAt = new Date();
+  stack.drift = summary;
+  await stack.save();
+}
+
+async function checkAndSave(stack) {
+  try {
+    const { summary } = await checkStack(stack);
+    if (summary.status === 'drifted' && stack.driftStatus !== 'drifted') {
+      logger.warn(`Stack drift: ${stack.name} on ${stack.server.name || stack.server.host} differs from DockerFleet`);
+    }
+    await saveCheck(stack, summary);
+  } catch (e) {
+    // Unreachable host: keep the last known comparison but say it could not be refreshed
+    logger.warn(`Stack drift check failed for ${stack.name}: ${e.message}`);
+    await saveCheck(stack, { ...(stack.drift || {}), status: 'unknown', error: e.message });
+  }
+}
+
+async function runScheduledCheck() {
+  if (running) return;
+  running = true;
+  try {
+    // Stopped or never deployed stacks have nothing on the host to compare
+    const stacks = await Stack.findAll({
+      where: { lastDeployStatus: 'deployed' },
+      include: [{ model: StackEnvVar, as: 'envVars' }, { model: Server, as: 'server' }],
+    });
+    for (const stack of stacks) {
+      if (!stack.server) continue;
+      await checkAndSave(stack);
+    }
+  } catch (e) {
+    logger.error('Stack drift check failed:', e);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (intervalId) {
+    logger.warn('Stack drift service already running');
+    return;
+  }
+  const cfg = config.stackDriftCheck;
+  if (!cfg.enabled) {
+    logger.info('Stack drift check disabled via config');
+    return;
+  }
+  logger.info(`Starting stack drift check (interval: ${Math.round(cfg.intervalMs / 60000)}m)`);
+  intervalId = setInterval(runScheduledCheck, cfg.intervalMs);
+}
+
+function stop() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    logger.info('Stack drift service stopped');
+  }
+}
+
+module.exports = {
+  expectedServices,
+  parseComposePs,
+  compareServices,
+  compareEnv,
+  envForDiff,
+  checkStack,
+  saveCheck,
+  runScheduledCheck,
+  start,
+  stop,
+};
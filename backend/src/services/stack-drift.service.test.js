@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const {
+  expectedServices, parseComposePs, compareServices, compareEnv, checkStack,
+} = require('./stack-drift.service');
+const { storeValue } = require('../utils/stackEnv');
+
+test('expectedServices reads every document and skips profiles and zero replicas', () => {
+  const yamlText = [
+    'services:',
+    '  web:',
+    '    image: nginx',
+    '  debug:',
+    '    image: busybox',
+    '    profiles: [debug]',
+    '---',
+    'services:',
+    '  worker:',
+    '    image: app',
+    '    deploy:',
+    '      replicas: 0',
+    '  db:',
+    '    image: postgres',
+  ].join('\n');
+  assert.deepStrictEqual(expectedServices(yamlText), ['db', 'web']);
+  assert.strictEqual(expectedServices('services: [unclosed'), null);
+});
+
+test('parseComposePs accepts a JSON array and one object per line', () => {
+  const row = { Service: 'web', Name: 'demo-web-1', State: 'running', ExitCode: 0 };
+  assert.deepStrictEqual(parseComposePs(JSON.stringify([row])), [{ service: 'web', name: 'demo-web-1', state: 'running', exitCode: 0 }]);
+  const lines = `${JSON.stringify(row)}\n${JSON.stringify({ ...row, Service: 'db', Name: 'demo-db-1', State: 'exited', ExitCode: 137 })}\n`;
+  assert.strictEqual(parseComposePs(lines).length, 2);
+  assert.deepStrictEqual(parseComposePs(''), []);
+});
+
+test('compareServices reports missing, unexpected and stopped services', () => {
+  const out = compareServices(['db', 'migrate', 'web'], [
+    { service: 'web', name: 'demo-web-1', state: 'running', exitCode: 0 },
+    { service: 'db', name: 'demo-db-1', state: 'exited', exitCode: 137 },
+    { service: 'adminer', name: 'demo-adminer-1', state: 'running', exitCode: 0 },
+  ]);
+  assert.deepStrictEqual(out.missing, ['migrate']);
+  assert.deepStrictEqual(out.unexpected, ['adminer']);
+  assert.deepStrictEqual(out.notRunning, [{ service: 'db', name: 'demo-db-1', state: 'exited' }]);
+  // A one-shot service that finished cleanly is not drift
+  const done = compareServices(['migrate'], [{ service: 'migrate', name: 'demo-migrate-1', state: 'exited', exitCode: 0 }]);
+  assert.deepStrictEqual(done.notRunning, []);
+});
+
+test('compareEnv lists changed keys without values', () => {
+  const changes = compareEnv(
+    [{ key: 'A', value: '1' }, { key: 'B', value: '2' }, { key: 'C', value: '3' }],
+    [{ key: 'A', value: '1' }, { key: 'B', value: 'edited' }, { key: 'D', value: '4' }]
+  );
+  assert.deepStrictEqual(changes, [
+    { key: 'B', change: 'changed' },
+    { key: 'C', change: 'removed' },
+    { key: 'D', change: 'added' },
+  ]);
+  assert.deepStrictEqual(compareEnv([{ key: 'A', value: '1' }], null), [{ key: 'A', change: 'removed' }]);
+});
+
+test('checkStack flags a host-edited compose file and secret as drifted', async (t) => {
+  const composeYaml = 'services:\n  web:\n    image: nginx:1.25\n';
+  t.mock.method(sshService, 'executeCommand', async (srv, command) => {
+    if (command.includes('compose.yaml')) return { stdout: composeYaml.replace('1.25', '1.27'), stderr: '', code: 0 };
+    if (command.includes('.env')) return { stdout: 'TZ=UTC\nDB_PASSWORD=hunter2\n', stderr: '', code: 0 };
+    if (command.includes(' ps ')) return { stdout: JSON.stringify({ Service: 'web', Name: 'demo-web-1', State: 'running', ExitCode: 0 }), stderr: '', code: 0 };
+    return { stdout: '', stderr: '', code: 1 };
+  });
+  const stack = {
+    name: 'demo',
+    deployPath: '/opt/dockerfleet/stacks/demo',
+    composeYaml,
+    server: { id: 's1', host: 'h' },
+    envVars: [
+      { key: 'TZ', value: 'UTC', isSecret: false },
+      { key: 'DB_PASSWORD', value: storeValue('original', true), isSecret: true },
+    ],
+  };
+  const { summary, hostComposeYaml } = await checkStack(stack);
+  assert.strictEqual(summary.status, 'drifted');
+  assert.strictEqual(summary.composeChanged, true);
+  assert.deepStrictEqual(summary.envChanges, [{ key: 'DB_PASSWORD', change: 'changed' }]);
+  assert.deepStrictEqual(summary.services, { missing: [], unexpected: [], notRunning: [] });
+  assert.match(hostComposeYaml, /1\.27/);
+  assert.ok(!JSON.stringify(summary).includes('hunter2'));
+});
@@ -0,0 +1,249 @@
+/**
+ * Git-backed stacks: the compose file comes from a path on a repository branch. The backend keeps
+ * a shallow local clone per stack under config.gitStacks.cacheDir, fetches the branch on "sync now"
+ * or a push webhook, stores the file as the stack's compose YAML (recorded as a 'sync' revision)
+ * and redeploys. The commit SHA is kept on the stack and on every revision and deployment.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const stackRevisionService = require('./stack-revision.service');
+
+const GIT_TIMEOUT_MS = 120000;
+const MAX_COMPOSE_BYTES = 5 * 1024 * 1024;
+const DEFAULT_COMPOSE_PATH = 'compose.yaml';
+
+// stackId -> promise of the running sync, so a webhook burst cannot run git twice in one clone
+const locks = new Map();
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+function gitError(message) {
+  const err = new Error(message);
+  err.code = 'GIT_FAILED';
+  return err;
+}
+
+function isLocalRepo(url) {
+  return url.startsWith('/') || url.startsWith('file://');
+}
+
+/**
+ * Validate and normalise a stack's Git source.
+ * @param {{ repoUrl: string, branch?: string, composePath?: string }} input
+ * @returns {{ repoUrl: string, branch: string, composePath: string }}
+ */
+function normalizeGitSource(input = {}) {
+  const repoUrl = String(input.repoUrl || '').trim();
+  if (!repoUrl) throwInvalid('Repository URL is required');
+  if (repoUrl.length > 1024 || /[\s\x00-\x1f]/.test(repoUrl) || repoUrl.startsWith('-')) throwInvalid('Invalid repository URL');
+  const remote = /^(https?|ssh|git):\/\/[^/]+/.test(repoUrl) || /^[\w.-]+@[\w.-]+:[^:]/.test(repoUrl);
+  if (!remote) {
+    if (!isLocalRepo(repoUrl)) throwInvalid('Repository URL must be https://, ssh:// or user@host:path');
+    if (!config.gitStacks.allowLocalRepos) throwInvalid('Local repositories are disabled (set GIT_STACKS_ALLOW_LOCAL_REPOS=true)');
+  }
+
+  const branch = String(input.branch || 'main').trim();
+  if (
+    branch.length > 255 || !/^[A-Za-z0-9._/-]+$/.test(branch) || branch.startsWith('-') || branch.startsWith('/')
+    || branch.endsWith('/') || branch.endsWith('.lock') || branch.includes('..') || branch.includes('//')
+  ) {
+    throwInvalid('Invalid branch name');
+  }
+
+  const rawPath = String(input.composePath || DEFAULT_COMPOSE_PATH).trim();
+  const composePath = path.posix.normalize(rawPath).replace(/^\.\//, '');
+  if (
+    composePath.length > 512 || !/^[A-Za-z0-9._/-]+$/.test(composePath) || composePath.startsWith('/')
+    || composePath === '..' || composePath.startsWith('../') || composePath.endsWith('/')
+  ) {
+    throwInvalid('Compose file path must be a relative path inside the repository');
+  }
+  return { repoUrl, branch, composePath };
+}
+
+function repoDir(stackId) {
+  return path.join(config.gitStacks.cacheDir, String(stackId));
+}
+
+/**
+ * Environment for git: never prompt, no system config, only safe transports. HTTPS credentials go
+ * in as an Authorization header through GIT_CONFIG_* so they stay out of argv and .git/config.
+ */
+function gitEnv(credentials) {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME || '/tmp',
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_ALLOW_PROTOCOL: config.gitStacks.allowLocalRepos ? 'https:http:ssh:git:file' : 'https:http:ssh:git',
+    GIT_SSH_COMMAND: 'ssh -o BatchMode=yes -o StrictHostKeyChecking=accept-new',
+  };
+  if (credentials?.token) {
+    const basic = Buffer.from(`${credentials.username || 'git'}:${credentials.token}`).toString('base64');
+    env.GIT_CONFIG_COUNT = '1';
+    env.GIT_CONFIG_KEY_0 = 'http.extraHeader';
+    env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${basic}`;
+  }
+  return env;
+}
+
+function runGit(args, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, env, timeout: GIT_TIMEOUT_MS, maxBuffer: MAX_COMPOSE_BYTES }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = String(stderr || err.message).trim().split('\n').filter(Boolean).slice(-3).join(' ');
+        reject(gitError(`git ${args[0]} failed: ${detail}`));
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+/**
+ * Fetch the branch into the stack's local clone and read the compose file at its head.
+ * @param {string} stackId
+ * @param {{ repoUrl: string, branch: string, composePath: string }} source
+ * @param {{ username?: string, token?: string }|null} credentials
+ * @returns {Promise<{ commit: string, composeYaml: string }>}
+ * @throws {Error} code GIT_FAILED when the repository, branch or file cannot be read
+ */
+async function fetchComposeFile(stackId, source, credentials) {
+  const dir = repoDir(stackId);
+  const env = gitEnv(credentials);
+  if (!fs.existsSync(path.join(dir, 'HEAD'))) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.mkdir(dir, { recursive: true });
+    await runGit(['init', '--quiet', '--bare'], { cwd: dir, env });
+  }
+  const url = source.repoUrl.startsWith('/') ? `file://${source.repoUrl}` : source.repoUrl;
+  await runGit(['fetch', '--quiet', '--depth', '1', '--no-tags', '--', url, `+refs/heads/${source.branch}:refs/heads/${source.branch}`], { cwd: dir, env });
+  const commit = (await runGit(['rev-parse', '--verify', `refs/heads/${source.branch}^{commit}`], { cwd: dir, env })).trim();
+  let composeYaml;
+  try {
+    composeYaml = await runGit(['show', `${commit}:${source.composePath}`], { cwd: dir, env });
+  } catch (err) {
+    throw gitError(`${source.composePath} not found on branch ${source.branch}`);
+  }
+  if (!composeYaml.trim()) throw gitError(`${source.composePath} is empty on branch ${source.branch}`);
+  return { commit, composeYaml };
+}
+
+async function removeClone(stackId) {
+  await fs.promises.rm(repoDir(stackId), { recursive: true, force: true });
+}
+
+function sourceOf(stack) {
+  return { repoUrl: stack.gitRepoUrl, branch: stack.gitBranch, composePath: stack.gitComposePath };
+}
+
+/**
+ * Fetch a Git-backed stack, store a changed compose file as a 'sync' revision and optionally deploy.
+ * @param {object} stack - Stack with `server` loaded
+ * @param {object} [options]
+ * @param {object} [options.user] - Author (absent for webhooks)
+ * @param {boolean} [options.deploy=true]
+ * @param {boolean} [options.pull]
+ * @returns {Promise<{ commit: string, changed: boolean, deploy: object|null }>}
+ */
+async function syncStack(stack, { user, deploy = true, pull } = {}) {
+  if (stack.source !== 'git') throwInvalid('Stack is not backed by a Git repository');
+  const previous = locks.get(stack.id) || Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    let fetched;
+    try {
+      fetched = await fetchComposeFile(stack.id, sourceOf(stack), stack.getGitCredentials());
+    } catch (err) {
+      stack.gitSyncError = err.message;
+      stack.gitSyncedAt = new Date();
+      await stack.save();
+      throw err;
+    }
+    const changed = fetched.commit !== stack.gitCommit || fetched.composeYaml !== stack.composeYaml;
+    stack.composeYaml = fetched.composeYaml;
+    stack.gitCommit = fetched.commit;
+    stack.gitSyncedAt = new Date();
+    stack.gitSyncError = null;
+    await stack.save();
+    if (changed) await stackRevisionService.recordRevision(stack, { kind: 'sync', user });
+    let deployed = null;
+    if (deploy) ({ result: deployed } = await stackRevisionService.deployAndRecord(stack, { user, pull }));
+    return { commit: fetched.commit, changed, deploy: deployed };
+  });
+  locks.set(stack.id, run);
+  try {
+    return await run;
+  } finally {
+    if (locks.get(stack.id) === run) locks.delete(stack.id);
+  }
+}
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Authenticate a push webhook. Accepts a GitHub/Gitea style X-Hub-Signature-256 HMAC of the raw
+ * body, a GitLab X-Gitlab-Token, or the secret as X-DockerFleet-Token / Bearer token.
+ */
+function verifyWebhook({ headers, rawBody }, secret) {
+  if (!secret) return false;
+  const signature = headers['x-hub-signature-256'];
+  if (signature) {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody || Buffer.alloc(0)).digest('hex')}`;
+    return safeEqual(signature, expected);
+  }
+  const token = headers['x-gitlab-token'] || headers['x-dockerfleet-token']
+    || (/^Bearer\s+(.+)$/i.exec(headers.authorization || '') || [])[1];
+  return token ? safeEqual(token, secret) : false;
+}
+
+/**
+ * Branch a push event is for (refs/heads/<branch>), or null when the payload does not say.
+ * Form-encoded GitHub deliveries carry the JSON event in a `payload` field.
+ */
+function pushedBranch(body) {
+  let event = body;
+  if (event && typeof event.payload === 'string') {
+    try {
+      event = JSON.parse(event.payload);
+    } catch (e) {
+      return null;
+    }
+  }
+  const ref = event && typeof event === 'object' ? event.ref : null;
+  if (typeof ref !== 'string') return null;
+  return ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : ref;
+}
+
+/** Run a webhook-triggered sync in the background; failures end up on the stack (gitSyncError). */
+function syncInBackground(stack) {
+  syncStack(stack, { deploy: true }).catch((err) => {
+    logger.warn(`Git sync of stack ${stack.name} failed: ${err.message}`);
+  });
+}
+
+module.exports = {
+  normalizeGitSource,
+  fetchComposeFile,
+  removeClone,
+  syncStack,
+  syncInBackground,
+  generateWebhookSecret,
+  verifyWebhook,
+  pushedBranch,
+};
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  normalizeGitSource, fetchComposeFile, verifyWebhook, pushedBranch,
+} = require('./stack-git.service');
+
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8' });
+}
+
+test('normalizeGitSource validates URL, branch and compose path', () => {
+  assert.deepStrictEqual(
+    normalizeGitSource({ repoUrl: 'https://git.example.com/ops/app.git', branch: 'release/1.x', composePath: './deploy/compose.yaml' }),
+    { repoUrl: 'https://git.example.com/ops/app.git', branch: 'release/1.x', composePath: 'deploy/compose.yaml' }
+  );
+  assert.strictEqual(normalizeGitSource({ repoUrl: 'git@github.com:ops/app.git' }).branch, 'main');
+  assert.throws(() => normalizeGitSource({ repoUrl: '--upload-pack=touch /tmp/x' }), /Invalid repository URL/);
+  assert.throws(() => normalizeGitSource({ repoUrl: 'ext::sh -c id' }), /Invalid repository URL/);
+  assert.throws(() => normalizeGitSource({ repoUrl: 'https://h/r.git', branch: '../main' }), /Invalid branch/);
+  assert.throws(() => normalizeGitSource({ repoUrl: 'https://h/r.git', composePath: '../etc/passwd' }), /relative path/);
+});
+
+test('local repositories need GIT_STACKS_ALLOW_LOCAL_REPOS', (t) => {
+  const previous = process.env.GIT_STACKS_ALLOW_LOCAL_REPOS;
+  t.after(() => {
+    if (previous === undefined) delete process.env.GIT_STACKS_ALLOW_LOCAL_REPOS;
+    else process.env.GIT_STACKS_ALLOW_LOCAL_REPOS = previous;
+  });
+  delete process.env.GIT_STACKS_ALLOW_LOCAL_REPOS;
+  assert.throws(() => normalizeGitSource({ repoUrl: '/srv/git/app.git' }), /Local repositories are disabled/);
+  process.env.GIT_STACKS_ALLOW_LOCAL_REPOS = 'true';
+  assert.strictEqual(normalizeGitSource({ repoUrl: '/srv/git/app.git' }).repoUrl, '/srv/git/app.git');
+});
+
+test('fetchComposeFile clones a local bare repo and follows new commits', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dockerfleet-git-'));
+  const previous = { cache: process.env.GIT_STACKS_CACHE_DIR, local: process.env.GIT_STACKS_ALLOW_LOCAL_REPOS };
+  process.env.GIT_STACKS_CACHE_DIR = path.join(root, 'cache');
+  process.env.GIT_STACKS_ALLOW_LOCAL_REPOS = 'true';
+  t.after(() => {
+    for (const [name, value] of [['GIT_STACKS_CACHE_DIR', previous.cache], ['GIT_STACKS_ALLOW_LOCAL_REPOS', previous.local]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const origin = path.join(root, 'origin.git');
+  const work = path.join(root, 'work');
+  git(root, 'init', '--quiet', '--bare', origin);
+  git(root, 'init', '--quiet', '-b', 'main', work);
+  fs.mkdirSync(path.join(work, 'deploy'));
+  fs.writeFileSync(path.join(work, 'deploy', 'compose.yaml'), 'services:\n  web:\n    image: nginx:1.25\n');
+  git(work, 'add', '.');
+  git(work, 'commit', '--quiet', '-m', 'first');
+  git(work, 'push', '--quiet', origin, 'main');
+  const first = git(work, 'rev-parse', 'HEAD').trim();
+
+  const source = normalizeGitSource({ repoUrl: origin, branch: 'main', composePath: 'deploy/compose.yaml' });
+  const one = await fetchComposeFile('stack-1', source, null);
+  assert.strictEqual(one.commit, first);
+  assert.match(one.composeYaml, /nginx:1\.25/);
+
+  fs.writeFileSync(path.join(work, 'deploy', 'compose.yaml'), 'services:\n  web:\n    image: nginx:1.27\n');
+  git(work, 'commit', '--quiet', '-am', 'bump');
+  git(work, 'push', '--quiet', origin, 'main');
+  const two = await fetchComposeFile('stack-1', source, null);
+  assert.strictEqual(two.commit, git(work, 'rev-parse', 'HEAD').trim());
+  assert.match(two.composeYaml, /nginx:1\.27/);
+
+  await assert.rejects(fetchComposeFile('stack-1', { ...source, composePath: 'missing.yaml' }, null), /missing\.yaml not found on branch main/);
+  await assert.rejects(fetchComposeFile('stack-1', { ...source, branch: 'nope' }, null), /git fetch failed/);
+});
+
+test('verifyWebhook accepts GitHub signatures and tokens, rejects anything else', () => {
+  const secret = 'hook-secret';
+  const rawBody = Buffer.from('{"ref":"refs/heads/main"}');
+  const signature = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  assert.strictEqual(verifyWebhook({ headers: { 'x-hub-signature-256': signature }, rawBody }, secret), true);
+  assert.strictEqual(verifyWebhook({ headers: { 'x-hub-signature-256': signature }, rawBody: Buffer.from('{}') }, secret), false);
+  assert.strictEqual(verifyWebhook({ headers: { 'x-gitlab-token': secret } }, secret), true);
+  assert.strictEqual(verifyWebhook({ headers: { authorization: `Bearer ${secret}` } }, secret), true);
+  assert.strictEqual(verifyWebhook({ headers: { 'x-dockerfleet-token': 'wrong' } }, secret), false);
+  assert.strictEqual(verifyWebhook({ headers: {} }, secret), false);
+  assert.strictEqual(pushedBranch({ ref: 'refs/heads/release/1.x' }), 'release/1.x');
+  assert.strictEqual(pushedBranch({}), null);
+  assert.strictEqual(pushedBranch({ payload: JSON.stringify({ ref: 'refs/heads/main' }) }), 'main');
+  assert.strictEqual(pushedBranch({ payload: 'not json' }), null);
+});
@@ -0,0 +1,235 @@
+/**
+ * Move or clone a stack to another server. The stack is stopped on its server, the named volumes
+ * of its compose project are streamed to the target host (tar over SSH, host to host through the
+ * backend), and the stored definition (compose file, env, extra files) is deployed there.
+ *
+ *   move  - the stack record itself moves, keeping its history; Public WWW routes to its
+ *           containers move with it and the source containers are removed (volumes are kept)
+ *   clone - a new stack with the same name is created on the target; the source is started again
+ *
+ * Steps are reported as they happen, like dockerService.pullAndRecreateContainer: each goes to
+ * options.onStep and into the returned `steps`. Until the target deploy succeeds a failure leaves
+ * the source as it was and starts it again.
+ */
+const crypto = require('crypto');
+const { sequelize, Stack, StackEnvVar, StackFile, ServerProxyRoute } = require('../models');
+const sshService = require('./ssh.service');
+const stackService = require('./stack.service');
+const { isCopyable, volumeExists, copyVolume } = require('./volume.service');
+const stackRevisionService = require('./stack-revision.service');
+const stackGitService = require('./stack-git.service');
+const publicWwwService = require('./public-www.service');
+const { VOLUME_HELPER_IMAGE, buildComposeCommand } = require('./stack.builders');
+const logger = require('../config/logger');
+
+const MIGRATE_MODES = ['move', 'clone'];
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GiB`;
+}
+
+function outputOf(result) {
+  return (result.stderr || result.stdout || '').trim().split('\n').pop() || `exit code ${result.code}`;
+}
+
+/** A new stack on the target with the source's definition (secrets copied still encrypted). */
+async function cloneStackRecord(stack, targetServer, user) {
+  const copy = await sequelize.transaction(async (t) => {
+    const created = await Stack.create({
+      id: crypto.randomUUID(),
+      serverId: targetServer.id,
+      name: stack.name,
+      deployPath: stack.deployPath,
+      composeYaml: stack.composeYaml,
+      source: stack.source === 'git' ? 'git' : 'created',
+      ...(stack.source === 'git' ? {
+        gitRepoUrl: stack.gitRepoUrl, gitBranch: stack.gitBranch, gitComposePath: stack.gitComposePath,
+        gitCredentialsEncrypted: stack.gitCredentialsEncrypted, gitCommit: stack.gitCommit, gitSyncedAt: stack.gitSyncedAt,
+        webhookSecretEncrypted: stackGitService.generateWebhookSecret(),
+      } : {}),
+    }, { transaction: t });
+    const envVars = await StackEnvVar.findAll({ where: { stackId: stack.id }, transaction: t });
+    if (envVars.length) {
+      await StackEnvVar.bulkCreate(envVars.map((e) => ({ stackId: created.id, key: e.key, isSecret: e.isSecret, value: e.value })), { transaction: t });
+    }
+    const files = await StackFile.findAll({ where: { stackId: stack.id }, transaction: t });
+    if (files.length) {
+      await StackFile.bulkCreate(files.map((f) => ({ stackId: created.id, path: f.path, isSecret: f.isSecret, content: f.content })), { transaction: t });
+    }
+    await stackRevisionService.recordRevision(created, { kind: 'create', user, transaction: t });
+    return created;
+  });
+  copy.server = targetServer;
+  return copy;
+}
+
+/**
+ * Move the Public WWW routes that proxy to the stack's containers to the target server and
+ * re-sync the proxy on both sides. Routes whose domain the target already serves stay put.
+ */
+async function moveProxyRoutes(source, targetServer, containerNames, userId, addStep) {
+  if (!containerNames.length) return;
+  const routes = await ServerProxyRoute.findAll({ where: { serverId: source.id, containerName: containerNames } });
+  if (!routes.length) return;
+  const taken = new Set((await ServerProxyRoute.findAll({ where: { serverId: targetServer.id }, attributes: ['domain'] })).map((r) => r.domain));
+  const movable = routes.filter((r) => !taken.has(r.domain));
+  const skipped = routes.filter((r) => taken.has(r.domain)).map((r) => r.domain);
+  if (movable.length) {
+    await ServerProxyRoute.update({ serverId: targetServer.id }, { where: { id: movable.map((r) => r.id) } });
+  }
+  const moved = movable.map((r) => r.domain).join(', ');
+  addStep(
+    'Move Public WWW routes',
+    !skipped.length,
+    skipped.length
+      ? `${skipped.join(', ')} already served by ${targetServer.name}; left on ${source.name}${moved ? ` (moved ${moved})` : ''}`
+      : `${moved}; point their DNS at ${targetServer.name}`
+  );
+  if (!movable.length) return;
+  if (!targetServer.publicWwwEnabled) {
+    addStep(`Sync proxy on ${targetServer.name}`, false, 'Public WWW is not enabled on this server; the routes apply once it is');
+  }
+  for (const server of [source, targetServer].filter((s) => s.publicWwwEnabled)) {
+    try {
+      await publicWwwService.syncProxy(server.id, userId);
+      addStep(`Sync proxy on ${server.name}`, true, 'Applied');
+    } catch (err) {
+      logger.warn(`Public WWW sync on ${server.name} after moving routes failed:`, err.message);
+      addStep(`Sync proxy on ${server.name}`, false, err.message);
+    }
+  }
+}
+
+/**
+ * Move or clone a stack to another server.
+ * @param {object} stack - Stack with `server` loaded; no stack of the same name may exist on the target
+ * @param {object} targetServer - Server to move or clone to
+ * @param {object} options
+ * @param {string} options.mode - 'move' or 'clone'
+ * @param {object} [options.user] - Author of the revisions (req.user)
+ * @param {Function} [options.onStep] - (step, success, detail) as each step completes
+ * @returns {Promise<{ success: boolean, error?: string, steps: Array, stackId?: string }>} stackId is the stack on the target
+ */
+async function migrateStack(stack, targetServer, { mode, user, onStep } = {}) {
+  const steps = [];
+  const addStep = (name, success, detail = null) => {
+    steps.push({ step: name, success: !!success, detail: detail || undefined });
+    if (onStep) onStep(name, !!success, detail || undefined);
+  };
+  const source = stack.server;
+  let stopped = false;
+
+  const startSource = async () => {
+    const started = await stackService.lifecycle(source, stack, 'start');
+    addStep(`Start stack on ${source.name}`, started.success, started.success ? 'Running again' : outputOf(started));
+  };
+  const fail = async (error) => {
+    if (stopped) await startSource().catch((err) => addStep(`Start stack on ${source.name}`, false, err.message));
+    return { success: false, error, steps };
+  };
+
+  try {
+    const containers = await stackService.listComposeContainers(source, stack);
+    const volumes = await stackService.listProjectVolumes(source, stack);
+    const copyable = volumes.filter(isCopyable);
+    const left = volumes.filter((v) => !isCopyable(v)).map((v) => v.name);
+    addStep(
+      'Inspect stack',
+      true,
+      `${containers.length} container(s), ${copyable.length} volume(s) to copy${left.length ? `; not copied (not local): ${left.join(', ')}` : ''}`
+    );
+
+    for (const v of copyable) {
+      if (await volumeExists(targetServer, v.name)) {
+        addStep('Check target', false, `Volume ${v.name} already exists on ${targetServer.name}`);
+        return fail(`Volume ${v.name} already exists on ${targetServer.name}; remove it or rename the stack first`);
+      }
+    }
+    addStep('Check target', true, targetServer.name);
+
+    const stop = await stackService.lifecycle(source, stack, 'stop');
+    addStep(`Stop stack on ${source.name}`, stop.success, stop.success ? 'Stopped' : outputOf(stop));
+    if (!stop.success) return fail('Could not stop the stack on the source server');
+    stopped = true;
+
+    if (copyable.length) {
+      for (const server of [source, targetServer]) {
+        await sshService.executeCommand(server, `docker pull -q ${VOLUME_HELPER_IMAGE} 2>/dev/null || true`, {
+          timeout: 120000, allowFailure: true, pty: false,
+        });
+      }
+    }
+    for (const v of copyable) {
+      try {
+        const bytes = await copyVolume(source, targetServer, v);
+        addStep('Copy volume', true, `${v.name} (${formatSize(bytes)} compressed)`);
+      } catch (err) {
+        addStep('Copy volume', false, `${v.name}: ${err.message}`);
+        return fail(`Copying volume ${v.name} failed; volumes already created on ${targetServer.name} were left in place`);
+      }
+    }
+
+    let deployed;
+    if (mode === 'move') {
+      stack.serverId = targetServer.id;
+      await stack.save();
+      stack.server = targetServer;
+      deployed = stack;
+    } else {
+      deployed = await cloneStackRecord(stack, targetServer, user);
+    }
+    addStep(mode === 'move' ? 'Move stack record' : 'Create stack record', true, `${stack.name} on ${targetServer.name}`);
+
+    let result;
+    let revision;
+    try {
+      ({ result, revision } = await stackRevisionService.deployAndRecord(deployed, { user }));
+    } catch (err) {
+      result = { success: false, stderr: err.message, code: null };
+    }
+    addStep(
+      `Deploy on ${targetServer.name}`,
+      result.success,
+      result.success ? `Revision ${revision.revision}` : outputOf(result)
+    );
+    if (!result.success) {
+      const down = buildComposeCommand({ name: stack.name, deployPath: stack.deployPath, action: 'down' });
+      await sshService.executeCommand(targetServer, down, { timeout: 300000, allowFailure: true, pty: false }).catch(() => {});
+      if (mode === 'move') {
+        stack.serverId = source.id;
+        await stack.save();
+        stack.server = source;
+      } else {
+        await deployed.destroy();
+      }
+      addStep('Undo target changes', true, `Stack removed from ${targetServer.name}; copied volumes were left in place`);
+      return fail(`The deploy on ${targetServer.name} failed`);
+    }
+
+    if (mode === 'move') {
+      // The stack now runs on the target; from here on the source is not started again
+      stopped = false;
+      await moveProxyRoutes(source, targetServer, containers.map((c) => c.name), user?.id, addStep);
+      const down = await stackService.lifecycle(source, stack, 'down');
+      addStep(
+        `Remove containers on ${source.name}`,
+        down.success,
+        down.success ? 'Volumes and files are kept on the source until you remove them' : outputOf(down)
+      );
+    } else {
+      await startSource();
+    }
+    return { success: true, steps, stackId: deployed.id };
+  } catch (error) {
+    logger.debug('migrateStack failed:', error.message);
+    addStep('Migration', false, error.message);
+    return fail(error.message);
+  }
+}
+
+module.exports = {
+  MIGRATE_MODES,
+  migrateStack,
+};
@@ -0,0 +1,178 @@
+/**
+ * Immutable history of a stack's compose file, environment and extra files. A revision is recorded
+ * on every create, save, import, Git sync, deploy, rollback and adoption of drifted host files; env
+ * rows and files are copied exactly as stored, so secrets stay encrypted and a rollback can restore
+ * them without ever seeing the plain values.
+ */
+const crypto = require('crypto');
+const { StackRevision, StackEnvVar, StackFile } = require('../models');
+const stackService = require('./stack.service');
+const stackDeployProgress = require('./stack-deploy-progress');
+const config = require('../config/config');
+const { readValue } = require('../utils/stackEnv');
+
+const REVISION_KINDS = ['create', 'save', 'import', 'sync', 'deploy', 'rollback', 'adopt'];
+const MAX_DEPLOY_OUTPUT = 20000;
+
+/**
+ * Short keyed fingerprint of a secret so the history can show that it changed between revisions
+ * (ciphertexts always differ) without exposing the value.
+ */
+function secretDigest(plain) {
+  return crypto.createHmac('sha256', String(config.encryption.key || '')).update(String(plain ?? '')).digest('hex').slice(0, 12);
+}
+
+function snapshotEnv(envRows) {
+  return (envRows || []).map((e) => {
+    const row = { key: e.key, value: e.value ?? '', isSecret: !!e.isSecret };
+    if (row.isSecret) row.digest = secretDigest(readValue(e.value, true));
+    return row;
+  });
+}
+
+function snapshotFiles(fileRows) {
+  return (fileRows || []).map((f) => {
+    const row = { path: f.path, content: f.content ?? '', isSecret: !!f.isSecret };
+    if (row.isSecret) row.digest = secretDigest(readValue(f.content, true));
+    return row;
+  });
+}
+
+/**
+ * Output kept on the revision: the full streamed transcript when there is one, else the tail of
+ * the compose output, which is where the errors are.
+ */
+function deployOutputOf(result) {
+  if (typeof result.transcript === 'string') return result.transcript.trim();
+  const text = [result.stdout, result.stderr].filter(Boolean).join('\n').trim();
+  if (text.length <= MAX_DEPLOY_OUTPUT) return text;
+  return `…${text.slice(-MAX_DEPLOY_OUTPUT)}`;
+}
+
+/**
+ * Record the stack's current compose YAML and env rows as the next revision.
+ * @param {object} stack - Stack model (composeYaml is read from it)
+ * @param {object} options
+ * @param {string} options.kind - One of REVISION_KINDS
+ * @param {object} [options.user] - Author (req.user)
+ * @param {object} [options.deployResult] - { success, stdout, stderr, transcript?, services? } for deploy and rollback
+ * @param {number} [options.rolledBackFrom] - Revision number a rollback restored
+ * @param {object} [options.transaction]
+ */
+async function recordRevision(stack, { kind, user, deployResult, rolledBackFrom, transaction } = {}) {
+  if (!REVISION_KINDS.includes(kind)) throw new Error(`Unknown revision kind: ${kind}`);
+  const envRows = await StackEnvVar.findAll({ where: { stackId: stack.id }, order: [['key', 'ASC']], transaction });
+  const fileRows = await StackFile.findAll({ where: { stackId: stack.id }, order: [['path', 'ASC']], transaction });
+  const latest = await StackRevision.max('revision', { where: { stackId: stack.id }, transaction });
+  return StackRevision.create({
+    stackId: stack.id,
+    revision: (latest || 0) + 1,
+    kind,
+    composeYaml: stack.composeYaml,
+    env: snapshotEnv(envRows),
+    files: snapshotFiles(fileRows),
+    userId: user?.id || null,
+    authorEmail: user?.email || null,
+    deployStatus: deployResult ? (deployResult.success ? 'deployed' : 'error') : null,
+    deployOutput: deployResult ? deployOutputOf(deployResult) : null,
+    deployServices: deployResult?.services || null,
+    rolledBackFrom: rolledBackFrom ?? null,
+    commitSha: stack.source === 'git' ? stack.gitCommit : null,
+  }, { transaction });
+}
+
+/**
+ * Deploy the stack's stored definition, then record the outcome on the stack and in its history.
+ * Progress is streamed to the owner's sockets while compose runs (stack-deploy-progress).
+ * @param {object} stack - Stack with `server` loaded
+ * @param {object} [options]
+ * @param {object} [options.user]
+ * @param {string} [options.kind='deploy'] - 'deploy' or 'rollback'
+ * @param {boolean} [options.pull]
+ * @param {number} [options.rolledBackFrom]
+ * @returns {Promise<{ result: object, revision: object }>} result carries the final per-service states
+ */
+async function deployAndRecord(stack, { user, kind = 'deploy', pull, rolledBackFrom } = {}) {
+  const envVars = await StackEnvVar.findAll({ where: { stackId: stack.id } });
+  const files = await StackFile.findAll({ where: { stackId: stack.id }, order: [['path', 'ASC']] });
+  const progress = stackDeployProgress.startDeployProgress(stack);
+  let result;
+  try {
+    result = await stackService.deployStack(stack.server, stack, stackService.decryptRows(envVars), {
+      pull, onOutput: progress.onOutput, files: stackService.decryptFiles(files),
+    });
+  } catch (err) {
+    if (kind === 'deploy') {
+      progress.complete(false);
+      progress.finished(false);
+      throw err;
+    }
+    // The definition is already restored; keep the failed attempt in the history
+    result = { success: false, code: null, stdout: '', stderr: err.message };
+  }
+  const { transcript, services } = progress.complete(result.success);
+  result.services = services;
+  stack.lastDeployedAt = new Date();
+  stack.lastDeployStatus = result.success ? 'deployed' : 'error';
+  stack.lastDeployedCommit = stack.source === 'git' ? stack.gitCommit : null;
+  // The host files were just rewritten, so the last drift check no longer applies
+  stack.driftStatus = null;
+  stack.driftCheckedAt = null;
+  stack.drift = null;
+  await stack.save();
+  const revision = await recordRevision(stack, {
+    kind, user, rolledBackFrom,
+    // A failed connection produces no compose output; keep the error instead
+    deployResult: { ...result, transcript: transcript || undefined },
+  });
+  progress.finished(result.success, revision.revision);
+  return { result, revision };
+}
+
+/**
+ * Make a revision the stack's current definition: compose YAML, env rows and files (secrets are
+ * copied still encrypted). Revisions from before stack files existed leave the files as they are.
+ */
+async function restoreRevision(stack, revision, { transaction } = {}) {
+  stack.composeYaml = revision.composeYaml;
+  if (stack.source === 'git' && revision.commitSha) stack.gitCommit = revision.commitSha;
+  await stack.save({ transaction });
+  await StackEnvVar.destroy({ where: { stackId: stack.id }, transaction });
+  const rows = (revision.env || []).map((e) => ({ stackId: stack.id, key: e.key, isSecret: !!e.isSecret, value: e.value ?? '' }));
+  if (rows.length) await StackEnvVar.bulkCreate(rows, { transaction });
+  if (Array.isArray(revision.files)) {
+    await StackFile.destroy({ where: { stackId: stack.id }, transaction });
+    const files = revision.files.map((f) => ({ stackId: stack.id, path: f.path, isSecret: !!f.isSecret, content: f.content ?? '' }));
+    if (files.length) await StackFile.bulkCreate(files, { transaction });
+  }
+}
+
+/** API shape; secret values are replaced by their digest. Content is left out of list views. */
+function serializeRevision(revisionModel, { withContent = false } = {}) {
+  const r = typeof revisionModel.toJSON === 'function' ? revisionModel.toJSON() : revisionModel;
+  const out = {
+    id: r.id, stackId: r.stackId, revision: r.revision, kind: r.kind,
+    userId: r.userId, authorEmail: r.authorEmail,
+    deployStatus: r.deployStatus, rolledBackFrom: r.rolledBackFrom, commitSha: r.commitSha ?? null, createdAt: r.createdAt,
+  };
+  if (withContent) {
+    out.composeYaml = r.composeYaml;
+    out.env = (r.env || []).map((e) => ({ key: e.key, value: e.isSecret ? null : e.value, isSecret: !!e.isSecret, digest: e.digest || null }));
+    out.files = (r.files || []).map((f) => ({ path: f.path, content: f.isSecret ? null : f.content, isSecret: !!f.isSecret, digest: f.digest || null }));
+    out.deployOutput = r.deployOutput;
+    out.deployServices = r.deployServices ?? null;
+  }
+  return out;
+}
+
+module.exports = {
+  REVISION_KINDS,
+  secretDigest,
+  snapshotEnv,
+  snapshotFiles,
+  deployOutputOf,
+  recordRevision,
+  deployAndRecord,
+  restoreRevision,
+  serializeRevision,
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { snapshotEnv, serializeRevision, deployOutputOf } = require('./stack-revision.service');
+const { storeValue } = require('../utils/stackEnv');
+
+test('snapshotEnv keeps secrets encrypted and fingerprints them', () => {
+  const stored = storeValue('s3cret', true);
+  const rows = snapshotEnv([
+    { key: 'TZ', value: 'UTC', isSecret: false },
+    { key: 'PASS', value: stored, isSecret: true },
+    { key: 'TOKEN', value: storeValue('s3cret', true), isSecret: true },
+    { key: 'API_KEY', value: storeValue('other', true), isSecret: true },
+  ]);
+  assert.deepStrictEqual(rows[0], { key: 'TZ', value: 'UTC', isSecret: false });
+  assert.strictEqual(rows[1].value, stored);
+  assert.match(rows[1].digest, /^[0-9a-f]{12}$/);
+  // Same plain value, different ciphertext: same digest
+  assert.strictEqual(rows[2].digest, rows[1].digest);
+  assert.notStrictEqual(rows[3].digest, rows[1].digest);
+});
+
+test('serializeRevision masks secret values and only includes content on request', () => {
+  const revision = {
+    id: 'r1', stackId: 's1', revision: 3, kind: 'deploy', composeYaml: 'services: {}',
+    env: [
+      { key: 'TZ', value: 'UTC', isSecret: false },
+      { key: 'PASS', value: storeValue('s3cret', true), isSecret: true, digest: 'abc123abc123' },
+    ],
+    userId: 'u1', authorEmail: 'admin@example.com', deployStatus: 'deployed', deployOutput: 'ok',
+    rolledBackFrom: null, createdAt: new Date(0),
+  };
+  const summary = serializeRevision(revision);
+  assert.strictEqual(summary.revision, 3);
+  assert.strictEqual(summary.composeYaml, undefined);
+  assert.strictEqual(summary.env, undefined);
+
+  const full = serializeRevision(revision, { withContent: true });
+  assert.strictEqual(full.composeYaml, 'services: {}');
+  assert.deepStrictEqual(full.env, [
+    { key: 'TZ', value: 'UTC', isSecret: false, digest: null },
+    { key: 'PASS', value: null, isSecret: true, digest: 'abc123abc123' },
+  ]);
+});
+
+test('deployOutputOf keeps the tail of long output', () => {
+  assert.strictEqual(deployOutputOf({ stdout: 'up', stderr: 'warn' }), 'up\nwarn');
+  const long = deployOutputOf({ stdout: 'x'.repeat(30000), stderr: 'final error' });
+  assert.ok(long.endsWith('final error'));
+  assert.ok(long.length <= 20001);
+});
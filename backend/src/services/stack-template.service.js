@@ -0,0 +1,270 @@
+/**
+ * Stack templates: a compose file plus declared variables (description, default, secret flag,
+ * required, generated). Installing a template turns the variables into the new stack's env, so
+ * the compose file uses them as `${NAME}` like any stack. A template can name the service and the
+ * variable holding its published host port, so an install can add a Public WWW route to it.
+ *
+ * A few templates are built in (ids prefixed "builtin:"); users add their own or save a stack
+ * as a template. Secret values are never copied into a template.
+ */
+const crypto = require('crypto');
+const stackValidationService = require('./stack-validation.service');
+const { parseComposeServices } = require('./stack.builders');
+const { flagSecret } = require('../utils/stackEnv');
+
+const ENV_KEY_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_VARIABLES = 100;
+const BUILTIN_PREFIX = 'builtin:';
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin:uptime-kuma',
+    name: 'Uptime Kuma',
+    description: 'Self-hosted uptime monitoring with status pages and notifications.',
+    composeYaml: [
+      'services:',
+      '  uptime-kuma:',
+      '    image: louislam/uptime-kuma:1',
+      '    restart: unless-stopped',
+      '    ports:',
+      '      - "${HTTP_PORT}:3001"',
+      '    volumes:',
+      '      - data:/app/data',
+      'volumes:',
+      '  data:',
+      '',
+    ].join('\n'),
+    variables: [
+      { name: 'HTTP_PORT', description: 'Host port of the web UI', default: '3001', required: true },
+    ],
+    webService: 'uptime-kuma',
+    webPortVariable: 'HTTP_PORT',
+  },
+  {
+    id: 'builtin:wordpress',
+    name: 'WordPress',
+    description: 'WordPress with a MariaDB database.',
+    composeYaml: [
+      'services:',
+      '  wordpress:',
+      '    image: wordpress:6',
+      '    restart: unless-stopped',
+      '    depends_on:',
+      '      - db',
+      '    ports:',
+      '      - "${HTTP_PORT}:80"',
+      '    environment:',
+      '      WORDPRESS_DB_HOST: db',
+      '      WORDPRESS_DB_NAME: ${DB_NAME}',
+      '      WORDPRESS_DB_USER: ${DB_USER}',
+      '      WORDPRESS_DB_PASSWORD: ${DB_PASSWORD}',
+      '    volumes:',
+      '      - wordpress:/var/www/html',
+      '  db:',
+      '    image: mariadb:11',
+      '    restart: unless-stopped',
+      '    environment:',
+      '      MARIADB_DATABASE: ${DB_NAME}',
+      '      MARIADB_USER: ${DB_USER}',
+      '      MARIADB_PASSWORD: ${DB_PASSWORD}',
+      '      MARIADB_RANDOM_ROOT_PASSWORD: "1"',
+      '    volumes:',
+      '      - db:/var/lib/mysql',
+      'volumes:',
+      '  wordpress:',
+      '  db:',
+      '',
+    ].join('\n'),
+    variables: [
+      { name: 'HTTP_PORT', description: 'Host port of the site', default: '8080', required: true },
+      { name: 'DB_NAME', description: 'Database name', default: 'wordpress', required: true },
+      { name: 'DB_USER', description: 'Database user', default: 'wordpress', required: true },
+      { name: 'DB_PASSWORD', description: 'Database password (generated when left blank)', secret: true, required: true, generate: true },
+    ],
+    webService: 'wordpress',
+    webPortVariable: 'HTTP_PORT',
+  },
+  {
+    id: 'builtin:vaultwarden',
+    name: 'Vaultwarden',
+    description: 'Bitwarden-compatible password manager server.',
+    composeYaml: [
+      'services:',
+      '  vaultwarden:',
+      '    image: vaultwarden/server:latest',
+      '    restart: unless-stopped',
+      '    ports:',
+      '      - "${HTTP_PORT}:80"',
+      '    environment:',
+      '      DOMAIN: ${DOMAIN}',
+      '      SIGNUPS_ALLOWED: ${SIGNUPS_ALLOWED}',
+      '      ADMIN_TOKEN: ${ADMIN_TOKEN}',
+      '    volumes:',
+      '      - data:/data',
+      'volumes:',
+      '  data:',
+      '',
+    ].join('\n'),
+    variables: [
+      { name: 'HTTP_PORT', description: 'Host port of the web vault', default: '8081', required: true },
+      { name: 'DOMAIN', description: 'Public URL, e.g. https://vault.example.com (needed for WebAuthn and attachments)', default: '' },
+      { name: 'SIGNUPS_ALLOWED', description: 'Allow new users to register', default: 'false' },
+      { name: 'ADMIN_TOKEN', description: 'Token for the /admin page (generated when left blank)', secret: true, required: true, generate: true },
+    ],
+    webService: 'vaultwarden',
+    webPortVariable: 'HTTP_PORT',
+  },
+];
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+const isBuiltinId = (id) => String(id || '').startsWith(BUILTIN_PREFIX);
+
+function normalizeVariables(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throwInvalid('variables must be an array');
+  if (input.length > MAX_VARIABLES) throwInvalid(`A template can declare at most ${MAX_VARIABLES} variables`);
+  const seen = new Set();
+  return input.map((v) => {
+    const name = String(v?.name || '').trim();
+    if (!ENV_KEY_REGEX.test(name)) throwInvalid(`Invalid variable name "${name}": use letters, digits and _`);
+    if (seen.has(name)) throwInvalid(`Variable ${name} is declared twice`);
+    seen.add(name);
+    const secret = !!v.secret;
+    return {
+      name,
+      description: String(v.description || '').trim(),
+      // A secret's default would be stored in plain text, so secrets only get generated values
+      default: secret ? '' : String(v.default ?? ''),
+      secret,
+      required: !!v.required,
+      generate: secret && !!v.generate,
+    };
+  });
+}
+
+/**
+ * Validate a template from the API.
+ * @returns {{ name, description, composeYaml, variables, webService, webPortVariable }}
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeTemplate(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 100) throwInvalid('Template name is required (up to 100 characters)');
+  const composeYaml = typeof input.composeYaml === 'string' ? input.composeYaml : '';
+  if (!composeYaml.trim()) throwInvalid('composeYaml is required');
+  const variables = normalizeVariables(input.variables);
+
+  // Checked with the defaults; variables without one are filled in at install
+  const env = Object.fromEntries(variables.map((v) => [v.name, v.default || 'x']));
+  const { findings } = stackValidationService.validateCompose(composeYaml, { env });
+  const error = findings.find((f) => f.level === 'error');
+  if (error) throwInvalid(`The compose file is invalid: ${error.message}`);
+
+  const webService = String(input.webService || '').trim() || null;
+  const webPortVariable = String(input.webPortVariable || '').trim() || null;
+  if (webService || webPortVariable) {
+    if (!webService || !webPortVariable) throwInvalid('A web port needs both the service and the port variable');
+    if (!(parseComposeServices(composeYaml) || []).some((s) => s.name === webService)) {
+      throwInvalid(`Web service ${webService} is not in the compose file`);
+    }
+    if (!variables.some((v) => v.name === webPortVariable)) throwInvalid(`Web port variable ${webPortVariable} is not declared`);
+  }
+  return { name, description: String(input.description || '').trim() || null, composeYaml, variables, webService, webPortVariable };
+}
+
+/**
+ * Template fields from an existing stack: its env keys become variables (non-secret values as
+ * defaults; secrets without a value), plus any `${VAR}` the compose file uses that is not in the env.
+ * @param {{ composeYaml: string, envVars: Array<{ key, value, isSecret }> }} stack - env values decrypted
+ */
+function templateFromStack(stack) {
+  const variables = (stack.envVars || []).map((e) => ({
+    name: e.key,
+    description: '',
+    default: e.isSecret ? '' : String(e.value ?? ''),
+    secret: !!e.isSecret,
+    required: !!e.isSecret,
+    generate: false,
+  }));
+  const declared = new Set(variables.map((v) => v.name));
+  for (const ref of stackValidationService.interpolationRefs(stack.composeYaml)) {
+    if (declared.has(ref.name)) continue;
+    declared.add(ref.name);
+    const secret = flagSecret(ref.name);
+    variables.push({ name: ref.name, description: '', default: '', secret, required: ref.operator === ':?' || ref.operator === '?', generate: false });
+  }
+  return { composeYaml: stack.composeYaml, variables };
+}
+
+function generateValue() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Env rows for an install: the given value, else the default, else a generated value for
+ * variables with generate. Required variables left empty are reported as missing.
+ * @param {object} template
+ * @param {Object<string, string>} values - Variable name -> value from the install form
+ * @returns {{ env: Array<{ key, value, isSecret }>, missing: string[] }}
+ */
+function resolveValues(template, values = {}) {
+  const env = [];
+  const missing = [];
+  for (const v of template.variables || []) {
+    let value = values[v.name] != null ? String(values[v.name]) : '';
+    if (!value) value = v.default || '';
+    if (!value && v.generate) value = generateValue();
+    if (!value && v.required) missing.push(v.name);
+    env.push({ key: v.name, value, isSecret: !!v.secret });
+  }
+  return { env, missing };
+}
+
+/**
+ * Where a Public WWW route for the template's web service points: the service's container
+ * (compose names it <stack>-<service>-1 unless container_name is set) and the host port the
+ * variable resolved to.
+ * @returns {{ containerName: string, containerPort: number }|null} null when the template declares no web port
+ * @throws {Error} INVALID_INPUT when the port value is not a port number
+ */
+function proxyTargetOf(template, stackName, env) {
+  if (!template.webService || !template.webPortVariable) return null;
+  const raw = env.find((e) => e.key === template.webPortVariable)?.value;
+  const port = parseInt(raw, 10);
+  if (!/^\d+$/.test(String(raw || '')) || port < 1 || port > 65535) {
+    throwInvalid(`${template.webPortVariable} must be a port number (1-65535) for the Public WWW route`);
+  }
+  const service = (parseComposeServices(template.composeYaml) || []).find((s) => s.name === template.webService);
+  return { containerName: service?.containerName || `${stackName}-${template.webService}-1`, containerPort: port };
+}
+
+/** API shape of a stored or built-in template. */
+function serializeTemplate(templateModel) {
+  const t = typeof templateModel.toJSON === 'function' ? templateModel.toJSON() : templateModel;
+  return {
+    id: t.id,
+    builtin: isBuiltinId(t.id),
+    name: t.name,
+    description: t.description ?? null,
+    composeYaml: t.composeYaml,
+    variables: normalizeVariables(t.variables),
+    webService: t.webService ?? null,
+    webPortVariable: t.webPortVariable ?? null,
+    updatedAt: t.updatedAt ?? null,
+  };
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  isBuiltinId,
+  normalizeTemplate,
+  templateFromStack,
+  resolveValues,
+  proxyTargetOf,
+  serializeTemplate,
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  BUILTIN_TEMPLATES, normalizeTemplate, templateFromStack, resolveValues, proxyTargetOf,
+} = require('./stack-template.service');
+
+const compose = [
+  'services:',
+  '  web:',
+  '    image: nginx',
+  '    ports:',
+  '      - "${PORT}:80"',
+  '',
+].join('\n');
+
+test('built-in templates are valid templates', () => {
+  for (const t of BUILTIN_TEMPLATES) {
+    assert.doesNotThrow(() => normalizeTemplate(t), t.id);
+  }
+});
+
+test('normalizeTemplate rejects bad variables and web settings', () => {
+  const base = { name: 'web', composeYaml: compose, variables: [{ name: 'PORT', default: '8080' }] };
+  assert.strictEqual(normalizeTemplate(base).variables[0].default, '8080');
+  assert.throws(() => normalizeTemplate({ ...base, variables: [{ name: 'BAD-NAME' }] }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeTemplate({ ...base, variables: [{ name: 'PORT' }, { name: 'PORT' }] }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeTemplate({ ...base, webService: 'api', webPortVariable: 'PORT' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeTemplate({ ...base, webService: 'web', webPortVariable: 'OTHER' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeTemplate({ ...base, composeYaml: 'services: [' }), { code: 'INVALID_INPUT' });
+  // Secrets never keep a default
+  const secret = normalizeTemplate({ ...base, variables: [{ name: 'PORT', default: '1' }, { name: 'TOKEN', secret: true, default: 'x' }] });
+  assert.strictEqual(secret.variables[1].default, '');
+});
+
+test('templateFromStack keeps plain values and drops secret values', () => {
+  const t = templateFromStack({
+    composeYaml: `${compose}    environment:\n      KEY: \${API_KEY:?}\n`,
+    envVars: [
+      { key: 'PORT', value: '8080', isSecret: false },
+      { key: 'DB_PASSWORD', value: 'hunter2', isSecret: true },
+    ],
+  });
+  assert.deepStrictEqual(t.variables.map((v) => [v.name, v.default, v.secret, v.required]), [
+    ['PORT', '8080', false, false],
+    ['DB_PASSWORD', '', true, true],
+    ['API_KEY', '', true, true],
+  ]);
+});
+
+test('resolveValues fills defaults, generates secrets and reports missing values', () => {
+  const template = {
+    variables: [
+      { name: 'PORT', default: '8080', required: true },
+      { name: 'TOKEN', secret: true, generate: true, required: true },
+      { name: 'ADMIN_EMAIL', required: true },
+    ],
+  };
+  const { env, missing } = resolveValues(template, { PORT: '9000' });
+  assert.strictEqual(env[0].value, '9000');
+  assert.ok(env[1].value.length >= 32);
+  assert.strictEqual(env[1].isSecret, true);
+  assert.deepStrictEqual(missing, ['ADMIN_EMAIL']);
+});
+
+test('proxyTargetOf points at the compose container and the resolved port', () => {
+  const template = { composeYaml: compose, webService: 'web', webPortVariable: 'PORT' };
+  assert.deepStrictEqual(proxyTargetOf(template, 'blog', [{ key: 'PORT', value: '8080' }]), { containerName: 'blog-web-1', containerPort: 8080 });
+  assert.throws(() => proxyTargetOf(template, 'blog', [{ key: 'PORT', value: 'http' }]), { code: 'INVALID_INPUT' });
+  assert.strictEqual(proxyTargetOf({ composeYaml: compose }, 'blog', []), null);
+});
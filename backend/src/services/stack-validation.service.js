@@ -0,0 +1,448 @@
+/**
+ * Checks a stack's compose file before it is saved or deployed: YAML syntax, the compose file
+ * structure (top-level and service keys, value types, references between services, networks and
+ * volumes), `${VAR}` references against the stack's env vars, bind mounts outside the deploy
+ * directory and published ports used twice. Against the target server it also looks for ports
+ * taken by other containers and runs `docker compose config --quiet` as a dry run.
+ *
+ * Findings: { level: 'error'|'warning', code, message, service?, line? }. Errors block a save.
+ */
+const path = require('path');
+const yaml = require('js-yaml');
+const sshService = require('./ssh.service');
+const { renderEnvFile } = require('../utils/stackEnv');
+const {
+  escapeSingleQuoted, validateComposeProjectName, validateStackDeployPath, STACK_DEPLOY_BASE,
+} = require('../utils/shellSafe');
+
+const TOP_LEVEL_KEYS = new Set(['version', 'name', 'include', 'services', 'networks', 'volumes', 'secrets', 'configs', 'models']);
+
+const SERVICE_KEYS = new Set([
+  'annotations', 'attach', 'blkio_config', 'build', 'cap_add', 'cap_drop', 'cgroup', 'cgroup_parent', 'command',
+  'configs', 'container_name', 'cpu_count', 'cpu_percent', 'cpu_period', 'cpu_quota', 'cpu_rt_period',
+  'cpu_rt_runtime', 'cpu_shares', 'cpus', 'cpuset', 'credential_spec', 'depends_on', 'deploy', 'develop',
+  'device_cgroup_rules', 'devices', 'dns', 'dns_opt', 'dns_search', 'domainname', 'entrypoint', 'env_file',
+  'environment', 'expose', 'extends', 'external_links', 'extra_hosts', 'gpus', 'group_add', 'healthcheck',
+  'hostname', 'image', 'init', 'ipc', 'isolation', 'label_file', 'labels', 'links', 'logging', 'mac_address',
+  'mem_limit', 'mem_reservation', 'mem_swappiness', 'memswap_limit', 'models', 'network_mode', 'networks',
+  'oom_kill_disable', 'oom_score_adj', 'pid', 'pids_limit', 'platform', 'ports', 'post_start', 'pre_stop',
+  'privileged', 'profiles', 'provider', 'pull_policy', 'read_only', 'restart', 'runtime', 'scale', 'secrets',
+  'security_opt', 'shm_size', 'stdin_open', 'stop_grace_period', 'stop_signal', 'storage_opt', 'sysctls', 'tmpfs',
+  'tty', 'ulimits', 'use_api_socket', 'user', 'userns_mode', 'uts', 'volumes', 'volumes_from', 'working_dir',
+]);
+
+// Expected value types of service keys; keys not listed are only checked for presence in SERVICE_KEYS
+const SERVICE_KEY_TYPES = {
+  image: ['string'],
+  container_name: ['string'],
+  hostname: ['string'],
+  restart: ['string'],
+  network_mode: ['string'],
+  user: ['string', 'number'],
+  working_dir: ['string'],
+  platform: ['string'],
+  pull_policy: ['string'],
+  command: ['string', 'array', 'null'],
+  entrypoint: ['string', 'array', 'null'],
+  env_file: ['string', 'array'],
+  dns: ['string', 'array'],
+  tmpfs: ['string', 'array'],
+  environment: ['array', 'mapping'],
+  labels: ['array', 'mapping'],
+  depends_on: ['array', 'mapping'],
+  networks: ['array', 'mapping'],
+  extra_hosts: ['array', 'mapping'],
+  sysctls: ['array', 'mapping'],
+  ports: ['array'],
+  volumes: ['array'],
+  expose: ['array'],
+  cap_add: ['array'],
+  cap_drop: ['array'],
+  devices: ['array'],
+  profiles: ['array'],
+  secrets: ['array'],
+  configs: ['array'],
+  security_opt: ['array'],
+  volumes_from: ['array'],
+  links: ['array'],
+  external_links: ['array'],
+  deploy: ['mapping'],
+  healthcheck: ['mapping'],
+  logging: ['mapping'],
+  ulimits: ['mapping'],
+  build: ['string', 'mapping'],
+  privileged: ['boolean'],
+  read_only: ['boolean'],
+  init: ['boolean'],
+  tty: ['boolean'],
+  stdin_open: ['boolean'],
+};
+
+const RESTART_POLICY = /^(no|always|unless-stopped|on-failure(:\d+)?)$/;
+// ${VAR}, ${VAR:-default}, ${VAR-default}, ${VAR:?error}, ${VAR?error}, ${VAR:+alt}, ${VAR+alt}, $VAR; $$ is a literal $
+const INTERPOLATION = /\$(?:\$|\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?+])((?:[^{}]|\{[^{}]*\})*))?\}|([A-Za-z_][A-Za-z0-9_]*))/g;
+const WILDCARD_IPS = new Set(['', '0.0.0.0', '::', '[::]']);
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'mapping';
+  return typeof value;
+}
+
+function finding(level, code, message, extra = {}) {
+  return { level, code, message, ...extra };
+}
+
+/**
+ * Every `${VAR}` / `$VAR` reference in the compose text, with the line it is on.
+ * Comment lines are skipped; compose never interpolates them.
+ * @returns {Array<{ name: string, operator: string|null, line: number }>}
+ */
+function interpolationRefs(composeYaml) {
+  const refs = [];
+  String(composeYaml || '').split('\n').forEach((text, i) => {
+    if (/^\s*#/.test(text)) return;
+    for (const m of text.matchAll(INTERPOLATION)) {
+      const name = m[1] || m[4];
+      if (name) refs.push({ name, operator: m[2] || null, line: i + 1 });
+    }
+  });
+  return refs;
+}
+
+/** Replace `${VAR}` references the way compose does; unresolvable references make it return null. */
+function interpolate(value, env) {
+  let unresolved = false;
+  const out = String(value).replace(INTERPOLATION, (match, braced, operator, arg, bare) => {
+    const name = braced || bare;
+    if (!name) return '$';
+    const set = Object.prototype.hasOwnProperty.call(env, name);
+    const val = set ? env[name] : undefined;
+    if (operator === ':-') return set && val !== '' ? val : arg;
+    if (operator === '-') return set ? val : arg;
+    if (operator === ':+') return set && val !== '' ? arg : '';
+    if (operator === '+') return set ? arg : '';
+    if (!set) unresolved = true;
+    return set ? val : '';
+  });
+  return unresolved ? null : out;
+}
+
+/** Variables used in the compose file that the stack's env does not define. */
+function checkInterpolation(composeYaml, envKeys) {
+  const findings = [];
+  const reported = new Set();
+  for (const ref of interpolationRefs(composeYaml)) {
+    if (envKeys.has(ref.name) || reported.has(ref.name)) continue;
+    // Defaults and alternatives cover an unset variable
+    if (ref.operator && ref.operator !== ':?' && ref.operator !== '?') continue;
+    reported.add(ref.name);
+    if (ref.operator) {
+      findings.push(finding('error', 'missing-variable', `${ref.name} is required by the compose file but not set in the environment`, { line: ref.line }));
+    } else {
+      findings.push(finding('warning', 'missing-variable', `${ref.name} is not set in the environment and will be empty`, { line: ref.line }));
+    }
+  }
+  return findings;
+}
+
+/**
+ * Host ports a service publishes, from short ("8080:80", "127.0.0.1:53:53/udp", "9000-9001:9000-9001")
+ * and long ({ published, target, host_ip, protocol }) syntax. Entries without a host port are skipped.
+ * @returns {Array<{ hostIp: string, port: number, protocol: string }>}
+ */
+function publishedPorts(ports, env = {}) {
+  const out = [];
+  const addRange = (hostIp, published, protocol) => {
+    const m = /^(\d+)(?:-(\d+))?$/.exec(String(published));
+    if (!m) return;
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    for (let port = from; port <= to && port - from < 1000; port += 1) out.push({ hostIp, port, protocol });
+  };
+  for (const entry of Array.isArray(ports) ? ports : []) {
+    if (entry && typeof entry === 'object') {
+      if (entry.published === undefined || entry.published === null) continue;
+      const published = interpolate(entry.published, env);
+      if (published !== null) addRange(String(entry.host_ip || ''), published, String(entry.protocol || 'tcp').toLowerCase());
+      continue;
+    }
+    const text = interpolate(entry, env);
+    if (text === null) continue;
+    const [spec, protocol = 'tcp'] = text.split('/');
+    // [ip:]host:container, where the IP may be IPv6 in brackets: [::1]:8080:80
+    let hostIp = '';
+    let rest = spec;
+    const v6 = /^(\[[^\]]*\]):(.*)$/.exec(spec);
+    if (v6) [, hostIp, rest] = v6;
+    const parts = rest.split(':');
+    if (!v6 && parts.length === 3) hostIp = parts.shift();
+    if (parts.length !== 2 || !parts[0]) continue;
+    addRange(hostIp, parts[0], protocol.toLowerCase());
+  }
+  return out;
+}
+
+function portsOverlap(a, b) {
+  return a.port === b.port && a.protocol === b.protocol
+    && (a.hostIp === b.hostIp || WILDCARD_IPS.has(a.hostIp) || WILDCARD_IPS.has(b.hostIp));
+}
+
+/** Bind-mount sources of a service's volumes (short and long syntax), interpolated. */
+function bindSources(volumes, env) {
+  const out = [];
+  for (const v of Array.isArray(volumes) ? volumes : []) {
+    let source = null;
+    if (v && typeof v === 'object') {
+      if (v.type === 'bind' && v.source) source = v.source;
+    } else if (typeof v === 'string') {
+      const first = v.split(':')[0];
+      if (/^[./~]/.test(first)) source = first;
+    }
+    if (source === null) continue;
+    const resolved = interpolate(source, env);
+    if (resolved) out.push(resolved);
+  }
+  return out;
+}
+
+function checkBindMounts(name, def, env, deployPath) {
+  const findings = [];
+  for (const source of bindSources(def.volumes, env)) {
+    if (source.startsWith('~')) {
+      findings.push(finding('warning', 'bind-mount-outside', `${source} is in the SSH user's home directory, outside the stack directory`, { service: name }));
+      continue;
+    }
+    const absolute = path.posix.resolve(deployPath, source);
+    if (absolute === deployPath || absolute.startsWith(`${deployPath}/`)) continue;
+    const note = absolute === '/var/run/docker.sock' || absolute === '/run/docker.sock' ? ' (gives the container control of Docker on the host)' : '';
+    findings.push(finding('warning', 'bind-mount-outside', `Host path ${absolute} is mounted from outside the stack directory${note}`, { service: name }));
+  }
+  return findings;
+}
+
+function checkServiceTypes(name, def) {
+  const findings = [];
+  for (const [key, value] of Object.entries(def)) {
+    if (key.startsWith('x-')) continue;
+    if (!SERVICE_KEYS.has(key)) {
+      findings.push(finding('error', 'schema', `Unknown key "${key}"`, { service: name }));
+      continue;
+    }
+    const expected = SERVICE_KEY_TYPES[key];
+    // Interpolated values are strings until compose resolves them
+    if (expected && !expected.includes(typeOf(value)) && !(typeof value === 'string' && value.includes('$'))) {
+      findings.push(finding('error', 'schema', `"${key}" must be ${expected.join(' or ')}, not ${typeOf(value)}`, { service: name }));
+    }
+  }
+  if (typeof def.restart === 'string' && !def.restart.includes('$') && !RESTART_POLICY.test(def.restart)) {
+    findings.push(finding('error', 'schema', `restart must be no, always, unless-stopped or on-failure[:N], not "${def.restart}"`, { service: name }));
+  }
+  if (!def.image && !def.build && !def.extends && !def.provider) {
+    findings.push(finding('error', 'schema', 'Service needs an image or a build section', { service: name }));
+  }
+  return findings;
+}
+
+/** Names a service refers to in a list-or-mapping key (depends_on, networks). */
+function referencedNames(value) {
+  if (Array.isArray(value)) return value.filter((v) => typeof v === 'string');
+  if (value && typeof value === 'object') return Object.keys(value);
+  return [];
+}
+
+function namedVolumes(volumes) {
+  const out = [];
+  for (const v of Array.isArray(volumes) ? volumes : []) {
+    if (v && typeof v === 'object') {
+      if ((v.type === 'volume' || v.type === undefined) && typeof v.source === 'string' && v.source) out.push(v.source);
+    } else if (typeof v === 'string' && v.includes(':')) {
+      const first = v.split(':')[0];
+      if (first && !/^[./~$]/.test(first)) out.push(first);
+    }
+  }
+  return out;
+}
+
+/**
+ * Check a compose file without touching a server.
+ * @param {string} composeYaml
+ * @param {object} options
+ * @param {Object<string, string>} options.env - Stack env (values of secrets may be blank; only keys matter for references)
+ * @param {string} options.deployPath - Stack directory on the host
+ * @returns {{ findings: Array, services: string[], ports: Array<{ service: string, hostIp: string, port: number, protocol: string }> }}
+ */
+function validateCompose(composeYaml, { env = {}, deployPath }) {
+  const findings = [];
+  let docs;
+  try {
+    docs = yaml.loadAll(String(composeYaml || '')).filter((d) => d !== null && d !== undefined);
+  } catch (e) {
+    const line = e.mark ? e.mark.line + 1 : undefined;
+    return { findings: [finding('error', 'yaml', `YAML syntax error: ${e.reason || e.message}`, { line })], services: [], ports: [] };
+  }
+  if (!docs.length) return { findings: [finding('error', 'schema', 'The compose file is empty')], services: [], ports: [] };
+
+  const services = {};
+  const declared = { networks: new Set(['default']), volumes: new Set() };
+  let hasInclude = false;
+  for (const doc of docs) {
+    if (typeOf(doc) !== 'mapping') {
+      findings.push(finding('error', 'schema', 'The compose file must be a mapping with a services section'));
+      continue;
+    }
+    for (const key of Object.keys(doc)) {
+      if (!TOP_LEVEL_KEYS.has(key) && !key.startsWith('x-')) findings.push(finding('error', 'schema', `Unknown top-level key "${key}"`));
+    }
+    if (doc.include) hasInclude = true;
+    if (doc.version !== undefined) {
+      findings.push(finding('warning', 'schema', 'The top-level "version" key is obsolete and ignored by Docker Compose'));
+    }
+    for (const kind of ['networks', 'volumes']) {
+      if (doc[kind] === undefined || doc[kind] === null) continue;
+      if (typeOf(doc[kind]) !== 'mapping') findings.push(finding('error', 'schema', `Top-level "${kind}" must be a mapping`));
+      else Object.keys(doc[kind]).forEach((n) => declared[kind].add(n));
+    }
+    if (doc.services === undefined || doc.services === null) continue;
+    if (typeOf(doc.services) !== 'mapping') {
+      findings.push(finding('error', 'schema', '"services" must be a mapping of service names to definitions'));
+      continue;
+    }
+    Object.assign(services, doc.services);
+  }
+
+  const names = Object.keys(services).sort();
+  if (!names.length && !hasInclude) findings.push(finding('error', 'schema', 'The compose file defines no services'));
+
+  const envValues = Object.fromEntries(Object.entries(env).map(([k, v]) => [k, String(v ?? '')]));
+  const ports = [];
+  for (const name of names) {
+    const def = services[name];
+    if (typeOf(def) !== 'mapping') {
+      findings.push(finding('error', 'schema', 'Service definition must be a mapping', { service: name }));
+      continue;
+    }
+    findings.push(...checkServiceTypes(name, def));
+    for (const dep of referencedNames(def.depends_on)) {
+      if (!services[dep]) findings.push(finding('error', 'schema', `depends_on refers to undefined service "${dep}"`, { service: name }));
+    }
+    if (!def.network_mode) {
+      for (const net of referencedNames(def.networks)) {
+        if (!declared.networks.has(net)) findings.push(finding('error', 'schema', `Refers to undefined network "${net}"`, { service: name }));
+      }
+    }
+    for (const vol of namedVolumes(def.volumes)) {
+      if (!declared.volumes.has(vol)) findings.push(finding('error', 'schema', `Refers to undefined volume "${vol}"`, { service: name }));
+    }
+    if (deployPath) findings.push(...checkBindMounts(name, def, envValues, deployPath));
+    for (const p of publishedPorts(def.ports, envValues)) ports.push({ service: name, ...p });
+  }
+
+  const seen = [];
+  for (const p of ports) {
+    const other = seen.find((s) => s.service !== p.service && portsOverlap(s, p));
+    if (other) {
+      findings.push(finding('error', 'port-conflict', `Port ${p.port}/${p.protocol} is also published by service ${other.service}`, { service: p.service }));
+    }
+    seen.push(p);
+  }
+
+  findings.push(...checkInterpolation(composeYaml, new Set(Object.keys(env))));
+  return { findings, services: names, ports };
+}
+
+/**
+ * `docker ps --format '{{.Names}}\t{{.Label "com.docker.compose.project"}}\t{{.Ports}}'` ->
+ * published host ports per running container.
+ */
+function parseDockerPsPorts(text) {
+  const out = [];
+  for (const line of String(text || '').split('\n')) {
+    const [name, project, portsText] = line.trim().split('\t');
+    if (!name || !portsText) continue;
+    for (const m of portsText.matchAll(/(?:(\[[^\]]*\]|[\d.]*|::):)?(\d+)(?:-(\d+))?->\d+(?:-\d+)?\/(\w+)/g)) {
+      const from = Number(m[2]);
+      const to = m[3] ? Number(m[3]) : from;
+      for (let port = from; port <= to && port - from < 1000; port += 1) {
+        out.push({ container: name, project: project || null, hostIp: m[1] || '', port, protocol: m[4] });
+      }
+    }
+  }
+  return out;
+}
+
+async function checkHostPorts(server, projectName, ports) {
+  if (!ports.length) return [];
+  const cmd = `docker ps --format '{{.Names}}\t{{.Label "com.docker.compose.project"}}\t{{.Ports}}'`;
+  const result = await sshService.executeCommand(server, cmd, { timeout: 30000, allowFailure: true, pty: false });
+  if (result.code !== 0) throw new Error(`docker ps failed: ${(result.stderr || '').trim() || `exit code ${result.code}`}`);
+  const findings = [];
+  const reported = new Set();
+  // This stack's own containers are replaced on deploy, so they do not count
+  const used = parseDockerPsPorts(result.stdout).filter((u) => u.project !== projectName);
+  for (const p of ports) {
+    const taken = used.find((u) => portsOverlap(u, p));
+    const key = `${p.port}/${p.protocol}`;
+    if (!taken || reported.has(key)) continue;
+    reported.add(key);
+    findings.push(finding('warning', 'port-in-use', `Port ${key} is already published by container ${taken.container} on the server`, { service: p.service }));
+  }
+  return findings;
+}
+
+/**
+ * Dry run on the host: `docker compose config --quiet` on the files in a temporary directory, with
+ * the stack directory as project directory so relative paths resolve as they would on deploy.
+ */
+async function composeConfigDryRun(server, { name, deployPath, composeYaml, envRows }) {
+  const b64 = (text) => escapeSingleQuoted(Buffer.from(String(text), 'utf8').toString('base64'));
+  const cmd = [
+    'd=$(mktemp -d)',
+    'trap \'rm -rf "$d"\' EXIT',
+    `printf '%s' ${b64(composeYaml)} | base64 -d > "$d/compose.yaml"`,
+    `printf '%s' ${b64(renderEnvFile(envRows))} | base64 -d > "$d/.env"`,
+    `DOCKER_API_VERSION=1.41 docker compose -p ${escapeSingleQuoted(name)} --project-directory ${escapeSingleQuoted(deployPath)} --env-file "$d/.env" -f "$d/compose.yaml" config --quiet`,
+  ].join(' && ');
+  const result = await sshService.executeCommand(server, cmd, { timeout: 60000, allowFailure: true, pty: false });
+  if (result.code === 0) return [];
+  const message = (result.stderr || result.stdout || '').trim() || `exit code ${result.code}`;
+  return [finding('error', 'compose-config', `docker compose config: ${message}`)];
+}
+
+/**
+ * Full validation of a stack definition, including the checks against its server.
+ * @param {object} options
+ * @param {object} options.server - Target server
+ * @param {string} options.name - Stack (compose project) name
+ * @param {string} [options.deployPath] - Stack directory (default: under STACK_DEPLOY_BASE)
+ * @param {string} options.composeYaml
+ * @param {Array<{ key: string, value: string }>} options.envRows - Plain env values
+ * @param {boolean} [options.remote=true] - Also check ports on the server and run the compose dry run
+ * @returns {Promise<{ valid: boolean, findings: Array, services: string[] }>}
+ */
+async function validateStack({ server, name, deployPath: stackPath, composeYaml, envRows, remote = true }) {
+  const safeName = validateComposeProjectName(name);
+  const deployPath = validateStackDeployPath(stackPath || `${STACK_DEPLOY_BASE}/${safeName}`);
+  const env = Object.fromEntries(envRows.filter((r) => r.key).map((r) => [r.key, r.value ?? '']));
+  const { findings, services, ports } = validateCompose(composeYaml, { env, deployPath });
+  // The host checks need a file compose can read
+  if (remote && server && !findings.some((f) => f.code === 'yaml')) {
+    try {
+      findings.push(...await checkHostPorts(server, safeName, ports));
+      findings.push(...await composeConfigDryRun(server, { name: safeName, deployPath, composeYaml, envRows }));
+    } catch (e) {
+      findings.push(finding('warning', 'server-unreachable', `Could not check the server: ${e.message}`));
+    }
+  }
+  return { valid: !findings.some((f) => f.level === 'error'), findings, services };
+}
+
+module.exports = {
+  interpolationRefs,
+  interpolate,
+  publishedPorts,
+  parseDockerPsPorts,
+  validateCompose,
+  validateStack,
+};
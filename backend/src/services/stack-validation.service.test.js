@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const {
+  interpolate, publishedPorts, parseDockerPsPorts, validateCompose, validateStack,
+} = require('./stack-validation.service');
+
+const deployPath = '/opt/dockerfleet/stacks/demo';
+const codes = (findings) => findings.map((f) => `${f.level}:${f.code}${f.service ? `:${f.service}` : ''}`).sort();
+
+test('validateCompose reports YAML syntax errors with the line', () => {
+  const { findings } = validateCompose('services:\n  web:\n    image: [nginx\n', { deployPath });
+  assert.strictEqual(findings.length, 1);
+  assert.strictEqual(findings[0].code, 'yaml');
+  assert.ok(findings[0].line >= 3);
+});
+
+test('validateCompose checks keys, types and references', () => {
+  const composeYaml = [
+    'services:',
+    '  web:',
+    '    image: nginx',
+    '    restart: sometimes',
+    '    ports: "80:80"',
+    '    depends_on: [db]',
+    '    networks: [front]',
+    '  worker:',
+    '    command: run',
+    '    imagee: app',
+    '    volumes:',
+    '      - data:/data',
+    'volumez: {}',
+  ].join('\n');
+  const { findings, services } = validateCompose(composeYaml, { deployPath });
+  assert.deepStrictEqual(services, ['web', 'worker']);
+  assert.deepStrictEqual(codes(findings), [
+    'error:schema',
+    'error:schema:web',
+    'error:schema:web',
+    'error:schema:web',
+    'error:schema:web',
+    'error:schema:worker',
+    'error:schema:worker',
+    'error:schema:worker',
+  ]);
+  assert.ok(findings.some((f) => /Unknown top-level key "volumez"/.test(f.message)));
+  assert.ok(findings.some((f) => /undefined service "db"/.test(f.message)));
+  assert.ok(findings.some((f) => /undefined network "front"/.test(f.message)));
+  assert.ok(findings.some((f) => /undefined volume "data"/.test(f.message)));
+  assert.ok(findings.some((f) => /Unknown key "imagee"/.test(f.message)));
+});
+
+test('validateCompose flags missing variables, outside bind mounts and duplicate ports', () => {
+  const composeYaml = [
+    'services:',
+    '  web:',
+    '    image: "nginx:${TAG:-latest}"',
+    '    ports: ["${PORT}:80", "127.0.0.1:9000:9000"]',
+    '    environment:',
+    '      DB_PASS: ${DB_PASS:?set a password}',
+    '      GREETING: $HELLO',
+    '      COST: $$5',
+    '    volumes:',
+    '      - ./data:/data',
+    '      - /srv/media:/media:ro',
+    '      - /var/run/docker.sock:/var/run/docker.sock',
+    '  proxy:',
+    '    image: caddy',
+    '    ports:',
+    '      - target: 443',
+    '        published: 8080',
+    '    # ${COMMENTED_OUT}',
+  ].join('\n');
+  const { findings, ports } = validateCompose(composeYaml, { env: { PORT: '8080' }, deployPath });
+  assert.deepStrictEqual(codes(findings), [
+    'error:missing-variable',
+    'error:port-conflict:web',
+    'warning:bind-mount-outside:web',
+    'warning:bind-mount-outside:web',
+    'warning:missing-variable',
+  ]);
+  assert.ok(findings.some((f) => f.code === 'missing-variable' && f.level === 'error' && /DB_PASS/.test(f.message) && f.line === 6));
+  assert.ok(findings.some((f) => /HELLO/.test(f.message) && f.level === 'warning'));
+  assert.ok(findings.some((f) => /docker\.sock .*control of Docker/.test(f.message)));
+  assert.deepStrictEqual(ports.map((p) => `${p.service}:${p.hostIp}:${p.port}/${p.protocol}`), [
+    'proxy::8080/tcp', 'web::8080/tcp', 'web:127.0.0.1:9000/tcp',
+  ]);
+});
+
+test('interpolate and publishedPorts follow compose syntax', () => {
+  assert.strictEqual(interpolate('${A:-x}-${B-y}-${C:+z}-$$', { A: '', B: '', C: '1' }), 'x--z-$');
+  assert.strictEqual(interpolate('${MISSING}', {}), null);
+  assert.deepStrictEqual(publishedPorts(['80', '53:53/udp', '[::1]:8443:443', '7000-7001:7000-7001', '127.0.0.1::80']), [
+    { hostIp: '', port: 53, protocol: 'udp' },
+    { hostIp: '[::1]', port: 8443, protocol: 'tcp' },
+    { hostIp: '', port: 7000, protocol: 'tcp' },
+    { hostIp: '', port: 7001, protocol: 'tcp' },
+  ]);
+});
+
+test('parseDockerPsPorts reads published host ports', () => {
+  const out = parseDockerPsPorts('nginx\t\t0.0.0.0:8080->80/tcp, :::8080->80/tcp, 443/tcp\ndb\tother\t127.0.0.1:5432->5432/tcp\n');
+  assert.deepStrictEqual(out, [
+    { container: 'nginx', project: null, hostIp: '0.0.0.0', port: 8080, protocol: 'tcp' },
+    { container: 'nginx', project: null, hostIp: '::', port: 8080, protocol: 'tcp' },
+    { container: 'db', project: 'other', hostIp: '127.0.0.1', port: 5432, protocol: 'tcp' },
+  ]);
+});
+
+test('validateStack checks ports on the server and runs compose config', async (t) => {
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd.startsWith('docker ps')) {
+      return { stdout: 'old-web\tother\t0.0.0.0:8080->80/tcp\ndemo-web-1\tdemo\t0.0.0.0:9090->80/tcp\n', stderr: '', code: 0 };
+    }
+    return { stdout: '', stderr: 'service "web" refers to undefined config', code: 15 };
+  });
+  const composeYaml = 'services:\n  web:\n    image: nginx\n    ports: ["8080:80", "9090:81"]\n';
+  const result = await validateStack({ server: { id: 's1' }, name: 'demo', composeYaml, envRows: [{ key: 'TZ', value: 'UTC' }] });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(codes(result.findings), ['error:compose-config', 'warning:port-in-use:web']);
+  assert.match(result.findings.find((f) => f.code === 'port-in-use').message, /8080\/tcp .* old-web/);
+  assert.match(commands[1], /--project-directory '\/opt\/dockerfleet\/stacks\/demo' .* config --quiet/);
+  assert.match(commands[1], /trap 'rm -rf "\$d"' EXIT/);
+});
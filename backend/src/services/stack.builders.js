@@ -1,7 +1,10 @@
 const path = require('path');
+const yaml = require('js-yaml');
 const {
   validateComposeProjectName,
   validateStackDeployPath,
+  validateStackFilePath,
+  validateVolumeName,
   escapeSingleQuoted,
   throwInvalid,
 } = require('../utils/shellSafe');
@@ -16,10 +19,43 @@ function buildComposeCommand({ name, deployPath, action, pull }) {
   if (action === 'up') op = pull ? `(${base} pull --ignore-pull-failures || true) && ${base} up -d` : `${base} up -d`;
   else if (action === 'down') op = `${base} down`;
   else if (action === 'restart') op = `${base} restart`;
+  else if (action === 'stop') op = `${base} stop`;
+  else if (action === 'start') op = `${base} start`;
   else throw new Error(`Invalid compose action: ${action}`);
   return `cd ${escapeSingleQuoted(safePath)} && export DOCKER_API_VERSION=1.41 && ${op}`;
 }
 
+const SERVICE_ACTIONS = ['restart', 'scale', 'recreate'];
+const MAX_SCALE = 50;
+
+/**
+ * Compose command for one service of a stack: restart it, scale it to `replicas` containers, or
+ * pull its image and recreate its containers (keeping `replicas` when given).
+ * The service name must come from the stack's compose file; it is still validated here.
+ */
+function buildServiceCommand({ name, deployPath, service, action, replicas }) {
+  const safeName = validateComposeProjectName(name);
+  const safePath = validateStackDeployPath(deployPath);
+  if (typeof service !== 'string' || !/^[a-zA-Z0-9._-]{1,128}$/.test(service)) throwInvalid('Invalid service name', service);
+  const base = `docker compose -p ${escapeSingleQuoted(safeName)} --env-file .env -f compose.yaml`;
+  const svc = escapeSingleQuoted(service);
+  const scaleFlag = () => {
+    if (!Number.isInteger(replicas) || replicas < 0 || replicas > MAX_SCALE) {
+      throwInvalid(`Replicas must be a whole number between 0 and ${MAX_SCALE}`, replicas);
+    }
+    return `--scale ${escapeSingleQuoted(`${service}=${replicas}`)}`;
+  };
+  let op;
+  if (action === 'restart') op = `${base} restart ${svc}`;
+  // --no-recreate: only add or remove containers, leave the running ones alone
+  else if (action === 'scale') op = `${base} up -d --no-deps --no-recreate ${scaleFlag()} ${svc}`;
+  else if (action === 'recreate') {
+    const scale = replicas === undefined ? '' : ` ${scaleFlag()}`;
+    op = `${base} pull ${svc} && ${base} up -d --no-deps --force-recreate${scale} ${svc}`;
+  } else throwInvalid(`Invalid service action (use one of ${SERVICE_ACTIONS.join(', ')})`, action);
+  return `cd ${escapeSingleQuoted(safePath)} && export DOCKER_API_VERSION=1.41 && ${op}`;
+}
+
 function buildWriteFileCommand(deployPath, filename, content) {
   const safePath = validateStackDeployPath(deployPath);
 
@@ -42,6 +78,125 @@ function buildWriteFileCommand(deployPath, filename, content) {
   return `mkdir -p ${escapeSingleQuoted(safePath)} && printf '%s' ${escapeSingleQuoted(b64)} | base64 -d > ${escapeSingleQuoted(target)}`;
 }
 
+/**
+ * Write one of a stack's extra files (path relative to deployPath, subdirectories created).
+ * Secret files are readable by their owner only.
+ */
+function buildWriteStackFileCommand(deployPath, filePath, content, { secret = false } = {}) {
+  const safePath = validateStackDeployPath(deployPath);
+  const rel = validateStackFilePath(filePath);
+  const target = `${safePath}/${rel}`;
+  const dir = target.slice(0, target.lastIndexOf('/'));
+  const b64 = Buffer.from(String(content), 'utf8').toString('base64');
+  const write = `printf '%s' ${escapeSingleQuoted(b64)} | base64 -d > ${escapeSingleQuoted(target)}`;
+  return `mkdir -p ${escapeSingleQuoted(dir)} && ${secret ? `umask 077 && ${write} && chmod 600 ${escapeSingleQuoted(target)}` : write}`;
+}
+
+/** Remove extra files a stack no longer has; null when there is nothing to remove. */
+function buildRemoveStackFilesCommand(deployPath, filePaths) {
+  const safePath = validateStackDeployPath(deployPath);
+  const rels = (filePaths || []).map((p) => validateStackFilePath(p));
+  if (!rels.length) return null;
+  return `cd ${escapeSingleQuoted(safePath)} && rm -f -- ${rels.map(escapeSingleQuoted).join(' ')}`;
+}
+
+// Helper image for reading and writing volume contents (the one snapshot bundles use)
+const VOLUME_HELPER_IMAGE = 'alpine:3.19';
+
+/** Names of the volumes compose created for a project, one per line. */
+function buildListProjectVolumesCommand(name) {
+  const safeName = validateComposeProjectName(name);
+  return `docker volume ls -q --filter ${escapeSingleQuoted(`label=com.docker.compose.project=${safeName}`)}`;
+}
+
+const VOLUME_DRIVER_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.\-/:]{0,127}$/;
+const VOLUME_OPTION_KEY_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.\-]{0,127}$/;
+
+/**
+ * Create a volume with the given labels (compose only reuses volumes carrying its own); local
+ * unless `driver` is given, with `driverOpts` passed as --opt.
+ */
+function buildCreateVolumeCommand(volume, labels = {}, { driver, driverOpts = {} } = {}) {
+  const flags = Object.entries(labels).map(([k, v]) => `--label ${escapeSingleQuoted(`${k}=${v}`)}`);
+  if (driver && driver !== 'local') {
+    if (!VOLUME_DRIVER_REGEX.test(driver)) throwInvalid('Invalid volume driver', driver);
+    flags.unshift(`--driver ${escapeSingleQuoted(driver)}`);
+  }
+  for (const [k, v] of Object.entries(driverOpts)) {
+    if (!VOLUME_OPTION_KEY_REGEX.test(k)) throwInvalid('Invalid volume driver option', k);
+    flags.push(`--opt ${escapeSingleQuoted(`${k}=${v}`)}`);
+  }
+  return ['docker volume create', ...flags, escapeSingleQuoted(validateVolumeName(volume))].join(' ');
+}
+
+/** Copy one volume's contents into another on the same host, keeping owners and modes. */
+function buildCopyVolumeCommand(from, to) {
+  const src = escapeSingleQuoted(validateVolumeName(from));
+  const dst = escapeSingleQuoted(validateVolumeName(to));
+  return `docker run --rm -v ${src}:/from:ro -v ${dst}:/to ${VOLUME_HELPER_IMAGE} cp -a /from/. /to/`;
+}
+
+/** Write a volume's contents to stdout as a gzipped tar. */
+function buildVolumeArchiveCommand(volume) {
+  const q = escapeSingleQuoted(validateVolumeName(volume));
+  return `docker run --rm -v ${q}:/from:ro ${VOLUME_HELPER_IMAGE} tar czf - -C /from .`;
+}
+
+/** Extract a gzipped tar read from stdin into a volume. */
+function buildVolumeExtractCommand(volume) {
+  const q = escapeSingleQuoted(validateVolumeName(volume));
+  return `docker run --rm -i -v ${q}:/to ${VOLUME_HELPER_IMAGE} tar xzf - -C /to`;
+}
+
+/**
+ * `docker volume inspect` output as [{ name, driver, labels, options }].
+ */
+function parseVolumeInspect(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+  return JSON.parse(trimmed).map((v) => ({
+    name: v.Name,
+    driver: v.Driver || 'local',
+    labels: v.Labels || {},
+    options: v.Options || {},
+  }));
+}
+
+/**
+ * Relative paths of the files a compose file mounts from its project directory: bind-mount
+ * sources (short and long syntax) and top-level configs/secrets `file:` entries. Whether a path
+ * is a file or a directory is only known on the host. Secrets entries are flagged secret.
+ * @returns {Array<{ path: string, secret: boolean }>} paths as written ("./nginx.conf"), deduplicated
+ */
+function composeFileRefs(composeYaml) {
+  let docs;
+  try {
+    docs = yaml.loadAll(String(composeYaml || ''));
+  } catch (e) {
+    return [];
+  }
+  const refs = new Map();
+  const add = (source, secret = false) => {
+    if (typeof source !== 'string' || !/^\.{1,2}\//.test(source)) return;
+    refs.set(source, { path: source, secret: secret || !!refs.get(source)?.secret });
+  };
+  for (const doc of docs) {
+    if (!doc || typeof doc !== 'object') continue;
+    for (const def of Object.values(doc.services && typeof doc.services === 'object' ? doc.services : {})) {
+      for (const vol of Array.isArray(def?.volumes) ? def.volumes : []) {
+        if (typeof vol === 'string') add(vol.split(':')[0]);
+        else if (vol && vol.type === 'bind') add(vol.source);
+      }
+    }
+    for (const kind of ['configs', 'secrets']) {
+      for (const entry of Object.values(doc[kind] && typeof doc[kind] === 'object' ? doc[kind] : {})) {
+        add(entry?.file, kind === 'secrets');
+      }
+    }
+  }
+  return [...refs.values()];
+}
+
 function parseComposeLs(jsonText) {
   let arr;
   try {
@@ -73,29 +228,32 @@ const LONG_SOURCE_RELATIVE = /^(\s*source:\s*)(['"]?)(\.{1,2}(?:\/[^'"\s]*)?)\2(
  *
  * Imported stacks deploy from /opt/dockerfleet/stacks/<name>/, so a relative
  * bind would silently point at a fresh empty directory instead of the
- * project's data. Line-based rewrite preserves the file's formatting.
+ * project's data. Line-based rewrite preserves the file's formatting. Paths in
+ * `keep` (as written in the compose file) are left relative.
  */
-function rewriteRelativeBindMounts(yamlText, projectDir) {
+function rewriteRelativeBindMounts(yamlText, projectDir, { keep = [] } = {}) {
   const text = String(yamlText || '');
   const dir = String(projectDir || '').replace(/\/+$/, '');
   if (!dir.startsWith('/')) return text;
+  // Paths imported as stack files stay relative: the deploy writes them next to compose.yaml
+  const kept = new Set(keep.map((p) => path.posix.resolve(dir, p)));
   return text
     .split('\n')
     .map((line) => {
       let m = line.match(VOLUME_ITEM_RELATIVE);
       if (m) {
         const abs = path.posix.resolve(dir, m[2]);
-        return `${m[1]}${abs}${m[3]}`;
+        return kept.has(abs) ? line : `${m[1]}${abs}${m[3]}`;
       }
       m = line.match(VOLUME_ITEM_RELATIVE_QUOTED);
       if (m) {
         const abs = path.posix.resolve(dir, m[3]);
-        return `${m[1]}${m[2]}${abs}${m[4]}${m[2]}${m[5]}`;
+        return kept.has(abs) ? line : `${m[1]}${m[2]}${abs}${m[4]}${m[2]}${m[5]}`;
       }
       m = line.match(LONG_SOURCE_RELATIVE);
       if (m) {
         const abs = path.posix.resolve(dir, m[3]);
-        return `${m[1]}${m[2]}${abs}${m[2]}${m[4]}`;
+        return kept.has(abs) ? line : `${m[1]}${m[2]}${abs}${m[2]}${m[4]}`;
       }
       return line;
     })
@@ -113,4 +271,77 @@ function parseEnvFile(text) {
     });
 }
 
-module.exports = { buildComposeCommand, buildWriteFileCommand, parseComposeLs, parseEnvFile, rewriteRelativeBindMounts };
+/**
+ * `docker compose ps --format json` prints a JSON array (Compose < 2.21) or one object per line.
+ * @returns {Array<{ id: string, name: string, service: string, state: string, health: string|null, status: string, image: string, exitCode: number|null }>}
+ */
+function parseComposeContainers(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+  let items;
+  if (trimmed.startsWith('[')) {
+    items = JSON.parse(trimmed);
+  } else {
+    items = trimmed.split('\n').map((l) => l.trim()).filter(Boolean).map((l) => JSON.parse(l));
+  }
+  return items.map((c) => ({
+    id: c.ID || '',
+    name: c.Name,
+    service: c.Service,
+    state: String(c.State || '').toLowerCase(),
+    health: c.Health ? String(c.Health).toLowerCase() : null,
+    status: c.Status || '',
+    image: c.Image || '',
+    exitCode: Number.isInteger(c.ExitCode) ? c.ExitCode : null,
+  }));
+}
+
+/**
+ * Services declared in compose YAML (every document), sorted by name. `inactive` marks services
+ * compose does not start by default: behind a profile or scaled to zero.
+ * @returns {Array<{ name: string, image: string|null, containerName: string|null, inactive: boolean }>|null} null when the YAML cannot be parsed
+ */
+function parseComposeServices(composeYaml) {
+  let docs;
+  try {
+    docs = yaml.loadAll(String(composeYaml || ''));
+  } catch (e) {
+    return null;
+  }
+  const byName = new Map();
+  for (const doc of docs) {
+    const services = doc && typeof doc === 'object' ? doc.services : null;
+    if (!services || typeof services !== 'object') continue;
+    for (const [name, def] of Object.entries(services)) {
+      byName.set(name, {
+        name,
+        image: typeof def?.image === 'string' ? def.image : null,
+        containerName: typeof def?.container_name === 'string' ? def.container_name : null,
+        inactive: (Array.isArray(def?.profiles) && def.profiles.length > 0) || def?.deploy?.replicas === 0 || def?.scale === 0,
+      });
+    }
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  SERVICE_ACTIONS,
+  VOLUME_HELPER_IMAGE,
+  buildComposeCommand,
+  buildServiceCommand,
+  buildWriteFileCommand,
+  buildWriteStackFileCommand,
+  buildRemoveStackFilesCommand,
+  buildListProjectVolumesCommand,
+  buildCreateVolumeCommand,
+  buildCopyVolumeCommand,
+  buildVolumeArchiveCommand,
+  buildVolumeExtractCommand,
+  parseVolumeInspect,
+  composeFileRefs,
+  parseComposeLs,
+  parseEnvFile,
+  parseComposeContainers,
+  parseComposeServices,
+  rewriteRelativeBindMounts,
+};
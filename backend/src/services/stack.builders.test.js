@@ -2,9 +2,20 @@ const test = require('node:test');
 const assert = require('node:assert');
 const {
   buildComposeCommand,
+  buildServiceCommand,
   buildWriteFileCommand,
+  buildWriteStackFileCommand,
+  buildRemoveStackFilesCommand,
+  buildListProjectVolumesCommand,
+  buildCreateVolumeCommand,
+  buildCopyVolumeCommand,
+  buildVolumeArchiveCommand,
+  buildVolumeExtractCommand,
+  parseVolumeInspect,
+  composeFileRefs,
   parseComposeLs,
   parseEnvFile,
+  parseComposeContainers,
   rewriteRelativeBindMounts,
 } = require('./stack.builders');
 
@@ -35,6 +46,11 @@ test('buildComposeCommand down', () => {
   assert.match(cmd, /down/);
 });
 
+test('buildComposeCommand stop and start keep the containers', () => {
+  assert.match(buildComposeCommand({ name: 'm', deployPath: '/opt/dockerfleet/stacks/m', action: 'stop' }), /compose\.yaml stop$/);
+  assert.match(buildComposeCommand({ name: 'm', deployPath: '/opt/dockerfleet/stacks/m', action: 'start' }), /compose\.yaml start$/);
+});
+
 test('buildComposeCommand rejects bad name', () => {
   assert.throws(() => buildComposeCommand({ name: 'bad name', deployPath: '/opt/dockerfleet/stacks/x', action: 'up' }), /Invalid/i);
 });
@@ -64,6 +80,94 @@ test('buildWriteFileCommand accepts compose.yaml and .env', () => {
   assert.doesNotThrow(() => buildWriteFileCommand('/opt/dockerfleet/stacks/x', '.env', 'content'));
 });
 
+test('buildWriteStackFileCommand creates subdirectories and protects secret files', () => {
+  const cmd = buildWriteStackFileCommand('/opt/dockerfleet/stacks/x', './nginx/default.conf', 'server {}');
+  assert.match(cmd, /^mkdir -p '\/opt\/dockerfleet\/stacks\/x\/nginx' && /);
+  assert.match(cmd, /base64 -d > '\/opt\/dockerfleet\/stacks\/x\/nginx\/default\.conf'$/);
+  const secret = buildWriteStackFileCommand('/opt/dockerfleet/stacks/x', 'certs/key.pem', 'k', { secret: true });
+  assert.match(secret, /umask 077 && .* && chmod 600 '\/opt\/dockerfleet\/stacks\/x\/certs\/key\.pem'$/);
+  assert.throws(() => buildWriteStackFileCommand('/opt/dockerfleet/stacks/x', '../evil', 'x'), (err) => err.code === 'INVALID_INPUT');
+  assert.throws(() => buildWriteStackFileCommand('/opt/dockerfleet/stacks/x', '.env', 'x'), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('buildRemoveStackFilesCommand removes listed files only', () => {
+  assert.strictEqual(buildRemoveStackFilesCommand('/opt/dockerfleet/stacks/x', []), null);
+  assert.strictEqual(
+    buildRemoveStackFilesCommand('/opt/dockerfleet/stacks/x', ['old.conf', 'sql/01.sql']),
+    "cd '/opt/dockerfleet/stacks/x' && rm -f -- 'old.conf' 'sql/01.sql'"
+  );
+  assert.throws(() => buildRemoveStackFilesCommand('/opt/dockerfleet/stacks/x', ['../../etc/passwd']), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('volume commands quote the volume and reject unsafe names', () => {
+  assert.strictEqual(
+    buildListProjectVolumesCommand('cloud'),
+    "docker volume ls -q --filter 'label=com.docker.compose.project=cloud'"
+  );
+  assert.strictEqual(
+    buildCreateVolumeCommand('cloud_db', { 'com.docker.compose.project': 'cloud', 'com.docker.compose.volume': 'db' }),
+    "docker volume create --label 'com.docker.compose.project=cloud' --label 'com.docker.compose.volume=db' 'cloud_db'"
+  );
+  assert.match(buildVolumeArchiveCommand('cloud_db'), /-v 'cloud_db':\/from:ro alpine:3\.19 tar czf - -C \/from \.$/);
+  assert.match(buildVolumeExtractCommand('cloud_db'), /--rm -i -v 'cloud_db':\/to alpine:3\.19 tar xzf - -C \/to$/);
+  assert.throws(() => buildVolumeArchiveCommand('x; rm -rf /'), (err) => err.code === 'INVALID_INPUT');
+});
+
+test('buildCreateVolumeCommand with a driver and options; buildCopyVolumeCommand', () => {
+  assert.strictEqual(
+    buildCreateVolumeCommand('media', { team: 'web' }, { driver: 'local', driverOpts: { type: 'nfs', o: 'addr=10.0.0.5,rw', device: ':/export/media' } }),
+    "docker volume create --label 'team=web' --opt 'type=nfs' --opt 'o=addr=10.0.0.5,rw' --opt 'device=:/export/media' 'media'"
+  );
+  assert.strictEqual(buildCreateVolumeCommand('s3', {}, { driver: 'rexray/s3fs' }), "docker volume create --driver 'rexray/s3fs' 's3'");
+  assert.throws(() => buildCreateVolumeCommand('x', {}, { driver: 'a b' }), (err) => err.code === 'INVALID_INPUT');
+  assert.throws(() => buildCreateVolumeCommand('x', {}, { driverOpts: { 'o;id': '1' } }), (err) => err.code === 'INVALID_INPUT');
+  assert.strictEqual(
+    buildCopyVolumeCommand('pg_data', 'pg_data_copy'),
+    "docker run --rm -v 'pg_data':/from:ro -v 'pg_data_copy':/to alpine:3.19 cp -a /from/. /to/"
+  );
+});
+
+test('parseVolumeInspect keeps driver, labels and options', () => {
+  const out = JSON.stringify([
+    { Name: 'cloud_db', Driver: 'local', Labels: { 'com.docker.compose.project': 'cloud' }, Options: null },
+    { Name: 'cloud_nfs', Driver: 'local', Labels: null, Options: { type: 'nfs' } },
+  ]);
+  assert.deepStrictEqual(parseVolumeInspect(out), [
+    { name: 'cloud_db', driver: 'local', labels: { 'com.docker.compose.project': 'cloud' }, options: {} },
+    { name: 'cloud_nfs', driver: 'local', labels: {}, options: { type: 'nfs' } },
+  ]);
+  assert.deepStrictEqual(parseVolumeInspect(''), []);
+});
+
+test('composeFileRefs lists relative bind sources and config/secret files', () => {
+  const yaml = [
+    'services:',
+    '  web:',
+    '    volumes:',
+    '      - ./nginx.conf:/etc/nginx/nginx.conf:ro',
+    '      - data:/data',
+    '      - /abs:/abs',
+    '      - type: bind',
+    '        source: ./initdb',
+    '        target: /docker-entrypoint-initdb.d',
+    'configs:',
+    '  app:',
+    '    file: ./app.yml',
+    'secrets:',
+    '  db:',
+    '    file: ./db_password.txt',
+    'volumes:',
+    '  data:',
+  ].join('\n');
+  assert.deepStrictEqual(composeFileRefs(yaml), [
+    { path: './nginx.conf', secret: false },
+    { path: './initdb', secret: false },
+    { path: './app.yml', secret: false },
+    { path: './db_password.txt', secret: true },
+  ]);
+  assert.deepStrictEqual(composeFileRefs('services: ['), []);
+});
+
 test('parseComposeLs parses docker compose ls JSON', () => {
   const json = JSON.stringify([
     { Name: 'nextcloud', Status: 'running(2)', ConfigFiles: '/home/s/Docker/nextcloud/docker-compose.yml' },
@@ -128,6 +232,13 @@ test('rewriteRelativeBindMounts leaves ports, env_file and absolute sources alon
   assert.match(out, /- \/data:\/data/);
 });
 
+test('rewriteRelativeBindMounts keeps imported files relative', () => {
+  const yaml = ['services:', '  app:', '    volumes:', '      - ./nginx.conf:/etc/nginx/nginx.conf', '      - ./data:/data'].join('\n');
+  const out = rewriteRelativeBindMounts(yaml, '/srv/app', { keep: ['./nginx.conf'] });
+  assert.match(out, /- \.\/nginx\.conf:\/etc\/nginx\/nginx\.conf/);
+  assert.match(out, /- \/srv\/app\/data:\/data/);
+});
+
 test('rewriteRelativeBindMounts is a no-op without a valid project dir', () => {
   const yaml = '      - ./data:/app/data';
   assert.strictEqual(rewriteRelativeBindMounts(yaml, ''), yaml);
@@ -141,3 +252,35 @@ test('parseEnvFile ignores comments/blanks and splits on first =', () => {
     { key: 'URL', value: 'http://x?a=b' },
   ]);
 });
+
+test('buildServiceCommand targets one service for restart, scale and recreate', () => {
+  const opts = { name: 'm', deployPath: '/opt/dockerfleet/stacks/m', service: 'web' };
+  assert.match(buildServiceCommand({ ...opts, action: 'restart' }), /compose -p 'm' --env-file .env -f compose.yaml restart 'web'$/);
+  assert.match(
+    buildServiceCommand({ ...opts, action: 'scale', replicas: 3 }),
+    /up -d --no-deps --no-recreate --scale 'web=3' 'web'$/
+  );
+  const recreate = buildServiceCommand({ ...opts, action: 'recreate' });
+  assert.match(recreate, /pull 'web' && .* up -d --no-deps --force-recreate 'web'$/);
+  assert.match(buildServiceCommand({ ...opts, action: 'recreate', replicas: 2 }), /--force-recreate --scale 'web=2' 'web'$/);
+});
+
+test('buildServiceCommand rejects bad service names, replicas and actions', () => {
+  const opts = { name: 'm', deployPath: '/opt/dockerfleet/stacks/m' };
+  assert.throws(() => buildServiceCommand({ ...opts, service: "web'; rm -rf /", action: 'restart' }), /Invalid service name/);
+  assert.throws(() => buildServiceCommand({ ...opts, service: 'web', action: 'scale', replicas: 1.5 }), /Replicas/);
+  assert.throws(() => buildServiceCommand({ ...opts, service: 'web', action: 'scale', replicas: NaN }), /Replicas/);
+  assert.throws(() => buildServiceCommand({ ...opts, service: 'web', action: 'down' }), /Invalid service action/);
+});
+
+test('parseComposeContainers keeps health, image and status', () => {
+  const row = {
+    ID: 'abc', Name: 'demo-web-1', Service: 'web', State: 'running', Health: 'healthy',
+    Status: 'Up 2 hours (healthy)', Image: 'nginx:1.27', ExitCode: 0,
+  };
+  assert.deepStrictEqual(parseComposeContainers(`${JSON.stringify(row)}\n`), [{
+    id: 'abc', name: 'demo-web-1', service: 'web', state: 'running', health: 'healthy',
+    status: 'Up 2 hours (healthy)', image: 'nginx:1.27', exitCode: 0,
+  }]);
+  assert.strictEqual(parseComposeContainers(JSON.stringify([{ ...row, Health: '' }]))[0].health, null);
+});
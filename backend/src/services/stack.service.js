@@ -1,14 +1,63 @@
 const sshService = require('./ssh.service');
 const logger = require('../config/logger');
-const { buildComposeCommand, buildWriteFileCommand, parseComposeLs } = require('./stack.builders');
+const {
+  buildComposeCommand,
+  buildServiceCommand,
+  buildWriteFileCommand,
+  buildWriteStackFileCommand,
+  buildRemoveStackFilesCommand,
+  buildListProjectVolumesCommand,
+  parseVolumeInspect,
+  parseComposeLs,
+  parseComposeContainers,
+  parseComposeServices,
+} = require('./stack.builders');
 const { renderEnvFile, readValue } = require('../utils/stackEnv');
-const { escapeSingleQuoted } = require('../utils/shellSafe');
+const { escapeSingleQuoted, validateComposeProjectName, validateStackFilePath, STACK_FILES_MANIFEST } = require('../utils/shellSafe');
+
+// Largest extra file a stack can have; an import skips larger files
+const MAX_STACK_FILE_BYTES = 512 * 1024;
 
 function decryptRows(envVarModels) {
   return (envVarModels || []).map((e) => ({ key: e.key, value: readValue(e.value, e.isSecret) }));
 }
 
-async function deployStack(server, stack, plainEnvRows, { pull } = {}) {
+function decryptFiles(fileModels) {
+  return (fileModels || []).map((f) => ({ path: f.path, content: readValue(f.content, f.isSecret), isSecret: !!f.isSecret }));
+}
+
+/**
+ * Write the stack's extra files under its deployPath and remove the ones the previous deploy
+ * wrote that the stack no longer has (listed in the manifest file).
+ */
+async function writeStackFiles(server, stack, plainFiles) {
+  const manifestPath = `${stack.deployPath}/${STACK_FILES_MANIFEST}`;
+  const previous = await sshService.executeCommand(server, `cat ${escapeSingleQuoted(manifestPath)} 2>/dev/null || true`, {
+    timeout: 30000, allowFailure: true, pty: false,
+  });
+  const current = new Set(plainFiles.map((f) => f.path));
+  const stale = (previous.stdout || '').split('\n').map((l) => l.trim()).filter((p) => {
+    if (!p || current.has(p)) return false;
+    // The manifest is on the host; only ever remove paths a stack file could have
+    try { validateStackFilePath(p); return true; } catch { return false; }
+  });
+  if (!plainFiles.length && !stale.length && !previous.stdout) return;
+
+  for (const f of plainFiles) {
+    await sshService.executeCommand(server, buildWriteStackFileCommand(stack.deployPath, f.path, f.content, { secret: f.isSecret }), { timeout: 60000 });
+  }
+  const removeCmd = buildRemoveStackFilesCommand(stack.deployPath, stale);
+  if (removeCmd) await sshService.executeCommand(server, removeCmd, { timeout: 60000 });
+  const manifest = plainFiles.map((f) => `${f.path}\n`).join('');
+  await sshService.executeCommand(server, buildWriteFileCommand(stack.deployPath, STACK_FILES_MANIFEST, manifest), { timeout: 60000 });
+}
+
+/**
+ * Write compose.yaml, .env and the stack's extra files to its deployPath and run
+ * `docker compose up -d`. onOutput receives the compose output chunks as they arrive, for live progress.
+ * @param {Array<{ path, content, isSecret }>} [options.files] - Extra files, decrypted
+ */
+async function deployStack(server, stack, plainEnvRows, { pull, onOutput, files = [] } = {}) {
   const composeCmd = buildWriteFileCommand(stack.deployPath, 'compose.yaml', stack.composeYaml);
   await sshService.executeCommand(server, composeCmd, { timeout: 60000 });
 
@@ -16,8 +65,13 @@ async function deployStack(server, stack, plainEnvRows, { pull } = {}) {
   const envCmd = buildWriteFileCommand(stack.deployPath, '.env', envContent);
   await sshService.executeCommand(server, envCmd, { timeout: 60000 });
 
+  await writeStackFiles(server, stack, files);
+
   const upCmd = buildComposeCommand({ name: stack.name, deployPath: stack.deployPath, action: 'up', pull });
-  const result = await sshService.executeCommand(server, upCmd, { timeout: 600000, allowFailure: true });
+  // No PTY: compose then prints one plain line per progress event instead of redrawing the screen
+  const result = await sshService.executeCommand(server, upCmd, {
+    timeout: 600000, allowFailure: true, pty: false, onData: onOutput,
+  });
   const out = `${result.stdout || ''}\n${result.stderr || ''}`;
   const success = result.code === 0 || /Container\s+\S+\s+(Started|Running|Created)/i.test(out);
   return { success, code: result.code, stdout: result.stdout || '', stderr: result.stderr || '' };
@@ -42,6 +96,84 @@ async function discover(server) {
   return parseComposeLs(result.stdout).map((p) => ({ ...p, managed: false }));
 }
 
+/**
+ * Running containers of the stack's compose project, as [{ id, name }].
+ */
+async function listProjectContainers(server, stack) {
+  const cmd = `docker ps --filter label=com.docker.compose.project=${escapeSingleQuoted(stack.name)} --format '{{.ID}}|{{.Names}}'`;
+  const result = await sshService.executeCommand(server, cmd, { timeout: 30000, allowFailure: true });
+  if (result.code !== 0) return [];
+  return (result.stdout || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [id, name] = line.split('|');
+      return { id, name: name || id };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Every container of the stack's compose project, stopped ones included (`docker compose ps --all`).
+ * @throws {Error} when compose cannot be run on the host
+ */
+async function listComposeContainers(server, stack) {
+  const name = validateComposeProjectName(stack.name);
+  const cmd = `DOCKER_API_VERSION=1.41 docker compose -p ${escapeSingleQuoted(name)} ps --all --format json`;
+  const result = await sshService.executeCommand(server, cmd, { timeout: 60000, allowFailure: true, pty: false });
+  if (result.code !== 0) throw new Error(`docker compose ps failed: ${(result.stderr || '').trim() || `exit code ${result.code}`}`);
+  return parseComposeContainers(result.stdout);
+}
+
+/**
+ * Services of the stack's compose file with their containers on the host. Containers of services
+ * that are no longer in the file are listed too (declared: false).
+ * @returns {Promise<Array<{ service: string, declared: boolean, inactive: boolean, image: string|null, containers: Array }>>}
+ */
+async function listServices(server, stack) {
+  const containers = await listComposeContainers(server, stack);
+  const byService = new Map();
+  for (const s of parseComposeServices(stack.composeYaml) || []) {
+    byService.set(s.name, { service: s.name, declared: true, inactive: s.inactive, image: s.image, containers: [] });
+  }
+  for (const c of containers) {
+    if (!byService.has(c.service)) {
+      byService.set(c.service, { service: c.service, declared: false, inactive: false, image: null, containers: [] });
+    }
+    byService.get(c.service).containers.push(c);
+  }
+  return [...byService.values()]
+    .map((s) => ({ ...s, containers: s.containers.sort((a, b) => a.name.localeCompare(b.name)) }))
+    .sort((a, b) => a.service.localeCompare(b.service));
+}
+
+/**
+ * Restart, scale or pull-and-recreate one service (buildServiceCommand).
+ * @returns {Promise<{ success: boolean, code: number, stdout: string, stderr: string }>}
+ */
+async function serviceAction(server, stack, service, action, { replicas } = {}) {
+  const cmd = buildServiceCommand({ name: stack.name, deployPath: stack.deployPath, service, action, replicas });
+  const result = await sshService.executeCommand(server, cmd, { timeout: 600000, allowFailure: true, pty: false });
+  return { success: result.code === 0, code: result.code, stdout: result.stdout || '', stderr: result.stderr || '' };
+}
+
+/**
+ * Volumes compose created for the stack's project, with driver, labels and options. Volumes the
+ * compose file marks external carry no project label and are not listed.
+ * @returns {Promise<Array<{ name, driver, labels, options }>>}
+ * @throws {Error} when the volumes cannot be listed on the host
+ */
+async function listProjectVolumes(server, stack) {
+  const listed = await sshService.executeCommand(server, buildListProjectVolumesCommand(stack.name), { timeout: 30000, pty: false });
+  const names = (listed.stdout || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  if (!names.length) return [];
+  const inspected = await sshService.executeCommand(server, `docker volume inspect ${names.map(escapeSingleQuoted).join(' ')}`, {
+    timeout: 30000, pty: false,
+  });
+  return parseVolumeInspect(inspected.stdout).sort((a, b) => a.name.localeCompare(b.name));
+}
+
 async function readRemoteFiles(server, paths) {
   const out = {};
   for (const p of paths) {
@@ -51,4 +183,41 @@ async function readRemoteFiles(server, paths) {
   return out;
 }
 
-module.exports = { deployStack, lifecycle, discover, readRemoteFiles, decryptRows };
+/**
+ * Contents of the regular text files among `paths` (absolute) on the host, up to
+ * MAX_STACK_FILE_BYTES each. Directories, missing, binary and larger files are left out.
+ * @returns {Promise<Object<string, string>>} path -> content
+ */
+async function readProjectFiles(server, paths) {
+  if (!paths.length) return {};
+  const checks = paths.map((p) => {
+    const q = escapeSingleQuoted(p);
+    return `if [ -f ${q} ] && [ "$(wc -c < ${q})" -le ${MAX_STACK_FILE_BYTES} ]; then printf '%s\\n' ${q}; fi`;
+  });
+  const listed = await sshService.executeCommand(server, checks.join('; '), { timeout: 30000, allowFailure: true, pty: false });
+  const files = (listed.stdout || '').split('\n').map((l) => l.trim()).filter((p) => paths.includes(p));
+  const out = {};
+  for (const p of files) {
+    const result = await sshService.executeCommand(server, `base64 < ${escapeSingleQuoted(p)}`, { timeout: 30000, allowFailure: true, pty: false });
+    if (result.code !== 0) continue;
+    const content = Buffer.from(result.stdout || '', 'base64').toString('utf8');
+    if (!content.includes('\u0000') && !content.includes('\uFFFD')) out[p] = content;
+  }
+  return out;
+}
+
+module.exports = {
+  MAX_STACK_FILE_BYTES,
+  deployStack,
+  lifecycle,
+  discover,
+  listProjectContainers,
+  listComposeContainers,
+  listServices,
+  serviceAction,
+  listProjectVolumes,
+  readRemoteFiles,
+  readProjectFiles,
+  decryptRows,
+  decryptFiles,
+};
@@ -52,3 +52,38 @@ test('decryptRows decrypts secret values', () => {
     { key: 'PASS', value: 'hunter2' },
   ]);
 });
+
+test('listProjectContainers filters by compose project label and sorts by name', async (t) => {
+  let command;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    command = cmd;
+    return { stdout: 'bbb|demo-web-1\naaa|demo-db-1\n', stderr: '', code: 0 };
+  });
+  const containers = await stackService.listProjectContainers(server, stack);
+  assert.match(command, /--filter label=com\.docker\.compose\.project='demo'/);
+  assert.deepStrictEqual(containers, [{ id: 'aaa', name: 'demo-db-1' }, { id: 'bbb', name: 'demo-web-1' }]);
+});
+
+test('listServices groups compose containers under the declared services', async (t) => {
+  let command;
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    command = cmd;
+    return {
+      stdout: [
+        { ID: '2', Name: 'demo-a-2', Service: 'a', State: 'running', Image: 'nginx' },
+        { ID: '1', Name: 'demo-a-1', Service: 'a', State: 'exited', ExitCode: 1, Image: 'nginx' },
+        { ID: '3', Name: 'demo-old-1', Service: 'old', State: 'running', Image: 'redis' },
+      ].map((r) => JSON.stringify(r)).join('\n'),
+      stderr: '',
+      code: 0,
+    };
+  });
+  const services = await stackService.listServices(server, { ...stack, composeYaml: `${stack.composeYaml}  b:\n    image: redis\n` });
+  assert.match(command, /docker compose -p 'demo' ps --all --format json/);
+  assert.deepStrictEqual(services.map((s) => [s.service, s.declared, s.containers.map((c) => c.name)]), [
+    ['a', true, ['demo-a-1', 'demo-a-2']],
+    ['b', true, []],
+    ['old', false, ['demo-old-1']],
+  ]);
+  assert.strictEqual(services[0].image, 'nginx');
+});
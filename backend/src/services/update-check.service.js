@@ -1,6 +1,7 @@
 const { Server, UpdateOverviewCache, User, MonitoringSettings } = require('../models');
 const dockerService = require('./docker.service');
-const emailService = require('./email.service');
+const notificationService = require('./notification.service');
+const updatePolicyService = require('./update-policy.service');
 const config = require('../config/config');
 const logger = require('../config/logger');
 
@@ -12,6 +13,7 @@ function getContainerName(container) {
 
 /**
  * Run update check for a user: check all their containers, save result to cache, return payload.
+ * Each container with an update carries the mode of its update policy (notify when it has none).
  * @param {string} userId
  * @returns {Promise<{ ranOnce: boolean, containers: array, totalChecked: number, errors: array, lastCheckedAt: string }>}
  */
@@ -24,6 +26,7 @@ async function runCheckForUser(userId) {
   const containersWithUpdates = [];
   const errors = [];
   let totalChecked = 0;
+  const policyContext = await updatePolicyService.loadPolicyContext(userId);
 
   for (const server of servers) {
     let containers = [];
@@ -56,6 +59,7 @@ async function runCheckForUser(userId) {
             availableDigestShort: status.availableDigestShort,
             pinned: status.pinned,
             reason: status.reason,
+            policyMode: updatePolicyService.policyFor(policyContext, server.id, container)?.mode || 'notify',
           });
         }
       } catch (e) {
@@ -98,15 +102,8 @@ function start() {
   logger.info(`Starting scheduled update check (interval: ${Math.round(ms / 3600000)}h)`);
 
   const runScheduledCheck = async () => {
-    if (!config.email.enabled) {
-      logger.debug('Update check skip: email disabled');
-      return;
-    }
-    if (!emailService.initialized) {
-      await emailService.initialize();
-    }
-    if (!emailService.initialized) {
-      logger.debug('Update check skip: email not configured');
+    if (!(await notificationService.hasDeliveryRoute())) {
+      logger.debug('Update check skip: no email or notification channel configured');
       return;
     }
     try {
@@ -115,7 +112,9 @@ function start() {
       for (const userId of userIds) {
         try {
           const payload = await runCheckForUser(userId);
-          if (!payload.containers || payload.containers.length === 0) continue;
+          // Policies in "off" silence a container; "auto" ones report when they apply the update
+          const containers = (payload.containers || []).filter((c) => (c.policyMode || 'notify') === 'notify');
+          if (containers.length === 0) continue;
 
           const [monitoring] = await MonitoringSettings.findOrCreate({
             where: { userId },
@@ -128,7 +127,7 @@ function start() {
           });
 
           if (!monitoring.alertOnUpdateAvailable) continue;
-          if (payload.containers.length < (monitoring.minContainersWithUpdatesBeforeAlert || 1)) continue;
+          if (containers.length < (monitoring.minContainersWithUpdatesBeforeAlert || 1)) continue;
 
           const cooldownMs = monitoring.updateAlertCooldownMs ?? 43200000;
           if (monitoring.lastUpdateAlertSentAt) {
@@ -137,12 +136,12 @@ function start() {
           }
 
           const user = await User.findByPk(userId);
-          if (!user || !user.email) continue;
+          if (!user) continue;
 
-          const result = await emailService.sendImageUpdatesAlert(user.email, payload.containers);
+          const result = await notificationService.notify(user, 'image.updates', { containers });
           if (result.success) {
             await monitoring.update({ lastUpdateAlertSentAt: new Date() });
-            logger.info(`Image updates alert sent to ${user.email} (${payload.containers.length} containers)`);
+            logger.info(`Image updates alert sent for user ${user.email || user.id} (${containers.length} containers)`);
           }
         } catch (e) {
           logger.error(`Update check for user ${userId}:`, e.message);
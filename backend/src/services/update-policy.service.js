@@ -0,0 +1,371 @@
+/**
+ * Image update policies: per container, grouping-rule group or stack, whether available updates are
+ * ignored (off), alerted about (notify, the default) or applied automatically (auto). Auto policies
+ * apply updates inside their maintenance window, only when the version step stays within the
+ * policy's constraint, and at most `server.autoUpdateConcurrency` containers at a time per server.
+ * Every applied update, manual or automatic, is recorded in update_history.
+ *
+ * Applying re-pulls the container's current tag through dockerService.pullAndRecreateContainer
+ * (compose-managed containers go through docker compose); moving to a newer tag is left to the user.
+ * A policy with a health gate applies as a safe update, rolling back when the new container fails it.
+ */
+const { Op } = require('sequelize');
+const {
+  UpdatePolicy, UpdateHistory, UpdateOverviewCache, ContainerGroupingRule, Stack, Server, User,
+} = require('../models');
+const dockerService = require('./docker.service');
+const registryService = require('./registry.service');
+const notificationService = require('./notification.service');
+const { emitToUser } = require('../config/socket');
+const { isValidTimeZone, wallClock } = require('../utils/cron');
+const { throwInvalid } = require('../utils/shellSafe');
+const logger = require('../config/logger');
+
+const SCOPE_TYPES = ['container', 'group', 'stack'];
+const MODES = ['off', 'notify', 'auto'];
+const VERSION_CONSTRAINTS = ['patch', 'minor', 'any'];
+const MAX_CONCURRENCY = 10;
+const RUN_INTERVAL_MS = 10 * 60 * 1000;
+// A container found without an applicable update is not asked about again for this long
+const RECHECK_AFTER_MS = 60 * 60 * 1000;
+const HISTORY_RETENTION_DAYS = 90;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function containerNameOf(container) {
+  const names = container.Names || '';
+  const str = typeof names === 'string' ? names : (names[0] || '');
+  return str.replace(/^\//, '') || container.ID?.substring(0, 12) || '';
+}
+
+function minutesOf(time) {
+  const m = TIME_REGEX.exec(time);
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+}
+
+/**
+ * Maintenance window as stored, or null for "any time".
+ * @param {{ days: number[], start: string, end: string }|null} window - days 0 (Sunday) to 6; an end
+ *   before the start runs past midnight into the next day
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeWindow(window) {
+  if (window == null || window === '') return null;
+  if (typeof window !== 'object') throwInvalid('maintenanceWindow must be an object');
+  const days = [...new Set((Array.isArray(window.days) ? window.days : []).map(Number))].sort((a, b) => a - b);
+  if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throwInvalid('maintenanceWindow.days must list weekdays from 0 (Sunday) to 6');
+  }
+  const start = String(window.start || '');
+  const end = String(window.end || '');
+  if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end)) throwInvalid('maintenanceWindow start and end must be HH:MM');
+  if (start === end) throwInvalid('maintenanceWindow start and end must differ');
+  // Policies are checked every RUN_INTERVAL_MS; a shorter window could fall between two checks
+  const minMinutes = RUN_INTERVAL_MS / 60000;
+  if ((minutesOf(end) - minutesOf(start) + 1440) % 1440 < minMinutes) {
+    throwInvalid(`maintenanceWindow must be at least ${minMinutes} minutes long`);
+  }
+  return { days, start, end };
+}
+
+/**
+ * Whether `date` falls inside the window in the given timezone (UTC when unset). A window with
+ * end < start opens on its listed days and closes the next morning.
+ */
+function isWithinWindow(window, timezone, date = new Date()) {
+  if (!window) return true;
+  const w = wallClock(date.getTime(), isValidTimeZone(timezone) ? timezone : 'UTC');
+  const now = w.hour * 60 + w.minute;
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+  if (start < end) return window.days.includes(w.dow) && now >= start && now < end;
+  return (window.days.includes(w.dow) && now >= start) || (window.days.includes((w.dow + 6) % 7) && now < end);
+}
+
+/**
+ * Fields to store from a create or update body.
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizePolicy(input, previous = null) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : previous?.[key]);
+  const scopeType = String(pick('scopeType') || '');
+  if (!SCOPE_TYPES.includes(scopeType)) throwInvalid(`scopeType must be one of: ${SCOPE_TYPES.join(', ')}`);
+  const target = String(pick('target') || '').trim();
+  if (!target) throwInvalid(scopeType === 'stack' ? 'A stack is required' : `A ${scopeType} name is required`);
+  if (target.length > 255) throwInvalid('target is too long');
+  const serverId = pick('serverId') || null;
+  if (scopeType === 'container' && !serverId) throwInvalid('A container policy needs its server');
+  const mode = String(pick('mode') || 'notify');
+  if (!MODES.includes(mode)) throwInvalid(`mode must be one of: ${MODES.join(', ')}`);
+  const versionConstraint = String(pick('versionConstraint') || 'minor');
+  if (!VERSION_CONSTRAINTS.includes(versionConstraint)) throwInvalid(`versionConstraint must be one of: ${VERSION_CONSTRAINTS.join(', ')}`);
+  const timezone = pick('timezone') || null;
+  if (timezone && !isValidTimeZone(timezone)) throwInvalid(`Unknown timezone "${timezone}" (use an IANA name such as Europe/London)`);
+  return {
+    scopeType,
+    target,
+    serverId: scopeType === 'stack' ? null : serverId,
+    mode,
+    versionConstraint,
+    maintenanceWindow: normalizeWindow(pick('maintenanceWindow')),
+    timezone,
+    healthGate: dockerService.normalizeHealthGate(pick('healthGate')),
+  };
+}
+
+/**
+ * How far an update moves the container's version: 'patch', 'minor', 'major' or null when unknown.
+ * A pull never leaves the current tag, so a version tag bounds the step by its precision
+ * (16 → minor, 16.2 or 16.2.1 → patch). For floating tags (latest, stable, …) the running
+ * version from the image labels is compared with the newest version tag in the registry.
+ * @param {object} status - dockerService.getContainerUpdateStatus result
+ */
+function versionStep(status) {
+  const tag = status.currentTag || '';
+  const pinned = /^v?(\d+)(?:\.(\d+))?(?:\.\d+)?(?=$|[-_+.][a-z0-9])/i.exec(tag);
+  if (pinned) return pinned[2] === undefined ? 'minor' : 'patch';
+  if (!status.resolvedVersion || !status.newestTag) return null;
+  const current = registryService.parseVersionFromString(status.resolvedVersion);
+  const next = registryService.parseVersionFromTag(status.newestTag);
+  if (!current || !next) return null;
+  if (next.major !== current.major) return 'major';
+  if (next.minor !== current.minor) return 'minor';
+  return 'patch';
+}
+
+/** Whether a version step is allowed by a constraint; unknown steps only under 'any'. */
+function isStepAllowed(constraint, step) {
+  if (constraint === 'any') return true;
+  if (constraint === 'minor') return step === 'patch' || step === 'minor';
+  return step === 'patch';
+}
+
+/** Policies, grouping rules and stacks of a user, for policyFor. */
+async function loadPolicyContext(userId) {
+  const [policies, rules, stacks] = await Promise.all([
+    UpdatePolicy.findAll({ where: { userId } }),
+    ContainerGroupingRule.findAll({ where: { userId, enabled: true }, order: [['sortOrder', 'ASC'], ['groupName', 'ASC']] }),
+    Stack.findAll({ attributes: ['id', 'name', 'serverId'], include: [{ model: Server, as: 'server', attributes: [], where: { userId } }] }),
+  ]);
+  return { policies, rules, stacks };
+}
+
+/**
+ * The policy that applies to a container, most specific first: container, then its stack, then
+ * its group (a server-specific group policy before one for all servers). Null when none does.
+ * @param {object} container - listContainers entry (Names, ComposeProject)
+ */
+function policyFor(ctx, serverId, container) {
+  const name = containerNameOf(container);
+  const own = ctx.policies.find((p) => p.scopeType === 'container' && p.serverId === serverId && p.target === name);
+  if (own) return own;
+  if (container.ComposeProject) {
+    const stack = ctx.stacks.find((s) => s.serverId === serverId && s.name === container.ComposeProject);
+    const stackPolicy = stack && ctx.policies.find((p) => p.scopeType === 'stack' && p.target === stack.id);
+    if (stackPolicy) return stackPolicy;
+  }
+  const rule = ctx.rules.find((r) => r.matches(name));
+  if (!rule) return null;
+  const groupPolicies = ctx.policies.filter((p) => p.scopeType === 'group' && p.target === rule.groupName);
+  return groupPolicies.find((p) => p.serverId === serverId) || groupPolicies.find((p) => !p.serverId) || null;
+}
+
+/** Record an applied update (pullAndRecreateContainer result) in the history. */
+async function recordUpdate({ userId, serverId, policyId = null, trigger, containerName, availableDigest = null }, result) {
+  try {
+    return await UpdateHistory.create({
+      userId,
+      serverId,
+      policyId,
+      trigger,
+      containerName: result.containerName || containerName,
+      success: !!result.success,
+      previousImageRef: result.previousImageRef || null,
+      newImageRef: result.newImageRef || null,
+      previousVersion: result.previousVersion || null,
+      newVersion: result.newVersion || null,
+      availableDigest,
+      error: result.success ? null : (result.error || 'Update failed'),
+      rolledBack: !!result.rolledBack,
+      steps: result.steps || [],
+    });
+  } catch (err) {
+    logger.warn(`Could not record the update of ${containerName}: ${err.message}`);
+    return null;
+  }
+}
+
+// `${serverId}/${containerName}` -> time it was last found with nothing to apply
+const quietUntil = new Map();
+
+/**
+ * Check one auto-policy container and apply its update when allowed.
+ * @returns {Promise<object|null>} the outcome for the notification, null when nothing was done
+ */
+async function applyIfAllowed(server, container, policy) {
+  const name = containerNameOf(container);
+  const key = `${server.id}/${name}`;
+  if ((quietUntil.get(key) || 0) > Date.now()) return null;
+
+  const status = await dockerService.getContainerUpdateStatus(server, container.ID);
+  // Only a new image behind the current tag can be pulled; a newer tag alone is left to the user
+  if (!status.updateAvailableByDigest) {
+    quietUntil.set(key, Date.now() + RECHECK_AFTER_MS);
+    return null;
+  }
+  const step = versionStep(status);
+  if (!isStepAllowed(policy.versionConstraint, step)) {
+    logger.info(`Auto-update: ${name} on ${server.name} skipped, ${step || 'unknown'} version step exceeds "${policy.versionConstraint}"`);
+    quietUntil.set(key, Date.now() + RECHECK_AFTER_MS);
+    return null;
+  }
+  const lastFailed = await UpdateHistory.findOne({
+    where: { serverId: server.id, containerName: name, trigger: 'policy', success: false, availableDigest: status.availableDigest || null },
+    order: [['createdAt', 'DESC']],
+  });
+  if (lastFailed) {
+    quietUntil.set(key, Date.now() + RECHECK_AFTER_MS);
+    return null;
+  }
+
+  logger.info(`Auto-update: updating ${name} on ${server.name} (${status.imageRef})`);
+  const result = await dockerService.pullAndRecreateContainer(server, container.ID, { healthGate: policy.healthGate || null });
+  await recordUpdate({
+    userId: server.userId, serverId: server.id, policyId: policy.id, trigger: 'policy', containerName: name, availableDigest: status.availableDigest || null,
+  }, result);
+  if (result.success) {
+    emitToUser(server.userId, 'container:status:changed', {
+      serverId: server.id, containerId: result.newContainerId || container.ID, action: 'recreated', userId: server.userId,
+    });
+  }
+  return {
+    serverId: server.id,
+    serverName: server.name,
+    containerName: name,
+    imageRef: status.imageRef,
+    success: !!result.success,
+    error: result.success ? undefined : result.error,
+    rolledBack: !!result.rolledBack,
+    previousVersion: result.previousVersion,
+    newVersion: result.newVersion,
+  };
+}
+
+/** Run `fn` over items with at most `limit` in flight. */
+async function runLimited(items, limit, fn) {
+  const queue = [...items];
+  const results = [];
+  const worker = async () => {
+    while (queue.length) {
+      const item = queue.shift();
+      results.push(await fn(item));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Apply updates for a user's auto policies whose maintenance window is open.
+ * @returns {Promise<Array>} outcomes of the updates that were attempted
+ */
+async function runForUser(userId, now = new Date()) {
+  const ctx = await loadPolicyContext(userId);
+  if (!ctx.policies.some((p) => p.mode === 'auto' && isWithinWindow(p.maintenanceWindow, p.timezone, now))) return [];
+
+  const servers = await Server.findAll({ where: { userId }, order: [['name', 'ASC']] });
+  const perServer = await Promise.all(servers.map(async (server) => {
+    let containers;
+    try {
+      containers = await dockerService.listContainers(server, true);
+    } catch (err) {
+      logger.warn(`Auto-update: listing containers on ${server.name} failed: ${err.message}`);
+      return [];
+    }
+    const due = containers
+      .filter((c) => c.ID && !c.SkipUpdate)
+      .map((c) => ({ container: c, policy: policyFor(ctx, server.id, c) }))
+      .filter(({ policy }) => policy && policy.mode === 'auto' && isWithinWindow(policy.maintenanceWindow, policy.timezone, now));
+    const limit = Math.min(MAX_CONCURRENCY, Math.max(1, server.autoUpdateConcurrency || 1));
+    const outcomes = await runLimited(due, limit, ({ container, policy }) => applyIfAllowed(server, container, policy).catch((err) => {
+      logger.warn(`Auto-update of ${containerNameOf(container)} on ${server.name} failed: ${err.message}`);
+      return null;
+    }));
+    return outcomes.filter(Boolean);
+  }));
+  const applied = perServer.flat();
+
+  const updated = applied.filter((a) => a.success);
+  if (updated.length) {
+    // Drop the updated containers from the cached overview until the next check
+    const cache = await UpdateOverviewCache.findOne({ where: { userId } });
+    if (cache?.payload?.containers) {
+      const done = new Set(updated.map((a) => `${a.serverId}/${a.containerName}`));
+      const containers = cache.payload.containers.filter((c) => !done.has(`${c.serverId}/${c.containerName}`));
+      await cache.update({ payload: { ...cache.payload, containers }, updatedAt: new Date() });
+    }
+  }
+  return applied;
+}
+
+let intervalId = null;
+let running = false;
+
+async function runScheduled() {
+  if (running) return;
+  running = true;
+  try {
+    const userIds = (await UpdatePolicy.findAll({ where: { mode: 'auto' }, attributes: ['userId'] })).map((p) => p.userId);
+    for (const userId of [...new Set(userIds)]) {
+      try {
+        const applied = await runForUser(userId);
+        if (!applied.length) continue;
+        const user = await User.findByPk(userId);
+        if (user) await notificationService.notify(user, 'image.auto-updated', { updates: applied });
+      } catch (err) {
+        logger.error(`Auto-update for user ${userId}:`, err.message);
+      }
+    }
+    const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 3600 * 1000);
+    await UpdateHistory.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+  } catch (err) {
+    logger.error('Scheduled auto-update failed:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (intervalId) {
+    logger.warn('Auto-update service already running');
+    return;
+  }
+  logger.info(`Starting auto-update policies (every ${RUN_INTERVAL_MS / 60000} minutes)`);
+  intervalId = setInterval(runScheduled, RUN_INTERVAL_MS);
+  runScheduled();
+}
+
+function stop() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+    logger.info('Auto-update policies stopped');
+  }
+}
+
+module.exports = {
+  SCOPE_TYPES,
+  MODES,
+  VERSION_CONSTRAINTS,
+  MAX_CONCURRENCY,
+  normalizeWindow,
+  normalizePolicy,
+  isWithinWindow,
+  versionStep,
+  isStepAllowed,
+  loadPolicyContext,
+  policyFor,
+  recordUpdate,
+  runForUser,
+  start,
+  stop,
+};
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeWindow,
+  normalizePolicy,
+  isWithinWindow,
+  versionStep,
+  isStepAllowed,
+  policyFor,
+} = require('./update-policy.service');
+
+const invalid = (err) => err.code === 'INVALID_INPUT';
+
+test('normalizeWindow validates days and times', () => {
+  assert.strictEqual(normalizeWindow(null), null);
+  assert.deepStrictEqual(normalizeWindow({ days: [6, 0, 6], start: '02:00', end: '05:30' }), { days: [0, 6], start: '02:00', end: '05:30' });
+  assert.throws(() => normalizeWindow({ days: [], start: '02:00', end: '05:00' }), invalid);
+  assert.throws(() => normalizeWindow({ days: [7], start: '02:00', end: '05:00' }), invalid);
+  assert.throws(() => normalizeWindow({ days: [1], start: '2:00', end: '05:00' }), invalid);
+  assert.throws(() => normalizeWindow({ days: [1], start: '05:00', end: '05:00' }), invalid);
+  assert.throws(() => normalizeWindow({ days: [1], start: '05:00', end: '05:05' }), invalid);
+  assert.throws(() => normalizeWindow({ days: [1], start: '23:55', end: '00:02' }), invalid);
+  assert.deepStrictEqual(normalizeWindow({ days: [1], start: '23:55', end: '00:05' }), { days: [1], start: '23:55', end: '00:05' });
+});
+
+test('isWithinWindow follows the timezone and windows past midnight', () => {
+  const weekdays = { days: [1, 2, 3, 4, 5], start: '02:00', end: '04:00' };
+  // Tuesday 2024-07-02 01:30 UTC = 03:30 in Berlin (CEST)
+  const at = new Date('2024-07-02T01:30:00Z');
+  assert.strictEqual(isWithinWindow(weekdays, 'UTC', at), false);
+  assert.strictEqual(isWithinWindow(weekdays, 'Europe/Berlin', at), true);
+  assert.strictEqual(isWithinWindow(null, null, at), true);
+
+  // Saturday 23:00 to 01:00: open Saturday night and the early hours of Sunday, not Sunday night
+  const overnight = { days: [6], start: '23:00', end: '01:00' };
+  assert.strictEqual(isWithinWindow(overnight, 'UTC', new Date('2024-07-06T23:30:00Z')), true);
+  assert.strictEqual(isWithinWindow(overnight, 'UTC', new Date('2024-07-07T00:30:00Z')), true);
+  assert.strictEqual(isWithinWindow(overnight, 'UTC', new Date('2024-07-07T23:30:00Z')), false);
+  assert.strictEqual(isWithinWindow(overnight, 'UTC', new Date('2024-07-07T01:00:00Z')), false);
+});
+
+test('normalizePolicy requires a server for container policies and keeps previous fields', () => {
+  assert.throws(() => normalizePolicy({ scopeType: 'container', target: 'web', mode: 'auto' }), /needs its server/);
+  assert.throws(() => normalizePolicy({ scopeType: 'host', target: 'x' }), invalid);
+  assert.throws(() => normalizePolicy({ scopeType: 'group', target: 'db', mode: 'always' }), invalid);
+  const stack = normalizePolicy({ scopeType: 'stack', target: 'stack-1', serverId: 's1', mode: 'auto', timezone: 'Europe/London' });
+  assert.deepStrictEqual(stack, {
+    scopeType: 'stack', target: 'stack-1', serverId: null, mode: 'auto', versionConstraint: 'minor', maintenanceWindow: null, timezone: 'Europe/London', healthGate: null,
+  });
+  const updated = normalizePolicy({ mode: 'off' }, stack);
+  assert.strictEqual(updated.mode, 'off');
+  assert.strictEqual(updated.target, 'stack-1');
+  const gated = normalizePolicy({ healthGate: { timeoutSeconds: 90, probe: { type: 'tcp', port: 5432 } } }, updated);
+  assert.deepStrictEqual(gated.healthGate, { timeoutSeconds: 90, probe: { type: 'tcp', port: 5432 } });
+  assert.throws(() => normalizePolicy({ healthGate: { timeoutSeconds: 1 } }, updated), invalid);
+});
+
+test('versionStep is bounded by the tag or compares label and registry versions', () => {
+  assert.strictEqual(versionStep({ currentTag: '16' }), 'minor');
+  assert.strictEqual(versionStep({ currentTag: '16-alpine' }), 'minor');
+  assert.strictEqual(versionStep({ currentTag: '16.2' }), 'patch');
+  assert.strictEqual(versionStep({ currentTag: 'v1.2.3' }), 'patch');
+  assert.strictEqual(versionStep({ currentTag: 'latest' }), null);
+  assert.strictEqual(versionStep({ currentTag: 'latest', resolvedVersion: '1.4.2', newestTag: '1.4.3' }), 'patch');
+  assert.strictEqual(versionStep({ currentTag: 'latest', resolvedVersion: '1.4.2', newestTag: '1.5.0' }), 'minor');
+  assert.strictEqual(versionStep({ currentTag: 'latest', resolvedVersion: '1.4.2', newestTag: '2.0.0' }), 'major');
+});
+
+test('isStepAllowed only lets unknown steps through under "any"', () => {
+  assert.strictEqual(isStepAllowed('patch', 'patch'), true);
+  assert.strictEqual(isStepAllowed('patch', 'minor'), false);
+  assert.strictEqual(isStepAllowed('minor', 'minor'), true);
+  assert.strictEqual(isStepAllowed('minor', 'major'), false);
+  assert.strictEqual(isStepAllowed('minor', null), false);
+  assert.strictEqual(isStepAllowed('any', null), true);
+});
+
+test('policyFor prefers container, then stack, then group policies', () => {
+  const rule = (groupName, prefix) => ({ groupName, matches: (name) => name.startsWith(prefix) });
+  const ctx = {
+    policies: [
+      { id: 'c', scopeType: 'container', serverId: 's1', target: 'app-web' },
+      { id: 'st', scopeType: 'stack', target: 'stack-1' },
+      { id: 'g-all', scopeType: 'group', serverId: null, target: 'apps' },
+      { id: 'g-s2', scopeType: 'group', serverId: 's2', target: 'apps' },
+    ],
+    rules: [rule('apps', 'app-')],
+    stacks: [{ id: 'stack-1', name: 'shop', serverId: 's1' }],
+  };
+  assert.strictEqual(policyFor(ctx, 's1', { Names: 'app-web', ComposeProject: 'shop' }).id, 'c');
+  assert.strictEqual(policyFor(ctx, 's1', { Names: 'app-db', ComposeProject: 'shop' }).id, 'st');
+  assert.strictEqual(policyFor(ctx, 's2', { Names: 'app-db', ComposeProject: 'shop' }).id, 'g-s2');
+  assert.strictEqual(policyFor(ctx, 's3', { Names: 'app-db' }).id, 'g-all');
+  assert.strictEqual(policyFor(ctx, 's1', { Names: 'redis' }), null);
+});
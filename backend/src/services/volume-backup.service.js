@@ -0,0 +1,491 @@
+/**
+ * Off-host volume backups. A container's mounts are archived on its host (the same bundle layout
+ * as snapshot volume bundles), streamed over SSH to the backend with a SHA-256 checksum, and
+ * stored on a backup target: a directory on the DockerFleet host or an S3-compatible bucket.
+ * Retention is applied per target, server and container. Restores verify the checksum, copy the
+ * archive back to a host and extract it over the container's mounts or into new volumes.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { BackupTarget, VolumeBackup, Server } = require('../models');
+const dockerService = require('./docker.service');
+const sshService = require('./ssh.service');
+const { createS3Client } = require('../utils/s3');
+const { escapeSingleQuoted } = require('../utils/shellSafe');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const RESTORE_MODES = ['in-place', 'new-volumes'];
+const DEFAULT_RETENTION = 5;
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+// Relative directory under the local backup root: no absolute paths, no "..", shell-safe characters
+function normalizeRelativeDir(value) {
+  const dir = String(value || '').trim().replace(/^\/+|\/+$/g, '');
+  if (!dir) return '';
+  if (dir.length > 200 || !/^[A-Za-z0-9._/-]+$/.test(dir) || dir.split('/').some((p) => p === '..' || p === '.' || p === '')) {
+    throwInvalid('Directory must be a relative path of letters, digits, ".", "_", "-" and "/"');
+  }
+  return dir;
+}
+
+function normalizePrefix(value) {
+  const prefix = String(value || '').trim().replace(/^\/+/, '');
+  if (!prefix) return '';
+  if (prefix.length > 200 || !/^[A-Za-z0-9._/-]+$/.test(prefix) || prefix.split('/').some((p) => p === '..')) {
+    throwInvalid('Prefix may only contain letters, digits, ".", "_", "-" and "/"');
+  }
+  return prefix.endsWith('/') ? prefix : `${prefix}/`;
+}
+
+/**
+ * Target types. normalize(config) validates the form input; secretFields are never returned to
+ * the UI (an empty value on update keeps the stored one).
+ */
+const TARGET_TYPES = {
+  local: {
+    label: 'Directory on the DockerFleet host',
+    secretFields: [],
+    normalize: (c) => ({ directory: normalizeRelativeDir(c.directory) }),
+  },
+  s3: {
+    label: 'S3-compatible storage',
+    secretFields: ['secretAccessKey'],
+    normalize: (c) => {
+      let endpoint;
+      try {
+        endpoint = new URL(String(c.endpoint || '').trim());
+      } catch (e) {
+        throwInvalid('Endpoint must be a valid URL');
+      }
+      if (endpoint.protocol !== 'https:' && endpoint.protocol !== 'http:') throwInvalid('Endpoint must be an http(s) URL');
+      if (endpoint.search || endpoint.hash || endpoint.username) throwInvalid('Endpoint must not contain credentials, a query or a fragment');
+      const bucket = String(c.bucket || '').trim();
+      if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucket)) throwInvalid('Bucket must be 3-63 lowercase letters, digits, "." or "-"');
+      const region = String(c.region || '').trim() || 'us-east-1';
+      if (!/^[a-z0-9-]{1,40}$/.test(region)) throwInvalid('Region may only contain lowercase letters, digits and "-"');
+      const accessKeyId = String(c.accessKeyId || '').trim();
+      const secretAccessKey = String(c.secretAccessKey || '').trim();
+      if (!accessKeyId || accessKeyId.length > 256) throwInvalid('Access key ID is required');
+      if (!secretAccessKey || secretAccessKey.length > 256) throwInvalid('Secret access key is required');
+      return {
+        endpoint: endpoint.toString().replace(/\/$/, ''),
+        region,
+        bucket,
+        prefix: normalizePrefix(c.prefix),
+        accessKeyId,
+        secretAccessKey,
+        forcePathStyle: c.forcePathStyle !== false,
+      };
+    },
+  },
+};
+
+function getTargetType(type) {
+  const def = TARGET_TYPES[type];
+  if (!def) throwInvalid(`Unknown target type (use one of ${Object.keys(TARGET_TYPES).join(', ')})`);
+  return def;
+}
+
+/**
+ * Validate target config from the UI. Empty secret fields keep the value from `previous` (edit form).
+ */
+function normalizeTargetConfig(type, input, previous = null) {
+  const def = getTargetType(type);
+  const merged = { ...(input || {}) };
+  for (const field of def.secretFields) {
+    if ((merged[field] === undefined || merged[field] === '') && previous && previous[field]) merged[field] = previous[field];
+  }
+  return def.normalize(merged);
+}
+
+/** Config safe to send to the browser: secret fields blanked, with a list of which are set. */
+function maskTargetConfig(type, cfg) {
+  const def = TARGET_TYPES[type];
+  if (!def) return { config: {}, secretsSet: [] };
+  const masked = { ...cfg };
+  const secretsSet = [];
+  for (const field of def.secretFields) {
+    if (masked[field]) secretsSet.push(field);
+    masked[field] = '';
+  }
+  return { config: masked, secretsSet };
+}
+
+/** Root for local targets (each target's directory is relative to it). */
+function localRoot() {
+  return path.resolve(config.volumeBackups.localRoot);
+}
+
+function slug(value) {
+  return String(value || '').replace(/^\//, '').replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 100) || 'unnamed';
+}
+
+/**
+ * Storage key for a new archive, relative to the target: <server>/<container>/<container>-<timestamp>.tar.gz
+ */
+function archiveKey(serverName, containerName, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const container = slug(containerName);
+  return `${slug(serverName)}/${container}/${container}-${stamp}.tar.gz`;
+}
+
+/**
+ * Storage driver for a target. Keys are relative to the target (directory or bucket prefix).
+ * localFile(key, scratchPath) returns a readable local path: the stored file itself for local
+ * targets, a download into scratchPath for S3.
+ */
+function storageFor(target) {
+  const cfg = target.getConfig();
+  if (target.type === 'local') {
+    const root = localRoot();
+    const dir = path.resolve(root, cfg.directory || '');
+    const fileFor = (key) => {
+      const file = path.resolve(dir, key);
+      if (!file.startsWith(`${dir}${path.sep}`)) throwInvalid('Invalid archive path');
+      return file;
+    };
+    return {
+      async put(key, srcFile, { sha256 }) {
+        const dest = fileFor(key);
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        try {
+          await fs.promises.rename(srcFile, dest);
+        } catch (err) {
+          if (err.code !== 'EXDEV') throw err;
+          await fs.promises.copyFile(srcFile, `${dest}.partial`);
+          await fs.promises.rename(`${dest}.partial`, dest);
+        }
+        // sha256sum-compatible sidecar so archives can be checked without DockerFleet
+        await fs.promises.writeFile(`${dest}.sha256`, `${sha256}  ${path.basename(dest)}\n`);
+      },
+      async localFile(key) {
+        const file = fileFor(key);
+        await fs.promises.access(file, fs.constants.R_OK);
+        return file;
+      },
+      async remove(key) {
+        const file = fileFor(key);
+        await fs.promises.rm(file, { force: true });
+        await fs.promises.rm(`${file}.sha256`, { force: true });
+      },
+      async test() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const probe = path.join(dir, `.dockerfleet-write-test-${process.pid}`);
+        await fs.promises.writeFile(probe, 'ok');
+        await fs.promises.rm(probe, { force: true });
+        return { location: dir };
+      },
+    };
+  }
+  if (target.type === 's3') {
+    const client = createS3Client(cfg);
+    const keyFor = (key) => `${cfg.prefix || ''}${key}`;
+    return {
+      put: (key, srcFile, { sha256 }) => client.putObjectFromFile(keyFor(key), srcFile, { sha256 }),
+      async localFile(key, scratchPath) {
+        await client.getObjectToFile(keyFor(key), scratchPath);
+        return scratchPath;
+      },
+      remove: (key) => client.deleteObject(keyFor(key)),
+      async test() {
+        await client.testWrite(keyFor('.dockerfleet-write-test'));
+        return { location: `${cfg.bucket}/${cfg.prefix || ''}` };
+      },
+    };
+  }
+  throwInvalid(`Unknown target type ${target.type}`);
+  return null;
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function scratchPath(label) {
+  return path.join(os.tmpdir(), `dockerfleet-${label}-${Date.now()}-${Math.random().toString(36).slice(2)}.tar.gz`);
+}
+
+/**
+ * Stream a file from the host into a local file, hashing it on the way. A failed write (disk
+ * full, no permission) stops the transfer and rejects instead of leaving the SSH stream waiting.
+ * @returns {Promise<{ size: number, sha256: string }>}
+ */
+async function copyFromHost(server, remotePath, localPath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  const writing = pipeline(hasher, fs.createWriteStream(localPath));
+  const reading = sshService.executePiped(server, `cat ${escapeSingleQuoted(remotePath)}`, { stdout: hasher })
+    .then((r) => { hasher.end(); return r; }, (err) => { hasher.destroy(err); throw err; });
+  await Promise.all([reading, writing]);
+  return { size, sha256: hash.digest('hex') };
+}
+
+async function findContainerId(server, containerName) {
+  const name = String(containerName || '').trim().replace(/^\//, '');
+  const containers = await dockerService.listContainers(server, true);
+  const match = containers.find((c) => (c.Names || c.Name || '').replace(/^\//, '').trim() === name);
+  if (!match) throwInvalid(`Container "${name}" not found on ${server.name}`);
+  return match.ID || match.Id;
+}
+
+/**
+ * Delete the oldest completed archives of a container on a target beyond `keep`.
+ */
+async function applyRetention(target, serverId, containerName, keep) {
+  const archives = await VolumeBackup.findAll({
+    where: { backupTargetId: target.id, serverId, containerName, status: 'completed' },
+    order: [['createdAt', 'DESC']],
+    offset: Math.max(1, keep),
+  });
+  for (const archive of archives) {
+    try {
+      await deleteArchive(archive, target);
+    } catch (err) {
+      logger.warn(`Volume backup retention: could not delete ${archive.objectKey}: ${err.message}`);
+    }
+  }
+  return archives.length;
+}
+
+/**
+ * Remove an archive from its target and delete its record.
+ */
+async function deleteArchive(archive, target = null) {
+  const owner = target || (await BackupTarget.findByPk(archive.backupTargetId));
+  if (owner && archive.status !== 'failed') await storageFor(owner).remove(archive.objectKey);
+  await archive.destroy();
+}
+
+async function runBackup(archive, target, server, { bundle = null, retention = DEFAULT_RETENTION } = {}) {
+  const localPath = scratchPath(`volexport-${archive.id}`);
+  let remotePath = bundle?.bundlePath || null;
+  const ownsRemote = !remotePath;
+  try {
+    let manifest = bundle?.manifest || null;
+    if (!remotePath) {
+      const containerId = await findContainerId(server, archive.containerName);
+      remotePath = `/tmp/dockerfleet-volexport-${archive.id}.tar.gz`;
+      const result = await dockerService.archiveContainerVolumes(server, containerId, remotePath, { label: archive.containerName });
+      if (result.mountCount === 0) throwInvalid(`Container "${archive.containerName}" has no volumes or bind mounts to back up`);
+      manifest = result.manifest;
+    }
+
+    const { size, sha256 } = await copyFromHost(server, remotePath, localPath);
+    try {
+      await storageFor(target).put(archive.objectKey, localPath, { sha256 });
+    } catch (err) {
+      await target.update({ lastError: err.message.slice(0, 2000) }).catch(() => {});
+      throw err;
+    }
+    await archive.update({ status: 'completed', sizeBytes: size, sha256, manifest, completedAt: new Date(), error: null });
+    if (target.lastError) await target.update({ lastError: null });
+    logger.info(`Volume backup: ${archive.containerName} on ${archive.serverName} -> ${target.name} (${size} bytes)`);
+
+    const pruned = await applyRetention(target, archive.serverId, archive.containerName, retention);
+    if (pruned) logger.info(`Volume backup: pruned ${pruned} old archive(s) of ${archive.containerName} on ${target.name}`);
+  } catch (err) {
+    logger.error(`Volume backup of ${archive.containerName} to ${target.name} failed: ${err.message}`);
+    await archive.update({ status: 'failed', error: err.message.slice(0, 2000), completedAt: new Date() });
+  } finally {
+    await fs.promises.rm(localPath, { force: true }).catch(() => {});
+    if (ownsRemote && remotePath) {
+      await sshService.executeCommand(server, `rm -f ${escapeSingleQuoted(remotePath)}`, { pty: false, allowFailure: true }).catch(() => {});
+    }
+  }
+  return archive;
+}
+
+/**
+ * Back up a container's volumes to a target. Returns the archive record right away (status
+ * "running"); the transfer finishes in the background unless `wait` is set.
+ * @param {object} options
+ * @param {object} options.target - BackupTarget
+ * @param {object} options.server - Server (full model instance, used for SSH)
+ * @param {string} options.containerName
+ * @param {object} [options.bundle] - Existing bundle on the host ({ bundlePath, manifest }) to export instead of archiving again
+ * @param {string} [options.backupJobId]
+ * @param {number} [options.retention] - Completed archives to keep for this container on the target
+ * @param {boolean} [options.wait]
+ */
+async function backupContainer({ target, server, containerName, bundle, backupJobId = null, retention, wait = false }) {
+  const name = String(containerName || '').trim().replace(/^\//, '');
+  const running = await VolumeBackup.count({
+    where: { backupTargetId: target.id, serverId: server.id, containerName: name, status: 'running' },
+  });
+  if (running) throwInvalid(`A backup of ${name} to ${target.name} is already running`);
+
+  const archive = await VolumeBackup.create({
+    userId: target.userId,
+    backupTargetId: target.id,
+    backupJobId,
+    serverId: server.id,
+    serverName: server.name,
+    containerName: name,
+    objectKey: archiveKey(server.name, name),
+    status: 'running',
+  });
+  const job = runBackup(archive, target, server, { bundle, retention }).catch((err) => {
+    logger.error(`Volume backup ${archive.id}: ${err.message}`);
+  });
+  if (wait) await job;
+  return archive;
+}
+
+async function runRestore(archive, target, server, { containerName, mode }) {
+  const scratch = scratchPath(`volimport-${archive.id}`);
+  const remotePath = `/tmp/dockerfleet-volimport-${archive.id}-${Date.now()}.tar.gz`;
+  let localPath = null;
+  try {
+    localPath = await storageFor(target).localFile(archive.objectKey, scratch);
+    if (archive.sha256) {
+      const actual = await sha256File(localPath);
+      if (actual !== archive.sha256) throw new Error('Checksum mismatch: the stored archive does not match the one that was backed up');
+    }
+
+    await sshService.executePiped(server, `cat > ${escapeSingleQuoted(remotePath)}`, { stdin: fs.createReadStream(localPath) });
+    if (archive.sha256) {
+      const check = await sshService.executeCommand(server, `sha256sum ${escapeSingleQuoted(remotePath)}`, { pty: false, timeout: 600000 });
+      if ((check.stdout || '').trim().split(/\s+/)[0] !== archive.sha256) throw new Error('Checksum mismatch after copying the archive to the host');
+    }
+
+    let result;
+    if (mode === 'in-place') {
+      const containerId = await findContainerId(server, containerName);
+      result = { mode, containerName, ...(await dockerService.restoreVolumesIntoContainer(server, containerId, remotePath)) };
+    } else {
+      const binds = await dockerService.restoreSnapshotVolumesFromBundle(server, remotePath, containerName);
+      result = { mode, containerName, volumes: binds };
+    }
+    await archive.update({
+      restoreStatus: 'completed',
+      restoreResult: { ...result, serverId: server.id, serverName: server.name },
+      restoreError: null,
+      restoredAt: new Date(),
+    });
+    logger.info(`Volume restore of ${archive.objectKey} to ${containerName} on ${server.name} completed (${mode})`);
+  } catch (err) {
+    logger.error(`Volume restore of ${archive.objectKey} failed: ${err.message}`);
+    await archive.update({ restoreStatus: 'failed', restoreError: err.message.slice(0, 2000) });
+  } finally {
+    if (localPath === scratch) await fs.promises.rm(scratch, { force: true }).catch(() => {});
+    await sshService.executeCommand(server, `rm -f ${escapeSingleQuoted(remotePath)}`, { pty: false, allowFailure: true }).catch(() => {});
+  }
+}
+
+/**
+ * Restore an archive onto a server. mode "in-place" replaces the data of the container's current
+ * mounts (matched by mount path; the container is stopped meanwhile); "new-volumes" extracts each
+ * mount into a new named volume and reports the -v specs to use. Runs in the background.
+ */
+async function restoreArchive(archive, { server, containerName, mode }) {
+  if (!RESTORE_MODES.includes(mode)) throwInvalid(`mode must be one of: ${RESTORE_MODES.join(', ')}`);
+  if (archive.status !== 'completed') throwInvalid('Only completed archives can be restored');
+  if (archive.restoreStatus === 'running') throwInvalid('A restore of this archive is already running');
+  const target = await BackupTarget.findByPk(archive.backupTargetId);
+  if (!target) throwInvalid('The backup target of this archive no longer exists');
+
+  await archive.update({ restoreStatus: 'running', restoreError: null, restoreResult: null });
+  runRestore(archive, target, server, { containerName: String(containerName).trim().replace(/^\//, ''), mode }).catch((err) => {
+    logger.error(`Volume restore ${archive.id}: ${err.message}`);
+  });
+  return archive;
+}
+
+/**
+ * Export the bundle a scheduled backup just wrote on the host to the job's target.
+ */
+async function exportScheduledBundle(job, server, containerName, bundle) {
+  const target = await BackupTarget.findOne({ where: { id: job.backupTargetId, userId: job.userId } });
+  if (!target) {
+    logger.warn(`Backup job ${job.id}: backup target ${job.backupTargetId} not found; skipping volume export`);
+    return null;
+  }
+  const fullServer = await Server.findByPk(server.id);
+  return backupContainer({
+    target,
+    server: fullServer,
+    containerName,
+    bundle,
+    backupJobId: job.id,
+    retention: job.retention,
+    wait: true,
+  });
+}
+
+/**
+ * Backups and restores interrupted by a backend restart can never finish; mark them failed.
+ */
+async function markInterrupted() {
+  const message = 'Interrupted by a backend restart';
+  const [backups] = await VolumeBackup.update(
+    { status: 'failed', error: message, completedAt: new Date() },
+    { where: { status: 'running' } },
+  );
+  const [restores] = await VolumeBackup.update(
+    { restoreStatus: 'failed', restoreError: message },
+    { where: { restoreStatus: 'running' } },
+  );
+  if (backups || restores) logger.warn(`Volume backups: marked ${backups} backup(s) and ${restores} restore(s) as interrupted`);
+}
+
+/**
+ * Check that a target is reachable and writable.
+ * @returns {Promise<{ success: boolean, location?: string, error?: string }>}
+ */
+async function testTarget(target) {
+  try {
+    const { location } = await storageFor(target).test();
+    await target.update({ lastError: null });
+    return { success: true, location };
+  } catch (err) {
+    await target.update({ lastError: err.message.slice(0, 2000) });
+    return { success: false, error: err.message };
+  }
+}
+
+/** Archives of a user, newest first, optionally filtered. */
+function listArchives(userId, { targetId, serverId, containerName, limit = 200 } = {}) {
+  const where = { userId };
+  if (targetId) where.backupTargetId = targetId;
+  if (serverId) where.serverId = serverId;
+  if (containerName) where.containerName = containerName;
+  return VolumeBackup.findAll({ where, order: [['createdAt', 'DESC']], limit });
+}
+
+module.exports = {
+  TARGET_TYPES,
+  RESTORE_MODES,
+  normalizeTargetConfig,
+  maskTargetConfig,
+  archiveKey,
+  storageFor,
+  sha256File,
+  copyFromHost,
+  applyRetention,
+  backupContainer,
+  restoreArchive,
+  deleteArchive,
+  exportScheduledBundle,
+  markInterrupted,
+  testTarget,
+  listArchives,
+};
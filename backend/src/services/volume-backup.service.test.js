@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sshService = require('./ssh.service');
+const {
+  normalizeTargetConfig,
+  maskTargetConfig,
+  archiveKey,
+  storageFor,
+  sha256File,
+  copyFromHost,
+} = require('./volume-backup.service');
+
+test('normalizeTargetConfig validates local directories and S3 settings, keeping stored secrets', () => {
+  assert.deepStrictEqual(normalizeTargetConfig('local', { directory: '/nightly/web/' }), { directory: 'nightly/web' });
+  assert.deepStrictEqual(normalizeTargetConfig('local', {}), { directory: '' });
+  assert.throws(() => normalizeTargetConfig('local', { directory: '../etc' }), { code: 'INVALID_INPUT' });
+  assert.throws(() => normalizeTargetConfig('ftp', {}), { code: 'INVALID_INPUT' });
+
+  const s3 = normalizeTargetConfig('s3', {
+    endpoint: 'http://minio:9000/',
+    bucket: 'backups',
+    prefix: 'dockerfleet',
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio123',
+  });
+  assert.deepStrictEqual(s3, {
+    endpoint: 'http://minio:9000',
+    region: 'us-east-1',
+    bucket: 'backups',
+    prefix: 'dockerfleet/',
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio123',
+    forcePathStyle: true,
+  });
+  assert.throws(() => normalizeTargetConfig('s3', { ...s3, bucket: 'Bad_Bucket' }), /Bucket/);
+  assert.throws(() => normalizeTargetConfig('s3', { ...s3, endpoint: 'ftp://x' }), /http/);
+  assert.strictEqual(normalizeTargetConfig('s3', { ...s3, secretAccessKey: '' }, s3).secretAccessKey, 'minio123');
+  assert.throws(() => normalizeTargetConfig('s3', { ...s3, secretAccessKey: '' }), /Secret access key/);
+
+  assert.deepStrictEqual(maskTargetConfig('s3', s3), { config: { ...s3, secretAccessKey: '' }, secretsSet: ['secretAccessKey'] });
+});
+
+test('archiveKey groups archives by server and container with a sortable timestamp', () => {
+  assert.strictEqual(
+    archiveKey('prod eu', '/web-1', new Date('2024-06-26T02:05:09Z')),
+    'prod_eu/web-1/web-1-20240626-020509.tar.gz'
+  );
+});
+
+test('local storage stores archives with a checksum sidecar under the target directory', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-backups-'));
+  const previousRoot = process.env.VOLUME_BACKUP_LOCAL_ROOT;
+  process.env.VOLUME_BACKUP_LOCAL_ROOT = root;
+  t.after(() => {
+    if (previousRoot === undefined) delete process.env.VOLUME_BACKUP_LOCAL_ROOT;
+    else process.env.VOLUME_BACKUP_LOCAL_ROOT = previousRoot;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const storage = storageFor({ type: 'local', getConfig: () => ({ directory: 'nightly' }) });
+  const src = path.join(root, 'incoming.tar.gz');
+  fs.writeFileSync(src, 'volume data');
+  const sha256 = await sha256File(src);
+  assert.strictEqual(sha256, crypto.createHash('sha256').update('volume data').digest('hex'));
+
+  await storage.put('prod/web/web-1.tar.gz', src, { sha256 });
+  const stored = path.join(root, 'nightly/prod/web/web-1.tar.gz');
+  assert.strictEqual(await storage.localFile('prod/web/web-1.tar.gz'), stored);
+  assert.strictEqual(fs.readFileSync(`${stored}.sha256`, 'utf8'), `${sha256}  web-1.tar.gz\n`);
+  assert.strictEqual(fs.existsSync(src), false);
+  assert.deepStrictEqual(await storage.test(), { location: path.join(root, 'nightly') });
+
+  await assert.rejects(storage.localFile('../../escape.tar.gz'), { code: 'INVALID_INPUT' });
+  await storage.remove('prod/web/web-1.tar.gz');
+  assert.strictEqual(fs.existsSync(stored), false);
+  assert.strictEqual(fs.existsSync(`${stored}.sha256`), false);
+});
+
+// Writes like the real executePiped: into the stream it was handed, failing on its 'error'
+const pipedFrom = (chunks) => async (srv, cmd, { stdout }) => new Promise((resolve, reject) => {
+  stdout.on('error', reject);
+  const next = () => {
+    if (!chunks.length) return resolve({ code: 0 });
+    stdout.write(Buffer.from(chunks.shift()));
+    return setImmediate(next);
+  };
+  next();
+});
+
+test('copyFromHost writes and hashes the streamed file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'copy-from-host-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(sshService, 'executePiped', pipedFrom(['volume ', 'data']));
+  const localPath = path.join(dir, 'archive.tar.gz');
+  const result = await copyFromHost({ id: 's1' }, '/tmp/archive.tar.gz', localPath);
+  assert.deepStrictEqual(result, { size: 11, sha256: crypto.createHash('sha256').update('volume data').digest('hex') });
+  assert.strictEqual(fs.readFileSync(localPath, 'utf8'), 'volume data');
+});
+
+test('copyFromHost rejects when the local file cannot be written', async (t) => {
+  t.mock.method(sshService, 'executePiped', pipedFrom(['volume ', 'data']));
+  const localPath = path.join(os.tmpdir(), `missing-dir-${Date.now()}`, 'archive.tar.gz');
+  await assert.rejects(copyFromHost({ id: 's1' }, '/tmp/archive.tar.gz', localPath), { code: 'ENOENT' });
+});
@@ -0,0 +1,322 @@
+/**
+ * Docker volumes per server: listing with size and the containers that mount them, inspect,
+ * create, remove, and cloning a volume into a new one on the same or another server.
+ *
+ * Clones to another server stream a tar of the volume host to host through the backend, the way
+ * stack migration copies a stack's volumes; clones on one host copy directly between the volumes.
+ */
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const sshService = require('./ssh.service');
+const { parseSize } = require('./disk-cleanup.service');
+const {
+  VOLUME_HELPER_IMAGE,
+  buildCreateVolumeCommand,
+  buildCopyVolumeCommand,
+  buildVolumeArchiveCommand,
+  buildVolumeExtractCommand,
+  parseVolumeInspect,
+} = require('./stack.builders');
+const { escapeSingleQuoted, validateVolumeName, throwInvalid } = require('../utils/shellSafe');
+const logger = require('../config/logger');
+
+const SECTIONS = ['@@SIZES', '@@MOUNTS'];
+const COMPOSE_LABEL_PREFIX = 'com.docker.compose.';
+const CREATE_ID_LABEL = 'com.dockerfleet.create-id';
+
+// Only plain local volumes hold their data on the host; driver-backed ones (NFS, plugins) are left alone
+function isCopyable(volume) {
+  return volume.driver === 'local' && !Object.keys(volume.options).length;
+}
+
+async function volumeExists(server, name) {
+  const result = await sshService.executeCommand(server, `docker volume inspect ${escapeSingleQuoted(name)} >/dev/null 2>&1`, {
+    timeout: 30000, allowFailure: true, pty: false,
+  });
+  return result.code === 0;
+}
+
+/**
+ * Stream the contents of volume `name` on one host into the existing volume `targetName` on another.
+ * The archive is piped through without being stored; when either side fails the other is stopped.
+ * @returns {Promise<number>} compressed bytes transferred
+ */
+async function streamVolume(source, target, name, targetName) {
+  let bytes = 0;
+  const pipe = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  const sending = sshService.executePiped(source, buildVolumeArchiveCommand(name), { stdout: pipe })
+    .then((r) => { pipe.end(); return r; }, (err) => { pipe.destroy(err); throw err; });
+  const receiving = sshService.executePiped(target, buildVolumeExtractCommand(targetName), { stdin: pipe })
+    .catch((err) => { pipe.destroy(err); throw err; });
+  await Promise.all([sending, receiving]);
+  return bytes;
+}
+
+/**
+ * Stream a volume from one host into a new volume on another (same name unless `targetName`).
+ * @returns {Promise<number>} compressed bytes transferred
+ */
+async function copyVolume(source, target, volume, targetName = volume.name) {
+  await sshService.executeCommand(target, buildCreateVolumeCommand(targetName, volume.labels), { timeout: 30000, pty: false });
+  return streamVolume(source, target, volume.name, targetName);
+}
+
+/** Host command whose output parseVolumeList reads. */
+function buildListVolumesCommand() {
+  return [
+    // One inspect call keeps the output a single JSON array
+    'v=$(docker volume ls -q); if [ -n "$v" ]; then docker volume inspect $v; else echo []; fi',
+    `echo ${SECTIONS[0]}`,
+    "docker system df -v --format '{{json .}}' 2>/dev/null || true",
+    `echo ${SECTIONS[1]}`,
+    'docker ps -aq --no-trunc | xargs -r docker inspect --format '
+      + "'{{.Name}}|{{.State.Status}}|{{range .Mounts}}{{if eq .Type \"volume\"}}{{.Name}},{{end}}{{end}}'",
+  ].join('; ');
+}
+
+/** "/web|running|data,cache," lines to a map of volume name -> [{ name, state }]. */
+function parseVolumeMounts(text) {
+  const users = new Map();
+  for (const line of String(text || '').split('\n')) {
+    const [name, state, mounts] = line.trim().split('|');
+    if (!name || mounts === undefined) continue;
+    for (const volume of mounts.split(',').filter(Boolean)) {
+      if (!users.has(volume)) users.set(volume, []);
+      users.get(volume).push({ name: name.replace(/^\//, ''), state });
+    }
+  }
+  return users;
+}
+
+/**
+ * Output of buildListVolumesCommand to volumes sorted by name, each with its driver, labels,
+ * options, mountpoint, size (null when Docker does not report it), the containers mounting it
+ * and whether none do (orphaned).
+ */
+function parseVolumeList(stdout) {
+  const parts = {};
+  let current = 'inspect';
+  for (const line of String(stdout || '').split('\n')) {
+    const marker = SECTIONS.indexOf(line.trim());
+    if (marker !== -1) {
+      current = SECTIONS[marker];
+      continue;
+    }
+    parts[current] = `${parts[current] || ''}${line}\n`;
+  }
+  let inspected;
+  try {
+    inspected = JSON.parse((parts.inspect || '').trim() || '[]');
+  } catch (e) {
+    throw new Error('Could not read docker volume inspect output');
+  }
+  const sizes = new Map();
+  try {
+    const verbose = JSON.parse((parts[SECTIONS[0]] || '').trim() || '{}');
+    for (const v of verbose.Volumes || []) sizes.set(v.Name, parseSize(v.Size));
+  } catch (e) { /* sizes are best effort */ }
+  const users = parseVolumeMounts(parts[SECTIONS[1]]);
+  const details = new Map(inspected.map((v) => [v.Name, v]));
+  return parseVolumeInspect(parts.inspect).map((v) => {
+    const detail = details.get(v.name);
+    const containers = users.get(v.name) || [];
+    return {
+      ...v,
+      scope: detail.Scope || 'local',
+      mountpoint: detail.Mountpoint || null,
+      createdAt: detail.CreatedAt || null,
+      sizeBytes: sizes.has(v.name) ? sizes.get(v.name) : null,
+      containers,
+      orphaned: containers.length === 0,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function listVolumes(server) {
+  const result = await sshService.executeCommand(server, buildListVolumesCommand(), { timeout: 120000, allowFailure: true, pty: false });
+  if (result.code !== 0 && !result.stdout.trim()) {
+    throw new Error(`docker volume ls failed: ${(result.stderr || '').trim() || 'unknown error'}`);
+  }
+  return parseVolumeList(result.stdout);
+}
+
+/** Containers (any state) that mount the volume. */
+async function volumeUsers(server, name) {
+  const result = await sshService.executeCommand(
+    server,
+    `docker ps -a --filter ${escapeSingleQuoted(`volume=${name}`)} --format '{{.Names}}|{{.State}}'`,
+    { timeout: 30000, allowFailure: true, pty: false }
+  );
+  return (result.stdout || '').split('\n').map((l) => l.trim()).filter(Boolean).map((l) => {
+    const [containerName, state] = l.split('|');
+    return { name: containerName, state };
+  });
+}
+
+/**
+ * One volume: the raw `docker volume inspect` entry, its summary as parseVolumeInspect reads it,
+ * and the containers using it; null when it does not exist.
+ */
+async function inspectVolume(server, name) {
+  const safeName = validateVolumeName(name);
+  const result = await sshService.executeCommand(server, `docker volume inspect ${escapeSingleQuoted(safeName)}`, {
+    timeout: 30000, allowFailure: true, pty: false,
+  });
+  if (result.code !== 0) return null;
+  let inspect;
+  let volume;
+  try {
+    [inspect] = JSON.parse(result.stdout);
+    [volume] = parseVolumeInspect(result.stdout);
+  } catch (err) {
+    logger.debug(`Unreadable docker volume inspect output for ${safeName} on ${server.name}:`, err.message);
+    throw new Error('Could not read docker volume inspect output');
+  }
+  return { inspect, volume, containers: await volumeUsers(server, safeName) };
+}
+
+/**
+ * Volume fields from a create body: name, optional driver, driverOpts and labels (string maps).
+ * @throws {Error} INVALID_INPUT
+ */
+function normalizeCreate(input = {}) {
+  const name = validateVolumeName(input.name);
+  const stringMap = (value, field) => {
+    if (value == null) return {};
+    if (typeof value !== 'object' || Array.isArray(value)) throwInvalid(`${field} must be an object of strings`);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [String(k).trim(), String(v)]).filter(([k]) => k));
+  };
+  return {
+    name,
+    driver: input.driver ? String(input.driver).trim() : 'local',
+    driverOpts: stringMap(input.driverOpts, 'driverOpts'),
+    labels: stringMap(input.labels, 'labels'),
+  };
+}
+
+const outputOf = (result) => (result.stderr || result.stdout || '').trim() || `exit code ${result.code}`;
+
+function volumeExistsError(server, name) {
+  const err = new Error(`Volume ${name} already exists on ${server.name}`);
+  err.code = 'VOLUME_EXISTS';
+  return err;
+}
+
+/**
+ * Create a volume that must not exist yet. `docker volume create` also succeeds for a name that is
+ * taken, handing back that volume, so a label unique to this call is set and read back: only when it
+ * is there did this call make the volume.
+ * @throws {Error} VOLUME_EXISTS when the name was taken, even if only just now
+ */
+async function createNewVolume(server, name, labels, options = {}) {
+  const createId = crypto.randomUUID();
+  const create = buildCreateVolumeCommand(name, { ...labels, [CREATE_ID_LABEL]: createId }, options);
+  const readBack = `docker volume inspect --format '{{index .Labels "${CREATE_ID_LABEL}"}}' ${escapeSingleQuoted(name)}`;
+  const result = await sshService.executeCommand(server, `${create} >/dev/null && ${readBack}`, {
+    timeout: 60000, allowFailure: true, pty: false,
+  });
+  if (result.code !== 0) throw new Error(`Could not create volume ${name}: ${outputOf(result)}`);
+  if (result.stdout.trim() !== createId) throw volumeExistsError(server, name);
+}
+
+/**
+ * Create a volume (see normalizeCreate).
+ * @throws {Error} INVALID_INPUT; VOLUME_EXISTS when the name is taken
+ */
+async function createVolume(server, input) {
+  const { name, driver, driverOpts, labels } = normalizeCreate(input);
+  if (await volumeExists(server, name)) throw volumeExistsError(server, name);
+  await createNewVolume(server, name, labels, { driver, driverOpts });
+  return inspectVolume(server, name);
+}
+
+/**
+ * Remove a volume that no container mounts.
+ * @throws {Error} VOLUME_IN_USE listing the containers that still mount it
+ */
+async function removeVolume(server, name) {
+  const safeName = validateVolumeName(name);
+  const users = await volumeUsers(server, safeName);
+  if (users.length) {
+    const err = new Error(`Volume ${safeName} is used by ${users.map((u) => u.name).join(', ')}; remove those containers first`);
+    err.code = 'VOLUME_IN_USE';
+    throw err;
+  }
+  const result = await sshService.executeCommand(server, `docker volume rm ${escapeSingleQuoted(safeName)}`, {
+    timeout: 60000, allowFailure: true, pty: false,
+  });
+  if (result.code !== 0) throw new Error(`Could not remove volume ${safeName}: ${outputOf(result)}`);
+  return { success: true };
+}
+
+/**
+ * Copy a local volume into a new volume `targetName` on `target` (the same server or another).
+ * Labels go with it; compose's own only when the name stays, so a renamed copy is not taken for
+ * the project's volume. Containers writing to the volume meanwhile can leave the copy inconsistent.
+ * A copy that fails part-way is removed again; a target volume this call did not create is never used.
+ * @throws {Error} INVALID_INPUT; VOLUME_NOT_FOUND; VOLUME_EXISTS
+ * @returns {Promise<{ success: true, name: string, serverId: string, bytes: number|null }>}
+ */
+async function cloneVolume(source, sourceName, target, targetName) {
+  const fromName = validateVolumeName(sourceName);
+  const toName = validateVolumeName(targetName || sourceName);
+  const sameServer = source.id === target.id;
+  if (sameServer && fromName === toName) throwInvalid('Pick a new name or another server for the copy');
+
+  const found = await inspectVolume(source, fromName);
+  if (!found) {
+    const err = new Error(`Volume ${fromName} not found on ${source.name}`);
+    err.code = 'VOLUME_NOT_FOUND';
+    throw err;
+  }
+  const { volume } = found;
+  if (!isCopyable(volume)) throwInvalid(`Volume ${fromName} is not a plain local volume; its data does not live on the host`);
+  if (await volumeExists(target, toName)) throw volumeExistsError(target, toName);
+  const labels = toName === fromName
+    ? volume.labels
+    : Object.fromEntries(Object.entries(volume.labels).filter(([k]) => !k.startsWith(COMPOSE_LABEL_PREFIX)));
+
+  for (const server of sameServer ? [source] : [source, target]) {
+    await sshService.executeCommand(server, `docker pull -q ${VOLUME_HELPER_IMAGE} 2>/dev/null || true`, {
+      timeout: 120000, allowFailure: true, pty: false,
+    });
+  }
+  // Past this point the target volume is ours, so it is ours to remove on failure
+  await createNewVolume(target, toName, labels);
+  try {
+    if (sameServer) {
+      const result = await sshService.executeCommand(source, buildCopyVolumeCommand(fromName, toName), {
+        timeout: 3600000, allowFailure: true, pty: false,
+      });
+      if (result.code !== 0) throw new Error(outputOf(result));
+      return { success: true, name: toName, serverId: target.id, bytes: null };
+    }
+    const bytes = await streamVolume(source, target, fromName, toName);
+    return { success: true, name: toName, serverId: target.id, bytes };
+  } catch (err) {
+    logger.debug(`Cloning volume ${fromName} to ${toName} on ${target.name} failed:`, err.message);
+    await sshService.executeCommand(target, `docker volume rm ${escapeSingleQuoted(toName)}`, {
+      timeout: 60000, allowFailure: true, pty: false,
+    }).catch(() => {});
+    throw new Error(`Copying volume ${fromName} failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  isCopyable,
+  volumeExists,
+  copyVolume,
+  buildListVolumesCommand,
+  parseVolumeList,
+  listVolumes,
+  inspectVolume,
+  normalizeCreate,
+  createVolume,
+  removeVolume,
+  cloneVolume,
+};
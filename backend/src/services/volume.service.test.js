@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sshService = require('./ssh.service');
+const {
+  parseVolumeList,
+  normalizeCreate,
+  inspectVolume,
+  createVolume,
+  removeVolume,
+  cloneVolume,
+} = require('./volume.service');
+
+const invalid = (err) => err.code === 'INVALID_INPUT';
+const anonymousVolume = 'e'.repeat(64);
+
+// `docker volume create … && docker volume inspect` as a new volume answers it: with this call's create id
+const createdReply = (cmd) => ({ code: 0, stdout: `${cmd.match(/create-id=([\w-]+)/)[1]}\n` });
+
+const inspectOf = (name, extra = {}) => ({
+  Name: name, Driver: 'local', Labels: null, Options: null, Scope: 'local', Mountpoint: `/var/lib/docker/volumes/${name}/_data`, CreatedAt: '2024-06-01T02:00:00Z', ...extra,
+});
+
+test('parseVolumeList joins inspect, sizes and the containers mounting each volume', () => {
+  const stdout = [
+    JSON.stringify([
+      inspectOf('pg_data', { Labels: { 'com.docker.compose.project': 'shop' } }),
+      inspectOf(anonymousVolume),
+      inspectOf('media', { Options: { type: 'nfs' } }),
+    ], null, 2),
+    '@@SIZES',
+    JSON.stringify({ Volumes: [{ Name: 'pg_data', Links: '2', Size: '1.2GB' }, { Name: anonymousVolume, Links: '0', Size: '0B' }] }),
+    '@@MOUNTS',
+    '/shop-db-1|running|pg_data,',
+    '/backup|exited|pg_data,media,',
+    '/web|running|',
+  ].join('\n');
+  const volumes = parseVolumeList(stdout);
+  assert.deepStrictEqual(volumes.map((v) => v.name), [anonymousVolume, 'media', 'pg_data']);
+  const pg = volumes.find((v) => v.name === 'pg_data');
+  assert.strictEqual(pg.sizeBytes, 1.2e9);
+  assert.deepStrictEqual(pg.labels, { 'com.docker.compose.project': 'shop' });
+  assert.deepStrictEqual(pg.containers, [{ name: 'shop-db-1', state: 'running' }, { name: 'backup', state: 'exited' }]);
+  assert.strictEqual(pg.orphaned, false);
+  const media = volumes.find((v) => v.name === 'media');
+  assert.strictEqual(media.sizeBytes, null);
+  assert.deepStrictEqual(media.options, { type: 'nfs' });
+  assert.strictEqual(volumes[0].orphaned, true);
+  assert.strictEqual(volumes[0].sizeBytes, 0);
+  assert.deepStrictEqual(parseVolumeList('[]\n@@SIZES\n@@MOUNTS\n'), []);
+});
+
+test('normalizeCreate validates the name and option maps', () => {
+  assert.deepStrictEqual(normalizeCreate({ name: ' media ', driverOpts: { type: 'tmpfs', device: 'tmpfs' } }), {
+    name: 'media', driver: 'local', driverOpts: { type: 'tmpfs', device: 'tmpfs' }, labels: {},
+  });
+  assert.throws(() => normalizeCreate({ name: '../etc' }), invalid);
+  assert.throws(() => normalizeCreate({ name: 'ok', labels: ['a'] }), invalid);
+});
+
+test('inspectVolume reports unreadable inspect output', async (t) => {
+  t.mock.method(sshService, 'executeCommand', async () => ({ code: 0, stdout: 'Error: permission denied' }));
+  await assert.rejects(inspectVolume({ id: 's1', name: 'edge' }, 'pg_data'), /Could not read docker volume inspect output/);
+});
+
+test('createVolume refuses a name taken between the check and the create', async (t) => {
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd.startsWith("docker volume inspect 'media'")) return { code: 1, stdout: '' };
+    // Someone else's volume came first: create succeeds and hands back theirs, without our label
+    if (cmd.startsWith('docker volume create')) return { code: 0, stdout: '\n' };
+    return { code: 0, stdout: '' };
+  });
+  await assert.rejects(createVolume({ id: 's1', name: 'edge' }, { name: 'media', labels: { team: 'web' } }), (err) => err.code === 'VOLUME_EXISTS');
+  assert.match(commands.at(-1), /^docker volume create --label 'team=web' --label 'com\.dockerfleet\.create-id=[\w-]+' 'media' >\/dev\/null && docker volume inspect --format '\{\{index \.Labels "com\.dockerfleet\.create-id"\}\}' 'media'$/);
+});
+
+test('removeVolume refuses volumes that containers still mount', async (t) => {
+  t.mock.method(sshService, 'executeCommand', async () => ({ code: 0, stdout: 'shop-db-1|running\n' }));
+  await assert.rejects(removeVolume({ id: 's1', name: 'edge' }, 'pg_data'), (err) => err.code === 'VOLUME_IN_USE' && /shop-db-1/.test(err.message));
+});
+
+test('cloneVolume on one server copies into a new volume without compose labels', async (t) => {
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push(cmd);
+    if (cmd === "docker volume inspect 'pg_data'") {
+      return { code: 0, stdout: JSON.stringify([inspectOf('pg_data', { Labels: { 'com.docker.compose.project': 'shop', team: 'db' } })]) };
+    }
+    if (cmd.startsWith("docker volume inspect 'pg_copy'")) return { code: 1, stdout: '' };
+    if (cmd.startsWith('docker volume create')) return createdReply(cmd);
+    return { code: 0, stdout: '' };
+  });
+  const server = { id: 's1', name: 'edge' };
+  const result = await cloneVolume(server, 'pg_data', server, 'pg_copy');
+  assert.deepStrictEqual(result, { success: true, name: 'pg_copy', serverId: 's1', bytes: null });
+  assert.ok(commands.some((cmd) => cmd.startsWith("docker volume create --label 'team=db' --label 'com.dockerfleet.create-id=")));
+  assert.ok(commands.includes("docker run --rm -v 'pg_data':/from:ro -v 'pg_copy':/to alpine:3.19 cp -a /from/. /to/"));
+
+  await assert.rejects(cloneVolume(server, 'pg_data', server, 'pg_data'), invalid);
+});
+
+test('cloneVolume refuses driver-backed sources and taken names, and removes a failed copy', async (t) => {
+  const server = { id: 's1', name: 'edge' };
+  const other = { id: 's2', name: 'core' };
+  const commands = [];
+  t.mock.method(sshService, 'executeCommand', async (srv, cmd) => {
+    commands.push([srv.id, cmd]);
+    if (cmd === "docker volume inspect 'media'") return { code: 0, stdout: JSON.stringify([inspectOf('media', { Options: { type: 'nfs' } })]) };
+    if (cmd === "docker volume inspect 'pg_data'") return { code: 0, stdout: JSON.stringify([inspectOf('pg_data')]) };
+    if (cmd.startsWith("docker volume inspect 'taken'")) return { code: 0, stdout: '' };
+    if (cmd.startsWith('docker volume inspect')) return { code: 1, stdout: '' };
+    if (cmd.startsWith('docker volume create') && cmd.includes("'raced'")) return { code: 0, stdout: 'another-call\n' };
+    if (cmd.startsWith('docker volume create')) return createdReply(cmd);
+    return { code: 0, stdout: '' };
+  });
+  // Like the real executePiped, listen for errors on the stream it was handed
+  t.mock.method(sshService, 'executePiped', async (srv, cmd, { stdout, stdin }) => {
+    (stdout || stdin).on('error', () => {});
+    throw new Error('connection reset');
+  });
+
+  await assert.rejects(cloneVolume(server, 'media', other), invalid);
+  await assert.rejects(cloneVolume(server, 'pg_data', other, 'taken'), (err) => err.code === 'VOLUME_EXISTS');
+  await assert.rejects(cloneVolume(server, 'pg_data', other), /Copying volume pg_data failed: connection reset/);
+  assert.deepStrictEqual(commands.at(-1), ['s2', "docker volume rm 'pg_data'"]);
+  // A volume someone else created in the meantime is neither copied into nor removed
+  await assert.rejects(cloneVolume(server, 'pg_data', other, 'raced'), (err) => err.code === 'VOLUME_EXISTS');
+  assert.match(commands.at(-1)[1], /^docker volume create .*'raced'/);
+});
@@ -0,0 +1,245 @@
+/**
+ * Standard 5-field cron expressions (minute hour day-of-month month day-of-week) evaluated in an
+ * IANA timezone. Supports *, lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/
+ * @monthly/@yearly macros. Day-of-month and day-of-week combine with OR when both are restricted
+ * (as in Vixie cron).
+ *
+ * DST: a local time skipped by a spring-forward change runs at the first instant after the gap;
+ * a local time repeated by a fall-back change runs once (the first occurrence).
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const MAX_EXPRESSION_LENGTH = 200;
+// Search horizon for the next run; covers Feb 29 schedules
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 3600 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx !== -1) return idx + field.nameOffset;
+  }
+  if (!/^\d+$/.test(token)) throwInvalid(`Invalid ${field.name} value "${token}"`);
+  const n = parseInt(token, 10);
+  if (n < field.min || n > field.max) throwInvalid(`${field.name} must be between ${field.min} and ${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined || rangePart === '') throwInvalid(`Invalid ${field.name} "${part}"`);
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) < 1) throwInvalid(`Invalid ${field.name} step "${stepPart}"`);
+      step = parseInt(stepPart, 10);
+    }
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [a, b, more] = rangePart.split('-');
+      if (more !== undefined) throwInvalid(`Invalid ${field.name} range "${rangePart}"`);
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) throwInvalid(`Invalid ${field.name} range "${rangePart}" (start after end)`);
+    } else {
+      start = parseValue(rangePart, field);
+      // "5/15" means from 5 to the end of the range in steps of 15
+      end = stepPart !== undefined ? field.max : start;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse and validate a cron expression.
+ * @param {string} expression
+ * @returns {{ minutes: Set<number>, hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>,
+ *   daysOfWeek: Set<number>, domRestricted: boolean, dowRestricted: boolean }}
+ */
+function parseCron(expression) {
+  const raw = String(expression || '').trim();
+  if (!raw) throwInvalid('Cron expression is required');
+  if (raw.length > MAX_EXPRESSION_LENGTH) throwInvalid('Cron expression is too long');
+  const expanded = MACROS[raw.toLowerCase()] || raw;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) throwInvalid('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/** Whether timeZone is an IANA zone name this runtime knows (e.g. "Europe/London", "UTC"). */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone || timeZone.length > 64) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/** Local wall-clock fields of an instant; `local` is the wall time as minutes since the epoch. */
+function wallClock(ms, timeZone) {
+  const f = {};
+  for (const p of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (p.type !== 'literal') f[p.type] = parseInt(p.value, 10);
+  }
+  const local = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute) / MINUTE_MS;
+  return { month: f.month, day: f.day, hour: f.hour, minute: f.minute, dow: new Date(local * MINUTE_MS).getUTCDay(), local };
+}
+
+function dayMatches(cron, w) {
+  const dom = cron.daysOfMonth.has(w.day);
+  const dow = cron.daysOfWeek.has(w.dow);
+  // Like Vixie cron: OR only when neither field starts with *, so */N still narrows the other
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+function matches(cron, w) {
+  return cron.months.has(w.month) && dayMatches(cron, w) && cron.hours.has(w.hour) && cron.minutes.has(w.minute);
+}
+
+// Wall fields for local minutes skipped by a spring-forward gap
+function fieldsOfLocal(local) {
+  const d = new Date(local * MINUTE_MS);
+  return { month: d.getUTCMonth() + 1, day: d.getUTCDate(), hour: d.getUTCHours(), minute: d.getUTCMinutes(), dow: d.getUTCDay() };
+}
+
+/**
+ * Next instant strictly after `after` at which the expression fires in timeZone.
+ * @param {string|object} cron expression or the result of parseCron
+ * @param {Date} after
+ * @param {string} [timeZone='UTC']
+ * @returns {Date|null} null when the expression never fires (e.g. "0 0 31 2 *")
+ */
+function nextCronRun(cron, after, timeZone = 'UTC') {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  let t = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = t + MAX_LOOKAHEAD_MS;
+
+  while (t < limit) {
+    const w = wallClock(t, timeZone);
+    if (w.minute === 0) {
+      // Spring-forward gap just before t: local times in it run now
+      const prevLocal = wallClock(t - MINUTE_MS, timeZone).local;
+      for (let local = prevLocal + 1; local < w.local && local - prevLocal <= 180; local += 1) {
+        if (matches(parsed, fieldsOfLocal(local))) return new Date(t);
+      }
+    }
+    if (!parsed.months.has(w.month) || !dayMatches(parsed, w)) {
+      // Jump to 23:00 local (never past midnight, even on a 23-hour DST day), then by hours
+      const toLateEvening = (23 - w.hour) * 60 - w.minute;
+      t += (toLateEvening > 0 ? toLateEvening : 60 - w.minute) * MINUTE_MS;
+      continue;
+    }
+    if (!parsed.hours.has(w.hour)) {
+      t += (60 - w.minute) * MINUTE_MS;
+      continue;
+    }
+    let minute = w.minute;
+    while (minute < 60 && !parsed.minutes.has(minute)) minute += 1;
+    if (minute === 60) {
+      t += (60 - w.minute) * MINUTE_MS;
+      continue;
+    }
+    t += (minute - w.minute) * MINUTE_MS;
+    // Fall-back: the same wall time an hour earlier means this is the repeated occurrence
+    if (wallClock(t - 60 * MINUTE_MS, timeZone).local === w.local - w.minute + minute) {
+      t += MINUTE_MS;
+      continue;
+    }
+    return new Date(t);
+  }
+  return null;
+}
+
+/**
+ * The next `count` run times after `after`.
+ * @returns {Date[]}
+ */
+function nextCronRuns(cron, after, timeZone = 'UTC', count = 5) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const runs = [];
+  let ref = after;
+  while (runs.length < count) {
+    const next = nextCronRun(parsed, ref, timeZone);
+    if (!next) break;
+    runs.push(next);
+    ref = next;
+  }
+  return runs;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun,
+  nextCronRuns,
+  isValidTimeZone,
+  wallClock,
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextCronRun, nextCronRuns, isValidTimeZone } = require('./cron');
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+test('parseCron handles lists, ranges, steps, names and macros', () => {
+  const c = parseCron('0,30 */6 1-3 jan-mar MON-fri');
+  assert.deepStrictEqual([...c.minutes], [0, 30]);
+  assert.deepStrictEqual([...c.hours], [0, 6, 12, 18]);
+  assert.deepStrictEqual([...c.daysOfMonth], [1, 2, 3]);
+  assert.deepStrictEqual([...c.months], [1, 2, 3]);
+  assert.deepStrictEqual([...c.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([...parseCron('5/20 * * * 7').minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron('5/20 * * * 7').daysOfWeek], [0]);
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+
+  for (const bad of ['', '* * * *', '60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *', '1,,2 * * * *']) {
+    assert.throws(() => parseCron(bad), { code: 'INVALID_INPUT' }, bad);
+  }
+});
+
+test('nextCronRun evaluates in the given timezone and ORs restricted day fields', () => {
+  // Weekdays 02:30 London: BST (UTC+1) after 31 March
+  assert.deepStrictEqual(iso(nextCronRuns('30 2 * * 1-5', new Date('2024-03-29T00:00:00Z'), 'Europe/London', 3)), [
+    '2024-03-29T02:30:00.000Z',
+    '2024-04-01T01:30:00.000Z',
+    '2024-04-02T01:30:00.000Z',
+  ]);
+  // 1st of the month OR any Monday
+  assert.deepStrictEqual(iso(nextCronRuns('0 9 1 * mon', new Date('2024-06-28T00:00:00Z'), 'America/New_York', 3)), [
+    '2024-07-01T13:00:00.000Z',
+    '2024-07-08T13:00:00.000Z',
+    '2024-07-15T13:00:00.000Z',
+  ]);
+  // A stepped wildcard day of month still ANDs with the day of week: odd-numbered Mondays
+  assert.deepStrictEqual(iso(nextCronRuns('0 0 */2 * 1', new Date('2024-06-28T00:00:00Z'), 'UTC', 3)), [
+    '2024-07-01T00:00:00.000Z',
+    '2024-07-15T00:00:00.000Z',
+    '2024-07-29T00:00:00.000Z',
+  ]);
+  // Strictly after the reference time
+  assert.strictEqual(nextCronRun('0 3 * * *', new Date('2024-01-01T03:00:00Z')).toISOString(), '2024-01-02T03:00:00.000Z');
+  assert.strictEqual(nextCronRun('0 0 29 2 *', new Date('2024-03-01T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+  assert.strictEqual(nextCronRun('0 0 31 2 *', new Date('2024-01-01T00:00:00Z')), null);
+  assert.ok(isValidTimeZone('Europe/London'));
+  assert.ok(!isValidTimeZone('Mars/Olympus'));
+});
+
+test('nextCronRun runs skipped DST times after the gap and repeated times once', () => {
+  // London springs forward 01:00 -> 02:00 on 31 March 2024: 01:30 runs at 02:00 BST
+  assert.deepStrictEqual(iso(nextCronRuns('30 1 * * *', new Date('2024-03-30T12:00:00Z'), 'Europe/London', 2)), [
+    '2024-03-31T01:00:00.000Z',
+    '2024-04-01T00:30:00.000Z',
+  ]);
+  // London falls back 02:00 -> 01:00 on 27 October 2024: 01:30 occurs twice, runs on the first
+  assert.deepStrictEqual(iso(nextCronRuns('30 1 * * *', new Date('2024-10-26T12:00:00Z'), 'Europe/London', 2)), [
+    '2024-10-27T00:30:00.000Z',
+    '2024-10-28T01:30:00.000Z',
+  ]);
+});
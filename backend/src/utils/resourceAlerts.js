@@ -0,0 +1,125 @@
+/**
+ * Resource threshold alerts: per-user thresholds with per-server and per-container overrides,
+ * and the breach/cooldown/recovery state machine evaluated by monitoring.service.
+ */
+
+const CONTAINER_METRICS = ['containerCpuAlertPercent', 'containerMemoryAlertPercent'];
+const HOST_METRICS = ['hostCpuAlertPercent', 'hostDiskAlertPercent'];
+const RESOURCE_METRICS = [...CONTAINER_METRICS, ...HOST_METRICS];
+
+const METRIC_LABELS = {
+  containerCpuAlertPercent: 'CPU usage',
+  containerMemoryAlertPercent: 'Memory usage (% of limit)',
+  hostCpuAlertPercent: 'Host CPU usage',
+  hostDiskAlertPercent: 'Root filesystem usage',
+};
+
+// Used when the user has no MonitoringSettings row yet (same as the column defaults)
+const DEFAULT_RESOURCE_SETTINGS = {
+  containerCpuAlertPercent: null,
+  containerMemoryAlertPercent: 90,
+  hostCpuAlertPercent: null,
+  hostDiskAlertPercent: 85,
+  resourceAlertDurationMs: 5 * 60 * 1000,
+  resourceAlertCooldownMs: 60 * 60 * 1000,
+  alertOnResourceRecovery: true,
+  resourceAlertOverrides: [],
+};
+
+const MAX_OVERRIDES = 200;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CONTAINER_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,254}$/;
+
+function throwInvalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  throw err;
+}
+
+function normalizePercent(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 100) throwInvalid(`${label} must be a whole percentage between 1 and 100`);
+  return n;
+}
+
+/**
+ * Validate and clean the overrides list from the settings form.
+ * Entry: { serverId, containerName?, disabled?, <metric>?: 1..100 | null }. A null or missing
+ * metric inherits; disabled mutes every resource alert for that server or container.
+ */
+function normalizeOverrides(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throwInvalid('resourceAlertOverrides must be an array');
+  if (list.length > MAX_OVERRIDES) throwInvalid(`At most ${MAX_OVERRIDES} overrides are allowed`);
+  const seen = new Set();
+  return list.map((entry, i) => {
+    if (!entry || typeof entry !== 'object') throwInvalid(`Override ${i + 1} is invalid`);
+    const serverId = String(entry.serverId || '');
+    if (!UUID_REGEX.test(serverId)) throwInvalid(`Override ${i + 1}: a server is required`);
+    const containerName = entry.containerName ? String(entry.containerName).trim().replace(/^\//, '') : null;
+    if (containerName && !CONTAINER_NAME_REGEX.test(containerName)) throwInvalid(`Override ${i + 1}: invalid container name`);
+    const key = `${serverId}|${containerName || ''}`;
+    if (seen.has(key)) throwInvalid(`Override ${i + 1} duplicates another override for the same ${containerName ? 'container' : 'server'}`);
+    seen.add(key);
+
+    const out = { serverId, containerName, disabled: entry.disabled === true };
+    for (const metric of containerName ? CONTAINER_METRICS : RESOURCE_METRICS) {
+      out[metric] = normalizePercent(entry[metric], `Override ${i + 1}: ${METRIC_LABELS[metric]}`);
+    }
+    return out;
+  });
+}
+
+/**
+ * Effective thresholds for a server (containerName null) or one of its containers:
+ * the user's thresholds, then the server override, then the container override.
+ * Returns null when an applicable override mutes resource alerts.
+ */
+function resolveThresholds(settings, serverId, containerName = null) {
+  const effective = {};
+  for (const metric of RESOURCE_METRICS) effective[metric] = settings[metric] ?? null;
+  const overrides = settings.resourceAlertOverrides || [];
+  const scopes = [overrides.find((o) => o.serverId === serverId && !o.containerName)];
+  if (containerName) scopes.push(overrides.find((o) => o.serverId === serverId && o.containerName === containerName));
+  for (const o of scopes) {
+    if (!o) continue;
+    if (o.disabled) return null;
+    for (const metric of RESOURCE_METRICS) {
+      if (o[metric] != null) effective[metric] = o[metric];
+    }
+  }
+  return effective;
+}
+
+/**
+ * Advance one rule. `prev` is the rule's state from the last check ({ breachSince, alertedAt } or null).
+ * Alerts once the value has stayed above the threshold for durationMs, repeats after cooldownMs while
+ * still above, and reports 'recovered' when it drops back after an alert. Missing samples keep the state.
+ * @returns {{ state: object|null, event: 'alert'|'recovered'|null }}
+ */
+function evaluateRule(prev, { value, threshold, now, durationMs, cooldownMs }) {
+  if (threshold == null) return { state: null, event: null };
+  if (value == null || Number.isNaN(value)) return { state: prev || null, event: null };
+
+  if (value > threshold) {
+    const state = { breachSince: prev?.breachSince ?? now, alertedAt: prev?.alertedAt ?? null };
+    const sustained = now - state.breachSince >= durationMs;
+    if (sustained && (!state.alertedAt || now - state.alertedAt >= cooldownMs)) {
+      return { state: { ...state, alertedAt: now }, event: 'alert' };
+    }
+    return { state, event: null };
+  }
+  return { state: null, event: prev?.alertedAt ? 'recovered' : null };
+}
+
+module.exports = {
+  CONTAINER_METRICS,
+  HOST_METRICS,
+  RESOURCE_METRICS,
+  METRIC_LABELS,
+  DEFAULT_RESOURCE_SETTINGS,
+  normalizeOverrides,
+  resolveThresholds,
+  evaluateRule,
+};
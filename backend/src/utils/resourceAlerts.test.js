@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeOverrides, resolveThresholds, evaluateRule } = require('./resourceAlerts');
+
+const S1 = '11111111-1111-1111-1111-111111111111';
+const S2 = '22222222-2222-2222-2222-222222222222';
+
+test('evaluateRule alerts after the duration, repeats after cooldown and reports recovery', () => {
+  const opts = { threshold: 90, durationMs: 300, cooldownMs: 1000 };
+  let r = evaluateRule(null, { ...opts, value: 95, now: 0 });
+  assert.strictEqual(r.event, null);
+  r = evaluateRule(r.state, { ...opts, value: 96, now: 200 });
+  assert.strictEqual(r.event, null);
+  r = evaluateRule(r.state, { ...opts, value: 97, now: 300 });
+  assert.strictEqual(r.event, 'alert');
+  r = evaluateRule(r.state, { ...opts, value: 97, now: 900 });
+  assert.strictEqual(r.event, null);
+  r = evaluateRule(r.state, { ...opts, value: null, now: 1000 });
+  assert.strictEqual(r.event, null);
+  assert.strictEqual(r.state.alertedAt, 300);
+  r = evaluateRule(r.state, { ...opts, value: 97, now: 1300 });
+  assert.strictEqual(r.event, 'alert');
+  r = evaluateRule(r.state, { ...opts, value: 50, now: 1400 });
+  assert.deepStrictEqual(r, { state: null, event: 'recovered' });
+});
+
+test('evaluateRule resets a breach that ends before the duration without notifying', () => {
+  const opts = { threshold: 90, durationMs: 300, cooldownMs: 1000 };
+  let r = evaluateRule(null, { ...opts, value: 95, now: 0 });
+  r = evaluateRule(r.state, { ...opts, value: 80, now: 100 });
+  assert.deepStrictEqual(r, { state: null, event: null });
+  assert.deepStrictEqual(evaluateRule({ breachSince: 0, alertedAt: 0 }, { ...opts, threshold: null, value: 99, now: 1 }), { state: null, event: null });
+});
+
+test('resolveThresholds applies server then container overrides and honours disabled', () => {
+  const settings = {
+    containerCpuAlertPercent: null,
+    containerMemoryAlertPercent: 90,
+    hostCpuAlertPercent: null,
+    hostDiskAlertPercent: 85,
+    resourceAlertOverrides: normalizeOverrides([
+      { serverId: S1, hostDiskAlertPercent: 95, containerMemoryAlertPercent: 80 },
+      { serverId: S1, containerName: 'db', containerMemoryAlertPercent: 98, containerCpuAlertPercent: '70' },
+      { serverId: S1, containerName: 'batch', disabled: true },
+    ]),
+  };
+  assert.deepStrictEqual(resolveThresholds(settings, S1), {
+    containerCpuAlertPercent: null, containerMemoryAlertPercent: 80, hostCpuAlertPercent: null, hostDiskAlertPercent: 95,
+  });
+  assert.strictEqual(resolveThresholds(settings, S1, 'db').containerMemoryAlertPercent, 98);
+  assert.strictEqual(resolveThresholds(settings, S1, 'db').containerCpuAlertPercent, 70);
+  assert.strictEqual(resolveThresholds(settings, S1, 'web').containerMemoryAlertPercent, 80);
+  assert.strictEqual(resolveThresholds(settings, S1, 'batch'), null);
+  assert.strictEqual(resolveThresholds(settings, S2, 'db').containerMemoryAlertPercent, 90);
+});
+
+test('normalizeOverrides rejects bad entries', () => {
+  const invalid = (list) => assert.throws(() => normalizeOverrides(list), (err) => err.code === 'INVALID_INPUT');
+  invalid('nope');
+  invalid([{ serverId: 'x' }]);
+  invalid([{ serverId: S1, containerMemoryAlertPercent: 101 }]);
+  invalid([{ serverId: S1, containerName: 'a;b' }]);
+  invalid([{ serverId: S1 }, { serverId: S1 }]);
+  assert.deepStrictEqual(normalizeOverrides([{ serverId: S1, containerName: '/web', hostDiskAlertPercent: 50 }]), [
+    { serverId: S1, containerName: 'web', disabled: false, containerCpuAlertPercent: null, containerMemoryAlertPercent: null },
+  ]);
+});
@@ -0,0 +1,223 @@
+/**
+ * Minimal client for S3-compatible object storage (AWS S3, MinIO, Wasabi, Backblaze B2, ...)
+ * signing requests with AWS Signature Version 4 over fetch. Covers what volume backups need:
+ * uploads from a file (multipart above MULTIPART_THRESHOLD), downloads to a file and deletes.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const MULTIPART_THRESHOLD = 256 * 1024 * 1024;
+const PART_SIZE = 64 * 1024 * 1024;
+const REQUEST_TIMEOUT_MS = 30000;
+const TRANSFER_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 requires (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function compareCodeUnits(a, b) {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * @param {object} params
+ * @param {string} params.method
+ * @param {URL} params.url - Path must already be URI-encoded
+ * @param {object} [params.headers] - Extra headers to sign (e.g. range, content-type)
+ * @param {string} params.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {string} params.region
+ * @param {string} params.accessKeyId
+ * @param {string} params.secretAccessKey
+ * @param {Date} [params.date]
+ * @returns {object} Headers to send, including Authorization, x-amz-date and x-amz-content-sha256
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const signed = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+
+  const canonical = {};
+  for (const [name, value] of Object.entries(signed)) {
+    canonical[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const names = Object.keys(canonical).sort();
+  const canonicalHeaders = names.map((n) => `${n}:${canonical[n]}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort((a, b) => compareCodeUnits(a[0], b[0]) || compareCodeUnits(a[1], b[1]))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+
+  const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml || '');
+  return match ? match[1] : null;
+}
+
+function s3Error(action, status, text) {
+  const code = xmlValue(text, 'Code');
+  const message = xmlValue(text, 'Message');
+  const err = new Error(`${action} failed: HTTP ${status}${code ? ` ${code}` : ''}${message ? ` - ${message}` : ''}`);
+  err.status = status;
+  err.s3Code = code;
+  return err;
+}
+
+async function responseError(res, action) {
+  return s3Error(action, res.status, await res.text().catch(() => ''));
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.endpoint - e.g. https://s3.eu-west-1.amazonaws.com or http://minio:9000
+ * @param {string} options.region
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} [options.forcePathStyle=true] - endpoint/bucket/key (MinIO) instead of bucket.endpoint/key
+ */
+function createS3Client({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/+$/, '');
+
+  function objectUrl(key, query = {}) {
+    const url = forcePathStyle
+      ? new URL(`${base.protocol}//${base.host}${basePath}/${encodeRfc3986(bucket)}/${encodeKey(key)}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}${basePath}/${encodeKey(key)}`);
+    for (const [k, v] of Object.entries(query)) url.searchParams.set(k, v);
+    return url;
+  }
+
+  async function send(method, key, { query, headers = {}, body, payloadHash = EMPTY_SHA256, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const url = objectUrl(key, query);
+    const signedHeaders = signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey });
+    delete signedHeaders.host;
+    const init = { method, headers: signedHeaders, body, redirect: 'error', signal: AbortSignal.timeout(timeoutMs) };
+    if (body instanceof Readable) init.duplex = 'half';
+    return fetch(url, init);
+  }
+
+  async function putSingle(key, filePath, size, sha256) {
+    const res = await send('PUT', key, {
+      headers: { 'content-length': String(size), 'content-type': 'application/gzip' },
+      body: fs.createReadStream(filePath),
+      payloadHash: sha256 || UNSIGNED_PAYLOAD,
+      timeoutMs: TRANSFER_TIMEOUT_MS,
+    });
+    if (!res.ok) throw await responseError(res, 'Upload');
+  }
+
+  async function putMultipart(key, filePath, size) {
+    const init = await send('POST', key, { query: { uploads: '' }, headers: { 'content-type': 'application/gzip' } });
+    if (!init.ok) throw await responseError(init, 'Starting multipart upload');
+    const uploadId = xmlValue(await init.text(), 'UploadId');
+    if (!uploadId) throw new Error('Starting multipart upload failed: no UploadId in response');
+
+    try {
+      const parts = [];
+      for (let start = 0, partNumber = 1; start < size; start += PART_SIZE, partNumber += 1) {
+        const end = Math.min(size, start + PART_SIZE);
+        const res = await send('PUT', key, {
+          query: { partNumber: String(partNumber), uploadId },
+          headers: { 'content-length': String(end - start) },
+          body: fs.createReadStream(filePath, { start, end: end - 1 }),
+          payloadHash: UNSIGNED_PAYLOAD,
+          timeoutMs: TRANSFER_TIMEOUT_MS,
+        });
+        if (!res.ok) throw await responseError(res, `Uploading part ${partNumber}`);
+        parts.push(`<Part><PartNumber>${partNumber}</PartNumber><ETag>${res.headers.get('etag')}</ETag></Part>`);
+      }
+      const xml = `<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`;
+      const done = await send('POST', key, { query: { uploadId }, body: xml, payloadHash: sha256Hex(xml), timeoutMs: 5 * 60 * 1000 });
+      // S3 can answer 200 with an error document when completion fails late
+      const text = await done.text().catch(() => '');
+      if (!done.ok || xmlValue(text, 'Code')) throw s3Error('Completing multipart upload', done.status, text);
+    } catch (err) {
+      await send('DELETE', key, { query: { uploadId } }).catch(() => {});
+      throw err;
+    }
+  }
+
+  return {
+    /**
+     * Upload a local file. sha256 (hex), when known, lets the server verify the body of single uploads.
+     */
+    async putObjectFromFile(key, filePath, { sha256 } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      if (size > MULTIPART_THRESHOLD) return putMultipart(key, filePath, size);
+      return putSingle(key, filePath, size, sha256);
+    },
+
+    /**
+     * Download an object into filePath.
+     * @returns {Promise<{ size: number, sha256: string }>}
+     */
+    async getObjectToFile(key, filePath) {
+      const res = await send('GET', key, { timeoutMs: TRANSFER_TIMEOUT_MS });
+      if (!res.ok) throw await responseError(res, 'Download');
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      });
+      await pipeline(Readable.fromWeb(res.body), meter, fs.createWriteStream(filePath));
+      return { size, sha256: hash.digest('hex') };
+    },
+
+    /** Delete an object; a missing object is not an error. */
+    async deleteObject(key) {
+      const res = await send('DELETE', key);
+      if (!res.ok && res.status !== 404) throw await responseError(res, 'Delete');
+    },
+
+    /** Write and delete a small object to prove the credentials can store backups. */
+    async testWrite(key) {
+      const body = `DockerFleet write test ${new Date().toISOString()}\n`;
+      const res = await send('PUT', key, { headers: { 'content-type': 'text/plain' }, body, payloadHash: sha256Hex(body) });
+      if (!res.ok) throw await responseError(res, 'Test upload');
+      await this.deleteObject(key);
+    },
+  };
+}
+
+module.exports = {
+  createS3Client,
+  signRequest,
+  EMPTY_SHA256,
+  MULTIPART_THRESHOLD,
+};
@@ -0,0 +1,36 @@
+/**
+ * Server tags: short labels ("edge", "eu-west", "monitoring") that group servers, e.g. as the
+ * target of a fleet stack. Stored lower-case so matching is case-insensitive.
+ */
+const TAG_REGEX = /^[a-z0-9][a-z0-9_.:-]{0,63}$/;
+const MAX_TAGS = 20;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_INPUT';
+  err.exposed = true;
+  return err;
+}
+
+/** One tag, trimmed and lower-cased; throws INVALID_INPUT if it is not a valid tag. */
+function normalizeTag(tag) {
+  const value = String(tag ?? '').trim().toLowerCase();
+  if (!TAG_REGEX.test(value)) {
+    throw invalid(`Invalid tag "${String(tag ?? '')}": use up to 64 letters, digits and _ . : - (starting with a letter or digit)`);
+  }
+  return value;
+}
+
+/**
+ * Tags from a request: an array or a comma-separated string. Blank entries are dropped and
+ * duplicates removed.
+ */
+function normalizeTags(tags) {
+  if (tags == null || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  const out = [...new Set(list.filter((t) => String(t ?? '').trim()).map(normalizeTag))];
+  if (out.length > MAX_TAGS) throw invalid(`A server can have at most ${MAX_TAGS} tags`);
+  return out;
+}
+
+module.exports = { normalizeTag, normalizeTags };
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTag, normalizeTags } = require('./serverTags');
+
+test('normalizeTags accepts arrays and comma-separated strings', () => {
+  assert.deepStrictEqual(normalizeTags(['Edge', ' eu-west ', 'edge', '']), ['edge', 'eu-west']);
+  assert.deepStrictEqual(normalizeTags('monitoring, db:primary,,'), ['monitoring', 'db:primary']);
+  assert.deepStrictEqual(normalizeTags(null), []);
+  assert.deepStrictEqual(normalizeTags(''), []);
+});
+
+test('normalizeTag rejects tags that are not plain labels', () => {
+  assert.throws(() => normalizeTag('has space'), (err) => err.code === 'INVALID_INPUT');
+  assert.throws(() => normalizeTag('-leading'), /Invalid tag/);
+  assert.throws(() => normalizeTag(''), /Invalid tag/);
+  assert.throws(() => normalizeTag('a'.repeat(65)), /Invalid tag/);
+  assert.throws(() => normalizeTags(Array.from({ length: 21 }, (_, i) => `t${i}`)), /at most 20/);
+});
@@ -15,6 +15,8 @@ const TAG_REGEX = /^[a-zA-Z0-9_.\-]{1,128}$/;
 const CONTAINER_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.\-]{0,254}$/;
 // Port: single port, hostPort:containerPort, or same with optional /tcp|/udp (Docker CLI style)
 const PORT_REGEX = /^\d{1,5}$|^\d{1,5}:\d{1,5}(\/(tcp|udp))?$/;
+// Docker volume name: as the daemon accepts for local volumes
+const VOLUME_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.\-]{0,254}$/;
 const ALLOWED_SHELLS = ['/bin/sh', '/bin/bash'];
 
 function throwInvalid(message, value) {
@@ -95,6 +97,16 @@ function validateContainerName(name) {
   return trimmed;
 }
 
+/**
+ * Validate Docker volume name.
+ */
+function validateVolumeName(name) {
+  if (typeof name !== 'string' || !name.trim()) throwInvalid('Volume name is required', name);
+  const trimmed = name.trim();
+  if (!VOLUME_NAME_REGEX.test(trimmed)) throwInvalid('Invalid volume name format', name);
+  return trimmed;
+}
+
 /**
  * Validate a file path for export (must be under /tmp, safe chars, end .tar).
  */
@@ -114,6 +126,21 @@ function escapeSingleQuoted(arg) {
   return "'" + String(arg).replace(/'/g, "'\\''") + "'";
 }
 
+// docker logs --since/--until: RFC 3339 timestamp, unix timestamp or relative duration (e.g. 42m, 1h30m)
+const LOG_TIME_REGEX = /^(\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})?)?|\d{1,10}(\.\d{1,9})?|(\d{1,6}(\.\d+)?(ns|us|ms|s|m|h))+)$/;
+
+/**
+ * Validate a docker logs --since/--until value.
+ */
+function validateLogTime(value) {
+  if (typeof value !== 'string' || !value.trim()) throwInvalid('Invalid log time', value);
+  const trimmed = value.trim();
+  if (trimmed.length > 40 || !LOG_TIME_REGEX.test(trimmed)) {
+    throwInvalid('Invalid log time: use an RFC 3339 timestamp, a unix timestamp or a duration like 30m', value);
+  }
+  return trimmed;
+}
+
 // Compose project name: alphanumeric start, then [a-zA-Z0-9_.-], max 64 chars
 const COMPOSE_PROJECT_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,63}$/;
 const STACK_DEPLOY_BASE = '/opt/dockerfleet/stacks';
@@ -136,6 +163,33 @@ function validateStackDeployPath(p) {
   return trimmed;
 }
 
+// Lists the extra files the last deploy wrote, so files dropped from the stack can be removed
+const STACK_FILES_MANIFEST = '.dockerfleet-files';
+// Files the deploy writes itself; a stack's extra files cannot replace them
+const RESERVED_STACK_FILES = new Set(['compose.yaml', '.env', STACK_FILES_MANIFEST]);
+const STACK_FILE_SEGMENT_REGEX = /^[a-zA-Z0-9_.][a-zA-Z0-9_.\-]*$/;
+const STACK_FILE_MAX_DEPTH = 8;
+
+/**
+ * Validate the path of an extra stack file, relative to the stack's deploy path
+ * (e.g. "nginx/default.conf"). A leading "./" is dropped.
+ * @returns {string} the normalised path
+ */
+function validateStackFilePath(p) {
+  if (typeof p !== 'string' || !p.trim()) throwInvalid('File path is required', p);
+  const trimmed = p.trim().replace(/^(\.\/)+/, '');
+  if (trimmed.startsWith('/') || trimmed.length > 255) throwInvalid('Invalid file path: must be relative to the stack directory', p);
+  const segments = trimmed.split('/');
+  if (segments.length > STACK_FILE_MAX_DEPTH) throwInvalid(`Invalid file path: at most ${STACK_FILE_MAX_DEPTH} levels deep`, p);
+  for (const segment of segments) {
+    if (segment === '.' || segment === '..' || !STACK_FILE_SEGMENT_REGEX.test(segment)) {
+      throwInvalid('Invalid file path: use letters, numbers, _ . - and / between directories', p);
+    }
+  }
+  if (RESERVED_STACK_FILES.has(trimmed)) throwInvalid(`${trimmed} is written by the deploy and cannot be a stack file`, p);
+  return trimmed;
+}
+
 module.exports = {
   throwInvalid,
   validateContainerId,
@@ -145,15 +199,20 @@ module.exports = {
   validateTag,
   validatePortMapping,
   validateContainerName,
+  validateVolumeName,
   validateExportPath,
   escapeSingleQuoted,
+  validateLogTime,
   validateComposeProjectName,
   validateStackDeployPath,
+  validateStackFilePath,
   STACK_DEPLOY_BASE,
+  STACK_FILES_MANIFEST,
   COMPOSE_PROJECT_NAME_REGEX,
   DOCKER_ID_REGEX,
   IMAGE_NAME_REGEX,
   TAG_REGEX,
   PORT_REGEX,
   CONTAINER_NAME_REGEX,
+  VOLUME_NAME_REGEX,
 };
@@ -1,8 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert');
 const {
+  validateLogTime,
   validateComposeProjectName,
   validateStackDeployPath,
+  validateStackFilePath,
+  validateVolumeName,
   STACK_DEPLOY_BASE,
 } = require('./shellSafe');
 
@@ -29,3 +32,34 @@ test('validateStackDeployPath rejects traversal and out-of-base paths', () => {
   assert.throws(() => validateStackDeployPath('/etc/passwd'), /Invalid/i);
   assert.throws(() => validateStackDeployPath(`${STACK_DEPLOY_BASE}/../etc`), /Invalid/i);
 });
+
+test('validateStackFilePath accepts nested relative paths and rejects the rest', () => {
+  assert.strictEqual(validateStackFilePath('./nginx/default.conf'), 'nginx/default.conf');
+  assert.strictEqual(validateStackFilePath('initdb/01-schema.sql'), 'initdb/01-schema.sql');
+  assert.throws(() => validateStackFilePath('/etc/passwd'), /Invalid/i);
+  assert.throws(() => validateStackFilePath('conf/../../x'), /Invalid/i);
+  assert.throws(() => validateStackFilePath('a b.conf'), /Invalid/i);
+  assert.throws(() => validateStackFilePath('compose.yaml'), /cannot be a stack file/);
+});
+
+test('validateVolumeName accepts compose volume names and rejects shell input', () => {
+  assert.strictEqual(validateVolumeName(' nextcloud_db-data '), 'nextcloud_db-data');
+  assert.throws(() => validateVolumeName(''), /required/);
+  assert.throws(() => validateVolumeName('-v'), /Invalid/);
+  assert.throws(() => validateVolumeName('data;rm -rf /'), /Invalid/);
+});
+
+test('validateLogTime accepts timestamps and durations', () => {
+  assert.strictEqual(validateLogTime('2024-06-21T10:00:00Z'), '2024-06-21T10:00:00Z');
+  assert.strictEqual(validateLogTime('2024-06-21T10:00:00.123+02:00'), '2024-06-21T10:00:00.123+02:00');
+  assert.strictEqual(validateLogTime('2024-06-21'), '2024-06-21');
+  assert.strictEqual(validateLogTime('1718964000'), '1718964000');
+  assert.strictEqual(validateLogTime('1h30m'), '1h30m');
+});
+
+test('validateLogTime rejects shell metacharacters and junk', () => {
+  assert.throws(() => validateLogTime('10m; id'), /Invalid/i);
+  assert.throws(() => validateLogTime('$(id)'), /Invalid/i);
+  assert.throws(() => validateLogTime('yesterday'), /Invalid/i);
+  assert.throws(() => validateLogTime(''), /Invalid/i);
+});
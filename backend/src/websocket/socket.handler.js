@@ -1,9 +1,99 @@
 const jwt = require('jsonwebtoken');
-const { Server } = require('../models');
+const { StringDecoder } = require('string_decoder');
+const { Server, User, TerminalSession, Stack } = require('../models');
 const dockerService = require('../services/docker.service');
+const stackService = require('../services/stack.service');
+const sshService = require('../services/ssh.service');
+const auditService = require('../services/audit.service');
 const config = require('../config/config');
+const { userRoom } = require('../config/socket');
 const logger = require('../config/logger');
 
+const TERMINAL_SESSION_ID_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_TERMINAL_SESSIONS_PER_SOCKET = 5;
+const MAX_LOG_STREAMS_PER_SOCKET = 10;
+
+function clampTerminalSize(value, fallback, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+/**
+ * Pipe a PTY channel to the socket as terminal session `sessionId`. Output is decoded as
+ * UTF-8 across chunk boundaries so multi-byte characters are never split between events.
+ * meta.record is the TerminalSession audit row; it is closed out when the channel ends.
+ */
+function attachTerminalSession(socket, sessions, sessionId, stream, meta) {
+  const decoder = new StringDecoder('utf8');
+  const emitData = (chunk) => {
+    const data = decoder.write(chunk);
+    if (data) socket.emit('terminal:data', { sessionId, data });
+  };
+  sessions.set(sessionId, { stream, ...meta });
+  stream.on('data', emitData);
+  stream.stderr.on('data', emitData);
+  stream.on('close', (code) => {
+    sessions.delete(sessionId);
+    const rest = decoder.end();
+    if (rest) socket.emit('terminal:data', { sessionId, data: rest });
+    socket.emit('terminal:exit', { sessionId, code: code ?? null });
+    logger.info(`Terminal session ${sessionId} closed (User: ${socket.userId}, Server: ${meta.serverId})`);
+    meta.record
+      .update({ endedAt: new Date(), exitCode: Number.isInteger(code) ? code : null })
+      .catch((err) => logger.error('Failed to record terminal session end:', err));
+    auditService.record({
+      userId: socket.userId,
+      serverId: meta.serverId,
+      action: 'terminal.close',
+      targetType: 'terminal',
+      targetId: meta.record.id,
+      targetName: meta.containerId || 'host',
+      params: { exitCode: Number.isInteger(code) ? code : null },
+      outcome: 'success',
+      ip: socket.handshake.address,
+      durationMs: Date.now() - meta.record.startedAt.getTime(),
+    });
+  });
+}
+
+/**
+ * Pipe a log-follow channel (dockerService.openLogFollow) to the socket as log stream `streamId`.
+ * Merged multi-container output is split back per container so every logs:data event
+ * carries the containerId its lines belong to.
+ */
+function attachLogStream(socket, streams, streamId, stream, containerIds) {
+  const decoder = new StringDecoder('utf8');
+  const emitData = (containerId, data) => {
+    if (data) socket.emit('logs:data', { streamId, containerId, data });
+  };
+  let demuxer = null;
+  if (containerIds.length > 1) {
+    demuxer = dockerService.createLogLineDemuxer((index, data) => emitData(containerIds[index], data));
+  }
+  const onChunk = (chunk) => {
+    const text = decoder.write(chunk);
+    if (demuxer) demuxer.write(text);
+    else emitData(containerIds[0], text);
+  };
+  streams.set(streamId, { stream, containerIds });
+  stream.on('data', onChunk);
+  stream.stderr.on('data', onChunk);
+  stream.on('close', () => {
+    const current = streams.get(streamId);
+    if (current?.stream === stream) streams.delete(streamId);
+    const rest = decoder.end();
+    if (demuxer) {
+      demuxer.write(rest);
+      demuxer.end();
+    } else {
+      emitData(containerIds[0], rest);
+    }
+    // Not reported when a new stream has already taken over this id
+    if (!current || current.stream === stream) socket.emit('logs:stopped', { streamId });
+  });
+}
+
 function setupSocketIO(io) {
   // Authentication middleware for Socket.IO
   io.use(async (socket, next) => {
@@ -26,44 +116,87 @@ function setupSocketIO(io) {
 
   io.on('connection', (socket) => {
     logger.info(`Socket connected: ${socket.id} (User: ${socket.userId})`);
+    socket.join(userRoom(socket.userId));
 
-    // Stream container logs
-    socket.on('stream:logs', async ({ serverId, containerId, tail = 100 }) => {
-      try {
-        const server = await Server.findOne({
-          where: { id: serverId, userId: socket.userId },
-        });
+    // Interactive terminal sessions (PTY channels) opened by this socket, keyed by client session id
+    const terminalSessions = new Map();
+    // Log follow channels opened by this socket, keyed by client stream id
+    const logStreams = new Map();
 
-        if (!server) {
-          socket.emit('error', { message: 'Server not found' });
-          return;
+    // Follow container logs: one container, several containerIds (a group) or every running
+    // container of a stack (stackId), merged into one stream. The client picks streamId and
+    // stops it with stream:logs:stop; logs:started lists the followed containers.
+    socket.on('stream:logs', async ({ streamId, serverId, containerId, containerIds, stackId, tail = 100 } = {}) => {
+      if (typeof streamId !== 'string' || !TERMINAL_SESSION_ID_REGEX.test(streamId)) {
+        socket.emit('logs:error', { streamId, containerId, error: 'Invalid log stream id' });
+        return;
+      }
+      const existing = logStreams.get(streamId);
+      if (existing) {
+        logStreams.delete(streamId);
+        existing.stream?.close();
+      }
+      if (logStreams.size >= MAX_LOG_STREAMS_PER_SOCKET) {
+        socket.emit('logs:error', { streamId, error: `Too many log streams (max ${MAX_LOG_STREAMS_PER_SOCKET})` });
+        return;
+      }
+      // Placeholder so a stop arriving while the channel opens is not lost
+      const pending = { stream: null };
+      logStreams.set(streamId, pending);
+      const fail = (error) => {
+        if (logStreams.get(streamId) === pending) logStreams.delete(streamId);
+        socket.emit('logs:error', { streamId, containerId, error });
+      };
+      try {
+        let server;
+        let containers;
+        if (stackId) {
+          const stack = await Stack.findByPk(stackId, { include: [{ model: Server, as: 'server' }] });
+          if (!stack || stack.server.userId !== socket.userId) {
+            fail('Stack not found');
+            return;
+          }
+          server = stack.server;
+          containers = await stackService.listProjectContainers(server, stack);
+          if (containers.length === 0) {
+            fail('No running containers in this stack');
+            return;
+          }
+        } else {
+          server = await Server.findOne({
+            where: { id: serverId, userId: socket.userId },
+          });
+          if (!server) {
+            fail('Server not found');
+            return;
+          }
+          containers = (Array.isArray(containerIds) ? containerIds : [containerId]).map((id) => ({ id, name: null }));
         }
 
-        const logsResult = await dockerService.getContainerLogs(server, containerId, {
-          tail: parseInt(tail),
-          follow: true,
-        });
-
-        if (logsResult.stream) {
-          logsResult.execute(
-            (data) => {
-              socket.emit('logs:data', { containerId, data });
-            },
-            (error) => {
-              socket.emit('logs:error', { containerId, error });
-            }
-          );
+        const ids = containers.map((c) => c.id);
+        const stream = await dockerService.openLogFollow(server, ids, { tail });
+        if (logStreams.get(streamId) !== pending || !socket.connected) {
+          // Stopped, replaced or disconnected while opening
+          stream.close();
+          return;
         }
+        attachLogStream(socket, logStreams, streamId, stream, ids);
+        socket.emit('logs:started', { streamId, serverId: server.id, containers });
       } catch (error) {
         logger.error('Log streaming error:', error);
-        socket.emit('error', { message: error.message });
+        fail(error.message);
       }
     });
 
-    // Stop log streaming
-    socket.on('stream:logs:stop', () => {
-      // Implementation depends on how we handle stream cancellation
-      socket.emit('logs:stopped');
+    // Stop one log stream, or all of this socket's log streams when no streamId is given
+    socket.on('stream:logs:stop', ({ streamId } = {}) => {
+      const targets = streamId ? [streamId] : [...logStreams.keys()];
+      for (const id of targets) {
+        const entry = logStreams.get(id);
+        logStreams.delete(id);
+        if (entry?.stream) entry.stream.close();
+        else socket.emit('logs:stopped', { streamId: id });
+      }
     });
 
     // Get real-time container stats
@@ -94,7 +227,118 @@ function setupSocketIO(io) {
       });
     });
 
+    // Open an interactive terminal: docker exec -it in a container, or a shell on the host
+    // itself when no containerId is given (admins only). Every session is recorded.
+    socket.on('terminal:open', async ({ sessionId, serverId, containerId, shell, cols, rows } = {}) => {
+      if (typeof sessionId !== 'string' || !TERMINAL_SESSION_ID_REGEX.test(sessionId)) {
+        socket.emit('terminal:error', { sessionId, error: 'Invalid terminal session id' });
+        return;
+      }
+      if (terminalSessions.has(sessionId)) {
+        socket.emit('terminal:error', { sessionId, error: 'Terminal session already open' });
+        return;
+      }
+      if (terminalSessions.size >= MAX_TERMINAL_SESSIONS_PER_SOCKET) {
+        socket.emit('terminal:error', { sessionId, error: `Too many open terminals (max ${MAX_TERMINAL_SESSIONS_PER_SOCKET})` });
+        return;
+      }
+      // Hold the slot while the session opens so concurrent opens count against the limit and
+      // cannot reuse the id; attachTerminalSession replaces it, any failure below releases it
+      const reserved = { stream: null };
+      terminalSessions.set(sessionId, reserved);
+      try {
+        const server = await Server.findOne({
+          where: { id: serverId, userId: socket.userId },
+        });
+
+        if (!server) {
+          socket.emit('terminal:error', { sessionId, error: 'Server not found' });
+          return;
+        }
+
+        const isHost = !containerId;
+        if (isHost) {
+          // Role is re-read from the DB: the token's role claim may be stale
+          const user = await User.findByPk(socket.userId, { attributes: ['id', 'role'] });
+          if (!user || user.role !== 'admin') {
+            socket.emit('terminal:error', { sessionId, error: 'Host terminal requires admin' });
+            return;
+          }
+        }
+
+        const size = { cols: clampTerminalSize(cols, 80, 500), rows: clampTerminalSize(rows, 24, 200) };
+        const stream = isHost
+          ? await sshService.openPty(server, null, size)
+          : await dockerService.openExecSession(server, containerId, { shell, ...size });
+
+        let record;
+        try {
+          record = await TerminalSession.create({
+            userId: socket.userId,
+            serverId: server.id,
+            kind: isHost ? 'host' : 'container',
+            containerId: isHost ? null : containerId,
+            clientIp: socket.handshake.address || null,
+            startedAt: new Date(),
+          });
+        } catch (err) {
+          // No unaudited sessions
+          stream.close();
+          throw err;
+        }
+        auditService.record({
+          userId: socket.userId,
+          serverId: server.id,
+          serverName: server.name,
+          action: 'terminal.open',
+          targetType: 'terminal',
+          targetId: record.id,
+          targetName: isHost ? 'host' : containerId,
+          params: { kind: record.kind, ...(isHost ? {} : { shell: shell || '/bin/sh' }) },
+          outcome: 'success',
+          ip: socket.handshake.address,
+        });
+        attachTerminalSession(socket, terminalSessions, sessionId, stream, { serverId, containerId, record });
+        if (!socket.connected) {
+          // Socket went away while the channel was opening; disconnect cleanup already ran
+          stream.close();
+          return;
+        }
+        logger.info(`Terminal session ${sessionId} opened (User: ${socket.userId}, Server: ${serverId}, ${isHost ? 'Host shell' : `Container: ${containerId}`})`);
+        socket.emit('terminal:ready', { sessionId });
+      } catch (error) {
+        logger.error('Terminal open error:', error);
+        socket.emit('terminal:error', { sessionId, error: error.message });
+      } finally {
+        if (terminalSessions.get(sessionId) === reserved) terminalSessions.delete(sessionId);
+      }
+    });
+
+    socket.on('terminal:input', ({ sessionId, data } = {}) => {
+      const session = terminalSessions.get(sessionId);
+      if (session?.stream && typeof data === 'string') session.stream.write(data);
+    });
+
+    socket.on('terminal:resize', ({ sessionId, cols, rows } = {}) => {
+      const session = terminalSessions.get(sessionId);
+      if (!session?.stream) return;
+      // ssh2 setWindow takes (rows, cols, height, width); pixel size is unused
+      session.stream.setWindow(clampTerminalSize(rows, 24, 200), clampTerminalSize(cols, 80, 500), 0, 0);
+    });
+
+    socket.on('terminal:close', ({ sessionId } = {}) => {
+      const session = terminalSessions.get(sessionId);
+      if (session?.stream) session.stream.close();
+    });
+
     socket.on('disconnect', () => {
+      for (const session of terminalSessions.values()) {
+        if (session.stream) session.stream.close();
+      }
+      for (const entry of logStreams.values()) {
+        if (entry.stream) entry.stream.close();
+      }
+      logStreams.clear();
       logger.info(`Socket disconnected: ${socket.id}`);
     });
   });
@@ -13,13 +13,22 @@ import AddServer from './pages/AddServer';
 import ServerDetails from './pages/ServerDetails';
 import ContainerDetails from './pages/ContainerDetails';
 import Images from './pages/Images';
+import DiskCleanup from './pages/DiskCleanup';
+import Volumes from './pages/Volumes';
 import Stacks from './pages/Stacks';
+import FleetStacks from './pages/FleetStacks';
+import StackTemplates from './pages/StackTemplates';
 import Users from './pages/Users';
 import Profile from './pages/Profile';
 import MonitoringSettings from './pages/MonitoringSettings';
+import NotificationChannels from './pages/NotificationChannels';
+import RegistryCredentials from './pages/RegistryCredentials';
+import UpdatePolicies from './pages/UpdatePolicies';
 import BulkBackupSchedules from './pages/BulkBackupSchedules';
+import BackupTargets from './pages/BackupTargets';
 import BackupRestore from './pages/BackupRestore';
 import AppConfig from './pages/AppConfig';
+import AuditLog from './pages/AuditLog';
 
 function App() {
   return (
@@ -45,7 +54,11 @@ function App() {
               <Route path="servers/:serverId" element={<ServerDetails />} />
               <Route path="servers/:serverId/containers/:containerId" element={<ContainerDetails />} />
               <Route path="servers/:serverId/images" element={<Images />} />
+              <Route path="servers/:serverId/volumes" element={<Volumes />} />
+              <Route path="servers/:serverId/cleanup" element={<DiskCleanup />} />
               <Route path="stacks" element={<Stacks />} />
+              <Route path="stacks/fleet" element={<FleetStacks />} />
+              <Route path="stacks/templates" element={<StackTemplates />} />
               <Route
                 path="admin/users"
                 element={
@@ -62,9 +75,21 @@ function App() {
                   </AdminRoute>
                 }
               />
+              <Route
+                path="admin/audit-log"
+                element={
+                  <AdminRoute>
+                    <AuditLog />
+                  </AdminRoute>
+                }
+              />
               <Route path="profile" element={<Profile />} />
               <Route path="monitoring" element={<MonitoringSettings />} />
+              <Route path="notifications" element={<NotificationChannels />} />
+              <Route path="registry-credentials" element={<RegistryCredentials />} />
+              <Route path="update-policies" element={<UpdatePolicies />} />
               <Route path="scheduled-backups" element={<BulkBackupSchedules />} />
+              <Route path="backup-targets" element={<BackupTargets />} />
               <Route path="backup-restore" element={<BackupRestore />} />
             </Route>
             <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * Results of the compose validation (POST /stacks/validate): errors first, then warnings,
+ * each with the service and line it refers to.
+ */
+export default function ComposeFindings({ result }) {
+  if (!result) return null;
+  const findings = [...result.findings].sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+
+  if (!findings.length) {
+    return (
+      <div className="mb-4 p-3 rounded-lg border bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800">
+        <p className="text-sm text-green-800 dark:text-green-200">No problems found.</p>
+      </div>
+    );
+  }
+
+  const errors = findings.filter((f) => f.level === 'error').length;
+  return (
+    <div className={`mb-4 p-3 rounded-lg border ${errors
+      ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'
+      : 'bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800'}`}
+    >
+      <p className={`text-sm font-medium mb-1 ${errors ? 'text-red-800 dark:text-red-200' : 'text-amber-800 dark:text-amber-200'}`}>
+        {errors ? `${errors} error${errors === 1 ? '' : 's'} must be fixed before saving.` : 'Warnings: check them before you deploy.'}
+      </p>
+      <ul className="space-y-0.5">
+        {findings.map((f, i) => (
+          <li
+            key={`${f.code}-${f.service || ''}-${i}`}
+            className={`text-sm ${f.level === 'error' ? 'text-red-800 dark:text-red-200' : 'text-amber-800 dark:text-amber-200'}`}
+          >
+            <span className="font-medium uppercase text-xs mr-1">{f.level}</span>
+            {f.service && <span className="font-mono mr-1">{f.service}:</span>}
+            {f.message}
+            {f.line && <span className="text-xs opacity-75"> (line {f.line})</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
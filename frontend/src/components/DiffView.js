@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react';
+import { sideBySideDiff } from '../utils/lineDiff';
+
+const rowStyles = {
+  same: { left: '', right: '' },
+  del: { left: 'bg-red-50 dark:bg-red-900/30', right: 'bg-gray-50 dark:bg-gray-900/40' },
+  add: { left: 'bg-gray-50 dark:bg-gray-900/40', right: 'bg-green-50 dark:bg-green-900/30' },
+  change: { left: 'bg-red-50 dark:bg-red-900/30', right: 'bg-green-50 dark:bg-green-900/30' },
+};
+
+/**
+ * Side-by-side line diff of two texts (stack revisions, host vs stored compose files).
+ */
+export default function DiffView({ title, before, after, leftLabel, rightLabel }) {
+  const { rows, changed } = useMemo(() => sideBySideDiff(before, after), [before, after]);
+  return (
+    <div className="mb-4">
+      <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1">
+        {title}
+        {!changed && <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">no changes</span>}
+      </div>
+      <div className="border border-gray-200 dark:border-gray-600 rounded-md overflow-auto max-h-80">
+        <table className="w-full text-xs font-mono table-fixed">
+          <thead className="bg-gray-50 dark:bg-gray-700 text-gray-500 dark:text-gray-300">
+            <tr>
+              <th className="w-1/2 px-2 py-1 text-left font-medium" colSpan={2}>{leftLabel}</th>
+              <th className="w-1/2 px-2 py-1 text-left font-medium" colSpan={2}>{rightLabel}</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-800 dark:text-gray-200">
+            {rows.map((r, i) => (
+              <tr key={i}>
+                <td className={`w-8 px-1 text-right select-none text-gray-400 ${rowStyles[r.type].left}`}>{r.left?.line ?? ''}</td>
+                <td className={`px-2 whitespace-pre-wrap break-all ${rowStyles[r.type].left}`}>{r.left?.text ?? ''}</td>
+                <td className={`w-8 px-1 text-right select-none text-gray-400 border-l border-gray-200 dark:border-gray-600 ${rowStyles[r.type].right}`}>{r.right?.line ?? ''}</td>
+                <td className={`px-2 whitespace-pre-wrap break-all ${rowStyles[r.type].right}`}>{r.right?.text ?? ''}</td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr><td colSpan={4} className="px-2 py-2 text-gray-500 dark:text-gray-400 italic">Empty</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+
+let _uidCounter = 0;
+const nextUid = () => ++_uidCounter;
+
+/** Env rows from the API with the keys the editor needs for stable React keys. */
+export const withUids = (rows) => (rows || []).map((e) => ({ ...e, _uid: nextUid() }));
+
+/** Rows as the API takes them. */
+export const envPayloadOf = (rows) => rows.map(({ key, value, isSecret }) => ({ key, value, isSecret }));
+
+/**
+ * Editable KEY / value / secret rows. Secret values come back blank from the API; a blank
+ * secret keeps the stored value on save.
+ */
+export default function EnvRowsEditor({ rows, onChange, title = 'Environment', emptyText = 'No environment variables. Click + Add to add one.' }) {
+  const setRow = (i, patch) => onChange(rows.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  const addRow = () => onChange([...rows, { key: '', value: '', isSecret: false, _uid: nextUid() }]);
+  const delRow = (i) => onChange(rows.filter((_, idx) => idx !== i));
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">{title}</span>
+        <button
+          onClick={addRow}
+          className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+        >
+          + Add
+        </button>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="space-y-2">
+          {rows.map((r, i) => (
+            <div key={r._uid} className="flex gap-2 items-center">
+              <input
+                type="text"
+                className="flex-1 px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                placeholder="KEY"
+                value={r.key}
+                onChange={(e) => setRow(i, { key: e.target.value })}
+              />
+              <input
+                type={r.isSecret ? 'password' : 'text'}
+                className="flex-1 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                placeholder={r.isSecret ? '•••• (blank = keep)' : 'value'}
+                value={r.value ?? ''}
+                onChange={(e) => setRow(i, { value: e.target.value })}
+              />
+              <label className="text-xs text-gray-700 dark:text-gray-300 flex items-center gap-1 whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  className="rounded"
+                  checked={!!r.isSecret}
+                  onChange={(e) => setRow(i, { isSecret: e.target.checked })}
+                />
+                secret
+              </label>
+              <button
+                onClick={() => delRow(i)}
+                className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 text-sm"
+                aria-label="Remove row"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {rows.length === 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 italic">{emptyText}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { fleetStacksService } from '../services/fleetStacks.service';
+import ComposeFindings from './ComposeFindings';
+import EnvRowsEditor, { withUids, envPayloadOf } from './EnvRowsEditor';
+
+const inputClass = 'block w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Create or edit a fleet stack: target servers (picked, and/or every server with a tag), the
+ * compose file, base env and per-server env overrides.
+ */
+export default function FleetStackEditor({ fleet, servers, onClose, onSaved }) {
+  const isEdit = !!fleet;
+  const [name, setName] = useState(fleet?.name || '');
+  const [serverIds, setServerIds] = useState(() => new Set(fleet?.serverIds || []));
+  const [serverTag, setServerTag] = useState(fleet?.serverTag || '');
+  const [composeYaml, setComposeYaml] = useState(fleet?.composeYaml || '');
+  const [env, setEnv] = useState(() => withUids(fleet?.env));
+  // serverId -> rows
+  const [overrides, setOverrides] = useState(() => Object.fromEntries(
+    Object.entries(fleet?.overrides || {}).map(([id, rows]) => [id, withUids(rows)])
+  ));
+  const [overrideServer, setOverrideServer] = useState('');
+  const [findings, setFindings] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const tag = serverTag.trim().toLowerCase();
+  const targets = servers.filter((s) => serverIds.has(s.id) || (tag && (s.tags || []).includes(tag)));
+  const serverName = (id) => servers.find((s) => s.id === id)?.name || id;
+
+  const toggleServer = (id) => setServerIds((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  const addOverride = () => {
+    if (!overrideServer || overrides[overrideServer]) return;
+    setOverrides({ ...overrides, [overrideServer]: withUids([{ key: '', value: '', isSecret: false }]) });
+    setOverrideServer('');
+  };
+
+  const removeOverride = (id) => {
+    const next = { ...overrides };
+    delete next[id];
+    setOverrides(next);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    setFindings(null);
+    const payload = {
+      composeYaml,
+      serverIds: [...serverIds],
+      serverTag: tag || null,
+      env: envPayloadOf(env),
+      overrides: Object.fromEntries(Object.entries(overrides).map(([id, rows]) => [id, envPayloadOf(rows)])),
+    };
+    try {
+      if (isEdit) await fleetStacksService.update(fleet.id, payload);
+      else await fleetStacksService.create({ ...payload, name });
+      onSaved();
+    } catch (e) {
+      if (e.response?.data?.findings) setFindings({ valid: false, findings: e.response.data.findings });
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
+      <div className="flex items-center justify-center min-h-screen p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
+        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+              {isEdit ? `Edit fleet stack ${fleet.name}` : 'New fleet stack'}
+            </h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300" aria-label="Close">
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+              <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 mb-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                className={`${inputClass} read-only:opacity-75`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                readOnly={isEdit}
+                placeholder="monitoring-agent"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Used as the stack name on every server.</p>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Servers with tag</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={serverTag}
+                onChange={(e) => setServerTag(e.target.value)}
+                placeholder="e.g. edge (optional)"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Servers tagged later are included on the next deploy.</p>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <span className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Servers</span>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {servers.map((s) => (
+                <label key={s.id} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                  <input type="checkbox" className="rounded" checked={serverIds.has(s.id)} onChange={() => toggleServer(s.id)} />
+                  {s.name}
+                  {(s.tags || []).length > 0 && <span className="text-xs text-gray-500 dark:text-gray-400">({s.tags.join(', ')})</span>}
+                </label>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Deploys to {targets.length} server{targets.length === 1 ? '' : 's'}{targets.length ? `: ${targets.map((s) => s.name).sort().join(', ')}` : ''}.
+            </p>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Compose YAML</label>
+            <textarea
+              className={`${inputClass} font-mono h-48`}
+              value={composeYaml}
+              onChange={(e) => setComposeYaml(e.target.value)}
+              placeholder={'services:\n  agent:\n    image: prom/node-exporter'}
+            />
+          </div>
+
+          <ComposeFindings result={findings} />
+
+          <EnvRowsEditor rows={env} onChange={setEnv} title="Environment (all servers)" />
+
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">Per-server overrides</span>
+              <span className="flex items-center gap-2">
+                <select
+                  value={overrideServer}
+                  onChange={(e) => setOverrideServer(e.target.value)}
+                  className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                >
+                  <option value="">Select a server</option>
+                  {servers.filter((s) => !overrides[s.id]).map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+                <button
+                  onClick={addOverride}
+                  disabled={!overrideServer}
+                  className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 disabled:opacity-50"
+                >
+                  + Add server
+                </button>
+              </span>
+            </div>
+            <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">Values here replace (or add to) the environment above on that server only.</p>
+            {Object.entries(overrides).map(([id, rows]) => (
+              <div key={id} className="mb-2 pl-3 border-l-2 border-gray-200 dark:border-gray-600">
+                <EnvRowsEditor
+                  rows={rows}
+                  onChange={(next) => setOverrides({ ...overrides, [id]: next })}
+                  title={serverName(id)}
+                  emptyText="No overrides for this server."
+                />
+                <button onClick={() => removeOverride(id)} className="-mt-2 mb-2 text-xs text-red-600 dark:text-red-400 hover:underline">
+                  Remove overrides for {serverName(id)}
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2 pt-4 border-t border-gray-200 dark:border-gray-600">
+            <button
+              onClick={onClose}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              disabled={saving || !name || !composeYaml.trim() || !targets.length}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
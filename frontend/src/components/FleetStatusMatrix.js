@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fleetStacksService } from '../services/fleetStacks.service';
+
+const cellClass = (cell) => {
+  if (!cell || !cell.total) return 'text-gray-400 dark:text-gray-500';
+  if (cell.unhealthy || cell.running < cell.total) return 'text-amber-700 dark:text-amber-300';
+  return 'text-green-700 dark:text-green-300';
+};
+
+const STEP_STYLES = {
+  deployed: 'text-green-700 dark:text-green-300',
+  failed: 'text-red-700 dark:text-red-300',
+  skipped: 'text-gray-500 dark:text-gray-400',
+};
+
+/**
+ * Servers × services of a fleet stack: running/total containers per service, whether each
+ * server runs the current definition, and the step of the running or last rolling deploy.
+ */
+export default function FleetStatusMatrix({ fleet, steps }) {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await fleetStacksService.status(fleet.id);
+      setStatus(data);
+      setError(null);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [fleet.id]);
+
+  // Reload when a deploy finishes a step
+  const stepCount = Object.keys(steps || {}).length;
+  useEffect(() => { load(); }, [load, stepCount]);
+
+  if (!status && !error) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading status…</p>;
+  }
+
+  const lastSteps = Object.fromEntries((fleet.lastDeploy || []).map((s) => [s.serverId, s]));
+  const columns = status ? [...new Set([
+    ...status.services,
+    ...status.servers.flatMap((s) => (s.services || []).map((c) => c.service)),
+  ])] : [];
+
+  return (
+    <div>
+      {error && <p className="mb-2 text-sm text-red-700 dark:text-red-300">{error}</p>}
+      {status && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                <th className="py-1 pr-4">Server</th>
+                <th className="py-1 pr-4">Definition</th>
+                <th className="py-1 pr-4">Deploy</th>
+                {columns.map((c) => <th key={c} className="py-1 pr-4 font-mono normal-case">{c}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {status.servers.map((s) => {
+                const step = steps?.[s.serverId] || lastSteps[s.serverId];
+                const cells = Object.fromEntries((s.services || []).map((c) => [c.service, c]));
+                let definition = 'not deployed';
+                if (s.stackId) definition = s.upToDate ? 'current' : 'outdated';
+                return (
+                  <tr key={s.serverId} className="align-top">
+                    <td className="py-1.5 pr-4 text-gray-900 dark:text-gray-100 whitespace-nowrap">{s.serverName}</td>
+                    <td className={`py-1.5 pr-4 whitespace-nowrap ${s.upToDate ? 'text-green-700 dark:text-green-300' : 'text-amber-700 dark:text-amber-300'}`}>
+                      {definition}
+                      {s.driftStatus === 'drifted' && <span className="ml-1 text-xs text-amber-700 dark:text-amber-300">(drifted)</span>}
+                    </td>
+                    <td className="py-1.5 pr-4 whitespace-nowrap">
+                      {step ? (
+                        <span className={STEP_STYLES[step.status] || 'text-blue-700 dark:text-blue-300'} title={step.error || undefined}>
+                          {step.status}{step.revision ? ` (r${step.revision})` : ''}
+                        </span>
+                      ) : <span className="text-gray-400 dark:text-gray-500">—</span>}
+                    </td>
+                    {s.error ? (
+                      <td colSpan={columns.length || 1} className="py-1.5 pr-4 text-xs text-red-700 dark:text-red-300">{s.error}</td>
+                    ) : columns.map((c) => (
+                      <td key={c} className={`py-1.5 pr-4 font-mono whitespace-nowrap ${cellClass(cells[c])}`}>
+                        {cells[c] ? `${cells[c].running}/${cells[c].total}` : '—'}
+                        {cells[c]?.unhealthy > 0 && <span className="ml-1 text-xs">({cells[c].unhealthy} unhealthy)</span>}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+              {!status.servers.length && (
+                <tr>
+                  <td colSpan={3 + columns.length} className="py-2 text-sm text-gray-500 dark:text-gray-400">No target servers.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button onClick={load} disabled={loading} className="mt-2 text-xs font-medium text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 disabled:opacity-50">
+        {loading ? 'Refreshing…' : 'Refresh'}
+      </button>
+    </div>
+  );
+}
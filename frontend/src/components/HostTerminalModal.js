@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Terminal from './Terminal';
+import { serversService } from '../services/servers.service';
+
+const formatDuration = (start, end) => {
+  if (!end) return 'active';
+  const secs = Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+  if (secs < 60) return `${secs}s`;
+  if (secs < 3600) return `${Math.floor(secs / 60)}m ${secs % 60}s`;
+  return `${Math.floor(secs / 3600)}h ${Math.floor((secs % 3600) / 60)}m`;
+};
+
+/**
+ * Admin-only shell on the Docker host itself, with the recent host session audit trail.
+ */
+const HostTerminalModal = ({ isOpen, onClose, serverId, serverName }) => {
+  const [sessions, setSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await serversService.getTerminalSessions(serverId, { kind: 'host', limit: 10 });
+      setSessions(res.data.sessions || []);
+      setSessionsError('');
+    } catch (err) {
+      setSessionsError(err.response?.data?.error || err.message || 'Failed to load sessions');
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    if (isOpen) fetchSessions();
+  }, [isOpen, fetchSessions]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="host-terminal-title" role="dialog" aria-modal="true">
+      <div className="fixed inset-0 bg-gray-500 dark:bg-gray-900 bg-opacity-75 dark:bg-opacity-75 transition-opacity" />
+
+      <div className="flex min-h-full items-end justify-center p-4 text-center sm:items-center sm:p-0">
+        <div className="relative transform overflow-hidden rounded-lg bg-white dark:bg-gray-800 text-left shadow-xl transition-all sm:my-8 sm:w-full sm:max-w-5xl w-full">
+          <div className="bg-white dark:bg-gray-800 px-4 pb-4 pt-5 sm:p-6 sm:pb-4 border-b border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold leading-6 text-gray-900 dark:text-gray-100" id="host-terminal-title">
+                  Host terminal: {serverName}
+                </h3>
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  Shell on the Docker host over SSH. Sessions are recorded.
+                </p>
+              </div>
+              <button
+                onClick={onClose}
+                className="rounded-md bg-white dark:bg-gray-800 text-gray-400 dark:text-gray-500 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+              >
+                <span className="sr-only">Close</span>
+                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 px-4 pb-4 pt-5 sm:p-6" style={{ height: '60vh' }}>
+            <Terminal serverId={serverId} />
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 px-4 pb-5 sm:px-6 border-t border-gray-200 dark:border-gray-700">
+            <div className="flex items-center justify-between mt-4 mb-2">
+              <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Recent host sessions</h4>
+              <button
+                onClick={fetchSessions}
+                className="text-xs text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                Refresh
+              </button>
+            </div>
+            {sessionsError && <p className="text-sm text-red-600 dark:text-red-400">{sessionsError}</p>}
+            {!sessionsError && sessions.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No host sessions recorded yet.</p>
+            )}
+            {sessions.length > 0 && (
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="py-1 pr-4 font-medium">User</th>
+                    <th className="py-1 pr-4 font-medium">Started</th>
+                    <th className="py-1 pr-4 font-medium">Duration</th>
+                    <th className="py-1 pr-4 font-medium">Exit</th>
+                    <th className="py-1 font-medium">Client IP</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-700 dark:text-gray-300">
+                  {sessions.map((s) => (
+                    <tr key={s.id} className="border-t border-gray-100 dark:border-gray-700">
+                      <td className="py-1 pr-4">{s.user?.email || '(deleted user)'}</td>
+                      <td className="py-1 pr-4">{new Date(s.startedAt).toLocaleString()}</td>
+                      <td className="py-1 pr-4">{formatDuration(s.startedAt, s.endedAt)}</td>
+                      <td className="py-1 pr-4">{s.exitCode ?? '—'}</td>
+                      <td className="py-1 font-mono">{s.clientIp || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HostTerminalModal;
@@ -1,13 +1,180 @@
-import React from 'react';
+import React, { useState } from 'react';
 import LogsViewer from './LogsViewer';
+import { containersService } from '../services/containers.service';
+
+const RANGES = [
+  { value: '15m', label: 'Last 15 minutes' },
+  { value: '1h', label: 'Last hour' },
+  { value: '6h', label: 'Last 6 hours' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '168h', label: 'Last 7 days' },
+  { value: 'all', label: 'All logs' },
+  { value: 'custom', label: 'Custom range' },
+];
+
+const inputClass =
+  'px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap every match of the search in <mark>; falls back to plain text if the pattern does not compile in JS
+const highlight = (text, search) => {
+  if (!search.q) return text;
+  let re;
+  try {
+    re = new RegExp(search.regex ? search.q : escapeRegExp(search.q), search.caseSensitive ? 'g' : 'gi');
+  } catch (e) {
+    return text;
+  }
+  const parts = [];
+  let last = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[0] === '') {
+      re.lastIndex += 1;
+      continue;
+    }
+    if (m.index > last) parts.push(text.slice(last, m.index));
+    parts.push(<mark key={m.index} className="bg-yellow-300 text-gray-900 rounded-sm">{m[0]}</mark>);
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+};
+
+/**
+ * Server-side log search for one container: time range, substring or regex filter, newest N lines.
+ */
+const LogSearchPanel = ({ serverId, containerId, containerName }) => {
+  const [form, setForm] = useState({ range: '1h', from: '', to: '', q: '', regex: false, caseSensitive: false, maxLines: 500 });
+  const [result, setResult] = useState(null);
+  const [searched, setSearched] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const params = { q: form.q, regex: form.regex, caseSensitive: form.caseSensitive, maxLines: form.maxLines };
+    if (form.range === 'custom') {
+      if (form.from) params.since = new Date(form.from).toISOString();
+      if (form.to) params.until = new Date(form.to).toISOString();
+    } else if (form.range !== 'all') {
+      params.since = form.range;
+    }
+    try {
+      setLoading(true);
+      setError('');
+      const response = await containersService.searchLogs(serverId, containerId, params);
+      setResult(response.data);
+      setSearched({ q: form.q, regex: form.regex, caseSensitive: form.caseSensitive });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Log search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const text = result.matches.map((m) => (m.timestamp ? `${m.timestamp} ${m.line}` : m.line)).join('\n');
+    const url = window.URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `${containerName || containerId.substring(0, 12)}-logs-${new Date().toISOString().slice(0, 19).replace(/:/g, '')}.log`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-2 mb-2">
+        <input
+          type="text"
+          value={form.q}
+          onChange={update('q')}
+          placeholder={form.regex ? 'Regular expression (grep -E)' : 'Text to find'}
+          className={`${inputClass} flex-1 min-w-[12rem] font-mono`}
+        />
+        <select value={form.range} onChange={update('range')} className={inputClass}>
+          {RANGES.map((r) => (
+            <option key={r.value} value={r.value}>{r.label}</option>
+          ))}
+        </select>
+        {form.range === 'custom' && (
+          <>
+            <input type="datetime-local" value={form.from} onChange={update('from')} className={inputClass} title="From" />
+            <input type="datetime-local" value={form.to} onChange={update('to')} className={inputClass} title="Until" />
+          </>
+        )}
+        <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={form.regex} onChange={update('regex')} className="rounded text-primary-600" />
+          Regex
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={form.caseSensitive} onChange={update('caseSensitive')} className="rounded text-primary-600" />
+          Match case
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+          Max
+          <input type="number" min={1} max={5000} value={form.maxLines} onChange={update('maxLines')} className={`${inputClass} w-20`} />
+        </label>
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-3 py-1.5 text-sm bg-primary-600 dark:bg-primary-500 text-white rounded hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Searching…' : 'Search'}
+        </button>
+      </form>
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-500 dark:text-gray-400">
+        <span>
+          {error && <span className="text-red-600 dark:text-red-400">{error}</span>}
+          {!error && result && `${result.matches.length} line${result.matches.length === 1 ? '' : 's'}${result.truncated ? ' (newest shown; narrow the range or search to see older matches)' : ''}`}
+        </span>
+        {result && result.matches.length > 0 && (
+          <button
+            onClick={handleDownload}
+            className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors"
+          >
+            Download
+          </button>
+        )}
+      </div>
+      <div className="flex-1 logs-container overflow-y-auto rounded border border-gray-200 dark:border-gray-700">
+        <div className="log-line p-2">
+          {!result && 'Search this container\'s logs on the host by time range and text.'}
+          {result && result.matches.length === 0 && 'No matching log lines.'}
+          {result && result.matches.map((m, i) => (
+            <div key={i}>
+              {m.timestamp && <span className="text-gray-500">{m.timestamp} </span>}
+              {highlight(m.line, searched)}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Live logs in a modal: one container (containerId), a merged group (containers: [{ id, name }])
+ * or every running container of a stack (stackId). Single containers also get a Search tab.
+ */
+const LogsModal = ({ isOpen, onClose, serverId, containerId, containerName, containers, stackId }) => {
+  const [tab, setTab] = useState('live');
 
-const LogsModal = ({ isOpen, onClose, serverId, containerId, containerName }) => {
   if (!isOpen) return null;
 
+  const canSearch = !containers && !stackId;
+  const activeTab = canSearch ? tab : 'live';
+
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="modal-title" role="dialog" aria-modal="true">
       {/* Backdrop */}
-      <div 
+      <div
         className="fixed inset-0 bg-gray-500 dark:bg-gray-900 bg-opacity-75 dark:bg-opacity-75 transition-opacity"
         onClick={onClose}
       ></div>
@@ -20,27 +187,50 @@ const LogsModal = ({ isOpen, onClose, serverId, containerId, containerName }) =>
             <div className="flex items-center justify-between">
               <div>
                 <h3 className="text-lg font-semibold leading-6 text-gray-900 dark:text-gray-100" id="modal-title">
-                  Container Logs: {containerName}
+                  {containers || stackId ? 'Logs' : 'Container Logs'}: {containerName}
                 </h3>
                 <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-                  Live streaming logs for container {containerId.substring(0, 12)}
+                  {containers
+                    ? `Live merged logs from ${containers.length} container${containers.length === 1 ? '' : 's'}`
+                    : stackId
+                      ? 'Live merged logs from every running container of the stack'
+                      : `Live streaming logs for container ${containerId.substring(0, 12)}`}
                 </p>
               </div>
-              <button
-                onClick={onClose}
-                className="rounded-md bg-white dark:bg-gray-800 text-gray-400 dark:text-gray-500 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
-              >
-                <span className="sr-only">Close</span>
-                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
+              <div className="flex items-center gap-4">
+                {canSearch && (
+                  <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+                    {['live', 'search'].map((t) => (
+                      <button
+                        key={t}
+                        onClick={() => setTab(t)}
+                        className={`px-3 py-1 ${activeTab === t ? 'bg-primary-600 text-white' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                      >
+                        {t === 'live' ? 'Live' : 'Search'}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <button
+                  onClick={onClose}
+                  className="rounded-md bg-white dark:bg-gray-800 text-gray-400 dark:text-gray-500 hover:text-gray-500 dark:hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2"
+                >
+                  <span className="sr-only">Close</span>
+                  <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" strokeWidth="1.5" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
             </div>
           </div>
 
           {/* Logs Content */}
           <div className="bg-white dark:bg-gray-800 px-4 pb-4 pt-5 sm:p-6" style={{ height: '70vh' }}>
-            <LogsViewer serverId={serverId} containerId={containerId} tail={100} />
+            {activeTab === 'search' ? (
+              <LogSearchPanel serverId={serverId} containerId={containerId} containerName={containerName} />
+            ) : (
+              <LogsViewer serverId={serverId} containerId={containerId} containers={containers} stackId={stackId} tail={100} />
+            )}
           </div>
         </div>
       </div>
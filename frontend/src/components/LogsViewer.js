@@ -1,63 +1,169 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useSocket } from '../context/SocketContext';
 
-const LogsViewer = ({ serverId, containerId, tail = 100 }) => {
-  const [logs, setLogs] = useState('');
+const MAX_LINES = 5000;
+
+// One colour per followed container in the merged view (readable on the dark log background)
+const TAG_COLORS = [
+  'text-sky-400',
+  'text-emerald-400',
+  'text-amber-400',
+  'text-fuchsia-400',
+  'text-rose-400',
+  'text-lime-400',
+  'text-cyan-400',
+  'text-orange-400',
+  'text-violet-400',
+  'text-teal-400',
+];
+
+const newStreamId = () => `l${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Live container logs over Socket.IO (stream:logs). Follows one container (containerId), several
+ * containers merged into one colour-tagged view (containers: [{ id, name }]), or every running
+ * container of a stack (stackId). The stream is stopped on unmount, Stop, or when props change.
+ */
+const LogsViewer = ({ serverId, containerId, containers, stackId, tail = 100 }) => {
+  const [lines, setLines] = useState([]);
+  const [followed, setFollowed] = useState([]);
+  const [hidden, setHidden] = useState(() => new Set());
   const [autoScroll, setAutoScroll] = useState(true);
-  const [isStreaming, setIsStreaming] = useState(false);
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState('');
+  const [attempt, setAttempt] = useState(0);
+  const streamIdRef = useRef(null);
+  const lineKeyRef = useRef(0);
   const logsEndRef = useRef(null);
   const socket = useSocket();
 
+  const containerIdsKey = containers ? containers.map((c) => c.id).join(',') : containerId || '';
+  const propNames = useRef({});
+  propNames.current = Object.fromEntries((containers || []).map((c) => [c.id, c.name]));
+
   useEffect(() => {
-    if (!socket || !containerId) return;
+    if (!socket || (!containerIdsKey && !stackId)) return undefined;
+
+    const streamId = newStreamId();
+    streamIdRef.current = streamId;
+    // Partial last line per container; output arrives in arbitrary chunks
+    const partial = {};
+    const ids = containerIdsKey ? containerIdsKey.split(',') : [];
+    setStatus('connecting');
+    setError('');
+    setFollowed(ids.map((id) => ({ id, name: propNames.current[id] || id.substring(0, 12) })));
+
+    const handleStarted = (payload) => {
+      if (payload?.streamId !== streamId) return;
+      setStatus('live');
+      setFollowed(payload.containers.map((c) => ({ id: c.id, name: c.name || propNames.current[c.id] || c.id.substring(0, 12) })));
+    };
+
+    const handleLogsData = (payload) => {
+      if (payload?.streamId !== streamId) return;
+      const text = (partial[payload.containerId] || '') + payload.data;
+      const parts = text.split(/\r?\n/);
+      partial[payload.containerId] = parts.pop();
+      if (parts.length === 0) return;
+      const added = parts.map((line) => ({ key: lineKeyRef.current++, containerId: payload.containerId, text: line }));
+      setLines((prev) => {
+        const next = prev.concat(added);
+        return next.length > MAX_LINES ? next.slice(next.length - MAX_LINES) : next;
+      });
+    };
 
-    const handleLogsData = (data) => {
-      if (data.containerId === containerId) {
-        setLogs((prev) => prev + data.data);
-      }
+    const handleLogsError = (payload) => {
+      if (payload?.streamId !== streamId) return;
+      setStatus('error');
+      setError(payload.error || 'Log stream failed');
     };
 
-    const handleLogsError = (error) => {
-      if (error.containerId === containerId) {
-        console.error('Logs error:', error.error);
-      }
+    const handleStopped = (payload) => {
+      if (payload?.streamId !== streamId) return;
+      setStatus((prev) => (prev === 'error' ? prev : 'stopped'));
     };
 
+    // The backend stops all log streams of a socket when it disconnects
+    const handleDisconnect = () => setStatus('stopped');
+
+    socket.on('logs:started', handleStarted);
     socket.on('logs:data', handleLogsData);
     socket.on('logs:error', handleLogsError);
+    socket.on('logs:stopped', handleStopped);
+    socket.on('disconnect', handleDisconnect);
 
-    // Start streaming
-    setIsStreaming(true);
-    socket.emit('stream:logs', { serverId, containerId, tail });
+    socket.emit('stream:logs', {
+      streamId,
+      serverId,
+      ...(stackId ? { stackId } : { containerIds: ids }),
+      tail,
+    });
 
     return () => {
+      socket.off('logs:started', handleStarted);
       socket.off('logs:data', handleLogsData);
       socket.off('logs:error', handleLogsError);
-      socket.emit('stream:logs:stop');
-      setIsStreaming(false);
+      socket.off('logs:stopped', handleStopped);
+      socket.off('disconnect', handleDisconnect);
+      socket.emit('stream:logs:stop', { streamId });
+      streamIdRef.current = null;
     };
-  }, [socket, serverId, containerId, tail]);
+  }, [socket, serverId, containerIdsKey, stackId, tail, attempt]);
 
   useEffect(() => {
     if (autoScroll && logsEndRef.current) {
       logsEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [logs, autoScroll]);
+  }, [lines, autoScroll]);
+
+  const stopStream = () => {
+    if (socket && streamIdRef.current) socket.emit('stream:logs:stop', { streamId: streamIdRef.current });
+  };
 
-  const clearLogs = () => {
-    setLogs('');
+  const toggleHidden = (id) => {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
   };
 
+  const isMerged = followed.length > 1;
+  const colorOf = {};
+  const nameOf = {};
+  followed.forEach((c, i) => {
+    colorOf[c.id] = TAG_COLORS[i % TAG_COLORS.length];
+    nameOf[c.id] = c.name;
+  });
+  const nameWidth = isMerged ? Math.min(24, Math.max(...followed.map((c) => c.name.length))) : 0;
+  const visibleLines = isMerged ? lines.filter((l) => !hidden.has(l.containerId)) : lines;
+
   return (
     <div className="flex flex-col h-full">
-      <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-2">
-          {isStreaming && (
+      <div className="flex items-center justify-between mb-2 gap-2">
+        <div className="flex items-center gap-2 min-w-0">
+          {status === 'live' && (
             <span className="px-2 py-1 text-xs bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-200 rounded-full flex items-center gap-1">
               <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
               Live
             </span>
           )}
+          {status === 'connecting' && (
+            <span className="px-2 py-1 text-xs bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200 rounded-full">
+              Connecting…
+            </span>
+          )}
+          {status === 'stopped' && (
+            <span className="px-2 py-1 text-xs bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full">
+              Stopped
+            </span>
+          )}
+          {status === 'error' && (
+            <span className="px-2 py-1 text-xs bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200 rounded-full truncate" title={error}>
+              {error}
+            </span>
+          )}
         </div>
         <div className="flex items-center gap-2">
           <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
@@ -69,16 +175,58 @@ const LogsViewer = ({ serverId, containerId, tail = 100 }) => {
             />
             Auto-scroll
           </label>
+          {status === 'live' || status === 'connecting' ? (
+            <button
+              onClick={stopStream}
+              className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={() => setAttempt((a) => a + 1)}
+              className="px-3 py-1 text-sm bg-primary-600 dark:bg-primary-500 text-white rounded hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors"
+            >
+              Resume
+            </button>
+          )}
           <button
-            onClick={clearLogs}
+            onClick={() => setLines([])}
             className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors"
           >
             Clear
           </button>
         </div>
       </div>
+      {isMerged && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {followed.map((c) => (
+            <button
+              key={c.id}
+              onClick={() => toggleHidden(c.id)}
+              title={hidden.has(c.id) ? 'Show lines from this container' : 'Hide lines from this container'}
+              className={`px-2 py-0.5 text-xs font-mono rounded bg-gray-800 dark:bg-gray-900 ${colorOf[c.id]} ${hidden.has(c.id) ? 'opacity-40 line-through' : ''}`}
+            >
+              {c.name}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="flex-1 logs-container overflow-y-auto rounded border border-gray-200 dark:border-gray-700">
-        <div className="log-line p-2">{logs || 'No logs available. Waiting for logs...'}</div>
+        <div className="log-line p-2">
+          {visibleLines.length === 0
+            ? 'No logs available. Waiting for logs...'
+            : visibleLines.map((line) => (
+                <div key={line.key}>
+                  {isMerged && (
+                    <span className={colorOf[line.containerId]}>
+                      {(nameOf[line.containerId] || '').padEnd(nameWidth).slice(0, nameWidth)} |{' '}
+                    </span>
+                  )}
+                  {line.text}
+                </div>
+              ))}
+        </div>
         <div ref={logsEndRef} />
       </div>
     </div>
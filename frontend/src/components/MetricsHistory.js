@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { containersService } from '../services/containers.service';
+
+const RANGES = [
+  { value: '1h', label: '1h' },
+  { value: '24h', label: '24h' },
+  { value: '7d', label: '7d' },
+];
+
+const formatBytes = (bytes) => {
+  if (!bytes || bytes <= 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return `${Math.round((bytes / k ** i) * 10) / 10} ${sizes[i]}`;
+};
+
+const formatTick = (range) => (iso) => {
+  const d = new Date(iso);
+  return range === '1h' || range === '24h'
+    ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const tooltipStyle = {
+  backgroundColor: 'rgba(255, 255, 255, 0.98)',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+};
+
+const HistoryChart = ({ title, data, range, lines, format }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+    <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">{title}</h4>
+    <ResponsiveContainer width="100%" height={180}>
+      <LineChart data={data} margin={{ top: 5, right: 10, left: 5, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" opacity={0.3} />
+        <XAxis dataKey="t" tickFormatter={formatTick(range)} tick={{ fontSize: 9, fill: '#6b7280' }} axisLine={false} tickLine={false} minTickGap={30} />
+        <YAxis tickFormatter={format} tick={{ fontSize: 9, fill: '#6b7280' }} axisLine={false} tickLine={false} width={60} />
+        <Tooltip
+          contentStyle={tooltipStyle}
+          labelFormatter={(iso) => new Date(iso).toLocaleString()}
+          formatter={(value, name) => [value == null ? '—' : format(value), name]}
+        />
+        {lines.length > 1 && <Legend iconType="line" />}
+        {lines.map((l) => (
+          <Line key={l.key} type="monotone" dataKey={l.key} name={l.name} stroke={l.color} strokeWidth={2} dot={false} isAnimationActive={false} connectNulls={false} />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+/**
+ * Stored CPU, memory, network and block I/O history of a container (sampled by the backend
+ * metrics collector), for the last hour, day or week.
+ */
+const MetricsHistory = ({ serverId, containerId }) => {
+  const [range, setRange] = useState('1h');
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await containersService.getMetrics(serverId, containerId, range);
+        if (!cancelled) setPoints(response.data.points || []);
+      } catch (err) {
+        if (!cancelled) {
+          setPoints([]);
+          setError(err.response?.data?.error || 'Failed to load metrics history');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [serverId, containerId, range]);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">History</h3>
+        <div className="flex rounded-md border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+          {RANGES.map((r) => (
+            <button
+              key={r.value}
+              onClick={() => setRange(r.value)}
+              className={`px-3 py-1 ${range === r.value ? 'bg-primary-600 text-white' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      {!error && !loading && points.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No samples recorded yet for this range. The collector stores one sample per minute while the container runs.
+        </p>
+      )}
+      {!error && points.length > 0 && (
+        <div className={`grid grid-cols-1 lg:grid-cols-2 gap-4 ${loading ? 'opacity-50' : ''}`}>
+          <HistoryChart
+            title="CPU"
+            data={points}
+            range={range}
+            format={(v) => `${Number(v).toFixed(1)}%`}
+            lines={[{ key: 'cpuPercent', name: 'CPU', color: '#3b82f6' }]}
+          />
+          <HistoryChart
+            title="Memory"
+            data={points}
+            range={range}
+            format={formatBytes}
+            lines={[
+              { key: 'memBytes', name: 'Used', color: '#8b5cf6' },
+              { key: 'memLimitBytes', name: 'Limit', color: '#9ca3af' },
+            ]}
+          />
+          <HistoryChart
+            title="Network"
+            data={points}
+            range={range}
+            format={(v) => `${formatBytes(v)}/s`}
+            lines={[
+              { key: 'netRxRate', name: 'Received', color: '#3b82f6' },
+              { key: 'netTxRate', name: 'Transmitted', color: '#10b981' },
+            ]}
+          />
+          <HistoryChart
+            title="Block I/O"
+            data={points}
+            range={range}
+            format={(v) => `${formatBytes(v)}/s`}
+            lines={[
+              { key: 'blockReadRate', name: 'Read', color: '#f59e0b' },
+              { key: 'blockWriteRate', name: 'Write', color: '#ef4444' },
+            ]}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricsHistory;
@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from 'react';
+
+const STATE_STYLES = {
+  pending: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+  pulling: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  pulled: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  creating: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  created: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  starting: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  started: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+};
+
+/** One chip per service with its deploy state. */
+export function ServiceStates({ services }) {
+  if (!services?.length) return null;
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {services.map((s) => (
+        <span
+          key={s.service}
+          className={`inline-flex px-1.5 py-0.5 rounded text-xs font-mono ${STATE_STYLES[s.state] || STATE_STYLES.pending}`}
+        >
+          {s.service}: {s.state}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Live compose output of a deploy (stack:deploy:* socket events), following the end of the
+ * output while it runs.
+ */
+export default function StackDeployOutput({ stack, deploy, onClose }) {
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [deploy.lines.length]);
+
+  let status = 'Deploying…';
+  if (!deploy.running) status = deploy.success ? 'Deployed' : 'Deploy failed';
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
+      <div className="flex items-center justify-center min-h-screen p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
+        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl p-6">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Deploy: {stack.name}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+              aria-label="Close"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+          <p className={`text-sm mb-2 ${!deploy.running && !deploy.success ? 'text-red-700 dark:text-red-300' : 'text-gray-600 dark:text-gray-400'}`}>
+            {status}
+            {deploy.revision && ` (revision r${deploy.revision})`}
+          </p>
+          <ServiceStates services={deploy.services} />
+          <pre className="mt-3 text-xs font-mono whitespace-pre-wrap bg-gray-900 text-gray-100 p-3 rounded-md h-96 overflow-auto">
+            {deploy.lines.join('\n') || 'Waiting for output…'}
+            <span ref={endRef} />
+          </pre>
+          {deploy.truncated && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Only the latest lines are shown; the full output is kept in the stack history.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { stacksService } from '../services/stacks.service';
+import { envToText } from '../utils/lineDiff';
+import DiffView from './DiffView';
+
+const CHANGE_LABELS = { added: 'added on host', removed: 'missing on host', changed: 'changed on host' };
+
+function ServiceList({ title, items, render }) {
+  if (!items?.length) return null;
+  return (
+    <div className="text-sm text-gray-700 dark:text-gray-300">
+      <span className="font-medium">{title}:</span>{' '}
+      {items.map(render).join(', ')}
+    </div>
+  );
+}
+
+/**
+ * Live comparison of a stack with its host, with the two ways to resolve drift:
+ * adopt the host files into DockerFleet, or re-apply the stored version to the host.
+ */
+export default function StackDriftModal({ stack, onClose, onResolved }) {
+  const [drift, setDrift] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const check = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await stacksService.drift(stack.id);
+      setDrift(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [stack.id]);
+
+  useEffect(() => { check(); }, [check]);
+
+  const resolve = async (action) => {
+    const prompt = action === 'adopt'
+      ? 'Replace the stored compose file and environment with the host version?'
+      : 'Overwrite the host files with the DockerFleet version and redeploy?';
+    if (!window.confirm(prompt)) return;
+    setBusy(action);
+    setError(null);
+    try {
+      if (action === 'adopt') await stacksService.adoptHostVersion(stack.id);
+      else {
+        const { data } = await stacksService.reapply(stack.id);
+        if (!data.success) throw new Error(data.stderr || 'Deploy failed');
+      }
+      onResolved();
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+      setBusy(null);
+    }
+  };
+
+  const services = drift?.services;
+  const servicesDrifted = services && (services.missing.length || services.unexpected.length || services.notRunning.length);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
+      <div className="flex items-center justify-center min-h-screen p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
+        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Drift: {stack.name}</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
+              aria-label="Close"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+              <p className="text-sm text-red-800 dark:text-red-200 whitespace-pre-wrap">{error}</p>
+            </div>
+          )}
+
+          {loading && <p className="text-sm text-gray-500 dark:text-gray-400">Comparing with the host…</p>}
+
+          {!loading && drift && (
+            <>
+              <div className={`mb-4 p-3 rounded-lg border ${drift.status === 'in-sync'
+                ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800 text-green-800 dark:text-green-200'
+                : 'bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-200'}`}
+              >
+                <p className="text-sm font-medium">
+                  {drift.status === 'in-sync' && 'The host matches DockerFleet.'}
+                  {drift.status === 'drifted' && 'The host differs from DockerFleet.'}
+                  {drift.status === 'unknown' && 'Files match, but the running services could not be checked.'}
+                </p>
+                <p className="text-xs mt-1">Checked {new Date(drift.checkedAt).toLocaleString()}</p>
+              </div>
+
+              {(drift.composeMissing || drift.envMissing) && (
+                <p className="mb-3 text-sm text-amber-800 dark:text-amber-200">
+                  {drift.composeMissing && 'compose.yaml is missing on the host. '}
+                  {drift.envMissing && '.env is missing on the host.'}
+                </p>
+              )}
+
+              <div className="mb-4 space-y-1">
+                <div className="text-sm font-semibold text-gray-900 dark:text-gray-100">Services</div>
+                {drift.servicesError && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{drift.servicesError}</p>
+                )}
+                {services && !servicesDrifted && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">All services are running.</p>
+                )}
+                <ServiceList title="Not created" items={services?.missing} render={(s) => s} />
+                <ServiceList title="Not in the stored compose file" items={services?.unexpected} render={(s) => s} />
+                <ServiceList title="Not running" items={services?.notRunning} render={(s) => `${s.name} (${s.state})`} />
+              </div>
+
+              {drift.envChanges.length > 0 && (
+                <div className="mb-4">
+                  <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1">Environment changes</div>
+                  <ul className="text-sm text-gray-700 dark:text-gray-300 list-disc list-inside">
+                    {drift.envChanges.map((c) => (
+                      <li key={c.key}><span className="font-mono">{c.key}</span> {CHANGE_LABELS[c.change] || c.change}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <DiffView
+                title="compose.yaml"
+                before={drift.stored.composeYaml}
+                after={drift.host.composeYaml ?? ''}
+                leftLabel="DockerFleet"
+                rightLabel="Host"
+              />
+              <DiffView
+                title=".env"
+                before={envToText(drift.stored.env)}
+                after={envToText(drift.host.env || [])}
+                leftLabel="DockerFleet"
+                rightLabel="Host"
+              />
+            </>
+          )}
+
+          <div className="flex justify-end gap-2 pt-4 border-t border-gray-200 dark:border-gray-600">
+            <button
+              onClick={check}
+              disabled={loading || !!busy}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Check again
+            </button>
+            <button
+              onClick={() => resolve('adopt')}
+              disabled={loading || !!busy || !drift || drift.composeMissing || !!stack.fleetStackId}
+              title={stack.fleetStackId ? 'The compose file comes from the fleet stack' : undefined}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-gray-600 dark:bg-gray-500 rounded-lg hover:bg-gray-700 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === 'adopt' ? 'Adopting…' : 'Adopt host version'}
+            </button>
+            <button
+              onClick={() => resolve('reapply')}
+              disabled={loading || !!busy || !drift}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === 'reapply' ? 'Re-applying…' : 'Re-apply DockerFleet version'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
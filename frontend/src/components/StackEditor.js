@@ -1,35 +1,110 @@
 import React, { useState } from 'react';
 import { stacksService } from '../services/stacks.service';
 import ServerPicker from './ServerPicker';
+import StackHistory from './StackHistory';
+import { GitSourceFields, GitSyncPanel } from './StackGitSource';
+import ComposeFindings from './ComposeFindings';
+import EnvRowsEditor, { withUids, envPayloadOf } from './EnvRowsEditor';
+import StackFilesEditor, { filesWithUids, filesPayloadOf } from './StackFilesEditor';
 
-let _uidCounter = 0;
-const nextUid = () => ++_uidCounter;
+const gitFormFrom = (git) => ({
+  repoUrl: git?.repoUrl || '',
+  branch: git?.branch || 'main',
+  composePath: git?.composePath || 'compose.yaml',
+  username: '',
+  token: '',
+  clearCredentials: false,
+});
 
 export default function StackEditor({ stack, onClose, onSaved }) {
   const isEdit = !!stack;
+  // Compose file and env of a fleet member are written by its fleet stack: only the history is shown
+  const fromFleet = !!stack?.fleetStackId;
   const [name, setName] = useState(stack?.name || '');
   const [serverId, setServerId] = useState(stack?.serverId || '');
+  const [current, setCurrent] = useState(stack);
+  const [sourceType, setSourceType] = useState(stack?.source === 'git' ? 'git' : 'yaml');
+  const [git, setGit] = useState(() => gitFormFrom(stack?.git));
   const [composeYaml, setComposeYaml] = useState(stack?.composeYaml || '');
-  const [env, setEnv] = useState(() => (stack?.env || []).map((e) => ({ ...e, _uid: nextUid() })));
+  const [env, setEnv] = useState(() => withUids(stack?.env));
+  const [files, setFiles] = useState(() => filesWithUids(stack?.files));
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
+  const [tab, setTab] = useState(fromFleet ? 'history' : 'edit');
+  const [rolledBack, setRolledBack] = useState(false);
+  // Last validation result, and what it was run on: warnings only need confirming once
+  const [validation, setValidation] = useState(null);
+  const [validatedKey, setValidatedKey] = useState(null);
+  const [checking, setChecking] = useState(false);
 
-  const setRow = (i, patch) => setEnv((rows) => rows.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
-  const addRow = () => setEnv((rows) => [...rows, { key: '', value: '', isSecret: false, _uid: nextUid() }]);
-  const delRow = (i) => setEnv((rows) => rows.filter((_, idx) => idx !== i));
+  const isGit = sourceType === 'git';
+
+  // A rollback or Git sync rewrites the stack: show the new definition and refresh the list on close
+  const reloadStack = async () => {
+    setRolledBack(true);
+    try {
+      const { data } = await stacksService.get(stack.id);
+      setCurrent(data);
+      setComposeYaml(data.composeYaml || '');
+      setEnv(withUids(data.env));
+      setFiles(filesWithUids(data.files));
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  };
+
+  const close = rolledBack ? onSaved : onClose;
+
+  const tabClass = (name) => `px-3 py-1.5 text-sm font-medium border-b-2 -mb-px ${tab === name
+    ? 'border-primary-600 text-primary-600 dark:border-primary-400 dark:text-primary-400'
+    : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`;
+
+  const envPayload = () => envPayloadOf(env);
+  // A new Git stack has no compose file until the repository is fetched on save
+  const canValidate = isEdit || !isGit;
+  const definitionKey = () => JSON.stringify([composeYaml, envPayload(), name, serverId]);
+
+  const check = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      const payload = isEdit
+        ? { stackId: stack.id, composeYaml: isGit ? undefined : composeYaml, env: envPayload() }
+        : { serverId, name, composeYaml, env: envPayload() };
+      const { data } = await stacksService.validate(payload);
+      setValidation(data);
+      setValidatedKey(definitionKey());
+      return data;
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+      return null;
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const warningsConfirmed = validation?.valid && validatedKey === definitionKey();
 
   const save = async () => {
+    if (canValidate && !warningsConfirmed) {
+      const result = await check();
+      // Stop to show errors, or warnings the user has not seen yet
+      if (!result || result.findings.length) return;
+    }
     setSaving(true);
     setError(null);
-    const envPayload = env.map(({ key, value, isSecret }) => ({ key, value, isSecret }));
     try {
+      const contents = { env: envPayload(), files: filesPayloadOf(files) };
       if (isEdit) {
-        await stacksService.update(stack.id, { composeYaml, env: envPayload });
+        await stacksService.update(stack.id, isGit ? { git, ...contents } : { composeYaml, ...contents });
+      } else if (isGit) {
+        await stacksService.create({ serverId, name, source: 'git', git, ...contents });
       } else {
-        await stacksService.create({ serverId, name, composeYaml, env: envPayload });
+        await stacksService.create({ serverId, name, composeYaml, ...contents });
       }
       onSaved();
     } catch (e) {
+      if (e.response?.data?.findings) setValidation({ valid: false, findings: e.response.data.findings });
       setError(e.response?.data?.error || e.message);
     } finally {
       setSaving(false);
@@ -39,14 +114,14 @@ export default function StackEditor({ stack, onClose, onSaved }) {
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto" role="dialog" aria-modal="true">
       <div className="flex items-center justify-center min-h-screen p-4">
-        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose}></div>
-        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-auto p-6">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={close}></div>
+        <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-auto p-6">
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">
               {isEdit ? `Edit ${stack.name}` : 'New stack'}
             </h2>
             <button
-              onClick={onClose}
+              onClick={close}
               className="text-gray-400 hover:text-gray-500 dark:hover:text-gray-300"
               aria-label="Close"
             >
@@ -62,112 +137,116 @@ export default function StackEditor({ stack, onClose, onSaved }) {
             </div>
           )}
 
-          {!isEdit && (
-            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 mb-4">
-              <div>
-                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Name
-                </label>
-                <input
-                  type="text"
-                  className="block w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-                  value={name}
-                  onChange={(e) => setName(e.target.value)}
-                  placeholder="my-stack"
-                />
-              </div>
-              <div>
-                <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-                  Server
-                </label>
-                <ServerPicker value={serverId} onChange={setServerId} className="block w-full" />
-              </div>
-            </div>
+          {fromFleet && (
+            <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+              This stack is part of a fleet stack; change its compose file and environment on the Fleet stacks page.
+            </p>
           )}
 
-          <div className="mb-4">
-            <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-              Compose YAML
-            </label>
-            <textarea
-              className="block w-full px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500 h-48"
-              value={composeYaml}
-              onChange={(e) => setComposeYaml(e.target.value)}
-              placeholder={'services:\n  web:\n    image: nginx'}
-            />
-          </div>
-
-          <div className="mb-4">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">Environment</span>
-              <button
-                onClick={addRow}
-                className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
-              >
-                + Add
-              </button>
+          {isEdit && !fromFleet && (
+            <div className="flex gap-2 mb-4 border-b border-gray-200 dark:border-gray-600">
+              <button onClick={() => setTab('edit')} className={tabClass('edit')}>Edit</button>
+              <button onClick={() => setTab('history')} className={tabClass('history')}>History</button>
             </div>
+          )}
 
-            {env.length > 0 && (
-              <div className="space-y-2">
-                {env.map((r, i) => (
-                  <div key={r._uid} className="flex gap-2 items-center">
+          {tab === 'history' && (
+            <StackHistory stackId={stack.id} onRolledBack={reloadStack} />
+          )}
+
+          {tab === 'edit' && (
+            <>
+              {!isEdit && (
+                <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 mb-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Name
+                    </label>
                     <input
                       type="text"
-                      className="flex-1 px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-                      placeholder="KEY"
-                      value={r.key}
-                      onChange={(e) => setRow(i, { key: e.target.value })}
+                      className="block w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      placeholder="my-stack"
                     />
-                    <input
-                      type={r.isSecret ? 'password' : 'text'}
-                      className="flex-1 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-                      placeholder={r.isSecret ? '•••• (blank = keep)' : 'value'}
-                      value={r.value ?? ''}
-                      onChange={(e) => setRow(i, { value: e.target.value })}
-                    />
-                    <label className="text-xs text-gray-700 dark:text-gray-300 flex items-center gap-1 whitespace-nowrap">
-                      <input
-                        type="checkbox"
-                        className="rounded"
-                        checked={!!r.isSecret}
-                        onChange={(e) => setRow(i, { isSecret: e.target.checked })}
-                      />
-                      secret
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Server
                     </label>
-                    <button
-                      onClick={() => delRow(i)}
-                      className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 text-sm"
-                      aria-label="Remove row"
-                    >
-                      <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </button>
+                    <ServerPicker value={serverId} onChange={setServerId} className="block w-full" />
                   </div>
-                ))}
-              </div>
-            )}
+                </div>
+              )}
 
-            {env.length === 0 && (
-              <p className="text-xs text-gray-500 dark:text-gray-400 italic">No environment variables. Click + Add to add one.</p>
-            )}
-          </div>
+              {!isEdit && (
+                <div className="mb-4 flex gap-4 text-sm text-gray-700 dark:text-gray-300">
+                  <label className="flex items-center gap-1">
+                    <input type="radio" checked={!isGit} onChange={() => setSourceType('yaml')} />
+                    Compose YAML
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input type="radio" checked={isGit} onChange={() => setSourceType('git')} />
+                    Git repository
+                  </label>
+                </div>
+              )}
+
+              {isGit && (
+                <div className="mb-4">
+                  {isEdit && <GitSyncPanel stack={current} onSynced={reloadStack} />}
+                  <GitSourceFields value={git} onChange={setGit} hasCredentials={!!current?.git?.hasCredentials} />
+                </div>
+              )}
+
+              {(!isGit || isEdit) && (
+                <div className="mb-4">
+                  <label className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Compose YAML{isGit && ' (from the repository; change it with a commit)'}
+                  </label>
+                  <textarea
+                    className="block w-full px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500 h-48 read-only:opacity-75"
+                    value={composeYaml}
+                    onChange={(e) => setComposeYaml(e.target.value)}
+                    readOnly={isGit}
+                    placeholder={'services:\n  web:\n    image: nginx'}
+                  />
+                </div>
+              )}
+
+              <ComposeFindings result={validation} />
+
+              <EnvRowsEditor rows={env} onChange={setEnv} />
+
+              <StackFilesEditor files={files} onChange={setFiles} />
+            </>
+          )}
 
           <div className="flex justify-end gap-2 pt-4 border-t border-gray-200 dark:border-gray-600">
             <button
-              onClick={onClose}
+              onClick={close}
               className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
             >
-              Cancel
-            </button>
-            <button
-              onClick={save}
-              disabled={saving}
-              className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {saving ? 'Saving…' : 'Save'}
+              {tab === 'history' ? 'Close' : 'Cancel'}
             </button>
+            {tab === 'edit' && canValidate && (
+              <button
+                onClick={check}
+                disabled={saving || checking || (!isEdit && (!serverId || !name))}
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {checking ? 'Checking…' : 'Check'}
+              </button>
+            )}
+            {tab === 'edit' && (
+              <button
+                onClick={save}
+                disabled={saving || checking}
+                className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving…' : (warningsConfirmed && validation.findings.length ? 'Save anyway' : 'Save')}
+              </button>
+            )}
           </div>
         </div>
       </div>
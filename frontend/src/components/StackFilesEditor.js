@@ -0,0 +1,75 @@
+import React from 'react';
+
+let _uidCounter = 0;
+const nextUid = () => ++_uidCounter;
+
+/** Files from the API with the keys the editor needs for stable React keys. */
+export const filesWithUids = (files) => (files || []).map((f) => ({ ...f, content: f.content ?? '', _uid: nextUid() }));
+
+/** Files as the API takes them. */
+export const filesPayloadOf = (files) => files.map(({ path, content, isSecret }) => ({ path, content, isSecret }));
+
+/**
+ * Extra files of a stack (configs, nginx.conf, init SQL), written under the stack directory on
+ * deploy. Secret contents come back blank from the API; a blank secret file keeps its stored content.
+ */
+export default function StackFilesEditor({ files, onChange }) {
+  const setFile = (i, patch) => onChange(files.map((f, idx) => (idx === i ? { ...f, ...patch } : f)));
+  const addFile = () => onChange([...files, { path: '', content: '', isSecret: false, _uid: nextUid() }]);
+  const delFile = (i) => onChange(files.filter((_, idx) => idx !== i));
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">Files</span>
+        <button
+          onClick={addFile}
+          className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+        >
+          + Add file
+        </button>
+      </div>
+      {files.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No extra files. Add config files the compose file mounts, e.g. <span className="font-mono">./nginx.conf</span>; they are written next to compose.yaml on deploy.
+        </p>
+      )}
+      <div className="space-y-3">
+        {files.map((f, i) => (
+          <div key={f._uid} className="border border-gray-200 dark:border-gray-700 rounded-md p-2">
+            <div className="flex gap-2 items-center mb-2">
+              <input
+                type="text"
+                className="flex-1 px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                placeholder="nginx/default.conf"
+                value={f.path}
+                onChange={(e) => setFile(i, { path: e.target.value })}
+              />
+              <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={!!f.isSecret}
+                  onChange={(e) => setFile(i, { isSecret: e.target.checked })}
+                  className="rounded"
+                />
+                secret
+              </label>
+              <button
+                onClick={() => delFile(i)}
+                className="text-xs font-medium text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
+              >
+                Remove
+              </button>
+            </div>
+            <textarea
+              className="block w-full px-2 py-1.5 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500 h-32"
+              value={f.content}
+              onChange={(e) => setFile(i, { content: e.target.value })}
+              placeholder={f.isSecret ? 'Stored encrypted; leave blank to keep the current content' : ''}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { getApiUrl } from '../services/api';
+import { stacksService } from '../services/stacks.service';
+
+const inputClass = 'block w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * Repository, branch, compose path and HTTPS credentials of a Git-backed stack.
+ * `value` is { repoUrl, branch, composePath, username, token, clearCredentials }.
+ */
+export function GitSourceFields({ value, onChange, hasCredentials }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+      <div className="sm:col-span-2">
+        <label className={labelClass}>Repository URL</label>
+        <input
+          type="text"
+          className={`${inputClass} font-mono`}
+          value={value.repoUrl}
+          onChange={(e) => set({ repoUrl: e.target.value })}
+          placeholder="https://github.com/acme/infra.git"
+        />
+      </div>
+      <div>
+        <label className={labelClass}>Branch</label>
+        <input type="text" className={`${inputClass} font-mono`} value={value.branch} onChange={(e) => set({ branch: e.target.value })} placeholder="main" />
+      </div>
+      <div>
+        <label className={labelClass}>Compose file path</label>
+        <input type="text" className={`${inputClass} font-mono`} value={value.composePath} onChange={(e) => set({ composePath: e.target.value })} placeholder="compose.yaml" />
+      </div>
+      <div>
+        <label className={labelClass}>Username (HTTPS, optional)</label>
+        <input type="text" className={inputClass} value={value.username} onChange={(e) => set({ username: e.target.value })} placeholder="git" autoComplete="off" />
+      </div>
+      <div>
+        <label className={labelClass}>Access token (HTTPS, optional)</label>
+        <input
+          type="password"
+          className={inputClass}
+          value={value.token}
+          onChange={(e) => set({ token: e.target.value, clearCredentials: false })}
+          placeholder={hasCredentials ? '•••• (blank = keep)' : 'Personal access token'}
+          autoComplete="new-password"
+        />
+        {hasCredentials && (
+          <label className="mt-1 text-xs text-gray-700 dark:text-gray-300 flex items-center gap-1">
+            <input type="checkbox" className="rounded" checked={!!value.clearCredentials} onChange={(e) => set({ clearCredentials: e.target.checked, token: '' })} />
+            remove stored credentials
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Commit status, "Sync now" and the push webhook of an existing Git-backed stack. */
+export function GitSyncPanel({ stack, onSynced }) {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [webhook, setWebhook] = useState(null);
+  const git = stack.git;
+
+  const sync = async () => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const { data } = await stacksService.sync(stack.id, true);
+      const sha = data.commit.slice(0, 8);
+      if (data.deploy && !data.deploy.success) setError(`Synced ${sha}, but the deploy failed: ${data.deploy.stderr || 'see history'}`);
+      else setMessage(data.changed ? `Synced ${sha} and deployed.` : `Already at ${sha}; redeployed.`);
+      if (onSynced) onSynced();
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadWebhook = async (rotate) => {
+    if (rotate && !window.confirm('Generate a new webhook secret? The old one stops working immediately.')) return;
+    setError(null);
+    try {
+      const { data } = rotate ? await stacksService.rotateWebhook(stack.id) : await stacksService.webhook(stack.id);
+      setWebhook(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-gray-200 dark:border-gray-600 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm text-gray-700 dark:text-gray-300">
+          <span className="font-mono">{git.branch}</span>
+          {' at '}
+          <span className="font-mono" title={git.commit || ''}>{git.commit ? git.commit.slice(0, 8) : '—'}</span>
+          {git.syncedAt && <span className="text-gray-500 dark:text-gray-400"> · synced {new Date(git.syncedAt).toLocaleString()}</span>}
+          {stack.lastDeployedCommit && <span className="text-gray-500 dark:text-gray-400"> · deployed <span className="font-mono">{stack.lastDeployedCommit.slice(0, 8)}</span></span>}
+        </div>
+        <button
+          onClick={sync}
+          disabled={busy}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+        >
+          {busy ? 'Syncing…' : 'Sync now'}
+        </button>
+      </div>
+      {git.syncError && <p className="text-xs text-red-700 dark:text-red-300">Last sync failed: {git.syncError}</p>}
+      {message && <p className="text-xs text-green-700 dark:text-green-300">{message}</p>}
+      {error && <p className="text-xs text-red-700 dark:text-red-300 whitespace-pre-wrap">{error}</p>}
+
+      <div className="text-xs text-gray-600 dark:text-gray-400">
+        {!webhook ? (
+          <button onClick={() => loadWebhook(false)} className="font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300">
+            Show push webhook
+          </button>
+        ) : (
+          <div className="space-y-1">
+            <div>Payload URL (content type <span className="font-mono">application/json</span>):</div>
+            <div className="font-mono break-all text-gray-900 dark:text-gray-100">{`${getApiUrl()}${webhook.path}`}</div>
+            <div>Secret (GitHub/Gitea signature, GitLab token or <span className="font-mono">X-DockerFleet-Token</span> header):</div>
+            <div className="font-mono break-all text-gray-900 dark:text-gray-100">{webhook.secret}</div>
+            <button onClick={() => loadWebhook(true)} className="font-medium text-amber-600 dark:text-amber-400 hover:text-amber-700 dark:hover:text-amber-300">
+              Rotate secret
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
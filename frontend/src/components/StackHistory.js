@@ -0,0 +1,185 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { stacksService } from '../services/stacks.service';
+import { envToText, filesToText } from '../utils/lineDiff';
+import DiffView from './DiffView';
+import { ServiceStates } from './StackDeployProgress';
+
+const KIND_LABELS = {
+  create: 'Created',
+  save: 'Saved',
+  import: 'Imported',
+  sync: 'Synced from Git',
+  deploy: 'Deployed',
+  rollback: 'Rollback',
+  adopt: 'Adopted from host',
+};
+
+/**
+ * Revision history of a stack: pick a revision to compare side by side with another one
+ * (the latest by default) and roll back to it.
+ */
+export default function StackHistory({ stackId, onRolledBack }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [compare, setCompare] = useState(null);
+  const [error, setError] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await stacksService.revisions(stackId);
+      setRevisions(data);
+      if (data.length) {
+        setCompareId(data[0].id);
+        setSelectedId((id) => id || (data[1] || data[0]).id);
+      }
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  }, [stackId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    stacksService.getRevision(stackId, selectedId)
+      .then(({ data }) => setSelected(data))
+      .catch((e) => setError(e.response?.data?.error || e.message));
+  }, [stackId, selectedId]);
+
+  useEffect(() => {
+    if (!compareId) return;
+    stacksService.getRevision(stackId, compareId)
+      .then(({ data }) => setCompare(data))
+      .catch((e) => setError(e.response?.data?.error || e.message));
+  }, [stackId, compareId]);
+
+  const rollback = async () => {
+    if (!selected) return;
+    if (!window.confirm(`Restore revision ${selected.revision} and deploy it?`)) return;
+    setRollingBack(true);
+    setError(null);
+    setResult(null);
+    try {
+      const { data } = await stacksService.rollback(stackId, selected.id);
+      setResult(data);
+      await load();
+      if (onRolledBack) onRolledBack(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const label = (r) => `r${r.revision} · ${KIND_LABELS[r.kind] || r.kind}`;
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+          <p className="text-sm text-red-800 dark:text-red-200">{error}</p>
+        </div>
+      )}
+      {result && (
+        <div className={`mb-4 p-3 rounded-lg border ${result.success ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800' : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'}`}>
+          <p className={`text-sm ${result.success ? 'text-green-800 dark:text-green-200' : 'text-red-800 dark:text-red-200'}`}>
+            {result.success ? 'Rolled back and deployed.' : 'Rolled back, but the deploy failed.'}
+          </p>
+          {!result.success && result.stderr && (
+            <pre className="mt-2 text-xs whitespace-pre-wrap text-red-800 dark:text-red-200 max-h-40 overflow-auto">{result.stderr}</pre>
+          )}
+        </div>
+      )}
+
+      <div className="mb-4 border border-gray-200 dark:border-gray-600 rounded-md max-h-56 overflow-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {revisions.map((r) => (
+              <tr
+                key={r.id}
+                onClick={() => setSelectedId(r.id)}
+                className={`cursor-pointer ${r.id === selectedId ? 'bg-primary-50 dark:bg-primary-900/20' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
+              >
+                <td className="px-3 py-1.5 whitespace-nowrap font-mono text-gray-900 dark:text-gray-100">r{r.revision}</td>
+                <td className="px-3 py-1.5 whitespace-nowrap text-gray-700 dark:text-gray-300">
+                  {KIND_LABELS[r.kind] || r.kind}
+                  {r.rolledBackFrom && <span className="text-gray-500 dark:text-gray-400"> to r{r.rolledBackFrom}</span>}
+                </td>
+                <td className="px-3 py-1.5 whitespace-nowrap">
+                  {r.deployStatus === 'deployed' && <span className="text-xs text-green-700 dark:text-green-300">deployed</span>}
+                  {r.deployStatus === 'error' && <span className="text-xs text-red-700 dark:text-red-300">failed</span>}
+                </td>
+                <td className="px-3 py-1.5 whitespace-nowrap font-mono text-xs text-gray-500 dark:text-gray-400" title={r.commitSha || ''}>{r.commitSha ? r.commitSha.slice(0, 8) : ''}</td>
+                <td className="px-3 py-1.5 whitespace-nowrap text-gray-500 dark:text-gray-400">{r.authorEmail || (r.kind === 'sync' || r.kind === 'deploy' ? 'webhook' : '—')}</td>
+                <td className="px-3 py-1.5 whitespace-nowrap text-gray-500 dark:text-gray-400">{new Date(r.createdAt).toLocaleString()}</td>
+              </tr>
+            ))}
+            {!revisions.length && (
+              <tr><td className="px-3 py-3 text-gray-500 dark:text-gray-400 italic">No revisions recorded yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && compare && (
+        <>
+          <div className="flex items-center justify-between mb-3 gap-2">
+            <label className="text-xs text-gray-700 dark:text-gray-300 flex items-center gap-2">
+              Compare with
+              <select
+                className="px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                value={compareId || ''}
+                onChange={(e) => setCompareId(e.target.value)}
+              >
+                {revisions.map((r, i) => (
+                  <option key={r.id} value={r.id}>{label(r)}{i === 0 ? ' (latest)' : ''}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={rollback}
+              disabled={rollingBack}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-amber-600 dark:bg-amber-500 rounded-lg hover:bg-amber-700 dark:hover:bg-amber-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {rollingBack ? 'Rolling back…' : `Roll back to r${selected.revision}`}
+            </button>
+          </div>
+          <DiffView
+            title="Compose YAML"
+            before={selected.composeYaml}
+            after={compare.composeYaml}
+            leftLabel={label(selected)}
+            rightLabel={label(compare)}
+          />
+          <DiffView
+            title="Environment"
+            before={envToText(selected.env)}
+            after={envToText(compare.env)}
+            leftLabel={label(selected)}
+            rightLabel={label(compare)}
+          />
+          {(selected.files?.length > 0 || compare.files?.length > 0) && (
+            <DiffView
+              title="Files"
+              before={filesToText(selected.files)}
+              after={filesToText(compare.files)}
+              leftLabel={label(selected)}
+              rightLabel={label(compare)}
+            />
+          )}
+          {selected.deployOutput && (
+            <div className="mb-4">
+              <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1">Deploy output of r{selected.revision}</div>
+              <div className="mb-2"><ServiceStates services={selected.deployServices} /></div>
+              <pre className="text-xs font-mono whitespace-pre-wrap bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 p-2 rounded-md max-h-80 overflow-auto">{selected.deployOutput}</pre>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
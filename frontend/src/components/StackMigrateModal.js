@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { stacksService } from '../services/stacks.service';
+import { useSocket } from '../context/SocketContext';
+import ServerPicker from './ServerPicker';
+
+const stepIcon = (success) => (success ? (
+  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" /></svg>
+) : (
+  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" /></svg>
+));
+
+/**
+ * Move or clone a stack to another server. The steps stream in over the socket while the stack is
+ * stopped, its volumes copied and the stack deployed on the target.
+ */
+export default function StackMigrateModal({ stack, onClose, onDone }) {
+  const socket = useSocket();
+  const [targetServerId, setTargetServerId] = useState('');
+  const [mode, setMode] = useState('move');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const running = !!result?.inProgress;
+
+  const start = async () => {
+    setError(null);
+    setResult({ inProgress: true, steps: [] });
+    const progressHandler = (payload) => {
+      if (payload.stackId !== stack.id) return;
+      setResult((prev) => ({ ...prev, steps: [...(prev.steps || []), { step: payload.step, success: payload.success, detail: payload.detail }] }));
+    };
+    socket?.on('stack:migrate:progress', progressHandler);
+    try {
+      const { data } = await stacksService.migrate(stack.id, { targetServerId, mode });
+      setResult(data);
+    } catch (e) {
+      setResult(null);
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      socket?.off('stack:migrate:progress', progressHandler);
+    }
+  };
+
+  const close = () => (result && !running ? onDone() : onClose());
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Move or clone {stack.name}</h2>
+          <button
+            type="button"
+            onClick={close}
+            disabled={running}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/20 text-red-800 dark:text-red-200 p-3 rounded-lg mb-3 text-sm">
+            {error}
+          </div>
+        )}
+        {result ? (
+          <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-600">
+            <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 uppercase tracking-wide mb-2">
+              {running ? (
+                <span className="text-primary-600 dark:text-primary-400">{mode === 'move' ? 'Moving…' : 'Cloning…'}</span>
+              ) : result.success ? (
+                <span className="text-green-600 dark:text-green-400">{mode === 'move' ? 'Stack moved' : 'Stack cloned'}</span>
+              ) : (
+                <span className="text-red-600 dark:text-red-400">{result.error || 'Failed'}</span>
+              )}
+            </p>
+            <ul className="space-y-1.5 text-sm">
+              {result.steps.map((s, i) => (
+                <li key={i} className="flex items-start gap-2">
+                  <span className={`flex-shrink-0 ${s.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`} title={s.success ? 'OK' : 'Failed'}>
+                    {stepIcon(s.success)}
+                  </span>
+                  <span className="text-gray-700 dark:text-gray-300">{s.step}</span>
+                  {s.detail && <span className="text-gray-500 dark:text-gray-400 break-words" title={s.detail}> — {s.detail}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              The stack is stopped, its named volumes are copied to the target server and the stack is deployed there.
+              A move also repoints its Public WWW routes and removes the containers on this server (its volumes stay until you remove them);
+              a clone starts the stack here again.
+            </p>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Target server
+                <ServerPicker value={targetServerId} onChange={setTargetServerId} className="w-full mt-1" />
+              </label>
+              <fieldset className="text-sm text-gray-700 dark:text-gray-300">
+                <legend>Operation</legend>
+                <label className="flex items-center gap-2 mt-1">
+                  <input type="radio" name="mode" value="move" checked={mode === 'move'} onChange={() => setMode('move')} />
+                  Move
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="mode" value="clone" checked={mode === 'clone'} onChange={() => setMode('clone')} />
+                  Clone
+                </label>
+              </fieldset>
+            </div>
+          </>
+        )}
+        <div className="flex justify-end gap-3 mt-4">
+          {result && !running ? (
+            <button
+              type="button"
+              onClick={onDone}
+              className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 font-medium"
+            >
+              Done
+            </button>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={running}
+                className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={start}
+                disabled={running || !targetServerId || targetServerId === stack.serverId}
+                className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 font-medium disabled:opacity-50"
+              >
+                {mode === 'move' ? 'Move stack' : 'Clone stack'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
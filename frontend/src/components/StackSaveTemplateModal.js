@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { stackTemplatesService } from '../services/stackTemplates.service';
+
+const inputCls = 'w-full px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+/**
+ * Save a stack as a template: its compose file, with its env keys as variables. Plain values
+ * become defaults; secret values are not copied.
+ */
+export default function StackSaveTemplateModal({ stack, onClose, onSaved }) {
+  const [name, setName] = useState(stack.name);
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await stackTemplatesService.fromStack(stack.id, name, description);
+      onSaved();
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Save {stack.name} as template</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/20 text-red-800 dark:text-red-200 p-3 rounded-lg mb-3 text-sm">
+            {error}
+          </div>
+        )}
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+          The env keys become the template&apos;s variables. Plain values are kept as defaults; secret values are not copied.
+        </p>
+        <label className="block text-sm text-gray-700 dark:text-gray-300 mb-3">
+          Name
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={`${inputCls} mt-1`} />
+        </label>
+        <label className="block text-sm text-gray-700 dark:text-gray-300 mb-4">
+          Description
+          <textarea rows={3} value={description} onChange={(e) => setDescription(e.target.value)} className={`${inputCls} mt-1`} />
+        </label>
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={save}
+            disabled={saving || !name.trim()}
+            className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 font-medium disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save template'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { stacksService } from '../services/stacks.service';
+import LogsModal from './LogsModal';
+
+const stateClass = (c) => {
+  if (c.state === 'running' && (!c.health || c.health === 'healthy')) return 'text-green-700 dark:text-green-300';
+  if (c.state === 'running' || c.state === 'restarting' || c.state === 'created') return 'text-amber-700 dark:text-amber-300';
+  if (c.state === 'exited' && c.exitCode === 0) return 'text-gray-500 dark:text-gray-400';
+  return 'text-red-700 dark:text-red-300';
+};
+
+const actionBtn = 'text-xs font-medium disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Services of one stack with their containers (state, health, image) and per-service
+ * restart, scale, pull-and-recreate and live logs.
+ */
+export default function StackServices({ stack }) {
+  const [services, setServices] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [scale, setScale] = useState({});
+  const [logsService, setLogsService] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await stacksService.services(stack.id);
+      setServices(data);
+      setError(null);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  }, [stack.id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const act = async (service, fn) => {
+    setBusy(service);
+    setError(null);
+    try {
+      const { data } = await fn();
+      if (data && data.success === false) setError(data.stderr || data.stdout || `Command failed (exit code ${data.code})`);
+      await load();
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const applyScale = (s) => {
+    const replicas = parseInt(scale[s.service], 10);
+    if (!Number.isInteger(replicas) || replicas < 0) return;
+    act(s.service, () => stacksService.scaleService(stack.id, s.service, replicas));
+  };
+
+  if (!services && !error) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading services…</p>;
+  }
+
+  return (
+    <div>
+      {error && <p className="mb-2 text-sm text-red-700 dark:text-red-300 whitespace-pre-wrap">{error}</p>}
+      {services && (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              <th className="py-1 pr-4">Service</th>
+              <th className="py-1 pr-4">Containers</th>
+              <th className="py-1 pr-4">Image</th>
+              <th className="py-1">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {services.map((s) => (
+              <tr key={s.service} className="align-top">
+                <td className="py-1.5 pr-4 font-mono text-gray-900 dark:text-gray-100">
+                  {s.service}
+                  {!s.declared && <span className="ml-1 text-xs text-amber-700 dark:text-amber-300">(not in compose file)</span>}
+                  {s.inactive && <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">(profile / scaled to 0)</span>}
+                </td>
+                <td className="py-1.5 pr-4">
+                  {!s.containers.length && <span className="text-gray-400 dark:text-gray-500">not created</span>}
+                  {s.containers.map((c) => (
+                    <div key={c.id || c.name} className="whitespace-nowrap">
+                      <span className="font-mono text-gray-700 dark:text-gray-300">{c.name}</span>{' '}
+                      <span className={stateClass(c)} title={c.status}>
+                        {c.state}{c.health ? ` (${c.health})` : ''}
+                      </span>
+                    </div>
+                  ))}
+                </td>
+                <td className="py-1.5 pr-4 font-mono text-xs text-gray-600 dark:text-gray-400 break-all">
+                  {[...new Set(s.containers.map((c) => c.image).filter(Boolean))].join(', ') || s.image || '—'}
+                </td>
+                <td className="py-1.5 whitespace-nowrap">
+                  {s.declared && (
+                    <span className="inline-flex items-center gap-3">
+                      <button disabled={!!busy} onClick={() => act(s.service, () => stacksService.restartService(stack.id, s.service))} className={`${actionBtn} text-amber-600 dark:text-amber-400 hover:text-amber-800 dark:hover:text-amber-300`}>Restart</button>
+                      <button disabled={!!busy} onClick={() => act(s.service, () => stacksService.recreateService(stack.id, s.service))} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Pull &amp; recreate</button>
+                      <span className="inline-flex items-center gap-1">
+                        <input
+                          type="number"
+                          min="0"
+                          max="50"
+                          aria-label={`Replicas of ${s.service}`}
+                          value={scale[s.service] ?? s.containers.length}
+                          onChange={(e) => setScale({ ...scale, [s.service]: e.target.value })}
+                          className="w-14 px-1 py-0.5 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                        />
+                        <button disabled={!!busy} onClick={() => applyScale(s)} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Scale</button>
+                      </span>
+                    </span>
+                  )}
+                  {s.containers.length > 0 && (
+                    <button onClick={() => setLogsService(s)} className={`${actionBtn} ml-3 text-purple-600 dark:text-purple-400 hover:text-purple-800 dark:hover:text-purple-300`}>Logs</button>
+                  )}
+                  {busy === s.service && <span className="ml-3 text-xs text-gray-500 dark:text-gray-400">Working…</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button onClick={load} disabled={!!busy} className={`${actionBtn} mt-2 text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Refresh</button>
+      <LogsModal
+        isOpen={!!logsService}
+        onClose={() => setLogsService(null)}
+        serverId={stack.serverId}
+        containers={logsService?.containers.length > 1 ? logsService.containers.map((c) => ({ id: c.id, name: c.name })) : undefined}
+        containerId={logsService?.containers.length === 1 ? logsService.containers[0].id : undefined}
+        containerName={logsService ? `${stack.name}/${logsService.service}` : ''}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { stackTemplatesService } from '../services/stackTemplates.service';
+import ServerPicker from './ServerPicker';
+
+const inputCls = 'w-full px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const slugOf = (name) => name.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+
+/**
+ * Install a template as a new stack: server, stack name, a value for each declared variable
+ * (blank = default, or a generated secret), deploy right away, and an optional Public WWW domain
+ * when the template declares a web port.
+ */
+export default function StackTemplateInstallModal({ template, onClose, onInstalled }) {
+  const [serverId, setServerId] = useState('');
+  const [name, setName] = useState(() => slugOf(template.name));
+  const [values, setValues] = useState(() => Object.fromEntries(template.variables.map((v) => [v.name, v.default || ''])));
+  const [deploy, setDeploy] = useState(true);
+  const [domain, setDomain] = useState('');
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState(null);
+  const [installing, setInstalling] = useState(false);
+
+  const install = async () => {
+    setInstalling(true);
+    setError(null);
+    try {
+      const { data } = await stackTemplatesService.install(template.id, {
+        serverId,
+        name,
+        env: template.variables.map((v) => ({ key: v.name, value: values[v.name], isSecret: v.secret })),
+        deploy,
+        publicRoute: domain.trim() ? { domain: domain.trim() } : undefined,
+      });
+      if (data.warnings.length) setWarnings(data.warnings);
+      else onInstalled(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setInstalling(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Install {template.name}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/20 text-red-800 dark:text-red-200 p-3 rounded-lg mb-3 text-sm">
+            {error}
+          </div>
+        )}
+        {warnings ? (
+          <>
+            <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 p-3 rounded-lg mb-4 text-sm text-amber-800 dark:text-amber-200">
+              <p className="font-medium mb-1">Stack {name} was created, with warnings:</p>
+              <ul className="list-disc ml-5 space-y-0.5">
+                {warnings.map((w) => <li key={w}>{w}</li>)}
+              </ul>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={() => onInstalled()}
+                className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Server
+                <ServerPicker value={serverId} onChange={setServerId} className="w-full mt-1" />
+              </label>
+              <label className="block text-sm text-gray-700 dark:text-gray-300">
+                Stack name
+                <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={`${inputCls} mt-1 font-mono`} />
+              </label>
+            </div>
+            {template.variables.length > 0 && (
+              <div className="mb-4 space-y-3">
+                <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">Variables</span>
+                {template.variables.map((v) => (
+                  <label key={v.name} className="block text-sm text-gray-700 dark:text-gray-300">
+                    <span className="font-mono">{v.name}</span>
+                    {v.required && <span className="text-red-600 dark:text-red-400"> *</span>}
+                    {v.description && <span className="block text-xs text-gray-500 dark:text-gray-400">{v.description}</span>}
+                    <input
+                      type={v.secret ? 'password' : 'text'}
+                      autoComplete="off"
+                      value={values[v.name]}
+                      placeholder={v.generate ? 'Generated when left blank' : ''}
+                      onChange={(e) => setValues((prev) => ({ ...prev, [v.name]: e.target.value }))}
+                      className={`${inputCls} mt-1 font-mono`}
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+            {template.webService && (
+              <label className="block text-sm text-gray-700 dark:text-gray-300 mb-4">
+                Public WWW domain (optional)
+                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                  Proxies the domain to {template.webService} on the port in {template.webPortVariable}.
+                </span>
+                <input type="text" value={domain} onChange={(e) => setDomain(e.target.value)} placeholder="app.example.com" className={`${inputCls} mt-1`} />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 mb-4">
+              <input type="checkbox" checked={deploy} onChange={(e) => setDeploy(e.target.checked)} className="rounded" />
+              Deploy after creating the stack
+            </label>
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={install}
+                disabled={installing || !serverId || !name.trim()}
+                className="px-4 py-2 bg-primary-600 dark:bg-primary-500 text-white rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 font-medium disabled:opacity-50"
+              >
+                {installing ? (deploy ? 'Installing and deploying…' : 'Installing…') : 'Install'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
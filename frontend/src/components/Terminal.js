@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Terminal as XTerm } from '@xterm/xterm';
+import { FitAddon } from '@xterm/addon-fit';
+import '@xterm/xterm/css/xterm.css';
+import { useSocket } from '../context/SocketContext';
+
+const newSessionId = () => `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+const STATUS_BADGES = {
+  connecting: { label: 'Connecting…', className: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200' },
+  connected: { label: 'Connected', className: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-200' },
+  closed: { label: 'Closed', className: 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300' },
+  error: { label: 'Error', className: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200' },
+};
+
+/**
+ * Interactive PTY terminal streamed over Socket.IO (terminal:* events).
+ * Opens a session on mount and closes it on unmount or when any prop changes.
+ * Pass containerId for a container shell (docker exec -it); toolbar renders extra controls in the header.
+ */
+const Terminal = ({ serverId, containerId, shell, toolbar = null }) => {
+  const socket = useSocket();
+  const containerRef = useRef(null);
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState('');
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!socket || !containerRef.current) return undefined;
+
+    const sessionId = newSessionId();
+    const term = new XTerm({
+      cursorBlink: true,
+      fontSize: 13,
+      fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace',
+      theme: { background: '#111827' },
+      scrollback: 5000,
+    });
+    const fitAddon = new FitAddon();
+    term.loadAddon(fitAddon);
+    term.open(containerRef.current);
+    fitAddon.fit();
+    setStatus('connecting');
+    setError('');
+
+    const handleReady = (payload) => {
+      if (payload?.sessionId !== sessionId) return;
+      setStatus('connected');
+      term.focus();
+    };
+    const handleData = (payload) => {
+      if (payload?.sessionId === sessionId) term.write(payload.data);
+    };
+    const handleExit = (payload) => {
+      if (payload?.sessionId !== sessionId) return;
+      setStatus('closed');
+      term.write('\r\n\x1b[90m[session closed]\x1b[0m\r\n');
+    };
+    const handleError = (payload) => {
+      if (payload?.sessionId !== sessionId) return;
+      setStatus('error');
+      setError(payload.error || 'Terminal error');
+    };
+    // The backend closes all sessions of a socket when it disconnects
+    const handleDisconnect = () => setStatus('closed');
+
+    socket.on('terminal:ready', handleReady);
+    socket.on('terminal:data', handleData);
+    socket.on('terminal:exit', handleExit);
+    socket.on('terminal:error', handleError);
+    socket.on('disconnect', handleDisconnect);
+
+    const inputSub = term.onData((data) => socket.emit('terminal:input', { sessionId, data }));
+    const resizeSub = term.onResize(({ cols, rows }) => socket.emit('terminal:resize', { sessionId, cols, rows }));
+    const observer = new ResizeObserver(() => {
+      try {
+        fitAddon.fit();
+      } catch (e) {
+        // Element detached or hidden; next resize will refit
+      }
+    });
+    observer.observe(containerRef.current);
+
+    socket.emit('terminal:open', { sessionId, serverId, containerId, shell, cols: term.cols, rows: term.rows });
+
+    return () => {
+      observer.disconnect();
+      inputSub.dispose();
+      resizeSub.dispose();
+      socket.off('terminal:ready', handleReady);
+      socket.off('terminal:data', handleData);
+      socket.off('terminal:exit', handleExit);
+      socket.off('terminal:error', handleError);
+      socket.off('disconnect', handleDisconnect);
+      socket.emit('terminal:close', { sessionId });
+      term.dispose();
+    };
+  }, [socket, serverId, containerId, shell, attempt]);
+
+  const badge = STATUS_BADGES[status];
+
+  return (
+    <div className="flex flex-col h-full bg-gray-900 dark:bg-black rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 bg-gray-800 dark:bg-gray-900 border-b border-gray-700 dark:border-gray-800">
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 text-xs rounded-full ${badge.className}`}>{badge.label}</span>
+          {toolbar}
+        </div>
+        <div className="flex items-center gap-2">
+          {error && <span className="text-xs text-red-400 truncate max-w-md" title={error}>{error}</span>}
+          {(status === 'closed' || status === 'error') && (
+            <button
+              onClick={() => setAttempt((a) => a + 1)}
+              className="px-3 py-1 text-xs bg-primary-600 dark:bg-primary-500 text-white rounded hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors"
+            >
+              Reconnect
+            </button>
+          )}
+        </div>
+      </div>
+      {!socket && (
+        <div className="p-4 text-sm text-gray-400">Waiting for realtime connection…</div>
+      )}
+      <div ref={containerRef} className="flex-1 min-h-0 p-2" />
+    </div>
+  );
+};
+
+export default Terminal;
@@ -43,16 +43,21 @@ const Layout = () => {
 
   const backupItems = [
     { name: 'Scheduled backups', path: '/scheduled-backups' },
+    { name: 'Volume backups', path: '/backup-targets' },
     { name: 'Backup & Restore', path: '/backup-restore' },
   ];
 
   const settingsItems = [
     { name: 'Profile', path: '/profile' },
     { name: 'Monitoring', path: '/monitoring' },
+    { name: 'Notifications', path: '/notifications' },
+    { name: 'Registry credentials', path: '/registry-credentials' },
+    { name: 'Update policies', path: '/update-policies' },
     ...(user?.role === 'admin'
       ? [
           { name: 'Users', path: '/admin/users' },
           { name: 'App configuration', path: '/admin/app-config' },
+          { name: 'Audit log', path: '/admin/audit-log' },
         ]
       : []),
   ];
@@ -13,6 +13,8 @@ const AddServer = () => {
     username: '',
     privateKey: '',
     publicHost: '',
+    tags: '',
+    autoUpdateConcurrency: '1',
     provisionDockerfleet: true,
   });
   const [error, setError] = useState('');
@@ -34,6 +36,8 @@ const AddServer = () => {
             username: server.username || '',
             privateKey: '', // Don't pre-fill private key for security
             publicHost: server.publicHost || '',
+            tags: (server.tags || []).join(', '),
+            autoUpdateConcurrency: server.autoUpdateConcurrency?.toString() || '1',
             provisionDockerfleet: true,
           });
         })
@@ -88,6 +92,8 @@ const AddServer = () => {
           port: formData.port,
           username: formData.username,
           publicHost: formData.publicHost?.trim() || '',
+          tags: formData.tags,
+          autoUpdateConcurrency: formData.autoUpdateConcurrency,
         };
         // Only include privateKey if it was changed
         if (formData.privateKey.trim()) {
@@ -104,6 +110,7 @@ const AddServer = () => {
           username: formData.username,
           privateKey: formData.privateKey,
           publicHost: formData.publicHost?.trim() || '',
+          tags: formData.tags,
           provisionDockerfleet: !!formData.provisionDockerfleet,
         };
         const response = await serversService.create(createPayload);
@@ -193,6 +200,45 @@ const AddServer = () => {
             </p>
           </div>
 
+          <div>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Tags (optional)
+            </label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              placeholder="e.g. edge, eu-west"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Comma-separated labels; a fleet stack can target every server with a tag
+            </p>
+          </div>
+
+          {isEditMode && (
+            <div>
+              <label htmlFor="autoUpdateConcurrency" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Auto-update concurrency
+              </label>
+              <input
+                type="number"
+                id="autoUpdateConcurrency"
+                name="autoUpdateConcurrency"
+                min="1"
+                max="10"
+                value={formData.autoUpdateConcurrency}
+                onChange={handleChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                How many containers update policies may update at the same time on this server (1–10)
+              </p>
+            </div>
+          )}
+
           <div>
             <label htmlFor="port" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
               SSH Port *
@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auditService } from '../services/audit.service';
+import { usersService } from '../services/users.service';
+import { serversService } from '../services/servers.service';
+
+const PAGE_SIZE = 50;
+
+const ACTION_GROUPS = [
+  { value: '', label: 'All actions' },
+  { value: 'container.', label: 'Containers' },
+  { value: 'image.', label: 'Images' },
+  { value: 'stack.', label: 'Stacks' },
+  { value: 'server.', label: 'Servers' },
+  { value: 'proxy-route.', label: 'Proxy routes' },
+  { value: 'public-www.', label: 'Public WWW' },
+  { value: 'terminal.', label: 'Terminals' },
+  { value: 'backup', label: 'Backups' },
+  { value: 'user.', label: 'Users' },
+  { value: 'app-config.', label: 'App configuration' },
+  { value: 'monitoring.', label: 'Monitoring' },
+  { value: 'grouping-rule.', label: 'Grouping' },
+  { value: 'update-overview.', label: 'Update overview' },
+];
+
+const OUTCOME_BADGES = {
+  success: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200',
+  failure: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200',
+  unknown: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+};
+
+const EMPTY_FILTERS = { userId: '', serverId: '', action: '', outcome: '', q: '', from: '', to: '' };
+
+const inputClass =
+  'block w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+// datetime-local values are local time; the API expects ISO timestamps
+const toQueryParams = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    params[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value;
+  });
+  return params;
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [users, setUsers] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([
+      usersService.getAll().catch(() => ({ data: { users: [] } })),
+      serversService.getAll().catch(() => ({ data: { servers: [] } })),
+    ]).then(([usersRes, serversRes]) => {
+      setUsers(usersRes.data.users || []);
+      setServers(serversRes.data.servers || []);
+    });
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await auditService.list({ ...toQueryParams(appliedFilters), limit: PAGE_SIZE, offset });
+      setEntries(response.data.entries || []);
+      setTotal(response.data.total || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, offset]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      await auditService.export(toQueryParams(appliedFilters), format);
+    } catch (err) {
+      alert('Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : 'N/A');
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const pageEnd = Math.min(offset + PAGE_SIZE, total);
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Audit log</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Every change made through DockerFleet: who did it, on which server and target, and whether it succeeded
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={exporting}
+            className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => handleExport('json')}
+            disabled={exporting}
+            className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handleApply} className="mb-4 bg-white dark:bg-gray-800 shadow rounded-lg p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <select value={filters.userId} onChange={setFilter('userId')} className={inputClass}>
+            <option value="">All users</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>{u.email}</option>
+            ))}
+          </select>
+          <select value={filters.serverId} onChange={setFilter('serverId')} className={inputClass}>
+            <option value="">All servers</option>
+            {servers.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <select value={filters.action} onChange={setFilter('action')} className={inputClass}>
+            {ACTION_GROUPS.map((g) => (
+              <option key={g.value} value={g.value}>{g.label}</option>
+            ))}
+          </select>
+          <select value={filters.outcome} onChange={setFilter('outcome')} className={inputClass}>
+            <option value="">Any outcome</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+            <option value="unknown">Unknown</option>
+          </select>
+          <input
+            type="text"
+            value={filters.q}
+            onChange={setFilter('q')}
+            placeholder="Search target, server or user"
+            className={inputClass}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+            From
+            <input type="datetime-local" value={filters.from} onChange={setFilter('from')} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+            To
+            <input type="datetime-local" value={filters.to} onChange={setFilter('to')} className={inputClass} />
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm bg-primary-600 dark:bg-primary-500 text-white rounded-md hover:bg-primary-700 dark:hover:bg-primary-600"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={handleReset}
+              className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Time', 'User', 'Server', 'Action', 'Target', 'Outcome', ''].map((h) => (
+                  <th
+                    key={h}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+              {!loading && entries.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No audit entries match these filters
+                  </td>
+                </tr>
+              )}
+              {entries.map((entry) => (
+                <React.Fragment key={entry.id}>
+                  <tr className="text-sm">
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-500 dark:text-gray-400">{formatDate(entry.createdAt)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-900 dark:text-gray-100">{entry.userEmail || '—'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-900 dark:text-gray-100">{entry.serverName || '—'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap font-mono text-xs text-gray-900 dark:text-gray-100">{entry.action}</td>
+                    <td className="px-4 py-3 text-gray-900 dark:text-gray-100 max-w-xs truncate" title={entry.targetId || ''}>
+                      {entry.targetName || entry.targetId || '—'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${OUTCOME_BADGES[entry.outcome] || OUTCOME_BADGES.unknown}`}>
+                        {entry.outcome}
+                        {entry.statusCode ? ` · ${entry.statusCode}` : ''}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                        className="text-primary-600 dark:text-primary-400 hover:text-primary-900 dark:hover:text-primary-300 text-xs"
+                      >
+                        {expanded === entry.id ? 'Hide' : 'Details'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr>
+                      <td colSpan={7} className="px-4 py-3 bg-gray-50 dark:bg-gray-900/40 text-xs text-gray-700 dark:text-gray-300">
+                        <div className="flex flex-wrap gap-x-6 gap-y-1 mb-2">
+                          <span>IP: {entry.ip || '—'}</span>
+                          <span>Duration: {entry.durationMs != null ? `${entry.durationMs} ms` : '—'}</span>
+                          {entry.targetId && <span className="font-mono">Target ID: {entry.targetId}</span>}
+                        </div>
+                        {entry.error && <div className="mb-2 text-red-700 dark:text-red-300">{entry.error}</div>}
+                        <pre className="whitespace-pre-wrap break-all font-mono">
+                          {entry.params ? JSON.stringify(entry.params, null, 2) : 'No parameters'}
+                        </pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-400">
+          <span>{loading ? 'Loading…' : total ? `${offset + 1}–${pageEnd} of ${total}` : '0 entries'}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={loading || offset === 0}
+              className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={loading || pageEnd >= total}
+              className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,587 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { backupTargetsService } from '../services/backupTargets.service';
+import { serversService } from '../services/servers.service';
+import { containersService } from '../services/containers.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const secondaryButton =
+  'px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors disabled:opacity-50';
+const primaryButton =
+  'px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50';
+
+// Form fields per target type; secret fields are never sent back by the API (leave empty to keep)
+const TARGET_FIELDS = {
+  local: [{ key: 'directory', label: 'Directory (relative to the backup root)', placeholder: 'nightly' }],
+  s3: [
+    { key: 'endpoint', label: 'Endpoint', placeholder: 'https://s3.eu-west-1.amazonaws.com or http://minio:9000', required: true },
+    { key: 'region', label: 'Region', placeholder: 'us-east-1' },
+    { key: 'bucket', label: 'Bucket', placeholder: 'dockerfleet-backups', required: true },
+    { key: 'prefix', label: 'Key prefix', placeholder: 'volumes/' },
+    { key: 'accessKeyId', label: 'Access key ID', required: true },
+    { key: 'secretAccessKey', label: 'Secret access key', secret: true, required: true },
+  ],
+};
+
+const RESTORE_MODE_LABELS = {
+  'in-place': 'Replace the data of the container\'s current volumes (the container is stopped meanwhile)',
+  'new-volumes': 'Extract into new volumes (the container is left untouched)',
+};
+
+const emptyForm = { id: null, name: '', type: 'local', config: {}, secretsSet: [] };
+
+const formatBytes = (bytes) => {
+  if (!bytes || bytes <= 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return `${Math.round((bytes / k ** i) * 10) / 10} ${sizes[i]}`;
+};
+
+const statusClass = {
+  running: 'text-blue-600 dark:text-blue-400',
+  completed: 'text-green-600 dark:text-green-400',
+  failed: 'text-red-600 dark:text-red-400',
+};
+
+const BackupTargets = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [targets, setTargets] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [restoreModes, setRestoreModes] = useState([]);
+  const [archives, setArchives] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState({});
+  const [testResults, setTestResults] = useState({});
+  const [backupForm, setBackupForm] = useState({ targetId: '', serverId: '', containerName: '' });
+  const [containers, setContainers] = useState([]);
+  const [startingBackup, setStartingBackup] = useState(false);
+  const [restoreForm, setRestoreForm] = useState(null);
+  const [archiveFilter, setArchiveFilter] = useState('');
+
+  const fetchArchives = useCallback(async () => {
+    try {
+      const response = await backupTargetsService.listArchives(archiveFilter ? { targetId: archiveFilter } : {});
+      setArchives(response.data.archives || []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load archives');
+    }
+  }, [archiveFilter]);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [targetsRes, serversRes] = await Promise.all([backupTargetsService.list(), serversService.getAll()]);
+        setTargets(targetsRes.data.targets || []);
+        setTypes(targetsRes.data.types || []);
+        setRestoreModes(targetsRes.data.restoreModes || []);
+        setServers(serversRes.data.servers || serversRes.data || []);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load backup targets');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    fetchArchives();
+  }, [fetchArchives]);
+
+  // Backups and restores run in the background; poll while any is in progress
+  const busy = archives.some((a) => a.status === 'running' || a.restoreStatus === 'running');
+  useEffect(() => {
+    if (!busy) return undefined;
+    const id = setInterval(fetchArchives, 5000);
+    return () => clearInterval(id);
+  }, [busy, fetchArchives]);
+
+  useEffect(() => {
+    if (!backupForm.serverId) {
+      setContainers([]);
+      return;
+    }
+    let cancelled = false;
+    containersService
+      .getAll(backupForm.serverId, { all: 'true' })
+      .then((res) => !cancelled && setContainers(res.data.containers || []))
+      .catch(() => !cancelled && setContainers([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [backupForm.serverId]);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 4000);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const config = {};
+    for (const field of TARGET_FIELDS[form.type]) {
+      const value = form.config[field.key];
+      if (value !== undefined && value !== '') config[field.key] = value;
+    }
+    if (form.type === 's3') config.forcePathStyle = form.config.forcePathStyle !== false;
+    try {
+      setSaving(true);
+      setError(null);
+      if (form.id) {
+        const response = await backupTargetsService.update(form.id, { name: form.name, config });
+        setTargets((prev) => prev.map((t) => (t.id === form.id ? response.data.target : t)));
+        flash('Backup target updated');
+      } else {
+        const response = await backupTargetsService.create({ name: form.name, type: form.type, config });
+        setTargets((prev) => [...prev, response.data.target]);
+        flash('Backup target added. Use "Test" to check it is writable.');
+      }
+      setForm(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to save backup target');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Delete backup target "${target.name}"? Archives already stored there are not deleted, but will no longer be listed.`)) return;
+    try {
+      await backupTargetsService.remove(target.id);
+      setTargets((prev) => prev.filter((t) => t.id !== target.id));
+      fetchArchives();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete backup target');
+    }
+  };
+
+  const handleTest = async (target) => {
+    setTesting((prev) => ({ ...prev, [target.id]: true }));
+    try {
+      const response = await backupTargetsService.test(target.id);
+      setTestResults((prev) => ({ ...prev, [target.id]: response.data }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [target.id]: { success: false, error: err.response?.data?.error || 'Test failed' } }));
+    } finally {
+      setTesting((prev) => ({ ...prev, [target.id]: false }));
+    }
+  };
+
+  const handleBackupNow = async (e) => {
+    e.preventDefault();
+    try {
+      setStartingBackup(true);
+      setError(null);
+      await backupTargetsService.backupNow(backupForm);
+      flash(`Backing up ${backupForm.containerName}; the archive appears below when it completes.`);
+      fetchArchives();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to start backup');
+    } finally {
+      setStartingBackup(false);
+    }
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    const { archive, serverId, containerName, mode } = restoreForm;
+    const warning =
+      mode === 'in-place'
+        ? `Replace the volume data of ${containerName} with the archive from ${new Date(archive.createdAt).toLocaleString()}? Current data in those volumes is lost.`
+        : `Restore the archive into new volumes on the selected server?`;
+    if (!window.confirm(warning)) return;
+    try {
+      setError(null);
+      await backupTargetsService.restore(archive.id, { serverId, containerName, mode });
+      setRestoreForm(null);
+      flash('Restore started');
+      fetchArchives();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to start restore');
+    }
+  };
+
+  const handleDeleteArchive = async (archive) => {
+    if (!window.confirm(`Delete the archive of ${archive.containerName} from ${new Date(archive.createdAt).toLocaleString()}? It is removed from the target.`)) return;
+    try {
+      await backupTargetsService.removeArchive(archive.id);
+      setArchives((prev) => prev.filter((a) => a.id !== archive.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete archive');
+    }
+  };
+
+  const openRestore = (archive) =>
+    setRestoreForm({ archive, serverId: archive.serverId || servers[0]?.id || '', containerName: archive.containerName, mode: 'in-place' });
+
+  const updateConfig = (key, value) => setForm((prev) => ({ ...prev, config: { ...prev.config, [key]: value } }));
+  const typeLabel = (type) => types.find((t) => t.type === type)?.label || type;
+  const targetName = (id) => targets.find((t) => t.id === id)?.name || '—';
+
+  if (loading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">Loading backup targets...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Volume Backups</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Archive container volumes off-host to a directory on the DockerFleet host or to S3-compatible storage (AWS S3, MinIO, …), with
+            checksums and restore. To export on a schedule, pick a target when creating a job under{' '}
+            <Link to="/scheduled-backups" className="text-primary-600 dark:text-primary-400 hover:underline">Scheduled backups</Link>.
+          </p>
+        </div>
+        {!form && (
+          <button onClick={() => setForm({ ...emptyForm, config: {} })} className={`${primaryButton} whitespace-nowrap`}>
+            Add target
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="max-w-5xl space-y-6">
+        {form && (
+          <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">{form.id ? `Edit ${form.name}` : 'New backup target'}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Name</label>
+                <input type="text" required maxLength={100} value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} placeholder="Offsite MinIO" />
+              </div>
+              <div>
+                <label className={labelClass}>Type</label>
+                <select
+                  value={form.type}
+                  disabled={!!form.id}
+                  onChange={(e) => setForm({ ...form, type: e.target.value, config: {}, secretsSet: [] })}
+                  className={inputClass}
+                >
+                  {types.map((t) => (
+                    <option key={t.type} value={t.type}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+              {TARGET_FIELDS[form.type].map((field) => {
+                const isSet = field.secret && form.secretsSet.includes(field.key);
+                return (
+                  <div key={field.key}>
+                    <label className={labelClass}>{field.label}</label>
+                    <input
+                      type={field.secret ? 'password' : 'text'}
+                      autoComplete="off"
+                      required={field.required && !isSet}
+                      value={form.config[field.key] ?? ''}
+                      onChange={(e) => updateConfig(field.key, e.target.value)}
+                      placeholder={isSet ? 'Stored — leave empty to keep' : field.placeholder}
+                      className={inputClass}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            {form.type === 'local' && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Archives are written under the backend&apos;s backup root (<code>VOLUME_BACKUP_LOCAL_ROOT</code>, mounted from the host in Docker).
+              </p>
+            )}
+            {form.type === 's3' && (
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.config.forcePathStyle !== false}
+                  onChange={(e) => updateConfig('forcePathStyle', e.target.checked)}
+                  className="rounded text-primary-600"
+                />
+                Path-style URLs (endpoint/bucket/key; needed for MinIO and most self-hosted services)
+              </label>
+            )}
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className={primaryButton}>
+                {saving ? 'Saving...' : 'Save target'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Targets</h2>
+          {targets.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No backup targets yet. Add one to start exporting volumes.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {targets.map((target) => {
+                const result = testResults[target.id];
+                const location = target.type === 's3' ? `${target.config.bucket}/${target.config.prefix || ''}` : `/${target.config.directory || ''}`;
+                return (
+                  <li key={target.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        {target.name}
+                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{typeLabel(target.type)}</span>
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 font-mono">{location}</div>
+                      {target.lastError && <div className="text-xs text-red-600 dark:text-red-400">Last error: {target.lastError}</div>}
+                      {result && (
+                        <div className={`text-xs mt-1 ${result.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                          {result.success ? result.message : `Test failed: ${result.error}`}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button onClick={() => handleTest(target)} disabled={testing[target.id]} className={secondaryButton}>
+                        {testing[target.id] ? 'Testing…' : 'Test'}
+                      </button>
+                      <button
+                        onClick={() => setForm({ ...target, config: { ...target.config } })}
+                        className="px-3 py-1 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(target)} className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {targets.length > 0 && (
+          <form onSubmit={handleBackupNow} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Back up now</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className={labelClass}>Target</label>
+                <select required value={backupForm.targetId} onChange={(e) => setBackupForm({ ...backupForm, targetId: e.target.value })} className={inputClass}>
+                  <option value="">Select…</option>
+                  {targets.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Server</label>
+                <select
+                  required
+                  value={backupForm.serverId}
+                  onChange={(e) => setBackupForm({ ...backupForm, serverId: e.target.value, containerName: '' })}
+                  className={inputClass}
+                >
+                  <option value="">Select…</option>
+                  {servers.map((s) => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Container</label>
+                <select
+                  required
+                  value={backupForm.containerName}
+                  disabled={!backupForm.serverId}
+                  onChange={(e) => setBackupForm({ ...backupForm, containerName: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Select…</option>
+                  {containers.map((c) => {
+                    const name = (c.Names || '').replace(/^\//, '');
+                    return (
+                      <option key={c.ID} value={name}>{name}</option>
+                    );
+                  })}
+                </select>
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={startingBackup} className={primaryButton}>
+                {startingBackup ? 'Starting…' : 'Back up volumes'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {restoreForm && (
+          <form onSubmit={handleRestore} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+              Restore {restoreForm.archive.containerName} from {new Date(restoreForm.archive.createdAt).toLocaleString()}
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Server</label>
+                <select required value={restoreForm.serverId} onChange={(e) => setRestoreForm({ ...restoreForm, serverId: e.target.value })} className={inputClass}>
+                  <option value="">Select…</option>
+                  {servers.map((s) => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>{restoreForm.mode === 'in-place' ? 'Container' : 'Name for the new volumes'}</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={255}
+                  value={restoreForm.containerName}
+                  onChange={(e) => setRestoreForm({ ...restoreForm, containerName: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              {restoreModes.map((mode) => (
+                <label key={mode} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    checked={restoreForm.mode === mode}
+                    onChange={() => setRestoreForm({ ...restoreForm, mode })}
+                    className="text-primary-600"
+                  />
+                  {RESTORE_MODE_LABELS[mode] || mode}
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setRestoreForm(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button type="submit" className={primaryButton}>Restore</button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Archives</h2>
+            <div className="flex items-center gap-2">
+              <select value={archiveFilter} onChange={(e) => setArchiveFilter(e.target.value)} className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100">
+                <option value="">All targets</option>
+                {targets.map((t) => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+              <button onClick={fetchArchives} className={secondaryButton}>Refresh</button>
+            </div>
+          </div>
+          {archives.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No archives yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="py-2 pr-4 font-medium">Container</th>
+                    <th className="py-2 pr-4 font-medium">Target</th>
+                    <th className="py-2 pr-4 font-medium">Created</th>
+                    <th className="py-2 pr-4 font-medium">Size</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 font-medium"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {archives.map((a) => {
+                    const volumes = (a.manifest || []).filter((m) => m.archived).length;
+                    return (
+                      <tr key={a.id} className="align-top">
+                        <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">
+                          {a.containerName}
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {a.serverName || 'removed server'}
+                            {a.backupJobId && ' · scheduled'}
+                          </div>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">{targetName(a.backupTargetId)}</td>
+                        <td className="py-2 pr-4 text-gray-700 dark:text-gray-300 whitespace-nowrap">{new Date(a.createdAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                          {a.sizeBytes != null ? formatBytes(a.sizeBytes) : '—'}
+                          {a.manifest && <div className="text-xs text-gray-500 dark:text-gray-400">{volumes} of {a.manifest.length} mount(s)</div>}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <span className={statusClass[a.status] || ''}>{a.status}</span>
+                          {a.error && <div className="text-xs text-red-600 dark:text-red-400 max-w-xs break-words">{a.error}</div>}
+                          {a.sha256 && <div className="text-xs text-gray-500 dark:text-gray-400 font-mono" title={a.sha256}>sha256 {a.sha256.slice(0, 12)}…</div>}
+                          {a.restoreStatus && (
+                            <div className={`text-xs ${statusClass[a.restoreStatus] || ''}`}>
+                              Restore {a.restoreStatus}
+                              {a.restoredAt && a.restoreStatus === 'completed' && ` ${new Date(a.restoredAt).toLocaleString()}`}
+                              {a.restoreError && `: ${a.restoreError}`}
+                            </div>
+                          )}
+                          {a.restoreStatus === 'completed' && a.restoreResult?.volumes?.length > 0 && (
+                            <div className="text-xs text-gray-500 dark:text-gray-400 font-mono break-all">{a.restoreResult.volumes.join(' ')}</div>
+                          )}
+                          {a.restoreStatus === 'completed' && a.restoreResult?.skipped?.length > 0 && (
+                            <div className="text-xs text-amber-600 dark:text-amber-400">
+                              Skipped: {a.restoreResult.skipped.map((s) => `${s.destination} (${s.reason})`).join('; ')}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-2 text-right whitespace-nowrap">
+                          {a.status === 'completed' && (
+                            <button
+                              onClick={() => openRestore(a)}
+                              disabled={a.restoreStatus === 'running'}
+                              className="px-3 py-1 text-sm text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+                            >
+                              Restore
+                            </button>
+                          )}
+                          {a.status !== 'running' && (
+                            <button onClick={() => handleDeleteArchive(a)} className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline">
+                              Delete
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupTargets;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { serversService } from '../services/servers.service';
 import { containersService } from '../services/containers.service';
+import { backupTargetsService } from '../services/backupTargets.service';
 import { backupSchedulesService } from '../services/backupSchedules.service';
 import { useRefetchOnVisible } from '../hooks/useRefetchOnVisible';
 
@@ -18,6 +19,72 @@ function getContainerName(c) {
   return name || (c.ID || c.Id || '').substring(0, 12) || 'unknown';
 }
 
+const browserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const CRON_EXAMPLES = [
+  { expression: '30 2 * * 1-5', label: 'Weekdays at 02:30' },
+  { expression: '0 */6 * * *', label: 'Every 6 hours' },
+  { expression: '0 3 1 * *', label: '1st of the month at 03:00' },
+  { expression: '15 1 * * sat,sun', label: 'Weekends at 01:15' },
+];
+
+/**
+ * Next run times of the schedule being edited, computed by the backend (same code as the scheduler).
+ */
+const SchedulePreview = ({ scheduleType, scheduleConfig, timezone }) => {
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await backupSchedulesService.preview({ scheduleType, timezone, count: 5, ...scheduleConfig });
+        if (!cancelled) {
+          setRuns(res.data.runs || []);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setRuns([]);
+          setError(err.response?.data?.error || 'Invalid schedule');
+        }
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scheduleType, scheduleConfig, timezone]);
+
+  const zone = scheduleType === 'interval' ? undefined : timezone;
+  return (
+    <div className="md:col-span-2 rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+      <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Next runs</p>
+      {error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      ) : (
+        <ul className="text-sm font-mono text-gray-700 dark:text-gray-300 space-y-0.5">
+          {runs.map((r) => (
+            <li key={r}>
+              {new Date(r).toLocaleString([], { timeZone: zone, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' })}
+            </li>
+          ))}
+        </ul>
+      )}
+      {scheduleType === 'interval' && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Interval schedules count from the last run (first run right after creating the job).</p>}
+    </div>
+  );
+};
+
 const BulkBackupSchedules = () => {
   const [servers, setServers] = useState([]);
   const [selectedServerIds, setSelectedServerIds] = useState(new Set());
@@ -27,9 +94,12 @@ const BulkBackupSchedules = () => {
   const [scheduleForm, setScheduleForm] = useState({
     scheduleType: 'interval',
     scheduleConfig: { intervalHours: 24 },
+    timezone: browserTimeZone(),
     retention: 5,
+    backupTargetId: '',
     enabled: true,
   });
+  const [backupTargets, setBackupTargets] = useState([]);
   const [saving, setSaving] = useState(false);
   const [existingJobs, setExistingJobs] = useState([]);
   const [loadingExisting, setLoadingExisting] = useState(false);
@@ -54,6 +124,12 @@ const BulkBackupSchedules = () => {
     return () => { cancelled = true; };
   }, []);
 
+  useEffect(() => {
+    backupTargetsService.list()
+      .then((res) => setBackupTargets(res.data.targets || []))
+      .catch(() => setBackupTargets([]));
+  }, []);
+
   const fetchContainers = useCallback(async (serverId) => {
     setLoadingContainers((prev) => new Set(prev).add(serverId));
     try {
@@ -214,7 +290,9 @@ const BulkBackupSchedules = () => {
         targets,
         scheduleType: scheduleForm.scheduleType,
         scheduleConfig: scheduleForm.scheduleConfig,
+        timezone: scheduleForm.timezone,
         retention: scheduleForm.retention,
+        backupTargetId: scheduleForm.backupTargetId || null,
         enabled: scheduleForm.enabled,
       });
       setSelectedTargets(new Set());
@@ -267,9 +345,11 @@ const BulkBackupSchedules = () => {
   const scheduleSummary = (job) => {
     const cfg = job.scheduleConfig || {};
     if (job.scheduleType === 'interval') return `Every ${cfg.intervalHours ?? 24}h`;
-    if (job.scheduleType === 'daily') return `Daily ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} UTC`;
+    const zone = job.timezone || 'UTC';
+    if (job.scheduleType === 'cron') return `Cron ${cfg.expression} (${zone})`;
+    if (job.scheduleType === 'daily') return `Daily ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} ${zone}`;
     const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    return `${days[cfg.dayOfWeek ?? 0]} ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} UTC`;
+    return `${days[cfg.dayOfWeek ?? 0]} ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} ${zone}`;
   };
 
   return (
@@ -301,6 +381,11 @@ const BulkBackupSchedules = () => {
                   <div className="flex flex-wrap items-center gap-4">
                     <span className="font-medium text-gray-900 dark:text-gray-100">{scheduleSummary(job)}</span>
                     <span className="text-sm text-gray-500 dark:text-gray-400">Keep last {job.retention} · Next run {formatDate(job.nextRunAt)}</span>
+                    {job.backupTargetId && (
+                      <span className="text-sm text-gray-500 dark:text-gray-400">
+                        Volumes → {backupTargets.find((t) => t.id === job.backupTargetId)?.name || 'backup target'}
+                      </span>
+                    )}
                     {job.name && <span className="text-sm text-gray-500 dark:text-gray-400">({job.name})</span>}
                   </div>
                   <div className="flex items-center gap-2">
@@ -551,16 +636,64 @@ const BulkBackupSchedules = () => {
                   setScheduleForm((f) => ({
                     ...f,
                     scheduleType: t,
-                    scheduleConfig: t === 'interval' ? { intervalHours: 24 } : t === 'daily' ? { hour: 2, minute: 0 } : { dayOfWeek: 0, hour: 2, minute: 0 },
+                    scheduleConfig:
+                      t === 'interval' ? { intervalHours: 24 }
+                        : t === 'daily' ? { hour: 2, minute: 0 }
+                          : t === 'cron' ? { expression: CRON_EXAMPLES[0].expression }
+                            : { dayOfWeek: 0, hour: 2, minute: 0 },
                   }));
                 }}
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
               >
                 <option value="interval">Every N hours</option>
-                <option value="daily">Daily at a set time (UTC)</option>
-                <option value="weekly">Weekly (day + time UTC)</option>
+                <option value="daily">Daily at a set time</option>
+                <option value="weekly">Weekly (day + time)</option>
+                <option value="cron">Cron expression</option>
               </select>
             </div>
+            {scheduleForm.scheduleType !== 'interval' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Timezone</label>
+                <input
+                  type="text"
+                  list="backup-timezones"
+                  value={scheduleForm.timezone}
+                  onChange={(e) => setScheduleForm((f) => ({ ...f, timezone: e.target.value.trim() }))}
+                  placeholder="Europe/London"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                />
+                <datalist id="backup-timezones">
+                  {['UTC', ...TIME_ZONES.filter((z) => z !== 'UTC')].map((z) => (
+                    <option key={z} value={z} />
+                  ))}
+                </datalist>
+              </div>
+            )}
+            {scheduleForm.scheduleType === 'cron' && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Cron expression (minute hour day-of-month month day-of-week)</label>
+                <input
+                  type="text"
+                  value={scheduleForm.scheduleConfig.expression ?? ''}
+                  onChange={(e) => setScheduleForm((f) => ({ ...f, scheduleConfig: { expression: e.target.value } }))}
+                  placeholder="30 2 * * 1-5"
+                  className="w-full px-3 py-2 font-mono border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                />
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {CRON_EXAMPLES.map((ex) => (
+                    <button
+                      key={ex.expression}
+                      type="button"
+                      onClick={() => setScheduleForm((f) => ({ ...f, scheduleConfig: { expression: ex.expression } }))}
+                      className="px-2 py-1 text-xs text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded hover:bg-gray-200 dark:hover:bg-gray-600"
+                      title={ex.expression}
+                    >
+                      {ex.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
             {scheduleForm.scheduleType === 'interval' && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Interval (hours)</label>
@@ -580,7 +713,7 @@ const BulkBackupSchedules = () => {
             {scheduleForm.scheduleType === 'daily' && (
               <div className="flex gap-3">
                 <div className="flex-1">
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Hour (UTC)</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Hour</label>
                   <input
                     type="number"
                     min={0}
@@ -612,7 +745,7 @@ const BulkBackupSchedules = () => {
             {scheduleForm.scheduleType === 'weekly' && (
               <div className="md:col-span-2 space-y-3">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Day of week (UTC)</label>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Day of week</label>
                   <select
                     value={scheduleForm.scheduleConfig.dayOfWeek ?? 0}
                     onChange={(e) => setScheduleForm((f) => ({
@@ -628,7 +761,7 @@ const BulkBackupSchedules = () => {
                 </div>
                 <div className="flex gap-3">
                   <div className="flex-1">
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Hour (UTC)</label>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Hour</label>
                     <input
                       type="number"
                       min={0}
@@ -658,6 +791,7 @@ const BulkBackupSchedules = () => {
                 </div>
               </div>
             )}
+            <SchedulePreview scheduleType={scheduleForm.scheduleType} scheduleConfig={scheduleForm.scheduleConfig} timezone={scheduleForm.timezone} />
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Keep last N snapshots</label>
               <input
@@ -669,6 +803,23 @@ const BulkBackupSchedules = () => {
                 className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
               />
             </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Export volumes to</label>
+              <select
+                value={scheduleForm.backupTargetId}
+                onChange={(e) => setScheduleForm((f) => ({ ...f, backupTargetId: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              >
+                <option value="">Don&apos;t export (snapshots stay on the host)</option>
+                {backupTargets.map((t) => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Copies each run&apos;s volume archive off the host, keeping the same number of archives per container.{' '}
+                <Link to="/backup-targets" className="text-primary-600 dark:text-primary-400 hover:underline">Manage backup targets</Link>
+              </p>
+            </div>
             <div className="flex items-center">
               <input
                 type="checkbox"
@@ -9,6 +9,7 @@ import { imagesService } from '../services/images.service';
 import { backupSchedulesService } from '../services/backupSchedules.service';
 import LogsViewer from '../components/LogsViewer';
 import Console from '../components/Console';
+import MetricsHistory from '../components/MetricsHistory';
 import { LineChart, Line, AreaChart, Area, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
 // Helper function to safely parse Docker dates
@@ -130,6 +131,8 @@ const ContainerDetails = () => {
   const [updateStatusLoading, setUpdateStatusLoading] = useState(false);
   const [pullAndUpdateLoading, setPullAndUpdateLoading] = useState(false);
   const [lastUpdateResult, setLastUpdateResult] = useState(null);
+  // Safe update: keep the old container until the new one passes its HEALTHCHECK / probe
+  const [safeUpdate, setSafeUpdate] = useState({ enabled: false, timeoutSeconds: '60', probeType: '', probePort: '', probePath: '/' });
   const [recreateLoading, setRecreateLoading] = useState(false);
   const [lastRecreateResult, setLastRecreateResult] = useState(null);
   const [editingPortMappings, setEditingPortMappings] = useState(null);
@@ -1005,6 +1008,9 @@ const ContainerDetails = () => {
                   <option value="daily">Daily at a set time</option>
                   <option value="weekly">Weekly (day + time)</option>
                 </select>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Times are UTC. For cron expressions or another timezone use <Link to="/scheduled-backups" className="text-primary-600 dark:text-primary-400 hover:underline">Scheduled backups</Link>.
+                </p>
               </div>
               {backupScheduleForm.scheduleType === 'interval' && (
                 <div>
@@ -1486,7 +1492,17 @@ const ContainerDetails = () => {
                                   };
                                   socket?.on('container:update:progress', progressHandler);
                                   try {
-                                    const res = await containersService.pullAndUpdate(serverId, containerId);
+                                    const body = safeUpdate.enabled
+                                      ? {
+                                        safeUpdate: {
+                                          timeoutSeconds: safeUpdate.timeoutSeconds,
+                                          probe: safeUpdate.probeType
+                                            ? { type: safeUpdate.probeType, port: safeUpdate.probePort, path: safeUpdate.probePath }
+                                            : null,
+                                        },
+                                      }
+                                      : {};
+                                    const res = await containersService.pullAndUpdate(serverId, containerId, body);
                                     const data = res.data || {};
                                     setLastUpdateResult(data);
                                     if (data.success) {
@@ -1522,6 +1538,77 @@ const ContainerDetails = () => {
                             )}
                           </div>
                         )}
+                        {!isPinned && (updateStatus?.updateAvailable || updateStatus?.error) && (
+                          <div className="mt-2 text-sm">
+                            <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={safeUpdate.enabled}
+                                onChange={(e) => setSafeUpdate((prev) => ({ ...prev, enabled: e.target.checked }))}
+                                disabled={pullAndUpdateLoading}
+                                className="rounded text-primary-600"
+                              />
+                              Safe update — keep the old container until the new one is healthy, roll back otherwise
+                            </label>
+                            {safeUpdate.enabled && (
+                              <div className="mt-2 flex flex-wrap items-end gap-2">
+                                <label className="text-xs text-gray-600 dark:text-gray-400">
+                                  Timeout (s)
+                                  <input
+                                    type="number"
+                                    min="10"
+                                    max="600"
+                                    value={safeUpdate.timeoutSeconds}
+                                    onChange={(e) => setSafeUpdate((prev) => ({ ...prev, timeoutSeconds: e.target.value }))}
+                                    className="mt-1 block w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                  />
+                                </label>
+                                <label className="text-xs text-gray-600 dark:text-gray-400">
+                                  Probe
+                                  <select
+                                    value={safeUpdate.probeType}
+                                    onChange={(e) => setSafeUpdate((prev) => ({ ...prev, probeType: e.target.value }))}
+                                    className="mt-1 block px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                  >
+                                    <option value="">HEALTHCHECK only</option>
+                                    <option value="http">HTTP</option>
+                                    <option value="tcp">TCP</option>
+                                  </select>
+                                </label>
+                                {safeUpdate.probeType && (
+                                  <label className="text-xs text-gray-600 dark:text-gray-400">
+                                    Container port
+                                    <input
+                                      type="number"
+                                      min="1"
+                                      max="65535"
+                                      value={safeUpdate.probePort}
+                                      onChange={(e) => setSafeUpdate((prev) => ({ ...prev, probePort: e.target.value }))}
+                                      className="mt-1 block w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                    />
+                                  </label>
+                                )}
+                                {safeUpdate.probeType === 'http' && (
+                                  <label className="text-xs text-gray-600 dark:text-gray-400">
+                                    Path
+                                    <input
+                                      type="text"
+                                      value={safeUpdate.probePath}
+                                      onChange={(e) => setSafeUpdate((prev) => ({ ...prev, probePath: e.target.value }))}
+                                      className="mt-1 block w-40 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                                      placeholder="/health"
+                                    />
+                                  </label>
+                                )}
+                              </div>
+                            )}
+                            {safeUpdate.enabled && (
+                              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                Without a HEALTHCHECK in the image or a probe, the new container only has to keep running for 10 seconds.
+                              </p>
+                            )}
+                          </div>
+                        )}
                         {!isPinned && lastUpdateResult && (lastUpdateResult.inProgress || (lastUpdateResult.steps && lastUpdateResult.steps.length > 0)) && (
                           <div className="mt-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-600">
                             <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 uppercase tracking-wide mb-2">
@@ -1529,6 +1616,8 @@ const ContainerDetails = () => {
                                 <span className="text-primary-600 dark:text-primary-400">Pulling & updating…</span>
                               ) : lastUpdateResult.success ? (
                                 <span className="text-green-600 dark:text-green-400">Update completed successfully</span>
+                              ) : lastUpdateResult.rolledBack ? (
+                                <span className="text-amber-600 dark:text-amber-400">Update rolled back</span>
                               ) : (
                                 <span className="text-red-600 dark:text-red-400">Update failed</span>
                               )}
@@ -2266,11 +2355,13 @@ const ContainerDetails = () => {
                     let summary = '';
                     if (job.scheduleType === 'interval') {
                       summary = `Every ${cfg.intervalHours ?? 24}h`;
+                    } else if (job.scheduleType === 'cron') {
+                      summary = `Cron ${cfg.expression} (${job.timezone || 'UTC'})`;
                     } else if (job.scheduleType === 'daily') {
-                      summary = `Daily at ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} UTC`;
+                      summary = `Daily at ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} ${job.timezone || 'UTC'}`;
                     } else {
                       const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-                      summary = `${days[cfg.dayOfWeek ?? 0]} at ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} UTC`;
+                      summary = `${days[cfg.dayOfWeek ?? 0]} at ${String(cfg.hour ?? 2).padStart(2, '0')}:${String(cfg.minute ?? 0).padStart(2, '0')} ${job.timezone || 'UTC'}`;
                     }
                     return (
                       <div key={job.id} className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-5 shadow-sm">
@@ -2298,6 +2389,9 @@ const ContainerDetails = () => {
 
           {activeTab === 'stats' && (
             <div>
+              <div className="mb-6">
+                <MetricsHistory serverId={serverId} containerId={containerId} />
+              </div>
               {stats ? (
                 <div className="space-y-6">
                   {/* Real-time CPU and Memory Charts */}
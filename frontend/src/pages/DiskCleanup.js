@@ -0,0 +1,459 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { diskCleanupService } from '../services/diskCleanup.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const primaryButton =
+  'px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50';
+const secondaryButton =
+  'px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50';
+
+const CATEGORY_LABELS = {
+  containers: 'Stopped containers',
+  images: 'Unused images',
+  volumes: 'Unused volumes',
+  networks: 'Unused networks',
+  buildCache: 'Build cache',
+};
+const SUMMARY_LABELS = { containers: 'Containers', images: 'Images', volumes: 'Volumes', buildCache: 'Build cache' };
+const DEFAULT_CATEGORIES = ['containers', 'images', 'networks', 'buildCache'];
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes <= 0) return '0 B';
+  const k = 1000;
+  const sizes = ['B', 'kB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return `${Math.round((bytes / k ** i) * 10) / 10} ${sizes[i]}`;
+};
+
+const describeRemoved = (removed) =>
+  Object.entries(removed || {})
+    .filter(([, n]) => n > 0)
+    .map(([category, n]) => (category === 'buildCache' ? 'build cache' : `${n} ${category}`))
+    .join(', ') || 'nothing';
+
+const scheduleFormOf = (schedule) => ({
+  enabled: schedule ? schedule.enabled : true,
+  cronExpression: schedule?.cronExpression || '0 4 * * 0',
+  timezone: schedule?.timezone || browserTimeZone(),
+  categories: schedule?.categories || DEFAULT_CATEGORIES,
+  allImages: !!schedule?.options?.allImages,
+  namedVolumes: !!schedule?.options?.namedVolumes,
+});
+
+// Category checkboxes plus the two options that widen images and volumes
+const CleanupOptions = ({ value, onChange }) => {
+  const toggle = (category) =>
+    onChange({
+      ...value,
+      categories: value.categories.includes(category)
+        ? value.categories.filter((c) => c !== category)
+        : [...value.categories, category],
+    });
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-x-4 gap-y-2">
+        {Object.entries(CATEGORY_LABELS).map(([category, label]) => (
+          <label key={category} className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={value.categories.includes(category)}
+              onChange={() => toggle(category)}
+              className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-2">
+        <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={value.allImages}
+            disabled={!value.categories.includes('images')}
+            onChange={(e) => onChange({ ...value, allImages: e.target.checked })}
+            className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Include unused tagged images (not only dangling ones)
+        </label>
+        <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={value.namedVolumes}
+            disabled={!value.categories.includes('volumes')}
+            onChange={(e) => onChange({ ...value, namedVolumes: e.target.checked })}
+            className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Include unused named volumes (their data is lost)
+        </label>
+      </div>
+    </div>
+  );
+};
+
+const DiskCleanup = () => {
+  const { serverId } = useParams();
+  const [options, setOptions] = useState({ categories: DEFAULT_CATEGORIES, allImages: false, namedVolumes: false });
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [loadingPreview, setLoadingPreview] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState(scheduleFormOf(null));
+  const [savingSchedule, setSavingSchedule] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 4000);
+  };
+
+  const fetchPreview = useCallback(async () => {
+    if (!options.categories.length) {
+      setPreview(null);
+      setLoadingPreview(false);
+      return;
+    }
+    try {
+      setLoadingPreview(true);
+      setError(null);
+      const response = await diskCleanupService.preview(serverId, {
+        categories: options.categories.join(','),
+        allImages: options.allImages,
+        namedVolumes: options.namedVolumes,
+      });
+      setPreview(response.data);
+      setSelected(new Set(response.data.items.map((i) => i.id)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to read disk usage');
+    } finally {
+      setLoadingPreview(false);
+    }
+  }, [serverId, options]);
+
+  useEffect(() => {
+    fetchPreview();
+  }, [fetchPreview]);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const response = await diskCleanupService.getSchedule(serverId);
+        setSchedule(response.data.schedule);
+        setScheduleForm(scheduleFormOf(response.data.schedule));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load the cleanup schedule');
+      }
+    })();
+  }, [serverId]);
+
+  const toggleItem = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const selectedItems = (preview?.items || []).filter((i) => selected.has(i.id));
+  const selectedBytes = selectedItems.reduce((sum, i) => sum + (i.sizeBytes || 0), 0);
+
+  const handleRun = async () => {
+    if (!window.confirm(`Delete ${selectedItems.length} item(s) (about ${formatBytes(selectedBytes)})? This cannot be undone.`)) return;
+    try {
+      setRunning(true);
+      setError(null);
+      setResult(null);
+      const response = await diskCleanupService.run(serverId, { ...options, itemIds: selectedItems.map((i) => i.id) });
+      setResult(response.data);
+      await fetchPreview();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Cleanup failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingSchedule(true);
+      setError(null);
+      const response = await diskCleanupService.saveSchedule(serverId, scheduleForm);
+      setSchedule(response.data.schedule);
+      flash('Cleanup schedule saved');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the cleanup schedule');
+    } finally {
+      setSavingSchedule(false);
+    }
+  };
+
+  const handleDeleteSchedule = async () => {
+    if (!window.confirm('Remove the cleanup schedule for this server?')) return;
+    try {
+      await diskCleanupService.deleteSchedule(serverId);
+      setSchedule(null);
+      setScheduleForm(scheduleFormOf(null));
+      flash('Cleanup schedule removed');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove the cleanup schedule');
+    }
+  };
+
+  const disk = preview?.disk;
+  const usedPercent = disk && disk.sizeBytes ? Math.round((disk.usedBytes / disk.sizeBytes) * 100) : null;
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6">
+        <Link
+          to={`/servers/${serverId}`}
+          className="text-sm text-primary-600 hover:text-primary-700 mb-2 inline-block"
+        >
+          ← Back to server
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Disk Cleanup</h1>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Reclaim space used by Docker on this server. The preview lists exactly what a cleanup deletes; backup snapshot images and
+          containers in the middle of an update are never removed.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="max-w-5xl space-y-6">
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Disk usage</h2>
+          {disk && (
+            <div className="mb-4">
+              <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400 mb-1">
+                <span>{disk.mountpoint}</span>
+                <span>
+                  {formatBytes(disk.usedBytes)} of {formatBytes(disk.sizeBytes)} used, {formatBytes(disk.availableBytes)} free
+                </span>
+              </div>
+              <div className="w-full h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className={`h-3 ${usedPercent >= 90 ? 'bg-red-500' : usedPercent >= 75 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                  style={{ width: `${usedPercent}%` }}
+                />
+              </div>
+            </div>
+          )}
+          {preview?.summary?.length > 0 ? (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-1 pr-4 font-medium">Category</th>
+                  <th className="py-1 pr-4 font-medium">Total</th>
+                  <th className="py-1 pr-4 font-medium">In use</th>
+                  <th className="py-1 pr-4 font-medium">Size</th>
+                  <th className="py-1 font-medium">Reclaimable (Docker estimate)</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-900 dark:text-gray-100">
+                {preview.summary.map((row) => (
+                  <tr key={row.category} className="border-t border-gray-100 dark:border-gray-700">
+                    <td className="py-1 pr-4">{SUMMARY_LABELS[row.category]}</td>
+                    <td className="py-1 pr-4">{row.total}</td>
+                    <td className="py-1 pr-4">{row.active}</td>
+                    <td className="py-1 pr-4">{formatBytes(row.sizeBytes)}</td>
+                    <td className="py-1">{formatBytes(row.reclaimableBytes)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            !loadingPreview && <p className="text-sm text-gray-500 dark:text-gray-400">No disk usage reported.</p>
+          )}
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+          <div className="flex items-center justify-between gap-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Clean up now</h2>
+            <button onClick={fetchPreview} disabled={loadingPreview || running} className={secondaryButton}>
+              Refresh preview
+            </button>
+          </div>
+          <CleanupOptions value={options} onChange={setOptions} />
+
+          {loadingPreview ? (
+            <div className="text-center py-6">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              <p className="mt-2 text-gray-600 dark:text-gray-400">Reading disk usage...</p>
+            </div>
+          ) : preview && (
+            <>
+              {preview.items.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Nothing to clean up in the selected categories.</p>
+              ) : (
+                Object.keys(CATEGORY_LABELS).map((category) => {
+                  const items = preview.items.filter((i) => i.category === category);
+                  if (!items.length) return null;
+                  return (
+                    <div key={category}>
+                      <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">
+                        {CATEGORY_LABELS[category]} ({items.length})
+                      </h3>
+                      <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-md">
+                        {items.map((item) => (
+                          <li key={item.id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                            <label className="flex items-center min-w-0 text-gray-900 dark:text-gray-100">
+                              <input
+                                type="checkbox"
+                                checked={selected.has(item.id)}
+                                onChange={() => toggleItem(item.id)}
+                                className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                              />
+                              <span className="font-mono truncate" title={item.name}>{item.name}</span>
+                              {item.detail && <span className="ml-2 text-gray-500 dark:text-gray-400 truncate">{item.detail}</span>}
+                            </label>
+                            <span className="whitespace-nowrap text-gray-600 dark:text-gray-400">{formatBytes(item.sizeBytes)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })
+              )}
+
+              {preview.protected.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-1">Kept ({preview.protected.length})</h3>
+                  <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                    {preview.protected.map((p) => (
+                      <li key={`${p.category}:${p.key}`}>
+                        <span className="font-mono">{p.name}</span> — {p.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between gap-4 pt-2">
+                <span className="text-sm text-gray-600 dark:text-gray-400">
+                  {selectedItems.length} of {preview.items.length} selected, about {formatBytes(selectedBytes)}
+                </span>
+                <button onClick={handleRun} disabled={running || !selectedItems.length} className={primaryButton}>
+                  {running ? 'Cleaning up...' : 'Delete selected'}
+                </button>
+              </div>
+            </>
+          )}
+
+          {result && (
+            <div className={`rounded-md p-4 text-sm ${result.failed.length ? 'bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200' : 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200'}`}>
+              <p>
+                Removed {describeRemoved(result.removed)}; reclaimed about {formatBytes(result.reclaimedBytes)}
+                {result.freedBytes != null && ` (${formatBytes(result.freedBytes)} more free on disk)`}.
+              </p>
+              {result.failed.length > 0 && (
+                <ul className="mt-2 list-disc list-inside">
+                  {result.failed.map((f) => (
+                    <li key={f.id}>
+                      <span className="font-mono">{f.name}</span>: {f.error}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleSaveSchedule} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Schedule</h2>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              Scheduled cleanups delete everything the preview would list for these categories at run time, with the same protections.
+            </p>
+          </div>
+          <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={scheduleForm.enabled}
+              onChange={(e) => setScheduleForm({ ...scheduleForm, enabled: e.target.checked })}
+              className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Enabled
+          </label>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Cron expression</label>
+              <input
+                type="text"
+                value={scheduleForm.cronExpression}
+                onChange={(e) => setScheduleForm({ ...scheduleForm, cronExpression: e.target.value })}
+                placeholder="0 4 * * 0"
+                className={`${inputClass} font-mono`}
+                required
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Timezone</label>
+              <input
+                type="text"
+                value={scheduleForm.timezone}
+                onChange={(e) => setScheduleForm({ ...scheduleForm, timezone: e.target.value })}
+                placeholder="Europe/London"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <CleanupOptions value={scheduleForm} onChange={setScheduleForm} />
+
+          {schedule && (
+            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+              {schedule.nextRuns?.length > 0 && (
+                <p>Next runs: {schedule.nextRuns.map((r) => new Date(r).toLocaleString()).join(', ')}</p>
+              )}
+              {schedule.lastResult && (
+                <p>
+                  Last run {new Date(schedule.lastResult.at).toLocaleString()}:{' '}
+                  {schedule.lastResult.error ? (
+                    <span className="text-red-600 dark:text-red-400">{schedule.lastResult.error}</span>
+                  ) : (
+                    <>
+                      removed {describeRemoved(schedule.lastResult.removed)}, about {formatBytes(schedule.lastResult.reclaimedBytes)}
+                      {schedule.lastResult.failed > 0 && `, ${schedule.lastResult.failed} failed`}
+                    </>
+                  )}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            {schedule && (
+              <button type="button" onClick={handleDeleteSchedule} className={secondaryButton}>
+                Remove schedule
+              </button>
+            )}
+            <button type="submit" disabled={savingSchedule || !scheduleForm.categories.length} className={primaryButton}>
+              {savingSchedule ? 'Saving...' : 'Save schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DiskCleanup;
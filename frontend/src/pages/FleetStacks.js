@@ -0,0 +1,174 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { fleetStacksService } from '../services/fleetStacks.service';
+import { serversService } from '../services/servers.service';
+import FleetStackEditor from '../components/FleetStackEditor';
+import FleetStatusMatrix from '../components/FleetStatusMatrix';
+import { useSocket } from '../context/SocketContext';
+
+const statusBadge = (status) => {
+  if (!status) return <span className="text-sm text-gray-400 dark:text-gray-500">—</span>;
+  const cls = status === 'deployed'
+    ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+    : 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300';
+  return <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${cls}`}>{status}</span>;
+};
+
+export default function FleetStacks() {
+  const [fleets, setFleets] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [editing, setEditing] = useState(undefined);
+  const [expanded, setExpanded] = useState(() => new Set());
+  // fleetStackId -> serverId -> step of the running deploy (fleet-stack:deploy:step events)
+  const [steps, setSteps] = useState({});
+  const socket = useSocket();
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await fleetStacksService.list();
+      setFleets(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+  useEffect(() => {
+    serversService.getAll().then(({ data }) => setServers(data.servers || [])).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+    const onStep = (step) => setSteps((prev) => ({
+      ...prev,
+      [step.fleetStackId]: { ...(prev[step.fleetStackId] || {}), [step.serverId]: step },
+    }));
+    socket.on('fleet-stack:deploy:step', onStep);
+    return () => { socket.off('fleet-stack:deploy:step', onStep); };
+  }, [socket]);
+
+  const act = async (id, fn) => {
+    setBusy(id);
+    setError(null);
+    try { await fn(); await load(); }
+    catch (e) { setError(e.response?.data?.error || e.message); }
+    finally { setBusy(null); }
+  };
+
+  const deploy = (fleet, pull) => act(fleet.id, async () => {
+    setSteps((prev) => ({ ...prev, [fleet.id]: {} }));
+    setExpanded((prev) => new Set(prev).add(fleet.id));
+    const { data } = await fleetStacksService.deploy(fleet.id, pull);
+    const failed = data.servers.find((s) => s.status === 'failed');
+    if (failed) setError(`Deploy of ${fleet.name} stopped at ${failed.serverName}: ${failed.error || 'failed'}`);
+  });
+
+  const remove = (fleet) => {
+    const down = window.confirm(`Also take ${fleet.name} down and remove its stack on every server?\n\nOK = take down and remove, Cancel = keep them as standalone stacks.`);
+    if (!down && !window.confirm(`Delete fleet stack ${fleet.name} and keep its stacks on the servers?`)) return;
+    act(fleet.id, () => fleetStacksService.remove(fleet.id, down));
+  };
+
+  const toggle = (id) => setExpanded((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  const actionBtn = 'text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Fleet stacks</h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            One stack on many servers. Each server gets an ordinary stack, listed on the <Link to="/stacks" className="text-primary-600 dark:text-primary-400 hover:underline">Stacks</Link> page.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing(null)}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-lg hover:bg-primary-700 dark:hover:bg-primary-600 transition-colors"
+        >
+          New fleet stack
+        </button>
+      </div>
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-3">
+          <div className="text-sm text-red-800 dark:text-red-200 whitespace-pre-wrap">{error}</div>
+        </div>
+      )}
+      <div className="bg-white dark:bg-gray-800 shadow rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Name</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Servers</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Last status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Last deployed</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+              {fleets.map((f) => (
+                <React.Fragment key={f.id}>
+                  <tr className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-3 whitespace-nowrap font-mono text-sm text-gray-900 dark:text-gray-100">
+                      <button
+                        onClick={() => toggle(f.id)}
+                        aria-expanded={expanded.has(f.id)}
+                        title="Status per server"
+                        className="mr-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                      >
+                        {expanded.has(f.id) ? '▾' : '▸'}
+                      </button>
+                      {f.name}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+                      {f.targets.map((s) => s.name).join(', ') || '—'}
+                      {f.serverTag && <div className="text-xs">tag: {f.serverTag}</div>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {busy === f.id && steps[f.id] ? <span className="text-sm text-blue-700 dark:text-blue-300">Deploying…</span> : statusBadge(f.lastDeployStatus)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{f.lastDeployedAt ? new Date(f.lastDeployedAt).toLocaleString() : '—'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap space-x-3">
+                      <button disabled={busy === f.id} onClick={async () => { try { const { data } = await fleetStacksService.get(f.id); setEditing(data); } catch (e) { setError(e.response?.data?.error || e.message); } }} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Edit</button>
+                      <button disabled={busy === f.id} onClick={() => deploy(f, false)} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Deploy</button>
+                      <button disabled={busy === f.id} onClick={() => deploy(f, true)} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Pull+Deploy</button>
+                      <button disabled={busy === f.id} onClick={() => remove(f)} className={`${actionBtn} text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300`}>Delete</button>
+                    </td>
+                  </tr>
+                  {expanded.has(f.id) && (
+                    <tr>
+                      <td colSpan={5} className="px-8 py-3 bg-gray-50 dark:bg-gray-900/40">
+                        <FleetStatusMatrix fleet={f} steps={steps[f.id]} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+              {!fleets.length && (
+                <tr>
+                  <td className="px-4 py-6 text-sm text-gray-500 dark:text-gray-400" colSpan={5}>No fleet stacks yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {editing !== undefined && (
+        <FleetStackEditor
+          fleet={editing}
+          servers={servers}
+          onClose={() => setEditing(undefined)}
+          onSaved={() => { setEditing(undefined); load(); }}
+        />
+      )}
+    </div>
+  );
+}
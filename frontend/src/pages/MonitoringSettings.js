@@ -1,7 +1,24 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { monitoringService } from '../services/monitoring.service';
+import { serversService } from '../services/servers.service';
 import { useRefetchOnVisible } from '../hooks/useRefetchOnVisible';
 
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const CONTAINER_THRESHOLDS = [
+  { field: 'containerCpuAlertPercent', label: 'Container CPU', help: 'CPU usage of a container (100% = one full core)' },
+  { field: 'containerMemoryAlertPercent', label: 'Container memory', help: 'Memory usage as % of the container limit (host memory if unlimited)' },
+];
+const HOST_THRESHOLDS = [
+  { field: 'hostCpuAlertPercent', label: 'Host CPU', help: 'Overall CPU usage of the server' },
+  { field: 'hostDiskAlertPercent', label: 'Host root filesystem', help: 'Used space on / of the server' },
+];
+
+// Empty input = rule off (null)
+const parsePercent = (value) => (value === '' ? null : Math.min(100, Math.max(1, parseInt(value, 10) || 1)));
+
 const MonitoringSettings = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -17,8 +34,17 @@ const MonitoringSettings = () => {
     alertOnUpdateAvailable: true,
     updateAlertCooldownMs: 43200000, // 12 hours
     minContainersWithUpdatesBeforeAlert: 1,
+    containerCpuAlertPercent: null,
+    containerMemoryAlertPercent: 90,
+    hostCpuAlertPercent: null,
+    hostDiskAlertPercent: 85,
+    resourceAlertDurationMs: 300000, // 5 minutes
+    resourceAlertCooldownMs: 3600000, // 1 hour
+    alertOnResourceRecovery: true,
+    resourceAlertOverrides: [],
   });
   const [monitoringRunning, setMonitoringRunning] = useState(false);
+  const [servers, setServers] = useState([]);
 
   const fetchSettings = async () => {
     try {
@@ -38,6 +64,10 @@ const MonitoringSettings = () => {
 
   useEffect(() => {
     fetchSettings();
+    serversService
+      .getAll()
+      .then((response) => setServers(response.data.servers || []))
+      .catch(() => setServers([]));
   }, []);
 
   useRefetchOnVisible(fetchSettings);
@@ -49,6 +79,26 @@ const MonitoringSettings = () => {
     }));
   };
 
+  const overrides = settings.resourceAlertOverrides || [];
+
+  const updateOverride = (index, field, value) => {
+    handleChange(
+      'resourceAlertOverrides',
+      overrides.map((o, i) => (i === index ? { ...o, [field]: value } : o))
+    );
+  };
+
+  const addOverride = () => {
+    handleChange('resourceAlertOverrides', [
+      ...overrides,
+      { serverId: servers[0]?.id || '', containerName: '', disabled: false },
+    ]);
+  };
+
+  const removeOverride = (index) => {
+    handleChange('resourceAlertOverrides', overrides.filter((_, i) => i !== index));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -93,14 +143,17 @@ const MonitoringSettings = () => {
   return (
     <div className="px-4 py-6 sm:px-0">
       <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Email Alert Settings</h1>
-        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">Configure when and how often you receive email alerts</p>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Alert Settings</h1>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Configure when and how often you receive alerts. Choose where they go (email, Slack, Discord, ntfy, Gotify, webhooks) under{' '}
+          <Link to="/notifications" className="text-primary-600 dark:text-primary-400 hover:underline">Notifications</Link>.
+        </p>
       </div>
 
       {!monitoringRunning && (
         <div className="mb-4 rounded-md bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 p-4">
           <p className="text-sm text-amber-800 dark:text-amber-200">
-            <strong>Email alerts are not running.</strong> Alerts (e.g. containers without auto-restart) are only sent when the monitoring service is running. Enable <strong>Email</strong> in App configuration and click <strong>Save</strong> there to start it. After a backend restart, start it again by opening App configuration and saving.
+            <strong>Alerts are not running.</strong> Alerts (e.g. containers without auto-restart) are only sent when the monitoring service is running, which needs a delivery route: enable <strong>Email</strong> in App configuration and click <strong>Save</strong> there, or add an enabled channel under <Link to="/notifications" className="underline">Notifications</Link>.
           </p>
         </div>
       )}
@@ -305,6 +358,140 @@ const MonitoringSettings = () => {
             </div>
           </div>
 
+          {/* Resource Alerts */}
+          <div>
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Resource Alerts</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Alert when usage stays above a threshold, based on the samples the metrics collector records every minute. Leave a threshold empty to turn that rule off.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {[...CONTAINER_THRESHOLDS, ...HOST_THRESHOLDS].map((t) => (
+                <div key={t.field}>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t.label} above (%)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    step="1"
+                    placeholder="Off"
+                    value={settings[t.field] ?? ''}
+                    onChange={(e) => handleChange(t.field, parsePercent(e.target.value))}
+                    className={inputClass}
+                  />
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t.help}</p>
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">For at least (minutes)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={formatMsToMinutes(settings.resourceAlertDurationMs)}
+                  onChange={(e) => handleChange('resourceAlertDurationMs', minutesToMs(e.target.value || 0))}
+                  className={inputClass}
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Short spikes below this duration are ignored</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Repeat while still above (hours)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={formatMsToHours(settings.resourceAlertCooldownMs)}
+                  onChange={(e) => handleChange('resourceAlertCooldownMs', hoursToMs(e.target.value || 0))}
+                  className={inputClass}
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Cooldown between alerts for the same rule (default: 1 hour)</p>
+              </div>
+            </div>
+            <label className="mt-4 flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.alertOnResourceRecovery}
+                onChange={(e) => handleChange('alertOnResourceRecovery', e.target.checked)}
+                className="rounded text-primary-600"
+              />
+              Send a recovery notice when usage drops back below the threshold
+            </label>
+
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100">Per-server and per-container overrides</h3>
+                <button
+                  type="button"
+                  onClick={addOverride}
+                  disabled={servers.length === 0}
+                  className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors disabled:opacity-50"
+                >
+                  Add override
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                Leave the container empty to override a whole server. Empty thresholds inherit; Mute turns every resource alert off for that server or container.
+              </p>
+              {overrides.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No overrides.</p>
+              ) : (
+                <div className="space-y-3">
+                  {overrides.map((o, index) => (
+                    <div key={index} className="p-3 border border-gray-200 dark:border-gray-700 rounded-lg space-y-2">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        <select value={o.serverId} onChange={(e) => updateOverride(index, 'serverId', e.target.value)} className={inputClass}>
+                          {!servers.some((srv) => srv.id === o.serverId) && <option value={o.serverId}>Unknown server</option>}
+                          {servers.map((srv) => (
+                            <option key={srv.id} value={srv.id}>{srv.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="Container name (empty = whole server)"
+                          value={o.containerName || ''}
+                          onChange={(e) => updateOverride(index, 'containerName', e.target.value)}
+                          className={`${inputClass} font-mono`}
+                        />
+                      </div>
+                      <div className="flex flex-wrap items-end gap-2">
+                        {(o.containerName ? CONTAINER_THRESHOLDS : [...CONTAINER_THRESHOLDS, ...HOST_THRESHOLDS]).map((t) => (
+                          <label key={t.field} className="text-xs text-gray-600 dark:text-gray-400">
+                            {t.label} %
+                            <input
+                              type="number"
+                              min="1"
+                              max="100"
+                              placeholder="Inherit"
+                              disabled={o.disabled}
+                              value={o[t.field] ?? ''}
+                              onChange={(e) => updateOverride(index, t.field, parsePercent(e.target.value))}
+                              className={`${inputClass} w-28 disabled:opacity-50`}
+                            />
+                          </label>
+                        ))}
+                        <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300 pb-2">
+                          <input
+                            type="checkbox"
+                            checked={o.disabled === true}
+                            onChange={(e) => updateOverride(index, 'disabled', e.target.checked)}
+                            className="rounded text-primary-600"
+                          />
+                          Mute
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => removeOverride(index)}
+                          className="ml-auto px-3 py-1 mb-1 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
           {/* Save Button */}
           <div className="flex justify-end pt-4 border-t border-gray-200 dark:border-gray-700">
             <button
@@ -0,0 +1,376 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { notificationsService } from '../services/notifications.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+// Form fields per channel type; secret fields are never sent back by the API (leave empty to keep, or tick Remove)
+const CHANNEL_FIELDS = {
+  webhook: [
+    { key: 'url', label: 'URL', placeholder: 'https://example.com/hooks/dockerfleet', required: true },
+    { key: 'authHeader', label: 'Authorization header', placeholder: 'Bearer …', secret: true },
+  ],
+  slack: [{ key: 'webhookUrl', label: 'Incoming webhook URL', placeholder: 'https://hooks.slack.com/services/…', secret: true, required: true }],
+  discord: [{ key: 'webhookUrl', label: 'Webhook URL', placeholder: 'https://discord.com/api/webhooks/…', secret: true, required: true }],
+  ntfy: [
+    { key: 'serverUrl', label: 'Server URL', placeholder: 'https://ntfy.sh' },
+    { key: 'topic', label: 'Topic', placeholder: 'my-alerts', required: true },
+    { key: 'token', label: 'Access token', placeholder: 'tk_…', secret: true },
+    { key: 'priority', label: 'Priority (1-5, empty = by severity)', type: 'number' },
+  ],
+  gotify: [
+    { key: 'serverUrl', label: 'Server URL', placeholder: 'https://gotify.example.com', required: true },
+    { key: 'appToken', label: 'Application token', secret: true, required: true },
+    { key: 'priority', label: 'Priority (0-10, empty = by severity)', type: 'number' },
+  ],
+};
+
+const emptyForm = { id: null, name: '', type: 'slack', enabled: true, config: {}, secretsSet: [], clearSecrets: [] };
+
+const NotificationChannels = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [alertTypes, setAlertTypes] = useState([]);
+  const [emailAlertTypes, setEmailAlertTypes] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState({});
+  const [testResults, setTestResults] = useState({});
+
+  const fetchChannels = async () => {
+    try {
+      const response = await notificationsService.list();
+      setChannels(response.data.channels || []);
+      setDrivers(response.data.drivers || []);
+      setAlertTypes(response.data.alertTypes || []);
+      setEmailAlertTypes(response.data.emailAlertTypes ?? null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load notification channels');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchChannels();
+  }, []);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const replaceChannel = (channel) => setChannels((prev) => prev.map((c) => (c.id === channel.id ? channel : c)));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const config = {};
+    for (const field of CHANNEL_FIELDS[form.type]) {
+      const value = form.config[field.key];
+      if (value !== undefined && value !== '' && !form.clearSecrets.includes(field.key)) config[field.key] = value;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      if (form.id) {
+        const response = await notificationsService.update(form.id, { name: form.name, enabled: form.enabled, config, clearSecrets: form.clearSecrets });
+        replaceChannel(response.data.channel);
+        flash('Channel updated');
+      } else {
+        const response = await notificationsService.create({ name: form.name, type: form.type, enabled: form.enabled, config });
+        setChannels((prev) => [...prev, response.data.channel]);
+        flash('Channel added. Use "Send test" to check it.');
+      }
+      setForm(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Failed to save channel');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (channel) => {
+    try {
+      const response = await notificationsService.update(channel.id, { enabled: !channel.enabled });
+      replaceChannel(response.data.channel);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update channel');
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`Delete notification channel "${channel.name}"?`)) return;
+    try {
+      await notificationsService.remove(channel.id);
+      setChannels((prev) => prev.filter((c) => c.id !== channel.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete channel');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting((prev) => ({ ...prev, [channel.id]: true }));
+    try {
+      const response = await notificationsService.test(channel.id);
+      setTestResults((prev) => ({ ...prev, [channel.id]: response.data }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [channel.id]: { success: false, error: err.response?.data?.error || 'Test failed' } }));
+    } finally {
+      setTesting((prev) => ({ ...prev, [channel.id]: false }));
+    }
+  };
+
+  const handleToggleRoute = async (channel, type) => {
+    const current = channel.alertTypes || [];
+    const next = current.includes(type) ? current.filter((t) => t !== type) : [...current, type];
+    try {
+      const response = await notificationsService.update(channel.id, { alertTypes: next });
+      replaceChannel(response.data.channel);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update routing');
+    }
+  };
+
+  const emailRouted = (type) => emailAlertTypes == null || emailAlertTypes.includes(type);
+
+  const handleToggleEmailRoute = async (type) => {
+    const current = emailAlertTypes ?? alertTypes.map((t) => t.type);
+    const next = current.includes(type) ? current.filter((t) => t !== type) : [...current, type];
+    try {
+      const response = await notificationsService.updateEmailRouting(next.length === alertTypes.length ? null : next);
+      setEmailAlertTypes(response.data.emailAlertTypes ?? null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update email routing');
+    }
+  };
+
+  const openEdit = (channel) => setForm({ ...channel, config: { ...channel.config }, clearSecrets: [] });
+  const updateConfig = (key, value) => setForm((prev) => ({ ...prev, config: { ...prev.config, [key]: value } }));
+  const toggleClearSecret = (key) =>
+    setForm((prev) => ({
+      ...prev,
+      clearSecrets: prev.clearSecrets.includes(key) ? prev.clearSecrets.filter((k) => k !== key) : [...prev.clearSecrets, key],
+    }));
+
+  if (loading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">Loading channels...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const driverLabel = (type) => drivers.find((d) => d.type === type)?.label || type;
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Notification Channels</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Send alerts to Slack, Discord, ntfy, Gotify or any JSON webhook in addition to email. When and how often alerts fire is set under{' '}
+            <Link to="/monitoring" className="text-primary-600 dark:text-primary-400 hover:underline">Monitoring</Link>.
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm({ ...emptyForm, config: {} })}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 whitespace-nowrap"
+          >
+            Add channel
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="max-w-4xl space-y-6">
+        {form && (
+          <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">{form.id ? `Edit ${form.name}` : 'New channel'}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input type="text" required maxLength={100} value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} placeholder="Ops Slack" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Type</label>
+                <select
+                  value={form.type}
+                  disabled={!!form.id}
+                  onChange={(e) => setForm({ ...form, type: e.target.value, config: {}, secretsSet: [], clearSecrets: [] })}
+                  className={inputClass}
+                >
+                  {drivers.map((d) => (
+                    <option key={d.type} value={d.type}>{d.label}</option>
+                  ))}
+                </select>
+              </div>
+              {CHANNEL_FIELDS[form.type].map((field) => {
+                const isSet = field.secret && form.secretsSet.includes(field.key);
+                const clearing = form.clearSecrets.includes(field.key);
+                return (
+                  <div key={field.key}>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{field.label}</label>
+                      {isSet && !field.required && (
+                        <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400">
+                          <input type="checkbox" checked={clearing} onChange={() => toggleClearSecret(field.key)} className="rounded text-primary-600" />
+                          Remove
+                        </label>
+                      )}
+                    </div>
+                    <input
+                      type={field.type === 'number' ? 'number' : field.secret ? 'password' : 'text'}
+                      autoComplete="off"
+                      required={field.required && !isSet}
+                      disabled={clearing}
+                      value={clearing ? '' : form.config[field.key] ?? ''}
+                      onChange={(e) => updateConfig(field.key, e.target.value)}
+                      placeholder={clearing ? 'Removed on save' : isSet ? 'Stored — leave empty to keep' : field.placeholder}
+                      className={`${inputClass} disabled:opacity-50`}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} className="rounded text-primary-600" />
+              Enabled
+            </label>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save channel'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Channels</h2>
+          {channels.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No channels yet. Alerts are sent by email only (when SMTP is configured).</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {channels.map((channel) => {
+                const result = testResults[channel.id];
+                return (
+                  <li key={channel.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                        {channel.name}
+                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{driverLabel(channel.type)}</span>
+                        {!channel.enabled && <span className="ml-2 text-xs font-normal text-amber-600 dark:text-amber-400">disabled</span>}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {channel.lastSentAt ? `Last sent ${new Date(channel.lastSentAt).toLocaleString()}` : 'Nothing sent yet'}
+                        {channel.lastError && <span className="ml-2 text-red-600 dark:text-red-400">Last error: {channel.lastError}</span>}
+                      </div>
+                      {result && (
+                        <div className={`text-xs mt-1 ${result.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                          {result.success ? result.message || 'Test notification sent' : `Test failed: ${result.error}`}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => handleTest(channel)}
+                        disabled={testing[channel.id]}
+                        className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors disabled:opacity-50"
+                      >
+                        {testing[channel.id] ? 'Sending…' : 'Send test'}
+                      </button>
+                      <button
+                        onClick={() => handleToggleEnabled(channel)}
+                        className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors"
+                      >
+                        {channel.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button onClick={() => openEdit(channel)} className="px-3 py-1 text-sm text-primary-600 dark:text-primary-400 hover:underline">
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(channel)} className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Routing</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+            Choose which alert types go to each destination. Whether an alert type fires at all is still controlled under Monitoring.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400">
+                  <th className="py-2 pr-4 font-medium">Alert type</th>
+                  <th className="py-2 px-3 font-medium text-center">Email</th>
+                  {channels.map((c) => (
+                    <th key={c.id} className={`py-2 px-3 font-medium text-center ${c.enabled ? '' : 'opacity-50'}`}>{c.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {alertTypes.map((t) => (
+                  <tr key={t.type}>
+                    <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">{t.label}</td>
+                    <td className="py-2 px-3 text-center">
+                      <input type="checkbox" checked={emailRouted(t.type)} onChange={() => handleToggleEmailRoute(t.type)} className="rounded text-primary-600" />
+                    </td>
+                    {channels.map((c) => (
+                      <td key={c.id} className="py-2 px-3 text-center">
+                        <input
+                          type="checkbox"
+                          checked={(c.alertTypes || []).includes(t.type)}
+                          onChange={() => handleToggleRoute(c, t.type)}
+                          className="rounded text-primary-600"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationChannels;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { registryCredentialsService } from '../services/registryCredentials.service';
+import { serversService } from '../services/servers.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const secondaryButton =
+  'px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded transition-colors disabled:opacity-50';
+const primaryButton =
+  'px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50';
+
+const emptyForm = { id: null, host: '', username: '', token: '', insecure: false };
+
+const RegistryCredentials = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [credentials, setCredentials] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState({});
+  const [testResults, setTestResults] = useState({});
+  const [push, setPush] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [credentialsRes, serversRes] = await Promise.all([registryCredentialsService.list(), serversService.getAll()]);
+        setCredentials(credentialsRes.data || []);
+        setServers(serversRes.data.servers || serversRes.data || []);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load registry credentials');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 4000);
+  };
+
+  const replace = (credential) => setCredentials((prev) => prev.map((c) => (c.id === credential.id ? credential : c)));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = { host: form.host, username: form.username, insecure: form.insecure };
+    if (form.token) data.token = form.token;
+    try {
+      setSaving(true);
+      setError(null);
+      if (form.id) {
+        const response = await registryCredentialsService.update(form.id, data);
+        replace(response.data);
+        flash('Credential updated');
+      } else {
+        const response = await registryCredentialsService.create(data);
+        setCredentials((prev) => [...prev, response.data].sort((a, b) => a.host.localeCompare(b.host)));
+        flash('Credential added. Use "Test" to check the registry accepts it.');
+      }
+      setForm(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save credential');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (credential) => {
+    if (!window.confirm(`Delete the credential for ${credential.host}? Logins already pushed to hosts are not removed.`)) return;
+    try {
+      await registryCredentialsService.remove(credential.id);
+      setCredentials((prev) => prev.filter((c) => c.id !== credential.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete credential');
+    }
+  };
+
+  const handleTest = async (credential) => {
+    setTesting((prev) => ({ ...prev, [credential.id]: true }));
+    try {
+      const response = await registryCredentialsService.test(credential.id);
+      replace(response.data.credential);
+      setTestResults((prev) => ({ ...prev, [credential.id]: response.data }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [credential.id]: { success: false, error: err.response?.data?.error || 'Test failed' } }));
+    } finally {
+      setTesting((prev) => ({ ...prev, [credential.id]: false }));
+    }
+  };
+
+  const handlePush = async () => {
+    setPush((prev) => ({ ...prev, running: true, results: null }));
+    try {
+      const response = await registryCredentialsService.push(push.credential.id, { serverIds: push.serverIds });
+      setPush((prev) => ({ ...prev, running: false, results: response.data.results }));
+    } catch (err) {
+      setPush((prev) => ({ ...prev, running: false }));
+      setError(err.response?.data?.error || 'Failed to push credential');
+    }
+  };
+
+  const togglePushServer = (serverId) =>
+    setPush((prev) => ({
+      ...prev,
+      serverIds: prev.serverIds.includes(serverId) ? prev.serverIds.filter((id) => id !== serverId) : [...prev.serverIds, serverId],
+    }));
+
+  if (loading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">Loading registry credentials...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Registry Credentials</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Logins for private registries (Docker Hub, GHCR, GitLab, self-hosted registry:2, …), stored encrypted. Update checks and tag
+            lists use them, and DockerFleet runs <code>docker login</code> on a host before it pulls an image from that registry.
+          </p>
+        </div>
+        {!form && (
+          <button onClick={() => setForm({ ...emptyForm })} className={`${primaryButton} whitespace-nowrap`}>
+            Add credential
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="max-w-4xl space-y-6">
+        {form && (
+          <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">{form.id ? `Edit ${form.host}` : 'New registry credential'}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className={labelClass}>Registry</label>
+                <input
+                  type="text"
+                  required
+                  value={form.host}
+                  onChange={(e) => setForm({ ...form, host: e.target.value })}
+                  className={inputClass}
+                  placeholder="ghcr.io or registry.example.com:5000"
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Username</label>
+                <input type="text" required maxLength={255} value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Password or access token</label>
+                <input
+                  type="password"
+                  autoComplete="off"
+                  required={!form.id}
+                  value={form.token}
+                  onChange={(e) => setForm({ ...form, token: e.target.value })}
+                  placeholder={form.id ? 'Stored — leave empty to keep' : ''}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.insecure}
+                onChange={(e) => setForm({ ...form, insecure: e.target.checked })}
+                className="rounded text-primary-600"
+              />
+              Plain HTTP (insecure registry; hosts must list it under <code>insecure-registries</code> in daemon.json)
+            </label>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className={primaryButton}>
+                {saving ? 'Saving...' : 'Save credential'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Credentials</h2>
+          {credentials.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No registry credentials yet. Images from private registries show no update status until you add one.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {credentials.map((credential) => {
+                const result = testResults[credential.id];
+                return (
+                  <li key={credential.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100 font-mono">
+                        {credential.host}
+                        {credential.insecure && <span className="ml-2 text-xs font-normal font-sans text-yellow-600 dark:text-yellow-400">HTTP</span>}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {credential.username}
+                        {credential.lastTestedAt && !credential.lastError && ` · tested ${new Date(credential.lastTestedAt).toLocaleString()}`}
+                      </div>
+                      {!result && credential.lastError && <div className="text-xs text-red-600 dark:text-red-400">Last test failed: {credential.lastError}</div>}
+                      {result && (
+                        <div className={`text-xs mt-1 ${result.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                          {result.success ? 'The registry accepted the credentials' : `Test failed: ${result.error}`}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button onClick={() => handleTest(credential)} disabled={testing[credential.id]} className={secondaryButton}>
+                        {testing[credential.id] ? 'Testing…' : 'Test'}
+                      </button>
+                      <button
+                        onClick={() => setPush({ credential, serverIds: servers.map((s) => s.id), running: false, results: null })}
+                        disabled={!servers.length}
+                        className={secondaryButton}
+                      >
+                        Push to hosts
+                      </button>
+                      <button
+                        onClick={() => setForm({ id: credential.id, host: credential.host, username: credential.username, token: '', insecure: credential.insecure })}
+                        className="px-3 py-1 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleDelete(credential)} className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {push && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 mb-2">Push {push.credential.host} login</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Runs <code>docker login</code> on the selected hosts, so pulls made outside DockerFleet are authenticated too.
+            </p>
+            <ul className="space-y-1.5 text-sm mb-4">
+              {servers.map((server) => {
+                const outcome = push.results?.find((r) => r.serverId === server.id);
+                return (
+                  <li key={server.id} className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={push.serverIds.includes(server.id)}
+                        disabled={push.running}
+                        onChange={() => togglePushServer(server.id)}
+                        className="rounded text-primary-600"
+                      />
+                      {server.name}
+                    </label>
+                    {outcome && (
+                      <span className={`text-xs truncate ${outcome.success ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`} title={outcome.error}>
+                        {outcome.success ? 'Logged in' : outcome.error}
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setPush(null)}
+                disabled={push.running}
+                className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                {push.results ? 'Close' : 'Cancel'}
+              </button>
+              <button type="button" onClick={handlePush} disabled={push.running || !push.serverIds.length} className={primaryButton}>
+                {push.running ? 'Logging in…' : 'Push'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegistryCredentials;
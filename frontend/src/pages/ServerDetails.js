@@ -12,6 +12,10 @@ import { useRefetchOnVisible } from '../hooks/useRefetchOnVisible';
 import api from '../services/api';
 import LogsModal from '../components/LogsModal';
 import GroupingModal from '../components/GroupingModal';
+import HostTerminalModal from '../components/HostTerminalModal';
+
+// Backend limit for one merged log stream
+const MAX_TAILED_CONTAINERS = 20;
 
 const ServerDetails = () => {
   const { serverId } = useParams();
@@ -27,12 +31,13 @@ const ServerDetails = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'running', 'stopped'
   const [updatingPolicies, setUpdatingPolicies] = useState(new Set()); // Track containers being updated
-  const [logsModal, setLogsModal] = useState({ isOpen: false, containerId: null, containerName: null });
+  const [logsModal, setLogsModal] = useState({ isOpen: false, containerId: null, containerName: null, containers: null });
   const [groupingRules, setGroupingRules] = useState([]);
   const [groupContainers, setGroupContainers] = useState(true); // Toggle for grouping
   // Start with "Ungrouped" expanded by default so those containers are visible initially
   const [expandedGroups, setExpandedGroups] = useState(() => new Set(['Ungrouped'])); // Track expanded groups
   const [showGroupingModal, setShowGroupingModal] = useState(false); // Show grouping management modal
+  const [hostTerminalOpen, setHostTerminalOpen] = useState(false);
   const [deployModalOpen, setDeployModalOpen] = useState(false);
   const [deployImage, setDeployImage] = useState('');
   const [deployName, setDeployName] = useState('');
@@ -352,6 +357,32 @@ const ServerDetails = () => {
     return name;
   };
 
+  // Tail the logs of a group's running containers in one merged view
+  const openGroupLogs = (groupName, groupContainers) => {
+    const running = groupContainers
+      .map((container) => {
+        let containerData = container;
+        if (typeof container === 'string') {
+          try {
+            containerData = JSON.parse(container);
+          } catch (e) {
+            containerData = { ID: container };
+          }
+        }
+        const status = (containerData.Status || containerData['.Status'] || containerData.status || '').toLowerCase();
+        const id = containerData.ID || containerData.Id || containerData['.ID'] || containerData.id || '';
+        return { id, name: getContainerName(container), isRunning: status.includes('up') || status.includes('running') };
+      })
+      .filter((c) => c.id && c.isRunning)
+      .slice(0, MAX_TAILED_CONTAINERS)
+      .map(({ id, name }) => ({ id, name }));
+    if (running.length === 0) {
+      alert('No running containers in this group');
+      return;
+    }
+    setLogsModal({ isOpen: true, containerId: null, containerName: groupName, containers: running });
+  };
+
   // Filter containers based on search term and status
   const filteredContainers = containers.filter(container => {
     // Handle different container data formats
@@ -609,7 +640,7 @@ const ServerDetails = () => {
               onClick={(e) => {
                 e.preventDefault();
                 e.stopPropagation();
-                setLogsModal({ isOpen: true, containerId, containerName });
+                setLogsModal({ isOpen: true, containerId, containerName, containers: null });
               }}
               className="px-3 py-1.5 text-xs font-medium text-purple-800 dark:text-purple-200 bg-purple-50 dark:bg-purple-900/30 rounded hover:bg-purple-100 dark:hover:bg-purple-900/50 transition-colors flex items-center gap-1"
               title="View live logs"
@@ -808,6 +839,18 @@ const ServerDetails = () => {
               </svg>
               Deploy from compose
             </button>
+            {user?.role === 'admin' && (
+              <button
+                onClick={() => setHostTerminalOpen(true)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors flex items-center gap-2"
+                title="Open a shell on this Docker host"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                Host terminal
+              </button>
+            )}
             <Link
               to={`/servers/${serverId}/edit`}
               className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors flex items-center gap-2"
@@ -2399,6 +2442,24 @@ const ServerDetails = () => {
                 </svg>
                 View Images
               </Link>
+              <Link
+                to={`/servers/${serverId}/volumes`}
+                className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 flex items-center gap-1 transition-colors whitespace-nowrap"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+                </svg>
+                View Volumes
+              </Link>
+              <Link
+                to={`/servers/${serverId}/cleanup`}
+                className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 flex items-center gap-1 transition-colors whitespace-nowrap"
+              >
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+                Disk Cleanup
+              </Link>
             </div>
           </div>
           
@@ -2539,11 +2600,23 @@ const ServerDetails = () => {
                     </div>
                   </button>
                   {isExpanded && (
-                    <div className="grid grid-cols-1 gap-4 p-4 sm:grid-cols-2 lg:grid-cols-3">
-                      {groupContainers.map((container) => {
-                        return renderContainerCard(container);
-                      })}
-                    </div>
+                    <>
+                      <div className="flex justify-end px-4 pt-3">
+                        <button
+                          onClick={() => openGroupLogs(groupName, groupContainers)}
+                          disabled={groupStats.running === 0}
+                          className="px-3 py-1.5 text-xs font-medium text-purple-800 dark:text-purple-200 bg-purple-50 dark:bg-purple-900/30 rounded hover:bg-purple-100 dark:hover:bg-purple-900/50 transition-colors disabled:opacity-50"
+                          title={`Tail the logs of every running container in ${groupName} (max ${MAX_TAILED_CONTAINERS})`}
+                        >
+                          Tail group logs
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-1 gap-4 p-4 sm:grid-cols-2 lg:grid-cols-3">
+                        {groupContainers.map((container) => {
+                          return renderContainerCard(container);
+                        })}
+                      </div>
+                    </>
                   )}
                 </div>
               );
@@ -2933,12 +3006,23 @@ const ServerDetails = () => {
       {/* Logs Modal */}
       <LogsModal
         isOpen={logsModal.isOpen}
-        onClose={() => setLogsModal({ isOpen: false, containerId: null, containerName: null })}
+        onClose={() => setLogsModal({ isOpen: false, containerId: null, containerName: null, containers: null })}
         serverId={serverId}
         containerId={logsModal.containerId}
         containerName={logsModal.containerName}
+        containers={logsModal.containers}
       />
 
+      {/* Host Terminal Modal (admin) */}
+      {user?.role === 'admin' && (
+        <HostTerminalModal
+          isOpen={hostTerminalOpen}
+          onClose={() => setHostTerminalOpen(false)}
+          serverId={serverId}
+          serverName={server.name}
+        />
+      )}
+
       {/* Grouping Management Modal */}
       {showGroupingModal && (
         <GroupingModal
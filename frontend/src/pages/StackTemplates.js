@@ -0,0 +1,79 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { stackTemplatesService } from '../services/stackTemplates.service';
+import StackTemplateInstallModal from '../components/StackTemplateInstallModal';
+
+export default function StackTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [error, setError] = useState(null);
+  const [installing, setInstalling] = useState(null);
+  const navigate = useNavigate();
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await stackTemplatesService.list();
+      setTemplates(data);
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    }
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const remove = async (template) => {
+    if (!window.confirm(`Delete template ${template.name}? Stacks installed from it are not affected.`)) return;
+    setError(null);
+    try { await stackTemplatesService.remove(template.id); await load(); }
+    catch (e) { setError(e.response?.data?.error || e.message); }
+  };
+
+  return (
+    <div className="p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Stack templates</h1>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Install an app as a new stack. Save any stack as a template from the <Link to="/stacks" className="text-primary-600 dark:text-primary-400 hover:underline">Stacks</Link> page.
+          </p>
+        </div>
+      </div>
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-3">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {templates.map((t) => (
+          <div key={t.id} className="bg-white dark:bg-gray-800 shadow rounded-lg p-4 flex flex-col">
+            <div className="flex items-start justify-between mb-1">
+              <h2 className="text-base font-semibold text-gray-900 dark:text-gray-100">{t.name}</h2>
+              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${t.builtin
+                ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+                : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'}`}
+              >
+                {t.builtin ? 'built-in' : 'yours'}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-400 flex-1">{t.description || '—'}</p>
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 font-mono truncate" title={t.variables.map((v) => v.name).join(', ')}>
+              {t.variables.length ? t.variables.map((v) => v.name).join(', ') : 'No variables'}
+            </p>
+            <div className="mt-3 space-x-3">
+              <button onClick={() => setInstalling(t)} className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-800 dark:hover:text-primary-300">Install</button>
+              {!t.builtin && (
+                <button onClick={() => remove(t)} className="text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300">Delete</button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {installing && (
+        <StackTemplateInstallModal
+          template={installing}
+          onClose={() => setInstalling(null)}
+          onInstalled={() => { setInstalling(null); navigate('/stacks'); }}
+        />
+      )}
+    </div>
+  );
+}
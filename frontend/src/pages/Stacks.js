@@ -1,9 +1,20 @@
 import React, { useEffect, useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { stacksService } from '../services/stacks.service';
 import { serversService } from '../services/servers.service';
 import StackEditor from '../components/StackEditor';
 import StackImportModal from '../components/StackImportModal';
+import StackDriftModal from '../components/StackDriftModal';
+import LogsModal from '../components/LogsModal';
 import ServerPicker from '../components/ServerPicker';
+import StackDeployOutput, { ServiceStates } from '../components/StackDeployProgress';
+import StackServices from '../components/StackServices';
+import StackSaveTemplateModal from '../components/StackSaveTemplateModal';
+import StackMigrateModal from '../components/StackMigrateModal';
+import { useSocket } from '../context/SocketContext';
+
+// Lines of live deploy output kept per stack in the browser
+const MAX_LIVE_LINES = 2000;
 
 const statusBadge = (status) => {
   if (!status) return <span className="text-sm text-gray-400 dark:text-gray-500">—</span>;
@@ -20,6 +31,22 @@ const statusBadge = (status) => {
   );
 };
 
+const driftBadge = (stack, onClick) => {
+  if (stack.driftStatus !== 'drifted' && stack.driftStatus !== 'unknown') return null;
+  const drifted = stack.driftStatus === 'drifted';
+  return (
+    <button
+      onClick={onClick}
+      title={stack.driftCheckedAt ? `Checked ${new Date(stack.driftCheckedAt).toLocaleString()}` : undefined}
+      className={`ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${drifted
+        ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+        : 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'}`}
+    >
+      {drifted ? 'drifted' : 'drift unknown'}
+    </button>
+  );
+};
+
 export default function Stacks() {
   const [stacks, setStacks] = useState([]);
   const [servers, setServers] = useState([]);
@@ -28,6 +55,15 @@ export default function Stacks() {
   const [editing, setEditing] = useState(undefined);
   const [importServer, setImportServer] = useState(null);
   const [importServerId, setImportServerId] = useState('');
+  const [logsStack, setLogsStack] = useState(null);
+  const [driftStack, setDriftStack] = useState(null);
+  const [templateStack, setTemplateStack] = useState(null);
+  const [migrateStack, setMigrateStack] = useState(null);
+  // stackId -> { deployId, services, lines, truncated, running, success, revision } from stack:deploy:* events
+  const [deploys, setDeploys] = useState({});
+  const [outputStackId, setOutputStackId] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const socket = useSocket();
 
   const load = useCallback(async () => {
     try {
@@ -43,6 +79,40 @@ export default function Stacks() {
     serversService.getAll().then(({ data }) => setServers(data.servers || [])).catch(() => {});
   }, []);
 
+  useEffect(() => {
+    if (!socket) return undefined;
+    // Updates only apply to the deploy the stack is currently showing
+    const update = (stackId, deployId, fn) => setDeploys((prev) => {
+      const current = prev[stackId];
+      if (!current || current.deployId !== deployId) return prev;
+      return { ...prev, [stackId]: fn(current) };
+    });
+    const onStarted = ({ stackId, deployId, services }) => {
+      setDeploys((prev) => ({ ...prev, [stackId]: { deployId, services, lines: [], truncated: false, running: true } }));
+    };
+    const onOutput = ({ stackId, deployId, services, lines }) => update(stackId, deployId, (d) => {
+      const all = d.lines.concat(lines);
+      return { ...d, services, lines: all.slice(-MAX_LIVE_LINES), truncated: d.truncated || all.length > MAX_LIVE_LINES };
+    });
+    const onFinished = ({ stackId, deployId, services, success, revision }) => {
+      update(stackId, deployId, (d) => ({ ...d, services, success, revision, running: false }));
+      load();
+    };
+    socket.on('stack:deploy:started', onStarted);
+    socket.on('stack:deploy:output', onOutput);
+    socket.on('stack:deploy:finished', onFinished);
+    return () => {
+      socket.off('stack:deploy:started', onStarted);
+      socket.off('stack:deploy:output', onOutput);
+      socket.off('stack:deploy:finished', onFinished);
+    };
+  }, [socket, load]);
+
+  const deploy = (id, pull) => {
+    setOutputStackId(id);
+    act(id, () => stacksService.deploy(id, pull));
+  };
+
   const serverLabel = (id) => {
     const s = servers.find((x) => x.id === id);
     return s ? `${s.name} (${s.host})` : id;
@@ -56,6 +126,13 @@ export default function Stacks() {
     finally { setBusy(null); }
   };
 
+  const toggleServices = (id) => setExpanded((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
   const actionBtn = 'text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed';
 
   return (
@@ -63,6 +140,18 @@ export default function Stacks() {
       <div className="flex items-center justify-between mb-4">
         <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Stacks</h1>
         <div className="flex items-center gap-2">
+          <Link
+            to="/stacks/fleet"
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+          >
+            Fleet stacks
+          </Link>
+          <Link
+            to="/stacks/templates"
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+          >
+            Templates
+          </Link>
           <form
             onSubmit={(e) => { e.preventDefault(); if (importServerId) setImportServer(importServerId); }}
             className="flex items-center gap-2"
@@ -103,19 +192,63 @@ export default function Stacks() {
             </thead>
             <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
               {stacks.map((s) => (
-                <tr key={s.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
-                  <td className="px-4 py-3 whitespace-nowrap font-mono text-sm text-gray-900 dark:text-gray-100">{s.name}</td>
-                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{serverLabel(s.serverId)}</td>
-                  <td className="px-4 py-3 whitespace-nowrap">{statusBadge(s.lastDeployStatus)}</td>
-                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{s.lastDeployedAt ? new Date(s.lastDeployedAt).toLocaleString() : '—'}</td>
-                  <td className="px-4 py-3 whitespace-nowrap space-x-3">
-                    <button disabled={busy === s.id} onClick={async () => { try { const { data } = await stacksService.get(s.id); setEditing(data); } catch (e) { setError(e.response?.data?.error || e.message); } }} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Edit</button>
-                    <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.deploy(s.id, false))} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Deploy</button>
-                    <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.deploy(s.id, true))} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Pull+Deploy</button>
-                    <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.restart(s.id))} className={`${actionBtn} text-amber-600 dark:text-amber-400 hover:text-amber-800 dark:hover:text-amber-300`}>Restart</button>
-                    <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.down(s.id))} className={`${actionBtn} text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300`}>Down</button>
-                  </td>
-                </tr>
+                <React.Fragment key={s.id}>
+                  <tr className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-3 whitespace-nowrap font-mono text-sm text-gray-900 dark:text-gray-100">
+                      <button
+                        onClick={() => toggleServices(s.id)}
+                        aria-expanded={expanded.has(s.id)}
+                        title="Services"
+                        className="mr-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                      >
+                        {expanded.has(s.id) ? '▾' : '▸'}
+                      </button>
+                      {s.name}
+                      {s.fleetStackId && <div className="text-xs text-gray-500 dark:text-gray-400">fleet stack</div>}
+                      {s.git && (
+                        <div className={`text-xs ${s.git.syncError ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`} title={s.git.syncError || s.git.repoUrl}>
+                          git {s.git.branch}@{s.git.commit ? s.git.commit.slice(0, 8) : '—'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{serverLabel(s.serverId)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {statusBadge(s.lastDeployStatus)}{driftBadge(s, () => setDriftStack(s))}
+                      {deploys[s.id] && (
+                        <>
+                          <ServiceStates services={deploys[s.id].services} />
+                          <button onClick={() => setOutputStackId(s.id)} className="mt-1 text-xs text-primary-600 dark:text-primary-400 hover:underline">
+                            {deploys[s.id].running ? 'Deploying… show output' : 'Deploy output'}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{s.lastDeployedAt ? new Date(s.lastDeployedAt).toLocaleString() : '—'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap space-x-3">
+                      <button disabled={busy === s.id} onClick={async () => { try { const { data } = await stacksService.get(s.id); setEditing(data); } catch (e) { setError(e.response?.data?.error || e.message); } }} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>{s.fleetStackId ? 'History' : 'Edit'}</button>
+                      <button onClick={() => setLogsStack(s)} className={`${actionBtn} text-purple-600 dark:text-purple-400 hover:text-purple-800 dark:hover:text-purple-300`}>Logs</button>
+                      {s.git && (
+                        <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.sync(s.id, true))} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Sync</button>
+                      )}
+                      <button disabled={busy === s.id} onClick={() => deploy(s.id, false)} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Deploy</button>
+                      <button disabled={busy === s.id} onClick={() => deploy(s.id, true)} className={`${actionBtn} text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300`}>Pull+Deploy</button>
+                      <button disabled={busy === s.id || !s.lastDeployedAt} onClick={() => setDriftStack(s)} className={`${actionBtn} text-amber-600 dark:text-amber-400 hover:text-amber-800 dark:hover:text-amber-300`}>Drift</button>
+                      <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.restart(s.id))} className={`${actionBtn} text-amber-600 dark:text-amber-400 hover:text-amber-800 dark:hover:text-amber-300`}>Restart</button>
+                      <button disabled={busy === s.id} onClick={() => act(s.id, () => stacksService.down(s.id))} className={`${actionBtn} text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300`}>Down</button>
+                      {!s.fleetStackId && (
+                        <button disabled={busy === s.id} onClick={() => setMigrateStack(s)} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Move/Clone</button>
+                      )}
+                      <button onClick={() => setTemplateStack(s)} className={`${actionBtn} text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100`}>Save as template</button>
+                    </td>
+                  </tr>
+                  {expanded.has(s.id) && (
+                    <tr>
+                      <td colSpan={5} className="px-8 py-3 bg-gray-50 dark:bg-gray-900/40">
+                        <StackServices stack={s} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
               ))}
               {!stacks.length && (
                 <tr>
@@ -140,6 +273,41 @@ export default function Stacks() {
           onImported={() => { setImportServer(null); setImportServerId(''); load(); }}
         />
       )}
+      {driftStack && (
+        <StackDriftModal
+          stack={driftStack}
+          onClose={() => { setDriftStack(null); load(); }}
+          onResolved={() => { setDriftStack(null); load(); }}
+        />
+      )}
+      {templateStack && (
+        <StackSaveTemplateModal
+          stack={templateStack}
+          onClose={() => setTemplateStack(null)}
+          onSaved={() => setTemplateStack(null)}
+        />
+      )}
+      {migrateStack && (
+        <StackMigrateModal
+          stack={migrateStack}
+          onClose={() => setMigrateStack(null)}
+          onDone={() => { setMigrateStack(null); load(); }}
+        />
+      )}
+      {outputStackId && deploys[outputStackId] && (
+        <StackDeployOutput
+          stack={stacks.find((s) => s.id === outputStackId) || { name: '' }}
+          deploy={deploys[outputStackId]}
+          onClose={() => setOutputStackId(null)}
+        />
+      )}
+      <LogsModal
+        isOpen={!!logsStack}
+        onClose={() => setLogsStack(null)}
+        serverId={logsStack?.serverId}
+        stackId={logsStack?.id}
+        containerName={logsStack?.name}
+      />
     </div>
   );
 }
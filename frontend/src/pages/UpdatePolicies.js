@@ -0,0 +1,587 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { updatePoliciesService } from '../services/updatePolicies.service';
+import { serversService } from '../services/servers.service';
+import { stacksService } from '../services/stacks.service';
+import groupingService from '../services/grouping.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const primaryButton =
+  'px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50';
+
+const SCOPE_LABELS = { container: 'Container', group: 'Group', stack: 'Stack' };
+const MODE_LABELS = {
+  off: 'Off — no alerts, no updates',
+  notify: 'Notify — alert when an update is available',
+  auto: 'Auto-apply — update in the maintenance window',
+};
+const CONSTRAINT_LABELS = {
+  patch: 'Patch releases only',
+  minor: 'Minor and patch releases',
+  any: 'Any release, including major',
+};
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const modeClass = {
+  off: 'text-gray-500 dark:text-gray-400',
+  notify: 'text-blue-600 dark:text-blue-400',
+  auto: 'text-green-600 dark:text-green-400',
+};
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const emptyForm = () => ({
+  id: null,
+  scopeType: 'container',
+  target: '',
+  serverId: '',
+  mode: 'auto',
+  versionConstraint: 'minor',
+  useWindow: true,
+  window: { days: [0, 1, 2, 3, 4, 5, 6], start: '02:00', end: '05:00' },
+  timezone: browserTimeZone(),
+  safe: false,
+  gate: { timeoutSeconds: '60', probeType: '', probePort: '', probePath: '/' },
+});
+
+const gateFormOf = (healthGate) => ({
+  timeoutSeconds: String(healthGate?.timeoutSeconds || 60),
+  probeType: healthGate?.probe?.type || '',
+  probePort: healthGate?.probe?.port ? String(healthGate.probe.port) : '',
+  probePath: healthGate?.probe?.path || '/',
+});
+
+const describeGate = (healthGate) => {
+  if (!healthGate) return null;
+  const probe = healthGate.probe;
+  const check = probe ? `${probe.type.toUpperCase()} :${probe.port}${probe.path || ''}` : 'HEALTHCHECK';
+  return `Safe update (${check}, ${healthGate.timeoutSeconds}s)`;
+};
+
+const describeWindow = (policy) => {
+  const w = policy.maintenanceWindow;
+  if (!w) return 'Any time';
+  const days = w.days.length === 7 ? 'Daily' : w.days.map((d) => DAY_NAMES[d]).join(', ');
+  return `${days} ${w.start}–${w.end}${policy.timezone ? ` (${policy.timezone})` : ' (UTC)'}`;
+};
+
+const UpdatePolicies = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [policies, setPolicies] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [stacks, setStacks] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchHistory = useCallback(async (before) => {
+    try {
+      const response = await updatePoliciesService.history(before ? { before } : {});
+      setHistory((prev) => (before ? [...prev, ...response.data.entries] : response.data.entries));
+      setHasMoreHistory(response.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load update history');
+    }
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [policiesRes, serversRes, stacksRes, groupingRes] = await Promise.all([
+          updatePoliciesService.list(),
+          serversService.getAll(),
+          stacksService.list(),
+          groupingService.getAll(),
+        ]);
+        setPolicies(policiesRes.data.policies || []);
+        setServers(serversRes.data.servers || []);
+        setStacks(stacksRes.data || []);
+        setGroups([...new Set((groupingRes.data.rules || []).map((r) => r.groupName))].sort());
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load update policies');
+      } finally {
+        setLoading(false);
+      }
+    })();
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 4000);
+  };
+
+  const serverName = (id) => servers.find((s) => s.id === id)?.name || '—';
+  const targetLabel = (policy) => {
+    if (policy.scopeType === 'stack') {
+      const stack = stacks.find((s) => s.id === policy.target);
+      return stack ? `${stack.name} on ${serverName(stack.serverId)}` : 'Deleted stack';
+    }
+    if (policy.scopeType === 'container') return `${policy.target} on ${serverName(policy.serverId)}`;
+    return `${policy.target}${policy.serverId ? ` on ${serverName(policy.serverId)}` : ' (all servers)'}`;
+  };
+
+  const openEdit = (policy) =>
+    setForm({
+      id: policy.id,
+      scopeType: policy.scopeType,
+      target: policy.target,
+      serverId: policy.serverId || '',
+      mode: policy.mode,
+      versionConstraint: policy.versionConstraint,
+      useWindow: !!policy.maintenanceWindow,
+      window: policy.maintenanceWindow || emptyForm().window,
+      timezone: policy.timezone || 'UTC',
+      safe: !!policy.healthGate,
+      gate: gateFormOf(policy.healthGate),
+    });
+
+  const toggleDay = (day) =>
+    setForm((prev) => ({
+      ...prev,
+      window: {
+        ...prev.window,
+        days: prev.window.days.includes(day) ? prev.window.days.filter((d) => d !== day) : [...prev.window.days, day].sort(),
+      },
+    }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      scopeType: form.scopeType,
+      target: form.target,
+      serverId: form.serverId || null,
+      mode: form.mode,
+      versionConstraint: form.versionConstraint,
+      maintenanceWindow: form.useWindow ? form.window : null,
+      timezone: form.useWindow ? form.timezone : null,
+      healthGate: form.safe
+        ? {
+          timeoutSeconds: form.gate.timeoutSeconds,
+          probe: form.gate.probeType ? { type: form.gate.probeType, port: form.gate.probePort, path: form.gate.probePath } : null,
+        }
+        : null,
+    };
+    try {
+      setSaving(true);
+      setError(null);
+      if (form.id) {
+        const response = await updatePoliciesService.update(form.id, data);
+        setPolicies((prev) => prev.map((p) => (p.id === form.id ? response.data.policy : p)));
+        flash('Policy updated');
+      } else {
+        const response = await updatePoliciesService.create(data);
+        setPolicies((prev) => [...prev, response.data.policy]);
+        flash('Policy added');
+      }
+      setForm(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the update policy for ${targetLabel(policy)}? Its containers go back to update alerts.`)) return;
+    try {
+      await updatePoliciesService.remove(policy.id);
+      setPolicies((prev) => prev.filter((p) => p.id !== policy.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete policy');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">Loading update policies...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Update Policies</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Decide per container, stack or{' '}
+            <Link to="/" className="text-primary-600 dark:text-primary-400 hover:underline">container group</Link>{' '}
+            whether image updates are ignored, alerted about or applied automatically. Auto-apply re-pulls the container&apos;s current tag
+            inside the maintenance window, skips updates that step further than the version constraint allows, and updates at most as many
+            containers at once per server as the server&apos;s auto-update concurrency (set when editing the server). Containers without a
+            policy are alerted about.
+          </p>
+        </div>
+        {!form && (
+          <button onClick={() => setForm(emptyForm())} className={`${primaryButton} whitespace-nowrap`}>
+            Add policy
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="max-w-5xl space-y-6">
+        {form && (
+          <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">{form.id ? 'Edit policy' : 'New update policy'}</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className={labelClass}>Applies to</label>
+                <select
+                  value={form.scopeType}
+                  disabled={!!form.id}
+                  onChange={(e) => setForm({ ...form, scopeType: e.target.value, target: '', serverId: '' })}
+                  className={inputClass}
+                >
+                  {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {form.scopeType === 'stack' ? (
+                <div className="sm:col-span-2">
+                  <label className={labelClass}>Stack</label>
+                  <select required value={form.target} onChange={(e) => setForm({ ...form, target: e.target.value })} className={inputClass}>
+                    <option value="">Select…</option>
+                    {stacks.map((s) => (
+                      <option key={s.id} value={s.id}>{s.name} on {serverName(s.serverId)}</option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <label className={labelClass}>{form.scopeType === 'group' ? 'Server (optional)' : 'Server'}</label>
+                    <select
+                      required={form.scopeType === 'container'}
+                      value={form.serverId}
+                      onChange={(e) => setForm({ ...form, serverId: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value="">{form.scopeType === 'group' ? 'All servers' : 'Select…'}</option>
+                      {servers.map((s) => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>{form.scopeType === 'group' ? 'Group' : 'Container name'}</label>
+                    {form.scopeType === 'group' ? (
+                      <select required value={form.target} onChange={(e) => setForm({ ...form, target: e.target.value })} className={inputClass}>
+                        <option value="">Select…</option>
+                        {groups.map((g) => (
+                          <option key={g} value={g}>{g}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        required
+                        maxLength={255}
+                        value={form.target}
+                        onChange={(e) => setForm({ ...form, target: e.target.value })}
+                        className={inputClass}
+                        placeholder="e.g. nextcloud"
+                      />
+                    )}
+                  </div>
+                </>
+              )}
+              <div className="sm:col-span-2">
+                <label className={labelClass}>Mode</label>
+                <select value={form.mode} onChange={(e) => setForm({ ...form, mode: e.target.value })} className={inputClass}>
+                  {Object.entries(MODE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Version constraint</label>
+                <select
+                  value={form.versionConstraint}
+                  disabled={form.mode !== 'auto'}
+                  onChange={(e) => setForm({ ...form, versionConstraint: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(CONSTRAINT_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {form.mode === 'auto' && (
+              <>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  A version tag limits the step on its own (<code>16</code> allows minor releases, <code>16.2</code> patch releases). For{' '}
+                  <code>latest</code> and other floating tags the running version from the image labels is compared with the newest version
+                  tag; when neither is known only &quot;Any release&quot; applies the update.
+                </p>
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.useWindow}
+                    onChange={(e) => setForm({ ...form, useWindow: e.target.checked })}
+                    className="rounded text-primary-600"
+                  />
+                  Only in a maintenance window
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.safe}
+                    onChange={(e) => setForm({ ...form, safe: e.target.checked })}
+                    className="rounded text-primary-600"
+                  />
+                  Safe update — keep the old container until the new one is healthy, roll back otherwise
+                </label>
+                {form.safe && (
+                  <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+                    <div>
+                      <label className={labelClass}>Timeout (seconds)</label>
+                      <input
+                        type="number"
+                        min="10"
+                        max="600"
+                        required
+                        value={form.gate.timeoutSeconds}
+                        onChange={(e) => setForm({ ...form, gate: { ...form.gate, timeoutSeconds: e.target.value } })}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Probe</label>
+                      <select
+                        value={form.gate.probeType}
+                        onChange={(e) => setForm({ ...form, gate: { ...form.gate, probeType: e.target.value } })}
+                        className={inputClass}
+                      >
+                        <option value="">HEALTHCHECK only</option>
+                        <option value="http">HTTP</option>
+                        <option value="tcp">TCP</option>
+                      </select>
+                    </div>
+                    {form.gate.probeType && (
+                      <div>
+                        <label className={labelClass}>Container port</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="65535"
+                          required
+                          value={form.gate.probePort}
+                          onChange={(e) => setForm({ ...form, gate: { ...form.gate, probePort: e.target.value } })}
+                          className={inputClass}
+                        />
+                      </div>
+                    )}
+                    {form.gate.probeType === 'http' && (
+                      <div>
+                        <label className={labelClass}>Path</label>
+                        <input
+                          type="text"
+                          value={form.gate.probePath}
+                          onChange={(e) => setForm({ ...form, gate: { ...form.gate, probePath: e.target.value } })}
+                          className={inputClass}
+                          placeholder="/health"
+                        />
+                      </div>
+                    )}
+                    <p className="sm:col-span-4 text-xs text-gray-500 dark:text-gray-400">
+                      The new container must report healthy on its image&apos;s HEALTHCHECK and answer the probe within the timeout; without
+                      either it only has to keep running for 10 seconds. Compose services are rolled back by recreating them from the previous image.
+                    </p>
+                  </div>
+                )}
+                {form.useWindow && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div className="sm:col-span-3 flex flex-wrap gap-3">
+                      {DAY_NAMES.map((name, day) => (
+                        <label key={name} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                          <input type="checkbox" checked={form.window.days.includes(day)} onChange={() => toggleDay(day)} className="rounded text-primary-600" />
+                          {name}
+                        </label>
+                      ))}
+                    </div>
+                    <div>
+                      <label className={labelClass}>From</label>
+                      <input
+                        type="time"
+                        required
+                        value={form.window.start}
+                        onChange={(e) => setForm({ ...form, window: { ...form.window, start: e.target.value } })}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Until</label>
+                      <input
+                        type="time"
+                        required
+                        value={form.window.end}
+                        onChange={(e) => setForm({ ...form, window: { ...form.window, end: e.target.value } })}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Timezone</label>
+                      <input
+                        type="text"
+                        required
+                        value={form.timezone}
+                        onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                        className={inputClass}
+                        placeholder="Europe/London"
+                      />
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={saving || (form.mode === 'auto' && form.useWindow && !form.window.days.length)} className={primaryButton}>
+                {saving ? 'Saving...' : 'Save policy'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-4">Policies</h2>
+          {policies.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No policies yet; every container with an update is alerted about.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {policies.map((policy) => (
+                <li key={policy.id} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                      <span className="text-xs font-normal text-gray-500 dark:text-gray-400 mr-2">{SCOPE_LABELS[policy.scopeType]}</span>
+                      {targetLabel(policy)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      <span className={`font-medium ${modeClass[policy.mode]}`}>{policy.mode === 'auto' ? 'Auto-apply' : policy.mode === 'off' ? 'Off' : 'Notify'}</span>
+                      {policy.mode === 'auto' && ` · ${CONSTRAINT_LABELS[policy.versionConstraint]} · ${describeWindow(policy)}`}
+                      {policy.mode === 'auto' && policy.healthGate && ` · ${describeGate(policy.healthGate)}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button onClick={() => openEdit(policy)} className="px-3 py-1 text-sm text-primary-600 dark:text-primary-400 hover:underline">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(policy)} className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:underline">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">Update history</h2>
+            <button onClick={() => fetchHistory()} className="text-sm text-primary-600 dark:text-primary-400 hover:underline">
+              Refresh
+            </button>
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No updates applied yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                    <th className="py-2 pr-4">When</th>
+                    <th className="py-2 pr-4">Container</th>
+                    <th className="py-2 pr-4">Version</th>
+                    <th className="py-2 pr-4">Trigger</th>
+                    <th className="py-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {history.map((entry) => (
+                    <React.Fragment key={entry.id}>
+                      <tr
+                        className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                        onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                      >
+                        <td className="py-2 pr-4 whitespace-nowrap text-gray-700 dark:text-gray-300">{new Date(entry.createdAt).toLocaleString()}</td>
+                        <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">
+                          {entry.containerName}
+                          <span className="text-xs text-gray-500 dark:text-gray-400"> on {entry.server?.name || 'removed server'}</span>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">
+                          {entry.previousVersion || entry.newVersion ? `${entry.previousVersion || '?'} → ${entry.newVersion || '?'}` : entry.newImageRef || '—'}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">{entry.trigger === 'policy' ? 'Policy' : 'Manual'}</td>
+                        <td
+                          className={`py-2 ${entry.success ? 'text-green-600 dark:text-green-400' : entry.rolledBack ? 'text-amber-600 dark:text-amber-400' : 'text-red-600 dark:text-red-400'}`}
+                        >
+                          {entry.success ? 'Updated' : entry.rolledBack ? `Rolled back: ${entry.error}` : entry.error || 'Failed'}
+                        </td>
+                      </tr>
+                      {expanded === entry.id && (
+                        <tr>
+                          <td colSpan={5} className="pb-3">
+                            <ul className="space-y-1 text-xs pl-2">
+                              {(entry.steps || []).map((s, i) => (
+                                <li key={i} className={s.success ? 'text-gray-700 dark:text-gray-300' : 'text-red-600 dark:text-red-400'}>
+                                  {s.success ? '✓' : '✗'} {s.step}
+                                  {s.detail && <span className="text-gray-500 dark:text-gray-400"> — {s.detail}</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+              {hasMoreHistory && (
+                <button
+                  onClick={() => fetchHistory(history[history.length - 1].createdAt)}
+                  className="mt-3 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  Load older
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePolicies;
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { volumesService } from '../services/volumes.service';
+import { serversService } from '../services/servers.service';
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+const primaryButton =
+  'px-4 py-2 text-sm font-medium text-white bg-primary-600 dark:bg-primary-500 rounded-md hover:bg-primary-700 dark:hover:bg-primary-600 disabled:opacity-50';
+const linkButton = 'text-sm font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 disabled:opacity-50';
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes <= 0) return '0 B';
+  const k = 1000;
+  const sizes = ['B', 'kB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return `${Math.round((bytes / k ** i) * 10) / 10} ${sizes[i]}`;
+};
+
+// "key=value" lines to an object; blank lines are skipped
+const parsePairs = (text) =>
+  Object.fromEntries(
+    text
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const i = line.indexOf('=');
+        return i === -1 ? [line, ''] : [line.slice(0, i).trim(), line.slice(i + 1).trim()];
+      })
+  );
+
+const emptyCreateForm = () => ({ name: '', driver: 'local', driverOpts: '', labels: '' });
+
+const Volumes = () => {
+  const { serverId } = useParams();
+  const [volumes, setVolumes] = useState([]);
+  const [servers, setServers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [orphanedOnly, setOrphanedOnly] = useState(false);
+  const [createForm, setCreateForm] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [inspected, setInspected] = useState({});
+  const [cloneForm, setCloneForm] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 4000);
+  };
+
+  const fetchVolumes = useCallback(async () => {
+    try {
+      const response = await volumesService.getAll(serverId);
+      setVolumes(response.data.volumes || []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load volumes');
+    } finally {
+      setLoading(false);
+    }
+  }, [serverId]);
+
+  useEffect(() => {
+    fetchVolumes();
+    serversService
+      .getAll()
+      .then((response) => setServers(response.data.servers || []))
+      .catch(() => {});
+  }, [fetchVolumes]);
+
+  const serverName = servers.find((s) => s.id === serverId)?.name || 'this server';
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      setError(null);
+      await volumesService.create(serverId, {
+        name: createForm.name,
+        driver: createForm.driver || 'local',
+        driverOpts: parsePairs(createForm.driverOpts),
+        labels: parsePairs(createForm.labels),
+      });
+      flash(`Volume ${createForm.name} created`);
+      setCreateForm(null);
+      fetchVolumes();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create volume');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const toggleInspect = async (name) => {
+    if (inspected[name]) {
+      setInspected((prev) => ({ ...prev, [name]: null }));
+      return;
+    }
+    try {
+      const response = await volumesService.get(serverId, name);
+      setInspected((prev) => ({ ...prev, [name]: response.data.inspect }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to inspect volume');
+    }
+  };
+
+  const handleRemove = async (volume) => {
+    if (!window.confirm(`Remove volume ${volume.name}? Its data is deleted and cannot be recovered.`)) return;
+    try {
+      setBusy(volume.name);
+      setError(null);
+      await volumesService.remove(serverId, volume.name);
+      setVolumes((prev) => prev.filter((v) => v.name !== volume.name));
+      flash(`Volume ${volume.name} removed`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove volume');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleClone = async (e) => {
+    e.preventDefault();
+    const { source, targetServerId, targetName } = cloneForm;
+    try {
+      setBusy(source);
+      setError(null);
+      const response = await volumesService.clone(serverId, source, { targetServerId, targetName });
+      const onServer = servers.find((s) => s.id === response.data.serverId)?.name || serverName;
+      flash(`Copied ${source} to ${response.data.name} on ${onServer}`);
+      setCloneForm(null);
+      if (targetServerId === serverId) fetchVolumes();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to copy volume');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="px-4 py-6 sm:px-0">
+        <div className="text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">Loading volumes...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const shown = orphanedOnly ? volumes.filter((v) => v.orphaned) : volumes;
+  const orphanedCount = volumes.filter((v) => v.orphaned).length;
+
+  return (
+    <div className="px-4 py-6 sm:px-0">
+      <div className="mb-6 flex items-start justify-between gap-4">
+        <div>
+          <Link to={`/servers/${serverId}`} className="text-sm text-primary-600 hover:text-primary-700 mb-2 inline-block">
+            ← Back to server
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Docker Volumes</h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            {volumes.length} volume(s), {orphanedCount} not mounted by any container. Copies of a volume that a running container writes to may
+            be inconsistent; stop the container first.
+          </p>
+        </div>
+        {!createForm && (
+          <button onClick={() => setCreateForm(emptyCreateForm())} className={`${primaryButton} whitespace-nowrap`}>
+            Create volume
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md bg-red-50 dark:bg-red-900/20 p-4">
+          <div className="text-sm text-red-800 dark:text-red-200">{error}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 rounded-md bg-green-50 dark:bg-green-900/20 p-4">
+          <div className="text-sm text-green-800 dark:text-green-200">{success}</div>
+        </div>
+      )}
+
+      <div className="space-y-6">
+        {createForm && (
+          <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 shadow rounded-lg p-6 space-y-4 max-w-3xl">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-gray-100">New volume</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Name</label>
+                <input
+                  type="text"
+                  value={createForm.name}
+                  onChange={(e) => setCreateForm({ ...createForm, name: e.target.value })}
+                  placeholder="app_data"
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Driver</label>
+                <input
+                  type="text"
+                  value={createForm.driver}
+                  onChange={(e) => setCreateForm({ ...createForm, driver: e.target.value })}
+                  placeholder="local"
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Driver options (one key=value per line)</label>
+                <textarea
+                  rows={3}
+                  value={createForm.driverOpts}
+                  onChange={(e) => setCreateForm({ ...createForm, driverOpts: e.target.value })}
+                  placeholder={'type=nfs\no=addr=10.0.0.5,rw\ndevice=:/export/data'}
+                  className={`${inputClass} font-mono`}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Labels (one key=value per line)</label>
+                <textarea
+                  rows={3}
+                  value={createForm.labels}
+                  onChange={(e) => setCreateForm({ ...createForm, labels: e.target.value })}
+                  className={`${inputClass} font-mono`}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setCreateForm(null)} className={linkButton}>
+                Cancel
+              </button>
+              <button type="submit" disabled={creating || !createForm.name.trim()} className={primaryButton}>
+                {creating ? 'Creating...' : 'Create'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={orphanedOnly}
+            onChange={(e) => setOrphanedOnly(e.target.checked)}
+            className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Only volumes no container mounts
+        </label>
+
+        <div className="bg-white dark:bg-gray-800 shadow rounded-lg overflow-hidden">
+          {shown.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No volumes.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {shown.map((volume) => (
+                <li key={volume.name} className="p-4 space-y-2">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono text-sm text-gray-900 dark:text-gray-100 truncate" title={volume.name}>
+                          {volume.name}
+                        </span>
+                        {volume.orphaned && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200">
+                            Orphaned
+                          </span>
+                        )}
+                      </div>
+                      <div className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                        {volume.driver}
+                        {Object.keys(volume.options).length > 0 && ` (${Object.entries(volume.options).map(([k, v]) => `${k}=${v}`).join(', ')})`}
+                        {' · '}
+                        {formatBytes(volume.sizeBytes)}
+                        {volume.labels['com.docker.compose.project'] && ` · stack ${volume.labels['com.docker.compose.project']}`}
+                      </div>
+                      {volume.containers.length > 0 && (
+                        <div className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                          Used by{' '}
+                          {volume.containers.map((c, i) => (
+                            <span key={c.name}>
+                              {i > 0 && ', '}
+                              {c.name} <span className="text-gray-400 dark:text-gray-500">({c.state})</span>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 whitespace-nowrap">
+                      <button onClick={() => toggleInspect(volume.name)} className={linkButton}>
+                        {inspected[volume.name] ? 'Hide' : 'Inspect'}
+                      </button>
+                      <button
+                        onClick={() => setCloneForm({ source: volume.name, targetServerId: serverId, targetName: `${volume.name}_copy` })}
+                        disabled={busy === volume.name}
+                        className={linkButton}
+                      >
+                        Clone
+                      </button>
+                      <button
+                        onClick={() => handleRemove(volume)}
+                        disabled={busy === volume.name || !volume.orphaned}
+                        title={volume.orphaned ? undefined : 'Remove the containers using it first'}
+                        className="text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+
+                  {cloneForm?.source === volume.name && (
+                    <form onSubmit={handleClone} className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end bg-gray-50 dark:bg-gray-900/40 rounded-md p-3">
+                      <div>
+                        <label className={labelClass}>Copy to server</label>
+                        <select
+                          value={cloneForm.targetServerId}
+                          onChange={(e) => setCloneForm({
+                            ...cloneForm,
+                            targetServerId: e.target.value,
+                            targetName: e.target.value === serverId ? `${volume.name}_copy` : volume.name,
+                          })}
+                          className={inputClass}
+                        >
+                          {servers.map((s) => (
+                            <option key={s.id} value={s.id}>{s.id === serverId ? `${s.name} (this server)` : s.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className={labelClass}>New volume name</label>
+                        <input
+                          type="text"
+                          value={cloneForm.targetName}
+                          onChange={(e) => setCloneForm({ ...cloneForm, targetName: e.target.value })}
+                          className={inputClass}
+                          required
+                        />
+                      </div>
+                      <div className="flex gap-2 justify-end">
+                        <button type="button" onClick={() => setCloneForm(null)} className={linkButton}>
+                          Cancel
+                        </button>
+                        <button type="submit" disabled={busy === volume.name} className={primaryButton}>
+                          {busy === volume.name ? 'Copying...' : 'Copy'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {inspected[volume.name] && (
+                    <pre className="text-xs bg-gray-50 dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-md p-3 overflow-x-auto">
+                      {JSON.stringify(inspected[volume.name], null, 2)}
+                    </pre>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Volumes;
@@ -0,0 +1,28 @@
+import api from './api';
+
+export const auditService = {
+  list: (params) => api.get('/api/v1/audit', { params }),
+  // Downloads the filtered log as a CSV or JSON file
+  export: async (params, format = 'csv') => {
+    const response = await api.get('/api/v1/audit/export', {
+      params: { ...params, format },
+      responseType: 'blob',
+    });
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    let filename = `dockerfleet-audit.${format}`;
+    const contentDisposition = response.headers['content-disposition'];
+    if (contentDisposition) {
+      const filenameMatch = contentDisposition.match(/filename="(.+)"/);
+      if (filenameMatch) {
+        filename = filenameMatch[1];
+      }
+    }
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  },
+};
@@ -6,6 +6,9 @@ export const backupSchedulesService = {
     const queryParams = new URLSearchParams(params).toString();
     return api.get(`/api/v1/backup-schedules${queryParams ? `?${queryParams}` : ''}`);
   },
+  /** Next run times of an unsaved schedule. Params: scheduleType, timezone, count, expression | intervalHours | hour, minute, dayOfWeek */
+  preview: (params) =>
+    api.get('/api/v1/backup-schedules/preview', { params }),
   /** Create one job with many entries (same schedule for all) */
   createBulk: (body) =>
     api.post('/api/v1/backup-schedules/bulk', body),
@@ -0,0 +1,16 @@
+import api from './api';
+
+export const backupTargetsService = {
+  list: () => api.get('/api/v1/backup-targets'),
+  create: (data) => api.post('/api/v1/backup-targets', data),
+  update: (id, data) => api.put(`/api/v1/backup-targets/${id}`, data),
+  remove: (id) => api.delete(`/api/v1/backup-targets/${id}`),
+  test: (id) => api.post(`/api/v1/backup-targets/${id}/test`),
+  // params: { targetId?, serverId?, containerName? }
+  listArchives: (params) => api.get('/api/v1/backup-targets/archives', { params }),
+  // data: { targetId, serverId, containerName, retention? } — runs in the background (202)
+  backupNow: (data) => api.post('/api/v1/backup-targets/archives', data),
+  // data: { serverId, containerName, mode: 'in-place' | 'new-volumes' } — runs in the background (202)
+  restore: (archiveId, data) => api.post(`/api/v1/backup-targets/archives/${archiveId}/restore`, data),
+  removeArchive: (archiveId) => api.delete(`/api/v1/backup-targets/archives/${archiveId}`),
+};
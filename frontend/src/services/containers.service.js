@@ -17,8 +17,13 @@ export const containersService = {
     const queryParams = new URLSearchParams(params).toString();
     return api.get(`/api/v1/servers/${serverId}/containers/${containerId}/logs?${queryParams}`);
   },
+  // params: since, until, q, regex, caseSensitive, maxLines
+  searchLogs: (serverId, containerId, params = {}) =>
+    api.get(`/api/v1/servers/${serverId}/containers/${containerId}/logs/search`, { params, timeout: 130000 }),
   getStats: (serverId, containerId) =>
     api.get(`/api/v1/servers/${serverId}/containers/${containerId}/stats`),
+  getMetrics: (serverId, containerId, range = '1h') =>
+    api.get(`/api/v1/servers/${serverId}/containers/${containerId}/metrics`, { params: { range } }),
   start: (serverId, containerId) =>
     api.post(`/api/v1/servers/${serverId}/containers/${containerId}/start`),
   stop: (serverId, containerId) =>
@@ -0,0 +1,12 @@
+import api from './api';
+
+export const diskCleanupService = {
+  // params: { categories (comma-separated), allImages, namedVolumes }
+  preview: (serverId, params) => api.get(`/api/v1/servers/${serverId}/disk-cleanup`, { params, timeout: 120000 }),
+  // data: { categories, allImages, namedVolumes, itemIds? }
+  run: (serverId, data) => api.post(`/api/v1/servers/${serverId}/disk-cleanup`, data, { timeout: 900000 }),
+  getSchedule: (serverId) => api.get(`/api/v1/servers/${serverId}/disk-cleanup/schedule`),
+  // data: { enabled, cronExpression, timezone, categories, allImages, namedVolumes }
+  saveSchedule: (serverId, data) => api.put(`/api/v1/servers/${serverId}/disk-cleanup/schedule`, data),
+  deleteSchedule: (serverId) => api.delete(`/api/v1/servers/${serverId}/disk-cleanup/schedule`),
+};
@@ -0,0 +1,11 @@
+import api from './api';
+
+export const fleetStacksService = {
+  list: () => api.get('/api/v1/fleet-stacks'),
+  get: (id) => api.get(`/api/v1/fleet-stacks/${id}`),
+  create: (payload) => api.post('/api/v1/fleet-stacks', payload),
+  update: (id, payload) => api.put(`/api/v1/fleet-stacks/${id}`, payload),
+  remove: (id, down = false) => api.delete(`/api/v1/fleet-stacks/${id}`, { params: { down } }),
+  deploy: (id, pull = false) => api.post(`/api/v1/fleet-stacks/${id}/deploy`, {}, { params: { pull } }),
+  status: (id) => api.get(`/api/v1/fleet-stacks/${id}/status`),
+};
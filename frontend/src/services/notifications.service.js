@@ -0,0 +1,11 @@
+import api from './api';
+
+export const notificationsService = {
+  list: () => api.get('/api/v1/notifications/channels'),
+  create: (data) => api.post('/api/v1/notifications/channels', data),
+  update: (id, data) => api.put(`/api/v1/notifications/channels/${id}`, data),
+  remove: (id) => api.delete(`/api/v1/notifications/channels/${id}`),
+  test: (id) => api.post(`/api/v1/notifications/channels/${id}/test`),
+  // alertTypes: array of alert types to send by email, or null for all
+  updateEmailRouting: (alertTypes) => api.put('/api/v1/notifications/email-routing', { alertTypes }),
+};
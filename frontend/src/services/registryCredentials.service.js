@@ -0,0 +1,12 @@
+import api from './api';
+
+export const registryCredentialsService = {
+  list: () => api.get('/api/v1/registry-credentials'),
+  // data: { host, username, token, insecure } — on update a blank token keeps the stored one
+  create: (data) => api.post('/api/v1/registry-credentials', data),
+  update: (id, data) => api.put(`/api/v1/registry-credentials/${id}`, data),
+  remove: (id) => api.delete(`/api/v1/registry-credentials/${id}`),
+  test: (id) => api.post(`/api/v1/registry-credentials/${id}/test`),
+  // data: { serverIds? } — all of your servers when omitted
+  push: (id, data = {}) => api.post(`/api/v1/registry-credentials/${id}/push`, data),
+};
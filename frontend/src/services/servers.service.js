@@ -83,4 +83,9 @@ export const serversService = {
   tailscaleDisable: (id) => api.post(`/api/v1/servers/${id}/tailscale/disable`),
   clearTailscaleStoredKey: (id) => api.delete(`/api/v1/servers/${id}/tailscale/stored-key`),
   tailscaleStatus: (id) => api.get(`/api/v1/servers/${id}/tailscale/status`),
+  /** Admin only: recorded terminal sessions (host shells and container consoles), newest first. */
+  getTerminalSessions: (id, params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    return api.get(`/api/v1/servers/${id}/terminal-sessions${queryParams ? `?${queryParams}` : ''}`);
+  },
 };
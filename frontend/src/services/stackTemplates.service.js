@@ -0,0 +1,11 @@
+import api from './api';
+
+export const stackTemplatesService = {
+  list: () => api.get('/api/v1/stack-templates'),
+  get: (id) => api.get(`/api/v1/stack-templates/${id}`),
+  create: (payload) => api.post('/api/v1/stack-templates', payload),
+  fromStack: (stackId, name, description) => api.post('/api/v1/stack-templates', { fromStackId: stackId, name, description }),
+  update: (id, payload) => api.put(`/api/v1/stack-templates/${id}`, payload),
+  remove: (id) => api.delete(`/api/v1/stack-templates/${id}`),
+  install: (id, payload) => api.post(`/api/v1/stack-templates/${id}/install`, payload),
+};
@@ -5,10 +5,25 @@ export const stacksService = {
   get: (id) => api.get(`/api/v1/stacks/${id}`),
   create: (payload) => api.post('/api/v1/stacks', payload),
   update: (id, payload) => api.put(`/api/v1/stacks/${id}`, payload),
+  validate: (payload) => api.post('/api/v1/stacks/validate', payload),
   remove: (id, down = false) => api.delete(`/api/v1/stacks/${id}`, { params: { down } }),
   deploy: (id, pull = false) => api.post(`/api/v1/stacks/${id}/deploy`, {}, { params: { pull } }),
+  revisions: (id) => api.get(`/api/v1/stacks/${id}/revisions`),
+  getRevision: (id, revisionId) => api.get(`/api/v1/stacks/${id}/revisions/${revisionId}`),
+  rollback: (id, revisionId, pull = false) => api.post(`/api/v1/stacks/${id}/revisions/${revisionId}/rollback`, {}, { params: { pull } }),
+  drift: (id) => api.get(`/api/v1/stacks/${id}/drift`),
+  adoptHostVersion: (id) => api.post(`/api/v1/stacks/${id}/drift/adopt`),
+  reapply: (id, pull = false) => api.post(`/api/v1/stacks/${id}/drift/reapply`, {}, { params: { pull } }),
+  sync: (id, deploy = true) => api.post(`/api/v1/stacks/${id}/sync`, { deploy }),
+  webhook: (id) => api.get(`/api/v1/stacks/${id}/webhook`),
+  rotateWebhook: (id) => api.post(`/api/v1/stacks/${id}/webhook/rotate`),
   down: (id) => api.post(`/api/v1/stacks/${id}/down`),
   restart: (id) => api.post(`/api/v1/stacks/${id}/restart`),
+  services: (id) => api.get(`/api/v1/stacks/${id}/services`),
+  restartService: (id, service) => api.post(`/api/v1/stacks/${id}/services/${encodeURIComponent(service)}/restart`),
+  scaleService: (id, service, replicas) => api.post(`/api/v1/stacks/${id}/services/${encodeURIComponent(service)}/scale`, { replicas }),
+  migrate: (id, payload) => api.post(`/api/v1/stacks/${id}/migrate`, payload),
+  recreateService: (id, service) => api.post(`/api/v1/stacks/${id}/services/${encodeURIComponent(service)}/recreate`),
   discover: (serverId) => api.get(`/api/v1/servers/${serverId}/stacks/discover`),
   importStacks: (serverId, projects) => api.post(`/api/v1/servers/${serverId}/stacks/import`, { projects }),
 };
@@ -0,0 +1,11 @@
+import api from './api';
+
+export const updatePoliciesService = {
+  list: () => api.get('/api/v1/update-policies'),
+  // data: { scopeType, target, serverId?, mode, versionConstraint, maintenanceWindow?, timezone? }
+  create: (data) => api.post('/api/v1/update-policies', data),
+  update: (id, data) => api.put(`/api/v1/update-policies/${id}`, data),
+  remove: (id) => api.delete(`/api/v1/update-policies/${id}`),
+  // params: { serverId?, containerName?, trigger?, before? }
+  history: (params) => api.get('/api/v1/update-policies/history', { params }),
+};
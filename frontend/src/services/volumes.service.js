@@ -0,0 +1,12 @@
+import api from './api';
+
+export const volumesService = {
+  getAll: (serverId) => api.get(`/api/v1/servers/${serverId}/volumes`, { timeout: 120000 }),
+  get: (serverId, name) => api.get(`/api/v1/servers/${serverId}/volumes/${encodeURIComponent(name)}`),
+  // data: { name, driver?, driverOpts?, labels? }
+  create: (serverId, data) => api.post(`/api/v1/servers/${serverId}/volumes`, data),
+  remove: (serverId, name) => api.delete(`/api/v1/servers/${serverId}/volumes/${encodeURIComponent(name)}`),
+  // data: { targetName?, targetServerId? }
+  clone: (serverId, name, data) =>
+    api.post(`/api/v1/servers/${serverId}/volumes/${encodeURIComponent(name)}/clone`, data, { timeout: 3600000 }),
+};
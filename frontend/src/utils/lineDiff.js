@@ -0,0 +1,116 @@
+/**
+ * Line diff for side-by-side views (stack revision history).
+ * Longest-common-subsequence over lines; runs of removed and added lines are paired into
+ * "change" rows so both columns stay aligned.
+ */
+
+// Above this many LCS cells fall back to a positional comparison instead of a full diff
+const MAX_CELLS = 4000000;
+
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+function editScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_CELLS) {
+    const ops = [];
+    for (let i = 0; i < Math.max(n, m); i += 1) {
+      if (i < n && i < m && a[i] === b[i]) ops.push({ type: 'same', a: i, b: i });
+      else {
+        if (i < n) ops.push({ type: 'del', a: i });
+        if (i < m) ops.push({ type: 'add', b: i });
+      }
+    }
+    return ops;
+  }
+  // lcs[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const lcs = new Int32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i * (m + 1) + j] = a[i] === b[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', a: i, b: j });
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      ops.push({ type: 'del', a: i });
+      i += 1;
+    } else {
+      ops.push({ type: 'add', b: j });
+      j += 1;
+    }
+  }
+  for (; i < n; i += 1) ops.push({ type: 'del', a: i });
+  for (; j < m; j += 1) ops.push({ type: 'add', b: j });
+  return ops;
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ rows: Array<{ type: 'same'|'del'|'add'|'change', left: ?{ line: number, text: string },
+ *   right: ?{ line: number, text: string } }>, changed: boolean }}
+ */
+export function sideBySideDiff(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = editScript(a, b);
+  const rows = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k += 1) {
+      const d = dels[k];
+      const ad = adds[k];
+      let type = 'change';
+      if (ad === undefined) type = 'del';
+      else if (d === undefined) type = 'add';
+      rows.push({
+        type,
+        left: d !== undefined ? { line: d + 1, text: a[d] } : null,
+        right: ad !== undefined ? { line: ad + 1, text: b[ad] } : null,
+      });
+    }
+    dels = [];
+    adds = [];
+  };
+  for (const op of ops) {
+    if (op.type === 'del') dels.push(op.a);
+    else if (op.type === 'add') adds.push(op.b);
+    else {
+      flush();
+      rows.push({ type: 'same', left: { line: op.a + 1, text: a[op.a] }, right: { line: op.b + 1, text: b[op.b] } });
+    }
+  }
+  flush();
+  return { rows, changed: rows.some((r) => r.type !== 'same') };
+}
+
+/** Env rows as diffable lines; secrets show only their fingerprint. */
+export function envToText(env) {
+  return (env || [])
+    .map((e) => (e.isSecret ? `${e.key}=•••••• (secret ${e.digest || 'unknown'})` : `${e.key}=${e.value ?? ''}`))
+    .sort()
+    .join('\n');
+}
+
+/** Extra stack files as one text for a diff: a header line per file, then its content. */
+export function filesToText(files) {
+  return [...(files || [])]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map((f) => (f.isSecret
+      ? `=== ${f.path} === (secret ${f.digest || 'unknown'})`
+      : `=== ${f.path} ===\n${(f.content ?? '').replace(/\n$/, '')}`))
+    .join('\n');
+}